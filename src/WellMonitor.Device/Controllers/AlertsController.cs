@@ -0,0 +1,181 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Logging;
+using WellMonitor.Device.Models;
+using WellMonitor.Device.Services;
+
+namespace WellMonitor.Device.Controllers
+{
+    /// <summary>
+    /// API controller for the alert center
+    /// Provides endpoints for listing alerts, their timelines, and acknowledge/snooze actions
+    /// </summary>
+    [ApiController]
+    [Route("api/[controller]")]
+    public class AlertsController : ControllerBase
+    {
+        private readonly ILogger<AlertsController> _logger;
+        private readonly IAlertService _alertService;
+
+        public AlertsController(
+            ILogger<AlertsController> logger,
+            IAlertService alertService)
+        {
+            _logger = logger;
+            _alertService = alertService;
+        }
+
+        /// <summary>
+        /// Get active or resolved alerts, optionally filtered by severity and type
+        /// </summary>
+        [HttpGet]
+        public async Task<IActionResult> GetAlerts(
+            [FromQuery] string status = "active",
+            [FromQuery] string? severity = null,
+            [FromQuery] string? type = null,
+            [FromQuery] int limit = 100)
+        {
+            try
+            {
+                var resolved = string.Equals(status, "resolved", StringComparison.OrdinalIgnoreCase);
+                var alerts = await _alertService.GetAlertsAsync(resolved, severity, type, Math.Clamp(limit, 1, 500));
+                return Ok(alerts);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to get alerts");
+                return StatusCode(500, new { Error = "Failed to retrieve alerts" });
+            }
+        }
+
+        /// <summary>
+        /// Get alert counts for the dashboard
+        /// </summary>
+        [HttpGet("summary")]
+        public async Task<IActionResult> GetSummary()
+        {
+            try
+            {
+                return Ok(await _alertService.GetSummaryAsync());
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to get alert summary");
+                return StatusCode(500, new { Error = "Failed to retrieve alert summary" });
+            }
+        }
+
+        /// <summary>
+        /// Get an alert with its timeline
+        /// </summary>
+        [HttpGet("{id:int}")]
+        public async Task<IActionResult> GetAlert(int id)
+        {
+            try
+            {
+                var alert = await _alertService.GetAlertAsync(id);
+                if (alert == null)
+                {
+                    return NotFound(new { Error = $"Alert {id} not found" });
+                }
+
+                var timeline = await _alertService.GetTimelineAsync(id);
+                return Ok(new { Alert = alert, Timeline = timeline });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to get alert {AlertId}", id);
+                return StatusCode(500, new { Error = "Failed to retrieve alert" });
+            }
+        }
+
+        /// <summary>
+        /// Acknowledge an alert; returns 409 when it is already resolved
+        /// </summary>
+        [HttpPost("{id:int}/acknowledge")]
+        [Authorize(Policy = DashboardPolicies.Operator)]
+        public async Task<IActionResult> Acknowledge(int id, [FromBody] AcknowledgeAlertRequest request)
+        {
+            try
+            {
+                var alert = await _alertService.AcknowledgeAsync(id, GetUser(request.User), request.Note);
+                if (alert == null)
+                {
+                    return NotFound(new { Error = $"Alert {id} not found" });
+                }
+
+                return Ok(alert);
+            }
+            catch (InvalidOperationException ex)
+            {
+                return Conflict(new { Error = ex.Message });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to acknowledge alert {AlertId}", id);
+                return StatusCode(500, new { Error = "Failed to acknowledge alert" });
+            }
+        }
+
+        /// <summary>
+        /// Snooze an alert for a number of minutes; returns 409 when it is already resolved
+        /// </summary>
+        [HttpPost("{id:int}/snooze")]
+        [Authorize(Policy = DashboardPolicies.Operator)]
+        public async Task<IActionResult> Snooze(int id, [FromBody] SnoozeAlertRequest request)
+        {
+            try
+            {
+                var alert = await _alertService.SnoozeAsync(id, TimeSpan.FromMinutes(request.Minutes), GetUser(request.User));
+                if (alert == null)
+                {
+                    return NotFound(new { Error = $"Alert {id} not found" });
+                }
+
+                return Ok(alert);
+            }
+            catch (ArgumentException ex)
+            {
+                return BadRequest(new { Error = ex.Message });
+            }
+            catch (InvalidOperationException ex)
+            {
+                return Conflict(new { Error = ex.Message });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to snooze alert {AlertId}", id);
+                return StatusCode(500, new { Error = "Failed to snooze alert" });
+            }
+        }
+
+        // Signed-in users are recorded by their login name rather than the name typed on the page
+        private string GetUser(string? user)
+        {
+            if (User.Identity?.IsAuthenticated == true && !string.IsNullOrEmpty(User.Identity.Name))
+            {
+                return User.Identity.Name;
+            }
+
+            return string.IsNullOrWhiteSpace(user) ? "dashboard" : user.Trim();
+        }
+    }
+
+    /// <summary>
+    /// Request model for acknowledging an alert
+    /// </summary>
+    public class AcknowledgeAlertRequest
+    {
+        public string? User { get; set; }
+        public string? Note { get; set; }
+    }
+
+    /// <summary>
+    /// Request model for snoozing an alert
+    /// </summary>
+    public class SnoozeAlertRequest
+    {
+        public int Minutes { get; set; } = 60;
+        public string? User { get; set; }
+    }
+}
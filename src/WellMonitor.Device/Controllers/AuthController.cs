@@ -0,0 +1,304 @@
+using System.ComponentModel.DataAnnotations;
+using System.Globalization;
+using System.Security.Claims;
+using Microsoft.AspNetCore.Authentication;
+using Microsoft.AspNetCore.Authentication.Cookies;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using WellMonitor.Device.Models;
+using WellMonitor.Device.Services;
+
+namespace WellMonitor.Device.Controllers
+{
+    /// <summary>
+    /// API controller for dashboard sign-in and local user management
+    /// Sessions are cookies, so the SignalR hub is authenticated the same way as the API
+    /// </summary>
+    [ApiController]
+    [Route("api/[controller]")]
+    public class AuthController : ControllerBase
+    {
+        private readonly ILogger<AuthController> _logger;
+        private readonly IDashboardUserService _userService;
+        private readonly IOptionsMonitor<WebOptions> _webOptions;
+        private readonly DashboardLoginThrottle _loginThrottle;
+
+        public AuthController(
+            ILogger<AuthController> logger,
+            IDashboardUserService userService,
+            IOptionsMonitor<WebOptions> webOptions,
+            DashboardLoginThrottle loginThrottle)
+        {
+            _logger = logger;
+            _userService = userService;
+            _webOptions = webOptions;
+            _loginThrottle = loginThrottle;
+        }
+
+        /// <summary>
+        /// Get whether sign-in is required and who is signed in
+        /// </summary>
+        [HttpGet("session")]
+        [AllowAnonymous]
+        public IActionResult GetSession()
+        {
+            return Ok(GetCurrentSession());
+        }
+
+        /// <summary>
+        /// Sign in with a local account; returns 401 for a wrong username or password,
+        /// and 429 while the username is locked out after repeated failures from this address
+        /// </summary>
+        [HttpPost("login")]
+        [AllowAnonymous]
+        public async Task<IActionResult> Login([FromBody] LoginRequest request)
+        {
+            if (!ModelState.IsValid)
+            {
+                return BadRequest(ModelState);
+            }
+
+            if (!_webOptions.CurrentValue.EnableAuthentication)
+            {
+                return BadRequest(new { Error = "Dashboard authentication is disabled" });
+            }
+
+            var remoteAddress = HttpContext.Connection.RemoteIpAddress?.ToString();
+            if (_loginThrottle.GetLockout(request.Username, remoteAddress) is TimeSpan wait)
+            {
+                Response.Headers["Retry-After"] = ((int)Math.Ceiling(wait.TotalSeconds)).ToString(CultureInfo.InvariantCulture);
+                return StatusCode(429, new { Error = $"Too many failed sign-ins; try again in {Math.Ceiling(wait.TotalMinutes)} min" });
+            }
+
+            try
+            {
+                var user = await _userService.ValidateCredentialsAsync(request.Username, request.Password);
+                if (user == null)
+                {
+                    if (_loginThrottle.RecordFailure(request.Username, remoteAddress) is TimeSpan lockout)
+                    {
+                        _logger.LogWarning("Dashboard sign-in for {Username} from {Address} locked for {Minutes} min after repeated failures",
+                            request.Username, remoteAddress, lockout.TotalMinutes);
+                    }
+                    return Unauthorized(new { Error = "Invalid username or password" });
+                }
+
+                _loginThrottle.RecordSuccess(request.Username, remoteAddress);
+
+                await HttpContext.SignInAsync(
+                    CookieAuthenticationDefaults.AuthenticationScheme,
+                    DashboardCookieEvents.CreatePrincipal(user),
+                    new AuthenticationProperties { IsPersistent = request.RememberMe });
+
+                _logger.LogInformation("Dashboard user {Username} signed in as {Role}", user.Username, user.Role);
+
+                return Ok(new AuthSession
+                {
+                    AuthenticationEnabled = true,
+                    Authenticated = true,
+                    Username = user.Username,
+                    Role = user.Role
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to sign in {Username}", request.Username);
+                return StatusCode(500, new { Error = "Failed to sign in" });
+            }
+        }
+
+        /// <summary>
+        /// Sign out of the dashboard
+        /// </summary>
+        [HttpPost("logout")]
+        [AllowAnonymous]
+        public async Task<IActionResult> Logout()
+        {
+            await HttpContext.SignOutAsync(CookieAuthenticationDefaults.AuthenticationScheme);
+            return Ok(new { Message = "Signed out" });
+        }
+
+        /// <summary>
+        /// List the configured admin and the local users
+        /// </summary>
+        [HttpGet("users")]
+        [Authorize(Policy = DashboardPolicies.Admin)]
+        public async Task<IActionResult> GetUsers()
+        {
+            try
+            {
+                return Ok(new
+                {
+                    Users = await _userService.GetUsersAsync(),
+                    Roles = DashboardRoles.All,
+                    MinPasswordLength = DashboardUserService.MinPasswordLength
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to get dashboard users");
+                return StatusCode(500, new { Error = "Failed to get users" });
+            }
+        }
+
+        /// <summary>
+        /// Add a local user
+        /// </summary>
+        [HttpPost("users")]
+        [Authorize(Policy = DashboardPolicies.Admin)]
+        public async Task<IActionResult> CreateUser([FromBody] CreateDashboardUserRequest request)
+        {
+            if (!ModelState.IsValid)
+            {
+                return BadRequest(ModelState);
+            }
+
+            try
+            {
+                return Ok(await _userService.CreateUserAsync(request.Username, request.Password, request.Role));
+            }
+            catch (ArgumentException ex)
+            {
+                return BadRequest(new { Error = ex.Message });
+            }
+            catch (InvalidOperationException ex)
+            {
+                return Conflict(new { Error = ex.Message });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to create dashboard user {Username}", request.Username);
+                return StatusCode(500, new { Error = "Failed to create user" });
+            }
+        }
+
+        /// <summary>
+        /// Change a user's role or reset their password; a reset signs the user out everywhere else
+        /// </summary>
+        [HttpPut("users/{id:int}")]
+        [Authorize(Policy = DashboardPolicies.Admin)]
+        public async Task<IActionResult> UpdateUser(int id, [FromBody] UpdateDashboardUserRequest request)
+        {
+            try
+            {
+                var user = await _userService.UpdateUserAsync(id, request.Role, request.Password);
+
+                // A password reset ends every session of the account; an admin resetting their own keeps this one
+                if (request.Password != null && string.Equals(user.Username, User.Identity?.Name, StringComparison.OrdinalIgnoreCase))
+                {
+                    var properties = HttpContext.Features.Get<IAuthenticateResultFeature>()?.AuthenticateResult?.Properties;
+                    await HttpContext.SignInAsync(
+                        CookieAuthenticationDefaults.AuthenticationScheme,
+                        DashboardCookieEvents.CreatePrincipal(user),
+                        properties ?? new AuthenticationProperties());
+                }
+
+                return Ok(user);
+            }
+            catch (KeyNotFoundException ex)
+            {
+                return NotFound(new { Error = ex.Message });
+            }
+            catch (ArgumentException ex)
+            {
+                return BadRequest(new { Error = ex.Message });
+            }
+            catch (InvalidOperationException ex)
+            {
+                return Conflict(new { Error = ex.Message });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to update dashboard user {UserId}", id);
+                return StatusCode(500, new { Error = "Failed to update user" });
+            }
+        }
+
+        /// <summary>
+        /// Delete a local user; their sessions end on their next request
+        /// </summary>
+        [HttpDelete("users/{id:int}")]
+        [Authorize(Policy = DashboardPolicies.Admin)]
+        public async Task<IActionResult> DeleteUser(int id)
+        {
+            try
+            {
+                await _userService.DeleteUserAsync(id);
+                return Ok(new { Message = "User deleted" });
+            }
+            catch (KeyNotFoundException ex)
+            {
+                return NotFound(new { Error = ex.Message });
+            }
+            catch (InvalidOperationException ex)
+            {
+                return Conflict(new { Error = ex.Message });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to delete dashboard user {UserId}", id);
+                return StatusCode(500, new { Error = "Failed to delete user" });
+            }
+        }
+
+        private AuthSession GetCurrentSession()
+        {
+            if (!_webOptions.CurrentValue.EnableAuthentication)
+            {
+                return new AuthSession { AuthenticationEnabled = false, Authenticated = false, Role = DashboardRoles.Admin };
+            }
+
+            var authenticated = User.Identity?.IsAuthenticated == true;
+            return new AuthSession
+            {
+                AuthenticationEnabled = true,
+                Authenticated = authenticated,
+                Username = authenticated ? User.Identity!.Name : null,
+                Role = authenticated ? User.FindFirstValue(ClaimTypes.Role) ?? DashboardRoles.Viewer : DashboardRoles.Viewer
+            };
+        }
+    }
+
+    /// <summary>
+    /// Request model for signing in
+    /// </summary>
+    public class LoginRequest
+    {
+        [Required]
+        public string Username { get; set; } = string.Empty;
+
+        [Required]
+        public string Password { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Keep the session after the browser closes
+        /// </summary>
+        public bool RememberMe { get; set; }
+    }
+
+    /// <summary>
+    /// Request model for adding a dashboard user
+    /// </summary>
+    public class CreateDashboardUserRequest
+    {
+        [Required]
+        public string Username { get; set; } = string.Empty;
+
+        [Required]
+        public string Password { get; set; } = string.Empty;
+
+        [Required]
+        public string Role { get; set; } = DashboardRoles.Viewer;
+    }
+
+    /// <summary>
+    /// Request model for changing a dashboard user; omitted fields are left unchanged
+    /// </summary>
+    public class UpdateDashboardUserRequest
+    {
+        public string? Role { get; set; }
+        public string? Password { get; set; }
+    }
+}
@@ -0,0 +1,83 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Logging;
+using WellMonitor.Device.Services;
+
+namespace WellMonitor.Device.Controllers
+{
+    /// <summary>
+    /// API controller for backup bundles: the database with users and ROI profiles, and the running configuration
+    /// Admin only, as a bundle holds every dashboard account
+    /// </summary>
+    [ApiController]
+    [Route("api/[controller]")]
+    public class BackupController : ControllerBase
+    {
+        // Years of readings stay well below this; larger uploads are rejected before they fill the SD card
+        private const long MaxBundleBytes = 1024L * 1024 * 1024;
+
+        private readonly ILogger<BackupController> _logger;
+        private readonly IBackupService _backupService;
+
+        public BackupController(ILogger<BackupController> logger, IBackupService backupService)
+        {
+            _logger = logger;
+            _backupService = backupService;
+        }
+
+        /// <summary>
+        /// Download a backup bundle
+        /// </summary>
+        [HttpGet]
+        [Authorize(Policy = DashboardPolicies.Admin)]
+        public async Task<IActionResult> Download()
+        {
+            try
+            {
+                var bundle = await _backupService.CreateBackupAsync(HttpContext.RequestAborted);
+                _logger.LogInformation("Backup bundle downloaded by {User}", User.Identity?.Name ?? "anonymous");
+                return File(bundle, "application/zip", $"wellmonitor-backup-{Environment.MachineName}-{DateTime.UtcNow:yyyyMMdd-HHmmss}.zip");
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to create backup bundle");
+                return StatusCode(500, new { Error = "Failed to create backup bundle" });
+            }
+        }
+
+        /// <summary>
+        /// Restore a backup bundle, replacing the database and applying its configuration
+        /// </summary>
+        [HttpPost("restore")]
+        [Authorize(Policy = DashboardPolicies.Admin)]
+        [RequestSizeLimit(MaxBundleBytes)]
+        [RequestFormLimits(MultipartBodyLengthLimit = MaxBundleBytes)]
+        public async Task<IActionResult> Restore(IFormFile? bundle)
+        {
+            if (bundle == null || bundle.Length == 0)
+            {
+                return BadRequest(new { Error = "Choose a backup bundle to restore" });
+            }
+
+            try
+            {
+                await using var stream = bundle.OpenReadStream();
+                var result = await _backupService.RestoreAsync(stream, HttpContext.RequestAborted);
+
+                _logger.LogWarning("Backup of {Device} from {Created} restored by {User}",
+                    result.Manifest.DeviceName, result.Manifest.CreatedUtc, User.Identity?.Name ?? "anonymous");
+                return Ok(result);
+            }
+            catch (InvalidDataException ex)
+            {
+                return BadRequest(new { Error = ex.Message });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to restore backup bundle {FileName}", bundle.FileName);
+                return StatusCode(500, new { Error = "Failed to restore backup bundle" });
+            }
+        }
+    }
+}
@@ -1,8 +1,10 @@
+using Microsoft.AspNetCore.Authorization;
 using Microsoft.AspNetCore.Mvc;
 using Microsoft.Extensions.Logging;
 using WellMonitor.Device.Services;
 using WellMonitor.Device.Models;
 using System.ComponentModel.DataAnnotations;
+using System.Text;
 
 namespace WellMonitor.Device.Controllers
 {
@@ -14,18 +16,27 @@ namespace WellMonitor.Device.Controllers
     [Route("api/[controller]")]
     public class CameraController : ControllerBase
     {
+        private const string MjpegBoundary = "wellmonitorframe";
+        private static readonly byte[] FrameTerminator = Encoding.ASCII.GetBytes("\r\n");
+
         private readonly ILogger<CameraController> _logger;
         private readonly ICameraService _cameraService;
         private readonly IDeviceTwinService _deviceTwinService;
+        private readonly ICameraLiveViewService _liveViewService;
+        private readonly ICameraSettingsService _cameraSettingsService;
 
         public CameraController(
             ILogger<CameraController> logger,
             ICameraService cameraService,
-            IDeviceTwinService deviceTwinService)
+            IDeviceTwinService deviceTwinService,
+            ICameraLiveViewService liveViewService,
+            ICameraSettingsService cameraSettingsService)
         {
             _logger = logger;
             _cameraService = cameraService;
             _deviceTwinService = deviceTwinService;
+            _liveViewService = liveViewService;
+            _cameraSettingsService = cameraSettingsService;
         }
 
         /// <summary>
@@ -40,6 +51,9 @@ namespace WellMonitor.Device.Controllers
                 return Ok(new
                 {
                     ExposureMode = cameraOptions?.ExposureMode.ToString() ?? "Auto",
+                    Brightness = cameraOptions?.Brightness ?? 50,
+                    Contrast = cameraOptions?.Contrast ?? 0,
+                    Gain = cameraOptions?.Gain ?? 1.0,
                     AutoWhiteBalance = cameraOptions?.AutoWhiteBalance ?? false,
                     EnablePreview = cameraOptions?.EnablePreview ?? false,
                     DebugImagePath = cameraOptions?.DebugImagePath
@@ -52,10 +66,64 @@ namespace WellMonitor.Device.Controllers
             }
         }
 
+        /// <summary>
+        /// Get every editable camera setting
+        /// </summary>
+        [HttpGet("settings")]
+        public IActionResult GetSettings()
+        {
+            try
+            {
+                return Ok(_cameraSettingsService.GetSettings());
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to get camera settings");
+                return StatusCode(500, new { message = "Failed to get camera settings", error = ex.Message });
+            }
+        }
+
+        /// <summary>
+        /// Validate and apply camera settings live, optionally reporting them to the device twin
+        /// </summary>
+        [HttpPut("settings")]
+        [Authorize(Policy = DashboardPolicies.Admin)]
+        public async Task<IActionResult> UpdateSettings([FromBody] UpdateCameraSettingsRequest request)
+        {
+            if (!ModelState.IsValid)
+            {
+                return BadRequest(ModelState);
+            }
+
+            try
+            {
+                var result = await _cameraSettingsService.UpdateAsync(request.Settings, request.ReportToDeviceTwin);
+                if (!result.Applied)
+                {
+                    return BadRequest(new { message = "Camera settings are invalid", errors = result.Errors });
+                }
+
+                return Ok(new
+                {
+                    message = result.Changes.Count > 0 ? "Camera settings applied" : "No camera settings changed",
+                    changes = result.Changes,
+                    settings = result.Settings,
+                    reportedToDeviceTwin = result.ReportedToDeviceTwin,
+                    deviceTwinError = result.DeviceTwinError
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to update camera settings");
+                return StatusCode(500, new { message = "Failed to update camera settings", error = ex.Message });
+            }
+        }
+
         /// <summary>
         /// Update camera exposure mode
         /// </summary>
         [HttpPost("exposure-mode")]
+        [Authorize(Policy = DashboardPolicies.Admin)]
         public async Task<IActionResult> UpdateExposureMode([FromBody] UpdateExposureModeRequest request)
         {
             if (!ModelState.IsValid)
@@ -93,6 +161,7 @@ namespace WellMonitor.Device.Controllers
         /// Capture a test image with current camera settings
         /// </summary>
         [HttpPost("test-capture")]
+        [Authorize(Policy = DashboardPolicies.Operator)]
         public async Task<IActionResult> CaptureTestImage()
         {
             try
@@ -123,6 +192,78 @@ namespace WellMonitor.Device.Controllers
             }
         }
 
+        /// <summary>
+        /// Get live view state (viewers, resolution, measured frame rate, limits)
+        /// </summary>
+        [HttpGet("live")]
+        public IActionResult GetLiveViewStatus()
+        {
+            try
+            {
+                return Ok(_liveViewService.GetStatus());
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to get live view status");
+                return StatusCode(500, new { message = "Failed to get live view status", error = ex.Message });
+            }
+        }
+
+        /// <summary>
+        /// Stream the camera as MJPEG (multipart/x-mixed-replace) for an img element
+        /// The stream ends after LiveView:TimeoutSeconds; the camera stops when the last viewer disconnects
+        /// </summary>
+        [HttpGet("live/stream")]
+        [Authorize(Policy = DashboardPolicies.Operator)]
+        public async Task<IActionResult> StreamLiveView([FromQuery] int? width, [FromQuery] int? height, [FromQuery] int? fps)
+        {
+            var cancellationToken = HttpContext.RequestAborted;
+
+            LiveViewSubscription subscription;
+            try
+            {
+                subscription = await _liveViewService.SubscribeAsync(width, height, fps, cancellationToken);
+            }
+            catch (OperationCanceledException)
+            {
+                return new EmptyResult();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to start camera live view");
+                return StatusCode(503, new { message = "Camera live view is not available", error = ex.Message });
+            }
+
+            await using (subscription)
+            {
+                using var timeout = CancellationTokenSource.CreateLinkedTokenSource(cancellationToken);
+                timeout.CancelAfter(TimeSpan.FromSeconds(_liveViewService.Options.TimeoutSeconds));
+
+                Response.ContentType = $"multipart/x-mixed-replace; boundary={MjpegBoundary}";
+                Response.Headers.CacheControl = "no-cache, no-store";
+
+                try
+                {
+                    await foreach (var frame in subscription.Frames.ReadAllAsync(timeout.Token))
+                    {
+                        var header = Encoding.ASCII.GetBytes(
+                            $"--{MjpegBoundary}\r\nContent-Type: image/jpeg\r\nContent-Length: {frame.Length}\r\n\r\n");
+
+                        await Response.Body.WriteAsync(header, timeout.Token);
+                        await Response.Body.WriteAsync(frame, timeout.Token);
+                        await Response.Body.WriteAsync(FrameTerminator, timeout.Token);
+                        await Response.Body.FlushAsync(timeout.Token);
+                    }
+                }
+                catch (OperationCanceledException)
+                {
+                    // Viewer disconnected or the live view timed out
+                }
+            }
+
+            return new EmptyResult();
+        }
+
         /// <summary>
         /// Get available camera exposure modes
         /// </summary>
@@ -201,6 +342,20 @@ namespace WellMonitor.Device.Controllers
         }
     }
 
+    /// <summary>
+    /// Request model for updating the camera settings
+    /// </summary>
+    public class UpdateCameraSettingsRequest
+    {
+        [Required]
+        public CameraSettings Settings { get; set; } = new();
+
+        /// <summary>
+        /// Also write the applied settings to the device twin reported properties
+        /// </summary>
+        public bool ReportToDeviceTwin { get; set; }
+    }
+
     /// <summary>
     /// Request model for updating camera exposure mode
     /// </summary>
@@ -0,0 +1,167 @@
+using System.ComponentModel.DataAnnotations;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Logging;
+using WellMonitor.Device.Models;
+using WellMonitor.Device.Services;
+
+namespace WellMonitor.Device.Controllers
+{
+    /// <summary>
+    /// API controller for the guided camera setup wizard
+    /// Each wizard step passes or fails from the checks returned by analyze
+    /// </summary>
+    [ApiController]
+    [Route("api/[controller]")]
+    public class CameraSetupController : ControllerBase
+    {
+        private readonly ILogger<CameraSetupController> _logger;
+        private readonly ICameraSetupService _cameraSetupService;
+
+        public CameraSetupController(
+            ILogger<CameraSetupController> logger,
+            ICameraSetupService cameraSetupService)
+        {
+            _logger = logger;
+            _cameraSetupService = cameraSetupService;
+        }
+
+        /// <summary>
+        /// Capture a frame with draft camera settings and run the setup checks
+        /// </summary>
+        [HttpPost("analyze")]
+        [Authorize(Policy = DashboardPolicies.Operator)]
+        public async Task<IActionResult> Analyze([FromBody] CameraSetupAnalyzeRequest request)
+        {
+            try
+            {
+                if (!ModelState.IsValid)
+                {
+                    return BadRequest(ModelState);
+                }
+
+                var analysis = await _cameraSetupService.AnalyzeAsync(request.Roi, request.Camera, request.RunOcr, HttpContext.RequestAborted);
+
+                return Ok(new
+                {
+                    analysis.ImageFile,
+                    ImageUrl = analysis.ImageFile != null ? GetDebugImageUrl(analysis.ImageFile) : null,
+                    analysis.ImageWidth,
+                    analysis.ImageHeight,
+                    analysis.Roi,
+                    analysis.Checks,
+                    analysis.LedRegion,
+                    analysis.SuggestedRoi,
+                    Ocr = analysis.RoiTest == null ? null : new
+                    {
+                        analysis.RoiTest.Success,
+                        Text = analysis.RoiTest.Ocr?.ProcessedText,
+                        RawText = analysis.RoiTest.Ocr?.RawText,
+                        Confidence = analysis.RoiTest.Ocr?.Confidence ?? 0,
+                        PumpStatus = analysis.RoiTest.AnalyzedStatus.ToString(),
+                        CurrentAmps = analysis.RoiTest.ParsedReading?.CurrentAmps,
+                        ExtractedImageUrl = analysis.RoiTest.ExtractedImageFile != null ? GetDebugImageUrl(analysis.RoiTest.ExtractedImageFile) : null,
+                        ProcessedImageUrl = analysis.RoiTest.ProcessedImageFile != null ? GetDebugImageUrl(analysis.RoiTest.ProcessedImageFile) : null,
+                        Error = analysis.RoiTest.ErrorMessage
+                    },
+                    analysis.Timestamp
+                });
+            }
+            catch (ArgumentException ex)
+            {
+                return BadRequest(new { Error = ex.Message });
+            }
+            catch (OperationCanceledException) when (HttpContext.RequestAborted.IsCancellationRequested)
+            {
+                return new EmptyResult();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to analyze camera setup");
+                return StatusCode(500, new { Error = "Failed to analyze camera setup" });
+            }
+        }
+
+        /// <summary>
+        /// Save the ROI as a profile and apply the camera settings together
+        /// </summary>
+        [HttpPost("save")]
+        [Authorize(Policy = DashboardPolicies.Operator)]
+        public async Task<IActionResult> Save([FromBody] CameraSetupSaveRequest request)
+        {
+            try
+            {
+                if (!ModelState.IsValid)
+                {
+                    return BadRequest(ModelState);
+                }
+
+                var savedBy = User.Identity?.IsAuthenticated == true ? User.Identity.Name : request.SavedBy;
+                var profile = await _cameraSetupService.SaveAsync(
+                    request.ProfileName, request.Roi, request.Camera, savedBy ?? string.Empty, request.SourceImage);
+
+                return Ok(new
+                {
+                    Message = $"Saved ROI profile {profile.Name} v{profile.Version} and applied camera settings",
+                    ProfileId = profile.Id,
+                    profile.Name,
+                    profile.Version,
+                    Timestamp = DateTime.UtcNow
+                });
+            }
+            catch (ArgumentException ex)
+            {
+                return BadRequest(new { Error = ex.Message });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to save camera setup {Name}", request.ProfileName);
+                return StatusCode(500, new { Error = "Failed to save camera setup" });
+            }
+        }
+
+        private static string GetDebugImageUrl(string filename)
+        {
+            return $"/api/debugimages/image/{Uri.EscapeDataString(filename)}";
+        }
+    }
+
+    /// <summary>
+    /// Request model for a setup analysis; omitted values use the current configuration
+    /// </summary>
+    public class CameraSetupAnalyzeRequest
+    {
+        public RoiCoordinates? Roi { get; set; }
+
+        public CameraSetupSettings? Camera { get; set; }
+
+        /// <summary>
+        /// Also run OCR on the ROI (slower, used by the final wizard step)
+        /// </summary>
+        public bool RunOcr { get; set; }
+    }
+
+    /// <summary>
+    /// Request model for saving the wizard result
+    /// </summary>
+    public class CameraSetupSaveRequest
+    {
+        [Required]
+        [StringLength(100, MinimumLength = 1)]
+        public string ProfileName { get; set; } = string.Empty;
+
+        [Required]
+        public RoiCoordinates Roi { get; set; } = new();
+
+        public CameraSetupSettings? Camera { get; set; }
+
+        [StringLength(100)]
+        public string? SavedBy { get; set; }
+
+        /// <summary>
+        /// Setup frame the ROI was fitted on, used for the profile thumbnail
+        /// </summary>
+        [StringLength(260)]
+        public string? SourceImage { get; set; }
+    }
+}
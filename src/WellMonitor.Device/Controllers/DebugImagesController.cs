@@ -1,7 +1,9 @@
+using Microsoft.AspNetCore.Authorization;
 using Microsoft.AspNetCore.Mvc;
 using Microsoft.Extensions.Logging;
 using Microsoft.Extensions.Options;
 using WellMonitor.Device.Models;
+using WellMonitor.Device.Services;
 using System.Text.Json;
 
 namespace WellMonitor.Device.Controllers
@@ -16,58 +18,55 @@ namespace WellMonitor.Device.Controllers
     {
         private readonly ILogger<DebugImagesController> _logger;
         private readonly IOptionsMonitor<CameraOptions> _cameraOptions;
+        private readonly IOptionsMonitor<DebugOptions> _debugOptions;
+        private readonly IDebugImageService _debugImageService;
 
         public DebugImagesController(
             ILogger<DebugImagesController> logger,
-            IOptionsMonitor<CameraOptions> cameraOptions)
+            IOptionsMonitor<CameraOptions> cameraOptions,
+            IOptionsMonitor<DebugOptions> debugOptions,
+            IDebugImageService debugImageService)
         {
             _logger = logger;
             _cameraOptions = cameraOptions;
+            _debugOptions = debugOptions;
+            _debugImageService = debugImageService;
         }
 
         /// <summary>
-        /// Get list of recent debug images
+        /// Get one page of debug images, newest first
         /// </summary>
+        /// <param name="type">original, roi_extracted, roi_overlay or roi_processed; all types when omitted</param>
+        /// <param name="from">Inclusive start of the capture time range</param>
+        /// <param name="to">Exclusive end of the capture time range</param>
         [HttpGet]
-        public IActionResult GetRecentImages([FromQuery] int count = 10, [FromQuery] string? type = null)
+        public IActionResult GetImages(
+            [FromQuery] int page = 1,
+            [FromQuery] int pageSize = 24,
+            [FromQuery] string? type = null,
+            [FromQuery] DateTime? from = null,
+            [FromQuery] DateTime? to = null)
         {
             try
             {
-                var debugPath = GetDebugImagePath();
-                if (string.IsNullOrEmpty(debugPath) || !Directory.Exists(debugPath))
-                {
-                    return Ok(new { Images = Array.Empty<object>(), Message = "Debug images directory not found" });
-                }
-
-                var imageFiles = Directory.GetFiles(debugPath, "*.jpg")
-                    .Concat(Directory.GetFiles(debugPath, "*.png"))
-                    .OrderByDescending(f => new FileInfo(f).CreationTime)
-                    .Take(count)
-                    .Select(f => new
-                    {
-                        Filename = Path.GetFileName(f),
-                        Size = new FileInfo(f).Length,
-                        Created = new FileInfo(f).CreationTime,
-                        Type = GetImageType(Path.GetFileName(f)),
-                        Url = $"/api/debugimages/image/{Path.GetFileName(f)}"
-                    })
-                    .ToList();
-
-                if (!string.IsNullOrEmpty(type))
-                {
-                    imageFiles = imageFiles.Where(img => img.Type.Equals(type, StringComparison.OrdinalIgnoreCase)).ToList();
-                }
-
-                return Ok(new
+                var result = _debugImageService.GetImages(new DebugImageQuery
                 {
-                    Images = imageFiles,
-                    TotalCount = imageFiles.Count,
-                    DebugPath = debugPath
+                    Page = page,
+                    PageSize = pageSize,
+                    Type = type,
+                    FromUtc = from?.ToUniversalTime(),
+                    ToUtc = to?.ToUniversalTime()
                 });
+
+                return Ok(result);
+            }
+            catch (ArgumentException ex)
+            {
+                return BadRequest(new { Error = ex.Message });
             }
             catch (Exception ex)
             {
-                _logger.LogError(ex, "Failed to get recent debug images");
+                _logger.LogError(ex, "Failed to get debug images");
                 return StatusCode(500, new { Error = "Failed to retrieve debug images" });
             }
         }
@@ -87,7 +86,7 @@ namespace WellMonitor.Device.Controllers
                 }
 
                 var filePath = Path.Combine(debugPath, filename);
-                if (!System.IO.File.Exists(filePath))
+                if (Path.GetFileName(filename) != filename || !System.IO.File.Exists(filePath))
                 {
                     return NotFound($"Image '{filename}' not found");
                 }
@@ -105,36 +104,19 @@ namespace WellMonitor.Device.Controllers
         }
 
         /// <summary>
-        /// Get debug image metadata
+        /// Get debug image metadata, including the other images saved from the same capture
         /// </summary>
         [HttpGet("metadata/{filename}")]
         public IActionResult GetImageMetadata(string filename)
         {
             try
             {
-                var debugPath = GetDebugImagePath();
-                if (string.IsNullOrEmpty(debugPath))
-                {
-                    return NotFound("Debug images path not configured");
-                }
-
-                var filePath = Path.Combine(debugPath, filename);
-                if (!System.IO.File.Exists(filePath))
+                var metadata = _debugImageService.GetMetadata(filename);
+                if (metadata == null)
                 {
                     return NotFound($"Image '{filename}' not found");
                 }
 
-                var fileInfo = new FileInfo(filePath);
-                var metadata = new
-                {
-                    Filename = filename,
-                    Size = fileInfo.Length,
-                    Created = fileInfo.CreationTime,
-                    Modified = fileInfo.LastWriteTime,
-                    Type = GetImageType(filename),
-                    Path = filePath
-                };
-
                 return Ok(metadata);
             }
             catch (Exception ex)
@@ -152,28 +134,7 @@ namespace WellMonitor.Device.Controllers
         {
             try
             {
-                var debugPath = GetDebugImagePath();
-                if (string.IsNullOrEmpty(debugPath) || !Directory.Exists(debugPath))
-                {
-                    return Ok(new { TotalImages = 0, TotalSize = 0, Message = "Debug images directory not found" });
-                }
-
-                var imageFiles = Directory.GetFiles(debugPath, "*.jpg")
-                    .Concat(Directory.GetFiles(debugPath, "*.png"))
-                    .ToList();
-
-                var totalSize = imageFiles.Sum(f => new FileInfo(f).Length);
-                var stats = new
-                {
-                    TotalImages = imageFiles.Count,
-                    TotalSize = totalSize,
-                    TotalSizeMB = Math.Round(totalSize / (1024.0 * 1024.0), 2),
-                    OldestImage = imageFiles.Any() ? imageFiles.Min(f => new FileInfo(f).CreationTime) : (DateTime?)null,
-                    NewestImage = imageFiles.Any() ? imageFiles.Max(f => new FileInfo(f).CreationTime) : (DateTime?)null,
-                    DebugPath = debugPath
-                };
-
-                return Ok(stats);
+                return Ok(_debugImageService.GetStats());
             }
             catch (Exception ex)
             {
@@ -185,47 +146,30 @@ namespace WellMonitor.Device.Controllers
         /// <summary>
         /// Clean up old debug images
         /// </summary>
+        /// <param name="keepDays">Age in days of the images to keep; Debug:ImageRetentionDays when omitted</param>
         [HttpPost("cleanup")]
-        public IActionResult CleanupOldImages([FromQuery] int keepDays = 7)
+        [Authorize(Policy = DashboardPolicies.Admin)]
+        public IActionResult CleanupOldImages([FromQuery] int? keepDays = null)
         {
             try
             {
-                var debugPath = GetDebugImagePath();
-                if (string.IsNullOrEmpty(debugPath) || !Directory.Exists(debugPath))
-                {
-                    return Ok(new { Message = "Debug images directory not found", DeletedFiles = 0 });
-                }
-
-                var cutoffDate = DateTime.Now.AddDays(-keepDays);
-                var imageFiles = Directory.GetFiles(debugPath, "*.jpg")
-                    .Concat(Directory.GetFiles(debugPath, "*.png"))
-                    .Where(f => new FileInfo(f).CreationTime < cutoffDate)
-                    .ToList();
-
-                var deletedCount = 0;
-                foreach (var file in imageFiles)
-                {
-                    try
-                    {
-                        System.IO.File.Delete(file);
-                        deletedCount++;
-                    }
-                    catch (Exception ex)
-                    {
-                        _logger.LogWarning(ex, "Failed to delete debug image: {File}", file);
-                    }
-                }
-
-                _logger.LogInformation("Cleaned up {DeletedCount} debug images older than {KeepDays} days", deletedCount, keepDays);
+                // Without keepDays the configured retention applies, the same as the daily automatic cleanup
+                var days = keepDays ?? _debugOptions.CurrentValue.ImageRetentionDays;
+                var result = _debugImageService.DeleteImagesOlderThan(days);
 
                 return Ok(new
                 {
-                    Message = $"Cleanup completed",
-                    DeletedFiles = deletedCount,
-                    KeepDays = keepDays,
-                    CutoffDate = cutoffDate
+                    Message = "Cleanup completed",
+                    result.DeletedFiles,
+                    result.FreedBytes,
+                    result.KeepDays,
+                    CutoffDate = result.CutoffUtc
                 });
             }
+            catch (ArgumentException ex)
+            {
+                return BadRequest(new { Error = ex.Message });
+            }
             catch (Exception ex)
             {
                 _logger.LogError(ex, "Failed to cleanup old debug images");
@@ -237,36 +181,7 @@ namespace WellMonitor.Device.Controllers
 
         private string? GetDebugImagePath()
         {
-            var cameraOptions = _cameraOptions.CurrentValue;
-            var debugPath = cameraOptions?.DebugImagePath;
-            
-            if (string.IsNullOrEmpty(debugPath))
-            {
-                return "debug_images"; // Default path
-            }
-
-            // Handle relative paths
-            if (!Path.IsPathRooted(debugPath))
-            {
-                var appDirectory = AppDomain.CurrentDomain.BaseDirectory;
-                return Path.Combine(appDirectory, debugPath);
-            }
-
-            return debugPath;
-        }
-
-        private string GetImageType(string filename)
-        {
-            var name = filename.ToLowerInvariant();
-            
-            if (name.Contains("normal")) return "normal";
-            if (name.Contains("idle")) return "idle";
-            if (name.Contains("dry")) return "dry";
-            if (name.Contains("rcyc")) return "rcyc";
-            if (name.Contains("off")) return "off";
-            if (name.Contains("live")) return "live";
-            
-            return "unknown";
+            return _cameraOptions.CurrentValue?.GetDebugImageDirectory();
         }
 
         #endregion
@@ -1,5 +1,7 @@
 using Microsoft.AspNetCore.Mvc;
 using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using WellMonitor.Device.Models;
 using WellMonitor.Device.Services;
 using System.Diagnostics;
 
@@ -17,17 +19,41 @@ namespace WellMonitor.Device.Controllers
         private readonly IDatabaseService _databaseService;
         private readonly ICameraService _cameraService;
         private readonly IGpioService _gpioService;
+        private readonly IHistoryService _historyService;
+        private readonly IPumpCycleService _pumpCycleService;
+        private readonly IEnergyService _energyService;
+        private readonly IOcrService _ocrService;
+        private readonly IOcrLabelService _ocrLabelService;
+        private readonly IOptionsMonitor<OcrOptions> _ocrOptions;
+        private readonly ISystemHealthService _systemHealthService;
+        private readonly IOptionsMonitor<SystemHealthOptions> _systemHealthOptions;
 
         public DeviceStatusController(
             ILogger<DeviceStatusController> logger,
             IDatabaseService databaseService,
             ICameraService cameraService,
-            IGpioService gpioService)
+            IGpioService gpioService,
+            IHistoryService historyService,
+            IPumpCycleService pumpCycleService,
+            IEnergyService energyService,
+            IOcrService ocrService,
+            IOcrLabelService ocrLabelService,
+            IOptionsMonitor<OcrOptions> ocrOptions,
+            ISystemHealthService systemHealthService,
+            IOptionsMonitor<SystemHealthOptions> systemHealthOptions)
         {
             _logger = logger;
             _databaseService = databaseService;
             _cameraService = cameraService;
             _gpioService = gpioService;
+            _historyService = historyService;
+            _pumpCycleService = pumpCycleService;
+            _energyService = energyService;
+            _ocrService = ocrService;
+            _ocrLabelService = ocrLabelService;
+            _ocrOptions = ocrOptions;
+            _systemHealthService = systemHealthService;
+            _systemHealthOptions = systemHealthOptions;
         }
 
         /// <summary>
@@ -42,30 +68,41 @@ namespace WellMonitor.Device.Controllers
                 var recentReadings = await _databaseService.GetReadingsAsync(
                     DateTime.UtcNow.AddHours(-1), DateTime.UtcNow);
                 var latestReading = recentReadings.OrderByDescending(r => r.TimestampUtc).FirstOrDefault();
+                var energyOptions = await _energyService.GetOptionsAsync();
 
                 var pumpStatus = new
                 {
                     Status = latestReading?.Status ?? "Unknown",
                     CurrentDraw = latestReading?.CurrentAmps ?? 0.0,
-                    PowerConsumption = Math.Round((latestReading?.CurrentAmps ?? 0.0) * 240 / 1000, 2),
-                    LastReading = latestReading?.TimestampUtc ?? DateTime.MinValue
+                    PowerConsumption = Math.Round(energyOptions.ToKilowatts(latestReading?.CurrentAmps ?? 0.0), 2),
+                    LastReading = latestReading != null
+                        ? DateTime.SpecifyKind(latestReading.TimestampUtc, DateTimeKind.Utc)
+                        : DateTime.MinValue
                 };
 
+                // Metrics the platform doesn't expose (e.g. temperature off the Pi) are null
+                var health = _systemHealthService.GetCurrent();
                 var systemStatus = new
                 {
                     Uptime = GetSystemUptime(),
-                    CpuUsage = GetCpuUsage(),
-                    MemoryUsage = GetMemoryUsage(),
-                    StorageUsage = GetStorageUsage(),
-                    Temperature = GetSystemTemperature()
+                    CpuUsage = health.CpuPercent,
+                    MemoryUsage = health.MemoryPercent,
+                    StorageUsage = health.StoragePercent,
+                    Temperature = health.TemperatureCelsius
                 };
 
+                // Success rate and confidence are since the last statistics reset; accuracy is measured
+                // against the labelled OCR dataset and stays null until something has been labelled
+                var ocrRuntime = _ocrService.GetStatistics();
+                var ocrAccuracy = await _ocrLabelService.GetAccuracyReportAsync();
                 var ocrStatistics = new
                 {
-                    SuccessRate = 85.0, // TODO: Calculate from database
-                    AverageConfidence = 78.5, // TODO: Calculate from database  
-                    TotalProcessed = recentReadings.Count(),
-                    CurrentProvider = "Tesseract"
+                    SuccessRate = ocrRuntime.TotalOperations > 0 ? Math.Round(ocrRuntime.SuccessRate * 100, 1) : (double?)null,
+                    AverageConfidence = ocrRuntime.SuccessfulOperations > 0 ? Math.Round(ocrRuntime.AverageConfidence * 100, 1) : (double?)null,
+                    Accuracy = ocrAccuracy.Accuracy.HasValue ? Math.Round(ocrAccuracy.Accuracy.Value * 100, 1) : (double?)null,
+                    LabeledImages = ocrAccuracy.LabelCount,
+                    TotalProcessed = ocrRuntime.TotalOperations,
+                    CurrentProvider = _ocrOptions.CurrentValue.Provider
                 };
 
                 return Ok(new
@@ -169,36 +206,49 @@ namespace WellMonitor.Device.Controllers
         }
 
         /// <summary>
-        /// Manual relay cycle endpoint
+        /// Get current draw history for a time range (UTC)
+        /// Ranges longer than two days are served from the hourly, daily or monthly summaries
         /// </summary>
-        [HttpPost("manual-cycle")]
-        public async Task<IActionResult> ManualRelayCycle()
+        [HttpGet("history/range")]
+        public async Task<IActionResult> GetHistoryRange([FromQuery] DateTime from, [FromQuery] DateTime to)
         {
             try
             {
-                // Cycle the relay (turn off for 5 seconds, then back on)
-                _gpioService.SetRelayState(false);
-                await Task.Delay(5000);
-                _gpioService.SetRelayState(true);
-
-                // Log the manual action
-                var relayLog = new WellMonitor.Shared.Models.RelayActionLog
-                {
-                    TimestampUtc = DateTime.UtcNow,
-                    Action = "ManualCycle",
-                    Reason = "WebDashboard",
-                    Synced = false
-                };
-
-                await _databaseService.AddRelayActionLogAsync(relayLog);
+                var history = await _historyService.GetHistoryAsync(from.ToUniversalTime(), to.ToUniversalTime());
+                return Ok(history);
+            }
+            catch (ArgumentException ex)
+            {
+                return BadRequest(new { Error = ex.Message });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to get reading history from {From} to {To}", from, to);
+                return StatusCode(500, new { Error = "Failed to retrieve reading history" });
+            }
+        }
 
-                _logger.LogInformation("Manual relay cycle completed via web dashboard");
-                return Ok(new { Message = "Relay cycled successfully", Timestamp = DateTime.UtcNow });
+        /// <summary>
+        /// Get pump run cycles and run-time statistics for a time range (UTC)
+        /// utcOffsetMinutes sets the time zone used to group cycles into days
+        /// </summary>
+        [HttpGet("cycles")]
+        public async Task<IActionResult> GetPumpCycles([FromQuery] DateTime from, [FromQuery] DateTime to, [FromQuery] int utcOffsetMinutes = 0)
+        {
+            try
+            {
+                var analysis = await _pumpCycleService.AnalyzeCyclesAsync(
+                    from.ToUniversalTime(), to.ToUniversalTime(), TimeSpan.FromMinutes(utcOffsetMinutes));
+                return Ok(analysis);
+            }
+            catch (ArgumentException ex)
+            {
+                return BadRequest(new { Error = ex.Message });
             }
             catch (Exception ex)
             {
-                _logger.LogError(ex, "Failed to cycle relay manually");
-                return StatusCode(500, new { Error = "Failed to cycle relay" });
+                _logger.LogError(ex, "Failed to analyze pump cycles from {From} to {To}", from, to);
+                return StatusCode(500, new { Error = "Failed to analyze pump cycles" });
             }
         }
 
@@ -251,8 +301,8 @@ namespace WellMonitor.Device.Controllers
         {
             try
             {
-                var storageUsage = GetStorageUsage();
-                var status = storageUsage > 90 ? "Warning" : "Healthy";
+                var storageUsage = _systemHealthService.GetCurrent().StoragePercent;
+                var status = storageUsage >= _systemHealthOptions.CurrentValue.StorageWarningPercent ? "Warning" : "Healthy";
                 return new { Status = status, UsagePercent = storageUsage };
             }
             catch (Exception ex)
@@ -267,39 +317,6 @@ namespace WellMonitor.Device.Controllers
             return $"{uptime.Days}d {uptime.Hours:D2}h {uptime.Minutes:D2}m";
         }
 
-        private double GetCpuUsage()
-        {
-            // Simplified CPU usage - in a real implementation, use performance counters
-            return Math.Round(Random.Shared.NextDouble() * 20 + 10, 1);
-        }
-
-        private double GetMemoryUsage()
-        {
-            var process = Process.GetCurrentProcess();
-            var totalMemory = GC.GetTotalMemory(false);
-            return Math.Round((double)totalMemory / (1024 * 1024 * 1024) * 100, 1);
-        }
-
-        private double GetStorageUsage()
-        {
-            try
-            {
-                var drive = new DriveInfo("/");
-                var usedSpace = drive.TotalSize - drive.AvailableFreeSpace;
-                return Math.Round((double)usedSpace / drive.TotalSize * 100, 1);
-            }
-            catch
-            {
-                return 0;
-            }
-        }
-
-        private double GetSystemTemperature()
-        {
-            // Simplified temperature reading - in real implementation, read from sensors
-            return Math.Round(Random.Shared.NextDouble() * 15 + 35, 1);
-        }
-
         #endregion
     }
 }
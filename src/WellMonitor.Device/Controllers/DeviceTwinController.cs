@@ -0,0 +1,79 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Logging;
+using WellMonitor.Device.Models;
+using WellMonitor.Device.Services;
+
+namespace WellMonitor.Device.Controllers
+{
+    /// <summary>
+    /// API controller for the configuration page: device twin desired/reported properties against the running options
+    /// </summary>
+    [ApiController]
+    [Route("api/[controller]")]
+    public class DeviceTwinController : ControllerBase
+    {
+        private readonly ILogger<DeviceTwinController> _logger;
+        private readonly IDeviceTwinConfigurationService _twinConfigurationService;
+        private readonly IBackupService _backupService;
+
+        public DeviceTwinController(
+            ILogger<DeviceTwinController> logger,
+            IDeviceTwinConfigurationService twinConfigurationService,
+            IBackupService backupService)
+        {
+            _logger = logger;
+            _twinConfigurationService = twinConfigurationService;
+            _backupService = backupService;
+        }
+
+        /// <summary>
+        /// Get desired, reported and effective values for each runtime options class, with the last sync status
+        /// </summary>
+        [HttpGet("configuration")]
+        public async Task<IActionResult> GetConfiguration(CancellationToken cancellationToken)
+        {
+            try
+            {
+                return Ok(await _twinConfigurationService.GetConfigurationAsync(cancellationToken));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to get device twin configuration");
+                return StatusCode(500, new { Error = "Failed to get device twin configuration" });
+            }
+        }
+
+        /// <summary>
+        /// Apply the desired properties now; this replaces settings changed from the dashboard since the last sync,
+        /// including a configuration restored from a backup, which is then no longer re-applied at startup
+        /// A failed sync still returns 200 with the error in the status
+        /// </summary>
+        [HttpPost("sync")]
+        [Authorize(Policy = DashboardPolicies.Admin)]
+        public async Task<IActionResult> Sync(CancellationToken cancellationToken)
+        {
+            try
+            {
+                var status = await _twinConfigurationService.SyncAsync(DeviceTwinSyncTriggers.Dashboard, cancellationToken);
+                if (status.LastAttemptSucceeded)
+                {
+                    await _backupService.ClearSavedConfigurationAsync();
+                }
+
+                _logger.LogInformation("Device twin sync requested from the dashboard by {User}: {Result}",
+                    User.Identity?.Name ?? "anonymous", status.LastAttemptSucceeded ? "applied" : status.LastError);
+                return Ok(status);
+            }
+            catch (InvalidOperationException ex)
+            {
+                return Conflict(new { Error = ex.Message });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to sync device twin configuration");
+                return StatusCode(500, new { Error = "Failed to sync device twin configuration" });
+            }
+        }
+    }
+}
@@ -0,0 +1,96 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Logging;
+using WellMonitor.Device.Models;
+using WellMonitor.Device.Services;
+
+namespace WellMonitor.Device.Controllers
+{
+    /// <summary>
+    /// API controller for energy use and cost reporting
+    /// Provides endpoints for energy settings and kWh/cost reports
+    /// </summary>
+    [ApiController]
+    [Route("api/[controller]")]
+    public class EnergyController : ControllerBase
+    {
+        private readonly ILogger<EnergyController> _logger;
+        private readonly IEnergyService _energyService;
+
+        public EnergyController(
+            ILogger<EnergyController> logger,
+            IEnergyService energyService)
+        {
+            _logger = logger;
+            _energyService = energyService;
+        }
+
+        /// <summary>
+        /// Get supply and tariff settings
+        /// </summary>
+        [HttpGet("settings")]
+        public async Task<IActionResult> GetSettings()
+        {
+            try
+            {
+                return Ok(await _energyService.GetOptionsAsync());
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to get energy settings");
+                return StatusCode(500, new { Error = "Failed to get energy settings" });
+            }
+        }
+
+        /// <summary>
+        /// Save supply and tariff settings
+        /// </summary>
+        [HttpPut("settings")]
+        [Authorize(Policy = DashboardPolicies.Admin)]
+        public async Task<IActionResult> UpdateSettings([FromBody] EnergyOptions options)
+        {
+            try
+            {
+                await _energyService.SaveOptionsAsync(options);
+                return Ok(new { Success = true, Message = "Energy settings saved", Settings = options });
+            }
+            catch (ArgumentException ex)
+            {
+                return BadRequest(new { Error = ex.Message });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to save energy settings");
+                return StatusCode(500, new { Error = "Failed to save energy settings" });
+            }
+        }
+
+        /// <summary>
+        /// Get kWh and estimated cost per day, week or month for a time range (UTC)
+        /// utcOffsetMinutes sets the time zone used for periods and time-of-use windows
+        /// </summary>
+        [HttpGet("report")]
+        public async Task<IActionResult> GetReport(
+            [FromQuery] DateTime from,
+            [FromQuery] DateTime to,
+            [FromQuery] string period = EnergyPeriod.Day,
+            [FromQuery] int utcOffsetMinutes = 0)
+        {
+            try
+            {
+                var report = await _energyService.GetReportAsync(
+                    from.ToUniversalTime(), to.ToUniversalTime(), period, TimeSpan.FromMinutes(utcOffsetMinutes));
+                return Ok(report);
+            }
+            catch (ArgumentException ex)
+            {
+                return BadRequest(new { Error = ex.Message });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to build energy report from {From} to {To}", from, to);
+                return StatusCode(500, new { Error = "Failed to build energy report" });
+            }
+        }
+    }
+}
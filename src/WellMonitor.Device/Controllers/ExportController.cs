@@ -0,0 +1,82 @@
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Logging;
+using WellMonitor.Device.Models;
+using WellMonitor.Device.Services;
+
+namespace WellMonitor.Device.Controllers
+{
+    /// <summary>
+    /// API controller for exporting readings, relay actions and energy summaries
+    /// </summary>
+    [ApiController]
+    [Route("api/[controller]")]
+    public class ExportController : ControllerBase
+    {
+        private readonly ILogger<ExportController> _logger;
+        private readonly IDataExportService _dataExportService;
+
+        public ExportController(ILogger<ExportController> logger, IDataExportService dataExportService)
+        {
+            _logger = logger;
+            _dataExportService = dataExportService;
+        }
+
+        /// <summary>
+        /// Download a dataset over a range; rows are streamed as they are read, so large ranges are fine
+        /// </summary>
+        /// <param name="dataset">readings, relay-actions, hourly-summaries, daily-summaries or monthly-summaries</param>
+        /// <param name="format">csv, json or parquet</param>
+        /// <param name="to">End of the range, exclusive</param>
+        [HttpGet]
+        public async Task<IActionResult> Export(
+            [FromQuery] string dataset,
+            [FromQuery] DateTime from,
+            [FromQuery] DateTime to,
+            [FromQuery] string format = ExportFormats.Csv)
+        {
+            var request = new DataExportRequest
+            {
+                Dataset = dataset,
+                Format = format,
+                FromUtc = from.ToUniversalTime(),
+                ToUtc = to.ToUniversalTime()
+            };
+
+            DataExportFile file;
+            try
+            {
+                file = _dataExportService.GetExportFile(request);
+            }
+            catch (ArgumentException ex)
+            {
+                return BadRequest(new { Error = ex.Message });
+            }
+
+            Response.ContentType = file.ContentType;
+            Response.Headers.ContentDisposition = $"attachment; filename=\"{file.FileName}\"";
+
+            try
+            {
+                await _dataExportService.ExportAsync(request, Response.Body, HttpContext.RequestAborted);
+            }
+            catch (OperationCanceledException) when (HttpContext.RequestAborted.IsCancellationRequested)
+            {
+                _logger.LogInformation("Export of {Dataset} cancelled by the client", dataset);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to export {Dataset}", dataset);
+
+                // Once rows have gone out the status is sent, so the client only sees a cut-off file
+                if (!Response.HasStarted)
+                {
+                    Response.Headers.Remove("Content-Disposition");
+                    return StatusCode(500, new { Error = "Failed to export data" });
+                }
+                HttpContext.Abort();
+            }
+
+            return new EmptyResult();
+        }
+    }
+}
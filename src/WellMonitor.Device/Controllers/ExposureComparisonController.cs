@@ -0,0 +1,132 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Logging;
+using WellMonitor.Device.Models;
+using WellMonitor.Device.Services;
+
+namespace WellMonitor.Device.Controllers
+{
+    /// <summary>
+    /// API controller for comparing camera exposure settings by OCR result
+    /// </summary>
+    [ApiController]
+    [Route("api/[controller]")]
+    public class ExposureComparisonController : ControllerBase
+    {
+        private readonly ILogger<ExposureComparisonController> _logger;
+        private readonly IExposureComparisonService _comparisonService;
+
+        public ExposureComparisonController(
+            ILogger<ExposureComparisonController> logger,
+            IExposureComparisonService comparisonService)
+        {
+            _logger = logger;
+            _comparisonService = comparisonService;
+        }
+
+        /// <summary>
+        /// Capture one frame per variant and return them ranked best first
+        /// </summary>
+        [HttpPost]
+        [Authorize(Policy = DashboardPolicies.Operator)]
+        public async Task<IActionResult> Run([FromBody] ExposureComparisonRequest request)
+        {
+            try
+            {
+                var result = await _comparisonService.RunAsync(request, HttpContext.RequestAborted);
+                return Ok(ToResponse(result));
+            }
+            catch (ArgumentException ex)
+            {
+                return BadRequest(new { Error = ex.Message });
+            }
+            catch (InvalidOperationException ex)
+            {
+                return Conflict(new { Error = ex.Message });
+            }
+            catch (OperationCanceledException) when (HttpContext.RequestAborted.IsCancellationRequested)
+            {
+                return new EmptyResult();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to run exposure comparison");
+                return StatusCode(500, new { Error = "Failed to run exposure comparison" });
+            }
+        }
+
+        /// <summary>
+        /// Most recent comparison, so the grid survives a page reload
+        /// </summary>
+        [HttpGet("last")]
+        public IActionResult GetLast()
+        {
+            var result = _comparisonService.GetLastResult();
+            return result == null ? NoContent() : Ok(ToResponse(result));
+        }
+
+        /// <summary>
+        /// Apply the chosen variant to the running camera configuration
+        /// </summary>
+        [HttpPost("apply")]
+        [Authorize(Policy = DashboardPolicies.Admin)]
+        public async Task<IActionResult> Apply([FromBody] CameraSetupSettings settings)
+        {
+            try
+            {
+                var options = await _comparisonService.ApplyAsync(settings);
+                return Ok(new
+                {
+                    Message = "Camera settings applied",
+                    ExposureMode = options.ExposureMode.ToString(),
+                    options.Brightness,
+                    options.Contrast,
+                    options.Gain,
+                    options.ShutterSpeedMicroseconds,
+                    Timestamp = DateTime.UtcNow
+                });
+            }
+            catch (ArgumentException ex)
+            {
+                return BadRequest(new { Error = ex.Message });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to apply exposure comparison settings");
+                return StatusCode(500, new { Error = "Failed to apply camera settings" });
+            }
+        }
+
+        private static object ToResponse(ExposureComparisonResult result)
+        {
+            return new
+            {
+                result.StartedUtc,
+                result.CompletedUtc,
+                result.Roi,
+                result.ExpectedReading,
+                result.ReferenceReading,
+                Frames = result.Frames.Select(f => new
+                {
+                    f.Rank,
+                    f.Settings,
+                    f.Label,
+                    ImageUrl = f.ImageFile != null ? GetDebugImageUrl(f.ImageFile) : null,
+                    ProcessedImageUrl = f.ProcessedImageFile != null ? GetDebugImageUrl(f.ProcessedImageFile) : null,
+                    f.Text,
+                    f.Confidence,
+                    f.Reading,
+                    f.PumpStatus,
+                    f.Correct,
+                    f.Error,
+                    f.DurationMs
+                })
+            };
+        }
+
+        private static string GetDebugImageUrl(string filename)
+        {
+            return $"/api/debugimages/image/{Uri.EscapeDataString(filename)}";
+        }
+    }
+}
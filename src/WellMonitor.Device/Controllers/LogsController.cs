@@ -0,0 +1,203 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using System.Text;
+using System.Text.Json;
+using WellMonitor.Device.Models;
+using WellMonitor.Device.Services;
+
+namespace WellMonitor.Device.Controllers
+{
+    /// <summary>
+    /// API controller for the log viewer: recent service log entries and runtime log settings
+    /// New entries are pushed over the hub to clients that called JoinLogStream
+    /// </summary>
+    [ApiController]
+    [Route("api/[controller]")]
+    public class LogsController : ControllerBase
+    {
+        private static readonly JsonSerializerOptions DownloadJsonOptions = new(JsonSerializerDefaults.Web) { WriteIndented = true };
+
+        private readonly ILogger<LogsController> _logger;
+        private readonly ILogStreamService _logStream;
+        private readonly IRuntimeConfigurationService _runtimeConfigurationService;
+        private readonly IOptionsMonitor<DebugOptions> _debugOptions;
+
+        public LogsController(
+            ILogger<LogsController> logger,
+            ILogStreamService logStream,
+            IRuntimeConfigurationService runtimeConfigurationService,
+            IOptionsMonitor<DebugOptions> debugOptions)
+        {
+            _logger = logger;
+            _logStream = logStream;
+            _runtimeConfigurationService = runtimeConfigurationService;
+            _debugOptions = debugOptions;
+        }
+
+        /// <summary>
+        /// Get the most recent log entries matching the filters, oldest first
+        /// </summary>
+        /// <param name="minLevel">Lowest level to include: Trace, Debug, Information, Warning, Error or Critical</param>
+        /// <param name="area">Camera, OCR, GPIO, Sync or Other; all areas when omitted</param>
+        /// <param name="afterSequence">Only entries after this sequence number, to catch up after a reconnect</param>
+        [HttpGet]
+        [Authorize(Policy = DashboardPolicies.Operator)]
+        public IActionResult GetEntries(
+            [FromQuery] string? minLevel = null,
+            [FromQuery] string? area = null,
+            [FromQuery] string? text = null,
+            [FromQuery] DateTime? from = null,
+            [FromQuery] DateTime? to = null,
+            [FromQuery] long? afterSequence = null,
+            [FromQuery] int limit = 500)
+        {
+            try
+            {
+                return Ok(_logStream.Query(new LogQuery
+                {
+                    MinLevel = minLevel,
+                    Area = area,
+                    Text = text,
+                    FromUtc = from?.ToUniversalTime(),
+                    ToUtc = to?.ToUniversalTime(),
+                    AfterSequence = afterSequence,
+                    Limit = limit
+                }));
+            }
+            catch (ArgumentException ex)
+            {
+                return BadRequest(new { Error = ex.Message });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to get log entries");
+                return StatusCode(500, new { Error = "Failed to get log entries" });
+            }
+        }
+
+        /// <summary>
+        /// Download the log entries matching the filters as a text log or JSON with the structured values
+        /// </summary>
+        /// <param name="format">text or json</param>
+        [HttpGet("download")]
+        [Authorize(Policy = DashboardPolicies.Operator)]
+        public IActionResult Download(
+            [FromQuery] string? minLevel = null,
+            [FromQuery] string? area = null,
+            [FromQuery] string? text = null,
+            [FromQuery] DateTime? from = null,
+            [FromQuery] DateTime? to = null,
+            [FromQuery] string format = "text")
+        {
+            try
+            {
+                if (format != "text" && format != "json")
+                {
+                    return BadRequest(new { Error = "Format must be text or json" });
+                }
+
+                var entries = _logStream.Query(new LogQuery
+                {
+                    MinLevel = minLevel,
+                    Area = area,
+                    Text = text,
+                    FromUtc = from?.ToUniversalTime(),
+                    ToUtc = to?.ToUniversalTime(),
+                    Limit = LogQuery.MaxLimit
+                });
+                var filename = $"wellmonitor-logs-{DateTime.UtcNow:yyyyMMdd-HHmmss}";
+
+                if (format == "json")
+                {
+                    return File(JsonSerializer.SerializeToUtf8Bytes(entries, DownloadJsonOptions), "application/json", $"{filename}.json");
+                }
+
+                var builder = new StringBuilder();
+                foreach (var entry in entries)
+                {
+                    builder.Append($"{entry.TimestampUtc:yyyy-MM-ddTHH:mm:ss.fffZ} [{entry.Level}] {entry.Category}: {entry.Message}\n");
+                    if (entry.Exception != null)
+                    {
+                        builder.Append(entry.Exception).Append('\n');
+                    }
+                }
+                return File(Encoding.UTF8.GetBytes(builder.ToString()), "text/plain", $"{filename}.log");
+            }
+            catch (ArgumentException ex)
+            {
+                return BadRequest(new { Error = ex.Message });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to download log entries");
+                return StatusCode(500, new { Error = "Failed to download log entries" });
+            }
+        }
+
+        /// <summary>
+        /// Get the runtime log settings and how far back the log buffer goes
+        /// </summary>
+        [HttpGet("settings")]
+        [Authorize(Policy = DashboardPolicies.Operator)]
+        public IActionResult GetSettings()
+        {
+            return Ok(CreateSettings());
+        }
+
+        /// <summary>
+        /// Change Debug:LogLevel and Debug:EnableVerboseOcrLogging; lasts until restart or the next device twin sync
+        /// </summary>
+        [HttpPut("settings")]
+        [Authorize(Policy = DashboardPolicies.Admin)]
+        public async Task<IActionResult> UpdateSettings([FromBody] LogSettingsRequest request)
+        {
+            try
+            {
+                if (!RuntimeLogLevelFilter.TryParseLevel(request.LogLevel, out var level))
+                {
+                    return BadRequest(new { Error = $"Unknown log level '{request.LogLevel}'. Expected one of: {string.Join(", ", RuntimeLogLevelFilter.Levels)}" });
+                }
+
+                var updated = _debugOptions.CurrentValue.Clone();
+                updated.LogLevel = level.ToString();
+                updated.EnableVerboseOcrLogging = request.EnableVerboseOcrLogging;
+                await _runtimeConfigurationService.UpdateDebugOptionsAsync(updated);
+
+                _logger.LogInformation("Log level set to {LogLevel} (verbose OCR logging {VerboseOcr}) by {User}",
+                    updated.LogLevel, updated.EnableVerboseOcrLogging ? "on" : "off", User.Identity?.Name ?? "anonymous");
+                return Ok(CreateSettings());
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to update log settings");
+                return StatusCode(500, new { Error = "Failed to update log settings" });
+            }
+        }
+
+        private LogViewerSettings CreateSettings()
+        {
+            var debugOptions = _debugOptions.CurrentValue;
+            return new LogViewerSettings
+            {
+                LogLevel = debugOptions.LogLevel,
+                EnableVerboseOcrLogging = debugOptions.EnableVerboseOcrLogging,
+                Levels = RuntimeLogLevelFilter.Levels,
+                Areas = LogAreas.All,
+                BufferCapacity = _logStream.Capacity,
+                BufferedEntries = _logStream.Count,
+                OldestEntryUtc = _logStream.OldestEntryUtc
+            };
+        }
+    }
+
+    /// <summary>
+    /// Request model for changing the runtime log settings
+    /// </summary>
+    public class LogSettingsRequest
+    {
+        public string LogLevel { get; set; } = string.Empty;
+        public bool EnableVerboseOcrLogging { get; set; }
+    }
+}
@@ -0,0 +1,125 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Logging;
+using WellMonitor.Device.Models;
+using WellMonitor.Device.Services;
+
+namespace WellMonitor.Device.Controllers
+{
+    /// <summary>
+    /// API controller for benchmarking OCR providers and preprocessing on the labelled dataset
+    /// </summary>
+    [ApiController]
+    [Route("api/[controller]")]
+    public class OcrBenchmarkController : ControllerBase
+    {
+        private readonly ILogger<OcrBenchmarkController> _logger;
+        private readonly IOcrBenchmarkService _benchmarkService;
+
+        public OcrBenchmarkController(
+            ILogger<OcrBenchmarkController> logger,
+            IOcrBenchmarkService benchmarkService)
+        {
+            _logger = logger;
+            _benchmarkService = benchmarkService;
+        }
+
+        /// <summary>
+        /// Get the registered providers and the default preprocessing variants
+        /// </summary>
+        [HttpGet("options")]
+        public IActionResult GetOptions()
+        {
+            return Ok(new
+            {
+                Providers = _benchmarkService.GetProviders(),
+                Variants = _benchmarkService.GetDefaultVariants(),
+                OcrBenchmarkService.MaxVariants,
+                OcrBenchmarkService.MaxImages
+            });
+        }
+
+        /// <summary>
+        /// Read the chosen labelled images with every provider and variant and return the combinations ranked best first
+        /// </summary>
+        [HttpPost]
+        [Authorize(Policy = DashboardPolicies.Operator)]
+        public async Task<IActionResult> Run([FromBody] OcrBenchmarkRequest request)
+        {
+            try
+            {
+                return Ok(await _benchmarkService.RunAsync(request, HttpContext.RequestAborted));
+            }
+            catch (ArgumentException ex)
+            {
+                return BadRequest(new { Error = ex.Message });
+            }
+            catch (InvalidOperationException ex)
+            {
+                return Conflict(new { Error = ex.Message });
+            }
+            catch (OperationCanceledException) when (HttpContext.RequestAborted.IsCancellationRequested)
+            {
+                return new EmptyResult();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to run OCR benchmark");
+                return StatusCode(500, new { Error = "Failed to run OCR benchmark" });
+            }
+        }
+
+        /// <summary>
+        /// Most recent benchmark, so the table survives a page reload
+        /// </summary>
+        [HttpGet("last")]
+        public IActionResult GetLast()
+        {
+            var result = _benchmarkService.GetLastResult();
+            return result == null ? NoContent() : Ok(result);
+        }
+
+        /// <summary>
+        /// Make a provider and preprocessing variant from the last benchmark the active OCR configuration
+        /// </summary>
+        [HttpPost("apply")]
+        [Authorize(Policy = DashboardPolicies.Admin)]
+        public async Task<IActionResult> Apply([FromBody] ApplyOcrBenchmarkRequest request)
+        {
+            try
+            {
+                var options = await _benchmarkService.ApplyAsync(request.Provider, request.Variant);
+                return Ok(new
+                {
+                    Message = $"{options.Provider} is now the active OCR provider",
+                    options.Provider,
+                    options.EnablePreprocessing,
+                    options.ImagePreprocessing,
+                    Timestamp = DateTime.UtcNow
+                });
+            }
+            catch (KeyNotFoundException ex)
+            {
+                return NotFound(new { Error = ex.Message });
+            }
+            catch (InvalidOperationException ex)
+            {
+                return Conflict(new { Error = ex.Message });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to apply OCR benchmark result {Provider} / {Variant}", request.Provider, request.Variant);
+                return StatusCode(500, new { Error = "Failed to apply OCR benchmark result" });
+            }
+        }
+    }
+
+    /// <summary>
+    /// Request model for applying a benchmarked provider and variant
+    /// </summary>
+    public class ApplyOcrBenchmarkRequest
+    {
+        public string Provider { get; set; } = string.Empty;
+        public string Variant { get; set; } = string.Empty;
+    }
+}
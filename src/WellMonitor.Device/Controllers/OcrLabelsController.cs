@@ -0,0 +1,190 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Logging;
+using WellMonitor.Device.Services;
+
+namespace WellMonitor.Device.Controllers
+{
+    /// <summary>
+    /// API controller for the OCR ground-truth dataset
+    /// Provides endpoints for labelling debug images, measuring OCR accuracy and exporting the labelled set
+    /// </summary>
+    [ApiController]
+    [Route("api/[controller]")]
+    public class OcrLabelsController : ControllerBase
+    {
+        private readonly ILogger<OcrLabelsController> _logger;
+        private readonly IOcrLabelService _ocrLabelService;
+
+        public OcrLabelsController(
+            ILogger<OcrLabelsController> logger,
+            IOcrLabelService ocrLabelService)
+        {
+            _logger = logger;
+            _ocrLabelService = ocrLabelService;
+        }
+
+        /// <summary>
+        /// Get all labels with their latest evaluation
+        /// </summary>
+        [HttpGet]
+        public async Task<IActionResult> GetLabels()
+        {
+            try
+            {
+                return Ok(await _ocrLabelService.GetLabelsAsync());
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to get OCR labels");
+                return StatusCode(500, new { Error = "Failed to retrieve OCR labels" });
+            }
+        }
+
+        /// <summary>
+        /// Label a debug image with the text the display showed
+        /// Labelling the same crop again replaces its text
+        /// </summary>
+        [HttpPost]
+        [Authorize(Policy = DashboardPolicies.Operator)]
+        public async Task<IActionResult> Label([FromBody] OcrLabelRequest request, CancellationToken cancellationToken)
+        {
+            try
+            {
+                var labeledBy = User.Identity?.IsAuthenticated == true ? User.Identity.Name : request.LabeledBy;
+                var label = await _ocrLabelService.LabelAsync(request.ImageFile, request.Text, labeledBy ?? string.Empty, cancellationToken);
+                return Ok(label);
+            }
+            catch (ArgumentException ex)
+            {
+                return BadRequest(new { Error = ex.Message });
+            }
+            catch (KeyNotFoundException ex)
+            {
+                return NotFound(new { Error = ex.Message });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to label OCR image {ImageFile}", request.ImageFile);
+                return StatusCode(500, new { Error = "Failed to save OCR label" });
+            }
+        }
+
+        /// <summary>
+        /// Delete a label, its evaluations and its copy of the crop
+        /// </summary>
+        [HttpDelete("{id:int}")]
+        [Authorize(Policy = DashboardPolicies.Operator)]
+        public async Task<IActionResult> DeleteLabel(int id)
+        {
+            try
+            {
+                if (!await _ocrLabelService.DeleteLabelAsync(id))
+                {
+                    return NotFound(new { Error = $"OCR label {id} not found" });
+                }
+
+                return NoContent();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to delete OCR label {LabelId}", id);
+                return StatusCode(500, new { Error = "Failed to delete OCR label" });
+            }
+        }
+
+        /// <summary>
+        /// Run OCR with the current settings over every labelled image
+        /// </summary>
+        [HttpPost("evaluate")]
+        [Authorize(Policy = DashboardPolicies.Operator)]
+        public async Task<IActionResult> EvaluateAll(CancellationToken cancellationToken)
+        {
+            try
+            {
+                var evaluated = await _ocrLabelService.EvaluateAllAsync(cancellationToken);
+                return Ok(new { Evaluated = evaluated, Report = await _ocrLabelService.GetAccuracyReportAsync() });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to evaluate OCR labels");
+                return StatusCode(500, new { Error = "Failed to evaluate OCR labels" });
+            }
+        }
+
+        /// <summary>
+        /// Get accuracy per provider, daily history and character confusions
+        /// </summary>
+        [HttpGet("accuracy")]
+        public async Task<IActionResult> GetAccuracy([FromQuery] int days = 30)
+        {
+            try
+            {
+                return Ok(await _ocrLabelService.GetAccuracyReportAsync(days));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to get OCR accuracy");
+                return StatusCode(500, new { Error = "Failed to retrieve OCR accuracy" });
+            }
+        }
+
+        /// <summary>
+        /// Get the labelled crop of a label
+        /// </summary>
+        [HttpGet("{id:int}/image")]
+        public async Task<IActionResult> GetLabelImage(int id)
+        {
+            try
+            {
+                var path = await _ocrLabelService.GetLabelImagePathAsync(id);
+                if (path == null || !System.IO.File.Exists(path))
+                {
+                    return NotFound(new { Error = $"Image for OCR label {id} not found" });
+                }
+
+                var contentType = path.EndsWith(".png", StringComparison.OrdinalIgnoreCase) ? "image/png" : "image/jpeg";
+                return File(await System.IO.File.ReadAllBytesAsync(path), contentType);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to get image for OCR label {LabelId}", id);
+                return StatusCode(500, new { Error = "Failed to retrieve OCR label image" });
+            }
+        }
+
+        /// <summary>
+        /// Download the labelled set as a zip of image and .gt.txt pairs for Tesseract training
+        /// </summary>
+        [HttpGet("export")]
+        public async Task<IActionResult> Export(CancellationToken cancellationToken)
+        {
+            try
+            {
+                using var buffer = new MemoryStream();
+                await _ocrLabelService.ExportAsync(buffer, cancellationToken);
+                return File(buffer.ToArray(), "application/zip", $"ocr-dataset-{DateTime.UtcNow:yyyyMMdd}.zip");
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to export OCR dataset");
+                return StatusCode(500, new { Error = "Failed to export OCR dataset" });
+            }
+        }
+    }
+
+    /// <summary>
+    /// Request model for labelling a debug image
+    /// </summary>
+    public class OcrLabelRequest
+    {
+        /// <summary>
+        /// Debug image file name; originals and overlays are labelled through the crop from the same capture
+        /// </summary>
+        public string ImageFile { get; set; } = string.Empty;
+
+        public string Text { get; set; } = string.Empty;
+
+        public string? LabeledBy { get; set; }
+    }
+}
@@ -0,0 +1,169 @@
+using System.ComponentModel.DataAnnotations;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Logging;
+using WellMonitor.Device.Models;
+using WellMonitor.Device.Services;
+
+namespace WellMonitor.Device.Controllers
+{
+    /// <summary>
+    /// API controller for editing the OCR provider, Tesseract and preprocessing settings from the dashboard
+    /// </summary>
+    [ApiController]
+    [Route("api/[controller]")]
+    public class OcrSettingsController : ControllerBase
+    {
+        private readonly ILogger<OcrSettingsController> _logger;
+        private readonly IOcrSettingsService _ocrSettingsService;
+
+        public OcrSettingsController(
+            ILogger<OcrSettingsController> logger,
+            IOcrSettingsService ocrSettingsService)
+        {
+            _logger = logger;
+            _ocrSettingsService = ocrSettingsService;
+        }
+
+        /// <summary>
+        /// Get the running OCR settings, the registered providers and the known-good settings
+        /// </summary>
+        [HttpGet]
+        public async Task<IActionResult> Get()
+        {
+            try
+            {
+                return Ok(await _ocrSettingsService.GetStateAsync());
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to get OCR settings");
+                return StatusCode(500, new { Error = "Failed to get OCR settings" });
+            }
+        }
+
+        /// <summary>
+        /// Read a debug image's ROI crop with the running and the edited settings, without applying them
+        /// </summary>
+        [HttpPost("preview")]
+        [Authorize(Policy = DashboardPolicies.Operator)]
+        public async Task<IActionResult> Preview([FromBody] PreviewOcrSettingsRequest request)
+        {
+            if (!ModelState.IsValid)
+            {
+                return BadRequest(ModelState);
+            }
+
+            try
+            {
+                return Ok(await _ocrSettingsService.PreviewAsync(request.ImageFile, request.Settings, HttpContext.RequestAborted));
+            }
+            catch (KeyNotFoundException ex)
+            {
+                return NotFound(new { Error = ex.Message });
+            }
+            catch (ArgumentException ex)
+            {
+                return BadRequest(new { Error = ex.Message });
+            }
+            catch (OperationCanceledException) when (HttpContext.RequestAborted.IsCancellationRequested)
+            {
+                return new EmptyResult();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to preview OCR settings on {ImageFile}", request.ImageFile);
+                return StatusCode(500, new { Error = "Failed to preview OCR settings" });
+            }
+        }
+
+        /// <summary>
+        /// Validate and apply OCR settings live
+        /// </summary>
+        [HttpPut]
+        [Authorize(Policy = DashboardPolicies.Admin)]
+        public async Task<IActionResult> Update([FromBody] UpdateOcrSettingsRequest request)
+        {
+            if (!ModelState.IsValid)
+            {
+                return BadRequest(ModelState);
+            }
+
+            try
+            {
+                var result = await _ocrSettingsService.UpdateAsync(request.Settings);
+                if (!result.Applied)
+                {
+                    return BadRequest(new { Error = "OCR settings are invalid", result.Errors });
+                }
+
+                return Ok(new
+                {
+                    Message = result.Changes.Count > 0 ? "OCR settings applied" : "No OCR settings changed",
+                    result.Changes,
+                    result.Settings,
+                    result.SavedKnownGood
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to update OCR settings");
+                return StatusCode(500, new { Error = "Failed to update OCR settings" });
+            }
+        }
+
+        /// <summary>
+        /// Apply the last known-good OCR settings again
+        /// </summary>
+        [HttpPost("reset")]
+        [Authorize(Policy = DashboardPolicies.Admin)]
+        public async Task<IActionResult> ResetToKnownGood()
+        {
+            try
+            {
+                var result = await _ocrSettingsService.ResetToKnownGoodAsync();
+                if (!result.Applied)
+                {
+                    return Conflict(new { Error = "Known-good OCR settings can no longer be applied", result.Errors });
+                }
+
+                return Ok(new
+                {
+                    Message = "OCR settings reset to last known-good",
+                    result.Changes,
+                    result.Settings
+                });
+            }
+            catch (InvalidOperationException ex)
+            {
+                return NotFound(new { Error = ex.Message });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to reset OCR settings");
+                return StatusCode(500, new { Error = "Failed to reset OCR settings" });
+            }
+        }
+    }
+
+    /// <summary>
+    /// Request model for previewing OCR settings on a debug image
+    /// </summary>
+    public class PreviewOcrSettingsRequest
+    {
+        [Required]
+        public string ImageFile { get; set; } = string.Empty;
+
+        [Required]
+        public OcrSettings Settings { get; set; } = new();
+    }
+
+    /// <summary>
+    /// Request model for updating the OCR settings
+    /// </summary>
+    public class UpdateOcrSettingsRequest
+    {
+        [Required]
+        public OcrSettings Settings { get; set; } = new();
+    }
+}
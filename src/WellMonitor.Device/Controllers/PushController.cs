@@ -0,0 +1,166 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Logging;
+using WellMonitor.Device.Models;
+using WellMonitor.Device.Services;
+
+namespace WellMonitor.Device.Controllers
+{
+    /// <summary>
+    /// API controller for browser push notifications
+    /// Provides endpoints for the VAPID key, subscriptions and test notifications
+    /// </summary>
+    [ApiController]
+    [Route("api/[controller]")]
+    public class PushController : ControllerBase
+    {
+        private readonly ILogger<PushController> _logger;
+        private readonly IPushNotificationService _pushNotificationService;
+
+        public PushController(
+            ILogger<PushController> logger,
+            IPushNotificationService pushNotificationService)
+        {
+            _logger = logger;
+            _pushNotificationService = pushNotificationService;
+        }
+
+        /// <summary>
+        /// Get the VAPID public key and the topics browsers can subscribe to
+        /// </summary>
+        [HttpGet("vapid-public-key")]
+        public async Task<IActionResult> GetPublicKey()
+        {
+            try
+            {
+                return Ok(new
+                {
+                    PublicKey = await _pushNotificationService.GetPublicKeyAsync(),
+                    Topics = PushTopics.All,
+                    DefaultTopics = PushTopics.Default
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to get VAPID public key");
+                return StatusCode(500, new { Error = "Failed to get push notification key" });
+            }
+        }
+
+        /// <summary>
+        /// Get the topics of an existing subscription
+        /// </summary>
+        [HttpGet("subscription")]
+        public async Task<IActionResult> GetSubscription([FromQuery] string endpoint)
+        {
+            try
+            {
+                var subscription = await _pushNotificationService.GetSubscriptionAsync(endpoint);
+                if (subscription == null)
+                {
+                    return NotFound(new { Error = "Subscription not found" });
+                }
+
+                return Ok(new { subscription.Endpoint, Topics = subscription.GetTopics(), subscription.LastSentAtUtc });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to get push subscription");
+                return StatusCode(500, new { Error = "Failed to get push subscription" });
+            }
+        }
+
+        /// <summary>
+        /// Add or update a browser subscription (body matches PushSubscription.toJSON() plus topics)
+        /// </summary>
+        [HttpPost("subscription")]
+        public async Task<IActionResult> Subscribe([FromBody] PushSubscriptionRequest request)
+        {
+            try
+            {
+                var subscription = await _pushNotificationService.SubscribeAsync(
+                    request.Endpoint,
+                    request.Keys.P256dh,
+                    request.Keys.Auth,
+                    request.Topics ?? PushTopics.Default.ToList());
+
+                return Ok(new { Success = true, Topics = subscription.GetTopics() });
+            }
+            catch (ArgumentException ex)
+            {
+                return BadRequest(new { Error = ex.Message });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to save push subscription");
+                return StatusCode(500, new { Error = "Failed to save push subscription" });
+            }
+        }
+
+        /// <summary>
+        /// Remove a browser subscription
+        /// </summary>
+        [HttpDelete("subscription")]
+        public async Task<IActionResult> Unsubscribe([FromQuery] string endpoint)
+        {
+            try
+            {
+                var removed = await _pushNotificationService.UnsubscribeAsync(endpoint);
+                return Ok(new { Success = removed });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to remove push subscription");
+                return StatusCode(500, new { Error = "Failed to remove push subscription" });
+            }
+        }
+
+        /// <summary>
+        /// Send a test notification to one subscription
+        /// </summary>
+        [HttpPost("test")]
+        [Authorize(Policy = DashboardPolicies.Operator)]
+        public async Task<IActionResult> SendTest([FromBody] PushTestRequest request)
+        {
+            try
+            {
+                var delivered = await _pushNotificationService.SendTestAsync(request.Endpoint);
+                if (!delivered)
+                {
+                    return BadRequest(new { Error = "Test notification was not delivered; try re-enabling notifications" });
+                }
+
+                return Ok(new { Success = true });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to send test push notification");
+                return StatusCode(500, new { Error = "Failed to send test notification" });
+            }
+        }
+    }
+
+    /// <summary>
+    /// Request model for push subscriptions
+    /// </summary>
+    public class PushSubscriptionRequest
+    {
+        public string Endpoint { get; set; } = string.Empty;
+        public PushSubscriptionKeys Keys { get; set; } = new();
+        public List<string>? Topics { get; set; }
+    }
+
+    public class PushSubscriptionKeys
+    {
+        public string P256dh { get; set; } = string.Empty;
+        public string Auth { get; set; } = string.Empty;
+    }
+
+    /// <summary>
+    /// Request model for test notifications
+    /// </summary>
+    public class PushTestRequest
+    {
+        public string Endpoint { get; set; } = string.Empty;
+    }
+}
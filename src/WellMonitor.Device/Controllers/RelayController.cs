@@ -0,0 +1,118 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Logging;
+using WellMonitor.Device.Models;
+using WellMonitor.Device.Services;
+
+namespace WellMonitor.Device.Controllers
+{
+    /// <summary>
+    /// API controller for the relay control panel
+    /// Provides endpoints for relay safety status, confirmed manual power cycles and the relay action log
+    /// </summary>
+    [ApiController]
+    [Route("api/[controller]")]
+    public class RelayController : ControllerBase
+    {
+        private readonly ILogger<RelayController> _logger;
+        private readonly IRelayControlService _relayControlService;
+
+        public RelayController(
+            ILogger<RelayController> logger,
+            IRelayControlService relayControlService)
+        {
+            _logger = logger;
+            _relayControlService = relayControlService;
+        }
+
+        /// <summary>
+        /// Get relay state, lockout countdown and remaining daily cycles
+        /// </summary>
+        [HttpGet("status")]
+        public async Task<IActionResult> GetStatus()
+        {
+            try
+            {
+                return Ok(await _relayControlService.GetStatusAsync());
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to get relay status");
+                return StatusCode(500, new { Error = "Failed to get relay status" });
+            }
+        }
+
+        /// <summary>
+        /// Get the relay action log, optionally filtered by source (Manual, Automatic, Cloud)
+        /// </summary>
+        [HttpGet("log")]
+        public async Task<IActionResult> GetLog([FromQuery] string? source = null, [FromQuery] int limit = 100)
+        {
+            try
+            {
+                return Ok(await _relayControlService.GetActionLogAsync(source, Math.Clamp(limit, 1, 500)));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to get relay action log");
+                return StatusCode(500, new { Error = "Failed to get relay action log" });
+            }
+        }
+
+        /// <summary>
+        /// Power cycle the pump relay from the dashboard
+        /// Requires the typed confirmation phrase and a reason; returns 409 when safety limits block the cycle
+        /// </summary>
+        [HttpPost("cycle")]
+        [Authorize(Policy = DashboardPolicies.Admin)]
+        public async Task<IActionResult> Cycle([FromBody] RelayCycleRequest request)
+        {
+            if (!string.Equals(request.Confirmation?.Trim(), RelayControlService.ConfirmationPhrase, StringComparison.Ordinal))
+            {
+                return BadRequest(new { Error = $"Type {RelayControlService.ConfirmationPhrase} to confirm the power cycle" });
+            }
+
+            if (string.IsNullOrWhiteSpace(request.Reason))
+            {
+                return BadRequest(new { Error = "A reason is required for the relay action log" });
+            }
+
+            try
+            {
+                var result = await _relayControlService.CycleAsync(
+                    RelaySources.Manual,
+                    request.Reason,
+                    User.Identity?.IsAuthenticated == true ? User.Identity.Name ?? "dashboard"
+                        : string.IsNullOrWhiteSpace(request.User) ? "dashboard" : request.User,
+                    request.AllowWhileRunning,
+                    HttpContext.RequestAborted);
+
+                return result.Success ? Ok(result) : Conflict(result);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to cycle relay manually");
+                return StatusCode(500, new { Error = "Failed to cycle relay" });
+            }
+        }
+    }
+
+    /// <summary>
+    /// Request model for manual relay cycles
+    /// </summary>
+    public class RelayCycleRequest
+    {
+        /// <summary>
+        /// Must match the confirmation phrase exactly
+        /// </summary>
+        public string? Confirmation { get; set; }
+
+        public string? Reason { get; set; }
+        public string? User { get; set; }
+
+        /// <summary>
+        /// Operator confirmed cycling while the pump is drawing running current
+        /// </summary>
+        public bool AllowWhileRunning { get; set; }
+    }
+}
@@ -1,3 +1,5 @@
+using System.ComponentModel.DataAnnotations;
+using Microsoft.AspNetCore.Authorization;
 using Microsoft.AspNetCore.Mvc;
 using Microsoft.Extensions.Logging;
 using Microsoft.Extensions.Options;
@@ -17,26 +19,33 @@ namespace WellMonitor.Device.Controllers
         private readonly ILogger<RoiController> _logger;
         private readonly ICameraService _cameraService;
         private readonly IOptionsMonitor<RegionOfInterestOptions> _roiOptions;
+        private readonly IRoiTestService _roiTestService;
+        private readonly IRoiProfileService _roiProfileService;
 
         public RoiController(
             ILogger<RoiController> logger,
             ICameraService cameraService,
-            IOptionsMonitor<RegionOfInterestOptions> roiOptions)
+            IOptionsMonitor<RegionOfInterestOptions> roiOptions,
+            IRoiTestService roiTestService,
+            IRoiProfileService roiProfileService)
         {
             _logger = logger;
             _cameraService = cameraService;
             _roiOptions = roiOptions;
+            _roiTestService = roiTestService;
+            _roiProfileService = roiProfileService;
         }
 
         /// <summary>
         /// Get current ROI configuration
         /// </summary>
         [HttpGet]
-        public IActionResult GetCurrentRoi()
+        public async Task<IActionResult> GetCurrentRoi()
         {
             try
             {
                 var roi = _roiOptions.CurrentValue;
+                var activeProfile = await _roiProfileService.GetActiveProfileAsync();
                 return Ok(new
                 {
                     RoiPercent = new
@@ -47,7 +56,8 @@ namespace WellMonitor.Device.Controllers
                         Height = roi.RoiPercent.Height
                     },
                     IsEnabled = roi.RoiPercent.Width > 0 && roi.RoiPercent.Height > 0,
-                    LastUpdated = DateTime.UtcNow
+                    ActiveProfile = activeProfile != null ? ToProfileSummary(activeProfile) : null,
+                    LastUpdated = activeProfile?.ActivatedAtUtc ?? DateTime.UtcNow
                 });
             }
             catch (Exception ex)
@@ -61,6 +71,7 @@ namespace WellMonitor.Device.Controllers
         /// Update ROI configuration
         /// </summary>
         [HttpPost]
+        [Authorize(Policy = DashboardPolicies.Operator)]
         public IActionResult UpdateRoi([FromBody] RoiCoordinates coordinates)
         {
             try
@@ -72,7 +83,7 @@ namespace WellMonitor.Device.Controllers
 
                 // Note: In a real implementation, you would update the device twin
                 // For now, we'll just return success
-                _logger.LogInformation("ROI update requested: X={X}%, Y={Y}%, W={W}%, H={H}%",
+                _logger.LogInformation("ROI update requested: X={X:P1}, Y={Y:P1}, W={W:P1}, H={H:P1}",
                     coordinates.X, coordinates.Y, coordinates.Width, coordinates.Height);
 
                 return Ok(new
@@ -90,9 +101,11 @@ namespace WellMonitor.Device.Controllers
         }
 
         /// <summary>
-        /// Test ROI with current camera image
+        /// Test an unsaved ROI with the current camera image
+        /// Returns the extracted and preprocessed crops, OCR text and the resulting pump status
         /// </summary>
         [HttpPost("test")]
+        [Authorize(Policy = DashboardPolicies.Operator)]
         public async Task<IActionResult> TestRoi([FromBody] RoiCoordinates testRoi)
         {
             try
@@ -102,20 +115,35 @@ namespace WellMonitor.Device.Controllers
                     return BadRequest(ModelState);
                 }
 
-                // Capture a test image
-                var imageData = await _cameraService.CaptureImageAsync();
-                if (imageData == null || imageData.Length == 0)
+                var result = await _roiTestService.TestRoiAsync(testRoi, HttpContext.RequestAborted);
+                if (result.ExtractedImageFile == null)
                 {
-                    return StatusCode(500, new { Error = "Failed to capture test image" });
+                    return StatusCode(500, new { Error = result.ErrorMessage ?? "Failed to extract ROI from test image" });
                 }
 
-                // Return success with basic info
                 return Ok(new
                 {
-                    Message = "Test image captured successfully",
-                    TestRoi = testRoi,
-                    ImageSize = imageData.Length,
-                    Timestamp = DateTime.UtcNow
+                    result.Success,
+                    TestRoi = result.Roi,
+                    PixelRoi = new
+                    {
+                        X = result.PixelX,
+                        Y = result.PixelY,
+                        Width = result.PixelWidth,
+                        Height = result.PixelHeight
+                    },
+                    ExtractedImageUrl = GetDebugImageUrl(result.ExtractedImageFile),
+                    ProcessedImageUrl = result.ProcessedImageFile != null ? GetDebugImageUrl(result.ProcessedImageFile) : null,
+                    Text = result.Ocr?.ProcessedText,
+                    RawText = result.Ocr?.RawText,
+                    Confidence = result.Ocr?.Confidence ?? 0,
+                    Provider = result.Ocr?.Provider,
+                    ProcessingDurationMs = result.Ocr?.ProcessingDurationMs ?? 0,
+                    ParsedStatus = result.ParsedReading?.Status.ToString(),
+                    CurrentAmps = result.ParsedReading?.CurrentAmps,
+                    PumpStatus = result.AnalyzedStatus.ToString(),
+                    Error = result.ErrorMessage,
+                    result.Timestamp
                 });
             }
             catch (Exception ex)
@@ -129,6 +157,7 @@ namespace WellMonitor.Device.Controllers
         /// Auto-calibrate ROI by detecting LED display in image
         /// </summary>
         [HttpPost("auto-calibrate")]
+        [Authorize(Policy = DashboardPolicies.Operator)]
         public async Task<IActionResult> AutoCalibrateRoi()
         {
             try
@@ -143,10 +172,10 @@ namespace WellMonitor.Device.Controllers
                 // For now, return a suggested ROI based on common LED display positions
                 var suggestedRoi = new RoiCoordinates
                 {
-                    X = 25.0,  // 25% from left
-                    Y = 35.0,  // 35% from top
-                    Width = 50.0,  // 50% width
-                    Height = 30.0  // 30% height
+                    X = 0.25,  // 25% from left
+                    Y = 0.35,  // 35% from top
+                    Width = 0.50,  // 50% width
+                    Height = 0.30  // 30% height
                 };
 
                 _logger.LogInformation("Auto-calibration completed, suggested ROI: {ROI}", suggestedRoi);
@@ -176,10 +205,7 @@ namespace WellMonitor.Device.Controllers
             try
             {
                 var roi = _roiOptions.CurrentValue.RoiPercent;
-                var isValid = roi.X >= 0 && roi.Y >= 0 && 
-                             roi.Width > 0 && roi.Height > 0 &&
-                             (roi.X + roi.Width) <= 100 &&
-                             (roi.Y + roi.Height) <= 100;
+                var isValid = roi.IsValid();
 
                 var validation = new
                 {
@@ -202,6 +228,7 @@ namespace WellMonitor.Device.Controllers
         /// Reset ROI to default values
         /// </summary>
         [HttpPost("reset")]
+        [Authorize(Policy = DashboardPolicies.Operator)]
         public IActionResult ResetRoi()
         {
             try
@@ -210,8 +237,8 @@ namespace WellMonitor.Device.Controllers
                 {
                     X = 0.0,
                     Y = 0.0,
-                    Width = 100.0,
-                    Height = 100.0
+                    Width = 1.0,
+                    Height = 1.0
                 };
 
                 _logger.LogInformation("ROI reset to default values");
@@ -229,5 +256,200 @@ namespace WellMonitor.Device.Controllers
                 return StatusCode(500, new { Error = "Failed to reset ROI configuration" });
             }
         }
+
+        /// <summary>
+        /// List all saved ROI profile versions, newest version of each profile first
+        /// </summary>
+        [HttpGet("profiles")]
+        public async Task<IActionResult> GetProfiles()
+        {
+            try
+            {
+                var profiles = await _roiProfileService.GetProfilesAsync();
+                return Ok(profiles.Select(ToProfileSummary));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to get ROI profiles");
+                return StatusCode(500, new { Error = "Failed to retrieve ROI profiles" });
+            }
+        }
+
+        /// <summary>
+        /// Save the ROI as a new version of a named profile and make it active
+        /// </summary>
+        [HttpPost("profiles")]
+        [Authorize(Policy = DashboardPolicies.Operator)]
+        public async Task<IActionResult> SaveProfile([FromBody] SaveRoiProfileRequest request)
+        {
+            try
+            {
+                if (!ModelState.IsValid)
+                {
+                    return BadRequest(ModelState);
+                }
+
+                var savedBy = User.Identity?.IsAuthenticated == true ? User.Identity.Name : request.SavedBy;
+                var profile = await _roiProfileService.SaveProfileAsync(
+                    request.Name, request.Roi, savedBy ?? string.Empty, request.SourceImage);
+
+                return Ok(ToProfileSummary(profile));
+            }
+            catch (ArgumentException ex)
+            {
+                return BadRequest(new { Error = ex.Message });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to save ROI profile {Name}", request.Name);
+                return StatusCode(500, new { Error = "Failed to save ROI profile" });
+            }
+        }
+
+        /// <summary>
+        /// Switch to a saved profile version (also used to roll back to an older version)
+        /// </summary>
+        [HttpPost("profiles/{id:int}/activate")]
+        [Authorize(Policy = DashboardPolicies.Operator)]
+        public async Task<IActionResult> ActivateProfile(int id)
+        {
+            try
+            {
+                var profile = await _roiProfileService.ActivateProfileAsync(id);
+                return Ok(ToProfileSummary(profile));
+            }
+            catch (KeyNotFoundException)
+            {
+                return NotFound(new { Error = $"ROI profile {id} not found" });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to activate ROI profile {ProfileId}", id);
+                return StatusCode(500, new { Error = "Failed to activate ROI profile" });
+            }
+        }
+
+        /// <summary>
+        /// Roll back to the profile version that was active before the current one
+        /// </summary>
+        [HttpPost("profiles/rollback")]
+        [Authorize(Policy = DashboardPolicies.Operator)]
+        public async Task<IActionResult> RollbackProfile()
+        {
+            try
+            {
+                var profile = await _roiProfileService.RollbackAsync();
+                if (profile == null)
+                {
+                    return NotFound(new { Error = "No previous ROI profile to roll back to" });
+                }
+
+                return Ok(ToProfileSummary(profile));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to roll back ROI profile");
+                return StatusCode(500, new { Error = "Failed to roll back ROI profile" });
+            }
+        }
+
+        /// <summary>
+        /// Compare two saved profile versions
+        /// </summary>
+        [HttpGet("profiles/diff")]
+        public async Task<IActionResult> DiffProfiles([FromQuery] int from, [FromQuery] int to)
+        {
+            try
+            {
+                var diff = await _roiProfileService.DiffAsync(from, to);
+                if (diff == null)
+                {
+                    return NotFound(new { Error = "One or both ROI profiles were not found" });
+                }
+
+                return Ok(new
+                {
+                    From = ToProfileSummary(diff.From),
+                    To = ToProfileSummary(diff.To),
+                    diff.DeltaX,
+                    diff.DeltaY,
+                    diff.DeltaWidth,
+                    diff.DeltaHeight,
+                    diff.Overlap
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to diff ROI profiles {From} and {To}", from, to);
+                return StatusCode(500, new { Error = "Failed to compare ROI profiles" });
+            }
+        }
+
+        /// <summary>
+        /// Get the thumbnail of the frame a profile was calibrated on
+        /// </summary>
+        [HttpGet("profiles/{id:int}/thumbnail")]
+        public async Task<IActionResult> GetProfileThumbnail(int id)
+        {
+            try
+            {
+                var profile = await _roiProfileService.GetProfileAsync(id);
+                if (profile?.Thumbnail == null)
+                {
+                    return NotFound();
+                }
+
+                return File(profile.Thumbnail, "image/jpeg");
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to get thumbnail for ROI profile {ProfileId}", id);
+                return StatusCode(500, new { Error = "Failed to retrieve ROI profile thumbnail" });
+            }
+        }
+
+        private static object ToProfileSummary(RoiProfile profile)
+        {
+            return new
+            {
+                profile.Id,
+                profile.Name,
+                profile.Version,
+                Roi = profile.ToCoordinates(),
+                profile.SavedBy,
+                profile.SavedAtUtc,
+                profile.SourceImage,
+                profile.IsActive,
+                profile.ActivatedAtUtc,
+                ThumbnailUrl = profile.Thumbnail != null ? $"/api/roi/profiles/{profile.Id}/thumbnail" : null
+            };
+        }
+
+        private static string GetDebugImageUrl(string filename)
+        {
+            return $"/api/debugimages/image/{Uri.EscapeDataString(filename)}";
+        }
+    }
+
+    /// <summary>
+    /// Request model for saving a named ROI profile
+    /// </summary>
+    public class SaveRoiProfileRequest
+    {
+        [Required]
+        [StringLength(100, MinimumLength = 1)]
+        public string Name { get; set; } = string.Empty;
+
+        [Required]
+        public RoiCoordinates Roi { get; set; } = new();
+
+        [StringLength(100)]
+        public string? SavedBy { get; set; }
+
+        /// <summary>
+        /// Debug image file the ROI was calibrated on, used for the thumbnail
+        /// </summary>
+        [StringLength(260)]
+        public string? SourceImage { get; set; }
     }
-}
+}
\ No newline at end of file
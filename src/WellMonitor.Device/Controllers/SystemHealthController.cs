@@ -0,0 +1,116 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Logging;
+using WellMonitor.Device.Models;
+using WellMonitor.Device.Services;
+
+namespace WellMonitor.Device.Controllers
+{
+    /// <summary>
+    /// API controller for the system health page: metric trends, storage breakdown and debug image retention
+    /// </summary>
+    [ApiController]
+    [Route("api/[controller]")]
+    public class SystemHealthController : ControllerBase
+    {
+        private readonly ILogger<SystemHealthController> _logger;
+        private readonly ISystemHealthService _systemHealthService;
+
+        public SystemHealthController(
+            ILogger<SystemHealthController> logger,
+            ISystemHealthService systemHealthService)
+        {
+            _logger = logger;
+            _systemHealthService = systemHealthService;
+        }
+
+        /// <summary>
+        /// Get metrics read now
+        /// </summary>
+        [HttpGet("current")]
+        public IActionResult GetCurrent()
+        {
+            try
+            {
+                return Ok(_systemHealthService.GetCurrent());
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to read system health");
+                return StatusCode(500, new { Error = "Failed to read system health" });
+            }
+        }
+
+        /// <summary>
+        /// Get sampled history with thresholds, fitted trends and current warnings
+        /// </summary>
+        /// <param name="hours">How far back to go; at most SystemHealth:SampleRetentionDays</param>
+        [HttpGet("trend")]
+        public async Task<IActionResult> GetTrend([FromQuery] int hours = 24)
+        {
+            try
+            {
+                return Ok(await _systemHealthService.GetTrendAsync(hours));
+            }
+            catch (ArgumentException ex)
+            {
+                return BadRequest(new { Error = ex.Message });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to get system health trend");
+                return StatusCode(500, new { Error = "Failed to get system health trend" });
+            }
+        }
+
+        /// <summary>
+        /// Get space used by the database, debug images, OCR dataset and logs
+        /// </summary>
+        [HttpGet("storage")]
+        public IActionResult GetStorage()
+        {
+            try
+            {
+                return Ok(_systemHealthService.GetStorageBreakdown());
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to get storage breakdown");
+                return StatusCode(500, new { Error = "Failed to get storage breakdown" });
+            }
+        }
+
+        /// <summary>
+        /// Change how many days of debug images are kept; lasts until restart or the next device twin sync
+        /// </summary>
+        [HttpPut("retention")]
+        [Authorize(Policy = DashboardPolicies.Admin)]
+        public async Task<IActionResult> SetRetention([FromBody] ImageRetentionRequest request)
+        {
+            try
+            {
+                var breakdown = await _systemHealthService.SetImageRetentionDaysAsync(request.ImageRetentionDays);
+                _logger.LogInformation("Debug image retention set to {Days} days by {User}",
+                    request.ImageRetentionDays, User.Identity?.Name ?? "anonymous");
+                return Ok(breakdown);
+            }
+            catch (ArgumentException ex)
+            {
+                return BadRequest(new { Error = ex.Message });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to set debug image retention");
+                return StatusCode(500, new { Error = "Failed to set debug image retention" });
+            }
+        }
+    }
+
+    /// <summary>
+    /// Request model for changing the debug image retention
+    /// </summary>
+    public class ImageRetentionRequest
+    {
+        public int ImageRetentionDays { get; set; }
+    }
+}
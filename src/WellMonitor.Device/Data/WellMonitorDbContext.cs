@@ -1,11 +1,13 @@
 using Microsoft.EntityFrameworkCore;
+using Microsoft.EntityFrameworkCore.Storage.ValueConversion;
 using WellMonitor.Shared.Models;
+using WellMonitor.Device.Models;
 
 namespace WellMonitor.Device.Data
 {
     /// <summary>
     /// Entity Framework DbContext for the Well Monitor local SQLite database
-    /// Handles readings, relay actions, and summary data persistence
+    /// Handles readings, relay actions, summary data, ROI profiles, alerts, push subscriptions, OCR labels, dashboard users and dashboard settings
     /// </summary>
     public class WellMonitorDbContext : DbContext
     {
@@ -14,6 +16,15 @@ namespace WellMonitor.Device.Data
         public DbSet<HourlySummary> HourlySummaries { get; set; }
         public DbSet<DailySummary> DailySummaries { get; set; }
         public DbSet<MonthlySummary> MonthlySummaries { get; set; }
+        public DbSet<RoiProfile> RoiProfiles { get; set; }
+        public DbSet<DeviceSetting> DeviceSettings { get; set; }
+        public DbSet<DeviceAlert> DeviceAlerts { get; set; }
+        public DbSet<DeviceAlertEvent> DeviceAlertEvents { get; set; }
+        public DbSet<PushSubscription> PushSubscriptions { get; set; }
+        public DbSet<OcrLabel> OcrLabels { get; set; }
+        public DbSet<OcrEvaluation> OcrEvaluations { get; set; }
+        public DbSet<DashboardUser> DashboardUsers { get; set; }
+        public DbSet<SystemHealthSample> SystemHealthSamples { get; set; }
 
         public WellMonitorDbContext(DbContextOptions<WellMonitorDbContext> options)
             : base(options)
@@ -128,6 +139,227 @@ namespace WellMonitor.Device.Data
                 entity.HasIndex(e => e.Month).IsUnique();
                 entity.HasIndex(e => e.Synced);
             });
+
+            // Configure RoiProfile entity
+            modelBuilder.Entity<RoiProfile>(entity =>
+            {
+                entity.HasKey(e => e.Id);
+                entity.Property(e => e.Name)
+                    .HasMaxLength(100)
+                    .IsRequired();
+                entity.Property(e => e.SavedBy)
+                    .HasMaxLength(100)
+                    .IsRequired();
+                entity.Property(e => e.SavedAtUtc)
+                    .IsRequired()
+                    .HasColumnType("datetime");
+                entity.Property(e => e.ActivatedAtUtc)
+                    .HasColumnType("datetime");
+                entity.Property(e => e.SourceImage)
+                    .HasMaxLength(260);
+                entity.Property(e => e.IsActive)
+                    .IsRequired()
+                    .HasDefaultValue(false);
+
+                // One row per saved version of a profile
+                entity.HasIndex(e => new { e.Name, e.Version }).IsUnique();
+                entity.HasIndex(e => e.IsActive);
+            });
+
+            // Configure DeviceSetting entity
+            modelBuilder.Entity<DeviceSetting>(entity =>
+            {
+                entity.HasKey(e => e.Id);
+                entity.Property(e => e.Key)
+                    .HasMaxLength(100)
+                    .IsRequired();
+                entity.Property(e => e.Value)
+                    .IsRequired();
+                entity.Property(e => e.UpdatedAtUtc)
+                    .IsRequired()
+                    .HasColumnType("datetime");
+
+                entity.HasIndex(e => e.Key).IsUnique();
+            });
+
+            // SQLite drops DateTimeKind; alert times are read back as UTC so the dashboard shows local time correctly
+            var utcConverter = new ValueConverter<DateTime, DateTime>(
+                v => v, v => DateTime.SpecifyKind(v, DateTimeKind.Utc));
+            var nullableUtcConverter = new ValueConverter<DateTime?, DateTime?>(
+                v => v, v => v.HasValue ? DateTime.SpecifyKind(v.Value, DateTimeKind.Utc) : v);
+
+            // Configure DeviceAlert entity
+            modelBuilder.Entity<DeviceAlert>(entity =>
+            {
+                entity.HasKey(e => e.Id);
+                entity.Property(e => e.Type)
+                    .HasMaxLength(50)
+                    .IsRequired();
+                entity.Property(e => e.Severity)
+                    .HasMaxLength(20)
+                    .IsRequired();
+                entity.Property(e => e.Title)
+                    .HasMaxLength(200)
+                    .IsRequired();
+                entity.Property(e => e.Message)
+                    .HasMaxLength(1000);
+                entity.Property(e => e.AcknowledgedBy)
+                    .HasMaxLength(100);
+                entity.Property(e => e.RaisedAtUtc)
+                    .IsRequired()
+                    .HasColumnType("datetime")
+                    .HasConversion(utcConverter);
+                entity.Property(e => e.LastSeenAtUtc)
+                    .IsRequired()
+                    .HasColumnType("datetime")
+                    .HasConversion(utcConverter);
+                entity.Property(e => e.AcknowledgedAtUtc)
+                    .HasColumnType("datetime")
+                    .HasConversion(nullableUtcConverter);
+                entity.Property(e => e.SnoozedUntilUtc)
+                    .HasColumnType("datetime")
+                    .HasConversion(nullableUtcConverter);
+                entity.Property(e => e.ResolvedAtUtc)
+                    .HasColumnType("datetime")
+                    .HasConversion(nullableUtcConverter);
+
+                // Active alerts are looked up by type on every monitoring cycle
+                entity.HasIndex(e => new { e.Type, e.ResolvedAtUtc });
+                entity.HasIndex(e => e.RaisedAtUtc);
+            });
+
+            // Configure DeviceAlertEvent entity
+            modelBuilder.Entity<DeviceAlertEvent>(entity =>
+            {
+                entity.HasKey(e => e.Id);
+                entity.Property(e => e.Event)
+                    .HasMaxLength(50)
+                    .IsRequired();
+                entity.Property(e => e.Actor)
+                    .HasMaxLength(100)
+                    .IsRequired();
+                entity.Property(e => e.Note)
+                    .HasMaxLength(500);
+                entity.Property(e => e.TimestampUtc)
+                    .IsRequired()
+                    .HasColumnType("datetime")
+                    .HasConversion(utcConverter);
+
+                entity.HasOne<DeviceAlert>()
+                    .WithMany()
+                    .HasForeignKey(e => e.AlertId)
+                    .OnDelete(DeleteBehavior.Cascade);
+                entity.HasIndex(e => e.AlertId);
+            });
+
+            // Configure PushSubscription entity
+            modelBuilder.Entity<PushSubscription>(entity =>
+            {
+                entity.HasKey(e => e.Id);
+                entity.Property(e => e.Endpoint)
+                    .HasMaxLength(1000)
+                    .IsRequired();
+                entity.Property(e => e.P256dh)
+                    .HasMaxLength(200)
+                    .IsRequired();
+                entity.Property(e => e.Auth)
+                    .HasMaxLength(100)
+                    .IsRequired();
+                entity.Property(e => e.Topics)
+                    .HasMaxLength(200);
+                entity.Property(e => e.CreatedAtUtc)
+                    .IsRequired()
+                    .HasColumnType("datetime");
+                entity.Property(e => e.LastSentAtUtc)
+                    .HasColumnType("datetime");
+
+                entity.HasIndex(e => e.Endpoint).IsUnique();
+            });
+
+            // Configure OcrLabel entity
+            modelBuilder.Entity<OcrLabel>(entity =>
+            {
+                entity.HasKey(e => e.Id);
+                entity.Property(e => e.ImageFile)
+                    .HasMaxLength(260)
+                    .IsRequired();
+                entity.Property(e => e.SourceImage)
+                    .HasMaxLength(260)
+                    .IsRequired();
+                entity.Property(e => e.Text)
+                    .HasMaxLength(50)
+                    .IsRequired();
+                entity.Property(e => e.LabeledBy)
+                    .HasMaxLength(100)
+                    .IsRequired();
+                entity.Property(e => e.LabeledAtUtc)
+                    .IsRequired()
+                    .HasColumnType("datetime")
+                    .HasConversion(utcConverter);
+
+                // Labelling the same debug image again replaces its label
+                entity.HasIndex(e => e.SourceImage).IsUnique();
+            });
+
+            // Configure OcrEvaluation entity
+            modelBuilder.Entity<OcrEvaluation>(entity =>
+            {
+                entity.HasKey(e => e.Id);
+                entity.Property(e => e.Provider)
+                    .HasMaxLength(50)
+                    .IsRequired();
+                entity.Property(e => e.PredictedText)
+                    .HasMaxLength(200)
+                    .IsRequired();
+                entity.Property(e => e.EvaluatedAtUtc)
+                    .IsRequired()
+                    .HasColumnType("datetime")
+                    .HasConversion(utcConverter);
+
+                entity.HasOne<OcrLabel>()
+                    .WithMany()
+                    .HasForeignKey(e => e.LabelId)
+                    .OnDelete(DeleteBehavior.Cascade);
+                entity.HasIndex(e => new { e.LabelId, e.EvaluatedAtUtc });
+                entity.HasIndex(e => e.EvaluatedAtUtc);
+            });
+
+            // Configure DashboardUser entity
+            modelBuilder.Entity<DashboardUser>(entity =>
+            {
+                entity.HasKey(e => e.Id);
+                entity.Property(e => e.Username)
+                    .HasMaxLength(50)
+                    .IsRequired()
+                    .UseCollation("NOCASE");
+                entity.Property(e => e.PasswordHash)
+                    .HasMaxLength(200)
+                    .IsRequired();
+                entity.Property(e => e.Role)
+                    .HasMaxLength(20)
+                    .IsRequired();
+                entity.Property(e => e.CreatedAtUtc)
+                    .IsRequired()
+                    .HasColumnType("datetime")
+                    .HasConversion(utcConverter);
+                entity.Property(e => e.LastLoginUtc)
+                    .HasColumnType("datetime")
+                    .HasConversion(nullableUtcConverter);
+
+                entity.HasIndex(e => e.Username).IsUnique();
+            });
+
+            // Configure SystemHealthSample entity
+            modelBuilder.Entity<SystemHealthSample>(entity =>
+            {
+                entity.HasKey(e => e.Id);
+                entity.Property(e => e.TimestampUtc)
+                    .IsRequired()
+                    .HasColumnType("datetime")
+                    .HasConversion(utcConverter);
+
+                entity.HasIndex(e => e.TimestampUtc);
+            });
         }
     }
 }
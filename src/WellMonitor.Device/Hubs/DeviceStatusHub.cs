@@ -1,3 +1,4 @@
+using Microsoft.AspNetCore.Authorization;
 using Microsoft.AspNetCore.SignalR;
 using Microsoft.Extensions.Hosting;
 using Microsoft.Extensions.Logging;
@@ -10,6 +11,7 @@ namespace WellMonitor.Device.Hubs
     /// <summary>
     /// SignalR hub for real-time device status updates
     /// </summary>
+    [Authorize(Policy = DashboardPolicies.Viewer)]
     public class DeviceStatusHub : Hub
     {
         private readonly ILogger<DeviceStatusHub> _logger;
@@ -24,6 +26,12 @@ namespace WellMonitor.Device.Hubs
         /// </summary>
         public async Task JoinGroup(string groupName)
         {
+            // Viewers may not read the logs; the log stream has its own join method
+            if (groupName == LogStreamService.HubGroup)
+            {
+                throw new HubException("Use JoinLogStream to receive log entries");
+            }
+
             await Groups.AddToGroupAsync(Context.ConnectionId, groupName);
             _logger.LogInformation("Client {ConnectionId} joined group {GroupName}", Context.ConnectionId, groupName);
         }
@@ -37,6 +45,22 @@ namespace WellMonitor.Device.Hubs
             _logger.LogInformation("Client {ConnectionId} left group {GroupName}", Context.ConnectionId, groupName);
         }
 
+        /// <summary>
+        /// Receive new log entries as "ReceiveLogEntries" batches while the log viewer is open
+        /// </summary>
+        [Authorize(Policy = DashboardPolicies.Operator)]
+        public async Task JoinLogStream()
+        {
+            await Groups.AddToGroupAsync(Context.ConnectionId, LogStreamService.HubGroup);
+            _logger.LogDebug("Client {ConnectionId} joined the log stream", Context.ConnectionId);
+        }
+
+        public async Task LeaveLogStream()
+        {
+            await Groups.RemoveFromGroupAsync(Context.ConnectionId, LogStreamService.HubGroup);
+            _logger.LogDebug("Client {ConnectionId} left the log stream", Context.ConnectionId);
+        }
+
         public override async Task OnConnectedAsync()
         {
             _logger.LogInformation("Client connected: {ConnectionId}", Context.ConnectionId);
@@ -59,9 +83,12 @@ namespace WellMonitor.Device.Hubs
         private readonly ILogger<RealtimeUpdateService> _logger;
         private readonly TimeSpan _updateInterval = TimeSpan.FromSeconds(30); // Reduced from 5 seconds to 30 seconds
         
-        // Cache to reduce database queries
-        private DateTime _lastReadingQueryTime = DateTime.MinValue;
+        // Readings further back than this are left to the dashboard's own backfill after a reconnect
+        private static readonly TimeSpan MaxReadingAge = TimeSpan.FromMinutes(5);
+        
+        // Last known pump status, re-sent while no newer reading is logged
         private object? _cachedPumpStatus = null;
+        private DateTime? _lastSentReadingUtc;
 
         public RealtimeUpdateService(
             IServiceProvider serviceProvider,
@@ -82,41 +109,53 @@ namespace WellMonitor.Device.Hubs
                     using var scope = _serviceProvider.CreateScope();
                     var hubContext = scope.ServiceProvider.GetRequiredService<IHubContext<DeviceStatusHub>>();
                     var databaseService = scope.ServiceProvider.GetRequiredService<IDatabaseService>();
+                    var energyService = scope.ServiceProvider.GetRequiredService<IEnergyService>();
 
-                    // Send periodic status updates (with caching to reduce DB queries)
+                    // Send every reading logged since the last one sent, oldest first, so the dashboard chart gets
+                    // each point even when readings come faster than this loop; the query only covers the last few minutes
                     var now = DateTime.UtcNow;
-                    if (_cachedPumpStatus == null || (now - _lastReadingQueryTime).TotalMinutes >= 2)
+                    var since = _lastSentReadingUtc > now - MaxReadingAge ? _lastSentReadingUtc.Value : now - MaxReadingAge;
+                    var newReadings = (await databaseService.GetReadingsAsync(since, now))
+                        .Where(r => _lastSentReadingUtc == null || r.TimestampUtc > _lastSentReadingUtc)
+                        .OrderBy(r => r.TimestampUtc)
+                        .ToList();
+                    
+                    // After startup only the latest reading is sent; dashboards already loaded the ones before it
+                    if (_lastSentReadingUtc == null && newReadings.Count > 1)
                     {
-                        var recentReadings = await databaseService.GetReadingsAsync(
-                            DateTime.UtcNow.AddMinutes(-5), DateTime.UtcNow);
-                        var latestReading = recentReadings.OrderByDescending(r => r.TimestampUtc).FirstOrDefault();
-                        
-                        if (latestReading != null)
+                        newReadings = newReadings.GetRange(newReadings.Count - 1, 1);
+                    }
+                    
+                    if (newReadings.Count > 0)
+                    {
+                        var energyOptions = await energyService.GetOptionsAsync();
+                        foreach (var reading in newReadings)
                         {
                             _cachedPumpStatus = new
                             {
-                                Status = latestReading.Status,
-                                CurrentDraw = latestReading.CurrentAmps,
-                                PowerConsumption = Math.Round(latestReading.CurrentAmps * 240 / 1000, 2), // Approximate power
-                                LastReading = latestReading.TimestampUtc
+                                Status = reading.Status,
+                                CurrentDraw = reading.CurrentAmps,
+                                PowerConsumption = Math.Round(energyOptions.ToKilowatts(reading.CurrentAmps), 2),
+                                LastReading = DateTime.SpecifyKind(reading.TimestampUtc, DateTimeKind.Utc)
                             };
+                            await hubContext.Clients.Group("updates").SendAsync("UpdatePumpStatus", _cachedPumpStatus, stoppingToken);
+                            _lastSentReadingUtc = reading.TimestampUtc;
                         }
-                        _lastReadingQueryTime = now;
                     }
-
-                    if (_cachedPumpStatus != null)
+                    else if (_cachedPumpStatus != null)
                     {
                         await hubContext.Clients.Group("updates").SendAsync("UpdatePumpStatus", _cachedPumpStatus, stoppingToken);
                     }
 
                     // Send system status
+                    var health = scope.ServiceProvider.GetRequiredService<ISystemHealthService>().GetCurrent();
                     var systemStatus = new
                     {
                         Uptime = GetSystemUptime(),
-                        CpuUsage = GetCpuUsage(),
-                        MemoryUsage = GetMemoryUsage(),
-                        StorageUsage = GetStorageUsage(),
-                        Temperature = GetSystemTemperature()
+                        CpuUsage = health.CpuPercent,
+                        MemoryUsage = health.MemoryPercent,
+                        StorageUsage = health.StoragePercent,
+                        Temperature = health.TemperatureCelsius
                     };
 
                     await hubContext.Clients.Group("updates").SendAsync("UpdateSystemStatus", systemStatus, stoppingToken);
@@ -139,38 +178,5 @@ namespace WellMonitor.Device.Hubs
             var uptime = DateTime.Now - System.Diagnostics.Process.GetCurrentProcess().StartTime;
             return $"{uptime.Days}d {uptime.Hours:D2}h {uptime.Minutes:D2}m";
         }
-
-        private double GetCpuUsage()
-        {
-            // Simplified CPU usage - in real implementation, use performance counters
-            return Math.Round(Random.Shared.NextDouble() * 20 + 10, 1);
-        }
-
-        private double GetMemoryUsage()
-        {
-            var process = System.Diagnostics.Process.GetCurrentProcess();
-            var totalMemory = GC.GetTotalMemory(false);
-            return Math.Round((double)totalMemory / (1024 * 1024 * 1024) * 100, 1);
-        }
-
-        private double GetStorageUsage()
-        {
-            try
-            {
-                var drive = new System.IO.DriveInfo("/");
-                var usedSpace = drive.TotalSize - drive.AvailableFreeSpace;
-                return Math.Round((double)usedSpace / drive.TotalSize * 100, 1);
-            }
-            catch
-            {
-                return 0;
-            }
-        }
-
-        private double GetSystemTemperature()
-        {
-            // Simplified temperature reading - in real implementation, read from sensors
-            return Math.Round(Random.Shared.NextDouble() * 15 + 35, 1);
-        }
     }
 }
@@ -0,0 +1,50 @@
+using System.Text.Json.Serialization;
+
+namespace WellMonitor.Device.Models
+{
+    /// <summary>
+    /// Dashboard user as listed on the users page, without the password hash
+    /// </summary>
+    public class DashboardUserView
+    {
+        /// <summary>
+        /// Database id; null for the account configured with Web:AuthUsername/AuthPassword
+        /// </summary>
+        public int? Id { get; set; }
+
+        public string Username { get; set; } = string.Empty;
+        public string Role { get; set; } = DashboardRoles.Viewer;
+        public DateTime? CreatedAtUtc { get; set; }
+        public DateTime? LastLoginUtc { get; set; }
+
+        /// <summary>
+        /// The configured admin account; it can only be changed in the device configuration
+        /// </summary>
+        public bool Configured { get; set; }
+
+        /// <summary>
+        /// Changes whenever the password does; sessions signed in with an older stamp are ended
+        /// </summary>
+        [JsonIgnore]
+        public string SecurityStamp { get; set; } = string.Empty;
+    }
+
+    /// <summary>
+    /// Who the dashboard is signed in as
+    /// </summary>
+    public class AuthSession
+    {
+        /// <summary>
+        /// When false every visitor may do everything, as before authentication existed
+        /// </summary>
+        public bool AuthenticationEnabled { get; set; }
+
+        public bool Authenticated { get; set; }
+        public string? Username { get; set; }
+
+        /// <summary>
+        /// Role the dashboard shows controls for; Admin when authentication is disabled
+        /// </summary>
+        public string Role { get; set; } = DashboardRoles.Admin;
+    }
+}
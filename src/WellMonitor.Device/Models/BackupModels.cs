@@ -0,0 +1,69 @@
+namespace WellMonitor.Device.Models
+{
+    /// <summary>
+    /// First entry of a backup bundle, describing where and when it was made
+    /// </summary>
+    public class BackupManifest
+    {
+        /// <summary>
+        /// Bundles with a newer format than the running version can't be restored
+        /// </summary>
+        public const int CurrentFormatVersion = 1;
+
+        public int FormatVersion { get; set; } = CurrentFormatVersion;
+        public DateTime CreatedUtc { get; set; }
+
+        /// <summary>
+        /// Host name of the device the bundle was made on
+        /// </summary>
+        public string DeviceName { get; set; } = string.Empty;
+
+        public string ApplicationVersion { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Whether the bundle holds the local device twin file (DeviceTwin:LocalTwinPath)
+        /// </summary>
+        public bool IncludesLocalTwin { get; set; }
+    }
+
+    /// <summary>
+    /// Running configuration in a backup bundle, including changes made from the dashboard since the last twin sync
+    /// </summary>
+    public class BackupConfiguration
+    {
+        /// <summary>
+        /// Device setting holding the last restored configuration, re-applied after the device twin at startup
+        /// </summary>
+        public const string SettingKey = "RestoredConfiguration";
+
+        public CameraOptions Camera { get; set; } = new();
+        public OcrOptions Ocr { get; set; } = new();
+        public DebugOptions Debug { get; set; } = new();
+
+        /// <summary>
+        /// Web options without the configured admin password, which stays in the environment of each device
+        /// </summary>
+        public WebOptions Web { get; set; } = new();
+
+        public RegionOfInterestOptions Roi { get; set; } = new();
+    }
+
+    /// <summary>
+    /// What a restore replaced
+    /// </summary>
+    public class BackupRestoreResult
+    {
+        public BackupManifest Manifest { get; set; } = new();
+        public DateTime RestoredUtc { get; set; }
+        public int Readings { get; set; }
+        public int RoiProfiles { get; set; }
+        public int DashboardUsers { get; set; }
+        public bool LocalTwinRestored { get; set; }
+
+        /// <summary>
+        /// Whether the restored configuration was saved so it survives restarts;
+        /// a device twin sync from the configuration page replaces it
+        /// </summary>
+        public bool ConfigurationSaved { get; set; }
+    }
+}
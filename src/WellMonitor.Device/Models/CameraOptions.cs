@@ -197,6 +197,26 @@ namespace WellMonitor.Device.Models
         /// Barcode mode is recommended for LED displays with high contrast
         /// </summary>
         public CameraExposureMode ExposureMode { get; set; } = CameraExposureMode.Auto;
+
+        /// <summary>
+        /// Copy for trying settings without changing the running configuration
+        /// </summary>
+        public CameraOptions Clone() => (CameraOptions)MemberwiseClone();
+
+        /// <summary>
+        /// Resolve the debug image directory, relative paths are based on the application directory
+        /// </summary>
+        public string GetDebugImageDirectory()
+        {
+            if (string.IsNullOrEmpty(DebugImagePath))
+            {
+                return Path.Combine(AppContext.BaseDirectory, "debug_images"); // Default path
+            }
+
+            return Path.IsPathRooted(DebugImagePath)
+                ? DebugImagePath
+                : Path.Combine(AppContext.BaseDirectory, DebugImagePath);
+        }
     }
 
     /// <summary>
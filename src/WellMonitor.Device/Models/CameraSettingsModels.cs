@@ -0,0 +1,99 @@
+namespace WellMonitor.Device.Models
+{
+    /// <summary>
+    /// Every camera option the dashboard settings form can edit
+    /// The debug image path and preview flag are managed with the debug settings instead
+    /// </summary>
+    public class CameraSettings
+    {
+        public int Width { get; set; }
+        public int Height { get; set; }
+        public int Quality { get; set; }
+        public int Rotation { get; set; }
+        public int Brightness { get; set; }
+        public int Contrast { get; set; }
+        public int Saturation { get; set; }
+        public double Gain { get; set; }
+        public int ShutterSpeedMicroseconds { get; set; }
+        public bool AutoExposure { get; set; }
+        public bool AutoWhiteBalance { get; set; }
+        public string ExposureMode { get; set; } = nameof(CameraExposureMode.Auto);
+        public int TimeoutMs { get; set; }
+        public int WarmupTimeMs { get; set; }
+
+        public static CameraSettings FromOptions(CameraOptions options)
+        {
+            return new CameraSettings
+            {
+                Width = options.Width,
+                Height = options.Height,
+                Quality = options.Quality,
+                Rotation = options.Rotation,
+                Brightness = options.Brightness,
+                Contrast = options.Contrast,
+                Saturation = options.Saturation,
+                Gain = options.Gain,
+                ShutterSpeedMicroseconds = options.ShutterSpeedMicroseconds,
+                AutoExposure = options.AutoExposure,
+                AutoWhiteBalance = options.AutoWhiteBalance,
+                ExposureMode = options.ExposureMode.ToString(),
+                TimeoutMs = options.TimeoutMs,
+                WarmupTimeMs = options.WarmupTimeMs
+            };
+        }
+
+        /// <summary>
+        /// Copy of the current camera options with these settings applied
+        /// Throws ArgumentException for an unknown exposure mode; ranges are checked by ConfigurationValidationService
+        /// </summary>
+        public CameraOptions ApplyTo(CameraOptions current)
+        {
+            if (!Enum.TryParse<CameraExposureMode>(ExposureMode, true, out var exposureMode))
+                throw new ArgumentException($"Invalid exposure mode: {ExposureMode}");
+
+            var options = current.Clone();
+            options.Width = Width;
+            options.Height = Height;
+            options.Quality = Quality;
+            options.Rotation = Rotation;
+            options.Brightness = Brightness;
+            options.Contrast = Contrast;
+            options.Saturation = Saturation;
+            options.Gain = Gain;
+            options.ShutterSpeedMicroseconds = ShutterSpeedMicroseconds;
+            options.AutoExposure = AutoExposure;
+            options.AutoWhiteBalance = AutoWhiteBalance;
+            options.ExposureMode = exposureMode;
+            options.TimeoutMs = TimeoutMs;
+            options.WarmupTimeMs = WarmupTimeMs;
+            return options;
+        }
+    }
+
+    /// <summary>
+    /// Outcome of saving the camera settings form
+    /// </summary>
+    public class CameraSettingsUpdateResult
+    {
+        /// <summary>
+        /// False when validation failed; nothing was changed
+        /// </summary>
+        public bool Applied { get; set; }
+
+        public List<string> Errors { get; set; } = new();
+
+        /// <summary>
+        /// Human-readable list of changed settings, e.g. "Brightness: 50 → 60"
+        /// </summary>
+        public List<string> Changes { get; set; } = new();
+
+        public CameraSettings Settings { get; set; } = new();
+
+        /// <summary>
+        /// Null when writeback was not requested
+        /// </summary>
+        public bool? ReportedToDeviceTwin { get; set; }
+
+        public string? DeviceTwinError { get; set; }
+    }
+}
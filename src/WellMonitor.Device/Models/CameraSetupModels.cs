@@ -0,0 +1,132 @@
+namespace WellMonitor.Device.Models
+{
+    /// <summary>
+    /// Checks run by the guided camera setup, in wizard order
+    /// </summary>
+    public static class CameraSetupChecks
+    {
+        public const string Focus = "Focus";
+        public const string Exposure = "Exposure";
+        public const string LedRegion = "LedRegion";
+        public const string Alignment = "Alignment";
+        public const string RoiFit = "RoiFit";
+        public const string Ocr = "Ocr";
+    }
+
+    /// <summary>
+    /// Pass/fail outcome of one setup check
+    /// </summary>
+    public class CameraSetupCheck
+    {
+        /// <summary>
+        /// One of the <see cref="CameraSetupChecks"/> values
+        /// </summary>
+        public string Check { get; set; } = string.Empty;
+
+        public bool Passed { get; set; }
+
+        /// <summary>
+        /// Check-specific measurement shown in the wizard (sharpness 0-1, glare fraction, tilt in degrees, OCR confidence)
+        /// </summary>
+        public double Value { get; set; }
+
+        public string Message { get; set; } = string.Empty;
+
+        /// <summary>
+        /// What to adjust when the check fails
+        /// </summary>
+        public string? Hint { get; set; }
+    }
+
+    /// <summary>
+    /// Camera settings the setup wizard and exposure comparison can adjust; unset values keep the current configuration
+    /// </summary>
+    public class CameraSetupSettings
+    {
+        public string? ExposureMode { get; set; }
+        public int? Brightness { get; set; }
+        public int? Contrast { get; set; }
+        public double? Gain { get; set; }
+
+        /// <summary>
+        /// 0 lets the camera choose the shutter speed
+        /// </summary>
+        public int? ShutterSpeedMicroseconds { get; set; }
+
+        /// <summary>
+        /// Copy of the current camera options with these settings applied
+        /// Throws ArgumentException for an unknown exposure mode; ranges are checked by ConfigurationValidationService
+        /// </summary>
+        public CameraOptions ApplyTo(CameraOptions current)
+        {
+            var options = current.Clone();
+
+            if (!string.IsNullOrEmpty(ExposureMode))
+            {
+                if (!Enum.TryParse<CameraExposureMode>(ExposureMode, true, out var exposureMode))
+                    throw new ArgumentException($"Invalid exposure mode: {ExposureMode}");
+                options.ExposureMode = exposureMode;
+            }
+
+            if (Brightness != null)
+            {
+                options.Brightness = Brightness.Value;
+            }
+
+            if (Contrast != null)
+            {
+                options.Contrast = Contrast.Value;
+            }
+
+            if (Gain != null)
+            {
+                options.Gain = Gain.Value;
+            }
+
+            if (ShutterSpeedMicroseconds != null)
+            {
+                options.ShutterSpeedMicroseconds = ShutterSpeedMicroseconds.Value;
+            }
+
+            return options;
+        }
+    }
+
+    /// <summary>
+    /// Result of analysing one captured frame for the setup wizard
+    /// </summary>
+    public class CameraSetupAnalysis
+    {
+        /// <summary>
+        /// Analysed frame in the debug image directory
+        /// </summary>
+        public string? ImageFile { get; set; }
+
+        public int ImageWidth { get; set; }
+        public int ImageHeight { get; set; }
+
+        /// <summary>
+        /// ROI the checks were run against
+        /// </summary>
+        public RoiCoordinates Roi { get; set; } = new();
+
+        public List<CameraSetupCheck> Checks { get; set; } = new();
+
+        /// <summary>
+        /// Bounding box of the lit LED segments, if any were found
+        /// </summary>
+        public RoiCoordinates? LedRegion { get; set; }
+
+        /// <summary>
+        /// ROI fitted around the detected LED region
+        /// </summary>
+        public RoiCoordinates? SuggestedRoi { get; set; }
+
+        /// <summary>
+        /// OCR test of the ROI, when requested
+        /// </summary>
+        public RoiTestResult? RoiTest { get; set; }
+
+        public DateTime Timestamp { get; set; } = DateTime.UtcNow;
+    }
+}
@@ -0,0 +1,53 @@
+namespace WellMonitor.Device.Models
+{
+    /// <summary>
+    /// Local dashboard login; passwords are stored as salted PBKDF2 hashes
+    /// </summary>
+    public class DashboardUser
+    {
+        public int Id { get; set; }
+
+        /// <summary>
+        /// Login name, unique regardless of case
+        /// </summary>
+        public string Username { get; set; } = string.Empty;
+
+        public string PasswordHash { get; set; } = string.Empty;
+
+        /// <summary>
+        /// One of the <see cref="DashboardRoles"/> values
+        /// </summary>
+        public string Role { get; set; } = DashboardRoles.Viewer;
+
+        public DateTime CreatedAtUtc { get; set; }
+        public DateTime? LastLoginUtc { get; set; }
+    }
+
+    /// <summary>
+    /// Dashboard roles, each allowed everything the roles before it are:
+    /// viewers see status, operators also test captures and calibrate, admins also cycle the relay and change configuration
+    /// </summary>
+    public static class DashboardRoles
+    {
+        public const string Viewer = "Viewer";
+        public const string Operator = "Operator";
+        public const string Admin = "Admin";
+
+        public static readonly string[] All = { Viewer, Operator, Admin };
+
+        /// <summary>
+        /// Position in <see cref="All"/>, or -1 for an unknown role
+        /// </summary>
+        public static int Rank(string? role) =>
+            Array.FindIndex(All, r => string.Equals(r, role, StringComparison.OrdinalIgnoreCase));
+
+        public static bool IsAllowed(string? role, string requiredRole) =>
+            Rank(role) >= 0 && Rank(role) >= Rank(requiredRole);
+
+        /// <summary>
+        /// Role with the canonical casing, or null when it is not a dashboard role
+        /// </summary>
+        public static string? Normalize(string? role) =>
+            Rank(role?.Trim()) is var rank and >= 0 ? All[rank] : null;
+    }
+}
@@ -0,0 +1,61 @@
+namespace WellMonitor.Device.Models
+{
+    /// <summary>
+    /// Tables the dashboard can export
+    /// </summary>
+    public static class ExportDatasets
+    {
+        public const string Readings = "readings";
+        public const string RelayActions = "relay-actions";
+        public const string HourlySummaries = "hourly-summaries";
+        public const string DailySummaries = "daily-summaries";
+        public const string MonthlySummaries = "monthly-summaries";
+
+        public static readonly IReadOnlyList<string> All = new[] { Readings, RelayActions, HourlySummaries, DailySummaries, MonthlySummaries };
+    }
+
+    /// <summary>
+    /// File formats of an export
+    /// </summary>
+    public static class ExportFormats
+    {
+        public const string Csv = "csv";
+        public const string Json = "json";
+        public const string Parquet = "parquet";
+
+        public static readonly IReadOnlyList<string> All = new[] { Csv, Json, Parquet };
+    }
+
+    /// <summary>
+    /// What to export; readings and relay actions are included when logged in the range,
+    /// summaries when their hour, day or month overlaps it
+    /// </summary>
+    public class DataExportRequest
+    {
+        /// <summary>
+        /// One of the <see cref="ExportDatasets"/> values
+        /// </summary>
+        public string Dataset { get; set; } = ExportDatasets.Readings;
+
+        /// <summary>
+        /// One of the <see cref="ExportFormats"/> values
+        /// </summary>
+        public string Format { get; set; } = ExportFormats.Csv;
+
+        public DateTime FromUtc { get; set; }
+
+        /// <summary>
+        /// End of the range, exclusive
+        /// </summary>
+        public DateTime ToUtc { get; set; }
+    }
+
+    /// <summary>
+    /// Download name and content type of an export
+    /// </summary>
+    public class DataExportFile
+    {
+        public string FileName { get; set; } = string.Empty;
+        public string ContentType { get; set; } = string.Empty;
+    }
+}
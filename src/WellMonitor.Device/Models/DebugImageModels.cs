@@ -0,0 +1,146 @@
+namespace WellMonitor.Device.Models
+{
+    /// <summary>
+    /// Debug image types, taken from the file name prefix
+    /// Full frames (pump_reading_, original_, setup_, compare_ and so on) are all "original"
+    /// </summary>
+    public static class DebugImageTypes
+    {
+        public const string Original = "original";
+        public const string RoiExtracted = "roi_extracted";
+        public const string RoiOverlay = "roi_overlay";
+        public const string RoiProcessed = "roi_processed";
+
+        public static readonly IReadOnlyList<string> All = new[] { Original, RoiOverlay, RoiExtracted, RoiProcessed };
+    }
+
+    /// <summary>
+    /// Filter and page for the debug image gallery
+    /// </summary>
+    public class DebugImageQuery
+    {
+        public const int MaxPageSize = 100;
+
+        /// <summary>
+        /// 1-based page number
+        /// </summary>
+        public int Page { get; set; } = 1;
+
+        public int PageSize { get; set; } = 24;
+
+        /// <summary>
+        /// One of the <see cref="DebugImageTypes"/> values; all types when empty
+        /// </summary>
+        public string? Type { get; set; }
+
+        /// <summary>
+        /// Inclusive lower bound on the capture time (UTC)
+        /// </summary>
+        public DateTime? FromUtc { get; set; }
+
+        /// <summary>
+        /// Exclusive upper bound on the capture time (UTC)
+        /// </summary>
+        public DateTime? ToUtc { get; set; }
+    }
+
+    /// <summary>
+    /// One file in the debug image directory
+    /// </summary>
+    public class DebugImageInfo
+    {
+        public string Filename { get; set; } = string.Empty;
+
+        /// <summary>
+        /// One of the <see cref="DebugImageTypes"/> values
+        /// </summary>
+        public string Type { get; set; } = DebugImageTypes.Original;
+
+        /// <summary>
+        /// File name without its type prefix and extension; images saved from the same frame share it
+        /// </summary>
+        public string CaptureKey { get; set; } = string.Empty;
+
+        public long Size { get; set; }
+
+        /// <summary>
+        /// Last write time, which is when the image was saved
+        /// </summary>
+        public DateTime CapturedUtc { get; set; }
+
+        public string Url { get; set; } = string.Empty;
+    }
+
+    /// <summary>
+    /// Details shown in the gallery side panel
+    /// </summary>
+    public class DebugImageMetadata : DebugImageInfo
+    {
+        public DateTime Created { get; set; }
+        public DateTime Modified { get; set; }
+        public string Path { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Pixel size, when the file could be decoded
+        /// </summary>
+        public int? Width { get; set; }
+        public int? Height { get; set; }
+
+        /// <summary>
+        /// Other images of the same capture, in <see cref="DebugImageTypes.All"/> order
+        /// </summary>
+        public List<DebugImageInfo> Related { get; set; } = new();
+    }
+
+    /// <summary>
+    /// One page of debug images, newest first
+    /// </summary>
+    public class DebugImagePage
+    {
+        public List<DebugImageInfo> Images { get; set; } = new();
+        public int Page { get; set; }
+        public int PageSize { get; set; }
+
+        /// <summary>
+        /// Images matching the filter across all pages
+        /// </summary>
+        public int TotalCount { get; set; }
+
+        public int TotalPages { get; set; }
+    }
+
+    /// <summary>
+    /// Count and size of one image type
+    /// </summary>
+    public class DebugImageTypeStats
+    {
+        public string Type { get; set; } = string.Empty;
+        public int Count { get; set; }
+        public long Size { get; set; }
+    }
+
+    /// <summary>
+    /// Totals for the debug image directory
+    /// </summary>
+    public class DebugImageStats
+    {
+        public int TotalImages { get; set; }
+        public long TotalSize { get; set; }
+        public double TotalSizeMB { get; set; }
+        public DateTime? OldestImageUtc { get; set; }
+        public DateTime? NewestImageUtc { get; set; }
+        public List<DebugImageTypeStats> ByType { get; set; } = new();
+        public string DebugPath { get; set; } = string.Empty;
+    }
+
+    /// <summary>
+    /// Debug images deleted by a retention cleanup
+    /// </summary>
+    public class DebugImageCleanupResult
+    {
+        public int DeletedFiles { get; set; }
+        public long FreedBytes { get; set; }
+        public int KeepDays { get; set; }
+        public DateTime CutoffUtc { get; set; }
+    }
+}
@@ -29,4 +29,6 @@ public class DebugOptions
     /// Enable verbose OCR logging for detailed diagnostics
     /// </summary>
     public bool EnableVerboseOcrLogging { get; set; } = false;
+
+    public DebugOptions Clone() => (DebugOptions)MemberwiseClone();
 }
@@ -0,0 +1,116 @@
+namespace WellMonitor.Device.Models
+{
+    /// <summary>
+    /// Device condition raised by the monitoring service (dry pump, rapid cycling, OCR or camera failures)
+    /// An alert stays active until its condition clears; repeats while active only bump the occurrence count
+    /// </summary>
+    public class DeviceAlert
+    {
+        public int Id { get; set; }
+
+        /// <summary>
+        /// One of the <see cref="AlertTypes"/> values
+        /// </summary>
+        public string Type { get; set; } = string.Empty;
+
+        /// <summary>
+        /// One of the <see cref="AlertSeverity"/> values
+        /// </summary>
+        public string Severity { get; set; } = AlertSeverity.Warning;
+
+        public string Title { get; set; } = string.Empty;
+        public string Message { get; set; } = string.Empty;
+
+        public DateTime RaisedAtUtc { get; set; }
+        public DateTime LastSeenAtUtc { get; set; }
+
+        /// <summary>
+        /// How many times the condition was seen while the alert was active
+        /// </summary>
+        public int OccurrenceCount { get; set; } = 1;
+
+        public DateTime? AcknowledgedAtUtc { get; set; }
+        public string? AcknowledgedBy { get; set; }
+
+        /// <summary>
+        /// Alert is hidden from the active count until this time
+        /// </summary>
+        public DateTime? SnoozedUntilUtc { get; set; }
+
+        /// <summary>
+        /// When the condition cleared; null while the alert is active
+        /// </summary>
+        public DateTime? ResolvedAtUtc { get; set; }
+
+        public bool IsActive => ResolvedAtUtc == null;
+        public bool IsAcknowledged => AcknowledgedAtUtc != null;
+        public bool IsSnoozed => SnoozedUntilUtc != null && SnoozedUntilUtc > DateTime.UtcNow;
+
+        /// <summary>
+        /// Active, not acknowledged and not snoozed
+        /// </summary>
+        public bool NeedsAttention => IsActive && !IsAcknowledged && !IsSnoozed;
+    }
+
+    /// <summary>
+    /// Entry in an alert's timeline
+    /// </summary>
+    public class DeviceAlertEvent
+    {
+        public int Id { get; set; }
+        public int AlertId { get; set; }
+        public DateTime TimestampUtc { get; set; }
+
+        /// <summary>
+        /// One of the <see cref="AlertEventTypes"/> values
+        /// </summary>
+        public string Event { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Who triggered the event ("system" for monitoring events)
+        /// </summary>
+        public string Actor { get; set; } = string.Empty;
+
+        public string? Note { get; set; }
+    }
+
+    /// <summary>
+    /// Alert counts for the dashboard
+    /// </summary>
+    public class AlertSummary
+    {
+        public int Active { get; set; }
+        public int NeedsAttention { get; set; }
+        public int Acknowledged { get; set; }
+        public int Snoozed { get; set; }
+    }
+
+    public static class AlertTypes
+    {
+        public const string Dry = "Dry";
+        public const string RapidCycle = "RapidCycle";
+        public const string OcrFailure = "OcrFailure";
+        public const string CameraError = "CameraError";
+        public const string StorageLow = "StorageLow";
+        public const string HighTemperature = "HighTemperature";
+        public const string MemoryGrowth = "MemoryGrowth";
+    }
+
+    /// <summary>
+    /// Severities match the Bootstrap alert classes used by the dashboard
+    /// </summary>
+    public static class AlertSeverity
+    {
+        public const string Info = "Info";
+        public const string Warning = "Warning";
+        public const string Danger = "Danger";
+    }
+
+    public static class AlertEventTypes
+    {
+        public const string Raised = "Raised";
+        public const string Acknowledged = "Acknowledged";
+        public const string Snoozed = "Snoozed";
+        public const string Resolved = "Resolved";
+    }
+}
@@ -0,0 +1,23 @@
+namespace WellMonitor.Device.Models
+{
+    /// <summary>
+    /// Dashboard-managed setting stored in the local database as JSON
+    /// Used for settings that must survive restarts but have no device twin property
+    /// </summary>
+    public class DeviceSetting
+    {
+        public int Id { get; set; }
+
+        /// <summary>
+        /// Setting name (e.g. "Energy")
+        /// </summary>
+        public string Key { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Serialized setting value
+        /// </summary>
+        public string Value { get; set; } = string.Empty;
+
+        public DateTime UpdatedAtUtc { get; set; }
+    }
+}
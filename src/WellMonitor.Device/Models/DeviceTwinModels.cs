@@ -0,0 +1,132 @@
+using Microsoft.Azure.Devices.Shared;
+
+namespace WellMonitor.Device.Models
+{
+    /// <summary>
+    /// Desired and reported properties of the device twin, from IoT Hub or the local twin file
+    /// </summary>
+    public class DeviceTwinDocument
+    {
+        public TwinCollection Desired { get; set; } = new();
+        public TwinCollection Reported { get; set; } = new();
+    }
+
+    /// <summary>
+    /// How a setting's desired value compares with what the device is running
+    /// </summary>
+    public static class DeviceTwinSettingStatus
+    {
+        /// <summary>
+        /// The running value matches the desired property
+        /// </summary>
+        public const string InSync = "InSync";
+
+        /// <summary>
+        /// The desired property differs from the running value, e.g. it changed since the last sync or a dashboard edit overrode it
+        /// </summary>
+        public const string NotApplied = "NotApplied";
+
+        /// <summary>
+        /// Not in the desired properties; the running value comes from local configuration or defaults
+        /// </summary>
+        public const string NotInTwin = "NotInTwin";
+    }
+
+    /// <summary>
+    /// What started a device twin sync
+    /// </summary>
+    public static class DeviceTwinSyncTriggers
+    {
+        public const string Startup = "Startup";
+        public const string Dashboard = "Dashboard";
+    }
+
+    /// <summary>
+    /// One option compared across desired properties, reported properties and the running options
+    /// </summary>
+    public class DeviceTwinSettingView
+    {
+        /// <summary>
+        /// Options property path, e.g. "ImagePreprocessing.ScaleFactor"
+        /// </summary>
+        public string Property { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Twin property the value is read from, e.g. "Camera.Width" or the legacy "cameraWidth"
+        /// </summary>
+        public string TwinKey { get; set; } = string.Empty;
+
+        public string? Desired { get; set; }
+        public string? Reported { get; set; }
+        public string? Effective { get; set; }
+
+        /// <summary>
+        /// One of the <see cref="DeviceTwinSettingStatus"/> values
+        /// </summary>
+        public string Status { get; set; } = DeviceTwinSettingStatus.NotInTwin;
+
+        /// <summary>
+        /// The device reported a value other than the one it is running
+        /// </summary>
+        public bool ReportedDiffers { get; set; }
+    }
+
+    /// <summary>
+    /// The twin settings of one runtime options class
+    /// </summary>
+    public class DeviceTwinSectionView
+    {
+        public string Name { get; set; } = string.Empty;
+        public List<DeviceTwinSettingView> Settings { get; set; } = new();
+        public int Differences { get; set; }
+    }
+
+    /// <summary>
+    /// A twin property that doesn't map to a runtime option
+    /// </summary>
+    public class DeviceTwinPropertyView
+    {
+        public string Key { get; set; } = string.Empty;
+        public string? Desired { get; set; }
+        public string? Reported { get; set; }
+    }
+
+    /// <summary>
+    /// When desired properties were last applied, and what went wrong if the last attempt failed
+    /// </summary>
+    public class DeviceTwinSyncStatus
+    {
+        /// <summary>
+        /// Where the twin is read from: IoT Hub or the local twin file
+        /// </summary>
+        public string Source { get; set; } = string.Empty;
+
+        public bool Syncing { get; set; }
+        public DateTime? LastSyncUtc { get; set; }
+        public DateTime? LastAttemptUtc { get; set; }
+        public bool LastAttemptSucceeded { get; set; }
+        public string? LastError { get; set; }
+
+        /// <summary>
+        /// One of the <see cref="DeviceTwinSyncTriggers"/> values
+        /// </summary>
+        public string? LastTrigger { get; set; }
+    }
+
+    /// <summary>
+    /// Everything the configuration page shows
+    /// </summary>
+    public class DeviceTwinConfigurationView
+    {
+        public DeviceTwinSyncStatus Sync { get; set; } = new();
+        public List<DeviceTwinSectionView> Sections { get; set; } = new();
+        public List<DeviceTwinPropertyView> OtherProperties { get; set; } = new();
+
+        /// <summary>
+        /// Why the twin couldn't be read; the running options are still listed
+        /// </summary>
+        public string? TwinError { get; set; }
+
+        public DateTime RetrievedAtUtc { get; set; }
+    }
+}
@@ -0,0 +1,60 @@
+namespace WellMonitor.Device.Models
+{
+    /// <summary>
+    /// Grouping used by the energy report
+    /// </summary>
+    public static class EnergyPeriod
+    {
+        public const string Day = "day";
+        public const string Week = "week";
+        public const string Month = "month";
+    }
+
+    /// <summary>
+    /// Energy use and estimated cost for one day, week or month
+    /// </summary>
+    public class EnergyReportRow
+    {
+        /// <summary>
+        /// Local start of the period: yyyy-MM-dd for days and weeks (weeks start on Monday), yyyy-MM for months
+        /// </summary>
+        public string Period { get; set; } = string.Empty;
+
+        public double Kwh { get; set; }
+        public double Cost { get; set; }
+
+        /// <summary>
+        /// Time the pump was running (current at or above the idle threshold)
+        /// </summary>
+        public double RunHours { get; set; }
+
+        /// <summary>
+        /// Energy per tariff rate name (a single "Flat" entry for flat tariffs)
+        /// </summary>
+        public Dictionary<string, double> KwhByRate { get; set; } = new();
+    }
+
+    /// <summary>
+    /// Energy and cost report for a time range
+    /// </summary>
+    public class EnergyReport
+    {
+        public DateTime From { get; set; }
+        public DateTime To { get; set; }
+
+        /// <summary>
+        /// One of the <see cref="EnergyPeriod"/> values
+        /// </summary>
+        public string Period { get; set; } = EnergyPeriod.Day;
+
+        public List<EnergyReportRow> Rows { get; set; } = new();
+
+        public double TotalKwh { get; set; }
+        public double TotalCost { get; set; }
+
+        /// <summary>
+        /// Settings the report was calculated with
+        /// </summary>
+        public EnergyOptions Settings { get; set; } = new();
+    }
+}
@@ -0,0 +1,93 @@
+namespace WellMonitor.Device.Models
+{
+    /// <summary>
+    /// Electrical supply and tariff settings used to turn current readings into energy and cost
+    /// Defaults come from the "Energy" configuration section; dashboard edits are stored in the database
+    /// </summary>
+    public class EnergyOptions
+    {
+        public const string SettingKey = "Energy";
+
+        /// <summary>
+        /// Supply voltage at the pump (default: 240V)
+        /// </summary>
+        public double SupplyVoltage { get; set; } = 240.0;
+
+        /// <summary>
+        /// Motor power factor (default: 1.0, matching the dashboard's kW estimate)
+        /// </summary>
+        public double PowerFactor { get; set; } = 1.0;
+
+        /// <summary>
+        /// "Flat" or "TimeOfUse"
+        /// </summary>
+        public string TariffType { get; set; } = EnergyTariffType.Flat;
+
+        /// <summary>
+        /// Price per kWh for flat tariffs, and for hours not covered by a time-of-use rate
+        /// </summary>
+        public double FlatRatePerKwh { get; set; } = 0.15;
+
+        /// <summary>
+        /// Currency symbol shown in reports
+        /// </summary>
+        public string CurrencySymbol { get; set; } = "$";
+
+        /// <summary>
+        /// Time-of-use periods in local time; the first matching period sets the price
+        /// </summary>
+        public List<TimeOfUseRate> TimeOfUseRates { get; set; } = new();
+
+        /// <summary>
+        /// Real power drawn at the given current
+        /// </summary>
+        public double ToKilowatts(double currentAmps) => currentAmps * SupplyVoltage * PowerFactor / 1000;
+    }
+
+    /// <summary>
+    /// Supported tariff types
+    /// </summary>
+    public static class EnergyTariffType
+    {
+        public const string Flat = "Flat";
+        public const string TimeOfUse = "TimeOfUse";
+    }
+
+    /// <summary>
+    /// Price for a daily window of hours, e.g. "Peak" from 16 to 21
+    /// </summary>
+    public class TimeOfUseRate
+    {
+        public string Name { get; set; } = string.Empty;
+
+        /// <summary>
+        /// First hour of the window (0-23, local time)
+        /// </summary>
+        public int StartHour { get; set; }
+
+        /// <summary>
+        /// Hour the window ends (1-24, exclusive); windows ending before they start wrap past midnight
+        /// </summary>
+        public int EndHour { get; set; }
+
+        public double RatePerKwh { get; set; }
+
+        /// <summary>
+        /// Only apply Monday to Friday
+        /// </summary>
+        public bool WeekdaysOnly { get; set; }
+
+        public bool Covers(DateTime localTime)
+        {
+            if (WeekdaysOnly && (localTime.DayOfWeek == DayOfWeek.Saturday || localTime.DayOfWeek == DayOfWeek.Sunday))
+            {
+                return false;
+            }
+
+            var hour = localTime.Hour;
+            return StartHour < EndHour
+                ? hour >= StartHour && hour < EndHour
+                : hour >= StartHour || hour < EndHour;
+        }
+    }
+}
@@ -0,0 +1,86 @@
+namespace WellMonitor.Device.Models
+{
+    /// <summary>
+    /// Batch of camera settings to capture and score against each other
+    /// </summary>
+    public class ExposureComparisonRequest
+    {
+        /// <summary>
+        /// One capture per entry, in the order given
+        /// </summary>
+        public List<CameraSetupSettings> Variants { get; set; } = new();
+
+        /// <summary>
+        /// ROI to read; the current ROI when omitted
+        /// </summary>
+        public RoiCoordinates? Roi { get; set; }
+
+        /// <summary>
+        /// What the display actually shows, as a current reading ("5.2") or a status word ("Dry")
+        /// When omitted the reading most frames agree on is treated as correct
+        /// </summary>
+        public string? ExpectedReading { get; set; }
+    }
+
+    /// <summary>
+    /// One captured and scored variant
+    /// </summary>
+    public class ExposureComparisonFrame
+    {
+        /// <summary>
+        /// 1 is the best frame
+        /// </summary>
+        public int Rank { get; set; }
+
+        public CameraSetupSettings Settings { get; set; } = new();
+
+        /// <summary>
+        /// Short description of the settings that differ from the current configuration
+        /// </summary>
+        public string Label { get; set; } = string.Empty;
+
+        public string? ImageFile { get; set; }
+        public string? ProcessedImageFile { get; set; }
+
+        public string? Text { get; set; }
+        public double Confidence { get; set; }
+
+        /// <summary>
+        /// Normalised reading used for correctness: the current in amps ("5.2") or the status name
+        /// </summary>
+        public string? Reading { get; set; }
+
+        public string? PumpStatus { get; set; }
+
+        /// <summary>
+        /// Whether the reading matches the expected (or consensus) reading; null when there is nothing to compare with
+        /// </summary>
+        public bool? Correct { get; set; }
+
+        public string? Error { get; set; }
+        public long DurationMs { get; set; }
+    }
+
+    /// <summary>
+    /// Ranked outcome of an exposure comparison
+    /// </summary>
+    public class ExposureComparisonResult
+    {
+        public DateTime StartedUtc { get; set; }
+        public DateTime CompletedUtc { get; set; }
+
+        public RoiCoordinates Roi { get; set; } = new();
+
+        public string? ExpectedReading { get; set; }
+
+        /// <summary>
+        /// Reading the frames were judged against: the expected reading, the consensus, or null
+        /// </summary>
+        public string? ReferenceReading { get; set; }
+
+        /// <summary>
+        /// Frames ordered best first: correct readings, then higher OCR confidence
+        /// </summary>
+        public List<ExposureComparisonFrame> Frames { get; set; } = new();
+    }
+}
@@ -0,0 +1,60 @@
+namespace WellMonitor.Device.Models
+{
+    /// <summary>
+    /// Resolution of the data returned by the history explorer
+    /// </summary>
+    public static class HistoryResolution
+    {
+        public const string Raw = "raw";
+        public const string Hourly = "hourly";
+        public const string Daily = "daily";
+        public const string Monthly = "monthly";
+    }
+
+    /// <summary>
+    /// Single point on the current draw history chart
+    /// </summary>
+    public class HistoryPoint
+    {
+        /// <summary>
+        /// Reading time, or start of the summarized period (UTC)
+        /// </summary>
+        public DateTime Timestamp { get; set; }
+
+        /// <summary>
+        /// Current draw for raw readings, average current for summarized periods
+        /// </summary>
+        public double CurrentDraw { get; set; }
+
+        /// <summary>
+        /// Pump status (raw readings only)
+        /// </summary>
+        public string? Status { get; set; }
+
+        /// <summary>
+        /// Energy used in the summarized period
+        /// </summary>
+        public double? TotalKwh { get; set; }
+
+        /// <summary>
+        /// Pump cycles in the summarized period (not tracked for monthly summaries)
+        /// </summary>
+        public int? PumpCycles { get; set; }
+    }
+
+    /// <summary>
+    /// Current draw history for a time range
+    /// </summary>
+    public class HistoryResult
+    {
+        public DateTime From { get; set; }
+        public DateTime To { get; set; }
+
+        /// <summary>
+        /// One of the <see cref="HistoryResolution"/> values
+        /// </summary>
+        public string Resolution { get; set; } = HistoryResolution.Raw;
+
+        public List<HistoryPoint> Points { get; set; } = new();
+    }
+}
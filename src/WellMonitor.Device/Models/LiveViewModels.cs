@@ -0,0 +1,85 @@
+namespace WellMonitor.Device.Models
+{
+    /// <summary>
+    /// Limits for the MJPEG camera live view used while aiming the camera at the LED display
+    /// Configured in the "LiveView" section
+    /// </summary>
+    public class LiveViewOptions
+    {
+        public int DefaultWidth { get; set; } = 1280;
+        public int DefaultHeight { get; set; } = 720;
+        public int DefaultFramesPerSecond { get; set; } = 10;
+
+        public int MaxWidth { get; set; } = 1920;
+        public int MaxHeight { get; set; } = 1080;
+        public int MaxFramesPerSecond { get; set; } = 30;
+
+        /// <summary>
+        /// JPEG quality of streamed frames (default: 70, lower is lighter on the Pi's network)
+        /// </summary>
+        public int Quality { get; set; } = 70;
+
+        /// <summary>
+        /// A live view connection is closed after this long so a forgotten tab doesn't hold the camera (default: 5 minutes)
+        /// </summary>
+        public int TimeoutSeconds { get; set; } = 300;
+
+        /// <summary>
+        /// Requested stream settings clamped to the configured limits; missing values use the defaults
+        /// </summary>
+        public LiveViewSettings Normalize(int? width, int? height, int? framesPerSecond)
+        {
+            return new LiveViewSettings
+            {
+                // The camera pipeline expects even dimensions
+                Width = Math.Clamp(width ?? DefaultWidth, 160, MaxWidth) & ~1,
+                Height = Math.Clamp(height ?? DefaultHeight, 120, MaxHeight) & ~1,
+                FramesPerSecond = Math.Clamp(framesPerSecond ?? DefaultFramesPerSecond, 1, MaxFramesPerSecond)
+            };
+        }
+    }
+
+    /// <summary>
+    /// Resolution and frame rate of the running live view
+    /// </summary>
+    public class LiveViewSettings : IEquatable<LiveViewSettings>
+    {
+        public int Width { get; set; }
+        public int Height { get; set; }
+        public int FramesPerSecond { get; set; }
+
+        public bool Equals(LiveViewSettings? other)
+        {
+            return other != null && Width == other.Width && Height == other.Height && FramesPerSecond == other.FramesPerSecond;
+        }
+
+        public override bool Equals(object? obj) => Equals(obj as LiveViewSettings);
+
+        public override int GetHashCode() => HashCode.Combine(Width, Height, FramesPerSecond);
+    }
+
+    /// <summary>
+    /// Live view state for the camera positioning page
+    /// </summary>
+    public class LiveViewStatus
+    {
+        /// <summary>
+        /// The streaming process is running
+        /// </summary>
+        public bool Active { get; set; }
+
+        /// <summary>
+        /// The live view is paused while a still image is captured for a reading
+        /// </summary>
+        public bool SuspendedForCapture { get; set; }
+
+        public int Viewers { get; set; }
+        public LiveViewSettings? Settings { get; set; }
+        public double MeasuredFramesPerSecond { get; set; }
+        public DateTime? StartedUtc { get; set; }
+        public int TimeoutSeconds { get; set; }
+        public int MaxWidth { get; set; }
+        public int MaxHeight { get; set; }
+        public int MaxFramesPerSecond { get; set; }
+    }
+}
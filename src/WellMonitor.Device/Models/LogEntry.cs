@@ -0,0 +1,153 @@
+namespace WellMonitor.Device.Models
+{
+    /// <summary>
+    /// One log message kept for the dashboard log viewer
+    /// </summary>
+    public class LogEntry
+    {
+        /// <summary>
+        /// Increases by one per entry since startup; the viewer asks for entries after the last one it has
+        /// </summary>
+        public long Sequence { get; set; }
+
+        public DateTime TimestampUtc { get; set; }
+
+        /// <summary>
+        /// Microsoft.Extensions.Logging level name, e.g. "Information"
+        /// </summary>
+        public string Level { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Logger category, e.g. "WellMonitor.Device.Services.CameraService"
+        /// </summary>
+        public string Category { get; set; } = string.Empty;
+
+        /// <summary>
+        /// One of the <see cref="LogAreas"/> values
+        /// </summary>
+        public string Area { get; set; } = LogAreas.Other;
+
+        public string Message { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Message template before formatting, e.g. "Reading logged: Current={Current}A"
+        /// </summary>
+        public string? Template { get; set; }
+
+        /// <summary>
+        /// Structured values of the message template
+        /// </summary>
+        public Dictionary<string, string?> Properties { get; set; } = new();
+
+        public string? Exception { get; set; }
+        public int EventId { get; set; }
+    }
+
+    /// <summary>
+    /// Parts of the monitor a log category belongs to, for filtering the log viewer
+    /// </summary>
+    public static class LogAreas
+    {
+        public const string Camera = "Camera";
+        public const string Ocr = "OCR";
+        public const string Gpio = "GPIO";
+        public const string Sync = "Sync";
+        public const string Other = "Other";
+
+        public static readonly IReadOnlyList<string> All = new[] { Camera, Ocr, Gpio, Sync, Other };
+
+        // Class name prefixes of each area; anything with "Ocr" in its name is OCR
+        private static readonly (string Area, string[] Prefixes)[] AreaPrefixes =
+        {
+            (Ocr, new[] { "PumpStatusAnalyzer", "Roi" }),
+            (Camera, new[] { "Camera", "Exposure", "MjpegFrameReader", "DebugImage" }),
+            (Gpio, new[] { "Gpio", "Relay", "HardwareInitialization" }),
+            (Sync, new[] { "Sync", "Telemetry", "DeviceTwin", "IotHubDeviceTwin", "LocalDeviceTwin" })
+        };
+
+        /// <summary>
+        /// Area of a logger category from its class name; framework categories are Other
+        /// </summary>
+        public static string FromCategory(string category)
+        {
+            if (!category.StartsWith("WellMonitor.", StringComparison.Ordinal))
+            {
+                return Other;
+            }
+
+            var className = category[(category.LastIndexOf('.') + 1)..];
+            if (className.Contains("Ocr", StringComparison.Ordinal))
+            {
+                return Ocr;
+            }
+
+            foreach (var (area, prefixes) in AreaPrefixes)
+            {
+                if (prefixes.Any(p => className.StartsWith(p, StringComparison.Ordinal)))
+                {
+                    return area;
+                }
+            }
+
+            return Other;
+        }
+    }
+
+    /// <summary>
+    /// Filters for reading the log buffer; null filters match everything
+    /// </summary>
+    public class LogQuery
+    {
+        public const int MaxLimit = 5000;
+
+        /// <summary>
+        /// Lowest level to include, e.g. "Warning" also returns errors
+        /// </summary>
+        public string? MinLevel { get; set; }
+
+        /// <summary>
+        /// One of the <see cref="LogAreas"/> values
+        /// </summary>
+        public string? Area { get; set; }
+
+        /// <summary>
+        /// Case-insensitive text in the message, category or exception
+        /// </summary>
+        public string? Text { get; set; }
+
+        public DateTime? FromUtc { get; set; }
+        public DateTime? ToUtc { get; set; }
+
+        /// <summary>
+        /// Only entries logged after this sequence number, for catching up after a reconnect
+        /// </summary>
+        public long? AfterSequence { get; set; }
+
+        /// <summary>
+        /// Most recent entries to return
+        /// </summary>
+        public int Limit { get; set; } = 500;
+    }
+
+    /// <summary>
+    /// Runtime log settings and what the log buffer holds
+    /// </summary>
+    public class LogViewerSettings
+    {
+        /// <summary>
+        /// Debug:LogLevel, the lowest level WellMonitor categories log at
+        /// </summary>
+        public string LogLevel { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Debug:EnableVerboseOcrLogging, which logs OCR categories at Debug regardless of LogLevel
+        /// </summary>
+        public bool EnableVerboseOcrLogging { get; set; }
+
+        public IReadOnlyList<string> Levels { get; set; } = Array.Empty<string>();
+        public IReadOnlyList<string> Areas { get; set; } = LogAreas.All;
+        public int BufferCapacity { get; set; }
+        public int BufferedEntries { get; set; }
+        public DateTime? OldestEntryUtc { get; set; }
+    }
+}
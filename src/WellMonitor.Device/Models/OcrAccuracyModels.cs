@@ -0,0 +1,99 @@
+namespace WellMonitor.Device.Models
+{
+    /// <summary>
+    /// Label as listed in the dashboard, with its most recent evaluation
+    /// </summary>
+    public class OcrLabelView
+    {
+        public int Id { get; set; }
+        public string ImageFile { get; set; } = string.Empty;
+        public string ImageUrl { get; set; } = string.Empty;
+        public string SourceImage { get; set; } = string.Empty;
+        public string Text { get; set; } = string.Empty;
+        public string LabeledBy { get; set; } = string.Empty;
+        public DateTime LabeledAtUtc { get; set; }
+        public OcrEvaluation? LatestEvaluation { get; set; }
+    }
+
+    /// <summary>
+    /// How often OCR read one character as another (or missed or added it)
+    /// </summary>
+    public class OcrCharacterConfusion
+    {
+        /// <summary>
+        /// Character on the display; empty when OCR added a character that isn't there
+        /// </summary>
+        public string Expected { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Character OCR produced; empty when OCR missed the expected character
+        /// </summary>
+        public string Predicted { get; set; } = string.Empty;
+
+        public int Count { get; set; }
+    }
+
+    /// <summary>
+    /// Accuracy of one provider's evaluations on one day (UTC)
+    /// </summary>
+    public class OcrAccuracyPoint
+    {
+        public DateTime Date { get; set; }
+        public int Evaluations { get; set; }
+        public double Accuracy { get; set; }
+    }
+
+    /// <summary>
+    /// Accuracy of one OCR provider over the labelled set
+    /// </summary>
+    public class OcrProviderAccuracy
+    {
+        public string Provider { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Labels this provider has been evaluated on; the figures below use its latest evaluation of each
+        /// </summary>
+        public int Labels { get; set; }
+
+        /// <summary>
+        /// Share of labels read exactly (0.0 - 1.0)
+        /// </summary>
+        public double Accuracy { get; set; }
+
+        /// <summary>
+        /// 1 - character errors / labelled characters (0.0 - 1.0)
+        /// </summary>
+        public double CharacterAccuracy { get; set; }
+
+        public double AverageConfidence { get; set; }
+
+        public DateTime LastEvaluatedUtc { get; set; }
+
+        /// <summary>
+        /// Daily accuracy of every evaluation run in the report period
+        /// </summary>
+        public List<OcrAccuracyPoint> History { get; set; } = new();
+    }
+
+    /// <summary>
+    /// OCR accuracy measured against the labelled dataset
+    /// </summary>
+    public class OcrAccuracyReport
+    {
+        public int LabelCount { get; set; }
+
+        /// <summary>
+        /// Share of labels the most recent evaluation read exactly, whichever provider ran it; null before any evaluation
+        /// </summary>
+        public double? Accuracy { get; set; }
+
+        public List<OcrProviderAccuracy> Providers { get; set; } = new();
+
+        /// <summary>
+        /// Most frequent character errors across the latest evaluations, most frequent first
+        /// </summary>
+        public List<OcrCharacterConfusion> Confusions { get; set; } = new();
+
+        public DateTime GeneratedUtc { get; set; } = DateTime.UtcNow;
+    }
+}
@@ -0,0 +1,130 @@
+namespace WellMonitor.Device.Models
+{
+    /// <summary>
+    /// Registered OCR provider as offered to the benchmark
+    /// </summary>
+    public class OcrBenchmarkProvider
+    {
+        public string Name { get; set; } = string.Empty;
+        public bool IsAvailable { get; set; }
+
+        /// <summary>
+        /// Whether live readings currently use this provider
+        /// </summary>
+        public bool IsActive { get; set; }
+    }
+
+    /// <summary>
+    /// Preprocessing applied to the labelled crops before they are handed to each provider
+    /// </summary>
+    public class OcrBenchmarkVariant
+    {
+        public string Name { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Preprocessing steps; null sends the crop unprocessed
+        /// </summary>
+        public ImagePreprocessingOptions? Preprocessing { get; set; }
+    }
+
+    /// <summary>
+    /// What to benchmark: labelled images × providers × preprocessing variants
+    /// </summary>
+    public class OcrBenchmarkRequest
+    {
+        /// <summary>
+        /// OCR labels to run; every label when omitted
+        /// </summary>
+        public List<int>? LabelIds { get; set; }
+
+        /// <summary>
+        /// Providers to run; every available provider except Null when omitted
+        /// </summary>
+        public List<string>? Providers { get; set; }
+
+        /// <summary>
+        /// Preprocessing variants; the current settings and no preprocessing when omitted
+        /// </summary>
+        public List<OcrBenchmarkVariant>? Variants { get; set; }
+    }
+
+    /// <summary>
+    /// One provider's read of one labelled image
+    /// </summary>
+    public class OcrBenchmarkSample
+    {
+        public int LabelId { get; set; }
+        public string Expected { get; set; } = string.Empty;
+        public string Predicted { get; set; } = string.Empty;
+        public bool Correct { get; set; }
+        public double Confidence { get; set; }
+        public long LatencyMs { get; set; }
+
+        /// <summary>
+        /// The provider threw or timed out instead of returning a result
+        /// </summary>
+        public bool Failed { get; set; }
+
+        public string? Error { get; set; }
+    }
+
+    /// <summary>
+    /// Scores of one provider and preprocessing variant over the benchmarked images
+    /// </summary>
+    public class OcrBenchmarkRow
+    {
+        /// <summary>
+        /// 1 is the best combination
+        /// </summary>
+        public int Rank { get; set; }
+
+        public string Provider { get; set; } = string.Empty;
+        public string Variant { get; set; } = string.Empty;
+        public ImagePreprocessingOptions? Preprocessing { get; set; }
+
+        public int Images { get; set; }
+        public int Correct { get; set; }
+
+        /// <summary>
+        /// Share of images read exactly (0.0 - 1.0)
+        /// </summary>
+        public double Accuracy { get; set; }
+
+        /// <summary>
+        /// 1 - character errors / labelled characters (0.0 - 1.0)
+        /// </summary>
+        public double CharacterAccuracy { get; set; }
+
+        public double AverageConfidence { get; set; }
+        public double AverageLatencyMs { get; set; }
+        public long MaxLatencyMs { get; set; }
+
+        /// <summary>
+        /// Reads that threw or timed out
+        /// </summary>
+        public int Failures { get; set; }
+
+        public List<OcrBenchmarkSample> Samples { get; set; } = new();
+    }
+
+    /// <summary>
+    /// Ranked outcome of an OCR benchmark
+    /// </summary>
+    public class OcrBenchmarkResult
+    {
+        public DateTime StartedUtc { get; set; }
+        public DateTime CompletedUtc { get; set; }
+
+        public int Images { get; set; }
+
+        /// <summary>
+        /// Requested providers that could not run, with the reason
+        /// </summary>
+        public Dictionary<string, string> SkippedProviders { get; set; } = new();
+
+        /// <summary>
+        /// Ordered best first: exact reads, then character accuracy, confidence and latency
+        /// </summary>
+        public List<OcrBenchmarkRow> Rows { get; set; } = new();
+    }
+}
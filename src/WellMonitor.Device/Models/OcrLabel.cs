@@ -0,0 +1,62 @@
+namespace WellMonitor.Device.Models
+{
+    /// <summary>
+    /// True display text for one ROI crop, entered by an operator
+    /// The crop is copied into the OCR dataset directory so the label survives debug image cleanup
+    /// </summary>
+    public class OcrLabel
+    {
+        public int Id { get; set; }
+
+        /// <summary>
+        /// File name of the copy in the dataset directory
+        /// </summary>
+        public string ImageFile { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Debug image the copy was taken from
+        /// </summary>
+        public string SourceImage { get; set; } = string.Empty;
+
+        /// <summary>
+        /// What the display actually showed, e.g. "5.2" or "Dry"
+        /// </summary>
+        public string Text { get; set; } = string.Empty;
+
+        public string LabeledBy { get; set; } = string.Empty;
+
+        public DateTime LabeledAtUtc { get; set; }
+    }
+
+    /// <summary>
+    /// One OCR run over a labelled crop
+    /// Labels are re-evaluated after settings or provider changes, so accuracy can be followed over time
+    /// </summary>
+    public class OcrEvaluation
+    {
+        public int Id { get; set; }
+
+        public int LabelId { get; set; }
+
+        /// <summary>
+        /// OCR provider that produced the text
+        /// </summary>
+        public string Provider { get; set; } = string.Empty;
+
+        public string PredictedText { get; set; } = string.Empty;
+
+        public double Confidence { get; set; }
+
+        /// <summary>
+        /// Whether the normalised prediction equals the normalised label
+        /// </summary>
+        public bool Correct { get; set; }
+
+        /// <summary>
+        /// Edit distance between the normalised label and prediction
+        /// </summary>
+        public int CharacterErrors { get; set; }
+
+        public DateTime EvaluatedAtUtc { get; set; }
+    }
+}
@@ -51,6 +51,18 @@ public class OcrOptions
     /// Image preprocessing options
     /// </summary>
     public ImagePreprocessingOptions ImagePreprocessing { get; set; } = new();
+
+    /// <summary>
+    /// Copy for changing settings without touching the running configuration
+    /// Tesseract and preprocessing settings are copied too; Azure settings are shared
+    /// </summary>
+    public OcrOptions Clone()
+    {
+        var options = (OcrOptions)MemberwiseClone();
+        options.Tesseract = Tesseract.Clone();
+        options.ImagePreprocessing = ImagePreprocessing.Clone();
+        return options;
+    }
 }
 
 /// <summary>
@@ -96,6 +108,13 @@ public class TesseractOptions
     /// Path to Tesseract data directory (tessdata)
     /// </summary>
     public string? DataPath { get; set; }
+
+    public TesseractOptions Clone()
+    {
+        var options = (TesseractOptions)MemberwiseClone();
+        options.CustomConfig = new Dictionary<string, string>(CustomConfig);
+        return options;
+    }
 }
 
 /// <summary>
@@ -129,6 +148,22 @@ public class AzureCognitiveServicesOptions
     /// </summary>
     [Range(100, 5000)]
     public int PollingIntervalMs { get; set; } = 500;
+
+    /// <summary>
+    /// Replace the Azure provider with a local mock that needs no endpoint or network
+    /// </summary>
+    public bool UseLocalMock { get; set; } = false;
+
+    /// <summary>
+    /// JSON object of canned mock responses: SHA-256 of the image (hex, as printed by sha256sum) to display text
+    /// </summary>
+    public string? MockResponsesPath { get; set; }
+
+    /// <summary>
+    /// Simulated round trip of the mock in milliseconds
+    /// </summary>
+    [Range(0, 10000)]
+    public int MockLatencyMs { get; set; } = 400;
 }
 
 /// <summary>
@@ -194,4 +229,6 @@ public class ImagePreprocessingOptions
     /// </summary>
     [Range(0, 255)]
     public int BinaryThreshold { get; set; } = 128;
+
+    public ImagePreprocessingOptions Clone() => (ImagePreprocessingOptions)MemberwiseClone();
 }
@@ -0,0 +1,176 @@
+using WellMonitor.Shared.Models;
+
+namespace WellMonitor.Device.Models
+{
+    /// <summary>
+    /// Every OCR option the dashboard settings form can edit
+    /// Retries, timeouts, Tesseract language/data path and Azure credentials stay with the device configuration
+    /// </summary>
+    public class OcrSettings
+    {
+        public string Provider { get; set; } = "Tesseract";
+        public double MinimumConfidence { get; set; }
+        public bool EnablePreprocessing { get; set; }
+
+        /// <summary>
+        /// Tesseract page segmentation mode (0-13)
+        /// </summary>
+        public int PageSegmentationMode { get; set; }
+
+        /// <summary>
+        /// Tesseract engine mode (0-3)
+        /// </summary>
+        public int EngineMode { get; set; }
+
+        /// <summary>
+        /// Tesseract variables, e.g. tessedit_char_whitelist
+        /// </summary>
+        public Dictionary<string, string> CustomConfig { get; set; } = new();
+
+        public ImagePreprocessingOptions ImagePreprocessing { get; set; } = new();
+
+        public static OcrSettings FromOptions(OcrOptions options)
+        {
+            return new OcrSettings
+            {
+                Provider = options.Provider,
+                MinimumConfidence = options.MinimumConfidence,
+                EnablePreprocessing = options.EnablePreprocessing,
+                PageSegmentationMode = options.Tesseract.PageSegmentationMode,
+                EngineMode = options.Tesseract.EngineMode,
+                CustomConfig = new Dictionary<string, string>(options.Tesseract.CustomConfig),
+                ImagePreprocessing = options.ImagePreprocessing.Clone()
+            };
+        }
+
+        /// <summary>
+        /// Copy of the current OCR options with these settings applied
+        /// Ranges are checked by ConfigurationValidationService
+        /// </summary>
+        public OcrOptions ApplyTo(OcrOptions current)
+        {
+            var options = current.Clone();
+            options.Provider = Provider?.Trim() ?? string.Empty;
+            options.MinimumConfidence = MinimumConfidence;
+            options.EnablePreprocessing = EnablePreprocessing;
+            options.Tesseract.PageSegmentationMode = PageSegmentationMode;
+            options.Tesseract.EngineMode = EngineMode;
+            options.Tesseract.CustomConfig = new Dictionary<string, string>(CustomConfig ?? new());
+            options.ImagePreprocessing = (ImagePreprocessing ?? new()).Clone();
+            return options;
+        }
+    }
+
+    /// <summary>
+    /// Settings the OCR last ran well with, restorable from the dashboard
+    /// </summary>
+    public class OcrKnownGoodSettings
+    {
+        public const string SettingKey = "OcrKnownGood";
+
+        public OcrSettings Settings { get; set; } = new();
+
+        public DateTime SavedUtc { get; set; }
+
+        /// <summary>
+        /// Successful OCR reads made with these settings before they were replaced
+        /// </summary>
+        public long SuccessfulReadings { get; set; }
+    }
+
+    /// <summary>
+    /// Running OCR settings as shown by the settings form
+    /// </summary>
+    public class OcrSettingsState
+    {
+        public OcrSettings Settings { get; set; } = new();
+
+        /// <summary>
+        /// Registered providers for the provider dropdown
+        /// </summary>
+        public List<OcrBenchmarkProvider> Providers { get; set; } = new();
+
+        /// <summary>
+        /// Successful OCR reads since the running settings took effect; once there are any, the settings are
+        /// kept as known-good when the next change is applied
+        /// </summary>
+        public long SuccessfulReadings { get; set; }
+
+        public OcrKnownGoodSettings? KnownGood { get; set; }
+    }
+
+    /// <summary>
+    /// Outcome of saving the OCR settings form
+    /// </summary>
+    public class OcrSettingsUpdateResult
+    {
+        /// <summary>
+        /// False when validation failed; nothing was changed
+        /// </summary>
+        public bool Applied { get; set; }
+
+        public List<string> Errors { get; set; } = new();
+
+        /// <summary>
+        /// Human-readable list of changed settings, e.g. "MinimumConfidence: 0.7 → 0.6"
+        /// </summary>
+        public List<string> Changes { get; set; } = new();
+
+        public OcrSettings Settings { get; set; } = new();
+
+        /// <summary>
+        /// Whether the replaced settings were saved as the new known-good
+        /// </summary>
+        public bool SavedKnownGood { get; set; }
+    }
+
+    /// <summary>
+    /// One OCR pass over the preview crop
+    /// </summary>
+    public class OcrSettingsPreviewResult
+    {
+        public string Provider { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Crop after preprocessing as a PNG data URL; null when preprocessing is disabled
+        /// </summary>
+        public string? ProcessedImage { get; set; }
+
+        public List<string> PreprocessingSteps { get; set; } = new();
+
+        public bool Success { get; set; }
+        public string Text { get; set; } = string.Empty;
+        public double Confidence { get; set; }
+
+        /// <summary>
+        /// Read succeeded with at least the minimum confidence, so a live reading would be kept
+        /// </summary>
+        public bool Accepted { get; set; }
+
+        /// <summary>
+        /// Pump status parsed from the text
+        /// </summary>
+        public string Status { get; set; } = nameof(PumpStatus.Unknown);
+        public double? CurrentAmps { get; set; }
+        public long LatencyMs { get; set; }
+        public string? Error { get; set; }
+    }
+
+    /// <summary>
+    /// The same debug crop read with the running and with the edited settings
+    /// </summary>
+    public class OcrSettingsPreview
+    {
+        /// <summary>
+        /// Unprocessed ROI crop the preview ran on
+        /// </summary>
+        public string SourceImage { get; set; } = string.Empty;
+
+        public string SourceImageUrl { get; set; } = string.Empty;
+
+        public OcrSettingsPreviewResult Current { get; set; } = new();
+        public OcrSettingsPreviewResult Proposed { get; set; } = new();
+
+        public List<string> Changes { get; set; } = new();
+    }
+}
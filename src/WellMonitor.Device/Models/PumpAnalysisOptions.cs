@@ -34,6 +34,11 @@ public class PumpAnalysisOptions
     /// Current threshold above which pump is considered high/overload (default: 20.0A)
     /// </summary>
     public double HighCurrentThreshold { get; set; } = 20.0;
+
+    /// <summary>
+    /// Run cycles shorter than this are flagged as short cycles (default: 2 minutes)
+    /// </summary>
+    public double ShortCycleThresholdMinutes { get; set; } = 2.0;
 }
 
 /// <summary>
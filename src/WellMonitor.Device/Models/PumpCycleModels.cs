@@ -0,0 +1,89 @@
+namespace WellMonitor.Device.Models
+{
+    /// <summary>
+    /// A single pump run, from the first reading above the idle threshold to the first reading below it
+    /// </summary>
+    public class PumpCycle
+    {
+        /// <summary>
+        /// First running reading (UTC)
+        /// </summary>
+        public DateTime Start { get; set; }
+
+        /// <summary>
+        /// First stopped reading, or the last running reading if the cycle is still in progress
+        /// or readings stopped arriving (UTC)
+        /// </summary>
+        public DateTime End { get; set; }
+
+        public double DurationMinutes { get; set; }
+        public double AverageCurrent { get; set; }
+        public double PeakCurrent { get; set; }
+        public int ReadingCount { get; set; }
+
+        /// <summary>
+        /// Shorter than PumpAnalysisOptions.ShortCycleThresholdMinutes
+        /// </summary>
+        public bool IsShortCycle { get; set; }
+
+        /// <summary>
+        /// Pump was still running at the end of the range
+        /// </summary>
+        public bool InProgress { get; set; }
+    }
+
+    /// <summary>
+    /// Run-time statistics for one calendar day in the dashboard's time zone
+    /// </summary>
+    public class PumpCycleDay
+    {
+        /// <summary>
+        /// Local date (yyyy-MM-dd)
+        /// </summary>
+        public string Date { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Hours the pump ran on this day, with cycles spanning midnight split between days
+        /// </summary>
+        public double RunHours { get; set; }
+
+        /// <summary>
+        /// Cycles started on this day
+        /// </summary>
+        public int Cycles { get; set; }
+
+        public int ShortCycles { get; set; }
+
+        /// <summary>
+        /// Mean off-time before the cycles started on this day
+        /// </summary>
+        public double? MeanOffMinutes { get; set; }
+    }
+
+    /// <summary>
+    /// Pump cycles and run-time analytics for a time range
+    /// </summary>
+    public class PumpCycleAnalysis
+    {
+        public DateTime From { get; set; }
+        public DateTime To { get; set; }
+
+        public List<PumpCycle> Cycles { get; set; } = new();
+        public List<PumpCycleDay> Days { get; set; } = new();
+
+        public int TotalCycles { get; set; }
+        public int ShortCycles { get; set; }
+        public double TotalRunHours { get; set; }
+        public double CyclesPerDay { get; set; }
+        public double RunHoursPerDay { get; set; }
+        public double? MeanRunMinutes { get; set; }
+        public double? MeanOffMinutes { get; set; }
+
+        /// <summary>
+        /// Current at or above which the pump counts as running (PumpAnalysisOptions.IdleCurrentThreshold)
+        /// </summary>
+        public double RunningCurrentThreshold { get; set; }
+
+        public double ShortCycleThresholdMinutes { get; set; }
+    }
+}
@@ -0,0 +1,46 @@
+namespace WellMonitor.Device.Models
+{
+    /// <summary>
+    /// Web Push (VAPID) settings for browser notifications
+    /// Keys are generated on first use and stored in the database unless configured here
+    /// </summary>
+    public class PushNotificationOptions
+    {
+        public const string VapidKeysSettingKey = "PushVapidKeys";
+
+        /// <summary>
+        /// Contact sent to push services with every message (mailto: or https: URL)
+        /// </summary>
+        public string Subject { get; set; } = "mailto:admin@wellmonitor.local";
+
+        /// <summary>
+        /// How long push services keep undelivered messages (default: 1 day)
+        /// </summary>
+        public int TimeToLiveSeconds { get; set; } = 86400;
+
+        /// <summary>
+        /// Accept plain http endpoints, e.g. a stand-in push service on the bench (default: false)
+        /// Browser push services always use https, so leave this off on a real device
+        /// </summary>
+        public bool AllowInsecureEndpoints { get; set; }
+
+        /// <summary>
+        /// VAPID public key (base64url, uncompressed P-256 point); optional
+        /// </summary>
+        public string? PublicKey { get; set; }
+
+        /// <summary>
+        /// VAPID private key (base64url, 32 bytes); optional
+        /// </summary>
+        public string? PrivateKey { get; set; }
+    }
+
+    /// <summary>
+    /// VAPID key pair, base64url encoded
+    /// </summary>
+    public class VapidKeys
+    {
+        public string PublicKey { get; set; } = string.Empty;
+        public string PrivateKey { get; set; } = string.Empty;
+    }
+}
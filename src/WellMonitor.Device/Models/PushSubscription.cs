@@ -0,0 +1,82 @@
+namespace WellMonitor.Device.Models
+{
+    /// <summary>
+    /// Browser push subscription and the notification topics it wants
+    /// </summary>
+    public class PushSubscription
+    {
+        public int Id { get; set; }
+
+        /// <summary>
+        /// Push service URL issued to the browser
+        /// </summary>
+        public string Endpoint { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Browser's P-256 public key (base64url)
+        /// </summary>
+        public string P256dh { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Browser's authentication secret (base64url)
+        /// </summary>
+        public string Auth { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Comma-separated <see cref="PushTopics"/> values
+        /// </summary>
+        public string Topics { get; set; } = string.Empty;
+
+        public DateTime CreatedAtUtc { get; set; }
+        public DateTime? LastSentAtUtc { get; set; }
+
+        /// <summary>
+        /// Consecutive failed deliveries
+        /// </summary>
+        public int FailureCount { get; set; }
+
+        public IEnumerable<string> GetTopics() =>
+            Topics.Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries);
+
+        public bool HasTopic(string topic) => GetTopics().Contains(topic, StringComparer.OrdinalIgnoreCase);
+    }
+
+    /// <summary>
+    /// Notification topics a browser can subscribe to: the alert types plus relay cycles
+    /// </summary>
+    public static class PushTopics
+    {
+        public const string RelayCycle = "RelayCycle";
+
+        public static readonly string[] All =
+        {
+            AlertTypes.Dry, AlertTypes.RapidCycle, RelayCycle, AlertTypes.OcrFailure, AlertTypes.CameraError,
+            AlertTypes.StorageLow, AlertTypes.HighTemperature, AlertTypes.MemoryGrowth
+        };
+
+        public static readonly string[] Default = { AlertTypes.Dry, AlertTypes.RapidCycle, RelayCycle, AlertTypes.StorageLow };
+    }
+
+    /// <summary>
+    /// Notification waiting in the push queue for the subscribers of its topic
+    /// </summary>
+    public class PendingPushNotification
+    {
+        public string Topic { get; set; } = string.Empty;
+        public string Title { get; set; } = string.Empty;
+        public string Body { get; set; } = string.Empty;
+        public bool Urgent { get; set; }
+    }
+
+    /// <summary>
+    /// Notification payload read by the dashboard service worker
+    /// </summary>
+    public class PushMessage
+    {
+        public string Topic { get; set; } = string.Empty;
+        public string Title { get; set; } = string.Empty;
+        public string Body { get; set; } = string.Empty;
+        public string Url { get; set; } = "/";
+        public DateTime TimestampUtc { get; set; } = DateTime.UtcNow;
+    }
+}
@@ -1,4 +1,6 @@
 using System.ComponentModel.DataAnnotations;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
 
 namespace WellMonitor.Device.Models
 {
@@ -91,10 +93,11 @@ namespace WellMonitor.Device.Models
         /// </summary>
         public (int x, int y, int width, int height) ToPixelCoordinates(int imageWidth, int imageHeight)
         {
-            var x = (int)(imageWidth * X);
-            var y = (int)(imageHeight * Y);
-            var width = (int)(imageWidth * Width);
-            var height = (int)(imageHeight * Height);
+            // Round rather than truncate so pixel-snapped fractions from the dashboard map back exactly
+            var x = (int)Math.Round(imageWidth * X);
+            var y = (int)Math.Round(imageHeight * Y);
+            var width = (int)Math.Round(imageWidth * Width);
+            var height = (int)Math.Round(imageHeight * Height);
 
             // Ensure coordinates don't exceed image bounds
             x = Math.Max(0, Math.Min(x, imageWidth - 1));
@@ -124,4 +127,73 @@ namespace WellMonitor.Device.Models
             return $"ROI(X:{X:P1}, Y:{Y:P1}, W:{Width:P1}, H:{Height:P1})";
         }
     }
+
+    /// <summary>
+    /// Runtime configuration source for RegionOfInterestOptions that can be updated when an ROI profile is switched
+    /// </summary>
+    public class RuntimeRoiOptionsSource : IOptionsMonitor<RegionOfInterestOptions>
+    {
+        private readonly ILogger<RuntimeRoiOptionsSource> _logger;
+        private RegionOfInterestOptions _currentOptions;
+        private readonly List<IDisposable> _subscriptions = new();
+
+        public RuntimeRoiOptionsSource(ILogger<RuntimeRoiOptionsSource> logger)
+        {
+            _logger = logger;
+            _currentOptions = new RegionOfInterestOptions();
+        }
+
+        public RegionOfInterestOptions CurrentValue => _currentOptions;
+
+        public RegionOfInterestOptions Get(string? name) => _currentOptions;
+
+        public IDisposable OnChange(Action<RegionOfInterestOptions, string?> listener)
+        {
+            var subscription = new ChangeSubscription(listener);
+            _subscriptions.Add(subscription);
+            return subscription;
+        }
+
+        /// <summary>
+        /// Update the options (called by RuntimeConfigurationService when the active ROI changes)
+        /// </summary>
+        public void UpdateOptions(RegionOfInterestOptions newOptions)
+        {
+            var oldOptions = _currentOptions;
+            _currentOptions = newOptions ?? new RegionOfInterestOptions();
+
+            if (oldOptions.RoiPercent?.ToString() != _currentOptions.RoiPercent?.ToString())
+            {
+                _logger.LogInformation("ROI changed from {OldRoi} to {NewRoi}", oldOptions.RoiPercent, _currentOptions.RoiPercent);
+            }
+
+            // Notify subscribers
+            foreach (var subscription in _subscriptions.OfType<ChangeSubscription>())
+            {
+                try
+                {
+                    subscription.Listener(_currentOptions, null);
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogError(ex, "Error notifying ROI options change subscriber");
+                }
+            }
+        }
+
+        private class ChangeSubscription : IDisposable
+        {
+            public Action<RegionOfInterestOptions, string?> Listener { get; }
+
+            public ChangeSubscription(Action<RegionOfInterestOptions, string?> listener)
+            {
+                Listener = listener;
+            }
+
+            public void Dispose()
+            {
+                // No cleanup needed
+            }
+        }
+    }
 }
@@ -0,0 +1,112 @@
+namespace WellMonitor.Device.Models
+{
+    /// <summary>
+    /// Relay action names stored in RelayActionLog.Action; the action also identifies who triggered it
+    /// </summary>
+    public static class RelayActions
+    {
+        public const string PowerCycle = "PowerCycle";
+        public const string ManualCycle = "ManualCycle";
+        public const string CloudCycle = "CloudCycle";
+
+        /// <summary>
+        /// Error prefix of a cycle that cut the pump's power but failed to restore it; it still counts toward the limits
+        /// </summary>
+        public const string PowerNotRestoredPrefix = "Power not restored: ";
+
+        public static string ForSource(string source) => source switch
+        {
+            RelaySources.Manual => ManualCycle,
+            RelaySources.Cloud => CloudCycle,
+            _ => PowerCycle
+        };
+
+        public static string GetSource(string action) => action switch
+        {
+            ManualCycle => RelaySources.Manual,
+            CloudCycle => RelaySources.Cloud,
+            PowerCycle => RelaySources.Automatic,
+            _ => RelaySources.Unknown
+        };
+    }
+
+    public static class RelaySources
+    {
+        public const string Manual = "Manual";
+        public const string Automatic = "Automatic";
+        public const string Cloud = "Cloud";
+        public const string Unknown = "Unknown";
+    }
+
+    /// <summary>
+    /// Relay safety limits and whether a power cycle is allowed right now
+    /// </summary>
+    public class RelayStatus
+    {
+        public bool RelayOn { get; set; }
+        public bool CycleInProgress { get; set; }
+
+        public DateTime? LastCycleUtc { get; set; }
+
+        /// <summary>
+        /// End of the MinimumCycleIntervalMinutes lockout; null when not locked out
+        /// </summary>
+        public DateTime? LockoutEndsUtc { get; set; }
+        public int LockoutRemainingSeconds { get; set; }
+
+        public int CyclesToday { get; set; }
+        public int MaxDailyCycles { get; set; }
+        public int RemainingToday { get; set; }
+
+        public int MinimumCycleIntervalMinutes { get; set; }
+        public int PowerCycleDelaySeconds { get; set; }
+
+        /// <summary>
+        /// Latest reading shows the pump drawing running current
+        /// </summary>
+        public bool PumpRunning { get; set; }
+        public string PumpStatus { get; set; } = "Unknown";
+        public double? PumpCurrentAmps { get; set; }
+
+        /// <summary>
+        /// Text the operator must type to confirm a manual cycle
+        /// </summary>
+        public string ConfirmationPhrase { get; set; } = string.Empty;
+
+        public bool CanCycle { get; set; }
+
+        /// <summary>
+        /// Why a cycle is not allowed right now
+        /// </summary>
+        public string? BlockedReason { get; set; }
+    }
+
+    /// <summary>
+    /// Relay action log entry for the dashboard audit list
+    /// </summary>
+    public class RelayActionEntry
+    {
+        public int Id { get; set; }
+        public DateTime TimestampUtc { get; set; }
+        public string Action { get; set; } = string.Empty;
+        public string Source { get; set; } = string.Empty;
+        public string? Reason { get; set; }
+
+        /// <summary>
+        /// "Completed", or the error / reason the cycle was blocked
+        /// </summary>
+        public string Result { get; set; } = string.Empty;
+        public bool Succeeded { get; set; }
+        public bool Synced { get; set; }
+    }
+
+    /// <summary>
+    /// Outcome of a power cycle request
+    /// </summary>
+    public class RelayCycleResult
+    {
+        public bool Success { get; set; }
+        public string Message { get; set; } = string.Empty;
+        public RelayStatus Status { get; set; } = new();
+    }
+}
@@ -0,0 +1,100 @@
+namespace WellMonitor.Device.Models
+{
+    /// <summary>
+    /// Saved version of a named ROI profile
+    /// Every save creates a new version so earlier calibrations can be rolled back to
+    /// </summary>
+    public class RoiProfile
+    {
+        public int Id { get; set; }
+
+        /// <summary>
+        /// Profile name (e.g. "Summer", "Winter", "After maintenance")
+        /// </summary>
+        public string Name { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Version number within the profile name, starting at 1
+        /// </summary>
+        public int Version { get; set; }
+
+        /// <summary>
+        /// ROI coordinates as fractions (0.0 to 1.0) of the image dimensions
+        /// </summary>
+        public double X { get; set; }
+        public double Y { get; set; }
+        public double Width { get; set; }
+        public double Height { get; set; }
+
+        /// <summary>
+        /// Who saved this version
+        /// </summary>
+        public string SavedBy { get; set; } = string.Empty;
+
+        /// <summary>
+        /// When this version was saved (UTC)
+        /// </summary>
+        public DateTime SavedAtUtc { get; set; }
+
+        /// <summary>
+        /// Debug image the ROI was calibrated on
+        /// </summary>
+        public string? SourceImage { get; set; }
+
+        /// <summary>
+        /// JPEG thumbnail of the calibration frame with the ROI drawn on it
+        /// </summary>
+        public byte[]? Thumbnail { get; set; }
+
+        /// <summary>
+        /// Whether this version is the ROI currently in use
+        /// </summary>
+        public bool IsActive { get; set; }
+
+        /// <summary>
+        /// When this version was last made active (UTC), used for rollback
+        /// </summary>
+        public DateTime? ActivatedAtUtc { get; set; }
+
+        public RoiCoordinates ToCoordinates()
+        {
+            return new RoiCoordinates { X = X, Y = Y, Width = Width, Height = Height };
+        }
+    }
+
+    /// <summary>
+    /// Difference between two saved ROI profile versions
+    /// </summary>
+    public class RoiProfileDiff
+    {
+        public RoiProfile From { get; set; } = new();
+        public RoiProfile To { get; set; } = new();
+
+        /// <summary>
+        /// Change in each coordinate as a fraction of the image dimensions (To - From)
+        /// </summary>
+        public double DeltaX => To.X - From.X;
+        public double DeltaY => To.Y - From.Y;
+        public double DeltaWidth => To.Width - From.Width;
+        public double DeltaHeight => To.Height - From.Height;
+
+        /// <summary>
+        /// Intersection over union of the two rectangles (1.0 = identical)
+        /// </summary>
+        public double Overlap
+        {
+            get
+            {
+                var left = Math.Max(From.X, To.X);
+                var top = Math.Max(From.Y, To.Y);
+                var right = Math.Min(From.X + From.Width, To.X + To.Width);
+                var bottom = Math.Min(From.Y + From.Height, To.Y + To.Height);
+
+                var intersection = Math.Max(0, right - left) * Math.Max(0, bottom - top);
+                var union = From.Width * From.Height + To.Width * To.Height - intersection;
+
+                return union > 0 ? intersection / union : 0;
+            }
+        }
+    }
+}
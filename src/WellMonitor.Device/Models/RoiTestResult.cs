@@ -0,0 +1,74 @@
+using WellMonitor.Shared.Models;
+
+namespace WellMonitor.Device.Models
+{
+    /// <summary>
+    /// Result of running the OCR pipeline against an unsaved ROI
+    /// Lets the dashboard check a calibration before it is saved
+    /// </summary>
+    public class RoiTestResult
+    {
+        /// <summary>
+        /// Whether the ROI could be extracted and processed
+        /// </summary>
+        public bool Success { get; set; }
+
+        /// <summary>
+        /// ROI that was tested
+        /// </summary>
+        public RoiCoordinates Roi { get; set; } = new();
+
+        /// <summary>
+        /// ROI in pixels of the captured frame
+        /// </summary>
+        public int PixelX { get; set; }
+        public int PixelY { get; set; }
+        public int PixelWidth { get; set; }
+        public int PixelHeight { get; set; }
+
+        /// <summary>
+        /// File name of the tested frame in the debug image directory
+        /// </summary>
+        public string? OriginalImageFile { get; set; }
+
+        /// <summary>
+        /// File name of the frame with the ROI outlined in the debug image directory
+        /// </summary>
+        public string? OverlayImageFile { get; set; }
+
+        /// <summary>
+        /// File name of the extracted ROI crop in the debug image directory
+        /// </summary>
+        public string? ExtractedImageFile { get; set; }
+
+        /// <summary>
+        /// File name of the preprocessed ROI crop in the debug image directory
+        /// </summary>
+        public string? ProcessedImageFile { get; set; }
+
+        /// <summary>
+        /// OCR result for the preprocessed crop
+        /// </summary>
+        public OcrResult? Ocr { get; set; }
+
+        /// <summary>
+        /// Reading parsed by the OCR service (amps or status message)
+        /// </summary>
+        public PumpReading? ParsedReading { get; set; }
+
+        /// <summary>
+        /// Status the PumpStatusAnalyzer would assign to this reading
+        /// </summary>
+        public PumpStatus AnalyzedStatus { get; set; } = PumpStatus.Unknown;
+
+        /// <summary>
+        /// Error message if the test failed
+        /// </summary>
+        public string? ErrorMessage { get; set; }
+
+        /// <summary>
+        /// When the test was run
+        /// </summary>
+        public DateTime Timestamp { get; set; } = DateTime.UtcNow;
+    }
+}
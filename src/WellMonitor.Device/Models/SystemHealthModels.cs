@@ -0,0 +1,82 @@
+namespace WellMonitor.Device.Models
+{
+    /// <summary>
+    /// A health threshold that is currently exceeded; each type is raised as a device alert of the same type
+    /// </summary>
+    public class SystemHealthWarning
+    {
+        /// <summary>
+        /// One of the system health <see cref="AlertTypes"/> values
+        /// </summary>
+        public string Type { get; set; } = string.Empty;
+
+        /// <summary>
+        /// One of the <see cref="AlertSeverity"/> values
+        /// </summary>
+        public string Severity { get; set; } = AlertSeverity.Warning;
+
+        public string Title { get; set; } = string.Empty;
+        public string Message { get; set; } = string.Empty;
+    }
+
+    /// <summary>
+    /// Sampled history for the health trend charts, with the thresholds drawn on them
+    /// </summary>
+    public class SystemHealthTrend
+    {
+        public DateTime FromUtc { get; set; }
+        public DateTime ToUtc { get; set; }
+        public List<SystemHealthSample> Samples { get; set; } = new();
+        public SystemHealthSample? Latest { get; set; }
+        public SystemHealthOptions Thresholds { get; set; } = new();
+        public List<SystemHealthWarning> Warnings { get; set; } = new();
+
+        /// <summary>
+        /// Fitted growth of the service's memory over the trend window; null until there are enough samples
+        /// </summary>
+        public double? MemoryGrowthMbPerHour { get; set; }
+
+        /// <summary>
+        /// When the storage fill trend reaches 100%; null while free space isn't shrinking
+        /// </summary>
+        public double? StorageDaysUntilFull { get; set; }
+    }
+
+    /// <summary>
+    /// Space used by one kind of data on the device
+    /// </summary>
+    public class StorageUsageItem
+    {
+        public string Name { get; set; } = string.Empty;
+        public string Path { get; set; } = string.Empty;
+        public bool Exists { get; set; }
+        public long Bytes { get; set; }
+        public int Files { get; set; }
+    }
+
+    /// <summary>
+    /// What is filling the SD card, and what the debug image retention would free
+    /// </summary>
+    public class StorageBreakdown
+    {
+        public string DrivePath { get; set; } = string.Empty;
+        public long DriveTotalBytes { get; set; }
+        public long DriveFreeBytes { get; set; }
+        public double? DriveUsedPercent { get; set; }
+
+        /// <summary>
+        /// Database, debug images, OCR dataset and logs
+        /// </summary>
+        public List<StorageUsageItem> Items { get; set; } = new();
+
+        public int ImageRetentionDays { get; set; }
+        public bool AutoCleanupDebugImages { get; set; }
+        public DateTime? OldestDebugImageUtc { get; set; }
+
+        /// <summary>
+        /// Debug images older than the retention, removed by the next cleanup
+        /// </summary>
+        public int ExpiredDebugImages { get; set; }
+        public long ExpiredDebugImageBytes { get; set; }
+    }
+}
@@ -0,0 +1,50 @@
+namespace WellMonitor.Device.Models
+{
+    /// <summary>
+    /// System health sampling, alert thresholds and storage locations (SystemHealth section)
+    /// </summary>
+    public class SystemHealthOptions
+    {
+        /// <summary>
+        /// How often CPU, memory, storage and temperature are sampled into history
+        /// </summary>
+        public int SampleIntervalMinutes { get; set; } = 5;
+
+        /// <summary>
+        /// How long samples are kept
+        /// </summary>
+        public int SampleRetentionDays { get; set; } = 30;
+
+        /// <summary>
+        /// SD card fill that raises a warning, and the fill that raises a danger alert
+        /// </summary>
+        public double StorageWarningPercent { get; set; } = 85;
+        public double StorageCriticalPercent { get; set; } = 95;
+
+        /// <summary>
+        /// SoC temperature that raises a warning; the Pi firmware starts throttling at 80 °C
+        /// </summary>
+        public double TemperatureWarningCelsius { get; set; } = 70;
+        public double TemperatureCriticalCelsius { get; set; } = 80;
+
+        /// <summary>
+        /// Steady growth of the service's own memory that suggests a leak
+        /// </summary>
+        public double MemoryGrowthWarningMbPerHour { get; set; } = 5;
+
+        /// <summary>
+        /// Hours of samples the memory growth and days-until-full trends are fitted over; a trend needs at least half of it
+        /// </summary>
+        public int TrendWindowHours { get; set; } = 12;
+
+        /// <summary>
+        /// Delete debug images older than Debug:ImageRetentionDays once a day; the OCR dataset subfolder is never touched
+        /// </summary>
+        public bool AutoCleanupDebugImages { get; set; } = true;
+
+        /// <summary>
+        /// Log directory counted in the storage breakdown; journald keeps persistent logs here
+        /// </summary>
+        public string LogDirectory { get; set; } = "/var/log/journal";
+    }
+}
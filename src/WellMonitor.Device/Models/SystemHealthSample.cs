@@ -0,0 +1,48 @@
+namespace WellMonitor.Device.Models
+{
+    /// <summary>
+    /// One system health measurement; metrics the platform doesn't expose are null
+    /// </summary>
+    public class SystemHealthSample
+    {
+        public int Id { get; set; }
+        public DateTime TimestampUtc { get; set; }
+
+        public double? CpuPercent { get; set; }
+
+        /// <summary>
+        /// System memory in use, excluding reclaimable cache
+        /// </summary>
+        public double? MemoryPercent { get; set; }
+
+        /// <summary>
+        /// Working set of the WellMonitor process, for spotting leaks
+        /// </summary>
+        public double ProcessMemoryMb { get; set; }
+
+        /// <summary>
+        /// Fill of the file system holding the database
+        /// </summary>
+        public double? StoragePercent { get; set; }
+        public double? StorageFreeMb { get; set; }
+
+        public double? TemperatureCelsius { get; set; }
+
+        /// <summary>
+        /// Raspberry Pi firmware throttling flags (get_throttled); see <see cref="ThrottleFlags"/>
+        /// </summary>
+        public int? ThrottledFlags { get; set; }
+    }
+
+    /// <summary>
+    /// Bits of the Raspberry Pi get_throttled value: the low bits are current state, bits 16+ what happened since boot
+    /// </summary>
+    public static class ThrottleFlags
+    {
+        public const int UnderVoltage = 0x1;
+        public const int FrequencyCapped = 0x2;
+        public const int Throttled = 0x4;
+        public const int SoftTemperatureLimit = 0x8;
+        public const int ThrottledSinceBoot = 0x40000;
+    }
+}
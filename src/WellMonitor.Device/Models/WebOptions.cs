@@ -43,19 +43,21 @@ namespace WellMonitor.Device.Models
         public string CorsOrigins { get; set; } = string.Empty;
 
         /// <summary>
-        /// Enable authentication for the web dashboard
+        /// Require sign-in for the web dashboard, its API and the SignalR hub
         /// </summary>
         public bool EnableAuthentication { get; set; } = false;
 
         /// <summary>
-        /// Basic authentication username (if EnableAuthentication is true)
+        /// Username of the configured admin account (if EnableAuthentication is true)
         /// </summary>
         public string AuthUsername { get; set; } = "admin";
 
         /// <summary>
-        /// Basic authentication password (if EnableAuthentication is true)
+        /// Password of the configured admin account; never sent in the device twin, so usually WEB_AUTH_PASSWORD
         /// </summary>
         public string AuthPassword { get; set; } = string.Empty;
+
+        public WebOptions Clone() => (WebOptions)MemberwiseClone();
     }
 
     /// <summary>
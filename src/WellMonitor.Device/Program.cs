@@ -7,6 +7,8 @@ using Microsoft.Azure.Devices.Client;
 using Microsoft.Azure.Devices.Shared;
 using Microsoft.EntityFrameworkCore;
 using Microsoft.AspNetCore.Hosting;
+using Microsoft.AspNetCore.Authentication.Cookies;
+using Microsoft.AspNetCore.Authorization;
 using WellMonitor.Device.Services;
 using WellMonitor.Device.Models;
 using WellMonitor.Device.Data;
@@ -100,6 +102,10 @@ var host = Host.CreateDefaultBuilder(args)
             app.UseDefaultFiles();
             app.UseStaticFiles();
 
+            // After the static files so the dashboard shell and its login screen load without a session
+            app.UseAuthentication();
+            app.UseAuthorization();
+
             app.UseEndpoints(endpoints =>
             {
                 endpoints.MapControllers();
@@ -114,7 +120,7 @@ var host = Host.CreateDefaultBuilder(args)
                         service = "WellMonitor",
                         version = "1.0.0"
                     });
-                });
+                }).AllowAnonymous();
             });
         });
     })
@@ -136,6 +142,9 @@ var host = Host.CreateDefaultBuilder(args)
         // Register web options with runtime configuration
         RegisterWebOptions(services, context.Configuration);
         
+        // Register dashboard sign-in and role checks (open to everyone while Web:EnableAuthentication is off)
+        RegisterDashboardAuthentication(services);
+        
         // Register options pattern for services
         services.AddSingleton(gpioOptions);
         
@@ -149,10 +158,21 @@ var host = Host.CreateDefaultBuilder(args)
         services.AddSingleton(new PumpAnalysisOptions());
         services.AddSingleton(new PowerManagementOptions());
         services.AddSingleton(new StatusDetectionOptions());
-        services.AddSingleton(new RegionOfInterestOptions
-        {
-            RoiPercent = new RoiCoordinates { X = 10, Y = 10, Width = 80, Height = 80 }
-        });
+        
+        // Energy defaults (voltage, power factor, tariff); dashboard edits are saved in the database
+        services.Configure<EnergyOptions>(context.Configuration.GetSection("Energy"));
+        
+        // Camera live view limits (resolution, frame rate, automatic timeout)
+        services.Configure<LiveViewOptions>(context.Configuration.GetSection("LiveView"));
+        
+        // Browser push notifications (VAPID keys are generated and stored on first use unless configured)
+        services.Configure<PushNotificationOptions>(context.Configuration.GetSection("PushNotifications"));
+        
+        // System health sampling, alert thresholds and storage locations
+        services.Configure<SystemHealthOptions>(context.Configuration.GetSection("SystemHealth"));
+        
+        // Register ROI options with runtime configuration (active ROI profile is applied at startup)
+        RegisterRoiOptions(services);
         
         // Register Entity Framework DbContext with explicit logging suppression
         services.AddDbContext<WellMonitorDbContext>(options =>
@@ -179,8 +199,18 @@ var host = Host.CreateDefaultBuilder(args)
         
         // Register core services
         services.AddSingleton<IGpioService, GpioService>();
+        services.AddSingleton<ICameraLiveViewService, CameraLiveViewService>();
         services.AddSingleton<ICameraService, CameraService>();
         services.AddScoped<IDatabaseService, DatabaseService>();
+        services.AddScoped<IHistoryService, HistoryService>();
+        services.AddScoped<ISummaryRollupService, SummaryRollupService>();
+        services.AddScoped<IPumpCycleService, PumpCycleService>();
+        services.AddScoped<IEnergyService, EnergyService>();
+        services.AddScoped<IAlertService, AlertService>();
+        services.AddScoped<IPushNotificationService, PushNotificationService>();
+        services.AddSingleton<IPushNotificationQueue, PushNotificationQueue>();
+        services.AddScoped<IRelayControlService, RelayControlService>();
+        services.AddHttpClient<IWebPushSender, WebPushSender>(client => client.Timeout = TimeSpan.FromSeconds(15));
         services.AddSingleton<ISyncService, SyncService>();
         services.AddSingleton<ITelemetryService, TelemetryService>();
         services.AddSingleton<IDeviceTwinService, DeviceTwinService>();
@@ -189,6 +219,9 @@ var host = Host.CreateDefaultBuilder(args)
         services.AddHostedService<RealtimeUpdateService>();
         services.AddHostedService<WebConfigurationService>();
         
+        // Register the dashboard log viewer (log buffer, logger provider and runtime log level)
+        RegisterLogViewer(services, context.Configuration);
+        
         // Register OCR services
         RegisterOcrServices(services, context.Configuration);
         
@@ -198,6 +231,35 @@ var host = Host.CreateDefaultBuilder(args)
         // Register pump analysis service
         services.AddSingleton<PumpStatusAnalyzer>();
         
+        // Register ROI test service (used by the ROI calibration page)
+        services.AddSingleton<IRoiTestService, RoiTestService>();
+        
+        // Register exposure comparison (singleton so only one batch holds the camera at a time)
+        services.AddSingleton<IExposureComparisonService, ExposureComparisonService>();
+        
+        // Register camera settings editing (applies through the runtime configuration)
+        services.AddSingleton<ICameraSettingsService, CameraSettingsService>();
+        
+        // Register debug image gallery queries and cleanup
+        services.AddSingleton<IDebugImageService, DebugImageService>();
+        
+        // Register system health history and storage management (singleton so CPU usage is measured between reads)
+        services.AddSingleton<ISystemMetricsReader, SystemMetricsReader>();
+        services.AddSingleton<ISystemHealthService, SystemHealthService>();
+        
+        // Register data export and backup bundles (scoped, as they read through the database service)
+        services.AddScoped<IDataExportService, DataExportService>();
+        services.AddScoped<IBackupService, BackupService>();
+        
+        // Register OCR provider benchmarking (singleton so only one benchmark runs at a time)
+        services.AddSingleton<IOcrBenchmarkService, OcrBenchmarkService>();
+        
+        // Register OCR settings editing (singleton so it can count successful reads since the last change)
+        services.AddSingleton<IOcrSettingsService, OcrSettingsService>();
+        
+        // Register the device twin configuration page (IoT Hub twin, or a local twin file for bench setups)
+        RegisterDeviceTwinServices(services, context.Configuration);
+        
         // Register secrets service based on environment
         RegisterSecretsService(services, context.Configuration);
 
@@ -210,6 +272,8 @@ var host = Host.CreateDefaultBuilder(args)
         services.AddHostedService<MonitoringBackgroundService>();
         services.AddHostedService<TelemetryBackgroundService>();
         services.AddHostedService<SyncBackgroundService>();
+        services.AddHostedService<SystemHealthBackgroundService>();
+        services.AddHostedService<PushNotificationBackgroundService>();
 
         // Logging is automatically registered with Host
     })
@@ -288,6 +352,42 @@ static void RegisterWebOptions(IServiceCollection services, IConfiguration confi
     services.Configure<WebOptions>(configuration.GetSection("Web"));
 }
 
+// Helper method to register dashboard authentication
+static void RegisterDashboardAuthentication(IServiceCollection services)
+{
+    // Local users and the configured admin (scoped, uses the database)
+    services.AddScoped<IDashboardUserService, DashboardUserService>();
+    services.AddScoped<DashboardCookieEvents>();
+    
+    // Failed sign-in counts per username and address (singleton so they outlive each request)
+    services.AddSingleton(new DashboardLoginThrottle());
+    services.AddSingleton<IAuthorizationHandler, DashboardRoleHandler>();
+    
+    services.AddAuthentication(CookieAuthenticationDefaults.AuthenticationScheme)
+        .AddCookie(options =>
+        {
+            options.Cookie.Name = "WellMonitor.Auth";
+            options.Cookie.HttpOnly = true;
+            // Strict keeps other sites from posting to the dashboard with the session cookie
+            options.Cookie.SameSite = SameSiteMode.Strict;
+            options.ExpireTimeSpan = TimeSpan.FromDays(7);
+            options.SlidingExpiration = true;
+            options.EventsType = typeof(DashboardCookieEvents);
+        });
+    
+    services.AddAuthorization(options =>
+    {
+        options.AddPolicy(DashboardPolicies.Viewer, policy => policy.AddRequirements(new DashboardRoleRequirement(DashboardRoles.Viewer)));
+        options.AddPolicy(DashboardPolicies.Operator, policy => policy.AddRequirements(new DashboardRoleRequirement(DashboardRoles.Operator)));
+        options.AddPolicy(DashboardPolicies.Admin, policy => policy.AddRequirements(new DashboardRoleRequirement(DashboardRoles.Admin)));
+        
+        // Every API endpoint and the hub need at least a viewer unless marked otherwise
+        options.FallbackPolicy = new AuthorizationPolicyBuilder()
+            .AddRequirements(new DashboardRoleRequirement(DashboardRoles.Viewer))
+            .Build();
+    });
+}
+
 // Helper method to register the secrets service
 static void RegisterSecretsService(IServiceCollection services, IConfiguration configuration)
 {
@@ -296,6 +396,47 @@ static void RegisterSecretsService(IServiceCollection services, IConfiguration c
     services.AddSingleton<ISecretsService, SimplifiedSecretsService>();
 }
 
+// Helper method to register the device twin source and the configuration page service
+static void RegisterDeviceTwinServices(IServiceCollection services, IConfiguration configuration)
+{
+    if (configuration.GetValue("DeviceTwin:UseLocalTwin", false))
+    {
+        // Reads desired/reported properties from DeviceTwin:LocalTwinPath, for working without an IoT Hub
+        services.AddSingleton<IDeviceTwinSource, LocalDeviceTwinSource>();
+    }
+    else
+    {
+        services.AddSingleton<IDeviceTwinSource, IotHubDeviceTwinSource>();
+    }
+    
+    // Singleton so the last sync status survives between requests and only one sync runs at a time
+    services.AddSingleton<IDeviceTwinConfigurationService, DeviceTwinConfigurationService>();
+}
+
+// Helper method to register the dashboard log viewer
+static void RegisterLogViewer(IServiceCollection services, IConfiguration configuration)
+{
+    // Logger providers and filter rules are read before the container is built, so create these up front
+    var logStream = new LogStreamService();
+    var initialOptions = new DebugOptions();
+    configuration.GetSection("Debug").Bind(initialOptions);
+    var logLevelFilter = new RuntimeLogLevelFilter(initialOptions);
+    
+    services.AddSingleton<ILogStreamService>(logStream);
+    services.AddSingleton(logLevelFilter);
+    services.AddSingleton<ILoggerProvider>(new DashboardLoggerProvider(logStream));
+    
+    // Debug:LogLevel applies to WellMonitor categories for every provider, including journald
+    services.Configure<LoggerFilterOptions>(options =>
+    {
+        options.Rules.Add(new LoggerFilterRule(null, RuntimeLogLevelFilter.CategoryPrefix, null,
+            (provider, category, level) => logLevelFilter.IsEnabled(category, level)));
+    });
+    
+    // Push new entries to dashboards that joined the log stream
+    services.AddHostedService<LogStreamBroadcastService>();
+}
+
 // Helper method to register Debug options with runtime configuration
 static void RegisterDebugOptions(IServiceCollection services, IConfiguration configuration)
 {
@@ -310,13 +451,17 @@ static void RegisterDebugOptions(IServiceCollection services, IConfiguration con
         configuration.GetSection("Debug").Bind(initialOptions);
         source.UpdateOptions(initialOptions);
         
+        // Keep Debug:LogLevel and verbose OCR logging in effect as the options change
+        var logLevelFilter = provider.GetRequiredService<RuntimeLogLevelFilter>();
+        source.OnChange((options, _) => logLevelFilter.Apply(options));
+        
         return source;
     });
     
     // Register the runtime options source as the primary IOptionsMonitor<DebugOptions>
     services.AddSingleton<IOptionsMonitor<DebugOptions>>(provider => provider.GetRequiredService<RuntimeDebugOptionsSource>());
     
-    // Register the runtime configuration service (needs OCR, Debug, Web, and Camera sources)
+    // Register the runtime configuration service (needs OCR, Debug, Web, Camera and ROI sources)
     services.AddSingleton<IRuntimeConfigurationService>(provider => 
     {
         var logger = provider.GetRequiredService<ILogger<RuntimeConfigurationService>>();
@@ -324,8 +469,9 @@ static void RegisterDebugOptions(IServiceCollection services, IConfiguration con
         var debugSource = provider.GetRequiredService<RuntimeDebugOptionsSource>();
         var webSource = provider.GetRequiredService<RuntimeWebOptionsSource>();
         var cameraSource = provider.GetRequiredService<RuntimeCameraOptionsSource>();
+        var roiSource = provider.GetRequiredService<RuntimeRoiOptionsSource>();
         
-        return new RuntimeConfigurationService(logger, ocrSource, debugSource, webSource, cameraSource);
+        return new RuntimeConfigurationService(logger, ocrSource, debugSource, webSource, cameraSource, roiSource);
     });
     
     // Configure Debug options from configuration as fallback
@@ -357,7 +503,15 @@ static void RegisterOcrServices(IServiceCollection services, IConfiguration conf
     
     // Register OCR providers
     services.AddSingleton<IOcrProvider, TesseractOcrProvider>();
-    services.AddSingleton<IOcrProvider, AzureCognitiveServicesOcrProvider>();
+    if (configuration.GetValue("OCR:AzureCognitiveServices:UseLocalMock", false))
+    {
+        // Offline stand-in with the same provider name, for benchmarking without an Azure endpoint
+        services.AddSingleton<IOcrProvider, MockAzureOcrProvider>();
+    }
+    else
+    {
+        services.AddSingleton<IOcrProvider, AzureCognitiveServicesOcrProvider>();
+    }
     services.AddSingleton<IOcrProvider, PythonOcrProvider>();
     services.AddSingleton<IOcrProvider, NullOcrProvider>();
     
@@ -398,6 +552,38 @@ static void RegisterCameraOptions(IServiceCollection services, IConfiguration co
     services.Configure<CameraOptions>(configuration.GetSection("Camera"));
 }
 
+// Helper method to register ROI options with runtime configuration
+static void RegisterRoiOptions(IServiceCollection services)
+{
+    // Register runtime configuration source for ROI options
+    services.AddSingleton<RuntimeRoiOptionsSource>(provider =>
+    {
+        var logger = provider.GetRequiredService<ILogger<RuntimeRoiOptionsSource>>();
+        var source = new RuntimeRoiOptionsSource(logger);
+        
+        // Defaults until the active ROI profile is loaded from the database
+        source.UpdateOptions(new RegionOfInterestOptions
+        {
+            RoiPercent = new RoiCoordinates { X = 0.1, Y = 0.1, Width = 0.8, Height = 0.8 }
+        });
+        
+        return source;
+    });
+    
+    // Register the runtime options source as the primary IOptionsMonitor<RegionOfInterestOptions>
+    services.AddSingleton<IOptionsMonitor<RegionOfInterestOptions>>(provider => 
+        provider.GetRequiredService<RuntimeRoiOptionsSource>());
+    
+    // Register ROI profile management (scoped, uses the database)
+    services.AddScoped<IRoiProfileService, RoiProfileService>();
+    
+    // Register the guided camera setup checks (scoped, saves through the ROI profile service)
+    services.AddScoped<ICameraSetupService, CameraSetupService>();
+    
+    // Register OCR ground-truth labeling and accuracy (scoped, uses the database)
+    services.AddScoped<IOcrLabelService, OcrLabelService>();
+}
+
 // Simple .env file loader
 static void LoadEnvironmentFile()
 {
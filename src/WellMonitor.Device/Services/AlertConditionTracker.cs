@@ -0,0 +1,42 @@
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Debounces reading-based alert conditions: a condition must be seen on several consecutive readings
+    /// before its alert is raised, and be gone for several before it is resolved, so a reading that flips
+    /// back and forth doesn't raise, resolve and push the same alert over and over
+    /// </summary>
+    public class AlertConditionTracker
+    {
+        private readonly Dictionary<string, ConditionCounts> _counts = new(StringComparer.Ordinal);
+
+        /// <summary>
+        /// Record one reading of the condition
+        /// </summary>
+        /// <returns>True to raise (or keep raising) the alert, false to resolve it, null to leave it as it is</returns>
+        public bool? Observe(string type, bool conditionPresent, int readingsToRaise, int readingsToResolve)
+        {
+            if (!_counts.TryGetValue(type, out var counts))
+            {
+                counts = new ConditionCounts();
+                _counts[type] = counts;
+            }
+
+            if (conditionPresent)
+            {
+                counts.Present++;
+                counts.Cleared = 0;
+                return counts.Present >= Math.Max(1, readingsToRaise) ? true : null;
+            }
+
+            counts.Cleared++;
+            counts.Present = 0;
+            return counts.Cleared >= Math.Max(1, readingsToResolve) ? false : null;
+        }
+
+        private sealed class ConditionCounts
+        {
+            public int Present { get; set; }
+            public int Cleared { get; set; }
+        }
+    }
+}
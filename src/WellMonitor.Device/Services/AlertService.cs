@@ -0,0 +1,209 @@
+using Microsoft.AspNetCore.SignalR;
+using Microsoft.Extensions.Logging;
+using WellMonitor.Device.Hubs;
+using WellMonitor.Device.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Stores alerts in the local database and pushes changes to dashboards over SignalR
+    /// New alerts are also sent as browser push notifications to subscribers of the alert type
+    /// </summary>
+    public class AlertService : IAlertService
+    {
+        private const string SystemActor = "system";
+
+        private readonly ILogger<AlertService> _logger;
+        private readonly IDatabaseService _databaseService;
+        private readonly IHubContext<DeviceStatusHub> _hubContext;
+        private readonly IPushNotificationQueue _pushNotificationQueue;
+
+        public AlertService(
+            ILogger<AlertService> logger,
+            IDatabaseService databaseService,
+            IHubContext<DeviceStatusHub> hubContext,
+            IPushNotificationQueue pushNotificationQueue)
+        {
+            _logger = logger;
+            _databaseService = databaseService;
+            _hubContext = hubContext;
+            _pushNotificationQueue = pushNotificationQueue;
+        }
+
+        public async Task<DeviceAlert> RaiseAsync(string type, string severity, string title, string message)
+        {
+            var now = DateTime.UtcNow;
+
+            var alert = await _databaseService.GetActiveAlertAsync(type);
+            if (alert != null)
+            {
+                // Same condition seen again - keep one alert instead of flooding the list
+                alert.LastSeenAtUtc = now;
+                alert.OccurrenceCount++;
+                alert.Message = message;
+                await _databaseService.UpdateAlertAsync(alert);
+                return alert;
+            }
+
+            alert = new DeviceAlert
+            {
+                Type = type,
+                Severity = severity,
+                Title = title,
+                Message = message,
+                RaisedAtUtc = now,
+                LastSeenAtUtc = now
+            };
+
+            await _databaseService.AddAlertAsync(alert);
+            await AddEventAsync(alert, AlertEventTypes.Raised, SystemActor, message);
+
+            _logger.LogWarning("Alert raised: {Type} ({Severity}) - {Message}", type, severity, message);
+
+            await NotifyAsync("NewAlert", alert);
+            Push(alert);
+            return alert;
+        }
+
+        public async Task ResolveAsync(string type, string? note = null)
+        {
+            var alert = await _databaseService.GetActiveAlertAsync(type);
+            if (alert == null)
+            {
+                return;
+            }
+
+            alert.ResolvedAtUtc = DateTime.UtcNow;
+            await _databaseService.UpdateAlertAsync(alert);
+            await AddEventAsync(alert, AlertEventTypes.Resolved, SystemActor, note);
+
+            _logger.LogInformation("Alert resolved: {Type} after {Count} occurrences", type, alert.OccurrenceCount);
+
+            await NotifyAsync("AlertUpdated", alert);
+        }
+
+        public async Task<DeviceAlert?> AcknowledgeAsync(int alertId, string user, string? note = null)
+        {
+            var alert = await GetActiveAlertForChangeAsync(alertId);
+            if (alert == null)
+            {
+                return null;
+            }
+
+            alert.AcknowledgedAtUtc = DateTime.UtcNow;
+            alert.AcknowledgedBy = user;
+            await _databaseService.UpdateAlertAsync(alert);
+            await AddEventAsync(alert, AlertEventTypes.Acknowledged, user, note);
+
+            _logger.LogInformation("Alert {AlertId} acknowledged by {User}", alertId, user);
+
+            await NotifyAsync("AlertUpdated", alert);
+            return alert;
+        }
+
+        public async Task<DeviceAlert?> SnoozeAsync(int alertId, TimeSpan duration, string user)
+        {
+            if (duration < TimeSpan.FromMinutes(1) || duration > TimeSpan.FromDays(7))
+            {
+                throw new ArgumentException("Snooze duration must be between 1 minute and 7 days");
+            }
+
+            var alert = await GetActiveAlertForChangeAsync(alertId);
+            if (alert == null)
+            {
+                return null;
+            }
+
+            alert.SnoozedUntilUtc = DateTime.UtcNow + duration;
+            await _databaseService.UpdateAlertAsync(alert);
+            await AddEventAsync(alert, AlertEventTypes.Snoozed, user, $"Snoozed for {FormatDuration(duration)}");
+
+            _logger.LogInformation("Alert {AlertId} snoozed by {User} until {Until}", alertId, user, alert.SnoozedUntilUtc);
+
+            await NotifyAsync("AlertUpdated", alert);
+            return alert;
+        }
+
+        public async Task<IEnumerable<DeviceAlert>> GetAlertsAsync(bool resolved, string? severity = null, string? type = null, int limit = 100)
+        {
+            // Filtered in the query so the limit counts matching alerts only
+            return (await _databaseService.GetAlertsAsync(resolved, limit, severity, type)).ToList();
+        }
+
+        public Task<DeviceAlert?> GetAlertAsync(int alertId)
+        {
+            return _databaseService.GetAlertAsync(alertId);
+        }
+
+        public Task<IEnumerable<DeviceAlertEvent>> GetTimelineAsync(int alertId)
+        {
+            return _databaseService.GetAlertEventsAsync(alertId);
+        }
+
+        public async Task<AlertSummary> GetSummaryAsync()
+        {
+            var active = (await _databaseService.GetAlertsAsync(resolved: false, limit: int.MaxValue)).ToList();
+
+            return new AlertSummary
+            {
+                Active = active.Count,
+                NeedsAttention = active.Count(a => a.NeedsAttention),
+                Acknowledged = active.Count(a => a.IsAcknowledged),
+                Snoozed = active.Count(a => a.IsSnoozed)
+            };
+        }
+
+        // A resolved alert is history; acknowledging or snoozing it would change the record of what happened
+        private async Task<DeviceAlert?> GetActiveAlertForChangeAsync(int alertId)
+        {
+            var alert = await _databaseService.GetAlertAsync(alertId);
+            if (alert != null && !alert.IsActive)
+            {
+                throw new InvalidOperationException($"Alert {alertId} is already resolved");
+            }
+
+            return alert;
+        }
+
+        private Task AddEventAsync(DeviceAlert alert, string eventType, string actor, string? note)
+        {
+            return _databaseService.AddAlertEventAsync(new DeviceAlertEvent
+            {
+                AlertId = alert.Id,
+                TimestampUtc = DateTime.UtcNow,
+                Event = eventType,
+                Actor = actor,
+                Note = note
+            });
+        }
+
+        private async Task NotifyAsync(string method, DeviceAlert alert)
+        {
+            // Alert state is already stored; a dashboard that misses the push catches up on its next load
+            try
+            {
+                await _hubContext.Clients.Group("updates").SendAsync(method, alert);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "Failed to send {Method} for alert {AlertId}", method, alert.Id);
+            }
+        }
+
+        private void Push(DeviceAlert alert)
+        {
+            // Delivery happens in the background so the monitoring loop never waits on push services
+            if (!_pushNotificationQueue.Enqueue(alert.Type, alert.Title, alert.Message, urgent: alert.Severity == AlertSeverity.Danger))
+            {
+                _logger.LogWarning("Push notification for alert {AlertId} was not queued", alert.Id);
+            }
+        }
+
+        private static string FormatDuration(TimeSpan duration)
+        {
+            return duration.TotalHours >= 1
+                ? $"{duration.TotalHours:0.#} h"
+                : $"{duration.TotalMinutes:0} min";
+        }
+    }
+}
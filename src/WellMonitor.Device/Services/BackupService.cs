@@ -0,0 +1,395 @@
+using System.IO.Compression;
+using System.Reflection;
+using System.Text.Json;
+using Microsoft.Data.Sqlite;
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using WellMonitor.Device.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Creates and restores backup bundles. The database snapshot and bundle are staged in temporary files,
+    /// so a large database never has to fit in memory
+    /// </summary>
+    public class BackupService : IBackupService
+    {
+        public const string ManifestEntry = "manifest.json";
+        public const string ConfigurationEntry = "configuration.json";
+        public const string DatabaseEntry = "wellmonitor.db";
+        public const string LocalTwinEntry = "device-twin.local.json";
+
+        // Entries of an uploaded bundle are extracted only up to these sizes, whatever the archive claims
+        public const long DefaultMaxDatabaseBytes = 2L * 1024 * 1024 * 1024;
+        private const long MaxLocalTwinBytes = 1024 * 1024;
+
+        private static readonly JsonSerializerOptions BundleJsonOptions = new(JsonSerializerDefaults.Web) { WriteIndented = true };
+
+        private readonly ILogger<BackupService> _logger;
+        private readonly IDatabaseService _databaseService;
+        private readonly IRuntimeConfigurationService _runtimeConfigurationService;
+        private readonly IConfiguration _configuration;
+        private readonly IOptionsMonitor<CameraOptions> _cameraOptions;
+        private readonly IOptionsMonitor<OcrOptions> _ocrOptions;
+        private readonly IOptionsMonitor<DebugOptions> _debugOptions;
+        private readonly IOptionsMonitor<WebOptions> _webOptions;
+        private readonly IOptionsMonitor<RegionOfInterestOptions> _roiOptions;
+
+        public BackupService(
+            ILogger<BackupService> logger,
+            IDatabaseService databaseService,
+            IRuntimeConfigurationService runtimeConfigurationService,
+            IConfiguration configuration,
+            IOptionsMonitor<CameraOptions> cameraOptions,
+            IOptionsMonitor<OcrOptions> ocrOptions,
+            IOptionsMonitor<DebugOptions> debugOptions,
+            IOptionsMonitor<WebOptions> webOptions,
+            IOptionsMonitor<RegionOfInterestOptions> roiOptions)
+        {
+            _logger = logger;
+            _databaseService = databaseService;
+            _runtimeConfigurationService = runtimeConfigurationService;
+            _configuration = configuration;
+            _cameraOptions = cameraOptions;
+            _ocrOptions = ocrOptions;
+            _debugOptions = debugOptions;
+            _webOptions = webOptions;
+            _roiOptions = roiOptions;
+        }
+
+        public async Task<Stream> CreateBackupAsync(CancellationToken cancellationToken = default)
+        {
+            var snapshotPath = CreateTempPath(".db");
+            var bundlePath = CreateTempPath(".zip");
+
+            try
+            {
+                await _databaseService.BackupDatabaseAsync(snapshotPath);
+
+                var localTwinPath = GetLocalTwinPath();
+                var manifest = new BackupManifest
+                {
+                    CreatedUtc = DateTime.UtcNow,
+                    DeviceName = Environment.MachineName,
+                    ApplicationVersion = GetApplicationVersion(),
+                    IncludesLocalTwin = File.Exists(localTwinPath)
+                };
+
+                var web = _webOptions.CurrentValue.Clone();
+                web.AuthPassword = string.Empty;
+                var configuration = new BackupConfiguration
+                {
+                    Camera = _cameraOptions.CurrentValue,
+                    Ocr = _ocrOptions.CurrentValue,
+                    Debug = _debugOptions.CurrentValue,
+                    Web = web,
+                    Roi = _roiOptions.CurrentValue
+                };
+
+                await using (var bundleFile = new FileStream(bundlePath, FileMode.Create, FileAccess.Write, FileShare.None, 81920, FileOptions.Asynchronous))
+                using (var archive = new ZipArchive(bundleFile, ZipArchiveMode.Create))
+                {
+                    await WriteJsonEntryAsync(archive, ManifestEntry, manifest, cancellationToken);
+                    await WriteJsonEntryAsync(archive, ConfigurationEntry, configuration, cancellationToken);
+                    await WriteFileEntryAsync(archive, DatabaseEntry, snapshotPath, cancellationToken);
+                    if (manifest.IncludesLocalTwin)
+                    {
+                        await WriteFileEntryAsync(archive, LocalTwinEntry, localTwinPath, cancellationToken);
+                    }
+                }
+
+                _logger.LogInformation("Backup bundle created ({Size} bytes)", new FileInfo(bundlePath).Length);
+                return new FileStream(bundlePath, FileMode.Open, FileAccess.Read, FileShare.Read, 81920,
+                    FileOptions.Asynchronous | FileOptions.DeleteOnClose);
+            }
+            catch
+            {
+                File.Delete(bundlePath);
+                throw;
+            }
+            finally
+            {
+                File.Delete(snapshotPath);
+            }
+        }
+
+        public async Task<BackupRestoreResult> RestoreAsync(Stream bundle, CancellationToken cancellationToken = default)
+        {
+            var databasePath = CreateTempPath(".db");
+            var localTwinPath = CreateTempPath(".json");
+
+            try
+            {
+                using var archive = OpenBundle(bundle);
+
+                var manifest = await ReadJsonEntryAsync<BackupManifest>(archive, ManifestEntry, cancellationToken);
+                if (manifest.FormatVersion > BackupManifest.CurrentFormatVersion)
+                {
+                    throw new InvalidDataException(
+                        $"The bundle was made by a newer version ({manifest.ApplicationVersion}); update this device before restoring it");
+                }
+
+                var configuration = await ReadJsonEntryAsync<BackupConfiguration>(archive, ConfigurationEntry, cancellationToken);
+
+                var databaseEntry = archive.GetEntry(DatabaseEntry)
+                    ?? throw new InvalidDataException($"The bundle has no {DatabaseEntry}");
+                await ExtractEntryAsync(databaseEntry, databasePath,
+                    _configuration.GetValue("Backup:MaxDatabaseBytes", DefaultMaxDatabaseBytes), cancellationToken);
+
+                var localTwinEntry = archive.GetEntry(LocalTwinEntry);
+                if (localTwinEntry != null)
+                {
+                    await ExtractEntryAsync(localTwinEntry, localTwinPath, MaxLocalTwinBytes, cancellationToken);
+                }
+
+                // Everything is checked before the running database is touched
+                var result = CheckDatabase(databasePath);
+                result.Manifest = manifest;
+
+                await _databaseService.RestoreDatabaseAsync(databasePath);
+                await ApplyConfigurationAsync(configuration);
+                result.ConfigurationSaved = await SaveConfigurationAsync(configuration);
+
+                if (localTwinEntry != null)
+                {
+                    File.Copy(localTwinPath, GetLocalTwinPath(), overwrite: true);
+                    result.LocalTwinRestored = true;
+                }
+
+                result.RestoredUtc = DateTime.UtcNow;
+                _logger.LogWarning("Restored backup of {Device} from {Created} ({Readings} readings)",
+                    manifest.DeviceName, manifest.CreatedUtc, result.Readings);
+                return result;
+            }
+            finally
+            {
+                File.Delete(databasePath);
+                File.Delete(localTwinPath);
+            }
+        }
+
+        private static ZipArchive OpenBundle(Stream bundle)
+        {
+            try
+            {
+                return new ZipArchive(bundle, ZipArchiveMode.Read, leaveOpen: true);
+            }
+            catch (InvalidDataException)
+            {
+                throw new InvalidDataException("The file is not a backup bundle");
+            }
+        }
+
+        /// <summary>
+        /// Check the snapshot is an intact WellMonitor database and count what it holds
+        /// </summary>
+        private static BackupRestoreResult CheckDatabase(string path)
+        {
+            try
+            {
+                using var connection = new SqliteConnection(new SqliteConnectionStringBuilder
+                {
+                    DataSource = path,
+                    Mode = SqliteOpenMode.ReadOnly,
+                    Pooling = false
+                }.ToString());
+                connection.Open();
+
+                using (var integrityCheck = connection.CreateCommand())
+                {
+                    integrityCheck.CommandText = "PRAGMA integrity_check";
+                    var integrity = integrityCheck.ExecuteScalar() as string;
+                    if (integrity != "ok")
+                    {
+                        throw new InvalidDataException($"The database snapshot is damaged: {integrity}");
+                    }
+                }
+
+                if (CountRows(connection, "Readings") is not int readings)
+                {
+                    throw new InvalidDataException("The database snapshot is not a WellMonitor database");
+                }
+
+                return new BackupRestoreResult
+                {
+                    Readings = readings,
+                    RoiProfiles = CountRows(connection, "RoiProfiles") ?? 0,
+                    DashboardUsers = CountRows(connection, "DashboardUsers") ?? 0
+                };
+            }
+            catch (SqliteException ex)
+            {
+                throw new InvalidDataException($"The database snapshot can't be read: {ex.Message}", ex);
+            }
+        }
+
+        // Null when the table doesn't exist, as in snapshots from versions before it was added
+        private static int? CountRows(SqliteConnection connection, string table)
+        {
+            using var exists = connection.CreateCommand();
+            exists.CommandText = "SELECT COUNT(*) FROM sqlite_master WHERE type = 'table' AND name = $name";
+            exists.Parameters.AddWithValue("$name", table);
+            if (Convert.ToInt32(exists.ExecuteScalar()) == 0)
+            {
+                return null;
+            }
+
+            using var count = connection.CreateCommand();
+            count.CommandText = $"SELECT COUNT(*) FROM \"{table}\"";
+            return Convert.ToInt32(count.ExecuteScalar());
+        }
+
+        /// <summary>
+        /// Re-apply the configuration the last restore saved, so it survives a restart until the next device twin sync
+        /// </summary>
+        public async Task<bool> ApplySavedConfigurationAsync()
+        {
+            var saved = await _databaseService.GetSettingAsync(BackupConfiguration.SettingKey);
+            if (saved == null)
+            {
+                return false;
+            }
+
+            try
+            {
+                var configuration = JsonSerializer.Deserialize<BackupConfiguration>(saved, BundleJsonOptions);
+                if (configuration == null)
+                {
+                    return false;
+                }
+
+                await ApplyConfigurationAsync(configuration);
+                _logger.LogInformation("Applied the configuration saved by the last backup restore");
+                return true;
+            }
+            catch (JsonException ex)
+            {
+                _logger.LogWarning(ex, "Saved restore configuration is invalid, keeping the device twin configuration");
+                return false;
+            }
+        }
+
+        public async Task ClearSavedConfigurationAsync()
+        {
+            await _databaseService.DeleteSettingAsync(BackupConfiguration.SettingKey);
+        }
+
+        // Saved after the database restore, which would otherwise replace the settings table again
+        private async Task<bool> SaveConfigurationAsync(BackupConfiguration configuration)
+        {
+            try
+            {
+                var saved = new BackupConfiguration
+                {
+                    Camera = configuration.Camera,
+                    Ocr = configuration.Ocr,
+                    Debug = configuration.Debug,
+                    Web = configuration.Web.Clone(),
+                    Roi = configuration.Roi
+                };
+                saved.Web.AuthPassword = string.Empty;
+
+                await _databaseService.SaveSettingAsync(BackupConfiguration.SettingKey, JsonSerializer.Serialize(saved, BundleJsonOptions));
+                return true;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "Restored configuration is running but could not be saved; it will be lost on restart");
+                return false;
+            }
+        }
+
+        /// <summary>
+        /// Apply the bundled configuration like a dashboard change: until restart or the next device twin sync
+        /// </summary>
+        private async Task ApplyConfigurationAsync(BackupConfiguration configuration)
+        {
+            // The configured admin password isn't in the bundle; the replacement device keeps its own
+            configuration.Web.AuthPassword = _webOptions.CurrentValue.AuthPassword;
+
+            await _runtimeConfigurationService.UpdateCameraOptionsAsync(configuration.Camera);
+            await _runtimeConfigurationService.UpdateOcrOptionsAsync(configuration.Ocr);
+            await _runtimeConfigurationService.UpdateDebugOptionsAsync(configuration.Debug);
+            await _runtimeConfigurationService.UpdateWebOptionsAsync(configuration.Web);
+            await _runtimeConfigurationService.UpdateRoiOptionsAsync(configuration.Roi);
+        }
+
+        private static async Task WriteJsonEntryAsync<T>(ZipArchive archive, string name, T value, CancellationToken cancellationToken)
+        {
+            await using var entry = archive.CreateEntry(name).Open();
+            await JsonSerializer.SerializeAsync(entry, value, BundleJsonOptions, cancellationToken);
+        }
+
+        private static async Task WriteFileEntryAsync(ZipArchive archive, string name, string path, CancellationToken cancellationToken)
+        {
+            await using var entry = archive.CreateEntry(name).Open();
+            await using var file = new FileStream(path, FileMode.Open, FileAccess.Read, FileShare.Read, 81920, FileOptions.Asynchronous);
+            await file.CopyToAsync(entry, cancellationToken);
+        }
+
+        /// <summary>
+        /// Copy an entry of an uploaded bundle to a file, refusing it once it passes maxBytes;
+        /// the size in the archive header is checked first but not trusted
+        /// </summary>
+        private static async Task ExtractEntryAsync(ZipArchiveEntry entry, string path, long maxBytes, CancellationToken cancellationToken)
+        {
+            var tooLarge = $"{entry.FullName} in the bundle is larger than the {maxBytes / (1024 * 1024)} MB limit";
+            if (entry.Length > maxBytes)
+            {
+                throw new InvalidDataException(tooLarge);
+            }
+
+            await using var source = entry.Open();
+            await using var destination = new FileStream(path, FileMode.Create, FileAccess.Write, FileShare.None, 81920, FileOptions.Asynchronous);
+
+            var buffer = new byte[81920];
+            long total = 0;
+            int read;
+            while ((read = await source.ReadAsync(buffer, cancellationToken)) > 0)
+            {
+                total += read;
+                if (total > maxBytes)
+                {
+                    throw new InvalidDataException(tooLarge);
+                }
+
+                await destination.WriteAsync(buffer.AsMemory(0, read), cancellationToken);
+            }
+        }
+
+        private static async Task<T> ReadJsonEntryAsync<T>(ZipArchive archive, string name, CancellationToken cancellationToken)
+        {
+            var entry = archive.GetEntry(name) ?? throw new InvalidDataException($"The bundle has no {name}");
+
+            try
+            {
+                await using var stream = entry.Open();
+                return await JsonSerializer.DeserializeAsync<T>(stream, BundleJsonOptions, cancellationToken)
+                    ?? throw new InvalidDataException($"{name} in the bundle is empty");
+            }
+            catch (JsonException ex)
+            {
+                throw new InvalidDataException($"{name} in the bundle is not valid: {ex.Message}", ex);
+            }
+        }
+
+        private string GetLocalTwinPath()
+        {
+            return _configuration.GetValue("DeviceTwin:LocalTwinPath", LocalDeviceTwinSource.DefaultPath) ?? LocalDeviceTwinSource.DefaultPath;
+        }
+
+        private static string CreateTempPath(string extension)
+        {
+            return Path.Combine(Path.GetTempPath(), $"wellmonitor-backup-{Guid.NewGuid():N}{extension}");
+        }
+
+        private static string GetApplicationVersion()
+        {
+            var assembly = typeof(BackupService).Assembly;
+            return assembly.GetCustomAttribute<AssemblyInformationalVersionAttribute>()?.InformationalVersion
+                ?? assembly.GetName().Version?.ToString()
+                ?? "unknown";
+        }
+    }
+}
@@ -0,0 +1,475 @@
+using System.ComponentModel;
+using System.Diagnostics;
+using System.Globalization;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using WellMonitor.Device.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Runs libcamera-vid (or rpicam-vid) in MJPEG mode while anyone is watching and fans frames out to viewers
+    /// The camera can only be opened by one process, so still captures stop the stream and it restarts afterwards
+    /// </summary>
+    public class CameraLiveViewService : ICameraLiveViewService, IDisposable
+    {
+        private static readonly TimeSpan StopTimeout = TimeSpan.FromSeconds(5);
+
+        private readonly ILogger<CameraLiveViewService> _logger;
+        private readonly IOptionsMonitor<CameraOptions> _cameraOptions;
+        private readonly LiveViewOptions _options;
+
+        // Serializes starting and stopping the streaming process
+        private readonly SemaphoreSlim _stateLock = new(1, 1);
+
+        // Still captures take the camera one at a time
+        private readonly SemaphoreSlim _captureLock = new(1, 1);
+
+        private readonly List<LiveViewSubscription> _viewers = new();
+
+        private LiveViewSettings _settings;
+        private Process? _process;
+        private Task? _readTask;
+        private CancellationTokenSource? _readCancellation;
+        private DateTime? _startedUtc;
+        private bool _suspended;
+        private double _measuredFramesPerSecond;
+
+        public CameraLiveViewService(
+            ILogger<CameraLiveViewService> logger,
+            IOptionsMonitor<CameraOptions> cameraOptions,
+            IOptions<LiveViewOptions> options)
+        {
+            _logger = logger;
+            _cameraOptions = cameraOptions;
+            _options = options.Value;
+            _settings = _options.Normalize(null, null, null);
+        }
+
+        public LiveViewOptions Options => _options;
+
+        public LiveViewStatus GetStatus()
+        {
+            lock (_viewers)
+            {
+                return new LiveViewStatus
+                {
+                    Active = _process != null,
+                    SuspendedForCapture = _suspended,
+                    Viewers = _viewers.Count,
+                    Settings = _settings,
+                    MeasuredFramesPerSecond = Math.Round(_measuredFramesPerSecond, 1),
+                    StartedUtc = _startedUtc,
+                    TimeoutSeconds = _options.TimeoutSeconds,
+                    MaxWidth = _options.MaxWidth,
+                    MaxHeight = _options.MaxHeight,
+                    MaxFramesPerSecond = _options.MaxFramesPerSecond
+                };
+            }
+        }
+
+        public async Task<LiveViewSubscription> SubscribeAsync(int? width, int? height, int? framesPerSecond, CancellationToken cancellationToken = default)
+        {
+            var settings = _options.Normalize(width, height, framesPerSecond);
+
+            await _stateLock.WaitAsync(cancellationToken);
+            try
+            {
+                var subscription = new LiveViewSubscription(UnsubscribeAsync);
+                lock (_viewers)
+                {
+                    _viewers.Add(subscription);
+                }
+
+                var restart = !settings.Equals(_settings);
+                _settings = settings;
+
+                // While a still capture holds the camera the stream starts when the capture finishes
+                if (!_suspended && (_process == null || restart))
+                {
+                    try
+                    {
+                        await StopStreamAsync();
+                        StartStream();
+                    }
+                    catch
+                    {
+                        // A restart may have stopped the stream other viewers were watching
+                        CompleteViewers();
+                        throw;
+                    }
+                }
+
+                return subscription;
+            }
+            finally
+            {
+                _stateLock.Release();
+            }
+        }
+
+        public async Task<IAsyncDisposable> AcquireCameraAsync(CancellationToken cancellationToken = default)
+        {
+            await _captureLock.WaitAsync(cancellationToken);
+            try
+            {
+                await _stateLock.WaitAsync(cancellationToken);
+                try
+                {
+                    _suspended = true;
+                    if (_process != null)
+                    {
+                        _logger.LogDebug("Pausing camera live view for a still capture");
+                        await StopStreamAsync();
+                    }
+                }
+                finally
+                {
+                    _stateLock.Release();
+                }
+            }
+            catch
+            {
+                _captureLock.Release();
+                throw;
+            }
+
+            return new CameraLease(this);
+        }
+
+        private async Task ReleaseCameraAsync()
+        {
+            await _stateLock.WaitAsync();
+            try
+            {
+                _suspended = false;
+
+                bool hasViewers;
+                lock (_viewers)
+                {
+                    hasViewers = _viewers.Count > 0;
+                }
+
+                if (hasViewers)
+                {
+                    try
+                    {
+                        StartStream();
+                    }
+                    catch (Exception ex)
+                    {
+                        _logger.LogError(ex, "Failed to resume camera live view after a still capture");
+                        CompleteViewers();
+                    }
+                }
+            }
+            finally
+            {
+                _stateLock.Release();
+                _captureLock.Release();
+            }
+        }
+
+        private async Task UnsubscribeAsync(LiveViewSubscription subscription)
+        {
+            subscription.Complete();
+
+            await _stateLock.WaitAsync();
+            try
+            {
+                bool lastViewer;
+                lock (_viewers)
+                {
+                    lastViewer = _viewers.Remove(subscription) && _viewers.Count == 0;
+                }
+
+                // Release the camera as soon as nobody is watching
+                if (lastViewer)
+                {
+                    _logger.LogInformation("Last live view viewer left, stopping camera stream");
+                    await StopStreamAsync();
+                }
+            }
+            finally
+            {
+                _stateLock.Release();
+            }
+        }
+
+        /// <summary>
+        /// Starts the streaming process; the caller holds the state lock
+        /// </summary>
+        private void StartStream()
+        {
+            var arguments = BuildArguments(_settings);
+
+            var process = TryStartProcess("libcamera-vid", arguments) ?? TryStartProcess("rpicam-vid", arguments)
+                ?? throw new InvalidOperationException("Neither libcamera-vid nor rpicam-vid is available");
+
+            _logger.LogInformation("Camera live view started: {Width}x{Height} at {Fps} fps",
+                _settings.Width, _settings.Height, _settings.FramesPerSecond);
+
+            _process = process;
+            _startedUtc = DateTime.UtcNow;
+            _measuredFramesPerSecond = 0;
+            _readCancellation = new CancellationTokenSource();
+            _readTask = Task.Run(() => ReadFramesAsync(process, _readCancellation.Token));
+        }
+
+        /// <summary>
+        /// Stops the streaming process; the caller holds the state lock
+        /// </summary>
+        private async Task StopStreamAsync()
+        {
+            if (_process == null)
+            {
+                return;
+            }
+
+            _readCancellation?.Cancel();
+
+            try
+            {
+                if (!_process.HasExited)
+                {
+                    _process.Kill();
+                }
+
+                await _process.WaitForExitAsync().WaitAsync(StopTimeout);
+            }
+            catch (TimeoutException)
+            {
+                _logger.LogWarning("Camera live view process did not exit within {Timeout}s", StopTimeout.TotalSeconds);
+            }
+            catch (InvalidOperationException)
+            {
+                // Already exited
+            }
+
+            if (_readTask != null)
+            {
+                await _readTask;
+            }
+
+            _process.Dispose();
+            _readCancellation?.Dispose();
+            _process = null;
+            _readTask = null;
+            _readCancellation = null;
+            _startedUtc = null;
+            _measuredFramesPerSecond = 0;
+        }
+
+        private async Task ReadFramesAsync(Process process, CancellationToken cancellationToken)
+        {
+            var frameCount = 0;
+            var windowStart = Stopwatch.StartNew();
+
+            try
+            {
+                await foreach (var frame in MjpegFrameReader.ReadFramesAsync(process.StandardOutput.BaseStream, cancellationToken))
+                {
+                    LiveViewSubscription[] viewers;
+                    lock (_viewers)
+                    {
+                        viewers = _viewers.ToArray();
+                    }
+
+                    foreach (var viewer in viewers)
+                    {
+                        viewer.Post(frame);
+                    }
+
+                    frameCount++;
+                    if (windowStart.Elapsed >= TimeSpan.FromSeconds(2))
+                    {
+                        _measuredFramesPerSecond = frameCount / windowStart.Elapsed.TotalSeconds;
+                        frameCount = 0;
+                        windowStart.Restart();
+                    }
+                }
+            }
+            catch (OperationCanceledException) when (cancellationToken.IsCancellationRequested)
+            {
+                return;
+            }
+            catch (Exception ex) when (!cancellationToken.IsCancellationRequested)
+            {
+                _logger.LogWarning(ex, "Error reading camera live view stream");
+            }
+
+            if (cancellationToken.IsCancellationRequested)
+            {
+                return;
+            }
+
+            // The process ended on its own, e.g. the camera is missing or another program has it
+            _logger.LogWarning("Camera live view stream ended unexpectedly (exit code {ExitCode})",
+                process.HasExited ? process.ExitCode : (int?)null);
+
+            try
+            {
+                // Stopping cancels this token, so waiting here can't deadlock with StopStreamAsync
+                await _stateLock.WaitAsync(cancellationToken);
+            }
+            catch (OperationCanceledException)
+            {
+                return;
+            }
+
+            try
+            {
+                if (_process == process)
+                {
+                    process.Dispose();
+                    _readCancellation?.Dispose();
+                    _process = null;
+                    _readTask = null;
+                    _readCancellation = null;
+                    _startedUtc = null;
+                    _measuredFramesPerSecond = 0;
+                    CompleteViewers();
+                }
+            }
+            finally
+            {
+                _stateLock.Release();
+            }
+        }
+
+        private void CompleteViewers()
+        {
+            lock (_viewers)
+            {
+                foreach (var viewer in _viewers)
+                {
+                    viewer.Complete();
+                }
+                _viewers.Clear();
+            }
+        }
+
+        private Process? TryStartProcess(string command, string arguments)
+        {
+            var process = new Process
+            {
+                StartInfo = new ProcessStartInfo
+                {
+                    FileName = command,
+                    Arguments = arguments,
+                    UseShellExecute = false,
+                    RedirectStandardOutput = true,
+                    RedirectStandardError = true,
+                    CreateNoWindow = true
+                }
+            };
+
+            // stderr must be drained or the process blocks once the pipe fills
+            process.ErrorDataReceived += (_, e) =>
+            {
+                if (!string.IsNullOrWhiteSpace(e.Data))
+                {
+                    _logger.LogDebug("{Command}: {Output}", command, e.Data);
+                }
+            };
+
+            try
+            {
+                _logger.LogDebug("Executing camera command: {Command} {Arguments}", command, arguments);
+                process.Start();
+                process.BeginErrorReadLine();
+                return process;
+            }
+            catch (Win32Exception ex)
+            {
+                _logger.LogWarning("{Command} could not be started: {Error}", command, ex.Message);
+                process.Dispose();
+                return null;
+            }
+        }
+
+        /// <summary>
+        /// Stream arguments; orientation and exposure follow the still capture settings so the view matches what OCR sees
+        /// </summary>
+        private string BuildArguments(LiveViewSettings settings)
+        {
+            var cameraOptions = _cameraOptions.CurrentValue;
+
+            var args = new List<string>
+            {
+                "--codec", "mjpeg",
+                "--width", settings.Width.ToString(CultureInfo.InvariantCulture),
+                "--height", settings.Height.ToString(CultureInfo.InvariantCulture),
+                "--framerate", settings.FramesPerSecond.ToString(CultureInfo.InvariantCulture),
+                "--quality", _options.Quality.ToString(CultureInfo.InvariantCulture),
+                "--timeout", "0",
+                "--nopreview",
+                "--output", "-"
+            };
+
+            if (cameraOptions.Rotation != 0)
+            {
+                args.Add("--rotation");
+                args.Add(cameraOptions.Rotation.ToString(CultureInfo.InvariantCulture));
+            }
+
+            if (cameraOptions.Brightness != 50)
+            {
+                args.Add("--brightness");
+                args.Add((cameraOptions.Brightness / 100.0).ToString("F2", CultureInfo.InvariantCulture));
+            }
+
+            if (cameraOptions.Contrast != 0)
+            {
+                args.Add("--contrast");
+                args.Add((cameraOptions.Contrast / 100.0).ToString("F2", CultureInfo.InvariantCulture));
+            }
+
+            if (cameraOptions.ExposureMode != CameraExposureMode.Auto)
+            {
+                args.Add("--exposure");
+                args.Add(cameraOptions.ExposureMode.ToString().ToLowerInvariant());
+            }
+
+            return string.Join(" ", args);
+        }
+
+        public void Dispose()
+        {
+            _readCancellation?.Cancel();
+
+            try
+            {
+                if (_process != null && !_process.HasExited)
+                {
+                    _process.Kill();
+                }
+            }
+            catch (InvalidOperationException)
+            {
+                // Already exited
+            }
+
+            _process?.Dispose();
+        }
+
+        private sealed class CameraLease : IAsyncDisposable
+        {
+            private readonly CameraLiveViewService _owner;
+            private int _released;
+
+            public CameraLease(CameraLiveViewService owner)
+            {
+                _owner = owner;
+            }
+
+            public async ValueTask DisposeAsync()
+            {
+                if (Interlocked.Exchange(ref _released, 1) == 0)
+                {
+                    await _owner.ReleaseCameraAsync();
+                }
+            }
+        }
+    }
+}
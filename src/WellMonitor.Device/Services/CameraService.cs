@@ -18,23 +18,42 @@ namespace WellMonitor.Device.Services
         private readonly ILogger<CameraService> _logger;
         private readonly IOptionsMonitor<CameraOptions> _cameraOptions;
         private readonly IOptionsMonitor<DebugOptions> _debugOptions;
+        private readonly ICameraLiveViewService _liveViewService;
 
-        public CameraService(ILogger<CameraService> logger, IOptionsMonitor<CameraOptions> cameraOptions, IOptionsMonitor<DebugOptions> debugOptions)
+        public CameraService(ILogger<CameraService> logger, IOptionsMonitor<CameraOptions> cameraOptions, IOptionsMonitor<DebugOptions> debugOptions, ICameraLiveViewService liveViewService)
         {
             _logger = logger;
             _cameraOptions = cameraOptions;
             _debugOptions = debugOptions;
+            _liveViewService = liveViewService;
         }
 
         /// <summary>
         /// Captures an image from the Raspberry Pi camera using libcamera-still
         /// </summary>
         /// <returns>Image data as byte array</returns>
-        public async Task<byte[]> CaptureImageAsync()
+        public Task<byte[]> CaptureImageAsync()
+        {
+            return CaptureAsync(_cameraOptions.CurrentValue, saveDebugCopy: true);
+        }
+
+        /// <summary>
+        /// Captures an image with the given settings instead of the running configuration
+        /// Used to try settings before applying them; no debug copy is saved
+        /// </summary>
+        public Task<byte[]> CaptureImageAsync(CameraOptions cameraOptions)
+        {
+            return CaptureAsync(cameraOptions, saveDebugCopy: false);
+        }
+
+        private async Task<byte[]> CaptureAsync(CameraOptions cameraOptions, bool saveDebugCopy)
         {
             try
             {
                 _logger.LogDebug("Starting camera capture...");
+
+                // Pauses the live view if someone is aiming the camera; readings always get the camera
+                await using var cameraLease = await _liveViewService.AcquireCameraAsync();
                 
                 // Generate a temporary filename for the image
                 var tempImagePath = Path.GetTempFileName() + ".jpg";
@@ -42,7 +61,7 @@ namespace WellMonitor.Device.Services
                 try
                 {
                     // Build the camera command arguments
-                    var arguments = BuildCameraArguments(tempImagePath);
+                    var arguments = BuildCameraArguments(tempImagePath, cameraOptions);
                     
                     // Try libcamera-still first, then rpicam-still as fallback
                     var success = await TryCameraCommand("libcamera-still", arguments, tempImagePath);
@@ -70,9 +89,13 @@ namespace WellMonitor.Device.Services
                     // Validate image quality to detect potential issues
                     await ValidateImageQuality(imageBytes, tempImagePath);
 
+                    if (!saveDebugCopy)
+                    {
+                        return imageBytes;
+                    }
+
                     // Save debug copy if both debug mode is enabled AND debug path is configured
                     var debugOptions = _debugOptions.CurrentValue;
-                    var cameraOptions = _cameraOptions.CurrentValue;
                     _logger.LogInformation("Debug image check: ImageSaveEnabled={Enabled}, DebugImagePath='{Path}'", 
                         debugOptions.ImageSaveEnabled, cameraOptions.DebugImagePath ?? "NULL");
                     
@@ -118,10 +141,8 @@ namespace WellMonitor.Device.Services
         /// <summary>
         /// Builds the command line arguments for libcamera-still
         /// </summary>
-        private string BuildCameraArguments(string outputPath)
+        private string BuildCameraArguments(string outputPath, CameraOptions cameraOptions)
         {
-            var cameraOptions = _cameraOptions.CurrentValue;
-            
             var args = new List<string>
             {
                 "--output", $"\"{outputPath}\"",
@@ -450,7 +471,7 @@ namespace WellMonitor.Device.Services
 
                 // Ensure debug images directory exists
                 var cameraOptions = _cameraOptions.CurrentValue;
-                var debugPath = cameraOptions.DebugImagePath ?? "/tmp/wellmonitor-debug";
+                var debugPath = cameraOptions.GetDebugImageDirectory();
                 
                 if (!Directory.Exists(debugPath))
                 {
@@ -462,7 +483,9 @@ namespace WellMonitor.Device.Services
                 var testImagePath = Path.Combine(debugPath, $"test_exposure_{timestamp}.jpg");
 
                 // Build the camera command arguments
-                var arguments = BuildCameraArguments(testImagePath);
+                var arguments = BuildCameraArguments(testImagePath, cameraOptions);
+
+                await using var cameraLease = await _liveViewService.AcquireCameraAsync();
 
                 // Try libcamera-still first, then rpicam-still as fallback
                 var success = await TryCameraCommand("libcamera-still", arguments, testImagePath);
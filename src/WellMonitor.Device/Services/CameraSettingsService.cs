@@ -0,0 +1,134 @@
+using System.Globalization;
+using Microsoft.Azure.Devices.Client;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using WellMonitor.Device.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Applies camera settings from the dashboard through the runtime configuration, like a device twin update would
+    /// Runtime changes last until restart or the next desired-property update; reporting them to the twin lets an operator keep them
+    /// </summary>
+    public class CameraSettingsService : ICameraSettingsService
+    {
+        private readonly ILogger<CameraSettingsService> _logger;
+        private readonly IOptionsMonitor<CameraOptions> _cameraOptions;
+        private readonly IRuntimeConfigurationService _runtimeConfigurationService;
+        private readonly IDeviceTwinService _deviceTwinService;
+        private readonly ISecretsService _secretsService;
+
+        public CameraSettingsService(
+            ILogger<CameraSettingsService> logger,
+            IOptionsMonitor<CameraOptions> cameraOptions,
+            IRuntimeConfigurationService runtimeConfigurationService,
+            IDeviceTwinService deviceTwinService,
+            ISecretsService secretsService)
+        {
+            _logger = logger;
+            _cameraOptions = cameraOptions;
+            _runtimeConfigurationService = runtimeConfigurationService;
+            _deviceTwinService = deviceTwinService;
+            _secretsService = secretsService;
+        }
+
+        public CameraSettings GetSettings() => CameraSettings.FromOptions(_cameraOptions.CurrentValue);
+
+        public async Task<CameraSettingsUpdateResult> UpdateAsync(CameraSettings settings, bool reportToDeviceTwin)
+        {
+            var current = _cameraOptions.CurrentValue;
+            var result = new CameraSettingsUpdateResult();
+
+            CameraOptions options;
+            try
+            {
+                options = settings.ApplyTo(current);
+            }
+            catch (ArgumentException ex)
+            {
+                result.Errors.Add(ex.Message);
+                result.Settings = CameraSettings.FromOptions(current);
+                return result;
+            }
+
+            var validation = new ConfigurationValidationService().ValidateCameraConfiguration(options);
+            if (!validation.IsValid)
+            {
+                result.Errors.AddRange(validation.Errors);
+                result.Settings = CameraSettings.FromOptions(current);
+                return result;
+            }
+
+            result.Changes = DescribeChanges(CameraSettings.FromOptions(current), CameraSettings.FromOptions(options));
+            await _runtimeConfigurationService.UpdateCameraOptionsAsync(options);
+            result.Applied = true;
+            result.Settings = CameraSettings.FromOptions(options);
+
+            _logger.LogInformation("Camera settings updated from dashboard: {Changes}",
+                result.Changes.Count > 0 ? string.Join("; ", result.Changes) : "no changes");
+
+            if (reportToDeviceTwin)
+            {
+                await ReportToDeviceTwinAsync(options, result);
+            }
+
+            return result;
+        }
+
+        private async Task ReportToDeviceTwinAsync(CameraOptions options, CameraSettingsUpdateResult result)
+        {
+            try
+            {
+                var connectionString = await _secretsService.GetIotHubConnectionStringAsync();
+                if (string.IsNullOrEmpty(connectionString))
+                {
+                    result.ReportedToDeviceTwin = false;
+                    result.DeviceTwinError = "Azure IoT Hub connection string not available";
+                    return;
+                }
+
+                using var deviceClient = DeviceClient.CreateFromConnectionString(connectionString);
+                await _deviceTwinService.ReportCameraConfigurationAsync(deviceClient, options, _logger);
+                await deviceClient.CloseAsync();
+                result.ReportedToDeviceTwin = true;
+            }
+            catch (Exception ex)
+            {
+                // The settings are already live; a twin failure only means the cloud copy is stale
+                _logger.LogWarning(ex, "Failed to report camera settings to device twin");
+                result.ReportedToDeviceTwin = false;
+                result.DeviceTwinError = ex.Message;
+            }
+        }
+
+        private static List<string> DescribeChanges(CameraSettings before, CameraSettings after)
+        {
+            var changes = new List<string>();
+
+            void Compare<T>(string name, T oldValue, T newValue)
+            {
+                if (!EqualityComparer<T>.Default.Equals(oldValue, newValue))
+                {
+                    changes.Add(string.Format(CultureInfo.InvariantCulture, "{0}: {1} → {2}", name, oldValue, newValue));
+                }
+            }
+
+            Compare(nameof(CameraSettings.Width), before.Width, after.Width);
+            Compare(nameof(CameraSettings.Height), before.Height, after.Height);
+            Compare(nameof(CameraSettings.Quality), before.Quality, after.Quality);
+            Compare(nameof(CameraSettings.Rotation), before.Rotation, after.Rotation);
+            Compare(nameof(CameraSettings.Brightness), before.Brightness, after.Brightness);
+            Compare(nameof(CameraSettings.Contrast), before.Contrast, after.Contrast);
+            Compare(nameof(CameraSettings.Saturation), before.Saturation, after.Saturation);
+            Compare(nameof(CameraSettings.Gain), before.Gain, after.Gain);
+            Compare(nameof(CameraSettings.ShutterSpeedMicroseconds), before.ShutterSpeedMicroseconds, after.ShutterSpeedMicroseconds);
+            Compare(nameof(CameraSettings.AutoExposure), before.AutoExposure, after.AutoExposure);
+            Compare(nameof(CameraSettings.AutoWhiteBalance), before.AutoWhiteBalance, after.AutoWhiteBalance);
+            Compare(nameof(CameraSettings.ExposureMode), before.ExposureMode, after.ExposureMode);
+            Compare(nameof(CameraSettings.TimeoutMs), before.TimeoutMs, after.TimeoutMs);
+            Compare(nameof(CameraSettings.WarmupTimeMs), before.WarmupTimeMs, after.WarmupTimeMs);
+
+            return changes;
+        }
+    }
+}
@@ -0,0 +1,297 @@
+using SixLabors.ImageSharp;
+using SixLabors.ImageSharp.PixelFormats;
+using SixLabors.ImageSharp.Processing;
+using WellMonitor.Device.Models;
+using WellMonitor.Shared.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Image checks for the guided camera setup: focus, exposure and glare, LED region and tilt, ROI fit and OCR
+    /// Focus and exposure are measured inside the ROI because only the display has to be readable
+    /// </summary>
+    public static class CameraSetupAnalyzer
+    {
+        // Lit LED segments are bright and strongly coloured; glare from lights or windows is bright and colourless
+        private const int MinLedColourSpread = 60;
+        private const int GlareLevel = 240;
+        private const double MaxGlareFraction = 0.02;
+
+        private const double MaxTiltDegrees = 3.0;
+
+        // Smallest share of the frame the display may cover and still give OCR enough pixels
+        private const double MinLedAreaFraction = 0.01;
+
+        // The display should fill at least this much of the ROI
+        private const double MinRoiFill = 0.25;
+
+        // LED detection runs on a downscaled copy to stay fast on the Pi
+        private const int DetectionWidth = 480;
+
+        // Laplacian variance at which sharpness reaches ~0.63
+        private const double SharpnessScale = 300.0;
+
+        public static CameraSetupCheck CheckFocus(Image<Rgba32> image, RoiCoordinates roi, ImageQualityOptions quality)
+        {
+            var (luminance, width, height) = SampleRoi(image, roi, p => (0.299f * p.R) + (0.587f * p.G) + (0.114f * p.B));
+
+            double sum = 0, sumOfSquares = 0;
+            var count = 0;
+            for (var y = 1; y < height - 1; y++)
+            {
+                for (var x = 1; x < width - 1; x++)
+                {
+                    var i = (y * width) + x;
+                    double laplacian = (4 * luminance[i]) - luminance[i - 1] - luminance[i + 1] - luminance[i - width] - luminance[i + width];
+                    sum += laplacian;
+                    sumOfSquares += laplacian * laplacian;
+                    count++;
+                }
+            }
+
+            var variance = count > 0 ? (sumOfSquares / count) - Math.Pow(sum / count, 2) : 0;
+            var sharpness = Math.Round(1 - Math.Exp(-variance / SharpnessScale), 3);
+            var passed = sharpness >= quality.SharpnessMin;
+
+            return new CameraSetupCheck
+            {
+                Check = CameraSetupChecks.Focus,
+                Passed = passed,
+                Value = sharpness,
+                Message = $"Sharpness {sharpness:F2} (needs {quality.SharpnessMin:F2})",
+                Hint = passed ? null : "Turn the lens focus ring slowly until the digit edges are crisp; keep the camera steady between checks"
+            };
+        }
+
+        public static CameraSetupCheck CheckExposure(Image<Rgba32> image, RoiCoordinates roi, ImageQualityOptions quality)
+        {
+            // Brightest channel rather than luminance, so red and green segments count as bright as they look
+            var (brightness, _, _) = SampleRoi(image, roi, p => Math.Max(p.R, Math.Max(p.G, p.B)));
+            var (darkest, _, _) = SampleRoi(image, roi, p => Math.Min(p.R, Math.Min(p.G, p.B)));
+            var glareFraction = (double)darkest.Count(v => v >= GlareLevel) / darkest.Length;
+
+            var sorted = brightness.OrderBy(v => v).ToArray();
+            var median = sorted[sorted.Length / 2];
+            var bright = sorted[(int)((sorted.Length - 1) * 0.99)];
+            var mean = brightness.Average();
+            var contrast = Math.Round((bright - median) / 255.0, 3);
+
+            var check = new CameraSetupCheck { Check = CameraSetupChecks.Exposure, Value = contrast };
+
+            if (mean > quality.BrightnessMax)
+            {
+                check.Message = $"Display area is washed out (mean brightness {mean:F0}, max {quality.BrightnessMax})";
+                check.Hint = "Lower brightness or gain, or try the Barcode exposure mode";
+            }
+            else if (glareFraction > MaxGlareFraction)
+            {
+                check.Message = $"Glare covers {glareFraction:P1} of the display area";
+                check.Hint = "Angle the camera slightly so reflections from lights or windows miss the display glass";
+            }
+            else if (contrast < quality.ContrastMin)
+            {
+                check.Message = $"Digits don't stand out from the background (contrast {contrast:F2}, needs {quality.ContrastMin:F2})";
+                check.Hint = "Raise brightness or gain, or shade the display from direct light";
+            }
+            else
+            {
+                check.Passed = true;
+                check.Message = $"Contrast {contrast:F2}, glare {glareFraction:P1}";
+            }
+
+            return check;
+        }
+
+        /// <summary>
+        /// Find the lit LED segments and how far the row of digits is tilted
+        /// Returns the region as fractions of the frame, or null when no display was found
+        /// </summary>
+        public static (CameraSetupCheck Led, CameraSetupCheck Alignment, RoiCoordinates? Region) DetectLedRegion(Image<Rgba32> image, int brightnessThreshold)
+        {
+            using var small = image.Clone(ctx => ctx.Resize(Math.Min(DetectionWidth, image.Width), 0));
+
+            var xs = new List<int>();
+            var ys = new List<int>();
+            small.ProcessPixelRows(accessor =>
+            {
+                for (var y = 0; y < accessor.Height; y++)
+                {
+                    var row = accessor.GetRowSpan(y);
+                    for (var x = 0; x < row.Length; x++)
+                    {
+                        var p = row[x];
+                        var max = Math.Max(p.R, Math.Max(p.G, p.B));
+                        var min = Math.Min(p.R, Math.Min(p.G, p.B));
+                        if (max >= brightnessThreshold && max - min >= MinLedColourSpread)
+                        {
+                            xs.Add(x);
+                            ys.Add(y);
+                        }
+                    }
+                }
+            });
+
+            var led = new CameraSetupCheck { Check = CameraSetupChecks.LedRegion };
+            var alignment = new CameraSetupCheck { Check = CameraSetupChecks.Alignment };
+
+            // A few stray coloured pixels are noise, not a display
+            if (xs.Count < Math.Max(20, small.Width * small.Height / 2000))
+            {
+                led.Message = "No lit LED digits found";
+                led.Hint = "Point the camera at the display and make sure the pump controller is powered";
+                alignment.Message = "Alignment needs a detected display";
+                return (led, alignment, null);
+            }
+
+            // Percentiles keep isolated reflections from stretching the box
+            var left = Percentile(xs, 0.02);
+            var right = Percentile(xs, 0.98) + 1;
+            var top = Percentile(ys, 0.02);
+            var bottom = Percentile(ys, 0.98) + 1;
+
+            var region = new RoiCoordinates
+            {
+                X = Math.Round((double)left / small.Width, 3),
+                Y = Math.Round((double)top / small.Height, 3),
+                Width = Math.Round((double)(right - left) / small.Width, 3),
+                Height = Math.Round((double)(bottom - top) / small.Height, 3)
+            };
+
+            var area = region.Width * region.Height;
+            led.Value = Math.Round(area, 4);
+            led.Passed = area >= MinLedAreaFraction;
+            led.Message = $"Display found at {region.X:P0}, {region.Y:P0} covering {area:P1} of the frame";
+            led.Hint = led.Passed ? null : "The display is small in the frame; move the camera closer so the digits are larger";
+
+            // A level row of digits has no trend in y across x; the least-squares slope gives the tilt
+            var meanX = xs.Average();
+            var meanY = ys.Average();
+            double covariance = 0, varianceX = 0;
+            for (var i = 0; i < xs.Count; i++)
+            {
+                covariance += (xs[i] - meanX) * (ys[i] - meanY);
+                varianceX += (xs[i] - meanX) * (xs[i] - meanX);
+            }
+
+            var tilt = varianceX > 0 ? Math.Round(Math.Atan(covariance / varianceX) * 180 / Math.PI, 1) : 0;
+            alignment.Value = tilt;
+            alignment.Passed = Math.Abs(tilt) <= MaxTiltDegrees;
+            alignment.Message = $"Display is tilted {tilt:F1}° (limit {MaxTiltDegrees:F0}°)";
+            alignment.Hint = alignment.Passed ? null : "Rotate the camera until the row of digits runs parallel to the horizontal guide line";
+
+            return (led, alignment, region);
+        }
+
+        public static CameraSetupCheck CheckRoiFit(RoiCoordinates roi, RoiCoordinates? ledRegion)
+        {
+            var check = new CameraSetupCheck { Check = CameraSetupChecks.RoiFit };
+
+            if (ledRegion == null)
+            {
+                check.Message = "ROI fit needs a detected display";
+                return check;
+            }
+
+            const double tolerance = 0.005;
+            var contains = ledRegion.X >= roi.X - tolerance &&
+                           ledRegion.Y >= roi.Y - tolerance &&
+                           ledRegion.X + ledRegion.Width <= roi.X + roi.Width + tolerance &&
+                           ledRegion.Y + ledRegion.Height <= roi.Y + roi.Height + tolerance;
+
+            var fill = Math.Round(ledRegion.Width * ledRegion.Height / (roi.Width * roi.Height), 3);
+            check.Value = fill;
+
+            if (!contains)
+            {
+                check.Message = "Part of the display is outside the ROI";
+                check.Hint = "Use the suggested ROI, or move the ROI so it covers every digit";
+            }
+            else if (fill < MinRoiFill)
+            {
+                check.Message = $"Display fills only {fill:P0} of the ROI";
+                check.Hint = "Use the suggested ROI so OCR isn't distracted by the background";
+            }
+            else
+            {
+                check.Passed = true;
+                check.Message = $"Display is inside the ROI and fills {fill:P0} of it";
+            }
+
+            return check;
+        }
+
+        public static CameraSetupCheck CheckOcr(RoiTestResult result)
+        {
+            var text = result.Ocr == null ? string.Empty
+                : string.IsNullOrEmpty(result.Ocr.ProcessedText) ? result.Ocr.RawText : result.Ocr.ProcessedText;
+            var confidence = result.Ocr?.Confidence ?? 0;
+            var passed = result.Success && result.AnalyzedStatus != PumpStatus.Unknown;
+
+            return new CameraSetupCheck
+            {
+                Check = CameraSetupChecks.Ocr,
+                Passed = passed,
+                Value = Math.Round(confidence, 3),
+                Message = passed
+                    ? $"Read '{text.Trim()}' as {result.AnalyzedStatus} ({confidence:P0} confidence)"
+                    : result.ErrorMessage ?? $"Could not read a pump status from '{text.Trim()}'",
+                Hint = passed ? null : "Re-check focus and exposure, or tune OCR preprocessing on the OCR settings page"
+            };
+        }
+
+        /// <summary>
+        /// ROI around a detected display with a margin on every side, kept inside the frame
+        /// </summary>
+        public static RoiCoordinates SuggestRoi(RoiCoordinates ledRegion, double marginFraction = 0.15)
+        {
+            // Work in whole thousandths so the result still passes RoiCoordinates.IsValid after rounding
+            var (x, width) = Expand(ledRegion.X, ledRegion.Width, marginFraction);
+            var (y, height) = Expand(ledRegion.Y, ledRegion.Height, marginFraction);
+
+            return new RoiCoordinates
+            {
+                X = x / 1000.0,
+                Y = y / 1000.0,
+                Width = width / 1000.0,
+                Height = height / 1000.0
+            };
+        }
+
+        private static (int Start, int Size) Expand(double start, double size, double marginFraction)
+        {
+            var expanded = (int)Math.Ceiling(size * (1 + (2 * marginFraction)) * 1000);
+            expanded = Math.Clamp(expanded, 100, 1000);
+
+            var center = (start + (size / 2)) * 1000;
+            var expandedStart = Math.Clamp((int)Math.Round(center - (expanded / 2.0)), 0, 1000 - expanded);
+
+            return (expandedStart, expanded);
+        }
+
+        private static (float[] Values, int Width, int Height) SampleRoi(Image<Rgba32> image, RoiCoordinates roi, Func<Rgba32, float> measure)
+        {
+            var (left, top, width, height) = roi.ToPixelCoordinates(image.Width, image.Height);
+            var values = new float[width * height];
+
+            image.ProcessPixelRows(accessor =>
+            {
+                for (var y = 0; y < height; y++)
+                {
+                    var row = accessor.GetRowSpan(top + y);
+                    for (var x = 0; x < width; x++)
+                    {
+                        values[(y * width) + x] = measure(row[left + x]);
+                    }
+                }
+            });
+
+            return (values, width, height);
+        }
+
+        private static int Percentile(List<int> values, double percentile)
+        {
+            var sorted = values.OrderBy(v => v).ToList();
+            return sorted[(int)Math.Round((sorted.Count - 1) * percentile)];
+        }
+    }
+}
@@ -0,0 +1,121 @@
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using SixLabors.ImageSharp;
+using SixLabors.ImageSharp.PixelFormats;
+using WellMonitor.Device.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Runs the guided camera setup checks on freshly captured frames and saves the result
+    /// Draft camera settings are only used for the capture until the wizard saves them
+    /// </summary>
+    public class CameraSetupService : ICameraSetupService
+    {
+        private readonly ILogger<CameraSetupService> _logger;
+        private readonly ICameraService _cameraService;
+        private readonly IRoiTestService _roiTestService;
+        private readonly IRoiProfileService _roiProfileService;
+        private readonly IRuntimeConfigurationService _runtimeConfigurationService;
+        private readonly IOptionsMonitor<CameraOptions> _cameraOptions;
+        private readonly IOptionsMonitor<RegionOfInterestOptions> _roiOptions;
+        private readonly ImageQualityOptions _imageQualityOptions;
+
+        public CameraSetupService(
+            ILogger<CameraSetupService> logger,
+            ICameraService cameraService,
+            IRoiTestService roiTestService,
+            IRoiProfileService roiProfileService,
+            IRuntimeConfigurationService runtimeConfigurationService,
+            IOptionsMonitor<CameraOptions> cameraOptions,
+            IOptionsMonitor<RegionOfInterestOptions> roiOptions,
+            ImageQualityOptions imageQualityOptions)
+        {
+            _logger = logger;
+            _cameraService = cameraService;
+            _roiTestService = roiTestService;
+            _roiProfileService = roiProfileService;
+            _runtimeConfigurationService = runtimeConfigurationService;
+            _cameraOptions = cameraOptions;
+            _roiOptions = roiOptions;
+            _imageQualityOptions = imageQualityOptions;
+        }
+
+        public async Task<CameraSetupAnalysis> AnalyzeAsync(RoiCoordinates? roi, CameraSetupSettings? settings, bool runOcr, CancellationToken cancellationToken = default)
+        {
+            var roiOptions = _roiOptions.CurrentValue;
+            roi ??= roiOptions.RoiPercent;
+            if (!roi.IsValid())
+                throw new ArgumentException($"ROI is out of bounds: {roi}");
+
+            var cameraOptions = BuildCameraOptions(settings);
+            var imageBytes = await _cameraService.CaptureImageAsync(cameraOptions);
+            cancellationToken.ThrowIfCancellationRequested();
+
+            var analysis = new CameraSetupAnalysis { Roi = roi };
+
+            // Keep the analysed frame so the wizard can draw the overlay on exactly what was scored
+            var debugDirectory = _cameraOptions.CurrentValue.GetDebugImageDirectory();
+            Directory.CreateDirectory(debugDirectory);
+            analysis.ImageFile = $"setup_{analysis.Timestamp:yyyyMMdd_HHmmss_fff}.jpg";
+            await File.WriteAllBytesAsync(Path.Combine(debugDirectory, analysis.ImageFile), imageBytes, cancellationToken);
+
+            using (var image = Image.Load<Rgba32>(imageBytes))
+            {
+                analysis.ImageWidth = image.Width;
+                analysis.ImageHeight = image.Height;
+
+                analysis.Checks.Add(CameraSetupAnalyzer.CheckFocus(image, roi, _imageQualityOptions));
+                analysis.Checks.Add(CameraSetupAnalyzer.CheckExposure(image, roi, _imageQualityOptions));
+
+                var (led, alignment, ledRegion) = CameraSetupAnalyzer.DetectLedRegion(image, roiOptions.LedBrightnessThreshold);
+                analysis.Checks.Add(led);
+                analysis.Checks.Add(alignment);
+                analysis.LedRegion = ledRegion;
+
+                if (ledRegion != null)
+                {
+                    analysis.SuggestedRoi = CameraSetupAnalyzer.SuggestRoi(ledRegion);
+                }
+
+                analysis.Checks.Add(CameraSetupAnalyzer.CheckRoiFit(roi, ledRegion));
+            }
+
+            if (runOcr)
+            {
+                analysis.RoiTest = await _roiTestService.TestRoiAsync(imageBytes, roi, cancellationToken);
+                analysis.Checks.Add(CameraSetupAnalyzer.CheckOcr(analysis.RoiTest));
+            }
+
+            _logger.LogInformation("Camera setup analysis: {Results}",
+                string.Join(", ", analysis.Checks.Select(c => $"{c.Check}={(c.Passed ? "pass" : "fail")}")));
+
+            return analysis;
+        }
+
+        public async Task<RoiProfile> SaveAsync(string profileName, RoiCoordinates roi, CameraSetupSettings? settings, string savedBy, string? sourceImage)
+        {
+            // Validate the camera settings up front so a bad value can't leave a new ROI with the old camera settings
+            var cameraOptions = BuildCameraOptions(settings);
+
+            var profile = await _roiProfileService.SaveProfileAsync(profileName, roi, savedBy, sourceImage);
+            await _runtimeConfigurationService.UpdateCameraOptionsAsync(cameraOptions);
+
+            _logger.LogInformation("Camera setup saved as ROI profile {Name} v{Version} by {User}: exposure {ExposureMode}, brightness {Brightness}, gain {Gain}",
+                profile.Name, profile.Version, savedBy, cameraOptions.ExposureMode, cameraOptions.Brightness, cameraOptions.Gain);
+
+            return profile;
+        }
+
+        private CameraOptions BuildCameraOptions(CameraSetupSettings? settings)
+        {
+            var options = (settings ?? new CameraSetupSettings()).ApplyTo(_cameraOptions.CurrentValue);
+
+            var validation = new ConfigurationValidationService().ValidateCameraConfiguration(options);
+            if (!validation.IsValid)
+                throw new ArgumentException(validation.GetErrorSummary());
+
+            return options;
+        }
+    }
+}
@@ -309,6 +309,18 @@ namespace WellMonitor.Device.Services
                 result.AddError($"Camera warmup time {cameraOptions.WarmupTimeMs}ms is outside valid range (500-8000)");
             }
 
+            // Validate gain
+            if (cameraOptions.Gain < 1.0 || cameraOptions.Gain > 64.0)
+            {
+                result.AddError($"Camera gain {cameraOptions.Gain} is outside valid range (1.0-64.0)");
+            }
+
+            // Validate shutter speed (0 = automatic)
+            if (cameraOptions.ShutterSpeedMicroseconds < 0 || cameraOptions.ShutterSpeedMicroseconds > 1000000)
+            {
+                result.AddError($"Camera shutter speed {cameraOptions.ShutterSpeedMicroseconds}μs is outside valid range (0-1000000)");
+            }
+
             // Validate debug path if specified
             if (!string.IsNullOrEmpty(cameraOptions.DebugImagePath))
             {
@@ -321,6 +333,85 @@ namespace WellMonitor.Device.Services
             return result;
         }
 
+        /// <summary>
+        /// Validates OCR image preprocessing options and returns validation results
+        /// </summary>
+        public ValidationResult ValidateImagePreprocessing(ImagePreprocessingOptions preprocessing)
+        {
+            var result = new ValidationResult();
+
+            // Validate contrast factor
+            if (preprocessing.ContrastFactor < 0.1 || preprocessing.ContrastFactor > 5.0)
+            {
+                result.AddError($"Contrast factor {preprocessing.ContrastFactor} is outside valid range (0.1-5.0)");
+            }
+
+            // Validate brightness adjustment
+            if (preprocessing.BrightnessAdjustment < -100 || preprocessing.BrightnessAdjustment > 100)
+            {
+                result.AddError($"Brightness adjustment {preprocessing.BrightnessAdjustment} is outside valid range (-100 to 100)");
+            }
+
+            // Validate scale factor
+            if (preprocessing.ScaleFactor < 0.5 || preprocessing.ScaleFactor > 4.0)
+            {
+                result.AddError($"Scale factor {preprocessing.ScaleFactor} is outside valid range (0.5-4.0)");
+            }
+
+            // Validate binary threshold
+            if (preprocessing.BinaryThreshold < 0 || preprocessing.BinaryThreshold > 255)
+            {
+                result.AddError($"Binary threshold {preprocessing.BinaryThreshold} is outside valid range (0-255)");
+            }
+
+            return result;
+        }
+
+        /// <summary>
+        /// Validates the OCR settings editable at runtime, including image preprocessing
+        /// </summary>
+        public ValidationResult ValidateOcrConfiguration(OcrOptions ocrOptions)
+        {
+            var result = new ValidationResult();
+
+            // Validate provider
+            if (string.IsNullOrWhiteSpace(ocrOptions.Provider))
+            {
+                result.AddError("OCR provider is required");
+            }
+
+            // Validate minimum confidence
+            if (ocrOptions.MinimumConfidence < 0.0 || ocrOptions.MinimumConfidence > 1.0)
+            {
+                result.AddError($"OCR minimum confidence {ocrOptions.MinimumConfidence} is outside valid range (0.0-1.0)");
+            }
+
+            // Validate Tesseract page segmentation mode
+            if (ocrOptions.Tesseract.PageSegmentationMode < 0 || ocrOptions.Tesseract.PageSegmentationMode > 13)
+            {
+                result.AddError($"Tesseract page segmentation mode {ocrOptions.Tesseract.PageSegmentationMode} is outside valid range (0-13)");
+            }
+
+            // Validate Tesseract engine mode
+            if (ocrOptions.Tesseract.EngineMode < 0 || ocrOptions.Tesseract.EngineMode > 3)
+            {
+                result.AddError($"Tesseract engine mode {ocrOptions.Tesseract.EngineMode} is outside valid range (0-3)");
+            }
+
+            // Validate custom Tesseract variables
+            if (ocrOptions.Tesseract.CustomConfig.Keys.Any(string.IsNullOrWhiteSpace))
+            {
+                result.AddError("Tesseract configuration variable names cannot be empty");
+            }
+
+            foreach (var error in ValidateImagePreprocessing(ocrOptions.ImagePreprocessing).Errors)
+            {
+                result.AddError(error);
+            }
+
+            return result;
+        }
+
         /// <summary>
         /// Validates well monitor configuration and returns validation results
         /// </summary>
@@ -418,6 +509,16 @@ namespace WellMonitor.Device.Services
             {
                 cameraOptions.WarmupTimeMs = 2000; // Default safe value
             }
+
+            if (cameraOptions.Gain < 1.0 || cameraOptions.Gain > 64.0)
+            {
+                cameraOptions.Gain = 1.0; // Default safe value
+            }
+
+            if (cameraOptions.ShutterSpeedMicroseconds < 0 || cameraOptions.ShutterSpeedMicroseconds > 1000000)
+            {
+                cameraOptions.ShutterSpeedMicroseconds = 0; // Default safe value
+            }
         }
 
         /// <summary>
@@ -0,0 +1,125 @@
+using System.Security.Claims;
+using Microsoft.AspNetCore.Authentication;
+using Microsoft.AspNetCore.Authentication.Cookies;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Http;
+using Microsoft.Extensions.Options;
+using WellMonitor.Device.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Authorization policies for the dashboard API and hub, one per minimum role
+    /// </summary>
+    public static class DashboardPolicies
+    {
+        public const string Viewer = "DashboardViewer";
+        public const string Operator = "DashboardOperator";
+        public const string Admin = "DashboardAdmin";
+    }
+
+    /// <summary>
+    /// Requires a signed-in user with at least the given role
+    /// </summary>
+    public class DashboardRoleRequirement : IAuthorizationRequirement
+    {
+        public DashboardRoleRequirement(string role)
+        {
+            Role = role;
+        }
+
+        public string Role { get; }
+    }
+
+    /// <summary>
+    /// Grants dashboard requirements by role, or to everyone while Web:EnableAuthentication is off
+    /// The setting is read per request, so turning authentication on from the device twin needs no restart
+    /// </summary>
+    public class DashboardRoleHandler : AuthorizationHandler<DashboardRoleRequirement>
+    {
+        private readonly IOptionsMonitor<WebOptions> _webOptions;
+
+        public DashboardRoleHandler(IOptionsMonitor<WebOptions> webOptions)
+        {
+            _webOptions = webOptions;
+        }
+
+        protected override Task HandleRequirementAsync(AuthorizationHandlerContext context, DashboardRoleRequirement requirement)
+        {
+            if (!_webOptions.CurrentValue.EnableAuthentication ||
+                (context.User.Identity?.IsAuthenticated == true &&
+                 DashboardRoles.IsAllowed(context.User.FindFirstValue(ClaimTypes.Role), requirement.Role)))
+            {
+                context.Succeed(requirement);
+            }
+
+            return Task.CompletedTask;
+        }
+    }
+
+    /// <summary>
+    /// Cookie session events: API callers get 401/403 JSON instead of a login redirect, and every request
+    /// re-checks the account so deleted users and changed passwords are signed out and role changes apply straight away
+    /// </summary>
+    public class DashboardCookieEvents : CookieAuthenticationEvents
+    {
+        public const string SecurityStampClaimType = "WellMonitor.SecurityStamp";
+
+        private readonly IDashboardUserService _userService;
+        private readonly IOptionsMonitor<WebOptions> _webOptions;
+
+        public DashboardCookieEvents(IDashboardUserService userService, IOptionsMonitor<WebOptions> webOptions)
+        {
+            _userService = userService;
+            _webOptions = webOptions;
+        }
+
+        public static ClaimsPrincipal CreatePrincipal(DashboardUserView user)
+        {
+            var identity = new ClaimsIdentity(new[]
+            {
+                new Claim(ClaimTypes.Name, user.Username),
+                new Claim(ClaimTypes.Role, user.Role),
+                new Claim(SecurityStampClaimType, user.SecurityStamp)
+            }, CookieAuthenticationDefaults.AuthenticationScheme);
+
+            return new ClaimsPrincipal(identity);
+        }
+
+        public override async Task ValidatePrincipal(CookieValidatePrincipalContext context)
+        {
+            if (!_webOptions.CurrentValue.EnableAuthentication)
+            {
+                return;
+            }
+
+            var username = context.Principal?.Identity?.Name;
+            var user = username == null ? null : await _userService.GetUserAsync(username);
+            if (user == null ||
+                !string.Equals(user.SecurityStamp, context.Principal!.FindFirstValue(SecurityStampClaimType), StringComparison.Ordinal))
+            {
+                context.RejectPrincipal();
+                await context.HttpContext.SignOutAsync(CookieAuthenticationDefaults.AuthenticationScheme);
+                return;
+            }
+
+            if (!string.Equals(user.Role, context.Principal!.FindFirstValue(ClaimTypes.Role), StringComparison.Ordinal))
+            {
+                context.ReplacePrincipal(CreatePrincipal(user));
+                context.ShouldRenew = true;
+            }
+        }
+
+        public override Task RedirectToLogin(RedirectContext<CookieAuthenticationOptions> context)
+        {
+            context.Response.StatusCode = StatusCodes.Status401Unauthorized;
+            return context.Response.WriteAsJsonAsync(new { Error = "Sign in to use the dashboard" });
+        }
+
+        public override Task RedirectToAccessDenied(RedirectContext<CookieAuthenticationOptions> context)
+        {
+            context.Response.StatusCode = StatusCodes.Status403Forbidden;
+            return context.Response.WriteAsJsonAsync(new { Error = "Your role does not allow this action" });
+        }
+    }
+}
@@ -0,0 +1,92 @@
+using Microsoft.Extensions.Logging;
+using WellMonitor.Device.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Logger provider that copies log entries into the log viewer buffer
+    /// Logger filter rules apply to it as to the console, so it sees what journald sees
+    /// </summary>
+    public class DashboardLoggerProvider : ILoggerProvider
+    {
+        // Sending entries to the hub logs through these, which would feed the stream back into itself
+        private static readonly string[] IgnoredCategoryPrefixes =
+        {
+            "Microsoft.AspNetCore.SignalR", "Microsoft.AspNetCore.Http.Connections"
+        };
+
+        private readonly ILogStreamService _logStream;
+
+        public DashboardLoggerProvider(ILogStreamService logStream)
+        {
+            _logStream = logStream;
+        }
+
+        public ILogger CreateLogger(string categoryName)
+        {
+            return new DashboardLogger(categoryName, _logStream,
+                IgnoredCategoryPrefixes.Any(p => categoryName.StartsWith(p, StringComparison.Ordinal)));
+        }
+
+        public void Dispose()
+        {
+        }
+
+        private class DashboardLogger : ILogger
+        {
+            private readonly string _category;
+            private readonly string _area;
+            private readonly ILogStreamService _logStream;
+            private readonly bool _ignored;
+
+            public DashboardLogger(string category, ILogStreamService logStream, bool ignored)
+            {
+                _category = category;
+                _area = LogAreas.FromCategory(category);
+                _logStream = logStream;
+                _ignored = ignored;
+            }
+
+            public IDisposable? BeginScope<TState>(TState state) where TState : notnull => null;
+
+            public bool IsEnabled(LogLevel logLevel) => !_ignored && logLevel != LogLevel.None;
+
+            public void Log<TState>(LogLevel logLevel, EventId eventId, TState state, Exception? exception, Func<TState, Exception?, string> formatter)
+            {
+                if (!IsEnabled(logLevel))
+                {
+                    return;
+                }
+
+                var entry = new LogEntry
+                {
+                    TimestampUtc = DateTime.UtcNow,
+                    Level = logLevel.ToString(),
+                    Category = _category,
+                    Area = _area,
+                    Message = formatter(state, exception),
+                    Exception = exception?.ToString(),
+                    EventId = eventId.Id
+                };
+
+                // Message templates log their values as key/value pairs, with the template itself under {OriginalFormat}
+                if (state is IReadOnlyList<KeyValuePair<string, object?>> values)
+                {
+                    foreach (var (key, value) in values)
+                    {
+                        if (key == "{OriginalFormat}")
+                        {
+                            entry.Template = value?.ToString();
+                        }
+                        else
+                        {
+                            entry.Properties[key] = value?.ToString();
+                        }
+                    }
+                }
+
+                _logStream.Append(entry);
+            }
+        }
+    }
+}
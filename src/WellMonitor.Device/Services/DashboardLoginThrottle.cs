@@ -0,0 +1,117 @@
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Slows down password guessing on the dashboard sign-in: after a few failed attempts for the same username
+    /// from the same address, further attempts are refused for a lockout that doubles with each failure after it
+    /// Kept in memory, so a restart clears it; a successful sign-in clears it for that username and address
+    /// </summary>
+    public class DashboardLoginThrottle
+    {
+        public const int DefaultMaxFailures = 5;
+        public static readonly TimeSpan DefaultLockout = TimeSpan.FromMinutes(5);
+
+        private static readonly TimeSpan MaxLockout = TimeSpan.FromHours(1);
+
+        // Failures are forgotten this long after the last one or after the lockout ends, so occasional typos never add up
+        private static readonly TimeSpan FailureWindow = TimeSpan.FromMinutes(15);
+
+        // Expired entries are pruned past this size so guessing many usernames can't grow the table without bound
+        private const int PruneThreshold = 1000;
+
+        private readonly int _maxFailures;
+        private readonly TimeSpan _lockout;
+        private readonly Dictionary<string, FailedAttempts> _attempts = new(StringComparer.Ordinal);
+        private readonly object _lock = new();
+
+        public DashboardLoginThrottle(int maxFailures = DefaultMaxFailures, TimeSpan? lockout = null)
+        {
+            _maxFailures = maxFailures;
+            _lockout = lockout ?? DefaultLockout;
+        }
+
+        /// <summary>
+        /// Time left before the username may be tried again from the address, or null when it may be tried now
+        /// </summary>
+        public TimeSpan? GetLockout(string username, string? remoteAddress)
+        {
+            lock (_lock)
+            {
+                if (_attempts.TryGetValue(Key(username, remoteAddress), out var attempts) && attempts.LockedUntilUtc is DateTime lockedUntil)
+                {
+                    var remaining = lockedUntil - DateTime.UtcNow;
+                    if (remaining > TimeSpan.Zero)
+                    {
+                        return remaining;
+                    }
+                }
+
+                return null;
+            }
+        }
+
+        /// <summary>
+        /// Count a wrong username or password
+        /// </summary>
+        /// <returns>The lockout this failure started, or null when more attempts are allowed straight away</returns>
+        public TimeSpan? RecordFailure(string username, string? remoteAddress)
+        {
+            var now = DateTime.UtcNow;
+            lock (_lock)
+            {
+                if (_attempts.Count >= PruneThreshold)
+                {
+                    foreach (var expired in _attempts.Where(a => a.Value.IsExpired(now)).Select(a => a.Key).ToList())
+                    {
+                        _attempts.Remove(expired);
+                    }
+                }
+
+                var key = Key(username, remoteAddress);
+                if (!_attempts.TryGetValue(key, out var attempts) || attempts.IsExpired(now))
+                {
+                    attempts = new FailedAttempts();
+                    _attempts[key] = attempts;
+                }
+
+                attempts.Failures++;
+                attempts.LastFailureUtc = now;
+
+                if (attempts.Failures < _maxFailures)
+                {
+                    return null;
+                }
+
+                var doublings = Math.Min(attempts.Failures - _maxFailures, 10);
+                var lockout = TimeSpan.FromTicks(Math.Min(_lockout.Ticks * (1L << doublings), MaxLockout.Ticks));
+                attempts.LockedUntilUtc = now + lockout;
+                return lockout;
+            }
+        }
+
+        public void RecordSuccess(string username, string? remoteAddress)
+        {
+            lock (_lock)
+            {
+                _attempts.Remove(Key(username, remoteAddress));
+            }
+        }
+
+        private static string Key(string username, string? remoteAddress)
+        {
+            return $"{username.Trim().ToLowerInvariant()}|{remoteAddress ?? "unknown"}";
+        }
+
+        private sealed class FailedAttempts
+        {
+            public int Failures { get; set; }
+            public DateTime LastFailureUtc { get; set; }
+            public DateTime? LockedUntilUtc { get; set; }
+
+            public bool IsExpired(DateTime now)
+            {
+                var last = LockedUntilUtc > LastFailureUtc ? LockedUntilUtc.Value : LastFailureUtc;
+                return now - last > FailureWindow;
+            }
+        }
+    }
+}
@@ -0,0 +1,301 @@
+using System.Security.Cryptography;
+using System.Text;
+using System.Text.RegularExpressions;
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using WellMonitor.Device.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Checks dashboard logins and manages local users without any cloud identity provider
+    /// The configured admin keeps working as a recovery account; everyone else is stored in the database
+    /// </summary>
+    public class DashboardUserService : IDashboardUserService
+    {
+        public const int MinPasswordLength = 8;
+
+        private const int HashIterations = 100_000;
+        private const int SaltBytes = 16;
+        private const int HashBytes = 32;
+        private const string HashPrefix = "pbkdf2-sha256";
+
+        private static readonly Regex UsernamePattern = new(@"^[A-Za-z0-9._@-]{1,50}$", RegexOptions.Compiled);
+
+        // Verified against when the user doesn't exist, so a login takes as long for unknown users as for known ones
+        private static readonly string UnknownUserHash = HashPassword(Guid.NewGuid().ToString());
+
+        private readonly ILogger<DashboardUserService> _logger;
+        private readonly IDatabaseService _databaseService;
+        private readonly IOptionsMonitor<WebOptions> _webOptions;
+        private readonly IConfiguration _configuration;
+
+        public DashboardUserService(
+            ILogger<DashboardUserService> logger,
+            IDatabaseService databaseService,
+            IOptionsMonitor<WebOptions> webOptions,
+            IConfiguration configuration)
+        {
+            _logger = logger;
+            _databaseService = databaseService;
+            _webOptions = webOptions;
+            _configuration = configuration;
+        }
+
+        public async Task<DashboardUserView?> ValidateCredentialsAsync(string username, string password)
+        {
+            username = username?.Trim() ?? string.Empty;
+            password ??= string.Empty;
+
+            var configured = GetConfiguredAdmin();
+            if (configured != null && string.Equals(configured.Username, username, StringComparison.OrdinalIgnoreCase))
+            {
+                var expected = Encoding.UTF8.GetBytes(GetConfiguredPassword());
+                if (CryptographicOperations.FixedTimeEquals(expected, Encoding.UTF8.GetBytes(password)))
+                {
+                    return configured;
+                }
+
+                _logger.LogWarning("Failed dashboard login for {Username}", username);
+                return null;
+            }
+
+            var user = username.Length > 0 ? await _databaseService.GetDashboardUserByNameAsync(username) : null;
+            if (!VerifyPassword(password, user?.PasswordHash ?? UnknownUserHash) || user == null)
+            {
+                if (configured == null && !(await _databaseService.GetDashboardUsersAsync()).Any())
+                {
+                    _logger.LogWarning("Dashboard authentication is enabled but no users exist; set Web:AuthPassword (or WEB_AUTH_PASSWORD) to sign in as {Username}",
+                        _webOptions.CurrentValue.AuthUsername);
+                }
+                else
+                {
+                    _logger.LogWarning("Failed dashboard login for {Username}", username);
+                }
+                return null;
+            }
+
+            user.LastLoginUtc = DateTime.UtcNow;
+            await _databaseService.SaveDashboardUserAsync(user);
+
+            return ToView(user);
+        }
+
+        public async Task<DashboardUserView?> GetUserAsync(string username)
+        {
+            var configured = GetConfiguredAdmin();
+            if (configured != null && string.Equals(configured.Username, username, StringComparison.OrdinalIgnoreCase))
+            {
+                return configured;
+            }
+
+            var user = await _databaseService.GetDashboardUserByNameAsync(username);
+            return user == null ? null : ToView(user);
+        }
+
+        public async Task<IEnumerable<DashboardUserView>> GetUsersAsync()
+        {
+            var users = (await _databaseService.GetDashboardUsersAsync()).Select(ToView).ToList();
+
+            var configured = GetConfiguredAdmin();
+            if (configured != null)
+            {
+                users.Insert(0, configured);
+            }
+
+            return users;
+        }
+
+        public async Task<DashboardUserView> CreateUserAsync(string username, string password, string role)
+        {
+            username = username?.Trim() ?? string.Empty;
+            if (!UsernamePattern.IsMatch(username))
+            {
+                throw new ArgumentException("Username must be 1-50 letters, digits or . _ @ -");
+            }
+
+            var normalizedRole = NormalizeRole(role);
+            ValidatePassword(password);
+
+            var configured = GetConfiguredAdmin();
+            if ((configured != null && string.Equals(configured.Username, username, StringComparison.OrdinalIgnoreCase)) ||
+                await _databaseService.GetDashboardUserByNameAsync(username) != null)
+            {
+                throw new InvalidOperationException($"User '{username}' already exists");
+            }
+
+            var user = new DashboardUser
+            {
+                Username = username,
+                PasswordHash = HashPassword(password),
+                Role = normalizedRole,
+                CreatedAtUtc = DateTime.UtcNow
+            };
+            await _databaseService.SaveDashboardUserAsync(user);
+
+            _logger.LogInformation("Dashboard user {Username} created with role {Role}", username, normalizedRole);
+            return ToView(user);
+        }
+
+        public async Task<DashboardUserView> UpdateUserAsync(int userId, string? role, string? password)
+        {
+            var user = await _databaseService.GetDashboardUserAsync(userId)
+                ?? throw new KeyNotFoundException($"User {userId} not found");
+
+            if (role != null)
+            {
+                var normalizedRole = NormalizeRole(role);
+                if (user.Role == DashboardRoles.Admin && normalizedRole != DashboardRoles.Admin)
+                {
+                    await EnsureAnotherAdminAsync(user);
+                }
+                user.Role = normalizedRole;
+            }
+
+            if (password != null)
+            {
+                ValidatePassword(password);
+                user.PasswordHash = HashPassword(password);
+            }
+
+            await _databaseService.SaveDashboardUserAsync(user);
+
+            _logger.LogInformation("Dashboard user {Username} updated: role {Role}{PasswordReset}",
+                user.Username, user.Role, password != null ? ", password reset" : string.Empty);
+            return ToView(user);
+        }
+
+        public async Task DeleteUserAsync(int userId)
+        {
+            var user = await _databaseService.GetDashboardUserAsync(userId)
+                ?? throw new KeyNotFoundException($"User {userId} not found");
+
+            if (user.Role == DashboardRoles.Admin)
+            {
+                await EnsureAnotherAdminAsync(user);
+            }
+
+            await _databaseService.DeleteDashboardUserAsync(userId);
+            _logger.LogInformation("Dashboard user {Username} deleted", user.Username);
+        }
+
+        /// <summary>
+        /// Someone has to be able to manage users, so the last admin can't be removed or demoted
+        /// </summary>
+        private async Task EnsureAnotherAdminAsync(DashboardUser user)
+        {
+            var otherAdmins = (await _databaseService.GetDashboardUsersAsync())
+                .Count(u => u.Id != user.Id && u.Role == DashboardRoles.Admin);
+
+            if (otherAdmins == 0 && GetConfiguredAdmin() == null)
+            {
+                throw new InvalidOperationException($"'{user.Username}' is the last admin; add another admin first");
+            }
+        }
+
+        /// <summary>
+        /// The Web:AuthUsername/AuthPassword admin, when a password is configured
+        /// </summary>
+        private DashboardUserView? GetConfiguredAdmin()
+        {
+            var username = _webOptions.CurrentValue.AuthUsername?.Trim();
+            if (string.IsNullOrEmpty(username) || string.IsNullOrEmpty(GetConfiguredPassword()))
+            {
+                return null;
+            }
+
+            return new DashboardUserView
+            {
+                Username = username,
+                Role = DashboardRoles.Admin,
+                Configured = true,
+                SecurityStamp = CreateSecurityStamp(GetConfiguredPassword())
+            };
+        }
+
+        // The device twin never carries the password, so fall back to the local configuration after a twin update
+        private string GetConfiguredPassword()
+        {
+            var password = _webOptions.CurrentValue.AuthPassword;
+            if (string.IsNullOrEmpty(password))
+            {
+                password = _configuration["Web:AuthPassword"];
+            }
+            if (string.IsNullOrEmpty(password))
+            {
+                password = _configuration["WEB_AUTH_PASSWORD"];
+            }
+
+            return password ?? string.Empty;
+        }
+
+        private static string NormalizeRole(string? role)
+        {
+            return DashboardRoles.Normalize(role)
+                ?? throw new ArgumentException($"Role must be one of: {string.Join(", ", DashboardRoles.All)}");
+        }
+
+        private static void ValidatePassword(string? password)
+        {
+            if (string.IsNullOrEmpty(password) || password.Length < MinPasswordLength)
+            {
+                throw new ArgumentException($"Password must be at least {MinPasswordLength} characters");
+            }
+        }
+
+        private static DashboardUserView ToView(DashboardUser user)
+        {
+            return new DashboardUserView
+            {
+                Id = user.Id,
+                Username = user.Username,
+                Role = user.Role,
+                CreatedAtUtc = user.CreatedAtUtc,
+                LastLoginUtc = user.LastLoginUtc,
+                SecurityStamp = CreateSecurityStamp(user.PasswordHash)
+            };
+        }
+
+        /// <summary>
+        /// Short digest of the password hash (freshly salted on every change) or of the configured password,
+        /// so a reset or a new WEB_AUTH_PASSWORD changes it without storing anything extra
+        /// </summary>
+        private static string CreateSecurityStamp(string secret)
+        {
+            var digest = SHA256.HashData(Encoding.UTF8.GetBytes($"wellmonitor-session:{secret}"));
+            return Convert.ToBase64String(digest, 0, 12);
+        }
+
+        /// <summary>
+        /// "pbkdf2-sha256$iterations$salt$hash" with base64 salt and hash
+        /// </summary>
+        private static string HashPassword(string password)
+        {
+            var salt = RandomNumberGenerator.GetBytes(SaltBytes);
+            var hash = Rfc2898DeriveBytes.Pbkdf2(password, salt, HashIterations, HashAlgorithmName.SHA256, HashBytes);
+            return $"{HashPrefix}${HashIterations}${Convert.ToBase64String(salt)}${Convert.ToBase64String(hash)}";
+        }
+
+        private static bool VerifyPassword(string password, string storedHash)
+        {
+            var parts = storedHash.Split('$');
+            if (parts.Length != 4 || parts[0] != HashPrefix || !int.TryParse(parts[1], out var iterations))
+            {
+                return false;
+            }
+
+            try
+            {
+                var salt = Convert.FromBase64String(parts[2]);
+                var expected = Convert.FromBase64String(parts[3]);
+                var actual = Rfc2898DeriveBytes.Pbkdf2(password, salt, iterations, HashAlgorithmName.SHA256, expected.Length);
+                return CryptographicOperations.FixedTimeEquals(expected, actual);
+            }
+            catch (FormatException)
+            {
+                return false;
+            }
+        }
+    }
+}
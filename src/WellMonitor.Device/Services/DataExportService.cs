@@ -0,0 +1,288 @@
+using System.Globalization;
+using System.Text;
+using System.Text.Json;
+using Microsoft.Extensions.Logging;
+using Parquet;
+using Parquet.Data;
+using Parquet.Schema;
+using WellMonitor.Device.Models;
+using WellMonitor.Shared.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Streams exports straight from the database to the response, so only a few rows are in memory at a time
+    /// Parquet needs whole row groups, so it holds up to <see cref="ParquetRowGroupSize"/> rows
+    /// </summary>
+    public class DataExportService : IDataExportService
+    {
+        private const int ParquetRowGroupSize = 10000;
+
+        // Rows written between flushes of CSV and JSON, so the download starts and progresses while the query runs
+        private const int FlushInterval = 1000;
+
+        private static readonly Dictionary<string, string> ContentTypes = new()
+        {
+            [ExportFormats.Csv] = "text/csv",
+            [ExportFormats.Json] = "application/json",
+            [ExportFormats.Parquet] = "application/vnd.apache.parquet"
+        };
+
+        private static readonly ExportColumn<Reading>[] ReadingColumns =
+        {
+            new("id", typeof(int), r => r.Id),
+            new("timestampUtc", typeof(DateTime), r => r.TimestampUtc),
+            new("currentAmps", typeof(double), r => r.CurrentAmps),
+            new("status", typeof(string), r => r.Status),
+            new("synced", typeof(bool), r => r.Synced),
+            new("error", typeof(string), r => r.Error)
+        };
+
+        private static readonly ExportColumn<RelayActionLog>[] RelayActionColumns =
+        {
+            new("id", typeof(int), r => r.Id),
+            new("timestampUtc", typeof(DateTime), r => r.TimestampUtc),
+            new("action", typeof(string), r => r.Action),
+            new("reason", typeof(string), r => r.Reason),
+            new("synced", typeof(bool), r => r.Synced),
+            new("error", typeof(string), r => r.Error)
+        };
+
+        private static readonly ExportColumn<HourlySummary>[] HourlySummaryColumns =
+        {
+            new("dateHour", typeof(string), s => s.DateHour),
+            new("totalKwh", typeof(double), s => s.TotalKwh),
+            new("pumpCycles", typeof(int), s => s.PumpCycles),
+            new("synced", typeof(bool), s => s.Synced)
+        };
+
+        private static readonly ExportColumn<DailySummary>[] DailySummaryColumns =
+        {
+            new("date", typeof(string), s => s.Date),
+            new("totalKwh", typeof(double), s => s.TotalKwh),
+            new("pumpCycles", typeof(int), s => s.PumpCycles),
+            new("synced", typeof(bool), s => s.Synced)
+        };
+
+        private static readonly ExportColumn<MonthlySummary>[] MonthlySummaryColumns =
+        {
+            new("month", typeof(string), s => s.Month),
+            new("totalKwh", typeof(double), s => s.TotalKwh),
+            new("synced", typeof(bool), s => s.Synced)
+        };
+
+        private readonly ILogger<DataExportService> _logger;
+        private readonly IDatabaseService _databaseService;
+
+        public DataExportService(ILogger<DataExportService> logger, IDatabaseService databaseService)
+        {
+            _logger = logger;
+            _databaseService = databaseService;
+        }
+
+        public DataExportFile GetExportFile(DataExportRequest request)
+        {
+            Validate(request);
+
+            return new DataExportFile
+            {
+                FileName = $"wellmonitor-{request.Dataset}-{request.FromUtc:yyyyMMdd}-{request.ToUtc:yyyyMMdd}.{request.Format}",
+                ContentType = ContentTypes[request.Format]
+            };
+        }
+
+        public async Task<int> ExportAsync(DataExportRequest request, Stream output, CancellationToken cancellationToken = default)
+        {
+            Validate(request);
+
+            var rows = request.Dataset switch
+            {
+                ExportDatasets.Readings => await WriteAsync(
+                    _databaseService.StreamReadingsAsync(request.FromUtc, request.ToUtc), ReadingColumns, request.Format, output, cancellationToken),
+                ExportDatasets.RelayActions => await WriteAsync(
+                    _databaseService.StreamRelayActionLogsAsync(request.FromUtc, request.ToUtc), RelayActionColumns, request.Format, output, cancellationToken),
+                ExportDatasets.HourlySummaries => await WriteAsync(
+                    _databaseService.StreamHourlySummariesAsync(request.FromUtc, request.ToUtc), HourlySummaryColumns, request.Format, output, cancellationToken),
+                ExportDatasets.DailySummaries => await WriteAsync(
+                    _databaseService.StreamDailySummariesAsync(request.FromUtc, request.ToUtc), DailySummaryColumns, request.Format, output, cancellationToken),
+                _ => await WriteAsync(
+                    _databaseService.StreamMonthlySummariesAsync(request.FromUtc, request.ToUtc), MonthlySummaryColumns, request.Format, output, cancellationToken)
+            };
+
+            _logger.LogInformation("Exported {Rows} {Dataset} rows from {From} to {To} as {Format}",
+                rows, request.Dataset, request.FromUtc, request.ToUtc, request.Format);
+            return rows;
+        }
+
+        private static void Validate(DataExportRequest request)
+        {
+            if (!ExportDatasets.All.Contains(request.Dataset))
+                throw new ArgumentException($"Unknown dataset '{request.Dataset}'. Expected one of: {string.Join(", ", ExportDatasets.All)}");
+
+            if (!ExportFormats.All.Contains(request.Format))
+                throw new ArgumentException($"Unknown format '{request.Format}'. Expected one of: {string.Join(", ", ExportFormats.All)}");
+
+            if (request.FromUtc >= request.ToUtc)
+                throw new ArgumentException("The start of the range must be before its end");
+        }
+
+        private static Task<int> WriteAsync<T>(IAsyncEnumerable<T> rows, ExportColumn<T>[] columns, string format, Stream output, CancellationToken cancellationToken)
+        {
+            return format switch
+            {
+                ExportFormats.Csv => WriteCsvAsync(rows, columns, output, cancellationToken),
+                ExportFormats.Json => WriteJsonAsync(rows, columns, output, cancellationToken),
+                _ => WriteParquetAsync(rows, columns, output, cancellationToken)
+            };
+        }
+
+        private static async Task<int> WriteCsvAsync<T>(IAsyncEnumerable<T> rows, ExportColumn<T>[] columns, Stream output, CancellationToken cancellationToken)
+        {
+            await using var writer = new StreamWriter(output, new UTF8Encoding(false), leaveOpen: true) { NewLine = "\r\n" };
+            await writer.WriteLineAsync(string.Join(',', columns.Select(c => c.Name)));
+
+            var count = 0;
+            await foreach (var row in rows.WithCancellation(cancellationToken))
+            {
+                await writer.WriteLineAsync(string.Join(',', columns.Select(c => FormatCsvValue(c.GetValue(row)))));
+                if (++count % FlushInterval == 0)
+                {
+                    await writer.FlushAsync(cancellationToken);
+                }
+            }
+
+            return count;
+        }
+
+        private static async Task<int> WriteJsonAsync<T>(IAsyncEnumerable<T> rows, ExportColumn<T>[] columns, Stream output, CancellationToken cancellationToken)
+        {
+            await using var writer = new Utf8JsonWriter(output);
+            writer.WriteStartArray();
+
+            var count = 0;
+            await foreach (var row in rows.WithCancellation(cancellationToken))
+            {
+                writer.WriteStartObject();
+                foreach (var column in columns)
+                {
+                    writer.WritePropertyName(column.Name);
+                    switch (column.GetValue(row))
+                    {
+                        case null:
+                            writer.WriteNullValue();
+                            break;
+                        case int value:
+                            writer.WriteNumberValue(value);
+                            break;
+                        case double value:
+                            writer.WriteNumberValue(value);
+                            break;
+                        case bool value:
+                            writer.WriteBooleanValue(value);
+                            break;
+                        case DateTime value:
+                            writer.WriteStringValue(FormatTimestamp(value));
+                            break;
+                        case var value:
+                            writer.WriteStringValue(value.ToString());
+                            break;
+                    }
+                }
+                writer.WriteEndObject();
+
+                if (++count % FlushInterval == 0)
+                {
+                    await writer.FlushAsync(cancellationToken);
+                }
+            }
+
+            writer.WriteEndArray();
+            await writer.FlushAsync(cancellationToken);
+            return count;
+        }
+
+        private static async Task<int> WriteParquetAsync<T>(IAsyncEnumerable<T> rows, ExportColumn<T>[] columns, Stream output, CancellationToken cancellationToken)
+        {
+            if (!output.CanSeek)
+            {
+                // The Parquet writer records column chunk offsets from the stream position, which a response body doesn't have
+                var tempPath = Path.Combine(Path.GetTempPath(), $"wellmonitor-export-{Guid.NewGuid():N}.parquet");
+                try
+                {
+                    await using var file = new FileStream(tempPath, FileMode.Create, FileAccess.ReadWrite, FileShare.None, 81920, FileOptions.Asynchronous);
+                    var count = await WriteParquetAsync(rows, columns, file, cancellationToken);
+                    file.Position = 0;
+                    await file.CopyToAsync(output, cancellationToken);
+                    return count;
+                }
+                finally
+                {
+                    File.Delete(tempPath);
+                }
+            }
+
+            var fields = columns.Select(c => new DataField(c.Name, c.Type)).ToArray();
+            using var writer = await ParquetWriter.CreateAsync(new ParquetSchema(fields), output, cancellationToken: cancellationToken);
+
+            var rowGroup = new List<T>(ParquetRowGroupSize);
+            var total = 0;
+            await foreach (var row in rows.WithCancellation(cancellationToken))
+            {
+                rowGroup.Add(row);
+                total++;
+                if (rowGroup.Count == ParquetRowGroupSize)
+                {
+                    await WriteRowGroupAsync(writer, fields, columns, rowGroup, cancellationToken);
+                    rowGroup.Clear();
+                }
+            }
+
+            if (rowGroup.Count > 0)
+            {
+                await WriteRowGroupAsync(writer, fields, columns, rowGroup, cancellationToken);
+            }
+
+            return total;
+        }
+
+        private static async Task WriteRowGroupAsync<T>(ParquetWriter writer, DataField[] fields, ExportColumn<T>[] columns, List<T> rows, CancellationToken cancellationToken)
+        {
+            using var rowGroupWriter = writer.CreateRowGroup();
+            for (var i = 0; i < columns.Length; i++)
+            {
+                var values = Array.CreateInstance(columns[i].Type, rows.Count);
+                for (var j = 0; j < rows.Count; j++)
+                {
+                    var value = columns[i].GetValue(rows[j]);
+                    values.SetValue(value is DateTime timestamp ? DateTime.SpecifyKind(timestamp, DateTimeKind.Utc) : value, j);
+                }
+
+                await rowGroupWriter.WriteColumnAsync(new DataColumn(fields[i], values), cancellationToken);
+            }
+        }
+
+        private static string FormatCsvValue(object? value)
+        {
+            var text = value switch
+            {
+                null => string.Empty,
+                DateTime timestamp => FormatTimestamp(timestamp),
+                bool flag => flag ? "true" : "false",
+                IFormattable formattable => formattable.ToString(null, CultureInfo.InvariantCulture),
+                _ => value.ToString() ?? string.Empty
+            };
+
+            return text.IndexOfAny(new[] { ',', '"', '\r', '\n' }) >= 0
+                ? $"\"{text.Replace("\"", "\"\"")}\""
+                : text;
+        }
+
+        // SQLite hands timestamps back without a kind; they are stored as UTC
+        private static string FormatTimestamp(DateTime timestamp)
+        {
+            return DateTime.SpecifyKind(timestamp, DateTimeKind.Utc).ToString("yyyy-MM-ddTHH:mm:ss.fffZ", CultureInfo.InvariantCulture);
+        }
+
+        private record ExportColumn<T>(string Name, Type Type, Func<T, object?> GetValue);
+    }
+}
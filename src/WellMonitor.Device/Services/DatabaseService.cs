@@ -1,10 +1,13 @@
 using System;
 using System.Collections.Generic;
+using System.Globalization;
 using System.Threading.Tasks;
+using Microsoft.Data.Sqlite;
 using Microsoft.EntityFrameworkCore;
 using Microsoft.Extensions.Logging;
 using WellMonitor.Shared.Models;
 using WellMonitor.Device.Data;
+using WellMonitor.Device.Models;
 using System.Linq;
 
 namespace WellMonitor.Device.Services
@@ -212,6 +215,28 @@ namespace WellMonitor.Device.Services
             }
         }
 
+        public async Task<IEnumerable<RelayActionLog>> GetRelayActionLogsAsync(DateTime? sinceUtc, int limit)
+        {
+            try
+            {
+                var query = _context.RelayActionLogs.AsQueryable();
+                if (sinceUtc.HasValue)
+                {
+                    query = query.Where(l => l.TimestampUtc >= sinceUtc.Value);
+                }
+
+                return await query
+                    .OrderByDescending(l => l.TimestampUtc)
+                    .Take(limit)
+                    .ToListAsync();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error retrieving relay action logs");
+                throw;
+            }
+        }
+
         #endregion
 
         #region Summary Operations
@@ -220,7 +245,7 @@ namespace WellMonitor.Device.Services
         {
             try
             {
-                var dateHour = hourUtc.ToString("yyyy-MM-dd HH");
+                var dateHour = hourUtc.ToString("yyyy-MM-dd HH", CultureInfo.InvariantCulture);
                 var summary = await _context.HourlySummaries
                     .FirstOrDefaultAsync(s => s.DateHour == dateHour);
 
@@ -267,7 +292,7 @@ namespace WellMonitor.Device.Services
         {
             try
             {
-                var dateStr = dateUtc.ToString("yyyy-MM-dd");
+                var dateStr = dateUtc.ToString("yyyy-MM-dd", CultureInfo.InvariantCulture);
                 var summary = await _context.DailySummaries
                     .FirstOrDefaultAsync(s => s.Date == dateStr);
 
@@ -314,7 +339,7 @@ namespace WellMonitor.Device.Services
         {
             try
             {
-                var monthStr = monthUtc.ToString("yyyy-MM");
+                var monthStr = monthUtc.ToString("yyyy-MM", CultureInfo.InvariantCulture);
                 var summary = await _context.MonthlySummaries
                     .FirstOrDefaultAsync(s => s.Month == monthStr);
 
@@ -356,76 +381,937 @@ namespace WellMonitor.Device.Services
             }
         }
 
+        // Summary keys are fixed-width strings, so range queries compare them lexically
+        public async Task<IEnumerable<HourlySummary>> GetHourlySummariesAsync(DateTime fromUtc, DateTime toUtc)
+        {
+            try
+            {
+                var fromKey = fromUtc.ToString("yyyy-MM-dd HH", CultureInfo.InvariantCulture);
+                var toKey = toUtc.ToString("yyyy-MM-dd HH", CultureInfo.InvariantCulture);
+
+                return await _context.HourlySummaries
+                    .Where(s => string.Compare(s.DateHour, fromKey) >= 0 && string.Compare(s.DateHour, toKey) <= 0)
+                    .OrderBy(s => s.DateHour)
+                    .ToListAsync();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error retrieving hourly summaries from {From} to {To}", fromUtc, toUtc);
+                throw;
+            }
+        }
+
+        public async Task<IEnumerable<DailySummary>> GetDailySummariesAsync(DateTime fromUtc, DateTime toUtc)
+        {
+            try
+            {
+                var fromKey = fromUtc.ToString("yyyy-MM-dd", CultureInfo.InvariantCulture);
+                var toKey = toUtc.ToString("yyyy-MM-dd", CultureInfo.InvariantCulture);
+
+                return await _context.DailySummaries
+                    .Where(s => string.Compare(s.Date, fromKey) >= 0 && string.Compare(s.Date, toKey) <= 0)
+                    .OrderBy(s => s.Date)
+                    .ToListAsync();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error retrieving daily summaries from {From} to {To}", fromUtc, toUtc);
+                throw;
+            }
+        }
+
+        public async Task<IEnumerable<MonthlySummary>> GetMonthlySummariesAsync(DateTime fromUtc, DateTime toUtc)
+        {
+            try
+            {
+                var fromKey = fromUtc.ToString("yyyy-MM", CultureInfo.InvariantCulture);
+                var toKey = toUtc.ToString("yyyy-MM", CultureInfo.InvariantCulture);
+
+                return await _context.MonthlySummaries
+                    .Where(s => string.Compare(s.Month, fromKey) >= 0 && string.Compare(s.Month, toKey) <= 0)
+                    .OrderBy(s => s.Month)
+                    .ToListAsync();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error retrieving monthly summaries from {From} to {To}", fromUtc, toUtc);
+                throw;
+            }
+        }
+
         #endregion
 
-        #region Data Cleanup
+        #region ROI Profile Operations
 
-        public async Task CleanupOldReadingsAsync(DateTime cutoffDate)
+        public async Task AddRoiProfileAsync(RoiProfile profile)
         {
             try
             {
-                var oldReadings = await _context.Readings
-                    .Where(r => r.TimestampUtc < cutoffDate && r.Synced)
+                _context.RoiProfiles.Add(profile);
+                await _context.SaveChangesAsync();
+                _logger.LogDebug("Added ROI profile {Name} v{Version}", profile.Name, profile.Version);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error adding ROI profile {Name}", profile.Name);
+                throw;
+            }
+        }
+
+        public async Task<IEnumerable<RoiProfile>> GetRoiProfilesAsync()
+        {
+            try
+            {
+                return await _context.RoiProfiles
+                    .OrderBy(p => p.Name)
+                    .ThenByDescending(p => p.Version)
                     .ToListAsync();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error retrieving ROI profiles");
+                throw;
+            }
+        }
 
-                if (oldReadings.Any())
+        public async Task<RoiProfile?> GetRoiProfileAsync(int profileId)
+        {
+            try
+            {
+                return await _context.RoiProfiles.FindAsync(profileId);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error retrieving ROI profile {ProfileId}", profileId);
+                throw;
+            }
+        }
+
+        public async Task<RoiProfile?> GetActiveRoiProfileAsync()
+        {
+            try
+            {
+                return await _context.RoiProfiles.FirstOrDefaultAsync(p => p.IsActive);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error retrieving active ROI profile");
+                throw;
+            }
+        }
+
+        public async Task<int> GetLatestRoiProfileVersionAsync(string name)
+        {
+            try
+            {
+                return await _context.RoiProfiles
+                    .Where(p => p.Name == name)
+                    .Select(p => (int?)p.Version)
+                    .MaxAsync() ?? 0;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error retrieving latest version of ROI profile {Name}", name);
+                throw;
+            }
+        }
+
+        public async Task SetActiveRoiProfileAsync(int profileId)
+        {
+            try
+            {
+                var profile = await _context.RoiProfiles.FindAsync(profileId);
+                if (profile == null)
                 {
-                    _context.Readings.RemoveRange(oldReadings);
-                    await _context.SaveChangesAsync();
-                    _logger.LogInformation("Cleaned up {Count} old readings before {Date}", 
-                        oldReadings.Count, cutoffDate);
+                    throw new KeyNotFoundException($"ROI profile {profileId} not found");
+                }
+
+                var activeProfiles = await _context.RoiProfiles
+                    .Where(p => p.IsActive && p.Id != profileId)
+                    .ToListAsync();
+
+                foreach (var active in activeProfiles)
+                {
+                    active.IsActive = false;
                 }
+
+                profile.IsActive = true;
+                profile.ActivatedAtUtc = DateTime.UtcNow;
+                await _context.SaveChangesAsync();
+
+                _logger.LogDebug("Activated ROI profile {Name} v{Version}", profile.Name, profile.Version);
             }
             catch (Exception ex)
             {
-                _logger.LogError(ex, "Error cleaning up old readings before {Date}", cutoffDate);
+                _logger.LogError(ex, "Error activating ROI profile {ProfileId}", profileId);
                 throw;
             }
         }
 
-        public async Task CleanupOldRelayLogsAsync(DateTime cutoffDate)
+        #endregion
+
+        #region Alert Operations
+
+        public async Task AddAlertAsync(DeviceAlert alert)
         {
             try
             {
-                var oldLogs = await _context.RelayActionLogs
-                    .Where(l => l.TimestampUtc < cutoffDate && l.Synced)
-                    .ToListAsync();
+                _context.DeviceAlerts.Add(alert);
+                await _context.SaveChangesAsync();
+                _logger.LogDebug("Added {Type} alert {AlertId}", alert.Type, alert.Id);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error adding {Type} alert", alert.Type);
+                throw;
+            }
+        }
 
-                if (oldLogs.Any())
+        public async Task UpdateAlertAsync(DeviceAlert alert)
+        {
+            try
+            {
+                _context.DeviceAlerts.Update(alert);
+                await _context.SaveChangesAsync();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error updating alert {AlertId}", alert.Id);
+                throw;
+            }
+        }
+
+        public async Task<DeviceAlert?> GetAlertAsync(int alertId)
+        {
+            try
+            {
+                return await _context.DeviceAlerts.FindAsync(alertId);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error retrieving alert {AlertId}", alertId);
+                throw;
+            }
+        }
+
+        public async Task<DeviceAlert?> GetActiveAlertAsync(string type)
+        {
+            try
+            {
+                return await _context.DeviceAlerts
+                    .Where(a => a.Type == type && a.ResolvedAtUtc == null)
+                    .OrderByDescending(a => a.RaisedAtUtc)
+                    .FirstOrDefaultAsync();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error retrieving active {Type} alert", type);
+                throw;
+            }
+        }
+
+        public async Task<IEnumerable<DeviceAlert>> GetAlertsAsync(bool resolved, int limit, string? severity = null, string? type = null)
+        {
+            try
+            {
+                var query = _context.DeviceAlerts
+                    .Where(a => resolved ? a.ResolvedAtUtc != null : a.ResolvedAtUtc == null);
+
+                if (!string.IsNullOrEmpty(severity))
                 {
-                    _context.RelayActionLogs.RemoveRange(oldLogs);
-                    await _context.SaveChangesAsync();
-                    _logger.LogInformation("Cleaned up {Count} old relay logs before {Date}", 
-                        oldLogs.Count, cutoffDate);
+                    var severityLower = severity.ToLower();
+                    query = query.Where(a => a.Severity.ToLower() == severityLower);
                 }
+
+                if (!string.IsNullOrEmpty(type))
+                {
+                    var typeLower = type.ToLower();
+                    query = query.Where(a => a.Type.ToLower() == typeLower);
+                }
+
+                return await query
+                    .OrderByDescending(a => a.RaisedAtUtc)
+                    .Take(limit)
+                    .ToListAsync();
             }
             catch (Exception ex)
             {
-                _logger.LogError(ex, "Error cleaning up old relay logs before {Date}", cutoffDate);
+                _logger.LogError(ex, "Error retrieving alerts");
+                throw;
+            }
+        }
+
+        public async Task AddAlertEventAsync(DeviceAlertEvent alertEvent)
+        {
+            try
+            {
+                _context.DeviceAlertEvents.Add(alertEvent);
+                await _context.SaveChangesAsync();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error adding {Event} event for alert {AlertId}", alertEvent.Event, alertEvent.AlertId);
+                throw;
+            }
+        }
+
+        public async Task<IEnumerable<DeviceAlertEvent>> GetAlertEventsAsync(int alertId)
+        {
+            try
+            {
+                return await _context.DeviceAlertEvents
+                    .Where(e => e.AlertId == alertId)
+                    .OrderBy(e => e.TimestampUtc)
+                    .ToListAsync();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error retrieving events for alert {AlertId}", alertId);
                 throw;
             }
         }
 
         #endregion
 
-        #region Database Initialization
+        #region Push Subscription Operations
 
-        public async Task InitializeDatabaseAsync()
+        public async Task<IEnumerable<PushSubscription>> GetPushSubscriptionsAsync()
         {
             try
             {
-                await _context.Database.EnsureCreatedAsync();
-                _logger.LogInformation("Database initialized successfully");
+                return await _context.PushSubscriptions
+                    .OrderBy(s => s.CreatedAtUtc)
+                    .ToListAsync();
             }
             catch (Exception ex)
             {
-                _logger.LogError(ex, "Error initializing database");
+                _logger.LogError(ex, "Error retrieving push subscriptions");
+                throw;
+            }
+        }
+
+        public async Task<PushSubscription?> GetPushSubscriptionAsync(string endpoint)
+        {
+            try
+            {
+                return await _context.PushSubscriptions.FirstOrDefaultAsync(s => s.Endpoint == endpoint);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error retrieving push subscription");
+                throw;
+            }
+        }
+
+        public async Task SavePushSubscriptionAsync(PushSubscription subscription)
+        {
+            try
+            {
+                if (subscription.Id == 0)
+                {
+                    _context.PushSubscriptions.Add(subscription);
+                }
+                else
+                {
+                    _context.PushSubscriptions.Update(subscription);
+                }
+
+                await _context.SaveChangesAsync();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error saving push subscription");
+                throw;
+            }
+        }
+
+        public async Task<bool> DeletePushSubscriptionAsync(string endpoint)
+        {
+            try
+            {
+                var subscription = await _context.PushSubscriptions.FirstOrDefaultAsync(s => s.Endpoint == endpoint);
+                if (subscription == null)
+                {
+                    return false;
+                }
+
+                _context.PushSubscriptions.Remove(subscription);
+                await _context.SaveChangesAsync();
+                return true;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error deleting push subscription");
                 throw;
             }
         }
 
         #endregion
 
+        #region OCR Label Operations
+
+        public async Task<IEnumerable<OcrLabel>> GetOcrLabelsAsync()
+        {
+            try
+            {
+                return await _context.OcrLabels
+                    .OrderByDescending(l => l.LabeledAtUtc)
+                    .ToListAsync();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error retrieving OCR labels");
+                throw;
+            }
+        }
+
+        public async Task<OcrLabel?> GetOcrLabelAsync(int labelId)
+        {
+            try
+            {
+                return await _context.OcrLabels.FindAsync(labelId);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error retrieving OCR label {LabelId}", labelId);
+                throw;
+            }
+        }
+
+        public async Task<OcrLabel?> GetOcrLabelBySourceImageAsync(string sourceImage)
+        {
+            try
+            {
+                return await _context.OcrLabels.FirstOrDefaultAsync(l => l.SourceImage == sourceImage);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error retrieving OCR label for {SourceImage}", sourceImage);
+                throw;
+            }
+        }
+
+        public async Task SaveOcrLabelAsync(OcrLabel label)
+        {
+            try
+            {
+                if (label.Id == 0)
+                {
+                    _context.OcrLabels.Add(label);
+                }
+                else
+                {
+                    _context.OcrLabels.Update(label);
+                }
+
+                await _context.SaveChangesAsync();
+                _logger.LogDebug("Saved OCR label {LabelId} for {SourceImage}", label.Id, label.SourceImage);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error saving OCR label for {SourceImage}", label.SourceImage);
+                throw;
+            }
+        }
+
+        public async Task<bool> DeleteOcrLabelAsync(int labelId)
+        {
+            try
+            {
+                var label = await _context.OcrLabels.FindAsync(labelId);
+                if (label == null)
+                {
+                    return false;
+                }
+
+                var evaluations = await _context.OcrEvaluations.Where(e => e.LabelId == labelId).ToListAsync();
+                _context.OcrEvaluations.RemoveRange(evaluations);
+                _context.OcrLabels.Remove(label);
+                await _context.SaveChangesAsync();
+                return true;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error deleting OCR label {LabelId}", labelId);
+                throw;
+            }
+        }
+
+        public async Task AddOcrEvaluationsAsync(IEnumerable<OcrEvaluation> evaluations)
+        {
+            try
+            {
+                _context.OcrEvaluations.AddRange(evaluations);
+                await _context.SaveChangesAsync();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error adding OCR evaluations");
+                throw;
+            }
+        }
+
+        public async Task<IEnumerable<OcrEvaluation>> GetOcrEvaluationsAsync(DateTime? sinceUtc)
+        {
+            try
+            {
+                var query = _context.OcrEvaluations.AsQueryable();
+                if (sinceUtc != null)
+                {
+                    query = query.Where(e => e.EvaluatedAtUtc >= sinceUtc.Value);
+                }
+
+                return await query
+                    .OrderBy(e => e.EvaluatedAtUtc)
+                    .ToListAsync();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error retrieving OCR evaluations");
+                throw;
+            }
+        }
+
+        #endregion
+
+        #region Dashboard User Operations
+
+        public async Task<IEnumerable<DashboardUser>> GetDashboardUsersAsync()
+        {
+            try
+            {
+                return await _context.DashboardUsers
+                    .OrderBy(u => u.Username)
+                    .ToListAsync();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error retrieving dashboard users");
+                throw;
+            }
+        }
+
+        public async Task<DashboardUser?> GetDashboardUserAsync(int userId)
+        {
+            try
+            {
+                return await _context.DashboardUsers.FindAsync(userId);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error retrieving dashboard user {UserId}", userId);
+                throw;
+            }
+        }
+
+        public async Task<DashboardUser?> GetDashboardUserByNameAsync(string username)
+        {
+            try
+            {
+                // Usernames are unique regardless of case
+                var normalized = username.Trim().ToLower();
+                return await _context.DashboardUsers.FirstOrDefaultAsync(u => u.Username.ToLower() == normalized);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error retrieving dashboard user {Username}", username);
+                throw;
+            }
+        }
+
+        public async Task SaveDashboardUserAsync(DashboardUser user)
+        {
+            try
+            {
+                if (user.Id == 0)
+                {
+                    _context.DashboardUsers.Add(user);
+                }
+                else
+                {
+                    _context.DashboardUsers.Update(user);
+                }
+
+                await _context.SaveChangesAsync();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error saving dashboard user {Username}", user.Username);
+                throw;
+            }
+        }
+
+        public async Task<bool> DeleteDashboardUserAsync(int userId)
+        {
+            try
+            {
+                var user = await _context.DashboardUsers.FindAsync(userId);
+                if (user == null)
+                {
+                    return false;
+                }
+
+                _context.DashboardUsers.Remove(user);
+                await _context.SaveChangesAsync();
+                return true;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error deleting dashboard user {UserId}", userId);
+                throw;
+            }
+        }
+
+        #endregion
+
+        #region System Health Operations
+
+        public async Task AddSystemHealthSampleAsync(SystemHealthSample sample)
+        {
+            try
+            {
+                _context.SystemHealthSamples.Add(sample);
+                await _context.SaveChangesAsync();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error saving system health sample");
+                throw;
+            }
+        }
+
+        public async Task<IEnumerable<SystemHealthSample>> GetSystemHealthSamplesAsync(DateTime from, DateTime to)
+        {
+            try
+            {
+                return await _context.SystemHealthSamples
+                    .Where(s => s.TimestampUtc >= from && s.TimestampUtc <= to)
+                    .OrderBy(s => s.TimestampUtc)
+                    .ToListAsync();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error retrieving system health samples from {From} to {To}", from, to);
+                throw;
+            }
+        }
+
+        public async Task<int> CleanupOldSystemHealthSamplesAsync(DateTime cutoffDate)
+        {
+            try
+            {
+                var oldSamples = await _context.SystemHealthSamples
+                    .Where(s => s.TimestampUtc < cutoffDate)
+                    .ToListAsync();
+
+                if (oldSamples.Any())
+                {
+                    _context.SystemHealthSamples.RemoveRange(oldSamples);
+                    await _context.SaveChangesAsync();
+                    _logger.LogInformation("Cleaned up {Count} old system health samples before {Date}",
+                        oldSamples.Count, cutoffDate);
+                }
+
+                return oldSamples.Count;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error cleaning up old system health samples before {Date}", cutoffDate);
+                throw;
+            }
+        }
+
+        #endregion
+
+        #region Export Operations
+
+        // Exports read without tracking and yield rows as SQLite returns them, so a year of readings isn't held in memory
+
+        public IAsyncEnumerable<Reading> StreamReadingsAsync(DateTime fromUtc, DateTime toUtc)
+        {
+            return _context.Readings
+                .AsNoTracking()
+                .Where(r => r.TimestampUtc >= fromUtc && r.TimestampUtc < toUtc)
+                .OrderBy(r => r.TimestampUtc)
+                .AsAsyncEnumerable();
+        }
+
+        public IAsyncEnumerable<RelayActionLog> StreamRelayActionLogsAsync(DateTime fromUtc, DateTime toUtc)
+        {
+            return _context.RelayActionLogs
+                .AsNoTracking()
+                .Where(r => r.TimestampUtc >= fromUtc && r.TimestampUtc < toUtc)
+                .OrderBy(r => r.TimestampUtc)
+                .AsAsyncEnumerable();
+        }
+
+        // A summary overlaps the range when its key is between the keys of the first and last instant in it
+        public IAsyncEnumerable<HourlySummary> StreamHourlySummariesAsync(DateTime fromUtc, DateTime toUtc)
+        {
+            var fromKey = fromUtc.ToString("yyyy-MM-dd HH", CultureInfo.InvariantCulture);
+            var toKey = toUtc.AddTicks(-1).ToString("yyyy-MM-dd HH", CultureInfo.InvariantCulture);
+
+            return _context.HourlySummaries
+                .AsNoTracking()
+                .Where(s => string.Compare(s.DateHour, fromKey) >= 0 && string.Compare(s.DateHour, toKey) <= 0)
+                .OrderBy(s => s.DateHour)
+                .AsAsyncEnumerable();
+        }
+
+        public IAsyncEnumerable<DailySummary> StreamDailySummariesAsync(DateTime fromUtc, DateTime toUtc)
+        {
+            var fromKey = fromUtc.ToString("yyyy-MM-dd", CultureInfo.InvariantCulture);
+            var toKey = toUtc.AddTicks(-1).ToString("yyyy-MM-dd", CultureInfo.InvariantCulture);
+
+            return _context.DailySummaries
+                .AsNoTracking()
+                .Where(s => string.Compare(s.Date, fromKey) >= 0 && string.Compare(s.Date, toKey) <= 0)
+                .OrderBy(s => s.Date)
+                .AsAsyncEnumerable();
+        }
+
+        public IAsyncEnumerable<MonthlySummary> StreamMonthlySummariesAsync(DateTime fromUtc, DateTime toUtc)
+        {
+            var fromKey = fromUtc.ToString("yyyy-MM", CultureInfo.InvariantCulture);
+            var toKey = toUtc.AddTicks(-1).ToString("yyyy-MM", CultureInfo.InvariantCulture);
+
+            return _context.MonthlySummaries
+                .AsNoTracking()
+                .Where(s => string.Compare(s.Month, fromKey) >= 0 && string.Compare(s.Month, toKey) <= 0)
+                .OrderBy(s => s.Month)
+                .AsAsyncEnumerable();
+        }
+
+        #endregion
+
+        #region Backup Operations
+
+        /// <summary>
+        /// Copy a consistent snapshot of the database with the SQLite online backup API while the monitor keeps writing
+        /// </summary>
+        public async Task BackupDatabaseAsync(string destinationPath)
+        {
+            try
+            {
+                await using var source = new SqliteConnection(_context.Database.GetConnectionString());
+                await using var destination = new SqliteConnection(new SqliteConnectionStringBuilder
+                {
+                    DataSource = destinationPath,
+                    Pooling = false
+                }.ToString());
+
+                await source.OpenAsync();
+                await destination.OpenAsync();
+                source.BackupDatabase(destination);
+
+                _logger.LogInformation("Database snapshot written to {Path}", destinationPath);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error backing up database to {Path}", destinationPath);
+                throw;
+            }
+        }
+
+        /// <summary>
+        /// Replace the contents of the database with another SQLite file, then add tables the file predates
+        /// </summary>
+        public async Task RestoreDatabaseAsync(string sourcePath)
+        {
+            try
+            {
+                await using (var source = new SqliteConnection(new SqliteConnectionStringBuilder
+                {
+                    DataSource = sourcePath,
+                    Mode = SqliteOpenMode.ReadOnly,
+                    Pooling = false
+                }.ToString()))
+                await using (var destination = new SqliteConnection(_context.Database.GetConnectionString()))
+                {
+                    await source.OpenAsync();
+                    await destination.OpenAsync();
+                    source.BackupDatabase(destination);
+                }
+
+                await EnsureTablesCreatedAsync();
+                _logger.LogWarning("Database restored from {Path}", sourcePath);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error restoring database from {Path}", sourcePath);
+                throw;
+            }
+        }
+
+        #endregion
+
+        #region Device Setting Operations
+
+        public async Task<string?> GetSettingAsync(string key)
+        {
+            try
+            {
+                var setting = await _context.DeviceSettings
+                    .FirstOrDefaultAsync(s => s.Key == key);
+
+                return setting?.Value;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error retrieving setting {Key}", key);
+                throw;
+            }
+        }
+
+        public async Task SaveSettingAsync(string key, string value)
+        {
+            try
+            {
+                var existing = await _context.DeviceSettings
+                    .FirstOrDefaultAsync(s => s.Key == key);
+
+                if (existing != null)
+                {
+                    existing.Value = value;
+                    existing.UpdatedAtUtc = DateTime.UtcNow;
+                }
+                else
+                {
+                    _context.DeviceSettings.Add(new DeviceSetting
+                    {
+                        Key = key,
+                        Value = value,
+                        UpdatedAtUtc = DateTime.UtcNow
+                    });
+                }
+
+                await _context.SaveChangesAsync();
+                _logger.LogDebug("Saved setting {Key}", key);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error saving setting {Key}", key);
+                throw;
+            }
+        }
+
+        public async Task DeleteSettingAsync(string key)
+        {
+            try
+            {
+                var existing = await _context.DeviceSettings
+                    .FirstOrDefaultAsync(s => s.Key == key);
+
+                if (existing != null)
+                {
+                    _context.DeviceSettings.Remove(existing);
+                    await _context.SaveChangesAsync();
+                    _logger.LogDebug("Deleted setting {Key}", key);
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error deleting setting {Key}", key);
+                throw;
+            }
+        }
+
+        #endregion
+
+        #region Data Cleanup
+
+        public async Task CleanupOldReadingsAsync(DateTime cutoffDate)
+        {
+            try
+            {
+                var oldReadings = await _context.Readings
+                    .Where(r => r.TimestampUtc < cutoffDate && r.Synced)
+                    .ToListAsync();
+
+                if (oldReadings.Any())
+                {
+                    _context.Readings.RemoveRange(oldReadings);
+                    await _context.SaveChangesAsync();
+                    _logger.LogInformation("Cleaned up {Count} old readings before {Date}", 
+                        oldReadings.Count, cutoffDate);
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error cleaning up old readings before {Date}", cutoffDate);
+                throw;
+            }
+        }
+
+        public async Task CleanupOldRelayLogsAsync(DateTime cutoffDate)
+        {
+            try
+            {
+                var oldLogs = await _context.RelayActionLogs
+                    .Where(l => l.TimestampUtc < cutoffDate && l.Synced)
+                    .ToListAsync();
+
+                if (oldLogs.Any())
+                {
+                    _context.RelayActionLogs.RemoveRange(oldLogs);
+                    await _context.SaveChangesAsync();
+                    _logger.LogInformation("Cleaned up {Count} old relay logs before {Date}", 
+                        oldLogs.Count, cutoffDate);
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error cleaning up old relay logs before {Date}", cutoffDate);
+                throw;
+            }
+        }
+
+        #endregion
+
+        #region Database Initialization
+
+        public async Task InitializeDatabaseAsync()
+        {
+            try
+            {
+                await _context.Database.EnsureCreatedAsync();
+                await EnsureTablesCreatedAsync();
+                _logger.LogInformation("Database initialized successfully");
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error initializing database");
+                throw;
+            }
+        }
+
+        /// <summary>
+        /// EnsureCreated does nothing when the database file already exists, so tables
+        /// added in later versions are created here from the current model
+        /// </summary>
+        private async Task EnsureTablesCreatedAsync()
+        {
+            if (!_context.Database.IsRelational())
+            {
+                return;
+            }
+
+            var statements = _context.Database.GenerateCreateScript()
+                .Split(';', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries);
+
+            foreach (var statement in statements)
+            {
+                var sql = statement
+                    .Replace("CREATE TABLE ", "CREATE TABLE IF NOT EXISTS ")
+                    .Replace("CREATE UNIQUE INDEX ", "CREATE UNIQUE INDEX IF NOT EXISTS ")
+                    .Replace("CREATE INDEX ", "CREATE INDEX IF NOT EXISTS ");
+
+                await _context.Database.ExecuteSqlRawAsync(sql);
+            }
+        }
+
+        #endregion
+
         #region IDisposable
 
         public void Dispose()
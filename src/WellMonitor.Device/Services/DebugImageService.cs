@@ -0,0 +1,244 @@
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using SixLabors.ImageSharp;
+using WellMonitor.Device.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Reads the debug image directory for the dashboard gallery
+    /// The directory is scanned on every call; it holds at most a few thousand files and nothing else keeps an index of them
+    /// </summary>
+    public class DebugImageService : IDebugImageService
+    {
+        // Prefixes removed to find the capture an image belongs to
+        private static readonly string[] CapturePrefixes =
+        {
+            "roi_extracted_", "roi_overlay_", "roi_processed_", "pump_reading_", "original_"
+        };
+
+        private readonly ILogger<DebugImageService> _logger;
+        private readonly IOptionsMonitor<CameraOptions> _cameraOptions;
+
+        public DebugImageService(ILogger<DebugImageService> logger, IOptionsMonitor<CameraOptions> cameraOptions)
+        {
+            _logger = logger;
+            _cameraOptions = cameraOptions;
+        }
+
+        public DebugImagePage GetImages(DebugImageQuery query)
+        {
+            if (!string.IsNullOrEmpty(query.Type) && !DebugImageTypes.All.Contains(query.Type))
+                throw new ArgumentException($"Unknown image type '{query.Type}'. Expected one of: {string.Join(", ", DebugImageTypes.All)}");
+            if (query.FromUtc != null && query.ToUtc != null && query.FromUtc >= query.ToUtc)
+                throw new ArgumentException("The start of the date range must be before its end");
+
+            var pageSize = Math.Clamp(query.PageSize, 1, DebugImageQuery.MaxPageSize);
+            var matching = ListImages()
+                .Where(i => string.IsNullOrEmpty(query.Type) || i.Type == query.Type)
+                .Where(i => query.FromUtc == null || i.CapturedUtc >= query.FromUtc)
+                .Where(i => query.ToUtc == null || i.CapturedUtc < query.ToUtc)
+                .OrderByDescending(i => i.CapturedUtc)
+                .ThenBy(i => i.Filename, StringComparer.Ordinal)
+                .ToList();
+
+            var totalPages = Math.Max(1, (int)Math.Ceiling(matching.Count / (double)pageSize));
+            var page = Math.Clamp(query.Page, 1, totalPages);
+
+            return new DebugImagePage
+            {
+                Images = matching.Skip((page - 1) * pageSize).Take(pageSize).ToList(),
+                Page = page,
+                PageSize = pageSize,
+                TotalCount = matching.Count,
+                TotalPages = totalPages
+            };
+        }
+
+        public DebugImageMetadata? GetMetadata(string filename)
+        {
+            // Only plain file names; anything with a directory part could escape the debug directory
+            if (string.IsNullOrEmpty(filename) || Path.GetFileName(filename) != filename || !IsImageFile(filename))
+            {
+                return null;
+            }
+
+            var filePath = Path.Combine(GetDebugImageDirectory(), filename);
+            var fileInfo = new FileInfo(filePath);
+            if (!fileInfo.Exists)
+            {
+                return null;
+            }
+
+            var info = CreateInfo(fileInfo);
+            var metadata = new DebugImageMetadata
+            {
+                Filename = info.Filename,
+                Type = info.Type,
+                CaptureKey = info.CaptureKey,
+                Size = info.Size,
+                CapturedUtc = info.CapturedUtc,
+                Url = info.Url,
+                Created = fileInfo.CreationTime,
+                Modified = fileInfo.LastWriteTime,
+                Path = filePath
+            };
+
+            try
+            {
+                var imageInfo = Image.Identify(filePath);
+                metadata.Width = imageInfo.Width;
+                metadata.Height = imageInfo.Height;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "Could not read image size of {Filename}", filename);
+            }
+
+            metadata.Related = ListImages()
+                .Where(i => i.CaptureKey == info.CaptureKey && i.Filename != filename)
+                .OrderBy(i => TypeOrder(i.Type))
+                .ThenBy(i => i.Filename, StringComparer.Ordinal)
+                .ToList();
+
+            return metadata;
+        }
+
+        public DebugImageStats GetStats()
+        {
+            var images = ListImages();
+            var totalSize = images.Sum(i => i.Size);
+
+            return new DebugImageStats
+            {
+                TotalImages = images.Count,
+                TotalSize = totalSize,
+                TotalSizeMB = Math.Round(totalSize / (1024.0 * 1024.0), 2),
+                OldestImageUtc = images.Count > 0 ? images.Min(i => i.CapturedUtc) : null,
+                NewestImageUtc = images.Count > 0 ? images.Max(i => i.CapturedUtc) : null,
+                ByType = DebugImageTypes.All
+                    .Select(type => new DebugImageTypeStats
+                    {
+                        Type = type,
+                        Count = images.Count(i => i.Type == type),
+                        Size = images.Where(i => i.Type == type).Sum(i => i.Size)
+                    })
+                    .ToList(),
+                DebugPath = GetDebugImageDirectory()
+            };
+        }
+
+        public DebugImageCleanupResult DeleteImagesOlderThan(int keepDays)
+        {
+            if (keepDays < 1)
+                throw new ArgumentException("Keep days must be at least 1");
+
+            var result = new DebugImageCleanupResult
+            {
+                KeepDays = keepDays,
+                CutoffUtc = DateTime.UtcNow.AddDays(-keepDays)
+            };
+
+            var directory = GetDebugImageDirectory();
+            if (!Directory.Exists(directory))
+            {
+                return result;
+            }
+
+            var expired = new DirectoryInfo(directory)
+                .EnumerateFiles()
+                .Where(f => IsImageFile(f.Name) && f.LastWriteTimeUtc < result.CutoffUtc)
+                .ToList();
+
+            foreach (var file in expired)
+            {
+                try
+                {
+                    var size = file.Length;
+                    file.Delete();
+                    result.DeletedFiles++;
+                    result.FreedBytes += size;
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogWarning(ex, "Failed to delete debug image: {File}", file.FullName);
+                }
+            }
+
+            _logger.LogInformation("Cleaned up {DeletedCount} debug images older than {KeepDays} days ({FreedBytes} bytes)",
+                result.DeletedFiles, keepDays, result.FreedBytes);
+            return result;
+        }
+
+        /// <summary>
+        /// Image type from the file name prefix
+        /// </summary>
+        public static string GetImageType(string filename)
+        {
+            var name = filename.ToLowerInvariant();
+
+            if (name.StartsWith("roi_extracted_")) return DebugImageTypes.RoiExtracted;
+            if (name.StartsWith("roi_overlay_")) return DebugImageTypes.RoiOverlay;
+            if (name.StartsWith("roi_processed_")) return DebugImageTypes.RoiProcessed;
+
+            return DebugImageTypes.Original;
+        }
+
+        /// <summary>
+        /// File name without type prefix and extension: roi_overlay_20250713_143022.jpg and
+        /// pump_reading_20250713_143022.jpg both belong to capture 20250713_143022
+        /// </summary>
+        public static string GetCaptureKey(string filename)
+        {
+            var name = Path.GetFileNameWithoutExtension(filename);
+            var prefix = CapturePrefixes.FirstOrDefault(p => name.StartsWith(p, StringComparison.OrdinalIgnoreCase));
+
+            return prefix == null ? name : name[prefix.Length..];
+        }
+
+        private List<DebugImageInfo> ListImages()
+        {
+            var directory = GetDebugImageDirectory();
+            if (!Directory.Exists(directory))
+            {
+                return new List<DebugImageInfo>();
+            }
+
+            return new DirectoryInfo(directory)
+                .EnumerateFiles()
+                .Where(f => IsImageFile(f.Name))
+                .Select(CreateInfo)
+                .ToList();
+        }
+
+        private static DebugImageInfo CreateInfo(FileInfo file)
+        {
+            return new DebugImageInfo
+            {
+                Filename = file.Name,
+                Type = GetImageType(file.Name),
+                CaptureKey = GetCaptureKey(file.Name),
+                Size = file.Length,
+                CapturedUtc = file.LastWriteTimeUtc,
+                Url = $"/api/debugimages/image/{Uri.EscapeDataString(file.Name)}"
+            };
+        }
+
+        private static bool IsImageFile(string filename)
+        {
+            return filename.EndsWith(".jpg", StringComparison.OrdinalIgnoreCase) ||
+                   filename.EndsWith(".png", StringComparison.OrdinalIgnoreCase);
+        }
+
+        private static int TypeOrder(string type)
+        {
+            for (var i = 0; i < DebugImageTypes.All.Count; i++)
+            {
+                if (DebugImageTypes.All[i] == type) return i;
+            }
+            return DebugImageTypes.All.Count;
+        }
+
+        private string GetDebugImageDirectory() => _cameraOptions.CurrentValue.GetDebugImageDirectory();
+    }
+}
@@ -49,6 +49,9 @@ namespace WellMonitor.Device.Services
                 // Load device twin configuration if available
                 await LoadDeviceTwinConfigurationAsync();
                 
+                // Settings restored from a backup bundle take precedence over the twin until the next dashboard sync
+                await ApplyRestoredConfigurationAsync();
+                
                 _logger.LogInformation("Dependency validation completed successfully");
             }
             catch (Exception ex)
@@ -126,8 +129,20 @@ namespace WellMonitor.Device.Services
         
         private async Task LoadDeviceTwinConfigurationAsync()
         {
+            IDeviceTwinConfigurationService? twinConfigurationService = null;
             try
             {
+                using var scope = _serviceScopeFactory.CreateScope();
+                var configuration = scope.ServiceProvider.GetRequiredService<IConfiguration>();
+                twinConfigurationService = scope.ServiceProvider.GetService<IDeviceTwinConfigurationService>();
+
+                if (twinConfigurationService != null && configuration.GetValue("DeviceTwin:UseLocalTwin", false))
+                {
+                    _logger.LogInformation("Loading device twin configuration from the local twin file");
+                    await twinConfigurationService.SyncAsync(DeviceTwinSyncTriggers.Startup);
+                    return;
+                }
+
                 var iotHubConnectionString = await _secretsService.GetIotHubConnectionStringAsync();
                 
                 if (string.IsNullOrWhiteSpace(iotHubConnectionString) || IsPlaceholderValue(iotHubConnectionString))
@@ -136,9 +151,7 @@ namespace WellMonitor.Device.Services
                     return;
                 }
 
-                using var scope = _serviceScopeFactory.CreateScope();
                 var deviceTwinService = scope.ServiceProvider.GetRequiredService<IDeviceTwinService>();
-                var configuration = scope.ServiceProvider.GetRequiredService<IConfiguration>();
                 var gpioOptionsMonitor = scope.ServiceProvider.GetRequiredService<IOptionsMonitor<GpioOptions>>();
                 var cameraOptionsMonitor = scope.ServiceProvider.GetRequiredService<IOptionsMonitor<CameraOptions>>();
                 
@@ -219,6 +232,7 @@ namespace WellMonitor.Device.Services
                 }
                 
                 _logger.LogInformation("✅ Device twin configuration loading completed");
+                twinConfigurationService?.RecordSync(DeviceTwinSyncTriggers.Startup, null);
                 
                 // Store the device client for use by other services
                 // TODO: Consider using a singleton pattern for device client management
@@ -228,6 +242,21 @@ namespace WellMonitor.Device.Services
             catch (Exception ex)
             {
                 _logger.LogWarning(ex, "Failed to load device twin configuration - will use default values");
+                twinConfigurationService?.RecordSync(DeviceTwinSyncTriggers.Startup, ex.Message);
+            }
+        }
+
+        private async Task ApplyRestoredConfigurationAsync()
+        {
+            try
+            {
+                using var scope = _serviceScopeFactory.CreateScope();
+                var backupService = scope.ServiceProvider.GetRequiredService<IBackupService>();
+                await backupService.ApplySavedConfigurationAsync();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "Failed to apply the configuration restored from a backup, using the device twin configuration");
             }
         }
 
@@ -259,6 +288,10 @@ namespace WellMonitor.Device.Services
                 // Initialize database (creates tables if they don't exist)
                 await databaseService.InitializeDatabaseAsync();
                 
+                // Apply the saved ROI profile now that the database is available
+                var roiProfileService = scope.ServiceProvider.GetRequiredService<IRoiProfileService>();
+                await roiProfileService.ApplyActiveProfileAsync();
+                
                 // Test database connectivity by attempting to get readings
                 var testQuery = DateTime.UtcNow.AddDays(-1);
                 var readings = await databaseService.GetReadingsAsync(testQuery, DateTime.UtcNow);
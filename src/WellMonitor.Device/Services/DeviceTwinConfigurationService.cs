@@ -0,0 +1,329 @@
+using System.Globalization;
+using Microsoft.Azure.Devices.Shared;
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using Newtonsoft.Json;
+using Newtonsoft.Json.Linq;
+using WellMonitor.Device.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Backs the dashboard configuration page: shows which twin settings the device is running and forces a sync
+    /// The key mapping mirrors how DeviceTwinService reads each options class, including the legacy flat keys
+    /// </summary>
+    public class DeviceTwinConfigurationService : IDeviceTwinConfigurationService
+    {
+        private static readonly string[] CameraProperties =
+        {
+            "Width", "Height", "Quality", "TimeoutMs", "WarmupTimeMs", "Rotation", "Brightness", "Contrast", "Saturation",
+            "Gain", "ShutterSpeedMicroseconds", "AutoExposure", "AutoWhiteBalance", "ExposureMode", "EnablePreview", "DebugImagePath"
+        };
+
+        private static readonly TwinSetting[] OcrTwinSettings =
+        {
+            new("Provider", "ocrProvider"),
+            new("MinimumConfidence", "ocrMinimumConfidence"),
+            new("MaxRetryAttempts", "ocrMaxRetryAttempts"),
+            new("TimeoutSeconds", "ocrTimeoutSeconds"),
+            new("EnablePreprocessing", "ocrEnablePreprocessing"),
+            new("Tesseract.Language", "ocrTesseractLanguage"),
+            new("Tesseract.EngineMode", "ocrTesseractEngineMode"),
+            new("Tesseract.PageSegmentationMode", "ocrTesseractPageSegmentationMode"),
+            new("AzureCognitiveServices.Endpoint", "ocrAzureEndpoint"),
+            new("AzureCognitiveServices.Region", "ocrAzureRegion"),
+            new("AzureCognitiveServices.UseReadApi", "ocrAzureUseReadApi"),
+            new("ImagePreprocessing.EnableGrayscale", "ocrImagePreprocessing.enableGrayscale"),
+            new("ImagePreprocessing.EnableContrastEnhancement", "ocrImagePreprocessing.enableContrastEnhancement"),
+            new("ImagePreprocessing.ContrastFactor", "ocrImagePreprocessing.contrastFactor", "ocrImageContrastFactor"),
+            new("ImagePreprocessing.EnableBrightnessAdjustment", "ocrImagePreprocessing.enableBrightnessAdjustment"),
+            new("ImagePreprocessing.BrightnessAdjustment", "ocrImagePreprocessing.brightnessAdjustment", "ocrImageBrightnessAdjustment"),
+            new("ImagePreprocessing.EnableNoiseReduction", "ocrImagePreprocessing.enableNoiseReduction"),
+            new("ImagePreprocessing.EnableEdgeEnhancement", "ocrImagePreprocessing.enableEdgeEnhancement"),
+            new("ImagePreprocessing.EnableScaling", "ocrImagePreprocessing.enableScaling", "ocrImageScaling"),
+            new("ImagePreprocessing.ScaleFactor", "ocrImagePreprocessing.scaleFactor", "ocrImageScaleFactor"),
+            new("ImagePreprocessing.EnableBinaryThresholding", "ocrImagePreprocessing.enableBinaryThresholding"),
+            new("ImagePreprocessing.BinaryThreshold", "ocrImagePreprocessing.binaryThreshold", "ocrImageBinaryThreshold")
+        };
+
+        private static readonly TwinSetting[] DebugTwinSettings =
+        {
+            new("DebugMode", "debugMode"),
+            new("ImageSaveEnabled", "debugImageSaveEnabled"),
+            new("ImageRetentionDays", "debugImageRetentionDays"),
+            new("LogLevel", "logLevel"),
+            new("EnableVerboseOcrLogging", "enableVerboseOcrLogging")
+        };
+
+        // AuthPassword is never read from the twin, so it isn't listed
+        private static readonly TwinSetting[] WebTwinSettings =
+        {
+            new("Port", "webPort"),
+            new("AllowNetworkAccess", "webAllowNetworkAccess"),
+            new("BindAddress", "webBindAddress"),
+            new("EnableHttps", "webEnableHttps"),
+            new("HttpsPort", "webHttpsPort"),
+            new("CorsOrigins", "webCorsOrigins"),
+            new("EnableAuthentication", "webEnableAuthentication"),
+            new("AuthUsername", "webAuthUsername")
+        };
+
+        private readonly ILogger<DeviceTwinConfigurationService> _logger;
+        private readonly IDeviceTwinSource _twinSource;
+        private readonly IDeviceTwinService _deviceTwinService;
+        private readonly IRuntimeConfigurationService _runtimeConfigurationService;
+        private readonly IConfiguration _configuration;
+        private readonly GpioOptions _gpioOptions;
+        private readonly IOptionsMonitor<CameraOptions> _cameraOptions;
+        private readonly IOptionsMonitor<OcrOptions> _ocrOptions;
+        private readonly IOptionsMonitor<DebugOptions> _debugOptions;
+        private readonly IOptionsMonitor<WebOptions> _webOptions;
+        private readonly SemaphoreSlim _syncLock = new(1, 1);
+        private readonly object _statusLock = new();
+        private DateTime? _lastSyncUtc;
+        private DateTime? _lastAttemptUtc;
+        private bool _lastAttemptSucceeded;
+        private string? _lastError;
+        private string? _lastTrigger;
+
+        public DeviceTwinConfigurationService(
+            ILogger<DeviceTwinConfigurationService> logger,
+            IDeviceTwinSource twinSource,
+            IDeviceTwinService deviceTwinService,
+            IRuntimeConfigurationService runtimeConfigurationService,
+            IConfiguration configuration,
+            GpioOptions gpioOptions,
+            IOptionsMonitor<CameraOptions> cameraOptions,
+            IOptionsMonitor<OcrOptions> ocrOptions,
+            IOptionsMonitor<DebugOptions> debugOptions,
+            IOptionsMonitor<WebOptions> webOptions)
+        {
+            _logger = logger;
+            _twinSource = twinSource;
+            _deviceTwinService = deviceTwinService;
+            _runtimeConfigurationService = runtimeConfigurationService;
+            _configuration = configuration;
+            _gpioOptions = gpioOptions;
+            _cameraOptions = cameraOptions;
+            _ocrOptions = ocrOptions;
+            _debugOptions = debugOptions;
+            _webOptions = webOptions;
+        }
+
+        public async Task<DeviceTwinConfigurationView> GetConfigurationAsync(CancellationToken cancellationToken = default)
+        {
+            var view = new DeviceTwinConfigurationView { Sync = GetSyncStatus(), RetrievedAtUtc = DateTime.UtcNow };
+
+            var desired = new JObject();
+            var reported = new JObject();
+            try
+            {
+                var twin = await _twinSource.GetTwinAsync(cancellationToken);
+                desired = ToJObject(twin.Desired);
+                reported = ToJObject(twin.Reported);
+            }
+            catch (Exception ex) when (ex is not OperationCanceledException)
+            {
+                _logger.LogWarning(ex, "Failed to read device twin from {Source}", _twinSource.Name);
+                view.TwinError = ex.Message;
+            }
+
+            // The nested Camera object wins over the legacy camera* keys, as in DeviceTwinService
+            var cameraSettings = CameraProperties
+                .Select(property => new TwinSetting(property, $"Camera.{property}", $"camera{property}"))
+                .ToArray();
+
+            view.Sections.Add(BuildSection("Camera", cameraSettings, _cameraOptions.CurrentValue, desired, reported));
+            view.Sections.Add(BuildSection("OCR", OcrTwinSettings, _ocrOptions.CurrentValue, desired, reported));
+            view.Sections.Add(BuildSection("Debug", DebugTwinSettings, _debugOptions.CurrentValue, desired, reported));
+            view.Sections.Add(BuildSection("Web", WebTwinSettings, _webOptions.CurrentValue, desired, reported));
+
+            var mappedKeys = cameraSettings.Concat(OcrTwinSettings).Concat(DebugTwinSettings).Concat(WebTwinSettings)
+                .SelectMany(setting => new[] { RootKey(setting.TwinKey), setting.LegacyKey })
+                .OfType<string>()
+                .ToHashSet(StringComparer.Ordinal);
+
+            view.OtherProperties = desired.Properties().Select(p => p.Name)
+                .Union(reported.Properties().Select(p => p.Name))
+                .Where(key => !key.StartsWith('$') && !mappedKeys.Contains(key))
+                .OrderBy(key => key, StringComparer.OrdinalIgnoreCase)
+                .Select(key => new DeviceTwinPropertyView
+                {
+                    Key = key,
+                    Desired = Format(desired[key]),
+                    Reported = Format(reported[key])
+                })
+                .ToList();
+
+            return view;
+        }
+
+        public async Task<DeviceTwinSyncStatus> SyncAsync(string trigger, CancellationToken cancellationToken = default)
+        {
+            if (!await _syncLock.WaitAsync(0, cancellationToken))
+            {
+                throw new InvalidOperationException("A device twin sync is already running");
+            }
+
+            string? error = null;
+            try
+            {
+                _logger.LogInformation("🔄 Syncing configuration from device twin ({Source}, {Trigger})", _twinSource.Name, trigger);
+
+                var twin = await _twinSource.GetTwinAsync(cancellationToken);
+
+                // Camera options are updated in place and pushed to the runtime configuration, as at startup
+                await _deviceTwinService.ApplyConfigAsync(twin.Desired, _configuration, _gpioOptions, _cameraOptions.CurrentValue, _logger, _runtimeConfigurationService);
+                await _deviceTwinService.ApplyOcrConfigAsync(twin.Desired, _configuration, _logger, _runtimeConfigurationService);
+                await _deviceTwinService.ApplyDebugConfigAsync(twin.Desired, _configuration, _logger, _runtimeConfigurationService);
+                await _deviceTwinService.ApplyWebConfigAsync(twin.Desired, _configuration, _logger, _runtimeConfigurationService);
+
+                _logger.LogInformation("✅ Device twin sync completed");
+            }
+            catch (Exception ex) when (ex is not OperationCanceledException)
+            {
+                _logger.LogError(ex, "Device twin sync failed");
+                error = ex.Message;
+            }
+            finally
+            {
+                _syncLock.Release();
+            }
+
+            RecordSync(trigger, error);
+            return GetSyncStatus();
+        }
+
+        public DeviceTwinSyncStatus GetSyncStatus()
+        {
+            lock (_statusLock)
+            {
+                return new DeviceTwinSyncStatus
+                {
+                    Source = _twinSource.Name,
+                    Syncing = _syncLock.CurrentCount == 0,
+                    LastSyncUtc = _lastSyncUtc,
+                    LastAttemptUtc = _lastAttemptUtc,
+                    LastAttemptSucceeded = _lastAttemptSucceeded,
+                    LastError = _lastError,
+                    LastTrigger = _lastTrigger
+                };
+            }
+        }
+
+        public void RecordSync(string trigger, string? error)
+        {
+            lock (_statusLock)
+            {
+                _lastAttemptUtc = DateTime.UtcNow;
+                _lastAttemptSucceeded = error == null;
+                _lastError = error;
+                _lastTrigger = trigger;
+
+                if (error == null)
+                {
+                    _lastSyncUtc = _lastAttemptUtc;
+                }
+            }
+        }
+
+        private static DeviceTwinSectionView BuildSection(string name, IEnumerable<TwinSetting> settings, object options, JObject desired, JObject reported)
+        {
+            var section = new DeviceTwinSectionView { Name = name };
+
+            foreach (var setting in settings)
+            {
+                // Legacy keys are only read when the nested object is missing altogether
+                var twinKey = setting.LegacyKey != null && desired[RootKey(setting.TwinKey)] == null
+                    ? setting.LegacyKey
+                    : setting.TwinKey;
+
+                var view = new DeviceTwinSettingView
+                {
+                    Property = setting.Property,
+                    TwinKey = twinKey,
+                    Desired = Format(desired.SelectToken(twinKey)),
+                    Reported = Format(reported.SelectToken(setting.TwinKey)),
+                    Effective = Format(ReadProperty(options, setting.Property))
+                };
+
+                view.Status = view.Desired == null
+                    ? DeviceTwinSettingStatus.NotInTwin
+                    : ValuesMatch(view.Desired, view.Effective) ? DeviceTwinSettingStatus.InSync : DeviceTwinSettingStatus.NotApplied;
+                view.ReportedDiffers = view.Reported != null && !ValuesMatch(view.Reported, view.Effective);
+
+                if (view.Status == DeviceTwinSettingStatus.NotApplied || view.ReportedDiffers)
+                {
+                    section.Differences++;
+                }
+
+                section.Settings.Add(view);
+            }
+
+            return section;
+        }
+
+        private static JObject ToJObject(TwinCollection collection)
+        {
+            return JObject.Parse(collection.ToJson());
+        }
+
+        private static string RootKey(string twinKey)
+        {
+            var dot = twinKey.IndexOf('.');
+            return dot < 0 ? twinKey : twinKey[..dot];
+        }
+
+        private static object? ReadProperty(object options, string path)
+        {
+            object? value = options;
+            foreach (var name in path.Split('.'))
+            {
+                value = value?.GetType().GetProperty(name)?.GetValue(value);
+            }
+
+            return value;
+        }
+
+        private static string? Format(JToken? token)
+        {
+            return token switch
+            {
+                null => null,
+                JValue { Type: JTokenType.Null } => null,
+                JValue value => Format(value.Value),
+                _ => token.ToString(Formatting.None)
+            };
+        }
+
+        private static string? Format(object? value)
+        {
+            return value switch
+            {
+                null => null,
+                bool flag => flag ? "true" : "false",
+                DateTime time => time.ToString("o", CultureInfo.InvariantCulture),
+                Enum => value.ToString(),
+                IFormattable formattable => formattable.ToString(null, CultureInfo.InvariantCulture),
+                _ => value.ToString()
+            };
+        }
+
+        /// <summary>
+        /// Numbers compare by value (1.5 matches 1.50) and text ignores case, like the enum parsing in DeviceTwinService
+        /// </summary>
+        private static bool ValuesMatch(string? twinValue, string? effectiveValue)
+        {
+            if (double.TryParse(twinValue, NumberStyles.Float, CultureInfo.InvariantCulture, out var twinNumber) &&
+                double.TryParse(effectiveValue, NumberStyles.Float, CultureInfo.InvariantCulture, out var effectiveNumber))
+            {
+                return Math.Abs(twinNumber - effectiveNumber) < 1e-9;
+            }
+
+            return string.Equals(twinValue ?? string.Empty, effectiveValue ?? string.Empty, StringComparison.OrdinalIgnoreCase);
+        }
+
+        private record TwinSetting(string Property, string TwinKey, string? LegacyKey = null);
+    }
+}
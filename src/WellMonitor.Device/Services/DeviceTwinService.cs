@@ -13,12 +13,17 @@ namespace WellMonitor.Device.Services
         Task<OcrOptions> FetchAndApplyOcrConfigAsync(DeviceClient deviceClient, IConfiguration configuration, ILogger logger, IRuntimeConfigurationService? runtimeConfigService = null);
         Task<DebugOptions> FetchAndApplyDebugConfigAsync(DeviceClient deviceClient, IConfiguration configuration, ILogger logger, IRuntimeConfigurationService? runtimeConfigService = null);
         Task<WebOptions> FetchAndApplyWebConfigAsync(DeviceClient deviceClient, IConfiguration configuration, ILogger logger, IRuntimeConfigurationService? runtimeConfigService = null);
+        Task<DeviceTwinConfig> ApplyConfigAsync(TwinCollection desired, IConfiguration configuration, GpioOptions gpioOptions, CameraOptions cameraOptions, ILogger logger, IRuntimeConfigurationService? runtimeConfigService = null);
+        Task<OcrOptions> ApplyOcrConfigAsync(TwinCollection desired, IConfiguration configuration, ILogger logger, IRuntimeConfigurationService? runtimeConfigService = null);
+        Task<DebugOptions> ApplyDebugConfigAsync(TwinCollection desired, IConfiguration configuration, ILogger logger, IRuntimeConfigurationService? runtimeConfigService = null);
+        Task<WebOptions> ApplyWebConfigAsync(TwinCollection desired, IConfiguration configuration, ILogger logger, IRuntimeConfigurationService? runtimeConfigService = null);
         Task<PumpAnalysisOptions> FetchPumpAnalysisConfigAsync(DeviceClient deviceClient, IConfiguration configuration, ILogger logger);
         Task<PowerManagementOptions> FetchPowerManagementConfigAsync(DeviceClient deviceClient, IConfiguration configuration, ILogger logger);
         Task<StatusDetectionOptions> FetchStatusDetectionConfigAsync(DeviceClient deviceClient, IConfiguration configuration, ILogger logger);
         Task ReportOcrStatusAsync(DeviceClient deviceClient, IOcrService ocrService, ILogger logger);
         Task LogPeriodicConfigurationSummaryAsync(DeviceClient deviceClient, CameraOptions cameraOptions, ILogger logger);
         Task UpdateCameraExposureModeAsync(CameraExposureMode exposureMode);
+        Task ReportCameraConfigurationAsync(DeviceClient deviceClient, CameraOptions cameraOptions, ILogger logger);
     }
 
     public class DeviceTwinService : IDeviceTwinService
@@ -27,8 +32,14 @@ namespace WellMonitor.Device.Services
         {
             // Fetch device twin properties
             Twin twin = await deviceClient.GetTwinAsync();
-            var desired = twin.Properties.Desired;
+            return await ApplyConfigAsync(twin.Properties.Desired, configuration, gpioOptions, cameraOptions, logger, runtimeConfigService);
+        }
 
+        /// <summary>
+        /// Apply well monitor and camera configuration from desired properties that were already fetched
+        /// </summary>
+        public async Task<DeviceTwinConfig> ApplyConfigAsync(TwinCollection desired, IConfiguration configuration, GpioOptions gpioOptions, CameraOptions cameraOptions, ILogger logger, IRuntimeConfigurationService? runtimeConfigService = null)
+        {
             // Validate device twin properties first
             var validationService = new ConfigurationValidationService();
             var deviceTwinValidation = validationService.ValidateDeviceTwinProperties(desired);
@@ -184,78 +195,7 @@ namespace WellMonitor.Device.Services
             {
                 // Fetch device twin properties
                 Twin twin = await deviceClient.GetTwinAsync();
-                var desired = twin.Properties.Desired;
-
-                // Create OCR options from device twin with fallbacks
-                var ocrOptions = new OcrOptions
-                {
-                    Provider = desired.Contains("ocrProvider") ? (string)desired["ocrProvider"] : configuration.GetValue("OCR:Provider", "Tesseract"),
-                    MinimumConfidence = desired.Contains("ocrMinimumConfidence") ? (double)desired["ocrMinimumConfidence"] : configuration.GetValue("OCR:MinimumConfidence", 0.7),
-                    MaxRetryAttempts = desired.Contains("ocrMaxRetryAttempts") ? (int)desired["ocrMaxRetryAttempts"] : configuration.GetValue("OCR:MaxRetryAttempts", 3),
-                    TimeoutSeconds = desired.Contains("ocrTimeoutSeconds") ? (int)desired["ocrTimeoutSeconds"] : configuration.GetValue("OCR:TimeoutSeconds", 30),
-                    EnablePreprocessing = desired.Contains("ocrEnablePreprocessing") ? (bool)desired["ocrEnablePreprocessing"] : configuration.GetValue("OCR:EnablePreprocessing", true)
-                };
-
-                // Tesseract configuration
-                ocrOptions.Tesseract.Language = desired.Contains("ocrTesseractLanguage") ? (string)desired["ocrTesseractLanguage"] : configuration.GetValue("OCR:Tesseract:Language", "eng");
-                ocrOptions.Tesseract.EngineMode = desired.Contains("ocrTesseractEngineMode") ? (int)desired["ocrTesseractEngineMode"] : configuration.GetValue("OCR:Tesseract:EngineMode", 3);
-                ocrOptions.Tesseract.PageSegmentationMode = desired.Contains("ocrTesseractPageSegmentationMode") ? (int)desired["ocrTesseractPageSegmentationMode"] : configuration.GetValue("OCR:Tesseract:PageSegmentationMode", 7);
-                
-                if (desired.Contains("ocrTesseractCharWhitelist"))
-                {
-                    ocrOptions.Tesseract.CustomConfig["tessedit_char_whitelist"] = (string)desired["ocrTesseractCharWhitelist"];
-                }
-
-                // Azure Cognitive Services configuration
-                ocrOptions.AzureCognitiveServices.Endpoint = desired.Contains("ocrAzureEndpoint") ? (string)desired["ocrAzureEndpoint"] : configuration.GetValue("OCR:AzureCognitiveServices:Endpoint", "");
-                ocrOptions.AzureCognitiveServices.Region = desired.Contains("ocrAzureRegion") ? (string)desired["ocrAzureRegion"] : configuration.GetValue("OCR:AzureCognitiveServices:Region", "eastus");
-                ocrOptions.AzureCognitiveServices.UseReadApi = desired.Contains("ocrAzureUseReadApi") ? (bool)desired["ocrAzureUseReadApi"] : configuration.GetValue("OCR:AzureCognitiveServices:UseReadApi", true);
-
-                // Image preprocessing configuration - handle both nested and flat structure
-                if (desired.Contains("ocrImagePreprocessing"))
-                {
-                    var preprocessing = desired["ocrImagePreprocessing"];
-                    if (preprocessing is Microsoft.Azure.Devices.Shared.TwinCollection preprocessingCollection)
-                    {
-                        ocrOptions.ImagePreprocessing.EnableGrayscale = preprocessingCollection.Contains("enableGrayscale") ? (bool)preprocessingCollection["enableGrayscale"] : configuration.GetValue("OCR:ImagePreprocessing:EnableGrayscale", true);
-                        ocrOptions.ImagePreprocessing.EnableContrastEnhancement = preprocessingCollection.Contains("enableContrastEnhancement") ? (bool)preprocessingCollection["enableContrastEnhancement"] : configuration.GetValue("OCR:ImagePreprocessing:EnableContrastEnhancement", true);
-                        ocrOptions.ImagePreprocessing.ContrastFactor = preprocessingCollection.Contains("contrastFactor") ? (double)preprocessingCollection["contrastFactor"] : configuration.GetValue("OCR:ImagePreprocessing:ContrastFactor", 1.5);
-                        ocrOptions.ImagePreprocessing.EnableBrightnessAdjustment = preprocessingCollection.Contains("enableBrightnessAdjustment") ? (bool)preprocessingCollection["enableBrightnessAdjustment"] : configuration.GetValue("OCR:ImagePreprocessing:EnableBrightnessAdjustment", true);
-                        ocrOptions.ImagePreprocessing.BrightnessAdjustment = preprocessingCollection.Contains("brightnessAdjustment") ? (int)preprocessingCollection["brightnessAdjustment"] : configuration.GetValue("OCR:ImagePreprocessing:BrightnessAdjustment", 10);
-                        ocrOptions.ImagePreprocessing.EnableNoiseReduction = preprocessingCollection.Contains("enableNoiseReduction") ? (bool)preprocessingCollection["enableNoiseReduction"] : configuration.GetValue("OCR:ImagePreprocessing:EnableNoiseReduction", true);
-                        ocrOptions.ImagePreprocessing.EnableEdgeEnhancement = preprocessingCollection.Contains("enableEdgeEnhancement") ? (bool)preprocessingCollection["enableEdgeEnhancement"] : configuration.GetValue("OCR:ImagePreprocessing:EnableEdgeEnhancement", false);
-                        ocrOptions.ImagePreprocessing.EnableScaling = preprocessingCollection.Contains("enableScaling") ? (bool)preprocessingCollection["enableScaling"] : configuration.GetValue("OCR:ImagePreprocessing:EnableScaling", true);
-                        ocrOptions.ImagePreprocessing.ScaleFactor = preprocessingCollection.Contains("scaleFactor") ? (double)preprocessingCollection["scaleFactor"] : configuration.GetValue("OCR:ImagePreprocessing:ScaleFactor", 2.0);
-                        ocrOptions.ImagePreprocessing.EnableBinaryThresholding = preprocessingCollection.Contains("enableBinaryThresholding") ? (bool)preprocessingCollection["enableBinaryThresholding"] : configuration.GetValue("OCR:ImagePreprocessing:EnableBinaryThresholding", true);
-                        ocrOptions.ImagePreprocessing.BinaryThreshold = preprocessingCollection.Contains("binaryThreshold") ? (int)preprocessingCollection["binaryThreshold"] : configuration.GetValue("OCR:ImagePreprocessing:BinaryThreshold", 128);
-                    }
-                }
-                else
-                {
-                    // Fall back to flat structure for backward compatibility
-                    ocrOptions.ImagePreprocessing.EnableScaling = desired.Contains("ocrImageScaling") ? (bool)desired["ocrImageScaling"] : configuration.GetValue("OCR:ImagePreprocessing:EnableScaling", true);
-                    ocrOptions.ImagePreprocessing.ScaleFactor = desired.Contains("ocrImageScaleFactor") ? (double)desired["ocrImageScaleFactor"] : configuration.GetValue("OCR:ImagePreprocessing:ScaleFactor", 2.0);
-                    ocrOptions.ImagePreprocessing.BinaryThreshold = desired.Contains("ocrImageBinaryThreshold") ? (int)desired["ocrImageBinaryThreshold"] : configuration.GetValue("OCR:ImagePreprocessing:BinaryThreshold", 128);
-                    ocrOptions.ImagePreprocessing.ContrastFactor = desired.Contains("ocrImageContrastFactor") ? (double)desired["ocrImageContrastFactor"] : configuration.GetValue("OCR:ImagePreprocessing:ContrastFactor", 1.5);
-                    ocrOptions.ImagePreprocessing.BrightnessAdjustment = desired.Contains("ocrImageBrightnessAdjustment") ? (int)desired["ocrImageBrightnessAdjustment"] : configuration.GetValue("OCR:ImagePreprocessing:BrightnessAdjustment", 10);
-                }
-
-                logger.LogInformation("OCR configuration loaded from device twin: Provider={Provider}, MinConfidence={MinConfidence}, Preprocessing={Preprocessing}",
-                    ocrOptions.Provider, ocrOptions.MinimumConfidence, ocrOptions.EnablePreprocessing);
-
-                // **CRITICAL FIX**: Update runtime configuration service so IOptionsMonitor gets updated values
-                if (runtimeConfigService != null)
-                {
-                    logger.LogInformation("🔄 Updating runtime OCR configuration with device twin values...");
-                    await runtimeConfigService.UpdateOcrOptionsAsync(ocrOptions);
-                    logger.LogInformation("✅ Runtime OCR configuration updated successfully");
-                }
-                else
-                {
-                    logger.LogWarning("⚠️ Runtime configuration service not provided - IOptionsMonitor will not be updated");
-                }
-
-                return ocrOptions;
+                return await ApplyOcrConfigAsync(twin.Properties.Desired, configuration, logger, runtimeConfigService);
             }
             catch (Exception ex)
             {
@@ -273,6 +213,83 @@ namespace WellMonitor.Device.Services
             }
         }
 
+        /// <summary>
+        /// Apply OCR configuration from desired properties that were already fetched; throws on malformed values
+        /// </summary>
+        public async Task<OcrOptions> ApplyOcrConfigAsync(TwinCollection desired, IConfiguration configuration, ILogger logger, IRuntimeConfigurationService? runtimeConfigService = null)
+        {
+            // Create OCR options from device twin with fallbacks
+            var ocrOptions = new OcrOptions
+            {
+                Provider = desired.Contains("ocrProvider") ? (string)desired["ocrProvider"] : configuration.GetValue("OCR:Provider", "Tesseract"),
+                MinimumConfidence = desired.Contains("ocrMinimumConfidence") ? (double)desired["ocrMinimumConfidence"] : configuration.GetValue("OCR:MinimumConfidence", 0.7),
+                MaxRetryAttempts = desired.Contains("ocrMaxRetryAttempts") ? (int)desired["ocrMaxRetryAttempts"] : configuration.GetValue("OCR:MaxRetryAttempts", 3),
+                TimeoutSeconds = desired.Contains("ocrTimeoutSeconds") ? (int)desired["ocrTimeoutSeconds"] : configuration.GetValue("OCR:TimeoutSeconds", 30),
+                EnablePreprocessing = desired.Contains("ocrEnablePreprocessing") ? (bool)desired["ocrEnablePreprocessing"] : configuration.GetValue("OCR:EnablePreprocessing", true)
+            };
+
+            // Tesseract configuration
+            ocrOptions.Tesseract.Language = desired.Contains("ocrTesseractLanguage") ? (string)desired["ocrTesseractLanguage"] : configuration.GetValue("OCR:Tesseract:Language", "eng");
+            ocrOptions.Tesseract.EngineMode = desired.Contains("ocrTesseractEngineMode") ? (int)desired["ocrTesseractEngineMode"] : configuration.GetValue("OCR:Tesseract:EngineMode", 3);
+            ocrOptions.Tesseract.PageSegmentationMode = desired.Contains("ocrTesseractPageSegmentationMode") ? (int)desired["ocrTesseractPageSegmentationMode"] : configuration.GetValue("OCR:Tesseract:PageSegmentationMode", 7);
+            
+            if (desired.Contains("ocrTesseractCharWhitelist"))
+            {
+                ocrOptions.Tesseract.CustomConfig["tessedit_char_whitelist"] = (string)desired["ocrTesseractCharWhitelist"];
+            }
+
+            // Azure Cognitive Services configuration
+            ocrOptions.AzureCognitiveServices.Endpoint = desired.Contains("ocrAzureEndpoint") ? (string)desired["ocrAzureEndpoint"] : configuration.GetValue("OCR:AzureCognitiveServices:Endpoint", "");
+            ocrOptions.AzureCognitiveServices.Region = desired.Contains("ocrAzureRegion") ? (string)desired["ocrAzureRegion"] : configuration.GetValue("OCR:AzureCognitiveServices:Region", "eastus");
+            ocrOptions.AzureCognitiveServices.UseReadApi = desired.Contains("ocrAzureUseReadApi") ? (bool)desired["ocrAzureUseReadApi"] : configuration.GetValue("OCR:AzureCognitiveServices:UseReadApi", true);
+
+            // Image preprocessing configuration - handle both nested and flat structure
+            if (desired.Contains("ocrImagePreprocessing"))
+            {
+                var preprocessing = desired["ocrImagePreprocessing"];
+                if (preprocessing is Microsoft.Azure.Devices.Shared.TwinCollection preprocessingCollection)
+                {
+                    ocrOptions.ImagePreprocessing.EnableGrayscale = preprocessingCollection.Contains("enableGrayscale") ? (bool)preprocessingCollection["enableGrayscale"] : configuration.GetValue("OCR:ImagePreprocessing:EnableGrayscale", true);
+                    ocrOptions.ImagePreprocessing.EnableContrastEnhancement = preprocessingCollection.Contains("enableContrastEnhancement") ? (bool)preprocessingCollection["enableContrastEnhancement"] : configuration.GetValue("OCR:ImagePreprocessing:EnableContrastEnhancement", true);
+                    ocrOptions.ImagePreprocessing.ContrastFactor = preprocessingCollection.Contains("contrastFactor") ? (double)preprocessingCollection["contrastFactor"] : configuration.GetValue("OCR:ImagePreprocessing:ContrastFactor", 1.5);
+                    ocrOptions.ImagePreprocessing.EnableBrightnessAdjustment = preprocessingCollection.Contains("enableBrightnessAdjustment") ? (bool)preprocessingCollection["enableBrightnessAdjustment"] : configuration.GetValue("OCR:ImagePreprocessing:EnableBrightnessAdjustment", true);
+                    ocrOptions.ImagePreprocessing.BrightnessAdjustment = preprocessingCollection.Contains("brightnessAdjustment") ? (int)preprocessingCollection["brightnessAdjustment"] : configuration.GetValue("OCR:ImagePreprocessing:BrightnessAdjustment", 10);
+                    ocrOptions.ImagePreprocessing.EnableNoiseReduction = preprocessingCollection.Contains("enableNoiseReduction") ? (bool)preprocessingCollection["enableNoiseReduction"] : configuration.GetValue("OCR:ImagePreprocessing:EnableNoiseReduction", true);
+                    ocrOptions.ImagePreprocessing.EnableEdgeEnhancement = preprocessingCollection.Contains("enableEdgeEnhancement") ? (bool)preprocessingCollection["enableEdgeEnhancement"] : configuration.GetValue("OCR:ImagePreprocessing:EnableEdgeEnhancement", false);
+                    ocrOptions.ImagePreprocessing.EnableScaling = preprocessingCollection.Contains("enableScaling") ? (bool)preprocessingCollection["enableScaling"] : configuration.GetValue("OCR:ImagePreprocessing:EnableScaling", true);
+                    ocrOptions.ImagePreprocessing.ScaleFactor = preprocessingCollection.Contains("scaleFactor") ? (double)preprocessingCollection["scaleFactor"] : configuration.GetValue("OCR:ImagePreprocessing:ScaleFactor", 2.0);
+                    ocrOptions.ImagePreprocessing.EnableBinaryThresholding = preprocessingCollection.Contains("enableBinaryThresholding") ? (bool)preprocessingCollection["enableBinaryThresholding"] : configuration.GetValue("OCR:ImagePreprocessing:EnableBinaryThresholding", true);
+                    ocrOptions.ImagePreprocessing.BinaryThreshold = preprocessingCollection.Contains("binaryThreshold") ? (int)preprocessingCollection["binaryThreshold"] : configuration.GetValue("OCR:ImagePreprocessing:BinaryThreshold", 128);
+                }
+            }
+            else
+            {
+                // Fall back to flat structure for backward compatibility
+                ocrOptions.ImagePreprocessing.EnableScaling = desired.Contains("ocrImageScaling") ? (bool)desired["ocrImageScaling"] : configuration.GetValue("OCR:ImagePreprocessing:EnableScaling", true);
+                ocrOptions.ImagePreprocessing.ScaleFactor = desired.Contains("ocrImageScaleFactor") ? (double)desired["ocrImageScaleFactor"] : configuration.GetValue("OCR:ImagePreprocessing:ScaleFactor", 2.0);
+                ocrOptions.ImagePreprocessing.BinaryThreshold = desired.Contains("ocrImageBinaryThreshold") ? (int)desired["ocrImageBinaryThreshold"] : configuration.GetValue("OCR:ImagePreprocessing:BinaryThreshold", 128);
+                ocrOptions.ImagePreprocessing.ContrastFactor = desired.Contains("ocrImageContrastFactor") ? (double)desired["ocrImageContrastFactor"] : configuration.GetValue("OCR:ImagePreprocessing:ContrastFactor", 1.5);
+                ocrOptions.ImagePreprocessing.BrightnessAdjustment = desired.Contains("ocrImageBrightnessAdjustment") ? (int)desired["ocrImageBrightnessAdjustment"] : configuration.GetValue("OCR:ImagePreprocessing:BrightnessAdjustment", 10);
+            }
+
+            logger.LogInformation("OCR configuration loaded from device twin: Provider={Provider}, MinConfidence={MinConfidence}, Preprocessing={Preprocessing}",
+                ocrOptions.Provider, ocrOptions.MinimumConfidence, ocrOptions.EnablePreprocessing);
+
+            // **CRITICAL FIX**: Update runtime configuration service so IOptionsMonitor gets updated values
+            if (runtimeConfigService != null)
+            {
+                logger.LogInformation("🔄 Updating runtime OCR configuration with device twin values...");
+                await runtimeConfigService.UpdateOcrOptionsAsync(ocrOptions);
+                logger.LogInformation("✅ Runtime OCR configuration updated successfully");
+            }
+            else
+            {
+                logger.LogWarning("⚠️ Runtime configuration service not provided - IOptionsMonitor will not be updated");
+            }
+
+            return ocrOptions;
+        }
+
         /// <summary>
         /// Report OCR status and statistics to device twin
         /// </summary>
@@ -416,100 +433,106 @@ namespace WellMonitor.Device.Services
             try
             {
                 Twin twin = await deviceClient.GetTwinAsync();
-                TwinCollection desired = twin.Properties.Desired;
-
-                var debugOptions = new DebugOptions();
-                var fromDeviceTwin = new List<string>();
-                var fromDefaults = new List<string>();
+                return await ApplyDebugConfigAsync(twin.Properties.Desired, configuration, logger, runtimeConfigService);
+            }
+            catch (Exception ex)
+            {
+                logger.LogError(ex, "Failed to fetch debug configuration from device twin, using defaults");
+                return new DebugOptions();
+            }
+        }
 
-                // Load debug settings from device twin with fallbacks
-                if (desired.Contains("debugMode"))
-                {
-                    debugOptions.DebugMode = (bool)desired["debugMode"];
-                    fromDeviceTwin.Add($"debugMode={debugOptions.DebugMode}");
-                }
-                else
-                {
-                    debugOptions.DebugMode = configuration.GetValue("Debug:DebugMode", false);
-                    fromDefaults.Add($"debugMode={debugOptions.DebugMode}");
-                }
+        /// <summary>
+        /// Apply debug configuration from desired properties that were already fetched; throws on malformed values
+        /// </summary>
+        public async Task<DebugOptions> ApplyDebugConfigAsync(TwinCollection desired, IConfiguration configuration, ILogger logger, IRuntimeConfigurationService? runtimeConfigService = null)
+        {
+            var debugOptions = new DebugOptions();
+            var fromDeviceTwin = new List<string>();
+            var fromDefaults = new List<string>();
 
-                if (desired.Contains("debugImageSaveEnabled"))
-                {
-                    debugOptions.ImageSaveEnabled = (bool)desired["debugImageSaveEnabled"];
-                    fromDeviceTwin.Add($"debugImageSaveEnabled={debugOptions.ImageSaveEnabled}");
-                }
-                else
-                {
-                    debugOptions.ImageSaveEnabled = configuration.GetValue("Debug:ImageSaveEnabled", false);
-                    fromDefaults.Add($"debugImageSaveEnabled={debugOptions.ImageSaveEnabled}");
-                }
+            // Load debug settings from device twin with fallbacks
+            if (desired.Contains("debugMode"))
+            {
+                debugOptions.DebugMode = (bool)desired["debugMode"];
+                fromDeviceTwin.Add($"debugMode={debugOptions.DebugMode}");
+            }
+            else
+            {
+                debugOptions.DebugMode = configuration.GetValue("Debug:DebugMode", false);
+                fromDefaults.Add($"debugMode={debugOptions.DebugMode}");
+            }
 
-                if (desired.Contains("debugImageRetentionDays"))
-                {
-                    debugOptions.ImageRetentionDays = (int)desired["debugImageRetentionDays"];
-                    fromDeviceTwin.Add($"debugImageRetentionDays={debugOptions.ImageRetentionDays}");
-                }
-                else
-                {
-                    debugOptions.ImageRetentionDays = configuration.GetValue("Debug:ImageRetentionDays", 7);
-                    fromDefaults.Add($"debugImageRetentionDays={debugOptions.ImageRetentionDays}");
-                }
+            if (desired.Contains("debugImageSaveEnabled"))
+            {
+                debugOptions.ImageSaveEnabled = (bool)desired["debugImageSaveEnabled"];
+                fromDeviceTwin.Add($"debugImageSaveEnabled={debugOptions.ImageSaveEnabled}");
+            }
+            else
+            {
+                debugOptions.ImageSaveEnabled = configuration.GetValue("Debug:ImageSaveEnabled", false);
+                fromDefaults.Add($"debugImageSaveEnabled={debugOptions.ImageSaveEnabled}");
+            }
 
-                if (desired.Contains("logLevel"))
-                {
-                    debugOptions.LogLevel = (string)desired["logLevel"];
-                    fromDeviceTwin.Add($"logLevel={debugOptions.LogLevel}");
-                }
-                else
-                {
-                    debugOptions.LogLevel = configuration.GetValue("Debug:LogLevel", "Information");
-                    fromDefaults.Add($"logLevel={debugOptions.LogLevel}");
-                }
+            if (desired.Contains("debugImageRetentionDays"))
+            {
+                debugOptions.ImageRetentionDays = (int)desired["debugImageRetentionDays"];
+                fromDeviceTwin.Add($"debugImageRetentionDays={debugOptions.ImageRetentionDays}");
+            }
+            else
+            {
+                debugOptions.ImageRetentionDays = configuration.GetValue("Debug:ImageRetentionDays", 7);
+                fromDefaults.Add($"debugImageRetentionDays={debugOptions.ImageRetentionDays}");
+            }
 
-                if (desired.Contains("enableVerboseOcrLogging"))
-                {
-                    debugOptions.EnableVerboseOcrLogging = (bool)desired["enableVerboseOcrLogging"];
-                    fromDeviceTwin.Add($"enableVerboseOcrLogging={debugOptions.EnableVerboseOcrLogging}");
-                }
-                else
-                {
-                    debugOptions.EnableVerboseOcrLogging = configuration.GetValue("Debug:EnableVerboseOcrLogging", false);
-                    fromDefaults.Add($"enableVerboseOcrLogging={debugOptions.EnableVerboseOcrLogging}");
-                }
+            if (desired.Contains("logLevel"))
+            {
+                debugOptions.LogLevel = (string)desired["logLevel"];
+                fromDeviceTwin.Add($"logLevel={debugOptions.LogLevel}");
+            }
+            else
+            {
+                debugOptions.LogLevel = configuration.GetValue("Debug:LogLevel", "Information");
+                fromDefaults.Add($"logLevel={debugOptions.LogLevel}");
+            }
 
-                logger.LogInformation("📡 Debug configuration sources:");
-                if (fromDeviceTwin.Any())
-                {
-                    logger.LogInformation("  ✅ From Device Twin: {DeviceTwinSettings}", string.Join(", ", fromDeviceTwin));
-                }
-                if (fromDefaults.Any())
-                {
-                    logger.LogInformation("  ⚠️  From Defaults/Config: {DefaultSettings}", string.Join(", ", fromDefaults));
-                }
+            if (desired.Contains("enableVerboseOcrLogging"))
+            {
+                debugOptions.EnableVerboseOcrLogging = (bool)desired["enableVerboseOcrLogging"];
+                fromDeviceTwin.Add($"enableVerboseOcrLogging={debugOptions.EnableVerboseOcrLogging}");
+            }
+            else
+            {
+                debugOptions.EnableVerboseOcrLogging = configuration.GetValue("Debug:EnableVerboseOcrLogging", false);
+                fromDefaults.Add($"enableVerboseOcrLogging={debugOptions.EnableVerboseOcrLogging}");
+            }
 
-                logger.LogInformation("🔧 Final Debug Configuration: DebugMode={DebugMode}, ImageSaveEnabled={ImageSave}, LogLevel={LogLevel}, VerboseOCR={VerboseOCR}",
-                    debugOptions.DebugMode, debugOptions.ImageSaveEnabled, debugOptions.LogLevel, debugOptions.EnableVerboseOcrLogging);
+            logger.LogInformation("📡 Debug configuration sources:");
+            if (fromDeviceTwin.Any())
+            {
+                logger.LogInformation("  ✅ From Device Twin: {DeviceTwinSettings}", string.Join(", ", fromDeviceTwin));
+            }
+            if (fromDefaults.Any())
+            {
+                logger.LogInformation("  ⚠️  From Defaults/Config: {DefaultSettings}", string.Join(", ", fromDefaults));
+            }
 
-                // **CRITICAL FIX**: Update runtime configuration service so IOptionsMonitor gets updated values
-                if (runtimeConfigService != null)
-                {
-                    logger.LogInformation("🔄 Updating runtime debug configuration with device twin values...");
-                    await runtimeConfigService.UpdateDebugOptionsAsync(debugOptions);
-                    logger.LogInformation("✅ Runtime debug configuration updated successfully");
-                }
-                else
-                {
-                    logger.LogWarning("⚠️ Runtime configuration service not provided - IOptionsMonitor will not be updated");
-                }
+            logger.LogInformation("🔧 Final Debug Configuration: DebugMode={DebugMode}, ImageSaveEnabled={ImageSave}, LogLevel={LogLevel}, VerboseOCR={VerboseOCR}",
+                debugOptions.DebugMode, debugOptions.ImageSaveEnabled, debugOptions.LogLevel, debugOptions.EnableVerboseOcrLogging);
 
-                return debugOptions;
+            // **CRITICAL FIX**: Update runtime configuration service so IOptionsMonitor gets updated values
+            if (runtimeConfigService != null)
+            {
+                logger.LogInformation("🔄 Updating runtime debug configuration with device twin values...");
+                await runtimeConfigService.UpdateDebugOptionsAsync(debugOptions);
+                logger.LogInformation("✅ Runtime debug configuration updated successfully");
             }
-            catch (Exception ex)
+            else
             {
-                logger.LogError(ex, "Failed to fetch debug configuration from device twin, using defaults");
-                return new DebugOptions();
+                logger.LogWarning("⚠️ Runtime configuration service not provided - IOptionsMonitor will not be updated");
             }
+
+            return debugOptions;
         }
 
         /// <summary>
@@ -520,44 +543,50 @@ namespace WellMonitor.Device.Services
             try
             {
                 Twin twin = await deviceClient.GetTwinAsync();
-                TwinCollection desired = twin.Properties.Desired;
-
-                var webOptions = new WebOptions();
+                return await ApplyWebConfigAsync(twin.Properties.Desired, configuration, logger, runtimeConfigService);
+            }
+            catch (Exception ex)
+            {
+                logger.LogError(ex, "Failed to fetch web configuration from device twin, using defaults");
+                return new WebOptions();
+            }
+        }
 
-                // Load web settings from device twin with fallbacks
-                webOptions.Port = desired.Contains("webPort") ? (int)desired["webPort"] : configuration.GetValue("Web:Port", 5000);
-                webOptions.AllowNetworkAccess = desired.Contains("webAllowNetworkAccess") ? (bool)desired["webAllowNetworkAccess"] : configuration.GetValue("Web:AllowNetworkAccess", false);
-                webOptions.BindAddress = desired.Contains("webBindAddress") ? (string)desired["webBindAddress"] : configuration.GetValue("Web:BindAddress", "127.0.0.1");
-                webOptions.EnableHttps = desired.Contains("webEnableHttps") ? (bool)desired["webEnableHttps"] : configuration.GetValue("Web:EnableHttps", false);
-                webOptions.HttpsPort = desired.Contains("webHttpsPort") ? (int)desired["webHttpsPort"] : configuration.GetValue("Web:HttpsPort", 5001);
-                webOptions.CorsOrigins = desired.Contains("webCorsOrigins") ? (string)desired["webCorsOrigins"] : configuration.GetValue("Web:CorsOrigins", "");
-                webOptions.EnableAuthentication = desired.Contains("webEnableAuthentication") ? (bool)desired["webEnableAuthentication"] : configuration.GetValue("Web:EnableAuthentication", false);
-                webOptions.AuthUsername = desired.Contains("webAuthUsername") ? (string)desired["webAuthUsername"] : configuration.GetValue("Web:AuthUsername", "admin");
+        /// <summary>
+        /// Apply web dashboard configuration from desired properties that were already fetched; throws on malformed values
+        /// </summary>
+        public async Task<WebOptions> ApplyWebConfigAsync(TwinCollection desired, IConfiguration configuration, ILogger logger, IRuntimeConfigurationService? runtimeConfigService = null)
+        {
+            var webOptions = new WebOptions();
 
-                // Note: We don't load AuthPassword from device twin for security reasons
+            // Load web settings from device twin with fallbacks
+            webOptions.Port = desired.Contains("webPort") ? (int)desired["webPort"] : configuration.GetValue("Web:Port", 5000);
+            webOptions.AllowNetworkAccess = desired.Contains("webAllowNetworkAccess") ? (bool)desired["webAllowNetworkAccess"] : configuration.GetValue("Web:AllowNetworkAccess", false);
+            webOptions.BindAddress = desired.Contains("webBindAddress") ? (string)desired["webBindAddress"] : configuration.GetValue("Web:BindAddress", "127.0.0.1");
+            webOptions.EnableHttps = desired.Contains("webEnableHttps") ? (bool)desired["webEnableHttps"] : configuration.GetValue("Web:EnableHttps", false);
+            webOptions.HttpsPort = desired.Contains("webHttpsPort") ? (int)desired["webHttpsPort"] : configuration.GetValue("Web:HttpsPort", 5001);
+            webOptions.CorsOrigins = desired.Contains("webCorsOrigins") ? (string)desired["webCorsOrigins"] : configuration.GetValue("Web:CorsOrigins", "");
+            webOptions.EnableAuthentication = desired.Contains("webEnableAuthentication") ? (bool)desired["webEnableAuthentication"] : configuration.GetValue("Web:EnableAuthentication", false);
+            webOptions.AuthUsername = desired.Contains("webAuthUsername") ? (string)desired["webAuthUsername"] : configuration.GetValue("Web:AuthUsername", "admin");
 
-                logger.LogInformation("Web configuration loaded from device twin: Port={Port}, NetworkAccess={NetworkAccess}, BindAddress={BindAddress}, HTTPS={HTTPS}",
-                    webOptions.Port, webOptions.AllowNetworkAccess, webOptions.BindAddress, webOptions.EnableHttps);
+            // Note: We don't load AuthPassword from device twin for security reasons
 
-                // **CRITICAL FIX**: Update runtime configuration service so IOptionsMonitor gets updated values
-                if (runtimeConfigService != null)
-                {
-                    logger.LogInformation("🔄 Updating runtime web configuration with device twin values...");
-                    await runtimeConfigService.UpdateWebOptionsAsync(webOptions);
-                    logger.LogInformation("✅ Runtime web configuration updated successfully");
-                }
-                else
-                {
-                    logger.LogWarning("⚠️ Runtime configuration service not provided - IOptionsMonitor will not be updated");
-                }
+            logger.LogInformation("Web configuration loaded from device twin: Port={Port}, NetworkAccess={NetworkAccess}, BindAddress={BindAddress}, HTTPS={HTTPS}",
+                webOptions.Port, webOptions.AllowNetworkAccess, webOptions.BindAddress, webOptions.EnableHttps);
 
-                return webOptions;
+            // **CRITICAL FIX**: Update runtime configuration service so IOptionsMonitor gets updated values
+            if (runtimeConfigService != null)
+            {
+                logger.LogInformation("🔄 Updating runtime web configuration with device twin values...");
+                await runtimeConfigService.UpdateWebOptionsAsync(webOptions);
+                logger.LogInformation("✅ Runtime web configuration updated successfully");
             }
-            catch (Exception ex)
+            else
             {
-                logger.LogError(ex, "Failed to fetch web configuration from device twin, using defaults");
-                return new WebOptions();
+                logger.LogWarning("⚠️ Runtime configuration service not provided - IOptionsMonitor will not be updated");
             }
+
+            return webOptions;
         }
 
         /// <summary>
@@ -593,6 +622,9 @@ namespace WellMonitor.Device.Services
                     if (thresholds.Contains("highCurrentThreshold"))
                         options.HighCurrentThreshold = (double)thresholds["highCurrentThreshold"];
 
+                    if (thresholds.Contains("shortCycleThresholdMinutes"))
+                        options.ShortCycleThresholdMinutes = (double)thresholds["shortCycleThresholdMinutes"];
+
                     logger.LogInformation("Pump analysis configuration updated from device twin: Off={Off}A, Idle={Idle}A, Normal={Min}-{Max}A", 
                         options.OffCurrentThreshold, options.IdleCurrentThreshold, options.NormalCurrentMin, options.NormalCurrentMax);
                 }
@@ -1075,6 +1107,38 @@ namespace WellMonitor.Device.Services
             return legacyProperties.Any(prop => desired.Contains(prop));
         }
 
+        /// <summary>
+        /// Report the running camera configuration under reported.Camera, mirroring the desired.Camera layout
+        /// The device can't change desired properties, so an operator copies these into desired to keep them across restarts
+        /// </summary>
+        public async Task ReportCameraConfigurationAsync(DeviceClient deviceClient, CameraOptions cameraOptions, ILogger logger)
+        {
+            var reportedProperties = new TwinCollection
+            {
+                ["Camera"] = new
+                {
+                    cameraOptions.Width,
+                    cameraOptions.Height,
+                    cameraOptions.Quality,
+                    cameraOptions.TimeoutMs,
+                    cameraOptions.WarmupTimeMs,
+                    cameraOptions.Rotation,
+                    cameraOptions.Brightness,
+                    cameraOptions.Contrast,
+                    cameraOptions.Saturation,
+                    cameraOptions.Gain,
+                    cameraOptions.ShutterSpeedMicroseconds,
+                    cameraOptions.AutoExposure,
+                    cameraOptions.AutoWhiteBalance,
+                    ExposureMode = cameraOptions.ExposureMode.ToString()
+                },
+                ["cameraLastUpdateUtc"] = DateTime.UtcNow
+            };
+
+            await deviceClient.UpdateReportedPropertiesAsync(reportedProperties);
+            logger.LogInformation("Camera configuration reported to device twin");
+        }
+
         /// <summary>
         /// Updates the camera exposure mode configuration
         /// This method updates the runtime configuration but does not persist to device twin
@@ -0,0 +1,218 @@
+using System.Globalization;
+using System.Text.Json;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using WellMonitor.Device.Models;
+using WellMonitor.Shared.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Turns current readings into kWh by holding each reading until the next one,
+    /// then prices the energy with a flat or time-of-use tariff
+    /// </summary>
+    public class EnergyService : IEnergyService
+    {
+        // Energy is integrated from raw readings, so the range is capped to keep the query small on the Pi
+        private static readonly TimeSpan MaxRange = TimeSpan.FromDays(92);
+
+        // A reading is held for at most this long when the next one is missing
+        private static readonly TimeSpan MaxReadingGap = TimeSpan.FromMinutes(10);
+
+        private const string StandardRateName = "Standard";
+
+        private readonly ILogger<EnergyService> _logger;
+        private readonly IDatabaseService _databaseService;
+        private readonly PumpStatusAnalyzer _pumpStatusAnalyzer;
+        private readonly EnergyOptions _defaultOptions;
+
+        public EnergyService(
+            ILogger<EnergyService> logger,
+            IDatabaseService databaseService,
+            PumpStatusAnalyzer pumpStatusAnalyzer,
+            IOptions<EnergyOptions> defaultOptions)
+        {
+            _logger = logger;
+            _databaseService = databaseService;
+            _pumpStatusAnalyzer = pumpStatusAnalyzer;
+            _defaultOptions = defaultOptions.Value;
+        }
+
+        public async Task<EnergyOptions> GetOptionsAsync()
+        {
+            var saved = await _databaseService.GetSettingAsync(EnergyOptions.SettingKey);
+            if (saved == null)
+            {
+                return _defaultOptions;
+            }
+
+            try
+            {
+                return JsonSerializer.Deserialize<EnergyOptions>(saved) ?? _defaultOptions;
+            }
+            catch (JsonException ex)
+            {
+                _logger.LogWarning(ex, "Saved energy settings are invalid, using configured defaults");
+                return _defaultOptions;
+            }
+        }
+
+        public async Task SaveOptionsAsync(EnergyOptions options)
+        {
+            Validate(options);
+
+            await _databaseService.SaveSettingAsync(EnergyOptions.SettingKey, JsonSerializer.Serialize(options));
+
+            _logger.LogInformation("Energy settings updated: {Voltage}V, PF={PowerFactor}, Tariff={Tariff}",
+                options.SupplyVoltage, options.PowerFactor, options.TariffType);
+        }
+
+        public async Task<EnergyReport> GetReportAsync(DateTime fromUtc, DateTime toUtc, string period, TimeSpan utcOffset)
+        {
+            if (toUtc <= fromUtc)
+            {
+                throw new ArgumentException("End of the range must be after its start");
+            }
+
+            if (toUtc - fromUtc > MaxRange)
+            {
+                throw new ArgumentException($"Energy reports are limited to {MaxRange.TotalDays} days");
+            }
+
+            if (period != EnergyPeriod.Day && period != EnergyPeriod.Week && period != EnergyPeriod.Month)
+            {
+                throw new ArgumentException($"Unknown report period '{period}'");
+            }
+
+            var options = await GetOptionsAsync();
+            var runningThreshold = _pumpStatusAnalyzer.GetPumpAnalysisOptions().IdleCurrentThreshold;
+
+            // Every period in the range gets a row, including periods without readings
+            var rows = new Dictionary<string, EnergyReportRow>();
+            for (var local = (fromUtc + utcOffset).Date; local < toUtc + utcOffset; local = local.AddDays(1))
+            {
+                var key = GetPeriodKey(local, period);
+                if (!rows.ContainsKey(key))
+                {
+                    rows[key] = new EnergyReportRow { Period = key };
+                }
+            }
+
+            var readings = (await _databaseService.GetReadingsAsync(fromUtc, toUtc))
+                .Where(r => r.Error == null)
+                .OrderBy(r => r.TimestampUtc)
+                .ToList();
+
+            for (var i = 0; i < readings.Count; i++)
+            {
+                var start = readings[i].TimestampUtc;
+                if (start >= toUtc)
+                {
+                    break;
+                }
+
+                var end = i + 1 < readings.Count ? readings[i + 1].TimestampUtc : toUtc;
+                if (end - start > MaxReadingGap)
+                {
+                    end = start + MaxReadingGap;
+                }
+
+                var hours = (end - start).TotalHours;
+                var kwh = options.ToKilowatts(readings[i].CurrentAmps) * hours;
+
+                // Intervals are at most a few minutes long, so each is priced and grouped by its start
+                var localStart = start + utcOffset;
+                var row = rows[GetPeriodKey(localStart, period)];
+                var (rateName, rate) = GetRate(options, localStart);
+
+                row.Kwh += kwh;
+                row.Cost += kwh * rate;
+                row.KwhByRate[rateName] = row.KwhByRate.GetValueOrDefault(rateName) + kwh;
+
+                if (readings[i].CurrentAmps >= runningThreshold)
+                {
+                    row.RunHours += hours;
+                }
+            }
+
+            var report = new EnergyReport
+            {
+                From = fromUtc,
+                To = toUtc,
+                Period = period,
+                Settings = options,
+                Rows = rows.Values.Select(row => new EnergyReportRow
+                {
+                    Period = row.Period,
+                    Kwh = Math.Round(row.Kwh, 3),
+                    Cost = Math.Round(row.Cost, 2),
+                    RunHours = Math.Round(row.RunHours, 2),
+                    KwhByRate = row.KwhByRate.ToDictionary(r => r.Key, r => Math.Round(r.Value, 3))
+                }).ToList()
+            };
+
+            report.TotalKwh = Math.Round(rows.Values.Sum(r => r.Kwh), 3);
+            report.TotalCost = Math.Round(rows.Values.Sum(r => r.Cost), 2);
+
+            _logger.LogDebug("Energy report {From} - {To} by {Period}: {Kwh} kWh from {Count} readings",
+                fromUtc, toUtc, period, report.TotalKwh, readings.Count);
+
+            return report;
+        }
+
+        private static string GetPeriodKey(DateTime local, string period)
+        {
+            return period switch
+            {
+                EnergyPeriod.Week => local.Date.AddDays(-(((int)local.DayOfWeek + 6) % 7)).ToString("yyyy-MM-dd", CultureInfo.InvariantCulture),
+                EnergyPeriod.Month => local.ToString("yyyy-MM", CultureInfo.InvariantCulture),
+                _ => local.ToString("yyyy-MM-dd", CultureInfo.InvariantCulture)
+            };
+        }
+
+        private static (string Name, double Rate) GetRate(EnergyOptions options, DateTime local)
+        {
+            if (options.TariffType == EnergyTariffType.TimeOfUse)
+            {
+                var rate = options.TimeOfUseRates.FirstOrDefault(r => r.Covers(local));
+                if (rate != null)
+                {
+                    return (rate.Name, rate.RatePerKwh);
+                }
+
+                return (StandardRateName, options.FlatRatePerKwh);
+            }
+
+            return (EnergyTariffType.Flat, options.FlatRatePerKwh);
+        }
+
+        private static void Validate(EnergyOptions options)
+        {
+            options.TimeOfUseRates ??= new();
+
+            if (options.SupplyVoltage < 90 || options.SupplyVoltage > 600)
+                throw new ArgumentException("Supply voltage must be between 90 and 600 V");
+
+            if (options.PowerFactor <= 0 || options.PowerFactor > 1)
+                throw new ArgumentException("Power factor must be greater than 0 and at most 1");
+
+            if (options.TariffType != EnergyTariffType.Flat && options.TariffType != EnergyTariffType.TimeOfUse)
+                throw new ArgumentException($"Tariff type must be {EnergyTariffType.Flat} or {EnergyTariffType.TimeOfUse}");
+
+            if (options.FlatRatePerKwh < 0)
+                throw new ArgumentException("Rate per kWh cannot be negative");
+
+            foreach (var rate in options.TimeOfUseRates)
+            {
+                if (string.IsNullOrWhiteSpace(rate.Name))
+                    throw new ArgumentException("Time-of-use rates need a name");
+
+                if (rate.StartHour < 0 || rate.StartHour > 23 || rate.EndHour < 1 || rate.EndHour > 24 || rate.StartHour == rate.EndHour)
+                    throw new ArgumentException($"Time-of-use rate '{rate.Name}' needs a start hour of 0-23 and a different end hour of 1-24");
+
+                if (rate.RatePerKwh < 0)
+                    throw new ArgumentException($"Time-of-use rate '{rate.Name}' cannot be negative");
+            }
+        }
+    }
+}
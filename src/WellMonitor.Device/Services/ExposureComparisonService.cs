@@ -0,0 +1,244 @@
+using System.Diagnostics;
+using System.Globalization;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using WellMonitor.Device.Models;
+using WellMonitor.Shared.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Runs exposure A/B comparisons: one still per settings variant, each read through the ROI test pipeline
+    /// Frames are ranked by whether they read the display correctly, then by OCR confidence
+    /// </summary>
+    public class ExposureComparisonService : IExposureComparisonService
+    {
+        // Each capture takes a few seconds and holds the camera, so batches stay small
+        public const int MaxVariants = 12;
+
+        private readonly ILogger<ExposureComparisonService> _logger;
+        private readonly ICameraService _cameraService;
+        private readonly IRoiTestService _roiTestService;
+        private readonly IRuntimeConfigurationService _runtimeConfigurationService;
+        private readonly IOptionsMonitor<CameraOptions> _cameraOptions;
+        private readonly IOptionsMonitor<RegionOfInterestOptions> _roiOptions;
+
+        private readonly SemaphoreSlim _runLock = new(1, 1);
+        private ExposureComparisonResult? _lastResult;
+
+        public ExposureComparisonService(
+            ILogger<ExposureComparisonService> logger,
+            ICameraService cameraService,
+            IRoiTestService roiTestService,
+            IRuntimeConfigurationService runtimeConfigurationService,
+            IOptionsMonitor<CameraOptions> cameraOptions,
+            IOptionsMonitor<RegionOfInterestOptions> roiOptions)
+        {
+            _logger = logger;
+            _cameraService = cameraService;
+            _roiTestService = roiTestService;
+            _runtimeConfigurationService = runtimeConfigurationService;
+            _cameraOptions = cameraOptions;
+            _roiOptions = roiOptions;
+        }
+
+        public async Task<ExposureComparisonResult> RunAsync(ExposureComparisonRequest request, CancellationToken cancellationToken = default)
+        {
+            if (request.Variants.Count == 0)
+                throw new ArgumentException("Choose at least one camera setting to compare");
+            if (request.Variants.Count > MaxVariants)
+                throw new ArgumentException($"At most {MaxVariants} variants can be compared at once");
+
+            var roi = request.Roi ?? _roiOptions.CurrentValue.RoiPercent;
+            if (!roi.IsValid())
+                throw new ArgumentException($"ROI is out of bounds: {roi}");
+
+            // Validate everything first so a typo in the last variant doesn't waste a minute of captures
+            var current = _cameraOptions.CurrentValue;
+            var variants = request.Variants.Select(v => (Settings: v, Options: BuildCameraOptions(v, current))).ToList();
+
+            if (!await _runLock.WaitAsync(0, cancellationToken))
+                throw new InvalidOperationException("An exposure comparison is already running");
+
+            try
+            {
+                var result = new ExposureComparisonResult
+                {
+                    StartedUtc = DateTime.UtcNow,
+                    Roi = roi,
+                    ExpectedReading = string.IsNullOrWhiteSpace(request.ExpectedReading) ? null : request.ExpectedReading.Trim()
+                };
+
+                var debugDirectory = current.GetDebugImageDirectory();
+                Directory.CreateDirectory(debugDirectory);
+                var batch = result.StartedUtc.ToString("yyyyMMdd_HHmmss", CultureInfo.InvariantCulture);
+
+                for (var i = 0; i < variants.Count; i++)
+                {
+                    cancellationToken.ThrowIfCancellationRequested();
+
+                    var (settings, options) = variants[i];
+                    var frame = new ExposureComparisonFrame
+                    {
+                        Settings = settings,
+                        Label = Describe(settings)
+                    };
+                    var stopwatch = Stopwatch.StartNew();
+
+                    try
+                    {
+                        var imageBytes = await _cameraService.CaptureImageAsync(options);
+                        frame.ImageFile = $"compare_{batch}_{i + 1:D2}.jpg";
+                        await File.WriteAllBytesAsync(Path.Combine(debugDirectory, frame.ImageFile), imageBytes, cancellationToken);
+
+                        var test = await _roiTestService.TestRoiAsync(imageBytes, roi, cancellationToken);
+                        frame.ProcessedImageFile = test.ProcessedImageFile;
+                        frame.Text = test.Ocr == null ? null
+                            : string.IsNullOrEmpty(test.Ocr.ProcessedText) ? test.Ocr.RawText : test.Ocr.ProcessedText;
+                        frame.Confidence = test.Ocr?.Confidence ?? 0;
+                        frame.Reading = test.Success ? NormalizeReading(test.ParsedReading) : null;
+                        frame.PumpStatus = test.AnalyzedStatus.ToString();
+                        frame.Error = test.ErrorMessage;
+                    }
+                    catch (Exception ex) when (ex is not OperationCanceledException)
+                    {
+                        _logger.LogWarning(ex, "Exposure comparison capture failed for {Label}", frame.Label);
+                        frame.Error = ex.Message;
+                    }
+
+                    frame.DurationMs = stopwatch.ElapsedMilliseconds;
+                    result.Frames.Add(frame);
+                }
+
+                result.ReferenceReading = Rank(result.Frames, result.ExpectedReading);
+                result.CompletedUtc = DateTime.UtcNow;
+                _lastResult = result;
+
+                var best = result.Frames[0];
+                _logger.LogInformation("Exposure comparison of {Count} variants finished; best is {Label} ({Confidence:P0}, correct: {Correct})",
+                    result.Frames.Count, best.Label, best.Confidence, best.Correct);
+
+                return result;
+            }
+            finally
+            {
+                _runLock.Release();
+            }
+        }
+
+        public ExposureComparisonResult? GetLastResult() => _lastResult;
+
+        public async Task<CameraOptions> ApplyAsync(CameraSetupSettings settings)
+        {
+            var options = BuildCameraOptions(settings, _cameraOptions.CurrentValue);
+            await _runtimeConfigurationService.UpdateCameraOptionsAsync(options);
+
+            _logger.LogInformation("Applied exposure comparison winner: {Label}", Describe(settings));
+            return options;
+        }
+
+        /// <summary>
+        /// Mark each frame correct or not and sort best first
+        /// Returns the reading frames were compared with: the expected reading, else the one most frames agree on
+        /// </summary>
+        public static string? Rank(List<ExposureComparisonFrame> frames, string? expectedReading)
+        {
+            var reference = NormalizeExpected(expectedReading);
+
+            if (reference == null)
+            {
+                // Without an expected value, a reading counts as correct when at least two frames agree on it
+                reference = frames
+                    .Where(f => f.Reading != null)
+                    .GroupBy(f => f.Reading!)
+                    .Where(g => g.Count() >= 2)
+                    .OrderByDescending(g => g.Count())
+                    .ThenByDescending(g => g.Max(f => f.Confidence))
+                    .Select(g => g.Key)
+                    .FirstOrDefault();
+            }
+
+            foreach (var frame in frames)
+            {
+                frame.Correct = reference == null ? null
+                    : string.Equals(frame.Reading, reference, StringComparison.OrdinalIgnoreCase);
+            }
+
+            var ranked = frames
+                .OrderBy(f => f.Correct switch { true => 0, null => 1, false => 2 })
+                .ThenBy(f => f.Error != null && f.Reading == null)
+                .ThenByDescending(f => f.Confidence)
+                .ToList();
+
+            frames.Clear();
+            frames.AddRange(ranked);
+            for (var i = 0; i < frames.Count; i++)
+            {
+                frames[i].Rank = i + 1;
+            }
+
+            return reference;
+        }
+
+        private static string? NormalizeReading(PumpReading? reading)
+        {
+            if (reading == null || !reading.IsValid)
+            {
+                return null;
+            }
+
+            if (reading.CurrentAmps.HasValue)
+            {
+                return reading.CurrentAmps.Value.ToString("0.0", CultureInfo.InvariantCulture);
+            }
+
+            return reading.Status != PumpStatus.Unknown ? reading.Status.ToString() : null;
+        }
+
+        private static string? NormalizeExpected(string? expected)
+        {
+            if (string.IsNullOrWhiteSpace(expected))
+            {
+                return null;
+            }
+
+            expected = expected.Trim();
+
+            if (double.TryParse(expected, NumberStyles.Float, CultureInfo.InvariantCulture, out var amps))
+            {
+                return amps.ToString("0.0", CultureInfo.InvariantCulture);
+            }
+
+            return Enum.TryParse<PumpStatus>(expected, true, out var status) ? status.ToString() : expected;
+        }
+
+        private static CameraOptions BuildCameraOptions(CameraSetupSettings settings, CameraOptions current)
+        {
+            var options = settings.ApplyTo(current);
+
+            var validation = new ConfigurationValidationService().ValidateCameraConfiguration(options);
+            if (!validation.IsValid)
+                throw new ArgumentException($"{Describe(settings)}: {validation.GetErrorSummary()}");
+
+            return options;
+        }
+
+        private static string Describe(CameraSetupSettings settings)
+        {
+            var parts = new List<string>();
+
+            if (!string.IsNullOrEmpty(settings.ExposureMode))
+                parts.Add(settings.ExposureMode);
+            if (settings.Brightness != null)
+                parts.Add($"brightness {settings.Brightness}");
+            if (settings.Contrast != null)
+                parts.Add($"contrast {settings.Contrast}");
+            if (settings.Gain != null)
+                parts.Add(FormattableString.Invariant($"gain {settings.Gain:0.0#}"));
+            if (settings.ShutterSpeedMicroseconds != null)
+                parts.Add(settings.ShutterSpeedMicroseconds == 0 ? "auto shutter" : $"shutter {settings.ShutterSpeedMicroseconds}µs");
+
+            return parts.Count > 0 ? string.Join(", ", parts) : "Current settings";
+        }
+    }
+}
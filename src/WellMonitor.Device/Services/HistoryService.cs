@@ -0,0 +1,151 @@
+using System.Globalization;
+using Microsoft.Extensions.Logging;
+using WellMonitor.Device.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Serves current draw history from raw readings for short ranges and from the
+    /// hourly, daily and monthly summary tables for long ranges to keep queries fast on the Pi
+    /// </summary>
+    public class HistoryService : IHistoryService
+    {
+        private static readonly TimeSpan MaxRawSpan = TimeSpan.FromDays(2);
+        private static readonly TimeSpan MaxHourlySpan = TimeSpan.FromDays(45);
+        private static readonly TimeSpan MaxDailySpan = TimeSpan.FromDays(730);
+
+        private readonly ILogger<HistoryService> _logger;
+        private readonly IDatabaseService _databaseService;
+        private readonly IEnergyService _energyService;
+        private readonly ISummaryRollupService _summaryRollupService;
+
+        public HistoryService(
+            ILogger<HistoryService> logger,
+            IDatabaseService databaseService,
+            IEnergyService energyService,
+            ISummaryRollupService summaryRollupService)
+        {
+            _logger = logger;
+            _databaseService = databaseService;
+            _energyService = energyService;
+            _summaryRollupService = summaryRollupService;
+        }
+
+        public string GetResolution(TimeSpan span)
+        {
+            if (span <= MaxRawSpan) return HistoryResolution.Raw;
+            if (span <= MaxHourlySpan) return HistoryResolution.Hourly;
+            if (span <= MaxDailySpan) return HistoryResolution.Daily;
+            return HistoryResolution.Monthly;
+        }
+
+        public async Task<HistoryResult> GetHistoryAsync(DateTime fromUtc, DateTime toUtc)
+        {
+            if (toUtc <= fromUtc)
+            {
+                throw new ArgumentException("End of the history range must be after its start");
+            }
+
+            var result = new HistoryResult
+            {
+                From = fromUtc,
+                To = toUtc,
+                Resolution = GetResolution(toUtc - fromUtc)
+            };
+
+            if (result.Resolution == HistoryResolution.Raw)
+            {
+                var readings = await _databaseService.GetReadingsAsync(fromUtc, toUtc);
+                result.Points = readings.Select(r => new HistoryPoint
+                {
+                    // SQLite returns unspecified kinds; mark them UTC so clients don't read them as local time
+                    Timestamp = DateTime.SpecifyKind(r.TimestampUtc, DateTimeKind.Utc),
+                    CurrentDraw = r.CurrentAmps,
+                    Status = r.Status
+                }).ToList();
+            }
+            else
+            {
+                var buckets = await GetSummaryBucketsAsync(result.Resolution, fromUtc, toUtc);
+
+                // Average current is derived with the energy report's supply settings so both pages agree
+                var energyOptions = await _energyService.GetOptionsAsync();
+                result.Points = buckets.Select(b => CreateSummaryPoint(
+                    b.Start, GetNextPeriodStart(b.Start, result.Resolution) - b.Start, b.TotalKwh, b.PumpCycles, energyOptions)).ToList();
+            }
+
+            _logger.LogDebug("History {From} - {To}: {Count} {Resolution} points",
+                fromUtc, toUtc, result.Points.Count, result.Resolution);
+
+            return result;
+        }
+
+        /// <summary>
+        /// Saved summaries for the range, followed by buckets built from raw readings for the periods after
+        /// the last saved one, so recent hours and data the rollup hasn't reached yet still show up
+        /// </summary>
+        private async Task<List<(DateTime Start, double TotalKwh, int? PumpCycles)>> GetSummaryBucketsAsync(
+            string resolution, DateTime fromUtc, DateTime toUtc)
+        {
+            var buckets = resolution switch
+            {
+                HistoryResolution.Hourly => (await _databaseService.GetHourlySummariesAsync(fromUtc, toUtc))
+                    .Select(s => (ParseKey(s.DateHour, "yyyy-MM-dd HH"), s.TotalKwh, (int?)s.PumpCycles)).ToList(),
+                HistoryResolution.Daily => (await _databaseService.GetDailySummariesAsync(fromUtc, toUtc))
+                    .Select(s => (ParseKey(s.Date, "yyyy-MM-dd"), s.TotalKwh, (int?)s.PumpCycles)).ToList(),
+                _ => (await _databaseService.GetMonthlySummariesAsync(fromUtc, toUtc))
+                    .Select(s => (ParseKey(s.Month, "yyyy-MM"), s.TotalKwh, (int?)null)).ToList()
+            };
+
+            var summarizedUntil = buckets.Count > 0 ? GetNextPeriodStart(buckets[^1].Item1, resolution) : fromUtc;
+            if (summarizedUntil < toUtc)
+            {
+                var hours = await _summaryRollupService.AggregateHoursAsync(summarizedUntil, toUtc);
+                buckets.AddRange(hours
+                    .GroupBy(h => GetPeriodStart(ParseKey(h.DateHour, "yyyy-MM-dd HH"), resolution))
+                    .Select(g => (g.Key, Math.Round(g.Sum(h => h.TotalKwh), 3),
+                        resolution == HistoryResolution.Monthly ? (int?)null : g.Sum(h => h.PumpCycles))));
+            }
+
+            return buckets;
+        }
+
+        // Summaries only store energy, so the average current is derived from it
+        private static HistoryPoint CreateSummaryPoint(DateTime start, TimeSpan period, double totalKwh, int? pumpCycles, EnergyOptions energyOptions)
+        {
+            return new HistoryPoint
+            {
+                Timestamp = start,
+                CurrentDraw = Math.Round(totalKwh / period.TotalHours / energyOptions.ToKilowatts(1), 3),
+                TotalKwh = totalKwh,
+                PumpCycles = pumpCycles
+            };
+        }
+
+        private static DateTime GetPeriodStart(DateTime hour, string resolution)
+        {
+            return resolution switch
+            {
+                HistoryResolution.Hourly => hour,
+                HistoryResolution.Daily => hour.Date,
+                _ => new DateTime(hour.Year, hour.Month, 1, 0, 0, 0, DateTimeKind.Utc)
+            };
+        }
+
+        private static DateTime GetNextPeriodStart(DateTime start, string resolution)
+        {
+            return resolution switch
+            {
+                HistoryResolution.Hourly => start.AddHours(1),
+                HistoryResolution.Daily => start.AddDays(1),
+                _ => start.AddMonths(1)
+            };
+        }
+
+        private static DateTime ParseKey(string key, string format)
+        {
+            return DateTime.ParseExact(key, format, CultureInfo.InvariantCulture,
+                DateTimeStyles.AssumeUniversal | DateTimeStyles.AdjustToUniversal);
+        }
+    }
+}
@@ -0,0 +1,46 @@
+using WellMonitor.Device.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Server-side alert state shared by every dashboard: raising, resolving, acknowledging and snoozing alerts
+    /// </summary>
+    public interface IAlertService
+    {
+        /// <summary>
+        /// Raise an alert of the given type, or bump the active one if the condition is already alerted
+        /// </summary>
+        Task<DeviceAlert> RaiseAsync(string type, string severity, string title, string message);
+
+        /// <summary>
+        /// Resolve the active alert of the given type, if there is one
+        /// </summary>
+        Task ResolveAsync(string type, string? note = null);
+
+        /// <summary>
+        /// Acknowledge an alert; returns null when the alert does not exist
+        /// Throws InvalidOperationException when the alert is already resolved
+        /// </summary>
+        Task<DeviceAlert?> AcknowledgeAsync(int alertId, string user, string? note = null);
+
+        /// <summary>
+        /// Hide an alert from the attention count for a while; returns null when the alert does not exist
+        /// Throws InvalidOperationException when the alert is already resolved
+        /// </summary>
+        Task<DeviceAlert?> SnoozeAsync(int alertId, TimeSpan duration, string user);
+
+        /// <summary>
+        /// Active or resolved alerts, newest first, optionally filtered by severity and type
+        /// </summary>
+        Task<IEnumerable<DeviceAlert>> GetAlertsAsync(bool resolved, string? severity = null, string? type = null, int limit = 100);
+
+        Task<DeviceAlert?> GetAlertAsync(int alertId);
+
+        /// <summary>
+        /// Timeline of an alert, oldest first
+        /// </summary>
+        Task<IEnumerable<DeviceAlertEvent>> GetTimelineAsync(int alertId);
+
+        Task<AlertSummary> GetSummaryAsync();
+    }
+}
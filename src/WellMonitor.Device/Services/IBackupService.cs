@@ -0,0 +1,33 @@
+using WellMonitor.Device.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Backup bundles of the database and running configuration, for moving a monitor to a replacement device
+    /// </summary>
+    public interface IBackupService
+    {
+        /// <summary>
+        /// Zip of the manifest, a database snapshot, the running configuration and the local twin file;
+        /// it is a temporary file that is deleted when the stream is closed
+        /// </summary>
+        Task<Stream> CreateBackupAsync(CancellationToken cancellationToken = default);
+
+        /// <summary>
+        /// Check the bundle, then replace the database and apply its configuration;
+        /// throws InvalidDataException before changing anything when the bundle can't be restored
+        /// </summary>
+        Task<BackupRestoreResult> RestoreAsync(Stream bundle, CancellationToken cancellationToken = default);
+
+        /// <summary>
+        /// Apply the configuration saved by the last restore, if any; called at startup after the device twin is loaded
+        /// </summary>
+        /// <returns>True when a saved configuration was applied</returns>
+        Task<bool> ApplySavedConfigurationAsync();
+
+        /// <summary>
+        /// Forget the configuration saved by the last restore, once the device twin has been applied in its place
+        /// </summary>
+        Task ClearSavedConfigurationAsync();
+    }
+}
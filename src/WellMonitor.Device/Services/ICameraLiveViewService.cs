@@ -0,0 +1,66 @@
+using System.Threading.Channels;
+using WellMonitor.Device.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Streams MJPEG frames from the camera to dashboard viewers and shares the camera with still captures
+    /// </summary>
+    public interface ICameraLiveViewService
+    {
+        LiveViewOptions Options { get; }
+
+        LiveViewStatus GetStatus();
+
+        /// <summary>
+        /// Join the live view, starting the camera stream if needed
+        /// Settings apply to every viewer; the latest request wins
+        /// Throws InvalidOperationException when the camera stream can't be started
+        /// </summary>
+        Task<LiveViewSubscription> SubscribeAsync(int? width, int? height, int? framesPerSecond, CancellationToken cancellationToken = default);
+
+        /// <summary>
+        /// Exclusive use of the camera for a still capture
+        /// The live view pauses until the returned lease is disposed, so monitoring captures never fail on a busy camera
+        /// </summary>
+        Task<IAsyncDisposable> AcquireCameraAsync(CancellationToken cancellationToken = default);
+    }
+
+    /// <summary>
+    /// One viewer's frame feed; slow viewers skip frames instead of buffering them
+    /// Dispose to leave the live view
+    /// </summary>
+    public sealed class LiveViewSubscription : IAsyncDisposable
+    {
+        private readonly Channel<byte[]> _frames = Channel.CreateBounded<byte[]>(new BoundedChannelOptions(1)
+        {
+            FullMode = BoundedChannelFullMode.DropOldest,
+            SingleReader = true
+        });
+
+        private readonly Func<LiveViewSubscription, Task> _unsubscribe;
+        private int _disposed;
+
+        internal LiveViewSubscription(Func<LiveViewSubscription, Task> unsubscribe)
+        {
+            _unsubscribe = unsubscribe;
+        }
+
+        /// <summary>
+        /// JPEG frames; completes when the stream stops
+        /// </summary>
+        public ChannelReader<byte[]> Frames => _frames.Reader;
+
+        internal void Post(byte[] frame) => _frames.Writer.TryWrite(frame);
+
+        internal void Complete() => _frames.Writer.TryComplete();
+
+        public async ValueTask DisposeAsync()
+        {
+            if (Interlocked.Exchange(ref _disposed, 1) == 0)
+            {
+                await _unsubscribe(this);
+            }
+        }
+    }
+}
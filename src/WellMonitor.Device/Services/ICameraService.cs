@@ -7,6 +7,7 @@ namespace WellMonitor.Device.Services
     public interface ICameraService
     {
         Task<byte[]> CaptureImageAsync();
+        Task<byte[]> CaptureImageAsync(CameraOptions cameraOptions);
         Task<CameraOptions?> GetCurrentConfigurationAsync();
         Task<CameraOperationResult> CaptureTestImageAsync();
     }
@@ -0,0 +1,18 @@
+using WellMonitor.Device.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Reads and live-updates the full camera configuration for the dashboard settings form
+    /// </summary>
+    public interface ICameraSettingsService
+    {
+        CameraSettings GetSettings();
+
+        /// <summary>
+        /// Validate and apply the settings at runtime; optionally report them to the device twin
+        /// Validation failures are returned in the result rather than thrown
+        /// </summary>
+        Task<CameraSettingsUpdateResult> UpdateAsync(CameraSettings settings, bool reportToDeviceTwin);
+    }
+}
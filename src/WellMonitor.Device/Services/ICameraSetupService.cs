@@ -0,0 +1,22 @@
+using WellMonitor.Device.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Backs the guided camera setup wizard: captures a frame with draft settings and scores it
+    /// </summary>
+    public interface ICameraSetupService
+    {
+        /// <summary>
+        /// Capture a frame with the draft camera settings and run the setup checks against the ROI
+        /// Nothing is applied; unset arguments fall back to the current configuration
+        /// </summary>
+        Task<CameraSetupAnalysis> AnalyzeAsync(RoiCoordinates? roi, CameraSetupSettings? settings, bool runOcr, CancellationToken cancellationToken = default);
+
+        /// <summary>
+        /// Save the ROI as a profile version and apply the camera settings together
+        /// Both are validated before either is changed
+        /// </summary>
+        Task<RoiProfile> SaveAsync(string profileName, RoiCoordinates roi, CameraSetupSettings? settings, string savedBy, string? sourceImage);
+    }
+}
@@ -0,0 +1,38 @@
+using WellMonitor.Device.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Local dashboard accounts: the admin configured with Web:AuthUsername/AuthPassword plus users kept in the database
+    /// </summary>
+    public interface IDashboardUserService
+    {
+        /// <summary>
+        /// Check a login; returns null for an unknown user or a wrong password
+        /// </summary>
+        Task<DashboardUserView?> ValidateCredentialsAsync(string username, string password);
+
+        /// <summary>
+        /// Current account for a signed-in user, or null once it has been deleted
+        /// </summary>
+        Task<DashboardUserView?> GetUserAsync(string username);
+
+        Task<IEnumerable<DashboardUserView>> GetUsersAsync();
+
+        /// <summary>
+        /// Invalid values throw ArgumentException; a taken username throws InvalidOperationException
+        /// </summary>
+        Task<DashboardUserView> CreateUserAsync(string username, string password, string role);
+
+        /// <summary>
+        /// Change the role and/or reset the password; null leaves it unchanged
+        /// Throws KeyNotFoundException for an unknown id and InvalidOperationException when it would remove the last admin
+        /// </summary>
+        Task<DashboardUserView> UpdateUserAsync(int userId, string? role, string? password);
+
+        /// <summary>
+        /// Throws KeyNotFoundException for an unknown id and InvalidOperationException when it would remove the last admin
+        /// </summary>
+        Task DeleteUserAsync(int userId);
+    }
+}
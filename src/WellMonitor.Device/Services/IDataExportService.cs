@@ -0,0 +1,20 @@
+using WellMonitor.Device.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Exports readings, relay actions and energy summaries as CSV, JSON or Parquet
+    /// </summary>
+    public interface IDataExportService
+    {
+        /// <summary>
+        /// Download name and content type of the export; throws ArgumentException for an unknown dataset, format or an empty range
+        /// </summary>
+        DataExportFile GetExportFile(DataExportRequest request);
+
+        /// <summary>
+        /// Write the export to the stream as rows are read from the database and return how many rows it holds
+        /// </summary>
+        Task<int> ExportAsync(DataExportRequest request, Stream output, CancellationToken cancellationToken = default);
+    }
+}
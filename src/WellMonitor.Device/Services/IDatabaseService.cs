@@ -2,6 +2,7 @@ using System;
 using System.Collections.Generic;
 using System.Threading.Tasks;
 using WellMonitor.Shared.Models;
+using WellMonitor.Device.Models;
 
 namespace WellMonitor.Device.Services
 {
@@ -19,6 +20,7 @@ namespace WellMonitor.Device.Services
         Task AddRelayActionLogAsync(RelayActionLog log);
         Task<IEnumerable<RelayActionLog>> GetUnsentRelayActionLogsAsync();
         Task MarkRelayActionLogAsSentAsync(int logId);
+        Task<IEnumerable<RelayActionLog>> GetRelayActionLogsAsync(DateTime? sinceUtc, int limit);
         
         // Summary operations
         Task<HourlySummary?> GetHourlySummaryAsync(DateTime hourUtc);
@@ -27,6 +29,69 @@ namespace WellMonitor.Device.Services
         Task SaveDailySummaryAsync(DailySummary summary);
         Task<MonthlySummary?> GetMonthlySummaryAsync(DateTime monthUtc);
         Task SaveMonthlySummaryAsync(MonthlySummary summary);
+        Task<IEnumerable<HourlySummary>> GetHourlySummariesAsync(DateTime fromUtc, DateTime toUtc);
+        Task<IEnumerable<DailySummary>> GetDailySummariesAsync(DateTime fromUtc, DateTime toUtc);
+        Task<IEnumerable<MonthlySummary>> GetMonthlySummariesAsync(DateTime fromUtc, DateTime toUtc);
+        
+        // ROI profile operations
+        Task AddRoiProfileAsync(RoiProfile profile);
+        Task<IEnumerable<RoiProfile>> GetRoiProfilesAsync();
+        Task<RoiProfile?> GetRoiProfileAsync(int profileId);
+        Task<RoiProfile?> GetActiveRoiProfileAsync();
+        Task<int> GetLatestRoiProfileVersionAsync(string name);
+        Task SetActiveRoiProfileAsync(int profileId);
+        
+        // Alert operations
+        Task AddAlertAsync(DeviceAlert alert);
+        Task UpdateAlertAsync(DeviceAlert alert);
+        Task<DeviceAlert?> GetAlertAsync(int alertId);
+        Task<DeviceAlert?> GetActiveAlertAsync(string type);
+        Task<IEnumerable<DeviceAlert>> GetAlertsAsync(bool resolved, int limit, string? severity = null, string? type = null);
+        Task AddAlertEventAsync(DeviceAlertEvent alertEvent);
+        Task<IEnumerable<DeviceAlertEvent>> GetAlertEventsAsync(int alertId);
+        
+        // Push subscription operations
+        Task<IEnumerable<PushSubscription>> GetPushSubscriptionsAsync();
+        Task<PushSubscription?> GetPushSubscriptionAsync(string endpoint);
+        Task SavePushSubscriptionAsync(PushSubscription subscription);
+        Task<bool> DeletePushSubscriptionAsync(string endpoint);
+        
+        // OCR label operations
+        Task<IEnumerable<OcrLabel>> GetOcrLabelsAsync();
+        Task<OcrLabel?> GetOcrLabelAsync(int labelId);
+        Task<OcrLabel?> GetOcrLabelBySourceImageAsync(string sourceImage);
+        Task SaveOcrLabelAsync(OcrLabel label);
+        Task<bool> DeleteOcrLabelAsync(int labelId);
+        Task AddOcrEvaluationsAsync(IEnumerable<OcrEvaluation> evaluations);
+        Task<IEnumerable<OcrEvaluation>> GetOcrEvaluationsAsync(DateTime? sinceUtc);
+        
+        // Dashboard user operations
+        Task<IEnumerable<DashboardUser>> GetDashboardUsersAsync();
+        Task<DashboardUser?> GetDashboardUserAsync(int userId);
+        Task<DashboardUser?> GetDashboardUserByNameAsync(string username);
+        Task SaveDashboardUserAsync(DashboardUser user);
+        Task<bool> DeleteDashboardUserAsync(int userId);
+        
+        // System health operations
+        Task AddSystemHealthSampleAsync(SystemHealthSample sample);
+        Task<IEnumerable<SystemHealthSample>> GetSystemHealthSamplesAsync(DateTime from, DateTime to);
+        Task<int> CleanupOldSystemHealthSamplesAsync(DateTime cutoffDate);
+        
+        // Export operations, streamed so large ranges aren't loaded at once
+        IAsyncEnumerable<Reading> StreamReadingsAsync(DateTime fromUtc, DateTime toUtc);
+        IAsyncEnumerable<RelayActionLog> StreamRelayActionLogsAsync(DateTime fromUtc, DateTime toUtc);
+        IAsyncEnumerable<HourlySummary> StreamHourlySummariesAsync(DateTime fromUtc, DateTime toUtc);
+        IAsyncEnumerable<DailySummary> StreamDailySummariesAsync(DateTime fromUtc, DateTime toUtc);
+        IAsyncEnumerable<MonthlySummary> StreamMonthlySummariesAsync(DateTime fromUtc, DateTime toUtc);
+        
+        // Backup operations
+        Task BackupDatabaseAsync(string destinationPath);
+        Task RestoreDatabaseAsync(string sourcePath);
+        
+        // Device setting operations
+        Task<string?> GetSettingAsync(string key);
+        Task SaveSettingAsync(string key, string value);
+        Task DeleteSettingAsync(string key);
         
         // Data cleanup operations
         Task CleanupOldReadingsAsync(DateTime cutoffDate);
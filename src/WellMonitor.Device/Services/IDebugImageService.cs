@@ -0,0 +1,27 @@
+using WellMonitor.Device.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Lists, describes and cleans up the images in the debug image directory
+    /// </summary>
+    public interface IDebugImageService
+    {
+        /// <summary>
+        /// One page of images matching the query, newest first
+        /// </summary>
+        DebugImagePage GetImages(DebugImageQuery query);
+
+        /// <summary>
+        /// Details of one image and the other images saved from the same capture; null when the file doesn't exist
+        /// </summary>
+        DebugImageMetadata? GetMetadata(string filename);
+
+        DebugImageStats GetStats();
+
+        /// <summary>
+        /// Deletes images last written more than keepDays ago; subfolders such as the OCR dataset are left alone
+        /// </summary>
+        DebugImageCleanupResult DeleteImagesOlderThan(int keepDays);
+    }
+}
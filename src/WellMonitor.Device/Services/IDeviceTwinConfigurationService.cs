@@ -0,0 +1,29 @@
+using WellMonitor.Device.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Compares device twin properties with the running options and applies the twin on demand
+    /// </summary>
+    public interface IDeviceTwinConfigurationService
+    {
+        /// <summary>
+        /// Desired, reported and effective values for each runtime options class
+        /// A twin that can't be read is reported in TwinError rather than thrown
+        /// </summary>
+        Task<DeviceTwinConfigurationView> GetConfigurationAsync(CancellationToken cancellationToken = default);
+
+        /// <summary>
+        /// Read the twin and apply the desired camera, OCR, debug and web settings, as at startup
+        /// Failures are recorded in the returned status; throws InvalidOperationException while another sync is running
+        /// </summary>
+        Task<DeviceTwinSyncStatus> SyncAsync(string trigger, CancellationToken cancellationToken = default);
+
+        DeviceTwinSyncStatus GetSyncStatus();
+
+        /// <summary>
+        /// Record a sync that ran elsewhere, e.g. the startup load from IoT Hub
+        /// </summary>
+        void RecordSync(string trigger, string? error);
+    }
+}
@@ -0,0 +1,20 @@
+using WellMonitor.Device.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Where the configuration page and a forced sync read the device twin from
+    /// </summary>
+    public interface IDeviceTwinSource
+    {
+        /// <summary>
+        /// Shown on the configuration page, e.g. "Azure IoT Hub"
+        /// </summary>
+        string Name { get; }
+
+        /// <summary>
+        /// Read the desired and reported properties; throws when the twin can't be reached
+        /// </summary>
+        Task<DeviceTwinDocument> GetTwinAsync(CancellationToken cancellationToken = default);
+    }
+}
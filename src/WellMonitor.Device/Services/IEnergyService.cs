@@ -0,0 +1,26 @@
+using WellMonitor.Device.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Integrates current readings into energy use and estimated cost
+    /// </summary>
+    public interface IEnergyService
+    {
+        /// <summary>
+        /// Current energy settings: saved dashboard settings, or the configured defaults
+        /// </summary>
+        Task<EnergyOptions> GetOptionsAsync();
+
+        /// <summary>
+        /// Validate and save energy settings; throws ArgumentException for invalid values
+        /// </summary>
+        Task SaveOptionsAsync(EnergyOptions options);
+
+        /// <summary>
+        /// Energy and cost per day, week or month between two UTC times
+        /// Periods and time-of-use windows use the given offset from UTC
+        /// </summary>
+        Task<EnergyReport> GetReportAsync(DateTime fromUtc, DateTime toUtc, string period, TimeSpan utcOffset);
+    }
+}
@@ -0,0 +1,26 @@
+using WellMonitor.Device.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Captures the display with several camera settings and ranks them by OCR result
+    /// </summary>
+    public interface IExposureComparisonService
+    {
+        /// <summary>
+        /// Capture and OCR one frame per variant; all variants are validated before the first capture
+        /// Only one comparison runs at a time (InvalidOperationException otherwise)
+        /// </summary>
+        Task<ExposureComparisonResult> RunAsync(ExposureComparisonRequest request, CancellationToken cancellationToken = default);
+
+        /// <summary>
+        /// Most recent comparison since startup, if any
+        /// </summary>
+        ExposureComparisonResult? GetLastResult();
+
+        /// <summary>
+        /// Apply a variant's settings to the running camera configuration
+        /// </summary>
+        Task<CameraOptions> ApplyAsync(CameraSetupSettings settings);
+    }
+}
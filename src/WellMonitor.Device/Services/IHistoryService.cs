@@ -0,0 +1,20 @@
+using WellMonitor.Device.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Provides current draw history at a resolution suited to the requested time range
+    /// </summary>
+    public interface IHistoryService
+    {
+        /// <summary>
+        /// Get history between two UTC times; long ranges are served from the summary tables
+        /// </summary>
+        Task<HistoryResult> GetHistoryAsync(DateTime fromUtc, DateTime toUtc);
+
+        /// <summary>
+        /// Pick the resolution used for a time range
+        /// </summary>
+        string GetResolution(TimeSpan span);
+    }
+}
@@ -0,0 +1,34 @@
+using System.Threading.Channels;
+using WellMonitor.Device.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Recent log entries of this service for the dashboard log viewer, and the live stream of new ones
+    /// </summary>
+    public interface ILogStreamService
+    {
+        /// <summary>
+        /// How many entries the buffer keeps before dropping the oldest
+        /// </summary>
+        int Capacity { get; }
+
+        int Count { get; }
+        DateTime? OldestEntryUtc { get; }
+
+        /// <summary>
+        /// Number the entry, keep it and queue it for the live stream
+        /// </summary>
+        void Append(LogEntry entry);
+
+        /// <summary>
+        /// The most recent entries matching the query, oldest first
+        /// </summary>
+        IReadOnlyList<LogEntry> Query(LogQuery query);
+
+        /// <summary>
+        /// New entries for the hub broadcast; there is one reader
+        /// </summary>
+        ChannelReader<LogEntry> LiveEntries { get; }
+    }
+}
@@ -0,0 +1,33 @@
+using WellMonitor.Device.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Runs the labelled OCR dataset through each provider and preprocessing variant and ranks them
+    /// </summary>
+    public interface IOcrBenchmarkService
+    {
+        IEnumerable<OcrBenchmarkProvider> GetProviders();
+
+        /// <summary>
+        /// Preprocessing variants offered by default, derived from the current settings
+        /// </summary>
+        List<OcrBenchmarkVariant> GetDefaultVariants();
+
+        /// <summary>
+        /// Read every chosen image with every provider and variant
+        /// Only one benchmark runs at a time (InvalidOperationException otherwise)
+        /// </summary>
+        Task<OcrBenchmarkResult> RunAsync(OcrBenchmarkRequest request, CancellationToken cancellationToken = default);
+
+        /// <summary>
+        /// Most recent benchmark since startup, if any
+        /// </summary>
+        OcrBenchmarkResult? GetLastResult();
+
+        /// <summary>
+        /// Make a provider and variant from the last benchmark the running OCR configuration
+        /// </summary>
+        Task<OcrOptions> ApplyAsync(string provider, string variant);
+    }
+}
@@ -0,0 +1,40 @@
+using WellMonitor.Device.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Ground-truth labels for ROI crops, OCR evaluations against them and the resulting accuracy
+    /// </summary>
+    public interface IOcrLabelService
+    {
+        Task<IEnumerable<OcrLabelView>> GetLabelsAsync();
+
+        /// <summary>
+        /// Label a debug image with the text the display showed and evaluate OCR on it
+        /// Originals and overlays are labelled through the ROI crop saved from the same capture
+        /// </summary>
+        Task<OcrLabelView> LabelAsync(string imageFile, string text, string labeledBy, CancellationToken cancellationToken = default);
+
+        Task<bool> DeleteLabelAsync(int labelId);
+
+        /// <summary>
+        /// Run OCR with the current settings over every label and record the results
+        /// </summary>
+        Task<int> EvaluateAllAsync(CancellationToken cancellationToken = default);
+
+        /// <summary>
+        /// Accuracy per provider, with daily history for the last <paramref name="days"/> days and character confusions
+        /// </summary>
+        Task<OcrAccuracyReport> GetAccuracyReportAsync(int days = 30);
+
+        /// <summary>
+        /// Full path of a labelled crop in the dataset directory, or null when the label doesn't exist
+        /// </summary>
+        Task<string?> GetLabelImagePathAsync(int labelId);
+
+        /// <summary>
+        /// Write the dataset as a zip of crop and .gt.txt pairs (the layout tesstrain expects) plus a labels.csv index
+        /// </summary>
+        Task ExportAsync(Stream output, CancellationToken cancellationToken = default);
+    }
+}
@@ -0,0 +1,30 @@
+using WellMonitor.Device.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Reads, previews and live-updates the OCR settings for the dashboard settings form
+    /// </summary>
+    public interface IOcrSettingsService
+    {
+        Task<OcrSettingsState> GetStateAsync();
+
+        /// <summary>
+        /// Preprocess and read the ROI crop of a debug image with the running and the edited settings, without applying anything
+        /// Invalid settings throw ArgumentException; a missing image throws KeyNotFoundException
+        /// </summary>
+        Task<OcrSettingsPreview> PreviewAsync(string imageFile, OcrSettings settings, CancellationToken cancellationToken = default);
+
+        /// <summary>
+        /// Validate and apply the settings at runtime, keeping the replaced settings as known-good when they have read successfully
+        /// Validation failures are returned in the result rather than thrown
+        /// </summary>
+        Task<OcrSettingsUpdateResult> UpdateAsync(OcrSettings settings);
+
+        /// <summary>
+        /// Apply the last known-good settings again
+        /// Throws InvalidOperationException when none have been saved
+        /// </summary>
+        Task<OcrSettingsUpdateResult> ResetToKnownGoodAsync();
+    }
+}
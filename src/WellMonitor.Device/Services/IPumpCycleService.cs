@@ -0,0 +1,16 @@
+using WellMonitor.Device.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Derives pump run cycles and run-time statistics from the reading history
+    /// </summary>
+    public interface IPumpCycleService
+    {
+        /// <summary>
+        /// Analyze readings between two UTC times; daily statistics use the given offset from UTC
+        /// so days match the dashboard's local calendar
+        /// </summary>
+        Task<PumpCycleAnalysis> AnalyzeCyclesAsync(DateTime fromUtc, DateTime toUtc, TimeSpan utcOffset);
+    }
+}
@@ -0,0 +1,21 @@
+using System.Threading.Channels;
+using WellMonitor.Device.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Hands push notifications to the background sender so callers never wait for push services
+    /// </summary>
+    public interface IPushNotificationQueue
+    {
+        /// <summary>
+        /// Queue a notification for every subscription that wants the topic; returns false if it was dropped
+        /// </summary>
+        bool Enqueue(string topic, string title, string body, bool urgent = false);
+
+        /// <summary>
+        /// Queued notifications for the background sender; there is one reader
+        /// </summary>
+        ChannelReader<PendingPushNotification> Pending { get; }
+    }
+}
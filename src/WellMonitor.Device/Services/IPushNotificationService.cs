@@ -0,0 +1,36 @@
+using WellMonitor.Device.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Browser push subscriptions and delivery of OS-level notifications for pump conditions
+    /// </summary>
+    public interface IPushNotificationService
+    {
+        /// <summary>
+        /// VAPID public key browsers need to subscribe (generated on first use)
+        /// </summary>
+        Task<string> GetPublicKeyAsync();
+
+        /// <summary>
+        /// Add or update a browser subscription; throws ArgumentException for invalid keys or topics
+        /// </summary>
+        Task<PushSubscription> SubscribeAsync(string endpoint, string p256dh, string auth, IEnumerable<string> topics);
+
+        Task<bool> UnsubscribeAsync(string endpoint);
+
+        Task<PushSubscription?> GetSubscriptionAsync(string endpoint);
+
+        /// <summary>
+        /// Send a notification to every subscription that wants the topic, in parallel; returns the number delivered
+        /// Subscriptions the push service reports as gone are removed
+        /// This waits for the push services, so other services queue notifications with IPushNotificationQueue
+        /// </summary>
+        Task<int> NotifyAsync(string topic, string title, string body, bool urgent = false);
+
+        /// <summary>
+        /// Send a test notification to one subscription; returns false if it was not delivered
+        /// </summary>
+        Task<bool> SendTestAsync(string endpoint);
+    }
+}
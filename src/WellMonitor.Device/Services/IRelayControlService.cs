@@ -0,0 +1,27 @@
+using WellMonitor.Device.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Single path for power cycling the pump relay, enforcing the cycle interval and daily limits
+    /// </summary>
+    public interface IRelayControlService
+    {
+        /// <summary>
+        /// Current lockout, daily cycle count and pump state
+        /// </summary>
+        Task<RelayStatus> GetStatusAsync();
+
+        /// <summary>
+        /// Power cycle the relay if the safety limits allow it; every manual or cloud attempt is logged
+        /// Cycling while the pump is running requires allowWhileRunning, and automatic cycles are exempt from the daily limit
+        /// The cancellation token only applies until the relay switches off; a started cycle always completes
+        /// </summary>
+        Task<RelayCycleResult> CycleAsync(string source, string reason, string user, bool allowWhileRunning = false, CancellationToken cancellationToken = default);
+
+        /// <summary>
+        /// Relay action log, newest first, optionally filtered by source
+        /// </summary>
+        Task<IEnumerable<RelayActionEntry>> GetActionLogAsync(string? source = null, int limit = 100);
+    }
+}
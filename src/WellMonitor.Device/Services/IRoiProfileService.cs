@@ -0,0 +1,39 @@
+using WellMonitor.Device.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Manages named ROI profiles, their version history and which one is active
+    /// </summary>
+    public interface IRoiProfileService
+    {
+        Task<IEnumerable<RoiProfile>> GetProfilesAsync();
+        Task<RoiProfile?> GetProfileAsync(int profileId);
+        Task<RoiProfile?> GetActiveProfileAsync();
+
+        /// <summary>
+        /// Save a new version of a named profile and make it the active ROI
+        /// </summary>
+        Task<RoiProfile> SaveProfileAsync(string name, RoiCoordinates roi, string savedBy, string? sourceImage);
+
+        /// <summary>
+        /// Make a saved profile version the active ROI
+        /// </summary>
+        Task<RoiProfile> ActivateProfileAsync(int profileId);
+
+        /// <summary>
+        /// Re-activate the profile version that was active before the current one
+        /// </summary>
+        Task<RoiProfile?> RollbackAsync();
+
+        /// <summary>
+        /// Compare two saved profile versions
+        /// </summary>
+        Task<RoiProfileDiff?> DiffAsync(int fromProfileId, int toProfileId);
+
+        /// <summary>
+        /// Apply the active profile to the runtime ROI options (called at startup)
+        /// </summary>
+        Task ApplyActiveProfileAsync();
+    }
+}
@@ -0,0 +1,20 @@
+using WellMonitor.Device.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Runs the OCR pipeline against an ROI that has not been saved yet
+    /// </summary>
+    public interface IRoiTestService
+    {
+        /// <summary>
+        /// Capture a frame and test the ROI against it
+        /// </summary>
+        Task<RoiTestResult> TestRoiAsync(RoiCoordinates roi, CancellationToken cancellationToken = default);
+
+        /// <summary>
+        /// Test the ROI against an already captured frame
+        /// </summary>
+        Task<RoiTestResult> TestRoiAsync(byte[] imageBytes, RoiCoordinates roi, CancellationToken cancellationToken = default);
+    }
+}
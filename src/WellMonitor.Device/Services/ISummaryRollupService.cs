@@ -0,0 +1,23 @@
+using WellMonitor.Shared.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Aggregates raw readings into the hourly, daily and monthly summary tables
+    /// </summary>
+    public interface ISummaryRollupService
+    {
+        /// <summary>
+        /// Energy and pump starts for every hour with readings that overlaps the UTC range, without saving them
+        /// Readings are loaded a day at a time, so long ranges are safe
+        /// </summary>
+        Task<IReadOnlyList<HourlySummary>> AggregateHoursAsync(DateTime fromUtc, DateTime toUtc);
+
+        /// <summary>
+        /// Recalculate and save the summaries of every completed hour, day and month overlapping the UTC range
+        /// The running hour, day and month are left to later runs, and repeating a range is safe
+        /// </summary>
+        /// <returns>Number of summaries added or changed</returns>
+        Task<int> RollupAsync(DateTime fromUtc, DateTime toUtc);
+    }
+}
@@ -0,0 +1,41 @@
+using WellMonitor.Device.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Samples system health into history, raises alerts for SD card fill, temperature and memory leaks,
+    /// and manages what fills the SD card
+    /// </summary>
+    public interface ISystemHealthService
+    {
+        /// <summary>
+        /// Metrics read now, without storing them
+        /// </summary>
+        SystemHealthSample GetCurrent();
+
+        /// <summary>
+        /// Read and store a sample, then raise or resolve the system health alerts
+        /// </summary>
+        Task<SystemHealthSample> RecordSampleAsync();
+
+        /// <summary>
+        /// Samples of the last hours with thresholds, fitted trends and current warnings
+        /// </summary>
+        Task<SystemHealthTrend> GetTrendAsync(int hours);
+
+        /// <summary>
+        /// Space used by the database, debug images, OCR dataset and logs
+        /// </summary>
+        StorageBreakdown GetStorageBreakdown();
+
+        /// <summary>
+        /// Change Debug:ImageRetentionDays at runtime; the next cleanup uses it
+        /// </summary>
+        Task<StorageBreakdown> SetImageRetentionDaysAsync(int days);
+
+        /// <summary>
+        /// Delete samples past their retention and, when enabled, debug images past theirs
+        /// </summary>
+        Task ApplyRetentionAsync();
+    }
+}
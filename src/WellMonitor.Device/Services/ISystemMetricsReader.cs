@@ -0,0 +1,20 @@
+using WellMonitor.Device.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Reads CPU, memory, storage, temperature and throttling from the operating system
+    /// </summary>
+    public interface ISystemMetricsReader
+    {
+        /// <summary>
+        /// Current metrics, with storage measured on the file system holding storagePath; metrics that can't be read are null
+        /// </summary>
+        SystemHealthSample ReadSample(string storagePath);
+
+        /// <summary>
+        /// When this process started; the memory trend ignores samples from before a restart
+        /// </summary>
+        DateTime ProcessStartedUtc { get; }
+    }
+}
@@ -0,0 +1,24 @@
+using System.Net;
+using WellMonitor.Device.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Sends encrypted Web Push messages directly to browser push services
+    /// </summary>
+    public interface IWebPushSender
+    {
+        /// <summary>
+        /// Encrypt the payload for the subscription (RFC 8291) and post it with VAPID authentication (RFC 8292)
+        /// Returns the push service's status code; 404/410 mean the subscription is gone
+        /// </summary>
+        Task<HttpStatusCode> SendAsync(
+            PushSubscription subscription,
+            string payload,
+            VapidKeys vapidKeys,
+            string subject,
+            int timeToLiveSeconds,
+            bool urgent = false,
+            CancellationToken cancellationToken = default);
+    }
+}
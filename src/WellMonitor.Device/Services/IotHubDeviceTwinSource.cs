@@ -0,0 +1,40 @@
+using Microsoft.Azure.Devices.Client;
+using WellMonitor.Device.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Reads the device twin from Azure IoT Hub with the device connection string
+    /// </summary>
+    public class IotHubDeviceTwinSource : IDeviceTwinSource
+    {
+        private readonly ISecretsService _secretsService;
+
+        public IotHubDeviceTwinSource(ISecretsService secretsService)
+        {
+            _secretsService = secretsService;
+        }
+
+        public string Name => "Azure IoT Hub";
+
+        public async Task<DeviceTwinDocument> GetTwinAsync(CancellationToken cancellationToken = default)
+        {
+            var connectionString = await _secretsService.GetIotHubConnectionStringAsync();
+            if (string.IsNullOrEmpty(connectionString))
+            {
+                throw new InvalidOperationException(
+                    "Azure IoT Hub connection string not available; set DeviceTwin:UseLocalTwin to read a local twin file instead");
+            }
+
+            using var deviceClient = DeviceClient.CreateFromConnectionString(connectionString);
+            var twin = await deviceClient.GetTwinAsync(cancellationToken);
+            await deviceClient.CloseAsync(cancellationToken);
+
+            return new DeviceTwinDocument
+            {
+                Desired = twin.Properties.Desired,
+                Reported = twin.Properties.Reported
+            };
+        }
+    }
+}
@@ -0,0 +1,57 @@
+using Microsoft.Azure.Devices.Shared;
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.Logging;
+using Newtonsoft.Json;
+using Newtonsoft.Json.Linq;
+using WellMonitor.Device.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Stand-in for the IoT Hub twin, registered when DeviceTwin:UseLocalTwin is set, so the configuration page
+    /// and forced syncs work without a hub. Reads {"desired": {...}, "reported": {...}} from DeviceTwin:LocalTwinPath;
+    /// edit the file and force a sync to try a twin change on the bench
+    /// </summary>
+    public class LocalDeviceTwinSource : IDeviceTwinSource
+    {
+        public const string DefaultPath = "device-twin.local.json";
+
+        private readonly ILogger<LocalDeviceTwinSource> _logger;
+        private readonly string _path;
+
+        public LocalDeviceTwinSource(ILogger<LocalDeviceTwinSource> logger, IConfiguration configuration)
+        {
+            _logger = logger;
+            _path = configuration.GetValue("DeviceTwin:LocalTwinPath", DefaultPath) ?? DefaultPath;
+        }
+
+        public string Name => $"Local twin file ({_path})";
+
+        public async Task<DeviceTwinDocument> GetTwinAsync(CancellationToken cancellationToken = default)
+        {
+            if (!File.Exists(_path))
+            {
+                // An empty twin is still a twin: everything falls back to local configuration, as with a fresh IoT Hub device
+                _logger.LogWarning("Local device twin file {Path} not found; using an empty twin", _path);
+                return new DeviceTwinDocument();
+            }
+
+            var root = JObject.Parse(await File.ReadAllTextAsync(_path, cancellationToken));
+            return new DeviceTwinDocument
+            {
+                Desired = ReadCollection(root, "desired"),
+                Reported = ReadCollection(root, "reported")
+            };
+        }
+
+        private TwinCollection ReadCollection(JObject root, string name)
+        {
+            return root[name] switch
+            {
+                null => new TwinCollection(),
+                JObject properties => new TwinCollection(properties.ToString(Formatting.None)),
+                _ => throw new InvalidDataException($"'{name}' in {_path} must be a JSON object")
+            };
+        }
+    }
+}
@@ -0,0 +1,66 @@
+using Microsoft.AspNetCore.SignalR;
+using Microsoft.Extensions.Hosting;
+using Microsoft.Extensions.Logging;
+using WellMonitor.Device.Hubs;
+using WellMonitor.Device.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Background service that sends new log entries to dashboards showing the log viewer
+    /// Entries go out in batches so a burst of logging is a few hub messages rather than hundreds
+    /// </summary>
+    public class LogStreamBroadcastService : BackgroundService
+    {
+        private const int MaxBatchSize = 200;
+        private readonly TimeSpan _batchInterval = TimeSpan.FromMilliseconds(500);
+
+        private readonly ILogStreamService _logStream;
+        private readonly IHubContext<DeviceStatusHub> _hubContext;
+        private readonly ILogger<LogStreamBroadcastService> _logger;
+
+        public LogStreamBroadcastService(
+            ILogStreamService logStream,
+            IHubContext<DeviceStatusHub> hubContext,
+            ILogger<LogStreamBroadcastService> logger)
+        {
+            _logStream = logStream;
+            _hubContext = hubContext;
+            _logger = logger;
+        }
+
+        protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+        {
+            _logger.LogInformation("Log stream broadcast service started");
+            var reader = _logStream.LiveEntries;
+
+            try
+            {
+                while (await reader.WaitToReadAsync(stoppingToken))
+                {
+                    var batch = new List<LogEntry>();
+                    while (batch.Count < MaxBatchSize && reader.TryRead(out var entry))
+                    {
+                        batch.Add(entry);
+                    }
+
+                    try
+                    {
+                        await _hubContext.Clients.Group(LogStreamService.HubGroup).SendAsync("ReceiveLogEntries", batch, stoppingToken);
+                    }
+                    catch (Exception ex) when (!stoppingToken.IsCancellationRequested)
+                    {
+                        // This warning goes into the stream too; batching keeps it to one per attempt
+                        _logger.LogWarning(ex, "Failed to send {Count} log entries to the dashboard", batch.Count);
+                    }
+
+                    await Task.Delay(_batchInterval, stoppingToken);
+                }
+            }
+            catch (OperationCanceledException)
+            {
+                _logger.LogInformation("Log stream broadcast service is stopping due to cancellation");
+            }
+        }
+    }
+}
@@ -0,0 +1,112 @@
+using Microsoft.Extensions.Logging;
+using System.Threading.Channels;
+using WellMonitor.Device.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Ring buffer of recent log entries; older history stays in journald
+    /// It is written by <see cref="DashboardLoggerProvider"/> and so must not log itself
+    /// </summary>
+    public class LogStreamService : ILogStreamService
+    {
+        public const int DefaultCapacity = 5000;
+
+        // Hub group of dashboards showing the log viewer
+        public const string HubGroup = "logs";
+
+        // The live stream drops entries rather than block logging when the hub can't keep up
+        private const int LiveQueueCapacity = 1000;
+
+        private readonly Queue<LogEntry> _entries;
+        private readonly object _lock = new();
+        private readonly Channel<LogEntry> _liveEntries = Channel.CreateBounded<LogEntry>(new BoundedChannelOptions(LiveQueueCapacity)
+        {
+            FullMode = BoundedChannelFullMode.DropOldest,
+            SingleReader = true
+        });
+        private long _sequence;
+
+        public LogStreamService(int capacity = DefaultCapacity)
+        {
+            Capacity = capacity;
+            _entries = new Queue<LogEntry>(capacity);
+        }
+
+        public int Capacity { get; }
+
+        public int Count
+        {
+            get
+            {
+                lock (_lock)
+                {
+                    return _entries.Count;
+                }
+            }
+        }
+
+        public DateTime? OldestEntryUtc
+        {
+            get
+            {
+                lock (_lock)
+                {
+                    return _entries.Count > 0 ? _entries.Peek().TimestampUtc : null;
+                }
+            }
+        }
+
+        public ChannelReader<LogEntry> LiveEntries => _liveEntries.Reader;
+
+        public void Append(LogEntry entry)
+        {
+            lock (_lock)
+            {
+                entry.Sequence = ++_sequence;
+                if (_entries.Count >= Capacity)
+                {
+                    _entries.Dequeue();
+                }
+                _entries.Enqueue(entry);
+            }
+
+            _liveEntries.Writer.TryWrite(entry);
+        }
+
+        public IReadOnlyList<LogEntry> Query(LogQuery query)
+        {
+            if (!string.IsNullOrEmpty(query.Area) && !LogAreas.All.Contains(query.Area))
+                throw new ArgumentException($"Unknown log area '{query.Area}'. Expected one of: {string.Join(", ", LogAreas.All)}");
+
+            var minLevel = LogLevel.Trace;
+            if (!string.IsNullOrEmpty(query.MinLevel) && !RuntimeLogLevelFilter.TryParseLevel(query.MinLevel, out minLevel))
+                throw new ArgumentException($"Unknown log level '{query.MinLevel}'. Expected one of: {string.Join(", ", RuntimeLogLevelFilter.Levels)}");
+
+            if (query.FromUtc != null && query.ToUtc != null && query.FromUtc >= query.ToUtc)
+                throw new ArgumentException("The start of the time range must be before its end");
+
+            LogEntry[] snapshot;
+            lock (_lock)
+            {
+                snapshot = _entries.ToArray();
+            }
+
+            var limit = Math.Clamp(query.Limit, 1, LogQuery.MaxLimit);
+            var text = query.Text?.Trim();
+
+            return snapshot
+                .Where(e => query.AfterSequence == null || e.Sequence > query.AfterSequence)
+                .Where(e => query.FromUtc == null || e.TimestampUtc >= query.FromUtc)
+                .Where(e => query.ToUtc == null || e.TimestampUtc < query.ToUtc)
+                .Where(e => string.IsNullOrEmpty(query.Area) || e.Area == query.Area)
+                .Where(e => Enum.TryParse<LogLevel>(e.Level, out var level) && level >= minLevel)
+                .Where(e => string.IsNullOrEmpty(text) ||
+                    e.Message.Contains(text, StringComparison.OrdinalIgnoreCase) ||
+                    e.Category.Contains(text, StringComparison.OrdinalIgnoreCase) ||
+                    (e.Exception?.Contains(text, StringComparison.OrdinalIgnoreCase) ?? false))
+                .TakeLast(limit)
+                .ToList();
+        }
+    }
+}
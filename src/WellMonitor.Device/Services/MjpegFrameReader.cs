@@ -0,0 +1,69 @@
+using System.Runtime.CompilerServices;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Splits an MJPEG byte stream (back-to-back JPEG images, as written by libcamera-vid --codec mjpeg) into frames
+    /// </summary>
+    public static class MjpegFrameReader
+    {
+        // Anything larger is a corrupt stream rather than a frame; it is dropped so memory stays bounded
+        public const int MaxFrameBytes = 8 * 1024 * 1024;
+
+        private const byte Marker = 0xFF;
+        private const byte StartOfImage = 0xD8;
+        private const byte EndOfImage = 0xD9;
+
+        public static async IAsyncEnumerable<byte[]> ReadFramesAsync(Stream stream, [EnumeratorCancellation] CancellationToken cancellationToken = default)
+        {
+            var buffer = new byte[64 * 1024];
+            using var frame = new MemoryStream();
+            var inFrame = false;
+            byte previous = 0;
+            int read;
+
+            while ((read = await stream.ReadAsync(buffer, cancellationToken)) > 0)
+            {
+                // Start of the current frame's bytes within this buffer
+                var start = 0;
+
+                for (var i = 0; i < read; i++)
+                {
+                    var current = buffer[i];
+
+                    if (!inFrame)
+                    {
+                        if (previous == Marker && current == StartOfImage)
+                        {
+                            // The 0xFF may have arrived in the previous read
+                            frame.SetLength(0);
+                            frame.WriteByte(Marker);
+                            start = i;
+                            inFrame = true;
+                        }
+                    }
+                    else if (previous == Marker && current == EndOfImage)
+                    {
+                        // Entropy-coded data escapes 0xFF, so the first EOI marker ends the image
+                        frame.Write(buffer, start, i + 1 - start);
+                        inFrame = false;
+                        current = 0;
+                        yield return frame.ToArray();
+                    }
+
+                    previous = current;
+                }
+
+                if (inFrame)
+                {
+                    frame.Write(buffer, start, read - start);
+                    if (frame.Length > MaxFrameBytes)
+                    {
+                        inFrame = false;
+                        frame.SetLength(0);
+                    }
+                }
+            }
+        }
+    }
+}
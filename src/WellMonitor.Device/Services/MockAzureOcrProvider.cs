@@ -0,0 +1,93 @@
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using System.Diagnostics;
+using System.Security.Cryptography;
+using System.Text.Json;
+using WellMonitor.Device.Models;
+
+namespace WellMonitor.Device.Services;
+
+/// <summary>
+/// Local stand-in for the Azure Cognitive Services OCR provider
+/// Registered under the same name when AzureCognitiveServices.UseLocalMock is set, so benchmarks and
+/// provider switching work offline. Answers from a file of canned responses keyed by image hash
+/// </summary>
+public class MockAzureOcrProvider : IOcrProvider, IDisposable
+{
+    private const double MockConfidence = 0.95;
+
+    private readonly ILogger<MockAzureOcrProvider> _logger;
+    private readonly AzureCognitiveServicesOptions _options;
+    private Dictionary<string, string> _responses = new(StringComparer.OrdinalIgnoreCase);
+    private bool _initialized;
+
+    public string Name => "AzureCognitiveServices";
+
+    public bool IsAvailable => _initialized;
+
+    public MockAzureOcrProvider(
+        ILogger<MockAzureOcrProvider> logger,
+        IOptions<OcrOptions> options)
+    {
+        _logger = logger;
+        _options = options.Value.AzureCognitiveServices;
+    }
+
+    public async Task<bool> InitializeAsync(CancellationToken cancellationToken = default)
+    {
+        if (!string.IsNullOrEmpty(_options.MockResponsesPath))
+        {
+            try
+            {
+                await using var stream = File.OpenRead(_options.MockResponsesPath);
+                var responses = await JsonSerializer.DeserializeAsync<Dictionary<string, string>>(stream, cancellationToken: cancellationToken);
+                _responses = new Dictionary<string, string>(responses ?? new(), StringComparer.OrdinalIgnoreCase);
+            }
+            catch (Exception ex) when (ex is IOException or JsonException or UnauthorizedAccessException)
+            {
+                _logger.LogWarning(ex, "Could not load mock Azure OCR responses from {Path}", _options.MockResponsesPath);
+            }
+        }
+
+        _initialized = true;
+        _logger.LogInformation("Mock Azure OCR provider initialized with {Count} canned responses", _responses.Count);
+        return true;
+    }
+
+    public async Task<OcrResult> ExtractTextAsync(Stream imageStream, CancellationToken cancellationToken = default)
+    {
+        if (!_initialized)
+        {
+            throw new InvalidOperationException("Mock Azure OCR provider not initialized");
+        }
+
+        var stopwatch = Stopwatch.StartNew();
+        var hash = Convert.ToHexString(await SHA256.HashDataAsync(imageStream, cancellationToken)).ToLowerInvariant();
+
+        if (_options.MockLatencyMs > 0)
+        {
+            await Task.Delay(_options.MockLatencyMs, cancellationToken);
+        }
+
+        var known = _responses.TryGetValue(hash, out var text);
+        _logger.LogDebug("Mock Azure OCR for image {Hash}: {Result}", hash, known ? text : "no canned response");
+
+        return new OcrResult
+        {
+            Success = known,
+            RawText = text ?? string.Empty,
+            ProcessedText = text?.Trim() ?? string.Empty,
+            Confidence = known ? MockConfidence : 0.0,
+            Provider = Name,
+            ProcessedAt = DateTime.UtcNow,
+            ProcessingDurationMs = stopwatch.ElapsedMilliseconds,
+            ErrorMessage = known ? null : "No canned response for this image",
+            PreprocessingSteps = new List<string> { "MockProvider" }
+        };
+    }
+
+    public void Dispose()
+    {
+        // Nothing to dispose for the mock provider
+    }
+}
@@ -27,6 +27,16 @@ namespace WellMonitor.Device.Services
         private readonly ILogger<MonitoringBackgroundService> _logger;
         private readonly IDeviceTwinService _deviceTwinService;
         private readonly IConfiguration _configuration;
+        private readonly AlertOptions _alertOptions;
+        
+        // Readings in a row needed to raise an OCR failure alert (dry and rapid cycling use AlertOptions)
+        private const int OcrFailureReadingCount = 3;
+        
+        // Clear readings in a row needed to resolve any reading alert
+        private const int ReadingsToResolveAlert = 3;
+        
+        // Reading alert conditions seen so far; kept here because the alert service is scoped
+        private readonly AlertConditionTracker _alertConditions = new();
         
         // Configuration that gets updated from device twin
         private TimeSpan _monitoringInterval = TimeSpan.FromSeconds(30);
@@ -40,6 +50,7 @@ namespace WellMonitor.Device.Services
             PumpStatusAnalyzer pumpStatusAnalyzer,
             IDeviceTwinService deviceTwinService,
             IConfiguration configuration,
+            AlertOptions alertOptions,
             IServiceScopeFactory serviceScopeFactory,
             ILogger<MonitoringBackgroundService> logger)
         {
@@ -49,6 +60,7 @@ namespace WellMonitor.Device.Services
             _pumpStatusAnalyzer = pumpStatusAnalyzer;
             _deviceTwinService = deviceTwinService;
             _configuration = configuration;
+            _alertOptions = alertOptions;
             _serviceScopeFactory = serviceScopeFactory;
             _logger = logger;
         }
@@ -96,7 +108,19 @@ namespace WellMonitor.Device.Services
                 _logger.LogDebug("Starting monitoring cycle...");
 
                 // Capture image from camera
-                var imageBytes = await _cameraService.CaptureImageAsync();
+                byte[] imageBytes;
+                try
+                {
+                    imageBytes = await _cameraService.CaptureImageAsync();
+                }
+                catch (Exception ex)
+                {
+                    await UpdateAlertAsync(AlertTypes.CameraError, true, AlertSeverity.Danger,
+                        "Camera error", $"Image capture failed: {ex.Message}");
+                    throw;
+                }
+
+                await UpdateAlertAsync(AlertTypes.CameraError, false);
                 _logger.LogDebug("Captured image: {Size} bytes", imageBytes.Length);
 
                 // Process image with OCR to extract current reading and status
@@ -123,6 +147,8 @@ namespace WellMonitor.Device.Services
                 _logger.LogInformation("Reading logged: Current={Current}A, Status={Status}, Valid={Valid}", 
                     pumpReading.CurrentAmps?.ToString("F2") ?? "N/A", pumpReading.Status, pumpReading.IsValid);
 
+                await UpdateReadingAlertsAsync(pumpReading);
+
                 // Check for abnormal conditions that require action
                 if (pumpReading.IsValid)
                 {
@@ -160,6 +186,67 @@ namespace WellMonitor.Device.Services
             }
         }
 
+        /// <summary>
+        /// Raises or resolves the OCR, dry and rapid cycling alerts once a reading confirms the change
+        /// </summary>
+        private async Task UpdateReadingAlertsAsync(PumpReading pumpReading)
+        {
+            await UpdateReadingAlertAsync(AlertTypes.OcrFailure, !pumpReading.IsValid, OcrFailureReadingCount, AlertSeverity.Warning,
+                "OCR failure", $"Could not read the pump display (text: '{pumpReading.RawText}')");
+
+            // Pump conditions are unknown while the display can't be read, so leave their alerts as they are
+            if (!pumpReading.IsValid)
+            {
+                return;
+            }
+
+            await UpdateReadingAlertAsync(AlertTypes.Dry, pumpReading.Status == PumpStatus.Dry, _alertOptions.DryCountThreshold, AlertSeverity.Danger,
+                "Dry well", $"Pump may be running dry (current: {pumpReading.CurrentAmps?.ToString("F2") ?? "N/A"} A)");
+
+            await UpdateReadingAlertAsync(AlertTypes.RapidCycle, pumpReading.Status == PumpStatus.RapidCycle, _alertOptions.RcycCountThreshold, AlertSeverity.Warning,
+                "Rapid cycling", "Pump is starting and stopping rapidly");
+        }
+
+        /// <summary>
+        /// Raises the alert after its condition lasts for readingsToRaise readings in a row and resolves it
+        /// after ReadingsToResolveAlert clear readings; readings in between leave it as it is
+        /// </summary>
+        private async Task UpdateReadingAlertAsync(string type, bool conditionPresent, int readingsToRaise,
+            string severity, string title, string message)
+        {
+            var raise = _alertConditions.Observe(type, conditionPresent, readingsToRaise, ReadingsToResolveAlert);
+            if (raise != null)
+            {
+                await UpdateAlertAsync(type, raise.Value, severity, title, message);
+            }
+        }
+
+        /// <summary>
+        /// Raises the alert while its condition is present and resolves it once the condition clears
+        /// </summary>
+        private async Task UpdateAlertAsync(string type, bool conditionPresent,
+            string severity = AlertSeverity.Warning, string title = "", string message = "")
+        {
+            try
+            {
+                using var scope = _serviceScopeFactory.CreateScope();
+                var alertService = scope.ServiceProvider.GetRequiredService<IAlertService>();
+
+                if (conditionPresent)
+                {
+                    await alertService.RaiseAsync(type, severity, title, message);
+                }
+                else
+                {
+                    await alertService.ResolveAsync(type, "Condition cleared");
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to update {Type} alert", type);
+            }
+        }
+
         private async Task HandleRapidCyclingAsync(Reading reading)
         {
             try
@@ -206,46 +293,20 @@ namespace WellMonitor.Device.Services
                 {
                     _logger.LogWarning("Rapid cycling detected - checking if power cycle is needed");
                     
-                    // Check if enough time has passed since last relay action
+                    // The relay control service enforces the minimum interval and daily limit shared with manual cycles
                     using var scope = _serviceScopeFactory.CreateScope();
-                    var databaseService = scope.ServiceProvider.GetRequiredService<IDatabaseService>();
-                    
-                    // Get recent relay actions to check timing (look back 24 hours)
-                    var recentActions = await databaseService.GetUnsentRelayActionLogsAsync();
-                    var lastRelayAction = recentActions.OrderByDescending(a => a.TimestampUtc).FirstOrDefault();
+                    var relayControlService = scope.ServiceProvider.GetRequiredService<IRelayControlService>();
                     
-                    var timeSinceLastAction = lastRelayAction != null 
-                        ? DateTime.UtcNow - lastRelayAction.TimestampUtc 
-                        : TimeSpan.MaxValue;
+                    var result = await relayControlService.CycleAsync(
+                        RelaySources.Automatic, "RapidCycling", "system", allowWhileRunning: true);
                     
-                    // Use configurable minimum interval
-                    if (timeSinceLastAction.TotalMinutes >= _powerManagementOptions.MinimumCycleIntervalMinutes)
+                    if (result.Success)
                     {
-                        _logger.LogWarning("Initiating power cycle for rapid cycling condition");
-                        
-                        // Cycle the relay power: Turn off, wait, turn on
-                        _gpioService.SetRelayState(false);
-                        await Task.Delay(_powerManagementOptions.PowerCycleDelaySeconds * 1000); // Convert to milliseconds
-                        _gpioService.SetRelayState(true);
-                        
-                        // Log the relay action
-                        var relayAction = new RelayActionLog
-                        {
-                            TimestampUtc = DateTime.UtcNow,
-                            Action = "PowerCycle",
-                            Reason = "RapidCycling",
-                            Synced = false
-                        };
-                        
-                        await databaseService.AddRelayActionLogAsync(relayAction);
-                        
-                        _logger.LogInformation("Power cycle completed and logged (delay: {Delay}s)", _powerManagementOptions.PowerCycleDelaySeconds);
+                        _logger.LogInformation("Power cycle completed and logged (delay: {Delay}s)", result.Status.PowerCycleDelaySeconds);
                     }
                     else
                     {
-                        var waitTime = _powerManagementOptions.MinimumCycleIntervalMinutes - timeSinceLastAction.TotalMinutes;
-                        _logger.LogInformation("Rapid cycling detected but power cycle suppressed. " +
-                            "Must wait {WaitTime:F1} more minutes since last action", waitTime);
+                        _logger.LogInformation("Rapid cycling detected but power cycle suppressed: {Reason}", result.Message);
                     }
                 }
                 else if (pumpReading.Status == PumpStatus.Dry)
@@ -0,0 +1,362 @@
+using System.Diagnostics;
+using Microsoft.Extensions.DependencyInjection;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using SixLabors.ImageSharp;
+using WellMonitor.Device.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Benchmarks OCR providers on the labelled dataset: every chosen crop is read by every provider after every
+    /// preprocessing variant, and the combinations are ranked by exact reads, character accuracy, confidence and latency
+    /// </summary>
+    public class OcrBenchmarkService : IOcrBenchmarkService
+    {
+        // Azure reads take the better part of a second each, so runs stay bounded
+        public const int MaxVariants = 8;
+        public const int MaxImages = 200;
+
+        private const string NullProviderName = "Null";
+        private const string CurrentVariantName = "Current settings";
+        private const string UnprocessedVariantName = "No preprocessing";
+
+        private readonly ILogger<OcrBenchmarkService> _logger;
+        private readonly IServiceScopeFactory _serviceScopeFactory;
+        private readonly IEnumerable<IOcrProvider> _providers;
+        private readonly IRuntimeConfigurationService _runtimeConfigurationService;
+        private readonly IOptionsMonitor<OcrOptions> _ocrOptions;
+        private readonly IOptionsMonitor<CameraOptions> _cameraOptions;
+
+        private readonly SemaphoreSlim _runLock = new(1, 1);
+        private OcrBenchmarkResult? _lastResult;
+
+        public OcrBenchmarkService(
+            ILogger<OcrBenchmarkService> logger,
+            IServiceScopeFactory serviceScopeFactory,
+            IEnumerable<IOcrProvider> providers,
+            IRuntimeConfigurationService runtimeConfigurationService,
+            IOptionsMonitor<OcrOptions> ocrOptions,
+            IOptionsMonitor<CameraOptions> cameraOptions)
+        {
+            _logger = logger;
+            _serviceScopeFactory = serviceScopeFactory;
+            _providers = providers;
+            _runtimeConfigurationService = runtimeConfigurationService;
+            _ocrOptions = ocrOptions;
+            _cameraOptions = cameraOptions;
+        }
+
+        public IEnumerable<OcrBenchmarkProvider> GetProviders()
+        {
+            var active = _ocrOptions.CurrentValue.Provider;
+            return _providers
+                .Select(p => new OcrBenchmarkProvider
+                {
+                    Name = p.Name,
+                    IsAvailable = p.IsAvailable,
+                    IsActive = p.Name == active
+                })
+                .ToList();
+        }
+
+        public List<OcrBenchmarkVariant> GetDefaultVariants()
+        {
+            var current = _ocrOptions.CurrentValue;
+            var preprocessing = current.ImagePreprocessing;
+
+            ImagePreprocessingOptions Variant(Action<ImagePreprocessingOptions> change)
+            {
+                var options = preprocessing.Clone();
+                change(options);
+                return options;
+            }
+
+            return new List<OcrBenchmarkVariant>
+            {
+                new() { Name = CurrentVariantName, Preprocessing = current.EnablePreprocessing ? preprocessing.Clone() : null },
+                new() { Name = UnprocessedVariantName, Preprocessing = null },
+                new() { Name = "No thresholding", Preprocessing = Variant(o => o.EnableBinaryThresholding = false) },
+                new() { Name = "Lower threshold", Preprocessing = Variant(o => { o.EnableBinaryThresholding = true; o.BinaryThreshold = Math.Max(0, o.BinaryThreshold - 32); }) },
+                new() { Name = "Higher threshold", Preprocessing = Variant(o => { o.EnableBinaryThresholding = true; o.BinaryThreshold = Math.Min(255, o.BinaryThreshold + 32); }) },
+                new() { Name = "Scale 3x", Preprocessing = Variant(o => { o.EnableScaling = true; o.ScaleFactor = 3.0; }) },
+                new() { Name = "Grayscale only", Preprocessing = new ImagePreprocessingOptions
+                {
+                    EnableGrayscale = true,
+                    EnableContrastEnhancement = false,
+                    EnableBrightnessAdjustment = false,
+                    EnableNoiseReduction = false,
+                    EnableEdgeEnhancement = false,
+                    EnableScaling = false,
+                    EnableBinaryThresholding = false
+                } }
+            };
+        }
+
+        public async Task<OcrBenchmarkResult> RunAsync(OcrBenchmarkRequest request, CancellationToken cancellationToken = default)
+        {
+            var variants = request.Variants is { Count: > 0 } ? request.Variants : GetDefaultVariants().Take(2).ToList();
+            ValidateVariants(variants);
+
+            var result = new OcrBenchmarkResult();
+            var providers = SelectProviders(request.Providers, result.SkippedProviders);
+            if (providers.Count == 0)
+                throw new ArgumentException("No OCR provider is available to benchmark");
+
+            var images = await LoadImagesAsync(request.LabelIds);
+            if (images.Count == 0)
+                throw new ArgumentException("No labelled images to benchmark; label some debug images first");
+            if (images.Count > MaxImages)
+                throw new ArgumentException($"At most {MaxImages} images can be benchmarked at once");
+
+            if (!await _runLock.WaitAsync(0, cancellationToken))
+                throw new InvalidOperationException("An OCR benchmark is already running");
+
+            try
+            {
+                result.StartedUtc = DateTime.UtcNow;
+                result.Images = images.Count;
+
+                foreach (var variant in variants)
+                {
+                    // Prepare each crop once per variant; every provider then reads the same bytes
+                    var prepared = new List<(OcrLabel Label, byte[] Image)>();
+                    foreach (var (label, path) in images)
+                    {
+                        prepared.Add((label, await PrepareImageAsync(path, variant.Preprocessing, cancellationToken)));
+                    }
+
+                    foreach (var provider in providers)
+                    {
+                        var row = new OcrBenchmarkRow
+                        {
+                            Provider = provider.Name,
+                            Variant = variant.Name,
+                            Preprocessing = variant.Preprocessing
+                        };
+
+                        foreach (var (label, image) in prepared)
+                        {
+                            cancellationToken.ThrowIfCancellationRequested();
+                            row.Samples.Add(await ReadAsync(provider, label, image, cancellationToken));
+                        }
+
+                        Score(row, images.Select(i => i.Label));
+                        result.Rows.Add(row);
+                    }
+                }
+
+                Rank(result.Rows);
+                result.CompletedUtc = DateTime.UtcNow;
+                _lastResult = result;
+
+                var best = result.Rows[0];
+                _logger.LogInformation("OCR benchmark of {Images} images × {Combinations} combinations finished; best is {Provider} / {Variant} ({Accuracy:P0} exact)",
+                    result.Images, result.Rows.Count, best.Provider, best.Variant, best.Accuracy);
+
+                return result;
+            }
+            finally
+            {
+                _runLock.Release();
+            }
+        }
+
+        public OcrBenchmarkResult? GetLastResult() => _lastResult;
+
+        public async Task<OcrOptions> ApplyAsync(string provider, string variant)
+        {
+            var last = _lastResult ?? throw new InvalidOperationException("Run a benchmark first");
+            var row = last.Rows.FirstOrDefault(r =>
+                    string.Equals(r.Provider, provider, StringComparison.OrdinalIgnoreCase) &&
+                    string.Equals(r.Variant, variant, StringComparison.OrdinalIgnoreCase))
+                ?? throw new KeyNotFoundException($"'{provider}' with '{variant}' is not in the last benchmark");
+
+            if (!_providers.Any(p => p.Name == row.Provider && p.IsAvailable))
+                throw new InvalidOperationException($"OCR provider '{row.Provider}' is no longer available");
+
+            var options = _ocrOptions.CurrentValue.Clone();
+            options.Provider = row.Provider;
+            options.EnablePreprocessing = row.Preprocessing != null;
+            if (row.Preprocessing != null)
+            {
+                options.ImagePreprocessing = row.Preprocessing.Clone();
+            }
+
+            await _runtimeConfigurationService.UpdateOcrOptionsAsync(options);
+
+            _logger.LogInformation("Applied OCR benchmark winner: {Provider} with {Variant}", row.Provider, row.Variant);
+            return options;
+        }
+
+        /// <summary>
+        /// Order rows best first and number them
+        /// </summary>
+        public static void Rank(List<OcrBenchmarkRow> rows)
+        {
+            var ranked = rows
+                .OrderByDescending(r => r.Accuracy)
+                .ThenByDescending(r => r.CharacterAccuracy)
+                .ThenBy(r => r.Failures)
+                .ThenByDescending(r => r.AverageConfidence)
+                .ThenBy(r => r.AverageLatencyMs)
+                .ToList();
+
+            rows.Clear();
+            rows.AddRange(ranked);
+            for (var i = 0; i < rows.Count; i++)
+            {
+                rows[i].Rank = i + 1;
+            }
+        }
+
+        private static void Score(OcrBenchmarkRow row, IEnumerable<OcrLabel> labels)
+        {
+            var samples = row.Samples;
+            var labelledCharacters = labels.Sum(l => OcrTextComparer.Normalize(l.Text).Length);
+            var characterErrors = samples.Sum(s => OcrTextComparer.Distance(s.Expected, s.Predicted));
+
+            row.Images = samples.Count;
+            row.Correct = samples.Count(s => s.Correct);
+            row.Accuracy = Math.Round(row.Correct / (double)samples.Count, 4);
+            row.CharacterAccuracy = labelledCharacters == 0 ? 0
+                : Math.Round(Math.Max(0, 1 - (characterErrors / (double)labelledCharacters)), 4);
+            row.AverageConfidence = Math.Round(samples.Average(s => s.Confidence), 3);
+            row.AverageLatencyMs = Math.Round(samples.Average(s => s.LatencyMs), 1);
+            row.MaxLatencyMs = samples.Max(s => s.LatencyMs);
+            row.Failures = samples.Count(s => s.Failed);
+        }
+
+        private async Task<OcrBenchmarkSample> ReadAsync(IOcrProvider provider, OcrLabel label, byte[] image, CancellationToken cancellationToken)
+        {
+            var sample = new OcrBenchmarkSample { LabelId = label.Id, Expected = label.Text };
+            var timeoutSeconds = _ocrOptions.CurrentValue.TimeoutSeconds;
+            var stopwatch = Stopwatch.StartNew();
+
+            try
+            {
+                using var timeout = CancellationTokenSource.CreateLinkedTokenSource(cancellationToken);
+                timeout.CancelAfter(TimeSpan.FromSeconds(timeoutSeconds));
+                using var stream = new MemoryStream(image, writable: false);
+
+                var ocr = await provider.ExtractTextAsync(stream, timeout.Token);
+                var evaluation = OcrLabelService.CreateEvaluation(label, provider.Name,
+                    string.IsNullOrEmpty(ocr.ProcessedText) ? ocr.RawText : ocr.ProcessedText, ocr.Confidence);
+
+                sample.Predicted = evaluation.PredictedText;
+                sample.Correct = evaluation.Correct;
+                sample.Confidence = evaluation.Confidence;
+                sample.Error = ocr.Success ? null : ocr.ErrorMessage;
+            }
+            catch (OperationCanceledException) when (!cancellationToken.IsCancellationRequested)
+            {
+                sample.Failed = true;
+                sample.Error = $"Timed out after {timeoutSeconds}s";
+            }
+            catch (Exception ex) when (ex is not OperationCanceledException)
+            {
+                _logger.LogWarning(ex, "OCR benchmark read of label {LabelId} failed with {Provider}", label.Id, provider.Name);
+                sample.Failed = true;
+                sample.Error = ex.Message;
+            }
+
+            sample.LatencyMs = stopwatch.ElapsedMilliseconds;
+            return sample;
+        }
+
+        private async Task<byte[]> PrepareImageAsync(string path, ImagePreprocessingOptions? preprocessing, CancellationToken cancellationToken)
+        {
+            // Processed crops were saved after preprocessing already, so only unprocessed crops get the variant
+            if (preprocessing == null || DebugImageService.GetImageType(path) != DebugImageTypes.RoiExtracted)
+            {
+                return await File.ReadAllBytesAsync(path, cancellationToken);
+            }
+
+            using var image = await Image.LoadAsync(path, cancellationToken);
+            OcrService.ApplyPreprocessing(image, preprocessing);
+
+            using var output = new MemoryStream();
+            await image.SaveAsPngAsync(output, cancellationToken);
+            return output.ToArray();
+        }
+
+        private List<IOcrProvider> SelectProviders(List<string>? requested, Dictionary<string, string> skipped)
+        {
+            if (requested is not { Count: > 0 })
+            {
+                return _providers.Where(p => p.IsAvailable && p.Name != NullProviderName).ToList();
+            }
+
+            var selected = new List<IOcrProvider>();
+            foreach (var name in requested.Distinct(StringComparer.OrdinalIgnoreCase))
+            {
+                var provider = _providers.FirstOrDefault(p => string.Equals(p.Name, name, StringComparison.OrdinalIgnoreCase));
+                if (provider == null)
+                {
+                    skipped[name] = "Not registered";
+                }
+                else if (!provider.IsAvailable)
+                {
+                    skipped[provider.Name] = "Not available or not initialized";
+                }
+                else
+                {
+                    selected.Add(provider);
+                }
+            }
+            return selected;
+        }
+
+        private async Task<List<(OcrLabel Label, string Path)>> LoadImagesAsync(List<int>? labelIds)
+        {
+            using var scope = _serviceScopeFactory.CreateScope();
+            var databaseService = scope.ServiceProvider.GetRequiredService<IDatabaseService>();
+            var datasetDirectory = OcrLabelService.GetDatasetDirectory(_cameraOptions.CurrentValue);
+
+            var labels = await databaseService.GetOcrLabelsAsync();
+            if (labelIds is { Count: > 0 })
+            {
+                var wanted = labelIds.ToHashSet();
+                labels = labels.Where(l => wanted.Contains(l.Id));
+            }
+
+            var images = new List<(OcrLabel Label, string Path)>();
+            foreach (var label in labels.OrderBy(l => l.Id))
+            {
+                var path = Path.Combine(datasetDirectory, label.ImageFile);
+                if (File.Exists(path))
+                {
+                    images.Add((label, path));
+                }
+                else
+                {
+                    _logger.LogWarning("OCR label {LabelId} left out of the benchmark: {ImageFile} is missing", label.Id, label.ImageFile);
+                }
+            }
+            return images;
+        }
+
+        private static void ValidateVariants(List<OcrBenchmarkVariant> variants)
+        {
+            if (variants.Count > MaxVariants)
+                throw new ArgumentException($"At most {MaxVariants} preprocessing variants can be benchmarked at once");
+
+            var names = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+            var validator = new ConfigurationValidationService();
+            foreach (var variant in variants)
+            {
+                if (string.IsNullOrWhiteSpace(variant.Name))
+                    throw new ArgumentException("Every preprocessing variant needs a name");
+                if (!names.Add(variant.Name))
+                    throw new ArgumentException($"Preprocessing variant '{variant.Name}' is listed twice");
+
+                if (variant.Preprocessing != null)
+                {
+                    var validation = validator.ValidateImagePreprocessing(variant.Preprocessing);
+                    if (!validation.IsValid)
+                        throw new ArgumentException($"{variant.Name}: {validation.GetErrorSummary()}");
+                }
+            }
+        }
+    }
+}
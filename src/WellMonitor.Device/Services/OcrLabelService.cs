@@ -0,0 +1,331 @@
+using System.Globalization;
+using System.IO.Compression;
+using System.Text;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using WellMonitor.Device.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Keeps the OCR ground-truth dataset: labelled ROI crops copied out of the debug image directory,
+    /// an evaluation row every time OCR is run over them, and accuracy computed from those rows
+    /// </summary>
+    public class OcrLabelService : IOcrLabelService
+    {
+        public const int MaxLabelLength = 50;
+
+        private const string DatasetDirectoryName = "ocr_dataset";
+        private const int MaxConfusions = 20;
+
+        private readonly ILogger<OcrLabelService> _logger;
+        private readonly IDatabaseService _databaseService;
+        private readonly IDebugImageService _debugImageService;
+        private readonly IOcrService _ocrService;
+        private readonly IOptionsMonitor<CameraOptions> _cameraOptions;
+
+        public OcrLabelService(
+            ILogger<OcrLabelService> logger,
+            IDatabaseService databaseService,
+            IDebugImageService debugImageService,
+            IOcrService ocrService,
+            IOptionsMonitor<CameraOptions> cameraOptions)
+        {
+            _logger = logger;
+            _databaseService = databaseService;
+            _debugImageService = debugImageService;
+            _ocrService = ocrService;
+            _cameraOptions = cameraOptions;
+        }
+
+        public async Task<IEnumerable<OcrLabelView>> GetLabelsAsync()
+        {
+            var labels = await _databaseService.GetOcrLabelsAsync();
+            var latest = (await _databaseService.GetOcrEvaluationsAsync(null))
+                .GroupBy(e => e.LabelId)
+                .ToDictionary(g => g.Key, g => g.OrderBy(e => e.EvaluatedAtUtc).Last());
+
+            return labels.Select(label => ToView(label, latest.GetValueOrDefault(label.Id))).ToList();
+        }
+
+        public async Task<OcrLabelView> LabelAsync(string imageFile, string text, string labeledBy, CancellationToken cancellationToken = default)
+        {
+            text = text?.Trim() ?? string.Empty;
+            if (text.Length == 0)
+                throw new ArgumentException("Label text is required");
+            if (text.Length > MaxLabelLength)
+                throw new ArgumentException($"Label text must be at most {MaxLabelLength} characters");
+
+            var image = _debugImageService.GetMetadata(imageFile)
+                ?? throw new KeyNotFoundException($"Image '{imageFile}' not found");
+
+            // OCR only ever sees the ROI crop, so that is what gets labelled; prefer the unprocessed crop so it
+            // can be re-evaluated after preprocessing changes
+            DebugImageInfo? crop = image.Type is DebugImageTypes.RoiExtracted or DebugImageTypes.RoiProcessed
+                ? image
+                : image.Related.FirstOrDefault(i => i.Type == DebugImageTypes.RoiExtracted)
+                  ?? image.Related.FirstOrDefault(i => i.Type == DebugImageTypes.RoiProcessed);
+            if (crop == null)
+                throw new ArgumentException($"'{imageFile}' has no ROI crop saved from the same capture to label");
+
+            var datasetDirectory = GetDatasetDirectory();
+            Directory.CreateDirectory(datasetDirectory);
+            File.Copy(Path.Combine(_cameraOptions.CurrentValue.GetDebugImageDirectory(), crop.Filename),
+                Path.Combine(datasetDirectory, crop.Filename), overwrite: true);
+
+            var label = await _databaseService.GetOcrLabelBySourceImageAsync(crop.Filename) ?? new OcrLabel
+            {
+                ImageFile = crop.Filename,
+                SourceImage = crop.Filename
+            };
+            label.Text = text;
+            label.LabeledBy = string.IsNullOrWhiteSpace(labeledBy) ? "dashboard" : labeledBy.Trim();
+            label.LabeledAtUtc = DateTime.UtcNow;
+            await _databaseService.SaveOcrLabelAsync(label);
+
+            var evaluation = await EvaluateAsync(label, cancellationToken);
+            await _databaseService.AddOcrEvaluationsAsync(new[] { evaluation });
+
+            _logger.LogInformation("OCR label '{Text}' saved for {Image} by {User}; {Provider} read '{Predicted}'",
+                label.Text, label.SourceImage, label.LabeledBy, evaluation.Provider, evaluation.PredictedText);
+
+            return ToView(label, evaluation);
+        }
+
+        public async Task<bool> DeleteLabelAsync(int labelId)
+        {
+            var label = await _databaseService.GetOcrLabelAsync(labelId);
+            if (label == null || !await _databaseService.DeleteOcrLabelAsync(labelId))
+            {
+                return false;
+            }
+
+            var imagePath = Path.Combine(GetDatasetDirectory(), label.ImageFile);
+            if (File.Exists(imagePath))
+            {
+                File.Delete(imagePath);
+            }
+            return true;
+        }
+
+        public async Task<int> EvaluateAllAsync(CancellationToken cancellationToken = default)
+        {
+            var evaluations = new List<OcrEvaluation>();
+            foreach (var label in await _databaseService.GetOcrLabelsAsync())
+            {
+                cancellationToken.ThrowIfCancellationRequested();
+
+                if (!File.Exists(Path.Combine(GetDatasetDirectory(), label.ImageFile)))
+                {
+                    _logger.LogWarning("Skipping OCR label {LabelId}: {ImageFile} is missing from the dataset", label.Id, label.ImageFile);
+                    continue;
+                }
+
+                evaluations.Add(await EvaluateAsync(label, cancellationToken));
+            }
+
+            await _databaseService.AddOcrEvaluationsAsync(evaluations);
+            _logger.LogInformation("Evaluated OCR on {Count} labelled images: {Correct} read correctly",
+                evaluations.Count, evaluations.Count(e => e.Correct));
+
+            return evaluations.Count;
+        }
+
+        public async Task<OcrAccuracyReport> GetAccuracyReportAsync(int days = 30)
+        {
+            var labels = await _databaseService.GetOcrLabelsAsync();
+            var evaluations = await _databaseService.GetOcrEvaluationsAsync(null);
+
+            return BuildReport(labels, evaluations, DateTime.UtcNow.Date.AddDays(-Math.Clamp(days, 1, 365)));
+        }
+
+        public async Task<string?> GetLabelImagePathAsync(int labelId)
+        {
+            var label = await _databaseService.GetOcrLabelAsync(labelId);
+            return label == null ? null : Path.Combine(GetDatasetDirectory(), label.ImageFile);
+        }
+
+        public async Task ExportAsync(Stream output, CancellationToken cancellationToken = default)
+        {
+            var labels = await _databaseService.GetOcrLabelsAsync();
+            var index = new StringBuilder("image,text,labeled_by,labeled_at_utc\n");
+
+            using var archive = new ZipArchive(output, ZipArchiveMode.Create, leaveOpen: true);
+            foreach (var label in labels.OrderBy(l => l.LabeledAtUtc))
+            {
+                var imagePath = Path.Combine(GetDatasetDirectory(), label.ImageFile);
+                if (!File.Exists(imagePath))
+                {
+                    _logger.LogWarning("OCR label {LabelId} left out of export: {ImageFile} is missing", label.Id, label.ImageFile);
+                    continue;
+                }
+
+                archive.CreateEntryFromFile(imagePath, label.ImageFile);
+
+                var groundTruth = archive.CreateEntry($"{Path.GetFileNameWithoutExtension(label.ImageFile)}.gt.txt");
+                await using (var writer = new StreamWriter(groundTruth.Open(), new UTF8Encoding(false)))
+                {
+                    await writer.WriteAsync(label.Text);
+                }
+
+                index.Append(CultureInfo.InvariantCulture,
+                    $"{CsvField(label.ImageFile)},{CsvField(label.Text)},{CsvField(label.LabeledBy)},{label.LabeledAtUtc:O}\n");
+                cancellationToken.ThrowIfCancellationRequested();
+            }
+
+            var indexEntry = archive.CreateEntry("labels.csv");
+            await using (var writer = new StreamWriter(indexEntry.Open(), new UTF8Encoding(false)))
+            {
+                await writer.WriteAsync(index.ToString());
+            }
+        }
+
+        /// <summary>
+        /// Score one OCR result against a label
+        /// </summary>
+        public static OcrEvaluation CreateEvaluation(OcrLabel label, string provider, string? predictedText, double confidence)
+        {
+            var predicted = (predictedText ?? string.Empty).Trim();
+            return new OcrEvaluation
+            {
+                LabelId = label.Id,
+                Provider = string.IsNullOrEmpty(provider) ? "Unknown" : provider,
+                PredictedText = predicted.Length > 200 ? predicted[..200] : predicted,
+                Confidence = Math.Round(confidence, 3),
+                Correct = OcrTextComparer.IsMatch(label.Text, predicted),
+                CharacterErrors = OcrTextComparer.Distance(label.Text, predicted),
+                EvaluatedAtUtc = DateTime.UtcNow
+            };
+        }
+
+        /// <summary>
+        /// Current accuracy from the latest evaluation of each label, history from every evaluation since <paramref name="sinceUtc"/>
+        /// </summary>
+        public static OcrAccuracyReport BuildReport(IEnumerable<OcrLabel> labels, IEnumerable<OcrEvaluation> evaluations, DateTime sinceUtc)
+        {
+            var labelsById = labels.ToDictionary(l => l.Id);
+            var relevant = evaluations.Where(e => labelsById.ContainsKey(e.LabelId)).ToList();
+            var report = new OcrAccuracyReport { LabelCount = labelsById.Count };
+
+            var latestPerLabel = relevant
+                .GroupBy(e => e.LabelId)
+                .Select(g => g.OrderBy(e => e.EvaluatedAtUtc).Last())
+                .ToList();
+            if (latestPerLabel.Count > 0)
+            {
+                report.Accuracy = Math.Round(latestPerLabel.Count(e => e.Correct) / (double)latestPerLabel.Count, 4);
+            }
+
+            var latestPerProvider = new List<OcrEvaluation>();
+            foreach (var provider in relevant.GroupBy(e => e.Provider).OrderBy(g => g.Key, StringComparer.Ordinal))
+            {
+                var latest = provider
+                    .GroupBy(e => e.LabelId)
+                    .Select(g => g.OrderBy(e => e.EvaluatedAtUtc).Last())
+                    .ToList();
+                latestPerProvider.AddRange(latest);
+
+                var labelledCharacters = latest.Sum(e => OcrTextComparer.Normalize(labelsById[e.LabelId].Text).Length);
+                report.Providers.Add(new OcrProviderAccuracy
+                {
+                    Provider = provider.Key,
+                    Labels = latest.Count,
+                    Accuracy = Math.Round(latest.Count(e => e.Correct) / (double)latest.Count, 4),
+                    CharacterAccuracy = labelledCharacters == 0 ? 0
+                        : Math.Round(Math.Max(0, 1 - (latest.Sum(e => e.CharacterErrors) / (double)labelledCharacters)), 4),
+                    AverageConfidence = Math.Round(latest.Average(e => e.Confidence), 3),
+                    LastEvaluatedUtc = provider.Max(e => e.EvaluatedAtUtc),
+                    History = provider
+                        .Where(e => e.EvaluatedAtUtc >= sinceUtc)
+                        .GroupBy(e => e.EvaluatedAtUtc.Date)
+                        .OrderBy(g => g.Key)
+                        .Select(g => new OcrAccuracyPoint
+                        {
+                            Date = DateTime.SpecifyKind(g.Key, DateTimeKind.Utc),
+                            Evaluations = g.Count(),
+                            Accuracy = Math.Round(g.Count(e => e.Correct) / (double)g.Count(), 4)
+                        })
+                        .ToList()
+                });
+            }
+
+            report.Confusions = latestPerProvider
+                .Where(e => !e.Correct)
+                .SelectMany(e => OcrTextComparer.Align(labelsById[e.LabelId].Text, e.PredictedText))
+                .Where(pair => pair.Expected != pair.Predicted)
+                .GroupBy(pair => (Expected: pair.Expected?.ToString() ?? string.Empty, Predicted: pair.Predicted?.ToString() ?? string.Empty))
+                .Select(g => new OcrCharacterConfusion { Expected = g.Key.Expected, Predicted = g.Key.Predicted, Count = g.Count() })
+                .OrderByDescending(c => c.Count)
+                .ThenBy(c => c.Expected, StringComparer.Ordinal)
+                .ThenBy(c => c.Predicted, StringComparer.Ordinal)
+                .Take(MaxConfusions)
+                .ToList();
+
+            return report;
+        }
+
+        private async Task<OcrEvaluation> EvaluateAsync(OcrLabel label, CancellationToken cancellationToken)
+        {
+            var imagePath = Path.Combine(GetDatasetDirectory(), label.ImageFile);
+            var ocrInput = imagePath;
+            string? preprocessedPath = null;
+
+            try
+            {
+                // Unprocessed crops go through preprocessing like a live reading would
+                if (DebugImageService.GetImageType(label.ImageFile) == DebugImageTypes.RoiExtracted)
+                {
+                    preprocessedPath = Path.Combine(Path.GetTempPath(), $"ocr_label_{label.Id}_{Guid.NewGuid():N}.png");
+                    if (await _ocrService.PreprocessImageAsync(imagePath, preprocessedPath, cancellationToken) && File.Exists(preprocessedPath))
+                    {
+                        ocrInput = preprocessedPath;
+                    }
+                }
+
+                var result = await _ocrService.ExtractTextAsync(ocrInput, cancellationToken);
+                var text = string.IsNullOrEmpty(result.ProcessedText) ? result.RawText : result.ProcessedText;
+                return CreateEvaluation(label, result.Provider, text, result.Confidence);
+            }
+            finally
+            {
+                if (preprocessedPath != null && File.Exists(preprocessedPath))
+                {
+                    File.Delete(preprocessedPath);
+                }
+            }
+        }
+
+        private static OcrLabelView ToView(OcrLabel label, OcrEvaluation? latest)
+        {
+            return new OcrLabelView
+            {
+                Id = label.Id,
+                ImageFile = label.ImageFile,
+                ImageUrl = $"/api/ocrlabels/{label.Id}/image",
+                SourceImage = label.SourceImage,
+                Text = label.Text,
+                LabeledBy = label.LabeledBy,
+                LabeledAtUtc = label.LabeledAtUtc,
+                LatestEvaluation = latest
+            };
+        }
+
+        /// <summary>
+        /// Directory the labelled crops are copied to
+        /// </summary>
+        public static string GetDatasetDirectory(CameraOptions cameraOptions)
+        {
+            // Kept inside the debug image directory so it moves with it; the gallery and cleanup only look at top-level files
+            return Path.Combine(cameraOptions.GetDebugImageDirectory(), DatasetDirectoryName);
+        }
+
+        private string GetDatasetDirectory() => GetDatasetDirectory(_cameraOptions.CurrentValue);
+
+        private static string CsvField(string value)
+        {
+            return value.IndexOfAny(new[] { ',', '"', '\n', '\r' }) >= 0
+                ? $"\"{value.Replace("\"", "\"\"")}\""
+                : value;
+        }
+    }
+}
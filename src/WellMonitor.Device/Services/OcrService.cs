@@ -265,48 +265,7 @@ public partial class OcrService : IOcrService
         try
         {
             using var image = await Image.LoadAsync<Rgba32>(inputPath, cancellationToken);
-            
-            var preprocessingSteps = new List<string>();
-
-            image.Mutate(x =>
-            {
-                // Convert to grayscale
-                if (options.ImagePreprocessing.EnableGrayscale)
-                {
-                    x.Grayscale();
-                    preprocessingSteps.Add("Grayscale");
-                }
-
-                // Scale image
-                if (options.ImagePreprocessing.EnableScaling && options.ImagePreprocessing.ScaleFactor != 1.0)
-                {
-                    var newWidth = (int)(image.Width * options.ImagePreprocessing.ScaleFactor);
-                    var newHeight = (int)(image.Height * options.ImagePreprocessing.ScaleFactor);
-                    x.Resize(newWidth, newHeight);
-                    preprocessingSteps.Add($"Scale ({options.ImagePreprocessing.ScaleFactor}x)");
-                }
-
-                // Adjust brightness
-                if (options.ImagePreprocessing.EnableBrightnessAdjustment)
-                {
-                    x.Brightness(options.ImagePreprocessing.BrightnessAdjustment / 100f);
-                    preprocessingSteps.Add($"Brightness ({options.ImagePreprocessing.BrightnessAdjustment})");
-                }
-
-                // Enhance contrast
-                if (options.ImagePreprocessing.EnableContrastEnhancement)
-                {
-                    x.Contrast((float)options.ImagePreprocessing.ContrastFactor);
-                    preprocessingSteps.Add($"Contrast ({options.ImagePreprocessing.ContrastFactor})");
-                }
-
-                // Apply binary threshold for LED displays
-                if (options.ImagePreprocessing.EnableBinaryThresholding)
-                {
-                    x.BinaryThreshold(options.ImagePreprocessing.BinaryThreshold / 255f);
-                    preprocessingSteps.Add($"Binary Threshold ({options.ImagePreprocessing.BinaryThreshold})");
-                }
-            });
+            var preprocessingSteps = ApplyPreprocessing(image, options.ImagePreprocessing);
 
             await image.SaveAsync(outputPath, cancellationToken);
             
@@ -320,6 +279,58 @@ public partial class OcrService : IOcrService
         }
     }
 
+    /// <summary>
+    /// Apply the configured preprocessing steps to an image in place
+    /// Used by the OCR benchmark and the settings preview too, so they process crops exactly like live readings
+    /// </summary>
+    /// <returns>Names of the steps applied</returns>
+    public static List<string> ApplyPreprocessing(Image image, ImagePreprocessingOptions preprocessing)
+    {
+        var preprocessingSteps = new List<string>();
+
+        image.Mutate(x =>
+        {
+            // Convert to grayscale
+            if (preprocessing.EnableGrayscale)
+            {
+                x.Grayscale();
+                preprocessingSteps.Add("Grayscale");
+            }
+
+            // Scale image
+            if (preprocessing.EnableScaling && preprocessing.ScaleFactor != 1.0)
+            {
+                var newWidth = (int)(image.Width * preprocessing.ScaleFactor);
+                var newHeight = (int)(image.Height * preprocessing.ScaleFactor);
+                x.Resize(newWidth, newHeight);
+                preprocessingSteps.Add($"Scale ({preprocessing.ScaleFactor}x)");
+            }
+
+            // Adjust brightness
+            if (preprocessing.EnableBrightnessAdjustment)
+            {
+                x.Brightness(preprocessing.BrightnessAdjustment / 100f);
+                preprocessingSteps.Add($"Brightness ({preprocessing.BrightnessAdjustment})");
+            }
+
+            // Enhance contrast
+            if (preprocessing.EnableContrastEnhancement)
+            {
+                x.Contrast((float)preprocessing.ContrastFactor);
+                preprocessingSteps.Add($"Contrast ({preprocessing.ContrastFactor})");
+            }
+
+            // Apply binary threshold for LED displays
+            if (preprocessing.EnableBinaryThresholding)
+            {
+                x.BinaryThreshold(preprocessing.BinaryThreshold / 255f);
+                preprocessingSteps.Add($"Binary Threshold ({preprocessing.BinaryThreshold})");
+            }
+        });
+
+        return preprocessingSteps;
+    }
+
     /// <summary>
     /// Validate OCR quality and confidence
     /// </summary>
@@ -0,0 +1,339 @@
+using System.Diagnostics;
+using System.Globalization;
+using System.Text.Json;
+using Microsoft.Extensions.DependencyInjection;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using SixLabors.ImageSharp;
+using WellMonitor.Device.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Applies OCR settings from the dashboard through the runtime configuration, like a device twin update would
+    /// Settings that have read successfully are saved as known-good in the local database before they are replaced,
+    /// so a bad change can be undone even after a restart
+    /// </summary>
+    public class OcrSettingsService : IOcrSettingsService, IDisposable
+    {
+        private readonly ILogger<OcrSettingsService> _logger;
+        private readonly IServiceScopeFactory _serviceScopeFactory;
+        private readonly IEnumerable<IOcrProvider> _providers;
+        private readonly IOcrService _ocrService;
+        private readonly IDebugImageService _debugImageService;
+        private readonly IRuntimeConfigurationService _runtimeConfigurationService;
+        private readonly IOptionsMonitor<OcrOptions> _ocrOptions;
+        private readonly IOptionsMonitor<CameraOptions> _cameraOptions;
+        private readonly IDisposable? _optionsChangeSubscription;
+
+        // Successful reads counted by the OCR service when the running settings took effect
+        private long _successfulReadsAtChange;
+
+        public OcrSettingsService(
+            ILogger<OcrSettingsService> logger,
+            IServiceScopeFactory serviceScopeFactory,
+            IEnumerable<IOcrProvider> providers,
+            IOcrService ocrService,
+            IDebugImageService debugImageService,
+            IRuntimeConfigurationService runtimeConfigurationService,
+            IOptionsMonitor<OcrOptions> ocrOptions,
+            IOptionsMonitor<CameraOptions> cameraOptions)
+        {
+            _logger = logger;
+            _serviceScopeFactory = serviceScopeFactory;
+            _providers = providers;
+            _ocrService = ocrService;
+            _debugImageService = debugImageService;
+            _runtimeConfigurationService = runtimeConfigurationService;
+            _ocrOptions = ocrOptions;
+            _cameraOptions = cameraOptions;
+
+            // Changes from the device twin or the benchmark start a new count too
+            _optionsChangeSubscription = _ocrOptions.OnChange((_, _) =>
+                Interlocked.Exchange(ref _successfulReadsAtChange, _ocrService.GetStatistics().SuccessfulOperations));
+        }
+
+        public async Task<OcrSettingsState> GetStateAsync()
+        {
+            var active = _ocrOptions.CurrentValue;
+            return new OcrSettingsState
+            {
+                Settings = OcrSettings.FromOptions(active),
+                Providers = _providers
+                    .Select(p => new OcrBenchmarkProvider { Name = p.Name, IsAvailable = p.IsAvailable, IsActive = p.Name == active.Provider })
+                    .ToList(),
+                SuccessfulReadings = GetSuccessfulReadsSinceChange(),
+                KnownGood = await LoadKnownGoodAsync()
+            };
+        }
+
+        public async Task<OcrSettingsPreview> PreviewAsync(string imageFile, OcrSettings settings, CancellationToken cancellationToken = default)
+        {
+            var current = _ocrOptions.CurrentValue;
+            var errors = new List<string>();
+            var proposed = BuildOptions(settings, current, errors);
+            if (errors.Count > 0)
+                throw new ArgumentException(string.Join("; ", errors));
+
+            var image = _debugImageService.GetMetadata(imageFile)
+                ?? throw new KeyNotFoundException($"Image '{imageFile}' not found");
+
+            // Processed crops have been through preprocessing already, so only the unprocessed crop shows the effect
+            var crop = image.Type == DebugImageTypes.RoiExtracted
+                ? image
+                : image.Related.FirstOrDefault(i => i.Type == DebugImageTypes.RoiExtracted)
+                  ?? throw new ArgumentException($"'{imageFile}' has no unprocessed ROI crop to preview the settings on");
+
+            var imageBytes = await File.ReadAllBytesAsync(
+                Path.Combine(_cameraOptions.CurrentValue.GetDebugImageDirectory(), crop.Filename), cancellationToken);
+
+            return new OcrSettingsPreview
+            {
+                SourceImage = crop.Filename,
+                SourceImageUrl = crop.Url,
+                Current = await ReadAsync(imageBytes, current, cancellationToken),
+                Proposed = await ReadAsync(imageBytes, proposed, cancellationToken),
+                Changes = DescribeChanges(OcrSettings.FromOptions(current), OcrSettings.FromOptions(proposed))
+            };
+        }
+
+        public async Task<OcrSettingsUpdateResult> UpdateAsync(OcrSettings settings)
+        {
+            var current = _ocrOptions.CurrentValue;
+            var result = new OcrSettingsUpdateResult();
+
+            var options = BuildOptions(settings, current, result.Errors);
+            if (result.Errors.Count > 0)
+            {
+                result.Settings = OcrSettings.FromOptions(current);
+                return result;
+            }
+
+            result.SavedKnownGood = await SaveKnownGoodAsync(current);
+            await ApplyAsync(current, options, result);
+
+            _logger.LogInformation("OCR settings updated from dashboard: {Changes}",
+                result.Changes.Count > 0 ? string.Join("; ", result.Changes) : "no changes");
+
+            return result;
+        }
+
+        public async Task<OcrSettingsUpdateResult> ResetToKnownGoodAsync()
+        {
+            var knownGood = await LoadKnownGoodAsync()
+                ?? throw new InvalidOperationException("No known-good OCR settings have been saved yet");
+
+            var current = _ocrOptions.CurrentValue;
+            var result = new OcrSettingsUpdateResult();
+
+            // A provider may have been removed since the settings were saved
+            var options = BuildOptions(knownGood.Settings, current, result.Errors);
+            if (result.Errors.Count > 0)
+            {
+                result.Settings = OcrSettings.FromOptions(current);
+                return result;
+            }
+
+            await ApplyAsync(current, options, result);
+
+            _logger.LogInformation("OCR settings reset to known-good from {SavedUtc:u}: {Changes}",
+                knownGood.SavedUtc, result.Changes.Count > 0 ? string.Join("; ", result.Changes) : "no changes");
+
+            return result;
+        }
+
+        public void Dispose()
+        {
+            _optionsChangeSubscription?.Dispose();
+        }
+
+        private async Task ApplyAsync(OcrOptions current, OcrOptions options, OcrSettingsUpdateResult result)
+        {
+            result.Changes = DescribeChanges(OcrSettings.FromOptions(current), OcrSettings.FromOptions(options));
+            await _runtimeConfigurationService.UpdateOcrOptionsAsync(options);
+            result.Applied = true;
+            result.Settings = OcrSettings.FromOptions(options);
+        }
+
+        /// <summary>
+        /// Running options with the settings applied; problems are added to errors
+        /// </summary>
+        private OcrOptions BuildOptions(OcrSettings settings, OcrOptions current, List<string> errors)
+        {
+            var options = settings.ApplyTo(current);
+
+            var validation = new ConfigurationValidationService().ValidateOcrConfiguration(options);
+            errors.AddRange(validation.Errors);
+
+            if (!string.IsNullOrWhiteSpace(options.Provider))
+            {
+                var provider = _providers.FirstOrDefault(p => string.Equals(p.Name, options.Provider, StringComparison.OrdinalIgnoreCase));
+                if (provider == null)
+                {
+                    errors.Add($"OCR provider '{options.Provider}' is not registered");
+                }
+                else
+                {
+                    options.Provider = provider.Name;
+                }
+            }
+
+            return options;
+        }
+
+        private async Task<OcrSettingsPreviewResult> ReadAsync(byte[] imageBytes, OcrOptions options, CancellationToken cancellationToken)
+        {
+            var result = new OcrSettingsPreviewResult { Provider = options.Provider };
+            var ocrInput = imageBytes;
+
+            if (options.EnablePreprocessing)
+            {
+                using var image = Image.Load(imageBytes);
+                result.PreprocessingSteps = OcrService.ApplyPreprocessing(image, options.ImagePreprocessing);
+
+                using var output = new MemoryStream();
+                await image.SaveAsPngAsync(output, cancellationToken);
+                ocrInput = output.ToArray();
+                result.ProcessedImage = "data:image/png;base64," + Convert.ToBase64String(ocrInput);
+            }
+
+            var provider = _providers.FirstOrDefault(p => p.Name == options.Provider && p.IsAvailable);
+            if (provider == null)
+            {
+                result.Error = $"OCR provider '{options.Provider}' is not available";
+                return result;
+            }
+
+            var stopwatch = Stopwatch.StartNew();
+            try
+            {
+                using var timeout = CancellationTokenSource.CreateLinkedTokenSource(cancellationToken);
+                timeout.CancelAfter(TimeSpan.FromSeconds(options.TimeoutSeconds));
+                using var stream = new MemoryStream(ocrInput, writable: false);
+
+                // Tesseract settings live in the engine, so the edited ones have to be handed over explicitly
+                var ocr = provider is TesseractOcrProvider tesseract
+                    ? await tesseract.ExtractTextAsync(stream, options.Tesseract, timeout.Token)
+                    : await provider.ExtractTextAsync(stream, timeout.Token);
+
+                var text = string.IsNullOrEmpty(ocr.ProcessedText) ? ocr.RawText : ocr.ProcessedText;
+                var reading = _ocrService.ParsePumpReading(text);
+
+                result.Success = ocr.Success;
+                result.Text = text;
+                result.Confidence = ocr.Confidence;
+                result.Accepted = ocr.Success && !string.IsNullOrWhiteSpace(text) && ocr.Confidence >= options.MinimumConfidence;
+                result.Status = reading.Status.ToString();
+                result.CurrentAmps = reading.CurrentAmps;
+                result.Error = ocr.Success ? null : ocr.ErrorMessage;
+            }
+            catch (OperationCanceledException) when (!cancellationToken.IsCancellationRequested)
+            {
+                result.Error = $"Timed out after {options.TimeoutSeconds}s";
+            }
+            catch (Exception ex) when (ex is not OperationCanceledException)
+            {
+                _logger.LogWarning(ex, "OCR settings preview failed with {Provider}", provider.Name);
+                result.Error = ex.Message;
+            }
+
+            result.LatencyMs = stopwatch.ElapsedMilliseconds;
+            return result;
+        }
+
+        private long GetSuccessfulReadsSinceChange()
+        {
+            var successful = _ocrService.GetStatistics().SuccessfulOperations;
+            var atChange = Interlocked.Read(ref _successfulReadsAtChange);
+
+            // Statistics were reset since the change
+            return successful >= atChange ? successful - atChange : successful;
+        }
+
+        private async Task<bool> SaveKnownGoodAsync(OcrOptions running)
+        {
+            var successfulReads = GetSuccessfulReadsSinceChange();
+            if (successfulReads == 0)
+            {
+                return false;
+            }
+
+            var knownGood = new OcrKnownGoodSettings
+            {
+                Settings = OcrSettings.FromOptions(running),
+                SavedUtc = DateTime.UtcNow,
+                SuccessfulReadings = successfulReads
+            };
+
+            using var scope = _serviceScopeFactory.CreateScope();
+            var databaseService = scope.ServiceProvider.GetRequiredService<IDatabaseService>();
+            await databaseService.SaveSettingAsync(OcrKnownGoodSettings.SettingKey, JsonSerializer.Serialize(knownGood));
+
+            _logger.LogInformation("Saved OCR settings ({Provider}) as known-good after {Reads} successful reads",
+                running.Provider, successfulReads);
+            return true;
+        }
+
+        private async Task<OcrKnownGoodSettings?> LoadKnownGoodAsync()
+        {
+            using var scope = _serviceScopeFactory.CreateScope();
+            var databaseService = scope.ServiceProvider.GetRequiredService<IDatabaseService>();
+
+            var saved = await databaseService.GetSettingAsync(OcrKnownGoodSettings.SettingKey);
+            if (saved == null)
+            {
+                return null;
+            }
+
+            try
+            {
+                return JsonSerializer.Deserialize<OcrKnownGoodSettings>(saved);
+            }
+            catch (JsonException ex)
+            {
+                _logger.LogWarning(ex, "Saved known-good OCR settings are invalid and were ignored");
+                return null;
+            }
+        }
+
+        private static List<string> DescribeChanges(OcrSettings before, OcrSettings after)
+        {
+            var changes = new List<string>();
+
+            void Compare<T>(string name, T oldValue, T newValue)
+            {
+                if (!EqualityComparer<T>.Default.Equals(oldValue, newValue))
+                {
+                    changes.Add(string.Format(CultureInfo.InvariantCulture, "{0}: {1} → {2}", name, oldValue, newValue));
+                }
+            }
+
+            Compare(nameof(OcrSettings.Provider), before.Provider, after.Provider);
+            Compare(nameof(OcrSettings.MinimumConfidence), before.MinimumConfidence, after.MinimumConfidence);
+            Compare(nameof(OcrSettings.EnablePreprocessing), before.EnablePreprocessing, after.EnablePreprocessing);
+            Compare(nameof(OcrSettings.PageSegmentationMode), before.PageSegmentationMode, after.PageSegmentationMode);
+            Compare(nameof(OcrSettings.EngineMode), before.EngineMode, after.EngineMode);
+
+            foreach (var key in before.CustomConfig.Keys.Union(after.CustomConfig.Keys).OrderBy(k => k, StringComparer.Ordinal))
+            {
+                Compare(key, before.CustomConfig.GetValueOrDefault(key) ?? "(unset)", after.CustomConfig.GetValueOrDefault(key) ?? "(unset)");
+            }
+
+            var oldPreprocessing = before.ImagePreprocessing;
+            var newPreprocessing = after.ImagePreprocessing;
+            Compare(nameof(ImagePreprocessingOptions.EnableGrayscale), oldPreprocessing.EnableGrayscale, newPreprocessing.EnableGrayscale);
+            Compare(nameof(ImagePreprocessingOptions.EnableContrastEnhancement), oldPreprocessing.EnableContrastEnhancement, newPreprocessing.EnableContrastEnhancement);
+            Compare(nameof(ImagePreprocessingOptions.ContrastFactor), oldPreprocessing.ContrastFactor, newPreprocessing.ContrastFactor);
+            Compare(nameof(ImagePreprocessingOptions.EnableBrightnessAdjustment), oldPreprocessing.EnableBrightnessAdjustment, newPreprocessing.EnableBrightnessAdjustment);
+            Compare(nameof(ImagePreprocessingOptions.BrightnessAdjustment), oldPreprocessing.BrightnessAdjustment, newPreprocessing.BrightnessAdjustment);
+            Compare(nameof(ImagePreprocessingOptions.EnableNoiseReduction), oldPreprocessing.EnableNoiseReduction, newPreprocessing.EnableNoiseReduction);
+            Compare(nameof(ImagePreprocessingOptions.EnableEdgeEnhancement), oldPreprocessing.EnableEdgeEnhancement, newPreprocessing.EnableEdgeEnhancement);
+            Compare(nameof(ImagePreprocessingOptions.EnableScaling), oldPreprocessing.EnableScaling, newPreprocessing.EnableScaling);
+            Compare(nameof(ImagePreprocessingOptions.ScaleFactor), oldPreprocessing.ScaleFactor, newPreprocessing.ScaleFactor);
+            Compare(nameof(ImagePreprocessingOptions.EnableBinaryThresholding), oldPreprocessing.EnableBinaryThresholding, newPreprocessing.EnableBinaryThresholding);
+            Compare(nameof(ImagePreprocessingOptions.BinaryThreshold), oldPreprocessing.BinaryThreshold, newPreprocessing.BinaryThreshold);
+
+            return changes;
+        }
+    }
+}
@@ -0,0 +1,91 @@
+using System.Text;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Compares OCR output with labelled display text
+    /// Whitespace and case are ignored: the display shows "5.2" or "DRY" and OCR spacing carries no meaning
+    /// </summary>
+    public static class OcrTextComparer
+    {
+        public static string Normalize(string? text)
+        {
+            if (string.IsNullOrEmpty(text))
+            {
+                return string.Empty;
+            }
+
+            var builder = new StringBuilder(text.Length);
+            foreach (var c in text)
+            {
+                if (!char.IsWhiteSpace(c))
+                {
+                    builder.Append(char.ToUpperInvariant(c));
+                }
+            }
+            return builder.ToString();
+        }
+
+        public static bool IsMatch(string expected, string? predicted)
+        {
+            return Normalize(expected) == Normalize(predicted);
+        }
+
+        /// <summary>
+        /// Levenshtein distance between the normalised texts
+        /// </summary>
+        public static int Distance(string expected, string? predicted)
+        {
+            return Align(expected, predicted).Count(pair => pair.Expected != pair.Predicted);
+        }
+
+        /// <summary>
+        /// Character-by-character alignment with the fewest edits
+        /// A null Expected is a character OCR added; a null Predicted is a character OCR missed
+        /// </summary>
+        public static List<(char? Expected, char? Predicted)> Align(string expected, string? predicted)
+        {
+            var a = Normalize(expected);
+            var b = Normalize(predicted);
+
+            var cost = new int[a.Length + 1, b.Length + 1];
+            for (var i = 0; i <= a.Length; i++) cost[i, 0] = i;
+            for (var j = 0; j <= b.Length; j++) cost[0, j] = j;
+
+            for (var i = 1; i <= a.Length; i++)
+            {
+                for (var j = 1; j <= b.Length; j++)
+                {
+                    var substitution = cost[i - 1, j - 1] + (a[i - 1] == b[j - 1] ? 0 : 1);
+                    cost[i, j] = Math.Min(substitution, Math.Min(cost[i - 1, j] + 1, cost[i, j - 1] + 1));
+                }
+            }
+
+            // Walk back from the end, preferring matches and substitutions so "5.2" vs "5,2" pairs '.' with ','
+            var pairs = new List<(char? Expected, char? Predicted)>();
+            int x = a.Length, y = b.Length;
+            while (x > 0 || y > 0)
+            {
+                if (x > 0 && y > 0 && cost[x, y] == cost[x - 1, y - 1] + (a[x - 1] == b[y - 1] ? 0 : 1))
+                {
+                    pairs.Add((a[x - 1], b[y - 1]));
+                    x--;
+                    y--;
+                }
+                else if (x > 0 && cost[x, y] == cost[x - 1, y] + 1)
+                {
+                    pairs.Add((a[x - 1], null));
+                    x--;
+                }
+                else
+                {
+                    pairs.Add((null, b[y - 1]));
+                    y--;
+                }
+            }
+
+            pairs.Reverse();
+            return pairs;
+        }
+    }
+}
@@ -0,0 +1,174 @@
+using Microsoft.Extensions.Logging;
+using WellMonitor.Device.Models;
+using WellMonitor.Shared.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Splits the reading history into pump run cycles using the PumpStatusAnalyzer thresholds
+    /// A reading at or above the idle threshold means the motor is running; anything below it means it has stopped
+    /// </summary>
+    public class PumpCycleService : IPumpCycleService
+    {
+        // Cycles are derived from raw readings, so the range is capped to keep the query small on the Pi
+        private static readonly TimeSpan MaxRange = TimeSpan.FromDays(31);
+
+        // A cycle is closed at its last running reading when readings stop arriving for this long
+        private static readonly TimeSpan MaxReadingGap = TimeSpan.FromMinutes(10);
+
+        private readonly ILogger<PumpCycleService> _logger;
+        private readonly IDatabaseService _databaseService;
+        private readonly PumpStatusAnalyzer _pumpStatusAnalyzer;
+
+        public PumpCycleService(
+            ILogger<PumpCycleService> logger,
+            IDatabaseService databaseService,
+            PumpStatusAnalyzer pumpStatusAnalyzer)
+        {
+            _logger = logger;
+            _databaseService = databaseService;
+            _pumpStatusAnalyzer = pumpStatusAnalyzer;
+        }
+
+        public async Task<PumpCycleAnalysis> AnalyzeCyclesAsync(DateTime fromUtc, DateTime toUtc, TimeSpan utcOffset)
+        {
+            if (toUtc <= fromUtc)
+            {
+                throw new ArgumentException("End of the range must be after its start");
+            }
+
+            if (toUtc - fromUtc > MaxRange)
+            {
+                throw new ArgumentException($"Cycle analysis is limited to {MaxRange.TotalDays} days");
+            }
+
+            var options = _pumpStatusAnalyzer.GetPumpAnalysisOptions();
+            var readings = await _databaseService.GetReadingsAsync(fromUtc, toUtc);
+
+            var cycles = DetectCycles(readings, options);
+            var offPeriods = cycles.Zip(cycles.Skip(1), (previous, next) => (Next: next, Minutes: (next.Start - previous.End).TotalMinutes)).ToList();
+
+            var days = (toUtc - fromUtc).TotalDays;
+            var totalRunHours = cycles.Sum(c => c.DurationMinutes) / 60;
+
+            var analysis = new PumpCycleAnalysis
+            {
+                From = fromUtc,
+                To = toUtc,
+                Cycles = cycles,
+                Days = BuildDays(fromUtc, toUtc, utcOffset, cycles, offPeriods),
+                TotalCycles = cycles.Count,
+                ShortCycles = cycles.Count(c => c.IsShortCycle),
+                TotalRunHours = Math.Round(totalRunHours, 2),
+                CyclesPerDay = Math.Round(cycles.Count / days, 1),
+                RunHoursPerDay = Math.Round(totalRunHours / days, 2),
+                MeanRunMinutes = cycles.Count > 0 ? Math.Round(cycles.Average(c => c.DurationMinutes), 1) : null,
+                MeanOffMinutes = offPeriods.Count > 0 ? Math.Round(offPeriods.Average(p => p.Minutes), 1) : null,
+                RunningCurrentThreshold = options.IdleCurrentThreshold,
+                ShortCycleThresholdMinutes = options.ShortCycleThresholdMinutes
+            };
+
+            _logger.LogDebug("Cycle analysis {From} - {To}: {Cycles} cycles, {RunHours:F2} run hours",
+                fromUtc, toUtc, analysis.TotalCycles, analysis.TotalRunHours);
+
+            return analysis;
+        }
+
+        private static List<PumpCycle> DetectCycles(IEnumerable<Reading> readings, PumpAnalysisOptions options)
+        {
+            var cycles = new List<PumpCycle>();
+            var runningCurrents = new List<double>();
+            DateTime? cycleStart = null;
+            DateTime? lastRunning = null;
+            DateTime? lastReading = null;
+
+            void CloseCycle(DateTime end, bool inProgress)
+            {
+                var duration = (end - cycleStart!.Value).TotalMinutes;
+                cycles.Add(new PumpCycle
+                {
+                    Start = cycleStart.Value,
+                    End = end,
+                    DurationMinutes = Math.Round(duration, 2),
+                    AverageCurrent = Math.Round(runningCurrents.Average(), 2),
+                    PeakCurrent = runningCurrents.Max(),
+                    ReadingCount = runningCurrents.Count,
+                    IsShortCycle = !inProgress && duration < options.ShortCycleThresholdMinutes,
+                    InProgress = inProgress
+                });
+
+                cycleStart = null;
+                runningCurrents.Clear();
+            }
+
+            // Failed OCR readings carry no information about the pump, so they are skipped
+            foreach (var reading in readings.Where(r => r.Error == null).OrderBy(r => r.TimestampUtc))
+            {
+                var timestamp = DateTime.SpecifyKind(reading.TimestampUtc, DateTimeKind.Utc);
+
+                if (cycleStart != null && timestamp - lastReading > MaxReadingGap)
+                {
+                    CloseCycle(lastRunning!.Value, false);
+                }
+
+                if (reading.CurrentAmps >= options.IdleCurrentThreshold)
+                {
+                    cycleStart ??= timestamp;
+                    runningCurrents.Add(reading.CurrentAmps);
+                    lastRunning = timestamp;
+                }
+                else if (cycleStart != null)
+                {
+                    CloseCycle(timestamp, false);
+                }
+
+                lastReading = timestamp;
+            }
+
+            if (cycleStart != null)
+            {
+                CloseCycle(lastRunning!.Value, true);
+            }
+
+            return cycles;
+        }
+
+        private static List<PumpCycleDay> BuildDays(
+            DateTime fromUtc,
+            DateTime toUtc,
+            TimeSpan utcOffset,
+            List<PumpCycle> cycles,
+            List<(PumpCycle Next, double Minutes)> offPeriods)
+        {
+            var days = new List<PumpCycleDay>();
+
+            for (var localDay = (fromUtc + utcOffset).Date; localDay < toUtc + utcOffset; localDay = localDay.AddDays(1))
+            {
+                var dayStart = DateTime.SpecifyKind(localDay - utcOffset, DateTimeKind.Utc);
+                var dayEnd = dayStart.AddDays(1);
+
+                var started = cycles.Where(c => c.Start >= dayStart && c.Start < dayEnd).ToList();
+                var offMinutes = offPeriods.Where(p => p.Next.Start >= dayStart && p.Next.Start < dayEnd).Select(p => p.Minutes).ToList();
+
+                // Cycles spanning midnight contribute run time to both days
+                var runMinutes = cycles.Sum(c =>
+                {
+                    var overlapStart = c.Start > dayStart ? c.Start : dayStart;
+                    var overlapEnd = c.End < dayEnd ? c.End : dayEnd;
+                    return overlapEnd > overlapStart ? (overlapEnd - overlapStart).TotalMinutes : 0;
+                });
+
+                days.Add(new PumpCycleDay
+                {
+                    Date = localDay.ToString("yyyy-MM-dd"),
+                    RunHours = Math.Round(runMinutes / 60, 2),
+                    Cycles = started.Count,
+                    ShortCycles = started.Count(c => c.IsShortCycle),
+                    MeanOffMinutes = offMinutes.Count > 0 ? Math.Round(offMinutes.Average(), 1) : null
+                });
+            }
+
+            return days;
+        }
+    }
+}
@@ -58,6 +58,11 @@ public partial class PumpStatusAnalyzer(
     /// </summary>
     public PowerManagementOptions GetPowerManagementOptions() => _powerManagementOptions;
 
+    /// <summary>
+    /// Gets current pump current thresholds (for cycle analysis)
+    /// </summary>
+    public PumpAnalysisOptions GetPumpAnalysisOptions() => _pumpAnalysisOptions;
+
     /// <summary>
     /// Analyzes OCR text and determines pump status and current reading
     /// </summary>
@@ -0,0 +1,53 @@
+using Microsoft.Extensions.DependencyInjection;
+using Microsoft.Extensions.Hosting;
+using Microsoft.Extensions.Logging;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Background service that delivers queued push notifications, so a slow or unreachable push service
+    /// holds up neither the monitoring loop nor the dashboard request that raised the notification
+    /// </summary>
+    public class PushNotificationBackgroundService : BackgroundService
+    {
+        private readonly IPushNotificationQueue _queue;
+        private readonly IServiceScopeFactory _serviceScopeFactory;
+        private readonly ILogger<PushNotificationBackgroundService> _logger;
+
+        public PushNotificationBackgroundService(
+            IPushNotificationQueue queue,
+            IServiceScopeFactory serviceScopeFactory,
+            ILogger<PushNotificationBackgroundService> logger)
+        {
+            _queue = queue;
+            _serviceScopeFactory = serviceScopeFactory;
+            _logger = logger;
+        }
+
+        protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+        {
+            _logger.LogInformation("Push notification background service started");
+
+            try
+            {
+                await foreach (var notification in _queue.Pending.ReadAllAsync(stoppingToken))
+                {
+                    try
+                    {
+                        using var scope = _serviceScopeFactory.CreateScope();
+                        var pushNotificationService = scope.ServiceProvider.GetRequiredService<IPushNotificationService>();
+                        await pushNotificationService.NotifyAsync(notification.Topic, notification.Title, notification.Body, notification.Urgent);
+                    }
+                    catch (Exception ex)
+                    {
+                        _logger.LogWarning(ex, "Failed to send push notification {Topic}", notification.Topic);
+                    }
+                }
+            }
+            catch (OperationCanceledException)
+            {
+                _logger.LogInformation("Push notification background service is stopping due to cancellation");
+            }
+        }
+    }
+}
@@ -0,0 +1,33 @@
+using System.Threading.Channels;
+using WellMonitor.Device.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Bounded in-memory queue of push notifications; they are lost on restart, like a missed push would be
+    /// </summary>
+    public class PushNotificationQueue : IPushNotificationQueue
+    {
+        // While push services are unreachable the oldest notifications are dropped rather than piling up
+        public const int Capacity = 100;
+
+        private readonly Channel<PendingPushNotification> _pending = Channel.CreateBounded<PendingPushNotification>(new BoundedChannelOptions(Capacity)
+        {
+            FullMode = BoundedChannelFullMode.DropOldest,
+            SingleReader = true
+        });
+
+        public ChannelReader<PendingPushNotification> Pending => _pending.Reader;
+
+        public bool Enqueue(string topic, string title, string body, bool urgent = false)
+        {
+            return _pending.Writer.TryWrite(new PendingPushNotification
+            {
+                Topic = topic,
+                Title = title,
+                Body = body,
+                Urgent = urgent
+            });
+        }
+    }
+}
@@ -0,0 +1,263 @@
+using System.Diagnostics.CodeAnalysis;
+using System.Net;
+using System.Text.Json;
+using Microsoft.AspNetCore.WebUtilities;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using WellMonitor.Device.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Keeps browser push subscriptions in the local database and fans notifications out to them
+    /// </summary>
+    public class PushNotificationService : IPushNotificationService
+    {
+        // Subscriptions that keep failing (push service down, keys rotated) are dropped after this many attempts
+        private const int MaxConsecutiveFailures = 10;
+
+        private static readonly JsonSerializerOptions PayloadJsonOptions = new(JsonSerializerDefaults.Web);
+
+        private readonly ILogger<PushNotificationService> _logger;
+        private readonly IDatabaseService _databaseService;
+        private readonly IWebPushSender _webPushSender;
+        private readonly PushNotificationOptions _options;
+
+        public PushNotificationService(
+            ILogger<PushNotificationService> logger,
+            IDatabaseService databaseService,
+            IWebPushSender webPushSender,
+            IOptions<PushNotificationOptions> options)
+        {
+            _logger = logger;
+            _databaseService = databaseService;
+            _webPushSender = webPushSender;
+            _options = options.Value;
+        }
+
+        public async Task<string> GetPublicKeyAsync()
+        {
+            return (await GetVapidKeysAsync()).PublicKey;
+        }
+
+        public async Task<PushSubscription> SubscribeAsync(string endpoint, string p256dh, string auth, IEnumerable<string> topics)
+        {
+            if (!IsAllowedEndpoint(endpoint, out var uri))
+                throw new ArgumentException(_options.AllowInsecureEndpoints
+                    ? "Push endpoint must be an absolute http(s) URL"
+                    : "Push endpoint must be an absolute https URL");
+
+            if (DecodedLength(p256dh) != 65)
+                throw new ArgumentException("p256dh must be an uncompressed P-256 public key");
+
+            if (DecodedLength(auth) != 16)
+                throw new ArgumentException("auth must be a 16-byte secret");
+
+            var topicList = topics.Distinct(StringComparer.OrdinalIgnoreCase).ToList();
+            var unknown = topicList.FirstOrDefault(t => !PushTopics.All.Contains(t));
+            if (unknown != null)
+                throw new ArgumentException($"Unknown notification topic '{unknown}'");
+
+            var subscription = await _databaseService.GetPushSubscriptionAsync(endpoint)
+                ?? new PushSubscription { Endpoint = endpoint, CreatedAtUtc = DateTime.UtcNow };
+
+            subscription.P256dh = p256dh;
+            subscription.Auth = auth;
+            subscription.Topics = string.Join(",", topicList);
+            subscription.FailureCount = 0;
+
+            await _databaseService.SavePushSubscriptionAsync(subscription);
+
+            _logger.LogInformation("Push subscription for {Host} saved with topics {Topics}", uri.Host, subscription.Topics);
+            return subscription;
+        }
+
+        public async Task<bool> UnsubscribeAsync(string endpoint)
+        {
+            var removed = await _databaseService.DeletePushSubscriptionAsync(endpoint);
+            if (removed)
+            {
+                _logger.LogInformation("Push subscription removed");
+            }
+            return removed;
+        }
+
+        public Task<PushSubscription?> GetSubscriptionAsync(string endpoint)
+        {
+            return _databaseService.GetPushSubscriptionAsync(endpoint);
+        }
+
+        public async Task<int> NotifyAsync(string topic, string title, string body, bool urgent = false)
+        {
+            var subscriptions = (await _databaseService.GetPushSubscriptionsAsync())
+                .Where(s => s.HasTopic(topic))
+                .ToList();
+
+            if (subscriptions.Count == 0)
+            {
+                return 0;
+            }
+
+            var payload = CreatePayload(topic, title, body);
+            var vapidKeys = await GetVapidKeysAsync();
+
+            // Sends run in parallel so one unreachable push service doesn't delay the rest; the database
+            // context isn't thread-safe, so the results are recorded one at a time afterwards
+            var statuses = await Task.WhenAll(subscriptions.Select(s => SendAsync(s, payload, vapidKeys, urgent)));
+
+            var delivered = 0;
+            for (var i = 0; i < subscriptions.Count; i++)
+            {
+                if (await RecordDeliveryAsync(subscriptions[i], statuses[i]))
+                {
+                    delivered++;
+                }
+            }
+
+            _logger.LogInformation("Push notification {Topic} delivered to {Delivered} of {Count} subscriptions",
+                topic, delivered, subscriptions.Count);
+            return delivered;
+        }
+
+        public async Task<bool> SendTestAsync(string endpoint)
+        {
+            var subscription = await _databaseService.GetPushSubscriptionAsync(endpoint);
+            if (subscription == null)
+            {
+                return false;
+            }
+
+            var payload = CreatePayload("Test", "WellMonitor", "Notifications are working on this device");
+            return await DeliverAsync(subscription, payload, await GetVapidKeysAsync(), urgent: false);
+        }
+
+        private async Task<bool> DeliverAsync(PushSubscription subscription, string payload, VapidKeys vapidKeys, bool urgent)
+        {
+            return await RecordDeliveryAsync(subscription, await SendAsync(subscription, payload, vapidKeys, urgent));
+        }
+
+        /// <summary>
+        /// Push status of one send, or null when the subscription was skipped
+        /// </summary>
+        private async Task<HttpStatusCode?> SendAsync(PushSubscription subscription, string payload, VapidKeys vapidKeys, bool urgent)
+        {
+            // Subscriptions saved while http endpoints were allowed are kept but not sent to
+            if (!IsAllowedEndpoint(subscription.Endpoint, out _))
+            {
+                _logger.LogWarning("Skipped push subscription {SubscriptionId}: its endpoint is not https", subscription.Id);
+                return null;
+            }
+
+            try
+            {
+                return await _webPushSender.SendAsync(
+                    subscription, payload, vapidKeys, _options.Subject, _options.TimeToLiveSeconds, urgent);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "Failed to send push notification to subscription {SubscriptionId}", subscription.Id);
+                return HttpStatusCode.ServiceUnavailable;
+            }
+        }
+
+        /// <summary>
+        /// Update or remove the subscription after a send; returns true if the notification was delivered
+        /// </summary>
+        private async Task<bool> RecordDeliveryAsync(PushSubscription subscription, HttpStatusCode? sendStatus)
+        {
+            if (sendStatus is not HttpStatusCode status)
+            {
+                return false;
+            }
+
+            if (status == HttpStatusCode.NotFound || status == HttpStatusCode.Gone)
+            {
+                // The browser unsubscribed or the subscription expired
+                await _databaseService.DeletePushSubscriptionAsync(subscription.Endpoint);
+                _logger.LogInformation("Removed expired push subscription {SubscriptionId}", subscription.Id);
+                return false;
+            }
+
+            if ((int)status >= 200 && (int)status < 300)
+            {
+                subscription.LastSentAtUtc = DateTime.UtcNow;
+                subscription.FailureCount = 0;
+                await _databaseService.SavePushSubscriptionAsync(subscription);
+                return true;
+            }
+
+            subscription.FailureCount++;
+            if (subscription.FailureCount >= MaxConsecutiveFailures)
+            {
+                await _databaseService.DeletePushSubscriptionAsync(subscription.Endpoint);
+                _logger.LogWarning("Removed push subscription {SubscriptionId} after {Count} failed deliveries",
+                    subscription.Id, subscription.FailureCount);
+            }
+            else
+            {
+                await _databaseService.SavePushSubscriptionAsync(subscription);
+            }
+
+            return false;
+        }
+
+        private async Task<VapidKeys> GetVapidKeysAsync()
+        {
+            if (!string.IsNullOrEmpty(_options.PublicKey) && !string.IsNullOrEmpty(_options.PrivateKey))
+            {
+                return new VapidKeys { PublicKey = _options.PublicKey, PrivateKey = _options.PrivateKey };
+            }
+
+            var saved = await _databaseService.GetSettingAsync(PushNotificationOptions.VapidKeysSettingKey);
+            if (saved != null)
+            {
+                var keys = JsonSerializer.Deserialize<VapidKeys>(saved);
+                if (keys != null && !string.IsNullOrEmpty(keys.PublicKey) && !string.IsNullOrEmpty(keys.PrivateKey))
+                {
+                    return keys;
+                }
+            }
+
+            // Browsers tie subscriptions to this key, so it is generated once and kept
+            var generated = WebPushSender.GenerateVapidKeys();
+            await _databaseService.SaveSettingAsync(PushNotificationOptions.VapidKeysSettingKey, JsonSerializer.Serialize(generated));
+
+            _logger.LogInformation("Generated new VAPID key pair for push notifications");
+            return generated;
+        }
+
+        private static string CreatePayload(string topic, string title, string body)
+        {
+            return JsonSerializer.Serialize(new PushMessage
+            {
+                Topic = topic,
+                Title = title,
+                Body = body,
+                Url = topic == PushTopics.RelayCycle ? "/" : "/#alerts"
+            }, PayloadJsonOptions);
+        }
+
+        // The device posts to whatever endpoint a browser registers, so only https push services are accepted by default
+        private bool IsAllowedEndpoint(string endpoint, [NotNullWhen(true)] out Uri? uri)
+        {
+            if (!Uri.TryCreate(endpoint, UriKind.Absolute, out uri))
+            {
+                return false;
+            }
+
+            return uri.Scheme == Uri.UriSchemeHttps || (_options.AllowInsecureEndpoints && uri.Scheme == Uri.UriSchemeHttp);
+        }
+
+        private static int DecodedLength(string value)
+        {
+            try
+            {
+                return WebEncoders.Base64UrlDecode(value).Length;
+            }
+            catch (FormatException)
+            {
+                return -1;
+            }
+        }
+    }
+}
@@ -0,0 +1,248 @@
+using Microsoft.Extensions.Logging;
+using WellMonitor.Device.Models;
+using WellMonitor.Shared.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Power cycles the pump relay for the dashboard, the cloud and the monitoring service
+    /// Limits apply to every source: at most one cycle per MinimumCycleIntervalMinutes and MaxDailyCycles per day
+    /// </summary>
+    public class RelayControlService : IRelayControlService
+    {
+        public const string ConfirmationPhrase = "CYCLE";
+
+        // The relay is shared hardware, so only one cycle may run at a time across all scopes
+        private static readonly SemaphoreSlim CycleLock = new(1, 1);
+
+        // Readings older than this don't say whether the pump is running now
+        private static readonly TimeSpan PumpStateMaxAge = TimeSpan.FromMinutes(5);
+
+        private readonly ILogger<RelayControlService> _logger;
+        private readonly IDatabaseService _databaseService;
+        private readonly IGpioService _gpioService;
+        private readonly PumpStatusAnalyzer _pumpStatusAnalyzer;
+        private readonly IPushNotificationQueue _pushNotificationQueue;
+
+        public RelayControlService(
+            ILogger<RelayControlService> logger,
+            IDatabaseService databaseService,
+            IGpioService gpioService,
+            PumpStatusAnalyzer pumpStatusAnalyzer,
+            IPushNotificationQueue pushNotificationQueue)
+        {
+            _logger = logger;
+            _databaseService = databaseService;
+            _gpioService = gpioService;
+            _pumpStatusAnalyzer = pumpStatusAnalyzer;
+            _pushNotificationQueue = pushNotificationQueue;
+        }
+
+        public Task<RelayStatus> GetStatusAsync()
+        {
+            return BuildStatusAsync(cycleInProgress: CycleLock.CurrentCount == 0);
+        }
+
+        private async Task<RelayStatus> BuildStatusAsync(bool cycleInProgress)
+        {
+            var options = _pumpStatusAnalyzer.GetPowerManagementOptions();
+            var now = DateTime.UtcNow;
+
+            // "Today" is the device's local day, matching what the operator sees on the wall clock
+            var startOfToday = DateTime.Today.ToUniversalTime();
+            var lookback = now.AddMinutes(-options.MinimumCycleIntervalMinutes);
+            var since = startOfToday < lookback ? startOfToday : lookback;
+
+            // Every cycle that switched the relay off counts, including one whose power failed to come back
+            var completed = (await _databaseService.GetRelayActionLogsAsync(since, int.MaxValue))
+                .Where(l => l.Error == null || l.Error.StartsWith(RelayActions.PowerNotRestoredPrefix, StringComparison.Ordinal))
+                .ToList();
+
+            var lastCycle = completed.Select(l => (DateTime?)DateTime.SpecifyKind(l.TimestampUtc, DateTimeKind.Utc)).FirstOrDefault();
+            var lockoutEnds = lastCycle?.AddMinutes(options.MinimumCycleIntervalMinutes);
+            var cyclesToday = completed.Count(l => l.TimestampUtc >= startOfToday);
+
+            var latestReading = (await _databaseService.GetReadingsAsync(now - PumpStateMaxAge, now))
+                .Where(r => r.Error == null)
+                .OrderByDescending(r => r.TimestampUtc)
+                .FirstOrDefault();
+
+            var status = new RelayStatus
+            {
+                RelayOn = _gpioService.GetRelayState(),
+                CycleInProgress = cycleInProgress,
+                LastCycleUtc = lastCycle,
+                CyclesToday = cyclesToday,
+                MaxDailyCycles = options.MaxDailyCycles,
+                RemainingToday = Math.Max(0, options.MaxDailyCycles - cyclesToday),
+                MinimumCycleIntervalMinutes = options.MinimumCycleIntervalMinutes,
+                PowerCycleDelaySeconds = options.PowerCycleDelaySeconds,
+                PumpStatus = latestReading?.Status ?? "Unknown",
+                PumpCurrentAmps = latestReading?.CurrentAmps,
+                PumpRunning = latestReading != null && latestReading.CurrentAmps >= _pumpStatusAnalyzer.GetPumpAnalysisOptions().IdleCurrentThreshold,
+                ConfirmationPhrase = ConfirmationPhrase
+            };
+
+            if (lockoutEnds > now)
+            {
+                status.LockoutEndsUtc = lockoutEnds;
+                status.LockoutRemainingSeconds = (int)Math.Ceiling((lockoutEnds.Value - now).TotalSeconds);
+            }
+
+            if (status.CycleInProgress)
+                status.BlockedReason = "A relay cycle is already in progress";
+            else if (status.LockoutEndsUtc != null)
+                status.BlockedReason = $"Locked out for {FormatDuration(status.LockoutRemainingSeconds)} after the last cycle (minimum interval {options.MinimumCycleIntervalMinutes} min)";
+            else if (status.RemainingToday == 0)
+                status.BlockedReason = $"Daily limit of {options.MaxDailyCycles} cycles reached";
+
+            status.CanCycle = status.BlockedReason == null;
+            return status;
+        }
+
+        public async Task<RelayCycleResult> CycleAsync(string source, string reason, string user, bool allowWhileRunning = false, CancellationToken cancellationToken = default)
+        {
+            if (!await CycleLock.WaitAsync(0, cancellationToken))
+            {
+                return await RejectAsync(source, reason, user, "A relay cycle is already in progress", cycleInProgress: true);
+            }
+
+            RelayCycleResult result;
+            string? completedReason;
+            try
+            {
+                // This request holds the lock, so it doesn't count as a cycle in progress
+                var status = await BuildStatusAsync(cycleInProgress: false);
+                var blockedReason = status.BlockedReason;
+
+                // The rapid cycling safety action only keeps to the minimum interval; the daily limit is for people and the cloud
+                if (source == RelaySources.Automatic && !status.CycleInProgress && status.LockoutEndsUtc == null)
+                {
+                    blockedReason = null;
+                }
+
+                if (blockedReason == null && status.PumpRunning && !allowWhileRunning)
+                {
+                    blockedReason = $"Pump is running ({status.PumpCurrentAmps:F1} A); confirm cycling a running pump";
+                }
+
+                if (blockedReason != null)
+                {
+                    return await RejectAsync(source, reason, user, blockedReason, cycleInProgress: false);
+                }
+
+                var log = new RelayActionLog
+                {
+                    Action = RelayActions.ForSource(source),
+                    Reason = FormatReason(reason, user),
+                    Synced = false
+                };
+
+                var switchedOff = false;
+                try
+                {
+                    _logger.LogWarning("Power cycling relay ({Source}): {Reason}", source, log.Reason);
+
+                    _gpioService.SetRelayState(false);
+                    switchedOff = true;
+
+                    // Once the relay is off the cycle always runs its full delay; a dropped request must not cut it short
+                    await Task.Delay(TimeSpan.FromSeconds(status.PowerCycleDelaySeconds), CancellationToken.None);
+                    _gpioService.SetRelayState(true);
+                }
+                catch (Exception ex)
+                {
+                    log.Error = switchedOff ? RelayActions.PowerNotRestoredPrefix + ex.Message : ex.Message;
+                    _logger.LogError(ex, "Relay power cycle failed ({Source})", source);
+                }
+
+                log.TimestampUtc = DateTime.UtcNow;
+                await _databaseService.AddRelayActionLogAsync(log);
+
+                if (log.Error != null)
+                {
+                    return new RelayCycleResult { Success = false, Message = $"Relay cycle failed: {log.Error}", Status = await BuildStatusAsync(cycleInProgress: false) };
+                }
+
+                _logger.LogInformation("Relay power cycle completed ({Source}, {Delay}s off)", source, status.PowerCycleDelaySeconds);
+                completedReason = log.Reason;
+
+                result = new RelayCycleResult { Success = true, Message = "Relay cycled successfully", Status = await BuildStatusAsync(cycleInProgress: false) };
+            }
+            finally
+            {
+                CycleLock.Release();
+            }
+
+            // Queued for the background sender so neither the lock nor the response waits on push services
+            Notify(source, completedReason);
+
+            return result;
+        }
+
+        public async Task<IEnumerable<RelayActionEntry>> GetActionLogAsync(string? source = null, int limit = 100)
+        {
+            var logs = await _databaseService.GetRelayActionLogsAsync(null, source == null ? limit : int.MaxValue);
+
+            var entries = logs.Select(l => new RelayActionEntry
+            {
+                Id = l.Id,
+                TimestampUtc = DateTime.SpecifyKind(l.TimestampUtc, DateTimeKind.Utc),
+                Action = l.Action,
+                Source = RelayActions.GetSource(l.Action),
+                Reason = l.Reason,
+                Result = l.Error ?? "Completed",
+                Succeeded = l.Error == null,
+                Synced = l.Synced
+            });
+
+            if (!string.IsNullOrEmpty(source))
+            {
+                entries = entries.Where(e => string.Equals(e.Source, source, StringComparison.OrdinalIgnoreCase));
+            }
+
+            return entries.Take(limit).ToList();
+        }
+
+        private async Task<RelayCycleResult> RejectAsync(string source, string reason, string user, string blockedReason, bool cycleInProgress)
+        {
+            _logger.LogWarning("Relay power cycle blocked ({Source}): {BlockedReason}", source, blockedReason);
+
+            // Automatic requests repeat every monitoring cycle while rapid cycling lasts, so only people's attempts are audited
+            if (source != RelaySources.Automatic)
+            {
+                await _databaseService.AddRelayActionLogAsync(new RelayActionLog
+                {
+                    TimestampUtc = DateTime.UtcNow,
+                    Action = RelayActions.ForSource(source),
+                    Reason = FormatReason(reason, user),
+                    Error = $"Blocked: {blockedReason}",
+                    // Nothing happened to the relay, so the cloud is never sent the attempt as a relay action
+                    Synced = true
+                });
+            }
+
+            return new RelayCycleResult { Success = false, Message = blockedReason, Status = await BuildStatusAsync(cycleInProgress) };
+        }
+
+        private void Notify(string source, string? reason)
+        {
+            if (!_pushNotificationQueue.Enqueue(PushTopics.RelayCycle, "Relay cycled",
+                $"Pump power was cycled ({source.ToLowerInvariant()}): {reason}", urgent: source == RelaySources.Automatic))
+            {
+                _logger.LogWarning("Relay cycle notification was not queued");
+            }
+        }
+
+        private static string FormatReason(string reason, string user)
+        {
+            var text = string.IsNullOrWhiteSpace(user) ? reason.Trim() : $"{reason.Trim()} (by {user.Trim()})";
+            return text.Length > 200 ? text[..200] : text;
+        }
+
+        private static string FormatDuration(int seconds)
+        {
+            return seconds >= 60 ? $"{seconds / 60} min {seconds % 60:00} s" : $"{seconds} s";
+        }
+    }
+}
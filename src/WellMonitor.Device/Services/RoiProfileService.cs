@@ -0,0 +1,180 @@
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using SixLabors.ImageSharp;
+using SixLabors.ImageSharp.Drawing.Processing;
+using SixLabors.ImageSharp.PixelFormats;
+using SixLabors.ImageSharp.Processing;
+using WellMonitor.Device.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Stores ROI profiles in the local database and applies the active one at runtime
+    /// </summary>
+    public class RoiProfileService : IRoiProfileService
+    {
+        private const int ThumbnailWidth = 240;
+
+        private readonly ILogger<RoiProfileService> _logger;
+        private readonly IDatabaseService _databaseService;
+        private readonly IRuntimeConfigurationService _runtimeConfigurationService;
+        private readonly IOptionsMonitor<RegionOfInterestOptions> _roiOptions;
+        private readonly IOptionsMonitor<CameraOptions> _cameraOptions;
+
+        public RoiProfileService(
+            ILogger<RoiProfileService> logger,
+            IDatabaseService databaseService,
+            IRuntimeConfigurationService runtimeConfigurationService,
+            IOptionsMonitor<RegionOfInterestOptions> roiOptions,
+            IOptionsMonitor<CameraOptions> cameraOptions)
+        {
+            _logger = logger;
+            _databaseService = databaseService;
+            _runtimeConfigurationService = runtimeConfigurationService;
+            _roiOptions = roiOptions;
+            _cameraOptions = cameraOptions;
+        }
+
+        public Task<IEnumerable<RoiProfile>> GetProfilesAsync() => _databaseService.GetRoiProfilesAsync();
+
+        public Task<RoiProfile?> GetProfileAsync(int profileId) => _databaseService.GetRoiProfileAsync(profileId);
+
+        public Task<RoiProfile?> GetActiveProfileAsync() => _databaseService.GetActiveRoiProfileAsync();
+
+        public async Task<RoiProfile> SaveProfileAsync(string name, RoiCoordinates roi, string savedBy, string? sourceImage)
+        {
+            if (string.IsNullOrWhiteSpace(name))
+            {
+                throw new ArgumentException("Profile name is required", nameof(name));
+            }
+
+            if (!roi.IsValid())
+            {
+                throw new ArgumentException($"ROI is out of bounds: {roi}", nameof(roi));
+            }
+
+            // Only keep the file name so the source image has to live in the debug image directory
+            sourceImage = string.IsNullOrEmpty(sourceImage) ? null : Path.GetFileName(sourceImage);
+
+            var profile = new RoiProfile
+            {
+                Name = name.Trim(),
+                X = roi.X,
+                Y = roi.Y,
+                Width = roi.Width,
+                Height = roi.Height,
+                SavedBy = string.IsNullOrWhiteSpace(savedBy) ? "unknown" : savedBy.Trim(),
+                SavedAtUtc = DateTime.UtcNow,
+                SourceImage = sourceImage,
+                Thumbnail = await CreateThumbnailAsync(sourceImage, roi)
+            };
+            profile.Version = await _databaseService.GetLatestRoiProfileVersionAsync(profile.Name) + 1;
+
+            await _databaseService.AddRoiProfileAsync(profile);
+            _logger.LogInformation("ROI profile {Name} v{Version} saved by {SavedBy}: {Roi}",
+                profile.Name, profile.Version, profile.SavedBy, roi);
+
+            return await ActivateProfileAsync(profile.Id);
+        }
+
+        public async Task<RoiProfile> ActivateProfileAsync(int profileId)
+        {
+            await _databaseService.SetActiveRoiProfileAsync(profileId);
+
+            var profile = await _databaseService.GetRoiProfileAsync(profileId)
+                ?? throw new KeyNotFoundException($"ROI profile {profileId} not found");
+
+            await ApplyProfileAsync(profile);
+            _logger.LogInformation("Switched to ROI profile {Name} v{Version}", profile.Name, profile.Version);
+
+            return profile;
+        }
+
+        public async Task<RoiProfile?> RollbackAsync()
+        {
+            var profiles = await _databaseService.GetRoiProfilesAsync();
+            var previous = profiles
+                .Where(p => !p.IsActive && p.ActivatedAtUtc.HasValue)
+                .OrderByDescending(p => p.ActivatedAtUtc)
+                .FirstOrDefault();
+
+            if (previous == null)
+            {
+                _logger.LogWarning("No previously active ROI profile to roll back to");
+                return null;
+            }
+
+            _logger.LogInformation("Rolling back ROI to {Name} v{Version}", previous.Name, previous.Version);
+            return await ActivateProfileAsync(previous.Id);
+        }
+
+        public async Task<RoiProfileDiff?> DiffAsync(int fromProfileId, int toProfileId)
+        {
+            var from = await _databaseService.GetRoiProfileAsync(fromProfileId);
+            var to = await _databaseService.GetRoiProfileAsync(toProfileId);
+
+            return from == null || to == null ? null : new RoiProfileDiff { From = from, To = to };
+        }
+
+        public async Task ApplyActiveProfileAsync()
+        {
+            var profile = await _databaseService.GetActiveRoiProfileAsync();
+            if (profile == null)
+            {
+                _logger.LogInformation("No active ROI profile saved, using default ROI {Roi}", _roiOptions.CurrentValue.RoiPercent);
+                return;
+            }
+
+            await ApplyProfileAsync(profile);
+            _logger.LogInformation("Applied active ROI profile {Name} v{Version}", profile.Name, profile.Version);
+        }
+
+        private async Task ApplyProfileAsync(RoiProfile profile)
+        {
+            var current = _roiOptions.CurrentValue;
+            await _runtimeConfigurationService.UpdateRoiOptionsAsync(new RegionOfInterestOptions
+            {
+                EnableRoi = current.EnableRoi,
+                EnableAutoDetection = current.EnableAutoDetection,
+                LedBrightnessThreshold = current.LedBrightnessThreshold,
+                ExpansionMargin = current.ExpansionMargin,
+                RoiPercent = profile.ToCoordinates()
+            });
+        }
+
+        private async Task<byte[]?> CreateThumbnailAsync(string? sourceImage, RoiCoordinates roi)
+        {
+            if (sourceImage == null)
+            {
+                return null;
+            }
+
+            var imagePath = Path.Combine(_cameraOptions.CurrentValue.GetDebugImageDirectory(), sourceImage);
+            if (!File.Exists(imagePath))
+            {
+                _logger.LogWarning("ROI source image {ImagePath} not found, saving profile without thumbnail", imagePath);
+                return null;
+            }
+
+            try
+            {
+                using var image = await Image.LoadAsync<Rgba32>(imagePath);
+                var (x, y, width, height) = roi.ToPixelCoordinates(image.Width, image.Height);
+                var lineWidth = Math.Max(2, image.Width / 120f);
+
+                image.Mutate(ctx => ctx
+                    .Draw(Color.Red, lineWidth, new RectangleF(x, y, width, height))
+                    .Resize(ThumbnailWidth, 0));
+
+                using var stream = new MemoryStream();
+                await image.SaveAsJpegAsync(stream);
+                return stream.ToArray();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to create ROI thumbnail from {ImagePath}", imagePath);
+                return null;
+            }
+        }
+    }
+}
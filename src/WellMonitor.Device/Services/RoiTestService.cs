@@ -0,0 +1,133 @@
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using SixLabors.ImageSharp;
+using SixLabors.ImageSharp.Drawing.Processing;
+using SixLabors.ImageSharp.PixelFormats;
+using SixLabors.ImageSharp.Processing;
+using WellMonitor.Device.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Extracts an ROI crop, preprocesses it and runs OCR and pump status analysis on it
+    /// The frame, an ROI overlay and the crops are written to the debug image directory under one
+    /// timestamp so the dashboard gallery can show them side by side
+    /// </summary>
+    public class RoiTestService : IRoiTestService
+    {
+        private readonly ILogger<RoiTestService> _logger;
+        private readonly ICameraService _cameraService;
+        private readonly IOcrService _ocrService;
+        private readonly PumpStatusAnalyzer _pumpStatusAnalyzer;
+        private readonly IOptionsMonitor<CameraOptions> _cameraOptions;
+
+        public RoiTestService(
+            ILogger<RoiTestService> logger,
+            ICameraService cameraService,
+            IOcrService ocrService,
+            PumpStatusAnalyzer pumpStatusAnalyzer,
+            IOptionsMonitor<CameraOptions> cameraOptions)
+        {
+            _logger = logger;
+            _cameraService = cameraService;
+            _ocrService = ocrService;
+            _pumpStatusAnalyzer = pumpStatusAnalyzer;
+            _cameraOptions = cameraOptions;
+        }
+
+        /// <summary>
+        /// Capture a frame and test the ROI against it
+        /// </summary>
+        public async Task<RoiTestResult> TestRoiAsync(RoiCoordinates roi, CancellationToken cancellationToken = default)
+        {
+            var imageBytes = await _cameraService.CaptureImageAsync();
+            return await TestRoiAsync(imageBytes, roi, cancellationToken);
+        }
+
+        /// <summary>
+        /// Test the ROI against an already captured frame
+        /// </summary>
+        public async Task<RoiTestResult> TestRoiAsync(byte[] imageBytes, RoiCoordinates roi, CancellationToken cancellationToken = default)
+        {
+            var result = new RoiTestResult { Roi = roi };
+
+            if (imageBytes == null || imageBytes.Length == 0)
+            {
+                result.ErrorMessage = "No image data captured";
+                return result;
+            }
+
+            if (!roi.IsValid())
+            {
+                result.ErrorMessage = $"ROI is out of bounds: {roi}";
+                return result;
+            }
+
+            try
+            {
+                var debugDirectory = _cameraOptions.CurrentValue.GetDebugImageDirectory();
+                Directory.CreateDirectory(debugDirectory);
+
+                var timestamp = DateTime.UtcNow.ToString("yyyyMMdd_HHmmss_fff");
+                var overlayFile = $"roi_overlay_test_{timestamp}.jpg";
+                var extractedFile = $"roi_extracted_test_{timestamp}.png";
+                var processedFile = $"roi_processed_test_{timestamp}.png";
+                var extractedPath = Path.Combine(debugDirectory, extractedFile);
+                var processedPath = Path.Combine(debugDirectory, processedFile);
+
+                // Extract the ROI crop from the full frame
+                using (var image = Image.Load<Rgba32>(imageBytes))
+                {
+                    var (x, y, width, height) = roi.ToPixelCoordinates(image.Width, image.Height);
+                    result.PixelX = x;
+                    result.PixelY = y;
+                    result.PixelWidth = width;
+                    result.PixelHeight = height;
+
+                    // Keep the frame as captured so it can be re-read or labelled later
+                    var format = Image.DetectFormat(imageBytes);
+                    var originalFile = $"original_test_{timestamp}.{format.FileExtensions.First()}";
+                    await File.WriteAllBytesAsync(Path.Combine(debugDirectory, originalFile), imageBytes, cancellationToken);
+                    result.OriginalImageFile = originalFile;
+
+                    using (var overlay = image.Clone(ctx => ctx.Draw(Color.Red, Math.Max(2, image.Width / 120f), new RectangleF(x, y, width, height))))
+                    {
+                        await overlay.SaveAsJpegAsync(Path.Combine(debugDirectory, overlayFile), cancellationToken);
+                    }
+                    result.OverlayImageFile = overlayFile;
+
+                    image.Mutate(ctx => ctx.Crop(new Rectangle(x, y, width, height)));
+                    await image.SaveAsPngAsync(extractedPath, cancellationToken);
+                }
+                result.ExtractedImageFile = extractedFile;
+
+                // Preprocess with the current OCR settings; nothing is written when preprocessing is disabled
+                var ocrInputPath = extractedPath;
+                if (await _ocrService.PreprocessImageAsync(extractedPath, processedPath, cancellationToken) && File.Exists(processedPath))
+                {
+                    result.ProcessedImageFile = processedFile;
+                    ocrInputPath = processedPath;
+                }
+
+                result.Ocr = await _ocrService.ExtractTextAsync(ocrInputPath, cancellationToken);
+
+                var text = string.IsNullOrEmpty(result.Ocr.ProcessedText) ? result.Ocr.RawText : result.Ocr.ProcessedText;
+                result.ParsedReading = _ocrService.ParsePumpReading(text);
+                result.AnalyzedStatus = _pumpStatusAnalyzer.AnalyzePumpReading(text, result.Ocr.Confidence).Status;
+                result.Success = result.Ocr.Success;
+                result.ErrorMessage = result.Ocr.ErrorMessage;
+
+                _logger.LogInformation("ROI test {Roi}: Text='{Text}', Confidence={Confidence:F2}, Status={Status}",
+                    roi, text, result.Ocr.Confidence, result.AnalyzedStatus);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "ROI test failed for {Roi}", roi);
+                result.Success = false;
+                result.ErrorMessage = ex.Message;
+            }
+
+            return result;
+        }
+    }
+}
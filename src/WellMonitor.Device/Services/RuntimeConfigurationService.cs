@@ -15,6 +15,7 @@ namespace WellMonitor.Device.Services
         void SetInitialWebOptions(WebOptions options);
         Task UpdateCameraOptionsAsync(CameraOptions newOptions);
         void SetInitialCameraOptions(CameraOptions options);
+        Task UpdateRoiOptionsAsync(RegionOfInterestOptions newOptions);
     }
 
     /// <summary>
@@ -29,19 +30,22 @@ namespace WellMonitor.Device.Services
         private readonly RuntimeDebugOptionsSource _runtimeDebugOptionsSource;
         private readonly RuntimeWebOptionsSource _runtimeWebOptionsSource;
         private readonly RuntimeCameraOptionsSource _runtimeCameraOptionsSource;
+        private readonly RuntimeRoiOptionsSource _runtimeRoiOptionsSource;
 
         public RuntimeConfigurationService(
             ILogger<RuntimeConfigurationService> logger,
             RuntimeOcrOptionsSource runtimeOcrOptionsSource,
             RuntimeDebugOptionsSource runtimeDebugOptionsSource,
             RuntimeWebOptionsSource runtimeWebOptionsSource,
-            RuntimeCameraOptionsSource runtimeCameraOptionsSource)
+            RuntimeCameraOptionsSource runtimeCameraOptionsSource,
+            RuntimeRoiOptionsSource runtimeRoiOptionsSource)
         {
             _logger = logger;
             _runtimeOcrOptionsSource = runtimeOcrOptionsSource;
             _runtimeDebugOptionsSource = runtimeDebugOptionsSource;
             _runtimeWebOptionsSource = runtimeWebOptionsSource;
             _runtimeCameraOptionsSource = runtimeCameraOptionsSource;
+            _runtimeRoiOptionsSource = runtimeRoiOptionsSource;
         }
 
         public Task UpdateOcrOptionsAsync(OcrOptions newOptions)
@@ -102,6 +106,13 @@ namespace WellMonitor.Device.Services
                 options.Width, options.Height, options.Gain, options.AutoExposure);
             _runtimeCameraOptionsSource.UpdateOptions(options);
         }
+
+        public Task UpdateRoiOptionsAsync(RegionOfInterestOptions newOptions)
+        {
+            _logger.LogInformation("Updating ROI options at runtime: {Roi}", newOptions.RoiPercent);
+            _runtimeRoiOptionsSource.UpdateOptions(newOptions);
+            return Task.CompletedTask;
+        }
     }
 
     /// <summary>
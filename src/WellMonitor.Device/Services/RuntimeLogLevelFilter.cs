@@ -0,0 +1,72 @@
+using Microsoft.Extensions.Logging;
+using WellMonitor.Device.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Applies Debug:LogLevel and Debug:EnableVerboseOcrLogging to WellMonitor log categories while the service runs
+    /// It is a logger filter rule, so it is created before the container and follows DebugOptions through its change listener
+    /// </summary>
+    public class RuntimeLogLevelFilter
+    {
+        /// <summary>
+        /// Category prefix the filter rule is registered for; framework categories keep Logging:LogLevel
+        /// </summary>
+        public const string CategoryPrefix = "WellMonitor";
+
+        public static readonly IReadOnlyList<string> Levels = new[]
+        {
+            nameof(LogLevel.Trace), nameof(LogLevel.Debug), nameof(LogLevel.Information),
+            nameof(LogLevel.Warning), nameof(LogLevel.Error), nameof(LogLevel.Critical)
+        };
+
+        private volatile int _minimumLevel = (int)LogLevel.Information;
+        private volatile bool _verboseOcr;
+
+        public LogLevel MinimumLevel => (LogLevel)_minimumLevel;
+        public bool VerboseOcr => _verboseOcr;
+
+        public RuntimeLogLevelFilter(DebugOptions options)
+        {
+            Apply(options);
+        }
+
+        /// <summary>
+        /// Use the log settings of the options; an unknown level keeps the current one
+        /// </summary>
+        public void Apply(DebugOptions options)
+        {
+            if (TryParseLevel(options.LogLevel, out var level))
+            {
+                _minimumLevel = (int)level;
+            }
+            _verboseOcr = options.EnableVerboseOcrLogging;
+        }
+
+        public bool IsEnabled(string? category, LogLevel level)
+        {
+            if (level == LogLevel.None)
+            {
+                return false;
+            }
+
+            var minimum = MinimumLevel;
+            if (_verboseOcr && minimum > LogLevel.Debug && category != null && LogAreas.FromCategory(category) == LogAreas.Ocr)
+            {
+                minimum = LogLevel.Debug;
+            }
+
+            return level >= minimum;
+        }
+
+        /// <summary>
+        /// Parse a level name such as "Debug", ignoring case; None isn't a level to log at
+        /// </summary>
+        public static bool TryParseLevel(string? value, out LogLevel level)
+        {
+            level = LogLevel.Information;
+            var name = Levels.FirstOrDefault(l => string.Equals(l, value?.Trim(), StringComparison.OrdinalIgnoreCase));
+            return name != null && Enum.TryParse(name, out level);
+        }
+    }
+}
@@ -0,0 +1,210 @@
+using System.Globalization;
+using Microsoft.Extensions.Logging;
+using WellMonitor.Shared.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Builds hourly summaries from raw readings the same way the energy report integrates them,
+    /// then adds the hours up into daily and monthly summaries
+    /// </summary>
+    public class SummaryRollupService : ISummaryRollupService
+    {
+        // A reading is held for at most this long when the next one is missing, matching the energy report
+        private static readonly TimeSpan MaxReadingGap = TimeSpan.FromMinutes(10);
+
+        private readonly ILogger<SummaryRollupService> _logger;
+        private readonly IDatabaseService _databaseService;
+        private readonly IEnergyService _energyService;
+        private readonly PumpStatusAnalyzer _pumpStatusAnalyzer;
+
+        public SummaryRollupService(
+            ILogger<SummaryRollupService> logger,
+            IDatabaseService databaseService,
+            IEnergyService energyService,
+            PumpStatusAnalyzer pumpStatusAnalyzer)
+        {
+            _logger = logger;
+            _databaseService = databaseService;
+            _energyService = energyService;
+            _pumpStatusAnalyzer = pumpStatusAnalyzer;
+        }
+
+        public async Task<IReadOnlyList<HourlySummary>> AggregateHoursAsync(DateTime fromUtc, DateTime toUtc)
+        {
+            var hours = new List<HourlySummary>();
+            foreach (var (dayFrom, dayTo) in SplitIntoDays(fromUtc, toUtc))
+            {
+                hours.AddRange((await AggregateAsync(dayFrom, dayTo)).Values);
+            }
+
+            return hours;
+        }
+
+        public async Task<int> RollupAsync(DateTime fromUtc, DateTime toUtc)
+        {
+            if (toUtc <= fromUtc)
+            {
+                throw new ArgumentException("End of the rollup range must be after its start");
+            }
+
+            // Only completed periods are saved: history reads raw readings after the last summary,
+            // so a period saved while it was still running would hide its later readings
+            var completedUntil = StartOfHour(DateTime.UtcNow);
+            if (toUtc > completedUntil)
+            {
+                toUtc = completedUntil;
+            }
+
+            var changed = 0;
+
+            foreach (var (dayFrom, dayTo) in SplitIntoDays(fromUtc, toUtc))
+            {
+                var dayStart = DateTime.SpecifyKind(dayFrom.Date, DateTimeKind.Utc);
+                var hours = await AggregateAsync(dayFrom, dayTo);
+
+                foreach (var (hour, summary) in hours)
+                {
+                    var existing = await _databaseService.GetHourlySummaryAsync(hour);
+                    if (existing == null || existing.TotalKwh != summary.TotalKwh || existing.PumpCycles != summary.PumpCycles)
+                    {
+                        await _databaseService.SaveHourlySummaryAsync(summary);
+                        changed++;
+                    }
+                }
+
+                if (dayStart.AddDays(1) > completedUntil)
+                {
+                    continue;
+                }
+
+                var dayHours = (await _databaseService.GetHourlySummariesAsync(dayStart, dayStart.AddHours(23))).ToList();
+                if (dayHours.Count > 0)
+                {
+                    var daily = new DailySummary
+                    {
+                        Date = dayStart.ToString("yyyy-MM-dd", CultureInfo.InvariantCulture),
+                        TotalKwh = Math.Round(dayHours.Sum(h => h.TotalKwh), 3),
+                        PumpCycles = dayHours.Sum(h => h.PumpCycles)
+                    };
+
+                    var existing = await _databaseService.GetDailySummaryAsync(dayStart);
+                    if (existing == null || existing.TotalKwh != daily.TotalKwh || existing.PumpCycles != daily.PumpCycles)
+                    {
+                        await _databaseService.SaveDailySummaryAsync(daily);
+                        changed++;
+                    }
+                }
+            }
+
+            for (var month = new DateTime(fromUtc.Year, fromUtc.Month, 1, 0, 0, 0, DateTimeKind.Utc); month.AddMonths(1) <= completedUntil && month < toUtc; month = month.AddMonths(1))
+            {
+                var days = (await _databaseService.GetDailySummariesAsync(month, month.AddMonths(1).AddDays(-1))).ToList();
+                if (days.Count == 0)
+                {
+                    continue;
+                }
+
+                var monthly = new MonthlySummary
+                {
+                    Month = month.ToString("yyyy-MM", CultureInfo.InvariantCulture),
+                    TotalKwh = Math.Round(days.Sum(d => d.TotalKwh), 3)
+                };
+
+                var existing = await _databaseService.GetMonthlySummaryAsync(month);
+                if (existing == null || existing.TotalKwh != monthly.TotalKwh)
+                {
+                    await _databaseService.SaveMonthlySummaryAsync(monthly);
+                    changed++;
+                }
+            }
+
+            _logger.LogDebug("Summary rollup {From} - {To}: {Changed} summaries added or changed", fromUtc, toUtc, changed);
+
+            return changed;
+        }
+
+        /// <summary>
+        /// Hourly summaries keyed by the start of their hour; intervals between readings count towards the hour
+        /// they start in, and a pump start is counted in the hour of its first running reading
+        /// </summary>
+        private async Task<SortedDictionary<DateTime, HourlySummary>> AggregateAsync(DateTime fromUtc, DateTime toUtc)
+        {
+            var firstHour = StartOfHour(fromUtc);
+            var lastHour = StartOfHour(toUtc.AddTicks(-1));
+
+            var options = await _energyService.GetOptionsAsync();
+            var runningThreshold = _pumpStatusAnalyzer.GetPumpAnalysisOptions().IdleCurrentThreshold;
+
+            // Readings just outside the hours tell whether the first one continues a cycle and how long the last one holds
+            var readings = (await _databaseService.GetReadingsAsync(firstHour - MaxReadingGap, lastHour.AddHours(1) + MaxReadingGap))
+                .Where(r => r.Error == null)
+                .OrderBy(r => r.TimestampUtc)
+                .ToList();
+
+            var hours = new SortedDictionary<DateTime, HourlySummary>();
+            var now = DateTime.UtcNow;
+
+            for (var i = 0; i < readings.Count; i++)
+            {
+                var start = DateTime.SpecifyKind(readings[i].TimestampUtc, DateTimeKind.Utc);
+                var running = readings[i].CurrentAmps >= runningThreshold;
+                var startsCycle = running && (i == 0
+                    || readings[i - 1].CurrentAmps < runningThreshold
+                    || readings[i].TimestampUtc - readings[i - 1].TimestampUtc > MaxReadingGap);
+
+                var hour = StartOfHour(start);
+                if (hour < firstHour || hour > lastHour)
+                {
+                    continue;
+                }
+
+                var end = i + 1 < readings.Count
+                    ? DateTime.SpecifyKind(readings[i + 1].TimestampUtc, DateTimeKind.Utc)
+                    : (now < start + MaxReadingGap ? now : start + MaxReadingGap);
+                if (end - start > MaxReadingGap)
+                {
+                    end = start + MaxReadingGap;
+                }
+
+                if (!hours.TryGetValue(hour, out var summary))
+                {
+                    summary = new HourlySummary { DateHour = hour.ToString("yyyy-MM-dd HH", CultureInfo.InvariantCulture) };
+                    hours[hour] = summary;
+                }
+
+                summary.TotalKwh += options.ToKilowatts(readings[i].CurrentAmps) * Math.Max(0, (end - start).TotalHours);
+                if (startsCycle)
+                {
+                    summary.PumpCycles++;
+                }
+            }
+
+            foreach (var summary in hours.Values)
+            {
+                summary.TotalKwh = Math.Round(summary.TotalKwh, 3);
+            }
+
+            return hours;
+        }
+
+        /// <summary>
+        /// The range cut at UTC midnights; one day of readings at a time keeps memory flat over long ranges
+        /// </summary>
+        private static IEnumerable<(DateTime From, DateTime To)> SplitIntoDays(DateTime fromUtc, DateTime toUtc)
+        {
+            for (var from = fromUtc; from < toUtc;)
+            {
+                var nextDay = DateTime.SpecifyKind(from.Date.AddDays(1), DateTimeKind.Utc);
+                var to = nextDay < toUtc ? nextDay : toUtc;
+                yield return (from, to);
+                from = to;
+            }
+        }
+
+        private static DateTime StartOfHour(DateTime utc)
+        {
+            return new DateTime(utc.Year, utc.Month, utc.Day, utc.Hour, 0, 0, DateTimeKind.Utc);
+        }
+    }
+}
@@ -1,3 +1,4 @@
+using Microsoft.Extensions.DependencyInjection;
 using Microsoft.Extensions.Hosting;
 using Microsoft.Extensions.Logging;
 using WellMonitor.Device.Services;
@@ -14,14 +15,21 @@ namespace WellMonitor.Device.Services
     public class SyncBackgroundService : BackgroundService
     {
         private readonly ISyncService _syncService;
+        private readonly IServiceScopeFactory _serviceScopeFactory;
         private readonly ILogger<SyncBackgroundService> _logger;
         private readonly TimeSpan _syncInterval = TimeSpan.FromHours(1); // Sync every hour
         
+        // The first rollup after startup catches up on readings taken while the service was down
+        private static readonly TimeSpan InitialRollupRange = TimeSpan.FromDays(31);
+        private DateTime? _lastRollupUtc;
+        
         public SyncBackgroundService(
             ISyncService syncService,
+            IServiceScopeFactory serviceScopeFactory,
             ILogger<SyncBackgroundService> logger)
         {
             _syncService = syncService;
+            _serviceScopeFactory = serviceScopeFactory;
             _logger = logger;
         }
 
@@ -59,6 +67,9 @@ namespace WellMonitor.Device.Services
         {
             try
             {
+                // Aggregate new readings into the summary tables before they are synced
+                await RollupSummariesAsync();
+                
                 // Sync telemetry data (readings and logs)
                 await _syncService.SyncTelemetryAsync();
                 
@@ -73,6 +84,32 @@ namespace WellMonitor.Device.Services
             }
         }
 
+        private async Task RollupSummariesAsync()
+        {
+            try
+            {
+                var now = DateTime.UtcNow;
+                
+                // Restart from the hour the previous run stopped at (it only saves completed hours); the first run
+                // starts on a month boundary so its first daily and monthly summaries cover whole periods
+                var from = _lastRollupUtc ?? now - InitialRollupRange;
+                from = _lastRollupUtc == null
+                    ? new DateTime(from.Year, from.Month, 1, 0, 0, 0, DateTimeKind.Utc)
+                    : new DateTime(from.Year, from.Month, from.Day, from.Hour, 0, 0, DateTimeKind.Utc);
+                
+                using var scope = _serviceScopeFactory.CreateScope();
+                var rollupService = scope.ServiceProvider.GetRequiredService<ISummaryRollupService>();
+                var changed = await rollupService.RollupAsync(from, now);
+                
+                _lastRollupUtc = now;
+                _logger.LogDebug("Summary rollup from {From} updated {Changed} summaries", from, changed);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error rolling up reading summaries");
+            }
+        }
+
         public override async Task StopAsync(CancellationToken stoppingToken)
         {
             _logger.LogInformation("Sync background service is stopping");
@@ -0,0 +1,64 @@
+using Microsoft.Extensions.Hosting;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using WellMonitor.Device.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Background service that samples system health into history and applies the storage retention once a day
+    /// </summary>
+    public class SystemHealthBackgroundService : BackgroundService
+    {
+        private readonly ISystemHealthService _systemHealthService;
+        private readonly IOptionsMonitor<SystemHealthOptions> _options;
+        private readonly ILogger<SystemHealthBackgroundService> _logger;
+        private readonly TimeSpan _retentionInterval = TimeSpan.FromDays(1);
+        private DateTime _lastRetentionUtc = DateTime.MinValue;
+
+        public SystemHealthBackgroundService(
+            ISystemHealthService systemHealthService,
+            IOptionsMonitor<SystemHealthOptions> options,
+            ILogger<SystemHealthBackgroundService> logger)
+        {
+            _systemHealthService = systemHealthService;
+            _options = options;
+            _logger = logger;
+        }
+
+        protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+        {
+            _logger.LogInformation("System health background service started");
+
+            try
+            {
+                while (!stoppingToken.IsCancellationRequested)
+                {
+                    try
+                    {
+                        var sample = await _systemHealthService.RecordSampleAsync();
+                        _logger.LogDebug("System health sample: CPU={Cpu}%, Memory={Memory}%, Storage={Storage}%, Temperature={Temperature}°C",
+                            sample.CpuPercent, sample.MemoryPercent, sample.StoragePercent, sample.TemperatureCelsius);
+
+                        // Also runs right after startup, so a Pi that was off for a while cleans up before filling further
+                        if (DateTime.UtcNow - _lastRetentionUtc >= _retentionInterval)
+                        {
+                            await _systemHealthService.ApplyRetentionAsync();
+                            _lastRetentionUtc = DateTime.UtcNow;
+                        }
+                    }
+                    catch (Exception ex)
+                    {
+                        _logger.LogError(ex, "Error in system health service cycle");
+                    }
+
+                    await Task.Delay(TimeSpan.FromMinutes(Math.Max(1, _options.CurrentValue.SampleIntervalMinutes)), stoppingToken);
+                }
+            }
+            catch (OperationCanceledException)
+            {
+                _logger.LogInformation("System health background service is stopping due to cancellation");
+            }
+        }
+    }
+}
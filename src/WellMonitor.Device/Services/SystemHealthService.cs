@@ -0,0 +1,378 @@
+using Microsoft.Data.Sqlite;
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.DependencyInjection;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using WellMonitor.Device.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// System health history and storage management
+    /// Storage is measured on the file system holding the SQLite database, which on the Pi is the SD card
+    /// </summary>
+    public class SystemHealthService : ISystemHealthService
+    {
+        public const int MaxImageRetentionDays = 365;
+
+        // Fits over fewer samples than this swing too much to alert on
+        private const int MinTrendSamples = 3;
+
+        // A full card within this many days warns even below the fill threshold
+        private const double StorageFullWarningDays = 7;
+
+        private static readonly string[] DatabaseFileSuffixes = { "", "-wal", "-shm", "-journal" };
+
+        private readonly ILogger<SystemHealthService> _logger;
+        private readonly IServiceScopeFactory _serviceScopeFactory;
+        private readonly ISystemMetricsReader _metricsReader;
+        private readonly IDebugImageService _debugImageService;
+        private readonly IRuntimeConfigurationService _runtimeConfigurationService;
+        private readonly IOptionsMonitor<SystemHealthOptions> _options;
+        private readonly IOptionsMonitor<DebugOptions> _debugOptions;
+        private readonly IOptionsMonitor<CameraOptions> _cameraOptions;
+        private readonly string _databasePath;
+
+        public SystemHealthService(
+            ILogger<SystemHealthService> logger,
+            IServiceScopeFactory serviceScopeFactory,
+            ISystemMetricsReader metricsReader,
+            IDebugImageService debugImageService,
+            IRuntimeConfigurationService runtimeConfigurationService,
+            IConfiguration configuration,
+            IOptionsMonitor<SystemHealthOptions> options,
+            IOptionsMonitor<DebugOptions> debugOptions,
+            IOptionsMonitor<CameraOptions> cameraOptions)
+        {
+            _logger = logger;
+            _serviceScopeFactory = serviceScopeFactory;
+            _metricsReader = metricsReader;
+            _debugImageService = debugImageService;
+            _runtimeConfigurationService = runtimeConfigurationService;
+            _options = options;
+            _debugOptions = debugOptions;
+            _cameraOptions = cameraOptions;
+            _databasePath = GetDatabasePath(configuration);
+        }
+
+        public SystemHealthSample GetCurrent()
+        {
+            return _metricsReader.ReadSample(GetStorageDirectory());
+        }
+
+        public async Task<SystemHealthSample> RecordSampleAsync()
+        {
+            var sample = _metricsReader.ReadSample(GetStorageDirectory());
+
+            using var scope = _serviceScopeFactory.CreateScope();
+            var databaseService = scope.ServiceProvider.GetRequiredService<IDatabaseService>();
+            await databaseService.AddSystemHealthSampleAsync(sample);
+
+            var options = _options.CurrentValue;
+            var window = await databaseService.GetSystemHealthSamplesAsync(
+                sample.TimestampUtc.AddHours(-options.TrendWindowHours), sample.TimestampUtc);
+            var warnings = EvaluateWarnings(sample, window.ToList(), options);
+
+            var alertService = scope.ServiceProvider.GetRequiredService<IAlertService>();
+            foreach (var type in new[] { AlertTypes.StorageLow, AlertTypes.HighTemperature, AlertTypes.MemoryGrowth })
+            {
+                try
+                {
+                    var warning = warnings.FirstOrDefault(w => w.Type == type);
+                    if (warning != null)
+                    {
+                        await alertService.RaiseAsync(warning.Type, warning.Severity, warning.Title, warning.Message);
+                    }
+                    else
+                    {
+                        await alertService.ResolveAsync(type, "Condition cleared");
+                    }
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogError(ex, "Failed to update {Type} alert", type);
+                }
+            }
+
+            return sample;
+        }
+
+        public async Task<SystemHealthTrend> GetTrendAsync(int hours)
+        {
+            var options = _options.CurrentValue;
+            if (hours < 1 || hours > options.SampleRetentionDays * 24)
+                throw new ArgumentException($"Hours must be between 1 and {options.SampleRetentionDays * 24}");
+
+            var now = DateTime.UtcNow;
+            var from = now.AddHours(-Math.Max(hours, options.TrendWindowHours));
+
+            using var scope = _serviceScopeFactory.CreateScope();
+            var databaseService = scope.ServiceProvider.GetRequiredService<IDatabaseService>();
+            var samples = (await databaseService.GetSystemHealthSamplesAsync(from, now)).ToList();
+
+            var trend = new SystemHealthTrend
+            {
+                FromUtc = now.AddHours(-hours),
+                ToUtc = now,
+                Samples = samples.Where(s => s.TimestampUtc >= now.AddHours(-hours)).ToList(),
+                Latest = samples.LastOrDefault(),
+                Thresholds = options
+            };
+
+            var window = samples.Where(s => s.TimestampUtc >= now.AddHours(-options.TrendWindowHours)).ToList();
+            trend.MemoryGrowthMbPerHour = FitMemoryGrowth(window, options);
+            trend.StorageDaysUntilFull = FitDaysUntilFull(window, options);
+            if (trend.Latest != null)
+            {
+                trend.Warnings = EvaluateWarnings(trend.Latest, window, options);
+            }
+
+            return trend;
+        }
+
+        public StorageBreakdown GetStorageBreakdown()
+        {
+            var storageDirectory = GetStorageDirectory();
+            var debugDirectory = _cameraOptions.CurrentValue.GetDebugImageDirectory();
+            var retentionDays = Math.Max(1, _debugOptions.CurrentValue.ImageRetentionDays);
+
+            var breakdown = new StorageBreakdown
+            {
+                DrivePath = storageDirectory,
+                ImageRetentionDays = retentionDays,
+                AutoCleanupDebugImages = _options.CurrentValue.AutoCleanupDebugImages
+            };
+
+            try
+            {
+                var drive = new DriveInfo(storageDirectory);
+                breakdown.DriveTotalBytes = drive.TotalSize;
+                breakdown.DriveFreeBytes = drive.AvailableFreeSpace;
+                if (drive.TotalSize > 0)
+                {
+                    breakdown.DriveUsedPercent = Math.Round((double)(drive.TotalSize - drive.AvailableFreeSpace) / drive.TotalSize * 100, 1);
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "Could not read drive usage of {Path}", storageDirectory);
+            }
+
+            breakdown.Items.Add(MeasureFiles("Database", _databasePath,
+                DatabaseFileSuffixes.Select(suffix => new FileInfo(_databasePath + suffix)).Where(f => f.Exists)));
+
+            // Only top-level images are debug output; the OCR dataset below it is kept by the labelling tools
+            var debugImages = ListFiles(debugDirectory, recursive: false)
+                .Where(f => IsImageFile(f.Name))
+                .ToList();
+            breakdown.Items.Add(MeasureFiles("Debug images", debugDirectory, debugImages, Directory.Exists(debugDirectory)));
+
+            var datasetDirectory = OcrLabelService.GetDatasetDirectory(_cameraOptions.CurrentValue);
+            breakdown.Items.Add(MeasureFiles("OCR dataset", datasetDirectory,
+                ListFiles(datasetDirectory, recursive: true), Directory.Exists(datasetDirectory)));
+
+            var logDirectory = _options.CurrentValue.LogDirectory;
+            breakdown.Items.Add(MeasureFiles("Logs", logDirectory,
+                ListFiles(logDirectory, recursive: true), Directory.Exists(logDirectory)));
+
+            var cutoff = DateTime.UtcNow.AddDays(-retentionDays);
+            var expired = debugImages.Where(f => f.LastWriteTimeUtc < cutoff).ToList();
+            breakdown.ExpiredDebugImages = expired.Count;
+            breakdown.ExpiredDebugImageBytes = expired.Sum(f => f.Length);
+            breakdown.OldestDebugImageUtc = debugImages.Count > 0 ? debugImages.Min(f => f.LastWriteTimeUtc) : null;
+
+            return breakdown;
+        }
+
+        public async Task<StorageBreakdown> SetImageRetentionDaysAsync(int days)
+        {
+            if (days < 1 || days > MaxImageRetentionDays)
+                throw new ArgumentException($"Image retention must be between 1 and {MaxImageRetentionDays} days");
+
+            var current = _debugOptions.CurrentValue;
+            var updated = current.Clone();
+            updated.ImageRetentionDays = days;
+            await _runtimeConfigurationService.UpdateDebugOptionsAsync(updated);
+
+            _logger.LogInformation("Debug image retention changed from {OldDays} to {NewDays} days", current.ImageRetentionDays, days);
+            return GetStorageBreakdown();
+        }
+
+        public async Task ApplyRetentionAsync()
+        {
+            var options = _options.CurrentValue;
+
+            using (var scope = _serviceScopeFactory.CreateScope())
+            {
+                var databaseService = scope.ServiceProvider.GetRequiredService<IDatabaseService>();
+                await databaseService.CleanupOldSystemHealthSamplesAsync(DateTime.UtcNow.AddDays(-options.SampleRetentionDays));
+            }
+
+            if (options.AutoCleanupDebugImages)
+            {
+                _debugImageService.DeleteImagesOlderThan(Math.Max(1, _debugOptions.CurrentValue.ImageRetentionDays));
+            }
+        }
+
+        /// <summary>
+        /// Full path of the SQLite database file from the DefaultConnection connection string
+        /// </summary>
+        public static string GetDatabasePath(IConfiguration configuration)
+        {
+            var connectionString = configuration.GetConnectionString("DefaultConnection") ?? "Data Source=wellmonitor.db";
+            return Path.GetFullPath(new SqliteConnectionStringBuilder(connectionString).DataSource);
+        }
+
+        /// <summary>
+        /// Slope of the service's memory over the window, ignoring samples from before the last restart
+        /// </summary>
+        private double? FitMemoryGrowth(List<SystemHealthSample> window, SystemHealthOptions options)
+        {
+            var sinceStart = window
+                .Where(s => s.TimestampUtc >= _metricsReader.ProcessStartedUtc)
+                .Select(s => (s.TimestampUtc, (double?)s.ProcessMemoryMb))
+                .ToList();
+
+            var slope = FitSlopePerHour(sinceStart, options.TrendWindowHours / 2.0);
+            return slope == null ? null : Math.Round(slope.Value, 2);
+        }
+
+        /// <summary>
+        /// Days until free space runs out at the fitted rate; null while free space isn't shrinking
+        /// </summary>
+        private static double? FitDaysUntilFull(List<SystemHealthSample> window, SystemHealthOptions options)
+        {
+            var free = window.Select(s => (s.TimestampUtc, s.StorageFreeMb)).ToList();
+            var slope = FitSlopePerHour(free, options.TrendWindowHours / 2.0);
+            var latestFree = window.LastOrDefault(s => s.StorageFreeMb != null)?.StorageFreeMb;
+
+            if (slope is not < 0 || latestFree == null)
+            {
+                return null;
+            }
+
+            return Math.Round(latestFree.Value / -slope.Value / 24, 1);
+        }
+
+        /// <summary>
+        /// Least-squares slope per hour; null with too few points or when they span less than minSpanHours
+        /// </summary>
+        private static double? FitSlopePerHour(List<(DateTime TimestampUtc, double? Value)> points, double minSpanHours)
+        {
+            var values = points.Where(p => p.Value != null).ToList();
+            if (values.Count < MinTrendSamples)
+            {
+                return null;
+            }
+
+            var origin = values[0].TimestampUtc;
+            var xs = values.Select(p => (p.TimestampUtc - origin).TotalHours).ToList();
+            if (xs.Max() - xs.Min() < minSpanHours)
+            {
+                return null;
+            }
+
+            var ys = values.Select(p => p.Value!.Value).ToList();
+            var meanX = xs.Average();
+            var meanY = ys.Average();
+            var covariance = xs.Zip(ys, (x, y) => (x - meanX) * (y - meanY)).Sum();
+            var variance = xs.Sum(x => (x - meanX) * (x - meanX));
+
+            return variance == 0 ? null : covariance / variance;
+        }
+
+        private List<SystemHealthWarning> EvaluateWarnings(SystemHealthSample latest, List<SystemHealthSample> window, SystemHealthOptions options)
+        {
+            var warnings = new List<SystemHealthWarning>();
+
+            var daysUntilFull = FitDaysUntilFull(window, options);
+            if (latest.StoragePercent >= options.StorageCriticalPercent)
+            {
+                warnings.Add(Warning(AlertTypes.StorageLow, AlertSeverity.Danger, "SD card almost full",
+                    $"Storage is {latest.StoragePercent:F1}% full ({latest.StorageFreeMb:F0} MB free)"));
+            }
+            else if (latest.StoragePercent >= options.StorageWarningPercent)
+            {
+                warnings.Add(Warning(AlertTypes.StorageLow, AlertSeverity.Warning, "SD card filling up",
+                    $"Storage is {latest.StoragePercent:F1}% full ({latest.StorageFreeMb:F0} MB free)"));
+            }
+            else if (daysUntilFull < StorageFullWarningDays)
+            {
+                warnings.Add(Warning(AlertTypes.StorageLow, AlertSeverity.Warning, "SD card filling up",
+                    $"At the current rate storage will be full in {daysUntilFull:F1} days ({latest.StoragePercent:F1}% full)"));
+            }
+
+            var throttling = (latest.ThrottledFlags ?? 0) & (ThrottleFlags.Throttled | ThrottleFlags.SoftTemperatureLimit);
+            if (latest.TemperatureCelsius >= options.TemperatureCriticalCelsius || throttling != 0)
+            {
+                var temperature = latest.TemperatureCelsius?.ToString("F1") ?? "N/A";
+                warnings.Add(Warning(AlertTypes.HighTemperature, AlertSeverity.Danger, "CPU throttling",
+                    throttling != 0
+                        ? $"The firmware is throttling the CPU (temperature: {temperature} °C)"
+                        : $"SoC temperature is {temperature} °C; the firmware throttles at this temperature"));
+            }
+            else if (latest.TemperatureCelsius >= options.TemperatureWarningCelsius)
+            {
+                warnings.Add(Warning(AlertTypes.HighTemperature, AlertSeverity.Warning, "High temperature",
+                    $"SoC temperature is {latest.TemperatureCelsius:F1} °C"));
+            }
+
+            var memoryGrowth = FitMemoryGrowth(window, options);
+            if (memoryGrowth >= options.MemoryGrowthWarningMbPerHour)
+            {
+                warnings.Add(Warning(AlertTypes.MemoryGrowth, AlertSeverity.Warning, "Memory growing",
+                    $"WellMonitor memory has grown {memoryGrowth:F1} MB/hour over the last {options.TrendWindowHours} hours " +
+                    $"(now {latest.ProcessMemoryMb:F0} MB)"));
+            }
+
+            return warnings;
+        }
+
+        private static SystemHealthWarning Warning(string type, string severity, string title, string message)
+        {
+            return new SystemHealthWarning { Type = type, Severity = severity, Title = title, Message = message };
+        }
+
+        private string GetStorageDirectory() => Path.GetDirectoryName(_databasePath) ?? "/";
+
+        private List<FileInfo> ListFiles(string directory, bool recursive)
+        {
+            try
+            {
+                if (string.IsNullOrEmpty(directory) || !Directory.Exists(directory))
+                {
+                    return new List<FileInfo>();
+                }
+
+                // journald directories are only partly readable without root
+                return new DirectoryInfo(directory)
+                    .EnumerateFiles("*", new EnumerationOptions { RecurseSubdirectories = recursive, IgnoreInaccessible = true })
+                    .ToList();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "Could not list files in {Directory}", directory);
+                return new List<FileInfo>();
+            }
+        }
+
+        private static StorageUsageItem MeasureFiles(string name, string path, IEnumerable<FileInfo> files, bool? exists = null)
+        {
+            var list = files.ToList();
+            return new StorageUsageItem
+            {
+                Name = name,
+                Path = path,
+                Exists = exists ?? list.Count > 0,
+                Files = list.Count,
+                Bytes = list.Sum(f => f.Length)
+            };
+        }
+
+        private static bool IsImageFile(string filename)
+        {
+            return filename.EndsWith(".jpg", StringComparison.OrdinalIgnoreCase) ||
+                   filename.EndsWith(".png", StringComparison.OrdinalIgnoreCase);
+        }
+    }
+}
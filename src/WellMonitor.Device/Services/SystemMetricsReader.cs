@@ -0,0 +1,186 @@
+using Microsoft.Extensions.Logging;
+using System.Diagnostics;
+using System.Globalization;
+using WellMonitor.Device.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Reads system metrics from /proc and the Raspberry Pi's sysfs files
+    /// CPU usage is the busy share of CPU time since the previous read, so the first read after startup returns null
+    /// </summary>
+    public class SystemMetricsReader : ISystemMetricsReader
+    {
+        private const string ProcStatPath = "/proc/stat";
+        private const string MemInfoPath = "/proc/meminfo";
+        private const string ThermalZonePath = "/sys/class/thermal/thermal_zone0/temp";
+        private const string ThrottledPath = "/sys/devices/platform/soc/soc:firmware/get_throttled";
+
+        private readonly ILogger<SystemMetricsReader> _logger;
+        private readonly object _cpuLock = new();
+        private long? _lastCpuTotal;
+        private long? _lastCpuIdle;
+
+        public SystemMetricsReader(ILogger<SystemMetricsReader> logger)
+        {
+            _logger = logger;
+        }
+
+        public DateTime ProcessStartedUtc { get; } = Process.GetCurrentProcess().StartTime.ToUniversalTime();
+
+        public SystemHealthSample ReadSample(string storagePath)
+        {
+            var sample = new SystemHealthSample
+            {
+                TimestampUtc = DateTime.UtcNow,
+                CpuPercent = ReadCpuPercent(),
+                MemoryPercent = ReadMemoryPercent(),
+                ProcessMemoryMb = ReadProcessMemoryMb(),
+                TemperatureCelsius = ReadTemperatureCelsius(),
+                ThrottledFlags = ReadThrottledFlags()
+            };
+
+            try
+            {
+                var drive = new DriveInfo(Path.GetFullPath(storagePath));
+                if (drive.TotalSize > 0)
+                {
+                    sample.StoragePercent = Math.Round((double)(drive.TotalSize - drive.AvailableFreeSpace) / drive.TotalSize * 100, 1);
+                    sample.StorageFreeMb = Math.Round(drive.AvailableFreeSpace / (1024.0 * 1024.0), 1);
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger.LogDebug(ex, "Could not read storage usage of {Path}", storagePath);
+            }
+
+            return sample;
+        }
+
+        private double? ReadCpuPercent()
+        {
+            try
+            {
+                if (!File.Exists(ProcStatPath))
+                {
+                    return null;
+                }
+
+                // First line: cpu user nice system idle iowait irq softirq steal ...
+                var fields = File.ReadLines(ProcStatPath).First()
+                    .Split(' ', StringSplitOptions.RemoveEmptyEntries)
+                    .Skip(1)
+                    .Select(f => long.Parse(f, CultureInfo.InvariantCulture))
+                    .ToArray();
+                var idle = fields[3] + (fields.Length > 4 ? fields[4] : 0);
+                var total = fields.Take(8).Sum();
+
+                lock (_cpuLock)
+                {
+                    double? percent = null;
+                    if (_lastCpuTotal != null && total > _lastCpuTotal)
+                    {
+                        var totalDelta = total - _lastCpuTotal.Value;
+                        var idleDelta = idle - _lastCpuIdle!.Value;
+                        percent = Math.Round((double)(totalDelta - idleDelta) / totalDelta * 100, 1);
+                    }
+
+                    _lastCpuTotal = total;
+                    _lastCpuIdle = idle;
+                    return percent;
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger.LogDebug(ex, "Could not read CPU usage");
+                return null;
+            }
+        }
+
+        private double? ReadMemoryPercent()
+        {
+            try
+            {
+                if (!File.Exists(MemInfoPath))
+                {
+                    return null;
+                }
+
+                long? total = null, available = null;
+                foreach (var line in File.ReadLines(MemInfoPath))
+                {
+                    if (line.StartsWith("MemTotal:")) total = ParseMemInfoKb(line);
+                    else if (line.StartsWith("MemAvailable:")) available = ParseMemInfoKb(line);
+                }
+
+                if (total is not > 0 || available == null)
+                {
+                    return null;
+                }
+
+                return Math.Round((double)(total.Value - available.Value) / total.Value * 100, 1);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogDebug(ex, "Could not read memory usage");
+                return null;
+            }
+        }
+
+        private static long ParseMemInfoKb(string line)
+        {
+            // "MemTotal:        3884324 kB"
+            return long.Parse(line.Split(' ', StringSplitOptions.RemoveEmptyEntries)[1], CultureInfo.InvariantCulture);
+        }
+
+        private static double ReadProcessMemoryMb()
+        {
+            using var process = Process.GetCurrentProcess();
+            return Math.Round(process.WorkingSet64 / (1024.0 * 1024.0), 1);
+        }
+
+        private double? ReadTemperatureCelsius()
+        {
+            try
+            {
+                if (!File.Exists(ThermalZonePath))
+                {
+                    return null;
+                }
+
+                // Millidegrees Celsius
+                var milliDegrees = double.Parse(File.ReadAllText(ThermalZonePath).Trim(), CultureInfo.InvariantCulture);
+                return Math.Round(milliDegrees / 1000, 1);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogDebug(ex, "Could not read SoC temperature");
+                return null;
+            }
+        }
+
+        private int? ReadThrottledFlags()
+        {
+            try
+            {
+                if (!File.Exists(ThrottledPath))
+                {
+                    return null;
+                }
+
+                // Hex without prefix, e.g. "50005"
+                var value = File.ReadAllText(ThrottledPath).Trim();
+                if (value.StartsWith("0x", StringComparison.OrdinalIgnoreCase))
+                {
+                    value = value[2..];
+                }
+                return int.Parse(value, NumberStyles.HexNumber, CultureInfo.InvariantCulture);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogDebug(ex, "Could not read throttling state");
+                return null;
+            }
+        }
+    }
+}
@@ -15,19 +15,23 @@ namespace WellMonitor.Device.Services;
 public class TesseractOcrProvider : IOcrProvider, IDisposable
 {
     private readonly ILogger<TesseractOcrProvider> _logger;
-    private readonly TesseractOptions _options;
+    private readonly IOptionsMonitor<OcrOptions> _options;
     private TesseractEngine? _engine;
+    private int _engineMode;
     private bool _disposed;
     private readonly object _lock = new();
 
+    // Engine values replaced by custom config, so a key removed at runtime gets its default back
+    private readonly Dictionary<string, string> _engineDefaults = new();
+
     public string Name => "Tesseract";
 
     public bool IsAvailable => _engine != null;
 
-    public TesseractOcrProvider(ILogger<TesseractOcrProvider> logger, IOptions<OcrOptions> options)
+    public TesseractOcrProvider(ILogger<TesseractOcrProvider> logger, IOptionsMonitor<OcrOptions> options)
     {
         _logger = logger;
-        _options = options.Value.Tesseract;
+        _options = options;
     }
 
     /// <summary>
@@ -44,8 +48,10 @@ public class TesseractOcrProvider : IOcrProvider, IDisposable
         {
             _logger.LogInformation("Initializing Tesseract OCR provider...");
 
+            var options = _options.CurrentValue.Tesseract;
+
             // Determine tessdata path
-            var tessDataPath = _options.DataPath ?? GetDefaultTessDataPath();
+            var tessDataPath = options.DataPath ?? GetDefaultTessDataPath();
             
             if (!Directory.Exists(tessDataPath))
             {
@@ -54,14 +60,15 @@ public class TesseractOcrProvider : IOcrProvider, IDisposable
             }
 
             // Initialize engine with configuration
-            _engine = new TesseractEngine(tessDataPath, _options.Language, EngineMode.Default);
-            
-            // Configure engine settings
-            ConfigureEngine();
+            lock (_lock)
+            {
+                CreateEngine(options);
+                ConfigureEngine(options);
+            }
 
             _logger.LogInformation("Tesseract OCR provider initialized successfully");
             _logger.LogDebug("Tesseract configuration: Language={Language}, EngineMode={EngineMode}, PSM={PSM}",
-                _options.Language, _options.EngineMode, _options.PageSegmentationMode);
+                options.Language, options.EngineMode, options.PageSegmentationMode);
 
             return Task.FromResult(true);
         }
@@ -75,7 +82,16 @@ public class TesseractOcrProvider : IOcrProvider, IDisposable
     /// <summary>
     /// Extract text from image stream using Tesseract
     /// </summary>
-    public async Task<OcrResult> ExtractTextAsync(Stream imageStream, CancellationToken cancellationToken = default)
+    public Task<OcrResult> ExtractTextAsync(Stream imageStream, CancellationToken cancellationToken = default)
+    {
+        return ExtractTextAsync(imageStream, _options.CurrentValue.Tesseract, cancellationToken);
+    }
+
+    /// <summary>
+    /// Extract text using the given Tesseract settings rather than the running ones, e.g. to preview a change
+    /// Settings are applied to the engine before every read; an engine mode change rebuilds the engine
+    /// </summary>
+    public async Task<OcrResult> ExtractTextAsync(Stream imageStream, TesseractOptions settings, CancellationToken cancellationToken = default)
     {
         if (_engine == null)
         {
@@ -102,8 +118,14 @@ public class TesseractOcrProvider : IOcrProvider, IDisposable
             // Process image with Tesseract
             lock (_lock)
             {
+                if (settings.EngineMode != _engineMode)
+                {
+                    CreateEngine(settings);
+                }
+                ConfigureEngine(settings);
+
                 using var pix = Pix.LoadFromMemory(imageBytes);
-                using var page = _engine.Process(pix);
+                using var page = _engine!.Process(pix);
 
                 // Extract text and confidence
                 result.RawText = page.GetText().Trim();
@@ -158,23 +180,52 @@ public class TesseractOcrProvider : IOcrProvider, IDisposable
 
     #region Private Methods
 
+    /// <summary>
+    /// Create the engine for the configured language and engine mode, replacing any existing one
+    /// Caller must hold _lock
+    /// </summary>
+    private void CreateEngine(TesseractOptions options)
+    {
+        var tessDataPath = options.DataPath ?? GetDefaultTessDataPath();
+
+        _engine?.Dispose();
+        _engine = new TesseractEngine(tessDataPath, options.Language, (EngineMode)options.EngineMode);
+        _engineMode = options.EngineMode;
+        _engineDefaults.Clear();
+
+        _logger.LogDebug("Tesseract engine created with EngineMode={EngineMode}", options.EngineMode);
+    }
+
     /// <summary>
     /// Configure Tesseract engine with custom settings
+    /// Caller must hold _lock
     /// </summary>
-    private void ConfigureEngine()
+    private void ConfigureEngine(TesseractOptions options)
     {
         if (_engine == null) return;
 
         try
         {
             // Set page segmentation mode
-            _engine.SetVariable("tessedit_pageseg_mode", _options.PageSegmentationMode.ToString());
+            _engine.SetVariable("tessedit_pageseg_mode", options.PageSegmentationMode.ToString());
+
+            // Restore keys dropped from the custom configuration since the last read
+            foreach (var removed in _engineDefaults.Keys.Where(k => !options.CustomConfig.ContainsKey(k)).ToList())
+            {
+                _engine.SetVariable(removed, _engineDefaults[removed]);
+                _engineDefaults.Remove(removed);
+            }
 
             // Apply custom configuration
-            foreach (var config in _options.CustomConfig)
+            foreach (var config in options.CustomConfig)
             {
+                if (!_engineDefaults.ContainsKey(config.Key) && _engine.TryGetStringVariable(config.Key, out var original))
+                {
+                    _engineDefaults[config.Key] = original;
+                }
+
                 _engine.SetVariable(config.Key, config.Value);
-                _logger.LogDebug("Applied Tesseract config: {Key}={Value}", config.Key, config.Value);
+                _logger.LogTrace("Applied Tesseract config: {Key}={Value}", config.Key, config.Value);
             }
         }
         catch (Exception ex)
@@ -0,0 +1,188 @@
+using System.Buffers.Binary;
+using System.Net;
+using System.Net.Http.Headers;
+using System.Security.Cryptography;
+using System.Text;
+using System.Text.Json;
+using Microsoft.AspNetCore.WebUtilities;
+using Microsoft.Extensions.Logging;
+using WellMonitor.Device.Models;
+
+namespace WellMonitor.Device.Services
+{
+    /// <summary>
+    /// Web Push sender using aes128gcm content encoding and VAPID, with no third-party push service in between
+    /// </summary>
+    public class WebPushSender : IWebPushSender
+    {
+        // One record holds the whole message; push services accept at most 4096 bytes of body
+        private const int RecordSize = 4096;
+        private const int HeaderSize = 16 + 4 + 1 + 65;
+        private const int TagSize = 16;
+        public const int MaxPayloadBytes = RecordSize - HeaderSize - TagSize - 1;
+
+        private static readonly TimeSpan TokenLifetime = TimeSpan.FromHours(12);
+
+        private readonly HttpClient _httpClient;
+        private readonly ILogger<WebPushSender> _logger;
+
+        public WebPushSender(HttpClient httpClient, ILogger<WebPushSender> logger)
+        {
+            _httpClient = httpClient;
+            _logger = logger;
+        }
+
+        public async Task<HttpStatusCode> SendAsync(
+            PushSubscription subscription,
+            string payload,
+            VapidKeys vapidKeys,
+            string subject,
+            int timeToLiveSeconds,
+            bool urgent = false,
+            CancellationToken cancellationToken = default)
+        {
+            var endpoint = new Uri(subscription.Endpoint);
+            var body = Encrypt(
+                WebEncoders.Base64UrlDecode(subscription.P256dh),
+                WebEncoders.Base64UrlDecode(subscription.Auth),
+                Encoding.UTF8.GetBytes(payload));
+
+            using var request = new HttpRequestMessage(HttpMethod.Post, endpoint)
+            {
+                Content = new ByteArrayContent(body)
+            };
+
+            var token = CreateVapidToken(endpoint.GetLeftPart(UriPartial.Authority), subject, vapidKeys, DateTimeOffset.UtcNow + TokenLifetime);
+            request.Headers.TryAddWithoutValidation("Authorization", $"vapid t={token}, k={vapidKeys.PublicKey}");
+            request.Headers.Add("TTL", timeToLiveSeconds.ToString());
+            request.Headers.Add("Urgency", urgent ? "high" : "normal");
+            request.Content.Headers.ContentType = new MediaTypeHeaderValue("application/octet-stream");
+            request.Content.Headers.ContentEncoding.Add("aes128gcm");
+
+            using var response = await _httpClient.SendAsync(request, cancellationToken);
+
+            if (!response.IsSuccessStatusCode)
+            {
+                var detail = await response.Content.ReadAsStringAsync(cancellationToken);
+                _logger.LogWarning("Push service {Host} returned {StatusCode}: {Detail}",
+                    endpoint.Host, (int)response.StatusCode, detail);
+            }
+
+            return response.StatusCode;
+        }
+
+        /// <summary>
+        /// Generate a new P-256 VAPID key pair
+        /// </summary>
+        public static VapidKeys GenerateVapidKeys()
+        {
+            using var key = ECDsa.Create(ECCurve.NamedCurves.nistP256);
+            var parameters = key.ExportParameters(includePrivateParameters: true);
+
+            return new VapidKeys
+            {
+                PublicKey = WebEncoders.Base64UrlEncode(ToUncompressedPoint(parameters.Q)),
+                PrivateKey = WebEncoders.Base64UrlEncode(parameters.D!)
+            };
+        }
+
+        /// <summary>
+        /// Signed ES256 JWT identifying this server to the push service
+        /// </summary>
+        public static string CreateVapidToken(string audience, string subject, VapidKeys vapidKeys, DateTimeOffset expires)
+        {
+            var header = WebEncoders.Base64UrlEncode(JsonSerializer.SerializeToUtf8Bytes(new { typ = "JWT", alg = "ES256" }));
+            var claims = WebEncoders.Base64UrlEncode(JsonSerializer.SerializeToUtf8Bytes(new
+            {
+                aud = audience,
+                exp = expires.ToUnixTimeSeconds(),
+                sub = subject
+            }));
+
+            var publicKey = WebEncoders.Base64UrlDecode(vapidKeys.PublicKey);
+            using var key = ECDsa.Create(new ECParameters
+            {
+                Curve = ECCurve.NamedCurves.nistP256,
+                D = WebEncoders.Base64UrlDecode(vapidKeys.PrivateKey),
+                Q = FromUncompressedPoint(publicKey)
+            });
+
+            // .NET signs in the IEEE P1363 (r || s) format that JWS expects
+            var signature = key.SignData(Encoding.ASCII.GetBytes($"{header}.{claims}"), HashAlgorithmName.SHA256);
+            return $"{header}.{claims}.{WebEncoders.Base64UrlEncode(signature)}";
+        }
+
+        /// <summary>
+        /// Encrypt a payload for a browser's public key and auth secret as a single aes128gcm record (RFC 8291)
+        /// </summary>
+        public static byte[] Encrypt(byte[] userAgentPublicKey, byte[] authSecret, byte[] plaintext)
+        {
+            if (plaintext.Length > MaxPayloadBytes)
+            {
+                throw new ArgumentException($"Push payload is {plaintext.Length} bytes; the limit is {MaxPayloadBytes}");
+            }
+
+            using var userAgentKey = ECDiffieHellman.Create(new ECParameters
+            {
+                Curve = ECCurve.NamedCurves.nistP256,
+                Q = FromUncompressedPoint(userAgentPublicKey)
+            });
+            using var serverKey = ECDiffieHellman.Create(ECCurve.NamedCurves.nistP256);
+
+            var serverPublicKey = ToUncompressedPoint(serverKey.ExportParameters(false).Q);
+            var sharedSecret = serverKey.DeriveRawSecretAgreement(userAgentKey.PublicKey);
+
+            // key_info = "WebPush: info" || 0x00 || ua_public || as_public
+            var keyInfo = Concat(Encoding.ASCII.GetBytes("WebPush: info\0"), userAgentPublicKey, serverPublicKey);
+            var inputKey = HKDF.DeriveKey(HashAlgorithmName.SHA256, sharedSecret, 32, authSecret, keyInfo);
+
+            var salt = RandomNumberGenerator.GetBytes(16);
+            var contentKey = HKDF.DeriveKey(HashAlgorithmName.SHA256, inputKey, 16, salt, Encoding.ASCII.GetBytes("Content-Encoding: aes128gcm\0"));
+            var nonce = HKDF.DeriveKey(HashAlgorithmName.SHA256, inputKey, 12, salt, Encoding.ASCII.GetBytes("Content-Encoding: nonce\0"));
+
+            // 0x02 marks the last (and only) record
+            var padded = Concat(plaintext, new byte[] { 0x02 });
+            var ciphertext = new byte[padded.Length];
+            var tag = new byte[TagSize];
+            using (var aes = new AesGcm(contentKey, TagSize))
+            {
+                aes.Encrypt(nonce, padded, ciphertext, tag);
+            }
+
+            var header = new byte[HeaderSize];
+            salt.CopyTo(header, 0);
+            BinaryPrimitives.WriteUInt32BigEndian(header.AsSpan(16), RecordSize);
+            header[20] = (byte)serverPublicKey.Length;
+            serverPublicKey.CopyTo(header, 21);
+
+            return Concat(header, ciphertext, tag);
+        }
+
+        private static byte[] ToUncompressedPoint(ECPoint point)
+        {
+            return Concat(new byte[] { 0x04 }, point.X!, point.Y!);
+        }
+
+        private static ECPoint FromUncompressedPoint(byte[] key)
+        {
+            if (key.Length != 65 || key[0] != 0x04)
+            {
+                throw new ArgumentException("Expected an uncompressed P-256 public key");
+            }
+
+            return new ECPoint { X = key[1..33], Y = key[33..65] };
+        }
+
+        private static byte[] Concat(params byte[][] parts)
+        {
+            var result = new byte[parts.Sum(p => p.Length)];
+            var offset = 0;
+            foreach (var part in parts)
+            {
+                part.CopyTo(result, offset);
+                offset += part.Length;
+            }
+            return result;
+        }
+    }
+}
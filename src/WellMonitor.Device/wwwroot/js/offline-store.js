@@ -0,0 +1,96 @@
+// WellMonitor Offline Store
+// Keeps the last device status and recent raw readings in IndexedDB so the dashboard can
+// still show the last known state when the device is unreachable.
+
+class OfflineStore {
+    static DB_NAME = 'wellmonitor';
+    static DB_VERSION = 1;
+    // Matches the two days the history endpoint serves as raw readings
+    static READING_RETENTION_MS = 2 * 24 * 60 * 60 * 1000;
+
+    constructor() {
+        this.db = null;
+        this.opening = null;
+    }
+
+    open() {
+        if (!('indexedDB' in window)) {
+            return Promise.reject(new Error('IndexedDB is not supported'));
+        }
+
+        this.opening = this.opening || new Promise((resolve, reject) => {
+            const request = indexedDB.open(OfflineStore.DB_NAME, OfflineStore.DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                // Snapshots are keyed by name, readings by their timestamp in ms
+                db.createObjectStore('snapshots', { keyPath: 'key' });
+                db.createObjectStore('readings', { keyPath: 'x' });
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+
+            request.onerror = () => {
+                this.opening = null;
+                reject(request.error);
+            };
+        });
+
+        return this.opening;
+    }
+
+    async transaction(storeName, mode, work) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const store = transaction.objectStore(storeName);
+            let result;
+
+            Promise.resolve(work(store)).then(value => { result = value; }, reject);
+
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    // Snapshots
+    saveSnapshot(key, value) {
+        return this.transaction('snapshots', 'readwrite', store => {
+            store.put({ key, value, savedAt: new Date().toISOString() });
+        });
+    }
+
+    // Resolves to { value, savedAt } or null
+    getSnapshot(key) {
+        return this.transaction('snapshots', 'readonly', store => this.request(store.get(key)))
+            .then(record => record ? { value: record.value, savedAt: new Date(record.savedAt) } : null);
+    }
+
+    // Readings
+    saveReadings(points) {
+        if (points.length === 0) return Promise.resolve();
+
+        const cutoff = Date.now() - OfflineStore.READING_RETENTION_MS;
+        return this.transaction('readings', 'readwrite', store => {
+            points.forEach(point => store.put(point));
+            store.delete(IDBKeyRange.upperBound(cutoff, true));
+        });
+    }
+
+    getReadings(from, to) {
+        return this.transaction('readings', 'readonly', store =>
+            this.request(store.getAll(IDBKeyRange.bound(from.getTime(), to.getTime()))));
+    }
+
+    request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+}
@@ -0,0 +1,228 @@
+// WellMonitor ROI Editor
+// Draws the region of interest directly on the calibration frame with drag/resize handles.
+// The rectangle is kept in whole image pixels and exposed as the fractional (0.0 - 1.0)
+// RoiCoordinates model used by RoiController.
+
+class RoiEditor {
+    static HANDLES = ['nw', 'n', 'ne', 'e', 'se', 's', 'sw', 'w'];
+
+    constructor(container, options = {}) {
+        this.container = container;
+        this.onChange = options.onChange || (() => {});
+        // Matches the [Range(0.1, 1.0)] constraint on RoiCoordinates.Width/Height
+        this.minFraction = options.minFraction ?? 0.1;
+
+        this.image = null;
+        this.overlay = null;
+        this.rectElement = null;
+        this.naturalWidth = 0;
+        this.naturalHeight = 0;
+        this.rect = { x: 0, y: 0, width: 0, height: 0 };
+        this.pendingFraction = null;
+        this.drag = null;
+
+        this.handlePointerMove = (e) => this.onPointerMove(e);
+        this.handlePointerUp = (e) => this.onPointerUp(e);
+    }
+
+    // Image
+    setImage(image) {
+        // Keep the current ROI when swapping frames; fall back to the RoiCoordinates defaults
+        const fraction = this.getFraction() || { x: 0.25, y: 0.4, width: 0.5, height: 0.2 };
+        this.pendingFraction = null;
+
+        this.image = image;
+        this.naturalWidth = image.naturalWidth;
+        this.naturalHeight = image.naturalHeight;
+
+        this.container.innerHTML = '';
+        this.container.appendChild(image);
+        this.createOverlay();
+
+        this.setFraction(fraction);
+    }
+
+    hasImage() {
+        return this.naturalWidth > 0 && this.naturalHeight > 0;
+    }
+
+    createOverlay() {
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'roi-editor-overlay';
+
+        this.rectElement = document.createElement('div');
+        this.rectElement.className = 'roi-rectangle roi-rectangle-editable';
+        this.rectElement.tabIndex = 0;
+        this.rectElement.setAttribute('role', 'slider');
+        this.rectElement.setAttribute('aria-label', 'Region of interest. Arrow keys move, Shift+Arrow moves 10px, Alt+Arrow resizes.');
+        this.rectElement.addEventListener('pointerdown', (e) => this.onPointerDown(e, 'move'));
+        this.rectElement.addEventListener('keydown', (e) => this.onKeyDown(e));
+
+        RoiEditor.HANDLES.forEach(handle => {
+            const handleElement = document.createElement('div');
+            handleElement.className = `roi-handle roi-handle-${handle}`;
+            handleElement.addEventListener('pointerdown', (e) => this.onPointerDown(e, handle));
+            this.rectElement.appendChild(handleElement);
+        });
+
+        this.overlay.appendChild(this.rectElement);
+        this.container.appendChild(this.overlay);
+    }
+
+    // Coordinate conversion
+    setFraction(fraction) {
+        if (!this.hasImage()) {
+            this.pendingFraction = { ...fraction };
+            return;
+        }
+
+        this.rect = this.clampRect({
+            x: Math.round(fraction.x * this.naturalWidth),
+            y: Math.round(fraction.y * this.naturalHeight),
+            width: Math.round(fraction.width * this.naturalWidth),
+            height: Math.round(fraction.height * this.naturalHeight)
+        });
+        this.render();
+    }
+
+    getFraction() {
+        if (!this.hasImage()) {
+            return this.pendingFraction;
+        }
+
+        return {
+            x: this.rect.x / this.naturalWidth,
+            y: this.rect.y / this.naturalHeight,
+            width: this.rect.width / this.naturalWidth,
+            height: this.rect.height / this.naturalHeight
+        };
+    }
+
+    getPixelRect() {
+        return { ...this.rect };
+    }
+
+    clampRect(rect) {
+        const minWidth = Math.ceil(this.naturalWidth * this.minFraction);
+        const minHeight = Math.ceil(this.naturalHeight * this.minFraction);
+
+        const width = Math.min(Math.max(Math.round(rect.width), minWidth), this.naturalWidth);
+        const height = Math.min(Math.max(Math.round(rect.height), minHeight), this.naturalHeight);
+        const x = Math.min(Math.max(Math.round(rect.x), 0), this.naturalWidth - width);
+        const y = Math.min(Math.max(Math.round(rect.y), 0), this.naturalHeight - height);
+
+        return { x, y, width, height };
+    }
+
+    // Rendering uses percentages so the overlay follows the image when the layout resizes
+    render() {
+        if (!this.rectElement) return;
+
+        this.rectElement.style.left = `${this.rect.x / this.naturalWidth * 100}%`;
+        this.rectElement.style.top = `${this.rect.y / this.naturalHeight * 100}%`;
+        this.rectElement.style.width = `${this.rect.width / this.naturalWidth * 100}%`;
+        this.rectElement.style.height = `${this.rect.height / this.naturalHeight * 100}%`;
+        this.rectElement.setAttribute('aria-valuetext',
+            `${this.rect.x}, ${this.rect.y} ${this.rect.width}×${this.rect.height} px`);
+    }
+
+    update(rect) {
+        const clamped = this.clampRect(rect);
+        if (clamped.x === this.rect.x && clamped.y === this.rect.y &&
+            clamped.width === this.rect.width && clamped.height === this.rect.height) {
+            return;
+        }
+
+        this.rect = clamped;
+        this.render();
+        this.onChange(this.getFraction(), this.getPixelRect());
+    }
+
+    // Pointer events cover mouse, pen and touch
+    onPointerDown(e, mode) {
+        if (!this.hasImage()) return;
+
+        e.preventDefault();
+        e.stopPropagation();
+
+        this.drag = {
+            mode,
+            pointerId: e.pointerId,
+            startX: e.clientX,
+            startY: e.clientY,
+            startRect: { ...this.rect },
+            // Displayed size can differ from the natural frame size
+            scaleX: this.naturalWidth / this.image.getBoundingClientRect().width,
+            scaleY: this.naturalHeight / this.image.getBoundingClientRect().height
+        };
+
+        this.rectElement.setPointerCapture(e.pointerId);
+        this.rectElement.classList.add('dragging');
+        this.rectElement.focus({ preventScroll: true });
+        this.rectElement.addEventListener('pointermove', this.handlePointerMove);
+        this.rectElement.addEventListener('pointerup', this.handlePointerUp);
+        this.rectElement.addEventListener('pointercancel', this.handlePointerUp);
+    }
+
+    onPointerMove(e) {
+        if (!this.drag || e.pointerId !== this.drag.pointerId) return;
+
+        const dx = Math.round((e.clientX - this.drag.startX) * this.drag.scaleX);
+        const dy = Math.round((e.clientY - this.drag.startY) * this.drag.scaleY);
+        const start = this.drag.startRect;
+
+        if (this.drag.mode === 'move') {
+            this.update({ ...start, x: start.x + dx, y: start.y + dy });
+            return;
+        }
+
+        let left = start.x;
+        let top = start.y;
+        let right = start.x + start.width;
+        let bottom = start.y + start.height;
+        const minWidth = Math.ceil(this.naturalWidth * this.minFraction);
+        const minHeight = Math.ceil(this.naturalHeight * this.minFraction);
+
+        if (this.drag.mode.includes('w')) left = Math.min(Math.max(left + dx, 0), right - minWidth);
+        if (this.drag.mode.includes('e')) right = Math.max(Math.min(right + dx, this.naturalWidth), left + minWidth);
+        if (this.drag.mode.includes('n')) top = Math.min(Math.max(top + dy, 0), bottom - minHeight);
+        if (this.drag.mode.includes('s')) bottom = Math.max(Math.min(bottom + dy, this.naturalHeight), top + minHeight);
+
+        this.update({ x: left, y: top, width: right - left, height: bottom - top });
+    }
+
+    onPointerUp(e) {
+        if (!this.drag || e.pointerId !== this.drag.pointerId) return;
+
+        this.rectElement.releasePointerCapture(e.pointerId);
+        this.rectElement.classList.remove('dragging');
+        this.rectElement.removeEventListener('pointermove', this.handlePointerMove);
+        this.rectElement.removeEventListener('pointerup', this.handlePointerUp);
+        this.rectElement.removeEventListener('pointercancel', this.handlePointerUp);
+        this.drag = null;
+    }
+
+    // Keyboard nudging: arrows move by 1px, Shift for 10px, Alt resizes instead of moving
+    onKeyDown(e) {
+        const offsets = {
+            ArrowLeft: [-1, 0],
+            ArrowRight: [1, 0],
+            ArrowUp: [0, -1],
+            ArrowDown: [0, 1]
+        };
+
+        const offset = offsets[e.key];
+        if (!offset || !this.hasImage()) return;
+
+        e.preventDefault();
+
+        const step = e.shiftKey ? 10 : 1;
+        const [dx, dy] = [offset[0] * step, offset[1] * step];
+
+        if (e.altKey) {
+            this.update({ ...this.rect, width: this.rect.width + dx, height: this.rect.height + dy });
+        } else {
+            this.update({ ...this.rect, x: this.rect.x + dx, y: this.rect.y + dy });
+        }
+    }
+}
@@ -1,872 +1,6198 @@
 // WellMonitor Dashboard JavaScript
 
 class WellMonitorDashboard {
+    static LOG_LEVELS = ['Trace', 'Debug', 'Information', 'Warning', 'Error', 'Critical'];
+    // Lines kept in the log view; the device buffer holds more for downloads
+    static MAX_LOG_ENTRIES = 1000;
+
     constructor() {
         this.connection = null;
         this.charts = {};
         this.currentImage = null;
-        this.roiCanvas = null;
+        this.imagePage = 1;
+        this.imageMetadata = null;
+        this.imageCompareMode = false;
+        this.roiEditor = null;
         this.roiImage = null;
-        this.cameraPreviewInterval = null;
+        this.roiImageFile = null;
+        this.roiProfiles = [];
+        this.historyRange = '1h';
+        this.historyZoomed = false;
+        this.historyZoomTimeout = null;
+        this.historyResolution = null;
+        this.cycleRangeDays = 7;
+        this.energyReport = null;
+        this.alertStatus = 'active';
+        this.expandedAlertId = null;
+        this.serviceWorkerRegistration = null;
+        this.pushSubscription = null;
+        this.relayStatus = null;
+        this.relayCountdownInterval = null;
+        this.liveView = null;
+        this.liveViewStatusInterval = null;
+        this.cameraSetup = null;
+        this.exposureComparison = null;
+        this.ocrBenchmark = null;
+        this.ocrBenchmarkVariants = [];
+        this.ocrBenchmarkSort = { key: 'rank', ascending: true };
+        this.ocrBenchmarkLabelIds = new Set();
+        this.ocrSettingsPreviewed = null;
+        this.ocrPreviewTimeout = null;
+        this.ocrPreviewSequence = 0;
+        this.connectionState = 'connecting';
+        this.disconnectedAt = null;
+        this.signalRStartAttempts = 0;
+        this.signalRStartTimeout = null;
+        // When each status card last got data; maxAge null means it only goes stale while offline
+        this.dataAge = {
+            pump: { updated: null, maxAge: 2 * 60 * 1000 },
+            system: { updated: null, maxAge: 90 * 1000 },
+            ocr: { updated: null, maxAge: null },
+            alerts: { updated: null, maxAge: null }
+        };
+        this.dataAgeInterval = setInterval(() => this.refreshDataAge(), 1000);
+        this.offlineStore = new OfflineStore();
+        this.deviceStatusCache = null;
+        this.session = null;
+        this.userPasswordLength = null;
+        this.twinConfiguration = null;
+        this.dashboardStarted = false;
+        this.currentSection = null;
+        this.logEntries = [];
+        this.logPending = [];
+        this.logsPaused = false;
+        this.lastLogSequence = null;
+        this.logStreamJoined = false;
         
-        this.initializeSignalR();
         this.initializeEventHandlers();
-        this.loadInitialData();
         this.initializeCharts();
+        this.initializeSession();
     }
 
-    // SignalR Connection
-    async initializeSignalR() {
+    // Session and Roles
+    async initializeSession() {
+        this.installSessionInterceptor();
+
         try {
-            this.connection = new signalR.HubConnectionBuilder()
-                .withUrl("/devicestatushub")
-                .build();
+            const response = await fetch('/api/auth/session');
+            this.session = await response.json();
+            this.cacheSession();
+        } catch (error) {
+            // Offline: keep showing the cached state under the last known session
+            console.warn('Failed to load session, using the cached one:', error);
+            const snapshot = await this.offlineStore.getSnapshot('session').catch(() => null);
+            this.session = snapshot?.value || { authenticationEnabled: false, authenticated: false, role: 'Viewer' };
+        }
 
-            this.connection.on("UpdatePumpStatus", (status) => {
-                this.updatePumpStatus(status);
-            });
+        this.applySession();
+    }
 
-            this.connection.on("UpdateSystemStatus", (status) => {
-                this.updateSystemStatus(status);
-            });
+    // A session can end at any time (expired, user deleted), so any 401 brings the sign-in form back
+    installSessionInterceptor() {
+        const fetchWithSession = window.fetch.bind(window);
+        window.fetch = async (resource, options) => {
+            const response = await fetchWithSession(resource, options);
+            const path = new URL(resource.url ?? resource, window.location.href).pathname;
+            if (response.status === 401 && !path.startsWith('/api/auth/')) {
+                this.showLogin('Your session has ended; sign in again.');
+            }
+            return response;
+        };
+    }
 
-            this.connection.on("UpdateOcrStatistics", (stats) => {
-                this.updateOcrStatistics(stats);
-            });
+    cacheSession() {
+        this.offlineStore.saveSnapshot('session', this.session)
+            .catch(error => console.warn('Failed to cache session:', error));
+    }
 
-            this.connection.on("NewAlert", (alert) => {
-                this.addAlert(alert);
-            });
+    applySession() {
+        const { authenticationEnabled, authenticated, username, role } = this.session;
 
-            this.connection.on("NewDebugImage", (imagePath) => {
-                this.addDebugImage(imagePath);
-            });
+        // Controls marked data-min-role are hidden by CSS for lower roles
+        document.body.dataset.role = role.toLowerCase();
+        document.getElementById('session-user').style.display = authenticated ? '' : 'none';
+        document.getElementById('session-username').textContent = username || '';
+        document.getElementById('session-role').textContent = role;
+        document.getElementById('logout-button').style.display = authenticated ? '' : 'none';
 
-            await this.connection.start();
-            this.updateConnectionStatus(true);
-            console.log("SignalR Connected");
-            
-            // Join the updates group
-            await this.connection.invoke("JoinGroup", "updates");
-            
-        } catch (err) {
-            console.error("SignalR connection failed:", err);
-            this.updateConnectionStatus(false);
-            
-            // Retry connection in 5 seconds
-            setTimeout(() => this.initializeSignalR(), 5000);
+        // Signed-in actions are recorded under the username, so the free-text name is only for open dashboards
+        const operatorInput = document.getElementById('alert-operator-name');
+        if (operatorInput && authenticated) {
+            operatorInput.value = username;
+            operatorInput.disabled = true;
         }
-    }
 
-    updateConnectionStatus(connected) {
-        const statusElement = document.getElementById('connection-status');
-        if (connected) {
-            statusElement.className = 'badge bg-success';
-            statusElement.textContent = 'Connected';
+        if (authenticationEnabled && !authenticated) {
+            this.showLogin();
         } else {
-            statusElement.className = 'badge bg-danger';
-            statusElement.textContent = 'Disconnected';
+            this.startDashboard();
         }
     }
 
-    // Event Handlers
-    initializeEventHandlers() {
-        // Navigation
-        document.querySelectorAll('[data-section]').forEach(link => {
-            link.addEventListener('click', (e) => {
-                e.preventDefault();
-                this.showSection(link.dataset.section);
-            });
-        });
+    // The hub and the API both need a session, so nothing connects or loads until there is one
+    startDashboard() {
+        if (this.dashboardStarted) return;
+        this.dashboardStarted = true;
 
-        // Debug Images
-        document.getElementById('image-filter').addEventListener('change', () => {
-            this.loadDebugImages();
-        });
+        this.initializeSignalR();
+        this.initializeNotifications();
+        this.loadInitialData();
+        if (this.currentSection) {
+            this.loadSectionData(this.currentSection);
+        }
+    }
 
-        document.getElementById('refresh-images').addEventListener('click', () => {
-            this.loadDebugImages();
-        });
+    showLogin(message = '') {
+        document.getElementById('login-error').textContent = message;
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('login-modal')).show();
+    }
 
-        document.getElementById('cleanup-images').addEventListener('click', () => {
-            this.cleanupImages();
-        });
+    async login() {
+        const submitButton = document.getElementById('login-submit');
+        const error = document.getElementById('login-error');
+        submitButton.disabled = true;
+        error.textContent = '';
 
-        // ROI Controls
-        document.querySelectorAll('.roi-control').forEach(control => {
-            control.addEventListener('input', () => {
-                this.updateRoiDisplay();
+        try {
+            const response = await fetch('/api/auth/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    username: document.getElementById('login-username').value.trim(),
+                    password: document.getElementById('login-password').value,
+                    rememberMe: document.getElementById('login-remember').checked
+                })
             });
-        });
+            const result = await response.json();
 
-        document.getElementById('save-roi').addEventListener('click', () => {
-            this.saveRoi();
+            if (!response.ok) {
+                error.textContent = result.error || `HTTP ${response.status}`;
+                return;
+            }
+
+            document.getElementById('login-password').value = '';
+            bootstrap.Modal.getOrCreateInstance(document.getElementById('login-modal')).hide();
+
+            const resumed = this.dashboardStarted;
+            this.session = result;
+            this.cacheSession();
+            this.applySession();
+
+            // Signed in again after the session ended: reload what failed and bring the hub back
+            if (resumed) {
+                this.scheduleSignalRStart();
+                this.loadSectionData(this.currentSection);
+            }
+        } catch (err) {
+            console.error('Failed to sign in:', err);
+            error.textContent = `Failed to sign in: ${err.message}`;
+        } finally {
+            submitButton.disabled = false;
+        }
+    }
+
+    async logout() {
+        try {
+            await fetch('/api/auth/logout', { method: 'POST' });
+        } catch (error) {
+            console.error('Failed to sign out:', error);
+        }
+
+        this.session = { ...this.session, authenticated: false, username: null };
+        await this.offlineStore.saveSnapshot('session', this.session).catch(() => {});
+
+        // Start over from the sign-in form so nothing from this session stays on screen
+        window.location.reload();
+    }
+
+    // SignalR Connection
+    initializeSignalR() {
+        this.connection = new signalR.HubConnectionBuilder()
+            .withUrl("/devicestatushub")
+            .withAutomaticReconnect({
+                nextRetryDelayInMilliseconds: (context) => this.getSignalRRetryDelay(context.previousRetryCount)
+            })
+            .build();
+
+        this.connection.on("UpdatePumpStatus", (status) => {
+            this.updatePumpStatus(status);
+            this.cacheDeviceStatus({ pumpStatus: status });
         });
 
-        document.getElementById('test-roi').addEventListener('click', () => {
-            this.testRoi();
+        this.connection.on("UpdateSystemStatus", (status) => {
+            this.updateSystemStatus(status);
+            this.cacheDeviceStatus({ systemStatus: status });
         });
 
-        document.getElementById('auto-calibrate').addEventListener('click', () => {
-            this.autoCalibrateRoi();
+        this.connection.on("UpdateOcrStatistics", (stats) => {
+            this.updateOcrStatistics(stats);
+            this.cacheDeviceStatus({ ocrStatistics: stats });
         });
 
-        // Camera Positioning
-        document.getElementById('capture-positioning').addEventListener('click', () => {
-            this.captureForPositioning();
+        this.connection.on("NewAlert", (alert) => {
+            this.addAlert(alert);
+            this.showLocalNotification(alert);
+            this.onAlertChanged();
         });
 
-        document.getElementById('toggle-grid').addEventListener('change', (e) => {
-            this.toggleGrid(e.target.checked);
+        this.connection.on("AlertUpdated", () => {
+            this.onAlertChanged();
         });
 
-        document.getElementById('toggle-guides').addEventListener('change', (e) => {
-            this.toggleGuides(e.target.checked);
+        this.connection.on("NewDebugImage", (imagePath) => {
+            this.addDebugImage(imagePath);
         });
 
-        // Manual Relay Control
-        document.getElementById('manual-cycle').addEventListener('click', () => {
-            this.manualRelayCycle();
+        this.connection.on("ReceiveLogEntries", (entries) => {
+            this.receiveLogEntries(entries);
         });
-    }
 
-    // Navigation
-    showSection(sectionName) {
-        // Hide all sections
-        document.querySelectorAll('.content-section').forEach(section => {
-            section.style.display = 'none';
+        this.connection.onreconnecting((error) => {
+            console.warn("SignalR connection lost, reconnecting:", error);
+            this.disconnectedAt = this.disconnectedAt || new Date();
+            this.updateConnectionStatus('reconnecting');
         });
 
-        // Update nav links
-        document.querySelectorAll('.nav-link').forEach(link => {
-            link.classList.remove('active');
+        this.connection.onreconnected(() => {
+            console.log("SignalR reconnected");
+            this.onSignalRConnected();
         });
 
-        // Show selected section
-        const section = document.getElementById(`${sectionName}-section`);
-        if (section) {
-            section.style.display = 'block';
-            
-            // Update nav link
-            const navLink = document.querySelector(`[data-section="${sectionName}"]`);
-            if (navLink) {
-                navLink.classList.add('active');
-            }
+        // Automatic reconnect never gives up, so this only follows a failed first start or an explicit stop
+        this.connection.onclose((error) => {
+            console.error("SignalR connection closed:", error);
+            this.disconnectedAt = this.disconnectedAt || new Date();
+            this.updateConnectionStatus('disconnected');
+            this.scheduleSignalRStart();
+        });
 
-            // Load section-specific data
-            this.loadSectionData(sectionName);
-        }
+        this.startSignalR();
     }
 
-    loadSectionData(sectionName) {
-        switch (sectionName) {
-            case 'dashboard':
-                this.loadDashboardData();
-                break;
-            case 'debug-images':
-                this.loadDebugImages();
-                break;
-            case 'roi-calibration':
-                this.loadRoiCalibration();
-                break;
-            case 'camera-positioning':
-                this.startCameraPreview();
-                break;
+    // withAutomaticReconnect only covers connections that were up once, so the first start retries here
+    async startSignalR() {
+        try {
+            await this.connection.start();
+            console.log("SignalR Connected");
+            this.signalRStartAttempts = 0;
+            await this.onSignalRConnected();
+        } catch (err) {
+            console.error("SignalR connection failed:", err);
+            this.disconnectedAt = this.disconnectedAt || new Date();
+            this.updateConnectionStatus('disconnected');
+            this.scheduleSignalRStart();
         }
     }
 
-    // Data Loading
-    async loadInitialData() {
-        try {
-            await Promise.all([
-                this.loadDeviceStatus(),
-                this.loadAlerts(),
-                this.loadDebugImages()
-            ]);
-        } catch (error) {
-            console.error('Failed to load initial data:', error);
-        }
+    scheduleSignalRStart() {
+        if (this.signalRStopped || this.connection.state !== signalR.HubConnectionState.Disconnected) return;
+
+        clearTimeout(this.signalRStartTimeout);
+        this.signalRStartTimeout = setTimeout(() => this.startSignalR(),
+            this.getSignalRRetryDelay(++this.signalRStartAttempts));
     }
 
-    async loadDashboardData() {
-        try {
-            await Promise.all([
-                this.loadDeviceStatus(),
-                this.loadAlerts(),
-                this.updateCurrentChart()
-            ]);
-        } catch (error) {
-            console.error('Failed to load dashboard data:', error);
-        }
+    // Back off to 30 s and keep trying; the pump house Wi-Fi can be down for a while
+    getSignalRRetryDelay(attempt) {
+        const retryDelays = [0, 2000, 5000, 10000, 30000];
+
+        // Jitter so several open dashboards don't all reconnect at once
+        return retryDelays[Math.min(attempt, retryDelays.length - 1)] + Math.random() * 1000;
     }
 
-    async loadDeviceStatus() {
+    async onSignalRConnected() {
         try {
-            const response = await fetch('/api/devicestatus/status');
-            const data = await response.json();
-            
-            this.updatePumpStatus(data.pumpStatus);
-            this.updateSystemStatus(data.systemStatus);
-            this.updateOcrStatistics(data.ocrStatistics);
-            
-        } catch (error) {
-            console.error('Failed to load device status:', error);
+            // A reconnect gets a new connection id, so the group has to be joined again
+            await this.connection.invoke("JoinGroup", "updates");
+        } catch (err) {
+            console.error("Failed to join the updates group:", err);
         }
-    }
 
-    async loadAlerts() {
-        try {
-            const response = await fetch('/api/devicestatus/alerts');
-            const alerts = await response.json();
-            
-            const alertsContainer = document.getElementById('alerts-container');
-            alertsContainer.innerHTML = '';
-            
-            alerts.forEach(alert => this.addAlert(alert, false));
-            
-        } catch (error) {
-            console.error('Failed to load alerts:', error);
+        if (this.currentSection === 'logs') {
+            // Entries logged while disconnected never reached this connection
+            this.logStreamJoined = false;
+            await this.joinLogStream();
+            await this.loadLogs(this.lastLogSequence);
         }
-    }
 
-    async loadDebugImages() {
-        try {
-            const filter = document.getElementById('image-filter').value;
-            const url = filter === 'all' ? '/api/debugimages/recent' : `/api/debugimages/recent?filter=${filter}`;
-            
-            const response = await fetch(url);
-            const images = await response.json();
-            
-            const imageList = document.getElementById('image-list');
-            imageList.innerHTML = '';
-            
-            images.forEach(image => {
-                const item = this.createImageListItem(image);
-                imageList.appendChild(item);
-            });
-            
-        } catch (error) {
-            console.error('Failed to load debug images:', error);
+        const offlineSince = this.disconnectedAt;
+        this.disconnectedAt = null;
+        this.updateConnectionStatus('connected');
+
+        if (offlineSince) {
+            await this.backfillMissedData(offlineSince);
         }
     }
 
-    createImageListItem(image) {
-        const item = document.createElement('div');
-        item.className = 'image-item';
-        item.dataset.imagePath = image.path;
-        
-        item.innerHTML = `
-            <img src="/api/debugimages/image?path=${encodeURIComponent(image.path)}" 
-                 alt="Debug Image" class="image-thumbnail">
-            <div class="image-info">
-                <div class="image-name">${image.name}</div>
-                <div class="image-meta">${image.timestamp} • ${image.size}</div>
-            </div>
-        `;
-        
-        item.addEventListener('click', () => {
-            this.selectImage(image.path);
-        });
-        
-        return item;
-    }
+    // Reload what the hub pushed while the connection was down
+    async backfillMissedData(offlineSince) {
+        const [, , backfilled] = await Promise.all([
+            this.loadDeviceStatus(),
+            this.loadAlertSummary(),
+            this.backfillLiveChart()
+        ]);
 
-    selectImage(imagePath) {
-        // Update selection
-        document.querySelectorAll('.image-item').forEach(item => {
-            item.classList.remove('active');
+        const offlineMinutes = (Date.now() - offlineSince.getTime()) / 60000;
+        this.addAlert({
+            title: 'Reconnected',
+            message: `Connection was down for ${this.formatMinutes(offlineMinutes)}` +
+                (backfilled > 0 ? `; ${backfilled} missed readings loaded from history` : ''),
+            severity: 'Info',
+            timestamp: new Date()
         });
-        document.querySelector(`[data-image-path="${imagePath}"]`).classList.add('active');
-        
-        // Load image
-        const imageViewer = document.getElementById('image-viewer');
-        imageViewer.innerHTML = `
-            <img src="/api/debugimages/image?path=${encodeURIComponent(imagePath)}" 
-                 alt="Debug Image" class="img-fluid">
-        `;
-        
-        this.currentImage = imagePath;
     }
 
-    async cleanupImages() {
-        try {
-            await fetch('/api/debugimages/cleanup', { method: 'POST' });
-            this.loadDebugImages();
-        } catch (error) {
-            console.error('Failed to cleanup images:', error);
-        }
+    updateConnectionStatus(state) {
+        this.connectionState = state;
+
+        const labels = {
+            connected: { className: 'bg-success', text: 'Connected' },
+            reconnecting: { className: 'bg-warning text-dark', text: 'Reconnecting...' },
+            disconnected: { className: 'bg-danger', text: 'Disconnected' }
+        };
+        const label = labels[state];
+
+        const statusElement = document.getElementById('connection-status');
+        statusElement.className = `badge ${label.className}`;
+        statusElement.textContent = label.text;
+        statusElement.title = this.disconnectedAt
+            ? `Offline since ${this.disconnectedAt.toLocaleTimeString()}`
+            : '';
+
+        this.refreshDataAge();
     }
 
-    // Status Updates
-    updatePumpStatus(status) {
-        document.getElementById('pump-status').textContent = status.status;
-        document.getElementById('pump-status').className = `status-indicator ${status.status}`;
-        document.getElementById('pump-current').textContent = `${status.currentDraw} A`;
-        document.getElementById('pump-power').textContent = `${status.powerConsumption} kW`;
-        document.getElementById('pump-last-read').textContent = new Date(status.lastReading).toLocaleString();
+    // Data Age
+    markDataUpdated(card, updated = new Date()) {
+        this.dataAge[card].updated = updated;
+        this.refreshDataAge();
     }
 
-    updateSystemStatus(status) {
-        document.getElementById('system-uptime').textContent = status.uptime;
-        document.getElementById('system-cpu').textContent = `${status.cpuUsage}%`;
-        document.getElementById('system-memory').textContent = `${status.memoryUsage}%`;
-        document.getElementById('system-storage').textContent = `${status.storageUsage}%`;
-        document.getElementById('system-temp').textContent = `${status.temperature}°C`;
+    // Grey out cards whose data is too old, or which can't be trusted to be current while offline
+    refreshDataAge() {
+        const offline = this.connectionState !== 'connected';
+
+        Object.entries(this.dataAge).forEach(([card, age]) => {
+            const cardElement = document.getElementById(`${card}-card`);
+            const ageElement = document.getElementById(`${card}-data-age`);
+            if (!cardElement || !ageElement || !age.updated) return;
+
+            const ageMs = Date.now() - age.updated.getTime();
+            const stale = offline || (age.maxAge !== null && ageMs > age.maxAge);
+
+            ageElement.textContent = this.formatDataAge(ageMs);
+            ageElement.title = `Updated ${age.updated.toLocaleString()}`;
+            cardElement.classList.toggle('stale', stale);
+        });
+
+        this.updateOfflineBanner();
     }
 
-    updateOcrStatistics(stats) {
-        document.getElementById('ocr-success-rate').textContent = `${stats.successRate}%`;
-        document.getElementById('ocr-avg-confidence').textContent = `${stats.averageConfidence}%`;
-        document.getElementById('ocr-total-processed').textContent = stats.totalProcessed;
-        document.getElementById('ocr-provider').textContent = stats.currentProvider;
+    updateOfflineBanner() {
+        const banner = document.getElementById('offline-banner');
+        const offline = this.connectionState === 'reconnecting' || this.connectionState === 'disconnected';
+        banner.style.display = offline ? '' : 'none';
+        if (!offline) return;
+
+        const updates = Object.values(this.dataAge).map(age => age.updated).filter(Boolean);
+        document.getElementById('offline-banner-text').textContent = updates.length > 0
+            ? `the device is unreachable. Showing the last known state from ${new Date(Math.max(...updates)).toLocaleString()}.`
+            : 'the device is unreachable and nothing has been cached on this browser yet.';
     }
 
-    addAlert(alert, animate = true) {
-        const alertsContainer = document.getElementById('alerts-container');
-        
-        const alertElement = document.createElement('div');
-        alertElement.className = `alert alert-${alert.severity.toLowerCase()} alert-dismissible fade show`;
-        if (animate) alertElement.classList.add('fade-in');
-        
-        alertElement.innerHTML = `
-            <strong>${alert.title}</strong> ${alert.message}
-            <small class="d-block text-muted">${new Date(alert.timestamp).toLocaleString()}</small>
-            <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
-        `;
-        
-        alertsContainer.insertBefore(alertElement, alertsContainer.firstChild);
-        
-        // Auto-dismiss info alerts after 5 seconds
-        if (alert.severity.toLowerCase() === 'info') {
-            setTimeout(() => {
-                if (alertElement.parentNode) {
-                    alertElement.remove();
-                }
-            }, 5000);
+    // Offline Cache
+    // Keep the latest status and readings in IndexedDB so the last known state survives a page reload while offline
+    cacheDeviceStatus(changes) {
+        this.deviceStatusCache = { ...this.deviceStatusCache, ...changes };
+        this.offlineStore.saveSnapshot('deviceStatus', this.deviceStatusCache)
+            .catch(error => console.warn('Failed to cache device status:', error));
+
+        const pumpStatus = changes.pumpStatus;
+        if (pumpStatus && new Date(pumpStatus.lastReading).getFullYear() > 1) {
+            this.cacheReadings([{
+                x: new Date(pumpStatus.lastReading).getTime(),
+                y: pumpStatus.currentDraw,
+                status: pumpStatus.status
+            }]);
         }
     }
 
-    addDebugImage(imagePath) {
-        // Refresh the debug images list if we're on that tab
-        const debugSection = document.getElementById('debug-images-section');
-        if (debugSection.style.display !== 'none') {
-            this.loadDebugImages();
+    cacheReadings(points) {
+        this.offlineStore.saveReadings(points)
+            .catch(error => console.warn('Failed to cache readings:', error));
+    }
+
+    async loadCachedDeviceStatus() {
+        try {
+            const snapshot = await this.offlineStore.getSnapshot('deviceStatus');
+            if (!snapshot) return;
+
+            this.deviceStatusCache = snapshot.value;
+            const { pumpStatus, systemStatus, ocrStatistics } = snapshot.value;
+            if (pumpStatus) this.updatePumpStatus(pumpStatus);
+            if (systemStatus) this.updateSystemStatus(systemStatus, snapshot.savedAt);
+            if (ocrStatistics) this.updateOcrStatistics(ocrStatistics, snapshot.savedAt);
+
+        } catch (error) {
+            console.error('Failed to load cached device status:', error);
         }
     }
 
-    // Charts
-    initializeCharts() {
-        const ctx = document.getElementById('current-chart').getContext('2d');
-        
-        this.charts.current = new Chart(ctx, {
-            type: 'line',
-            data: {
-                labels: [],
-                datasets: [{
-                    label: 'Current Draw (A)',
-                    data: [],
-                    borderColor: 'rgb(75, 192, 192)',
-                    backgroundColor: 'rgba(75, 192, 192, 0.2)',
+    formatDataAge(ageMs) {
+        const seconds = Math.max(0, Math.floor(ageMs / 1000));
+        if (seconds < 5) return 'just now';
+        if (seconds < 60) return `${seconds}s ago`;
+        if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+        if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+        return `${Math.floor(seconds / 86400)}d ago`;
+    }
+
+    // Event Handlers
+    initializeEventHandlers() {
+        // Navigation
+        document.querySelectorAll('[data-section]').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.showSection(link.dataset.section);
+            });
+        });
+
+        // Debug Images
+        ['image-type-filter', 'image-date-from', 'image-date-to'].forEach(id => {
+            this.bindEvent(id, 'change', () => {
+                this.imagePage = 1;
+                this.loadDebugImages();
+            });
+        });
+
+        this.bindEvent('refresh-images', 'click', () => {
+            this.loadDebugImages();
+        });
+
+        this.bindEvent('image-page-prev', 'click', () => {
+            this.imagePage--;
+            this.loadDebugImages();
+        });
+
+        this.bindEvent('image-page-next', 'click', () => {
+            this.imagePage++;
+            this.loadDebugImages();
+        });
+
+        this.bindEvent('image-compare-toggle', 'click', () => {
+            this.imageCompareMode = !this.imageCompareMode;
+            this.renderImageViewer();
+        });
+
+        this.bindEvent('image-zoom-in', 'click', () => this.zoomDebugImages(1.5));
+        this.bindEvent('image-zoom-out', 'click', () => this.zoomDebugImages(1 / 1.5));
+        this.bindEvent('image-zoom-reset', 'click', () => this.zoomDebugImages(null));
+
+        this.bindEvent('image-metadata', 'click', (e) => {
+            const link = e.target.closest('[data-image-file]');
+            if (link) {
+                e.preventDefault();
+                this.selectImage(link.dataset.imageFile);
+            }
+        });
+
+        this.bindEvent('cleanup-images', 'click', () => {
+            this.cleanupImages();
+        });
+
+        this.bindEvent('image-label-form', 'submit', (e) => {
+            e.preventDefault();
+            this.saveOcrLabel();
+        });
+
+        // OCR Accuracy
+        this.bindEvent('ocr-accuracy-summary', 'click', () => {
+            this.showSection('ocr-accuracy');
+        });
+
+        this.bindEvent('ocr-evaluate', 'click', () => {
+            this.evaluateOcrLabels();
+        });
+
+        this.bindEvent('ocr-label-rows', 'click', (e) => {
+            const button = e.target.closest('[data-delete-label]');
+            if (button) {
+                this.deleteOcrLabel(parseInt(button.dataset.deleteLabel));
+            }
+        });
+
+        this.bindEvent('ocr-label-rows', 'change', (e) => {
+            if (e.target.dataset.benchmarkLabel) {
+                const labelId = parseInt(e.target.dataset.benchmarkLabel);
+                if (e.target.checked) {
+                    this.ocrBenchmarkLabelIds.add(labelId);
+                } else {
+                    this.ocrBenchmarkLabelIds.delete(labelId);
+                }
+            }
+        });
+
+        this.bindEvent('ocr-label-select-all', 'change', (e) => {
+            document.querySelectorAll('#ocr-label-rows [data-benchmark-label]').forEach(checkbox => {
+                checkbox.checked = e.target.checked;
+                const labelId = parseInt(checkbox.dataset.benchmarkLabel);
+                if (e.target.checked) {
+                    this.ocrBenchmarkLabelIds.add(labelId);
+                } else {
+                    this.ocrBenchmarkLabelIds.delete(labelId);
+                }
+            });
+        });
+
+        this.bindEvent('ocr-benchmark-run', 'click', () => {
+            this.runOcrBenchmark();
+        });
+
+        document.querySelectorAll('#ocr-benchmark-table th[data-sort]').forEach(header => {
+            header.addEventListener('click', () => {
+                const key = header.dataset.sort;
+                this.ocrBenchmarkSort = {
+                    key,
+                    ascending: this.ocrBenchmarkSort.key === key ? !this.ocrBenchmarkSort.ascending : ['rank', 'provider', 'variant', 'averageLatencyMs', 'maxLatencyMs', 'failures'].includes(key)
+                };
+                this.displayOcrBenchmark();
+            });
+        });
+
+        this.bindEvent('ocr-benchmark-rows', 'click', (e) => {
+            const button = e.target.closest('[data-apply-benchmark]');
+            if (button) {
+                this.applyOcrBenchmark(button.dataset.provider, button.dataset.variant);
+            }
+        });
+
+        // OCR Settings
+        this.bindEvent('ocr-settings-form', 'submit', (e) => {
+            e.preventDefault();
+            this.saveOcrSettings();
+        });
+
+        this.bindEvent('ocr-settings-form', 'input', () => {
+            this.onOcrSettingsChanged();
+        });
+
+        this.bindEvent('ocr-settings-reload', 'click', () => {
+            this.loadOcrSettings();
+        });
+
+        this.bindEvent('ocr-settings-preview', 'click', () => {
+            this.previewOcrSettings();
+        });
+
+        this.bindEvent('ocr-preview-image', 'change', () => {
+            this.previewOcrSettings();
+        });
+
+        this.bindEvent('ocr-settings-reset', 'click', () => {
+            this.resetOcrSettings();
+        });
+
+        // History Explorer
+        document.querySelectorAll('#history-range-picker [data-range]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.selectHistoryRange(button.dataset.range);
+            });
+        });
+
+        this.bindEvent('history-apply', 'click', () => {
+            this.resetHistoryZoom();
+        });
+
+        this.bindEvent('history-reset-zoom', 'click', () => {
+            this.resetHistoryZoom();
+        });
+
+        // Pump Cycles
+        document.querySelectorAll('#cycle-range-picker [data-cycle-range]').forEach(button => {
+            button.addEventListener('click', () => {
+                document.querySelectorAll('#cycle-range-picker [data-cycle-range]').forEach(other => {
+                    other.classList.toggle('active', other === button);
+                });
+                this.cycleRangeDays = parseInt(button.dataset.cycleRange);
+                this.loadPumpCycles();
+            });
+        });
+
+        // Alert Center
+        document.querySelectorAll('#alert-status-picker [data-alert-status]').forEach(button => {
+            button.addEventListener('click', () => {
+                document.querySelectorAll('#alert-status-picker [data-alert-status]').forEach(other => {
+                    other.classList.toggle('active', other === button);
+                });
+                this.alertStatus = button.dataset.alertStatus;
+                this.loadAlertCenter();
+            });
+        });
+
+        this.bindEvent('alert-severity-filter', 'change', () => {
+            this.loadAlertCenter();
+        });
+
+        this.bindEvent('alert-type-filter', 'change', () => {
+            this.loadAlertCenter();
+        });
+
+        const operatorInput = document.getElementById('alert-operator-name');
+        if (operatorInput) {
+            operatorInput.value = localStorage.getItem('wellmonitor.operatorName') || '';
+            operatorInput.addEventListener('change', () => {
+                localStorage.setItem('wellmonitor.operatorName', operatorInput.value.trim());
+            });
+        }
+
+        this.bindEvent('alert-list', 'click', (e) => {
+            const button = e.target.closest('[data-alert-action]');
+            if (button) {
+                this.handleAlertAction(parseInt(button.dataset.alertId), button.dataset.alertAction, button.dataset.minutes);
+            }
+        });
+
+        this.bindEvent('alert-summary', 'click', () => {
+            this.showSection('alerts');
+        });
+
+        // Push Notifications
+        this.bindEvent('push-enable', 'click', () => {
+            this.enablePushNotifications();
+        });
+
+        this.bindEvent('push-disable', 'click', () => {
+            this.disablePushNotifications();
+        });
+
+        this.bindEvent('push-test', 'click', () => {
+            this.sendTestNotification();
+        });
+
+        document.querySelectorAll('#push-topics [data-push-topic]').forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                if (this.pushSubscription) {
+                    this.savePushSubscription();
+                }
+            });
+        });
+
+        // Energy
+        this.bindEvent('energy-period', 'change', () => {
+            this.loadEnergyReport();
+        });
+
+        this.bindEvent('energy-range', 'change', () => {
+            this.loadEnergyReport();
+        });
+
+        this.bindEvent('energy-tariff-type', 'change', () => {
+            this.updateTariffFields();
+        });
+
+        this.bindEvent('energy-add-tou-rate', 'click', () => {
+            this.addTimeOfUseRow({ name: '', startHour: 16, endHour: 21, ratePerKwh: 0, weekdaysOnly: true });
+        });
+
+        this.bindEvent('energy-save-settings', 'click', () => {
+            this.saveEnergySettings();
+        });
+
+        this.bindEvent('energy-export-csv', 'click', () => {
+            this.exportEnergyCsv();
+        });
+
+        this.bindEvent('energy-print', 'click', () => {
+            this.printEnergyReport();
+        });
+
+        // ROI Controls
+        this.initializeRoiEditor();
+
+        document.querySelectorAll('.roi-control').forEach(control => {
+            control.addEventListener('input', () => {
+                this.updateRoiDisplay();
+            });
+        });
+
+        this.bindEvent('capture-roi-image', 'click', () => {
+            this.captureRoiImage();
+        });
+
+        this.bindEvent('save-roi', 'click', () => {
+            this.saveRoi();
+        });
+
+        this.bindEvent('test-roi', 'click', () => {
+            this.testRoi();
+        });
+
+        this.bindEvent('auto-calibrate', 'click', () => {
+            this.autoCalibrateRoi();
+        });
+
+        // ROI Profiles
+        this.bindEvent('roi-profile-rollback', 'click', () => {
+            this.rollbackRoiProfile();
+        });
+
+        this.bindEvent('roi-profile-diff', 'click', () => {
+            this.diffRoiProfiles();
+        });
+
+        this.bindEvent('roi-profile-list', 'click', (e) => {
+            const button = e.target.closest('[data-profile-action]');
+            if (!button) return;
+
+            const profileId = parseInt(button.dataset.profileId, 10);
+            if (button.dataset.profileAction === 'load') {
+                this.loadRoiProfile(profileId);
+            } else if (button.dataset.profileAction === 'activate') {
+                this.activateRoiProfile(profileId);
+            }
+        });
+
+        // Camera Positioning
+        this.bindEvent('capture-positioning', 'click', () => {
+            this.captureForPositioning();
+        });
+
+        this.bindEvent('toggle-grid', 'change', (e) => {
+            this.toggleGrid(e.target.checked);
+        });
+
+        this.bindEvent('toggle-guides', 'change', (e) => {
+            this.toggleGuides(e.target.checked);
+        });
+
+        this.bindEvent('live-pause', 'click', () => {
+            this.pauseCameraPreview();
+        });
+
+        this.bindEvent('live-resume', 'click', () => {
+            this.startCameraPreview();
+        });
+
+        this.bindEvent('live-stop', 'click', () => {
+            this.stopCameraPreview();
+        });
+
+        // Guided Camera Setup
+        this.bindEvent('setup-restart', 'click', () => {
+            this.cameraSetup = null;
+            this.initializeCameraSetup();
+        });
+
+        this.bindEvent('setup-check', 'click', () => {
+            this.runCameraSetupCheck();
+        });
+
+        this.bindEvent('setup-back', 'click', () => {
+            this.moveCameraSetupStep(-1);
+        });
+
+        this.bindEvent('setup-next', 'click', () => {
+            this.moveCameraSetupStep(1);
+        });
+
+        this.bindEvent('setup-save', 'click', () => {
+            this.saveCameraSetup();
+        });
+
+        this.bindEvent('setup-use-suggested', 'click', () => {
+            this.useSuggestedRoi();
+        });
+
+        ['setup-exposure-mode', 'setup-brightness', 'setup-gain'].forEach(id => {
+            this.bindEvent(id, 'change', () => {
+                this.updateCameraSetupSettings();
+            });
+        });
+
+        this.bindEvent('setup-brightness', 'input', (e) => {
+            document.getElementById('setup-brightness-value').textContent = e.target.value;
+        });
+
+        this.bindEvent('setup-image', 'load', () => {
+            this.drawSetupOverlay();
+        });
+
+        // Exposure Comparison
+        document.querySelectorAll('#compare-modes input, .compare-values').forEach(input => {
+            input.addEventListener('input', () => this.updateComparisonCount());
+        });
+
+        this.bindEvent('compare-run', 'click', () => {
+            this.runExposureComparison();
+        });
+
+        this.bindEvent('compare-apply-winner', 'click', () => {
+            this.applyComparisonFrame(1);
+        });
+
+        this.bindEvent('compare-results', 'click', (e) => {
+            const button = e.target.closest('[data-compare-rank]');
+            if (button) {
+                this.applyComparisonFrame(parseInt(button.dataset.compareRank, 10));
+            }
+        });
+
+        // Camera Settings
+        this.bindEvent('camera-settings-form', 'submit', (e) => {
+            e.preventDefault();
+            this.saveCameraSettings();
+        });
+
+        this.bindEvent('camera-settings-reload', 'click', () => {
+            this.loadCameraSettings();
+        });
+
+        // New settings restart a running stream
+        ['live-resolution', 'live-fps'].forEach(id => {
+            this.bindEvent(id, 'change', () => {
+                if (this.liveView && !this.liveView.paused) {
+                    this.startCameraPreview();
+                }
+            });
+        });
+
+        // Relay Control
+        ['relay-reason', 'relay-confirmation'].forEach(id => {
+            this.bindEvent(id, 'input', () => {
+                this.updateRelayControls();
+            });
+        });
+
+        this.bindEvent('relay-allow-running', 'change', () => {
+            this.updateRelayControls();
+        });
+
+        this.bindEvent('relay-cycle', 'click', () => {
+            this.cycleRelay();
+        });
+
+        this.bindEvent('relay-log-source', 'change', () => {
+            this.loadRelayLog();
+        });
+
+        // Session
+        this.bindEvent('login-form', 'submit', (e) => {
+            e.preventDefault();
+            this.login();
+        });
+
+        this.bindEvent('login-modal', 'shown.bs.modal', () => {
+            document.getElementById('login-username').focus();
+        });
+
+        this.bindEvent('logout-button', 'click', () => {
+            this.logout();
+        });
+
+        // Device twin configuration
+        this.bindEvent('twin-refresh', 'click', () => {
+            this.loadTwinConfiguration();
+        });
+
+        this.bindEvent('twin-force-sync', 'click', () => {
+            this.forceTwinSync();
+        });
+
+        this.bindEvent('twin-differences-only', 'change', () => {
+            if (this.twinConfiguration) {
+                this.renderTwinSections(this.twinConfiguration.sections);
+            }
+        });
+
+        // System health
+        this.bindEvent('health-range', 'change', () => {
+            this.loadSystemHealth();
+        });
+
+        this.bindEvent('health-refresh', 'click', () => {
+            this.loadSystemHealth();
+            this.loadStorageBreakdown();
+        });
+
+        this.bindEvent('storage-retention-form', 'submit', (e) => {
+            e.preventDefault();
+            this.saveImageRetention();
+        });
+
+        this.bindEvent('storage-cleanup', 'click', () => {
+            this.cleanupExpiredImages();
+        });
+
+        // Data export and backup
+        this.bindEvent('export-form', 'submit', (e) => {
+            e.preventDefault();
+            this.exportData();
+        });
+
+        this.bindEvent('backup-download', 'click', () => {
+            this.downloadBackup();
+        });
+
+        this.bindEvent('backup-restore-form', 'submit', (e) => {
+            e.preventDefault();
+            this.restoreBackup();
+        });
+
+        // Logs
+        this.bindEvent('log-filter-form', 'submit', (e) => {
+            e.preventDefault();
+            this.loadLogs();
+        });
+
+        ['log-level', 'log-area'].forEach(id => {
+            this.bindEvent(id, 'change', () => this.loadLogs());
+        });
+
+        this.bindEvent('log-pause', 'click', () => {
+            this.toggleLogPause();
+        });
+
+        this.bindEvent('log-clear', 'click', () => {
+            this.logEntries = [];
+            this.logPending = [];
+            this.renderLogEntries();
+        });
+
+        this.bindEvent('log-download', 'click', () => {
+            this.downloadLogs();
+        });
+
+        this.bindEvent('log-settings-form', 'submit', (e) => {
+            e.preventDefault();
+            this.saveLogSettings();
+        });
+
+        // Users
+        this.bindEvent('user-create-form', 'submit', (e) => {
+            e.preventDefault();
+            this.createUser();
+        });
+
+        this.bindEvent('users-table', 'change', (e) => {
+            const select = e.target.closest('[data-user-role]');
+            if (select) {
+                this.updateUser(parseInt(select.dataset.userRole), select.dataset.username, { role: select.value });
+            }
+        });
+
+        this.bindEvent('users-table', 'click', (e) => {
+            const button = e.target.closest('[data-user-action]');
+            if (!button) return;
+
+            const userId = parseInt(button.dataset.userId);
+            if (button.dataset.userAction === 'password') {
+                this.resetUserPassword(userId, button.dataset.username);
+            } else if (button.dataset.userAction === 'delete') {
+                this.deleteUser(userId, button.dataset.username);
+            }
+        });
+    }
+
+    // Binds a handler only if the element exists in the current markup
+    bindEvent(elementId, eventName, handler) {
+        const element = document.getElementById(elementId);
+        if (element) {
+            element.addEventListener(eventName, handler);
+        }
+    }
+
+    // Escapes user-entered text before it is inserted with innerHTML
+    escapeHtml(value) {
+        const element = document.createElement('div');
+        element.textContent = value ?? '';
+        return element.innerHTML;
+    }
+
+    // Navigation
+    showSection(sectionName) {
+        // The live view holds the camera, so it never keeps running on another page
+        if (sectionName !== 'camera-position') {
+            this.stopCameraPreview();
+        }
+
+        if (sectionName !== 'logs') {
+            this.leaveLogStream();
+        }
+
+        // Hide all sections
+        document.querySelectorAll('.content-section').forEach(section => {
+            section.style.display = 'none';
+        });
+
+        // Update nav links
+        document.querySelectorAll('.nav-link').forEach(link => {
+            link.classList.remove('active');
+        });
+
+        // Show selected section
+        const section = document.getElementById(`${sectionName}-section`);
+        if (section) {
+            section.style.display = 'block';
+            this.currentSection = sectionName;
+            
+            // Update nav link
+            const navLink = document.querySelector(`[data-section="${sectionName}"]`);
+            if (navLink) {
+                navLink.classList.add('active');
+            }
+
+            // Load section-specific data
+            this.loadSectionData(sectionName);
+        }
+    }
+
+    loadSectionData(sectionName) {
+        // Before sign-in the API only answers 401; startDashboard loads the current section afterwards
+        if (!this.dashboardStarted) return;
+
+        switch (sectionName) {
+            case 'dashboard':
+                this.loadDashboardData();
+                break;
+            case 'debug-images':
+                this.loadDebugImages();
+                break;
+            case 'pump-cycles':
+                this.loadPumpCycles();
+                break;
+            case 'alerts':
+                this.loadAlertCenter();
+                break;
+            case 'relay':
+                this.loadRelayStatus();
+                this.loadRelayLog();
+                break;
+            case 'energy':
+                this.loadEnergySettings();
+                this.loadEnergyReport();
+                break;
+            case 'ocr-accuracy':
+                this.loadOcrAccuracy();
+                this.loadOcrBenchmarkOptions();
+                break;
+            case 'ocr-settings':
+                this.loadOcrSettings();
+                break;
+            case 'roi-calibration':
+                this.loadRoiCalibration();
+                break;
+            case 'camera-position':
+                this.loadCameraConfiguration();
+                this.loadCameraSettings();
+                if (!this.cameraSetup) {
+                    this.initializeCameraSetup();
+                }
+                this.updateComparisonCount();
+                this.loadExposureComparison();
+                break;
+            case 'configuration':
+                this.loadTwinConfiguration();
+                break;
+            case 'system-health':
+                this.loadSystemHealth();
+                this.loadStorageBreakdown();
+                break;
+            case 'data':
+                this.initializeExportRange();
+                break;
+            case 'logs':
+                this.loadLogSettings();
+                this.loadLogs();
+                this.joinLogStream();
+                break;
+            case 'users':
+                this.loadUsers();
+                break;
+        }
+    }
+
+    // Data Loading
+    async loadInitialData() {
+        try {
+            await Promise.all([
+                this.loadDeviceStatus(),
+                this.loadAlertSummary(),
+                this.loadDebugImages()
+            ]);
+        } catch (error) {
+            console.error('Failed to load initial data:', error);
+        }
+    }
+
+    async loadDashboardData() {
+        try {
+            await Promise.all([
+                this.loadDeviceStatus(),
+                this.loadAlertSummary(),
+                this.updateCurrentChart()
+            ]);
+        } catch (error) {
+            console.error('Failed to load dashboard data:', error);
+        }
+    }
+
+    async loadDeviceStatus() {
+        try {
+            const response = await fetch('/api/devicestatus/status');
+            const data = await response.json();
+            
+            this.updatePumpStatus(data.pumpStatus);
+            this.updateSystemStatus(data.systemStatus);
+            this.updateOcrStatistics(data.ocrStatistics);
+            this.cacheDeviceStatus(data);
+            
+        } catch (error) {
+            console.error('Failed to load device status:', error);
+            await this.loadCachedDeviceStatus();
+        }
+    }
+
+    async loadAlertSummary() {
+        try {
+            const response = await fetch('/api/alerts/summary');
+            const summary = await response.json();
+
+            if (!response.ok) {
+                throw new Error(summary.error || 'Failed to load alert summary');
+            }
+
+            this.updateAlertSummary(summary);
+
+        } catch (error) {
+            console.error('Failed to load alert summary:', error);
+        }
+    }
+
+    async loadDebugImages() {
+        const params = new URLSearchParams({ page: this.imagePage, pageSize: 20 });
+        const type = document.getElementById('image-type-filter').value;
+        const from = document.getElementById('image-date-from').value;
+        const to = document.getElementById('image-date-to').value;
+        if (type) {
+            params.set('type', type);
+        }
+        // Date inputs are local days; the end day is included by asking for everything before the next midnight
+        if (from) {
+            params.set('from', new Date(`${from}T00:00`).toISOString());
+        }
+        if (to) {
+            const end = new Date(`${to}T00:00`);
+            end.setDate(end.getDate() + 1);
+            params.set('to', end.toISOString());
+        }
+
+        const imageList = document.getElementById('image-list');
+        try {
+            const [response, statsResponse] = await Promise.all([
+                fetch(`/api/debugimages?${params}`),
+                fetch('/api/debugimages/stats')
+            ]);
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || `HTTP ${response.status}`);
+            }
+
+            this.imagePage = result.page;
+            imageList.innerHTML = '';
+            if (result.images.length === 0) {
+                imageList.innerHTML = '<div class="text-muted small p-2">No images match the filter</div>';
+            }
+            result.images.forEach(image => {
+                imageList.appendChild(this.createImageListItem(image));
+            });
+
+            document.getElementById('image-page-info').textContent =
+                `Page ${result.page} of ${result.totalPages} · ${result.totalCount} images`;
+            document.getElementById('image-page-prev').disabled = result.page <= 1;
+            document.getElementById('image-page-next').disabled = result.page >= result.totalPages;
+
+            if (statsResponse.ok) {
+                this.displayDebugImageStats(await statsResponse.json());
+            }
+
+            if (this.currentImage) {
+                imageList.querySelector(`[data-image-file="${CSS.escape(this.currentImage)}"]`)?.classList.add('active');
+            }
+        } catch (error) {
+            console.error('Failed to load debug images:', error);
+            imageList.innerHTML = `<div class="text-danger small p-2">Failed to load debug images: ${this.escapeHtml(error.message)}</div>`;
+        }
+    }
+
+    displayDebugImageStats(stats) {
+        const element = document.getElementById('image-stats');
+        if (stats.totalImages === 0) {
+            element.textContent = 'No debug images saved';
+            return;
+        }
+
+        const byType = stats.byType
+            .filter(t => t.count > 0)
+            .map(t => `${this.escapeHtml(t.type)}: ${t.count}`)
+            .join(' · ');
+        element.innerHTML = `
+            <div>${stats.totalImages} images · ${stats.totalSizeMB} MB</div>
+            <div>${new Date(stats.oldestImageUtc).toLocaleDateString()} – ${new Date(stats.newestImageUtc).toLocaleDateString()}</div>
+            <div>${byType}</div>
+        `;
+    }
+
+    createImageListItem(image) {
+        const item = document.createElement('div');
+        item.className = 'image-item';
+        item.dataset.imageFile = image.filename;
+
+        item.innerHTML = `
+            <img src="${image.url}" alt="" class="image-thumbnail" loading="lazy">
+            <div class="image-info">
+                <div class="image-name">${this.escapeHtml(image.filename)}</div>
+                <div class="image-meta">${new Date(image.capturedUtc).toLocaleString()} • ${(image.size / 1024).toFixed(0)} KB</div>
+            </div>
+        `;
+
+        item.addEventListener('click', () => {
+            this.selectImage(image.filename);
+        });
+
+        return item;
+    }
+
+    async selectImage(filename) {
+        document.querySelectorAll('.image-item').forEach(item => {
+            item.classList.toggle('active', item.dataset.imageFile === filename);
+        });
+        this.currentImage = filename;
+
+        try {
+            const response = await fetch(`/api/debugimages/metadata/${encodeURIComponent(filename)}`);
+            if (!response.ok) {
+                throw new Error(response.status === 404 ? 'Image no longer exists' : `HTTP ${response.status}`);
+            }
+            this.imageMetadata = await response.json();
+        } catch (error) {
+            console.error('Failed to load image metadata:', error);
+            this.imageMetadata = null;
+            document.getElementById('image-metadata').innerHTML =
+                `<div class="text-danger small">${this.escapeHtml(error.message)}</div>`;
+            document.getElementById('image-label-panel').style.display = 'none';
+            return;
+        }
+
+        this.renderImageMetadata();
+        this.renderImageViewer();
+    }
+
+    renderImageMetadata() {
+        const meta = this.imageMetadata;
+        const row = (label, value) => `<tr><th class="text-muted fw-normal">${label}</th><td class="text-break">${value}</td></tr>`;
+        const related = meta.related.length > 0
+            ? meta.related.map(image => `<a href="#" class="d-block" data-image-file="${this.escapeHtml(image.filename)}">${this.escapeHtml(image.type)} – ${this.escapeHtml(image.filename)}</a>`).join('')
+            : '<span class="text-muted">None</span>';
+
+        document.getElementById('image-metadata').innerHTML = `
+            <table class="table table-sm small mb-0">
+                ${row('File', this.escapeHtml(meta.filename))}
+                ${row('Type', this.escapeHtml(meta.type))}
+                ${row('Capture', this.escapeHtml(meta.captureKey))}
+                ${row('Saved', new Date(meta.capturedUtc).toLocaleString())}
+                ${row('Size', `${(meta.size / 1024).toFixed(1)} KB`)}
+                ${row('Dimensions', meta.width ? `${meta.width} × ${meta.height} px` : 'Unknown')}
+                ${row('Path', this.escapeHtml(meta.path))}
+                ${row('Same capture', related)}
+            </table>
+        `;
+
+        // Labels go on the ROI crop, so an original or overlay can only be labelled when its capture saved one
+        const labelable = ['roi_extracted', 'roi_processed'].includes(meta.type)
+            || meta.related.some(image => ['roi_extracted', 'roi_processed'].includes(image.type));
+        document.getElementById('image-label-panel').style.display = labelable ? 'block' : 'none';
+        document.getElementById('image-label-text').value = '';
+        document.getElementById('image-label-result').innerHTML = '';
+    }
+
+    renderImageViewer() {
+        const meta = this.imageMetadata;
+        const viewer = document.getElementById('image-viewer');
+        const compare = document.getElementById('image-compare');
+        const toggle = document.getElementById('image-compare-toggle');
+
+        toggle.disabled = !meta;
+        toggle.classList.toggle('active', this.imageCompareMode);
+        if (!meta) {
+            return;
+        }
+
+        if (!this.imageCompareMode) {
+            compare.style.display = 'none';
+            viewer.style.display = 'block';
+            viewer.innerHTML = `<img src="${meta.url}" alt="${this.escapeHtml(meta.filename)}">`;
+            this.attachPanZoom(viewer);
+            return;
+        }
+
+        // One pane per image type, filled from the selected image and the rest of its capture
+        const images = [meta, ...meta.related];
+        viewer.style.display = 'none';
+        compare.style.display = 'flex';
+        compare.innerHTML = ['original', 'roi_overlay', 'roi_extracted', 'roi_processed'].map(type => {
+            const image = images.find(i => i.type === type);
+            return `
+                <div class="col-md-6">
+                    <div class="small fw-semibold mb-1">${type}${image ? ` <span class="text-muted fw-normal">${this.escapeHtml(image.filename)}</span>` : ''}</div>
+                    ${image
+                        ? `<div class="pan-zoom pan-zoom-compare"><img src="${image.url}" alt="${this.escapeHtml(image.filename)}"></div>`
+                        : '<div class="pan-zoom pan-zoom-compare text-muted small d-flex align-items-center justify-content-center">Not saved for this capture</div>'}
+                </div>
+            `;
+        }).join('');
+        compare.querySelectorAll('.pan-zoom').forEach(pane => this.attachPanZoom(pane));
+    }
+
+    // Scroll-to-zoom and drag-to-pan for the image inside a .pan-zoom container
+    attachPanZoom(container) {
+        const img = container.querySelector('img');
+        if (!img) {
+            return;
+        }
+
+        const state = { scale: 1, x: 0, y: 0, fitScale: 1, drag: null };
+        const apply = () => {
+            img.style.transform = `translate(${state.x}px, ${state.y}px) scale(${state.scale})`;
+        };
+        const fit = () => {
+            if (!img.naturalWidth) {
+                return;
+            }
+            state.fitScale = Math.min(container.clientWidth / img.naturalWidth, container.clientHeight / img.naturalHeight);
+            state.scale = state.fitScale;
+            state.x = (container.clientWidth - (img.naturalWidth * state.scale)) / 2;
+            state.y = (container.clientHeight - (img.naturalHeight * state.scale)) / 2;
+            apply();
+        };
+        // Zoom keeping the point under (cx, cy) fixed; limited to between half the fitted size and 16x actual pixels
+        const zoomAt = (factor, cx, cy) => {
+            const scale = Math.min(Math.max(state.scale * factor, state.fitScale / 2), 16);
+            state.x = cx - ((cx - state.x) * scale / state.scale);
+            state.y = cy - ((cy - state.y) * scale / state.scale);
+            state.scale = scale;
+            apply();
+        };
+
+        img.draggable = false;
+        img.addEventListener('load', fit);
+        if (img.complete) {
+            fit();
+        }
+
+        container.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const rect = container.getBoundingClientRect();
+            zoomAt(e.deltaY < 0 ? 1.2 : 1 / 1.2, e.clientX - rect.left, e.clientY - rect.top);
+        }, { passive: false });
+
+        container.addEventListener('pointerdown', (e) => {
+            state.drag = { x: e.clientX - state.x, y: e.clientY - state.y };
+            container.setPointerCapture(e.pointerId);
+            container.classList.add('dragging');
+        });
+        container.addEventListener('pointermove', (e) => {
+            if (state.drag) {
+                state.x = e.clientX - state.drag.x;
+                state.y = e.clientY - state.drag.y;
+                apply();
+            }
+        });
+        const endDrag = () => {
+            state.drag = null;
+            container.classList.remove('dragging');
+        };
+        container.addEventListener('pointerup', endDrag);
+        container.addEventListener('pointercancel', endDrag);
+        container.addEventListener('dblclick', fit);
+
+        container.panZoom = {
+            zoom: (factor) => zoomAt(factor, container.clientWidth / 2, container.clientHeight / 2),
+            fit
+        };
+    }
+
+    zoomDebugImages(factor) {
+        document.querySelectorAll('#debug-images-section .pan-zoom').forEach(container => {
+            if (!container.panZoom || container.offsetParent === null) {
+                return;
+            }
+            if (factor === null) {
+                container.panZoom.fit();
+            } else {
+                container.panZoom.zoom(factor);
+            }
+        });
+    }
+
+    async cleanupImages() {
+        try {
+            await fetch('/api/debugimages/cleanup', { method: 'POST' });
+            this.loadDebugImages();
+        } catch (error) {
+            console.error('Failed to cleanup images:', error);
+        }
+    }
+
+    // OCR Accuracy
+    async saveOcrLabel() {
+        const text = document.getElementById('image-label-text').value.trim();
+        const result = document.getElementById('image-label-result');
+        if (!this.imageMetadata || !text) {
+            return;
+        }
+
+        const button = document.getElementById('image-label-save');
+        button.disabled = true;
+        try {
+            const response = await fetch('/api/ocrlabels', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    imageFile: this.imageMetadata.filename,
+                    text,
+                    labeledBy: localStorage.getItem('wellmonitor.operatorName') || ''
+                })
+            });
+            const label = await response.json();
+
+            if (!response.ok) {
+                throw new Error(label.error || 'Failed to save label');
+            }
+
+            const evaluation = label.latestEvaluation;
+            result.innerHTML = evaluation
+                ? `<span class="${evaluation.correct ? 'text-success' : 'text-danger'}">
+                       <i class="bi ${evaluation.correct ? 'bi-check-circle' : 'bi-x-circle'}"></i>
+                       Saved "${this.escapeHtml(label.text)}". ${this.escapeHtml(evaluation.provider)} read "${this.escapeHtml(evaluation.predictedText)}"
+                       (${Math.round(evaluation.confidence * 100)}% confidence)
+                   </span>`
+                : `<span class="text-success">Saved "${this.escapeHtml(label.text)}"</span>`;
+
+        } catch (error) {
+            console.error('Failed to save OCR label:', error);
+            result.innerHTML = `<span class="text-danger">${this.escapeHtml(error.message)}</span>`;
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    async loadOcrAccuracy() {
+        try {
+            const [reportResponse, labelsResponse] = await Promise.all([
+                fetch('/api/ocrlabels/accuracy?days=30'),
+                fetch('/api/ocrlabels')
+            ]);
+            const report = await reportResponse.json();
+            const labels = await labelsResponse.json();
+
+            if (!reportResponse.ok || !labelsResponse.ok) {
+                throw new Error(report.error || labels.error || 'Failed to load OCR accuracy');
+            }
+
+            this.displayOcrAccuracy(report);
+            this.displayOcrLabels(labels);
+
+        } catch (error) {
+            console.error('Failed to load OCR accuracy:', error);
+            this.addAlert({
+                title: 'OCR Accuracy',
+                message: `Failed to load OCR accuracy: ${error.message}`,
+                severity: 'Danger',
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    formatPercent(fraction) {
+        return fraction === null || fraction === undefined ? '--' : `${(fraction * 100).toFixed(1)}%`;
+    }
+
+    displayOcrAccuracy(report) {
+        document.getElementById('ocr-label-count').textContent = report.labelCount;
+        document.getElementById('ocr-overall-accuracy').textContent = this.formatPercent(report.accuracy);
+
+        document.getElementById('ocr-provider-rows').innerHTML = report.providers.length > 0
+            ? report.providers.map(provider => `
+                <tr>
+                    <td>${this.escapeHtml(provider.provider)}</td>
+                    <td class="text-end">${provider.labels}</td>
+                    <td class="text-end">${this.formatPercent(provider.accuracy)}</td>
+                    <td class="text-end">${this.formatPercent(provider.characterAccuracy)}</td>
+                    <td class="text-end">${this.formatPercent(provider.averageConfidence)}</td>
+                    <td>${new Date(provider.lastEvaluatedUtc).toLocaleString()}</td>
+                </tr>
+            `).join('')
+            : '<tr><td colspan="6" class="text-muted text-center">No evaluations yet</td></tr>';
+
+        // An empty side of a confusion is a character OCR missed or added
+        const character = (value) => value ? this.escapeHtml(value) : '<span class="text-muted" title="None">∅</span>';
+        document.getElementById('ocr-confusion-rows').innerHTML = report.confusions.length > 0
+            ? report.confusions.map(confusion => `
+                <tr>
+                    <td class="ocr-confusion-char">${character(confusion.expected)}</td>
+                    <td class="ocr-confusion-char">${character(confusion.predicted)}</td>
+                    <td class="text-end">${confusion.count}</td>
+                </tr>
+            `).join('')
+            : '<tr><td colspan="3" class="text-muted text-center">No character errors</td></tr>';
+
+        this.displayOcrAccuracyChart(report);
+    }
+
+    displayOcrAccuracyChart(report) {
+        if (this.charts.ocrAccuracy) {
+            this.charts.ocrAccuracy.destroy();
+        }
+
+        const colors = ['rgb(13, 110, 253)', 'rgb(25, 135, 84)', 'rgb(255, 159, 64)', 'rgb(111, 66, 193)'];
+        const dates = [...new Set(report.providers.flatMap(provider => provider.history.map(point => point.date)))].sort();
+
+        this.charts.ocrAccuracy = new Chart(document.getElementById('ocr-accuracy-chart').getContext('2d'), {
+            type: 'line',
+            data: {
+                labels: dates.map(date => new Date(date).toLocaleDateString(undefined, { timeZone: 'UTC' })),
+                datasets: report.providers.map((provider, index) => {
+                    const byDate = new Map(provider.history.map(point => [point.date, point]));
+                    return {
+                        label: provider.provider,
+                        data: dates.map(date => byDate.has(date) ? byDate.get(date).accuracy * 100 : null),
+                        evaluations: dates.map(date => byDate.get(date)?.evaluations ?? 0),
+                        borderColor: colors[index % colors.length],
+                        backgroundColor: colors[index % colors.length],
+                        spanGaps: true,
+                        tension: 0.1
+                    };
+                })
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                scales: {
+                    y: {
+                        min: 0,
+                        max: 100,
+                        title: {
+                            display: true,
+                            text: 'Exact Reads (%)'
+                        }
+                    }
+                },
+                plugins: {
+                    tooltip: {
+                        callbacks: {
+                            label: (item) => `${item.dataset.label}: ${item.parsed.y.toFixed(1)}% of ${item.dataset.evaluations[item.dataIndex]} reads`
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    displayOcrLabels(labels) {
+        const rows = document.getElementById('ocr-label-rows');
+
+        // Forget selections of labels that were deleted
+        const labelIds = new Set(labels.map(label => label.id));
+        this.ocrBenchmarkLabelIds.forEach(labelId => {
+            if (!labelIds.has(labelId)) {
+                this.ocrBenchmarkLabelIds.delete(labelId);
+            }
+        });
+        document.getElementById('ocr-label-select-all').checked = labels.length > 0 && this.ocrBenchmarkLabelIds.size === labels.length;
+
+        if (labels.length === 0) {
+            rows.innerHTML = '<tr><td colspan="7" class="text-muted text-center">No labeled images</td></tr>';
+            return;
+        }
+
+        rows.innerHTML = labels.map(label => {
+            const evaluation = label.latestEvaluation;
+            const read = evaluation
+                ? `<span class="${evaluation.correct ? 'text-success' : 'text-danger'}">${this.escapeHtml(evaluation.predictedText) || '<em>nothing</em>'}</span>`
+                : '<span class="text-muted">Not evaluated</span>';
+            return `
+                <tr>
+                    <td>
+                        <input class="form-check-input" type="checkbox" data-benchmark-label="${label.id}" ${this.ocrBenchmarkLabelIds.has(label.id) ? 'checked' : ''} title="Include in the benchmark">
+                    </td>
+                    <td><img src="${label.imageUrl}" class="ocr-label-crop" alt="${this.escapeHtml(label.text)}" loading="lazy"></td>
+                    <td class="fw-bold">${this.escapeHtml(label.text)}</td>
+                    <td>${read}</td>
+                    <td>${evaluation ? this.escapeHtml(evaluation.provider) : ''}</td>
+                    <td>${new Date(label.labeledAtUtc).toLocaleString()}<div class="text-muted">${this.escapeHtml(label.labeledBy)}</div></td>
+                    <td class="text-end">
+                        <button class="btn btn-sm btn-outline-danger" data-min-role="operator" data-delete-label="${label.id}" title="Delete label">
+                            <i class="bi bi-trash"></i>
+                        </button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    async evaluateOcrLabels() {
+        const button = document.getElementById('ocr-evaluate');
+        button.disabled = true;
+        try {
+            const response = await fetch('/api/ocrlabels/evaluate', { method: 'POST' });
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.error || 'Failed to evaluate labels');
+            }
+
+            this.addAlert({
+                title: 'OCR Accuracy',
+                message: `Evaluated ${result.evaluated} labeled images: ${this.formatPercent(result.report.accuracy)} read exactly`,
+                severity: 'Success',
+                timestamp: new Date().toISOString()
+            });
+            this.loadOcrAccuracy();
+
+        } catch (error) {
+            console.error('Failed to evaluate OCR labels:', error);
+            this.addAlert({
+                title: 'OCR Accuracy',
+                message: `Failed to evaluate labels: ${error.message}`,
+                severity: 'Danger',
+                timestamp: new Date().toISOString()
+            });
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    async deleteOcrLabel(labelId) {
+        if (!confirm('Delete this label and its evaluations?')) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/ocrlabels/${labelId}`, { method: 'DELETE' });
+            if (!response.ok) {
+                const result = await response.json();
+                throw new Error(result.error || 'Failed to delete label');
+            }
+
+            this.loadOcrAccuracy();
+
+        } catch (error) {
+            console.error('Failed to delete OCR label:', error);
+            this.addAlert({
+                title: 'OCR Accuracy',
+                message: `Failed to delete label: ${error.message}`,
+                severity: 'Danger',
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    async loadOcrBenchmarkOptions() {
+        try {
+            const [optionsResponse, lastResponse] = await Promise.all([
+                fetch('/api/ocrbenchmark/options'),
+                fetch('/api/ocrbenchmark/last')
+            ]);
+            const options = await optionsResponse.json();
+
+            if (!optionsResponse.ok) {
+                throw new Error(options.error || 'Failed to load benchmark options');
+            }
+
+            this.displayOcrBenchmarkOptions(options);
+
+            if (lastResponse.status === 200 && !this.ocrBenchmark) {
+                this.ocrBenchmark = await lastResponse.json();
+                this.displayOcrBenchmark();
+            }
+
+        } catch (error) {
+            console.error('Failed to load OCR benchmark options:', error);
+            document.getElementById('ocr-benchmark-providers').textContent = 'Failed to load providers';
+        }
+    }
+
+    displayOcrBenchmarkOptions(options) {
+        // Keep the user's choices when the section is reopened
+        const checkedProviders = new Set([...document.querySelectorAll('[data-benchmark-provider]:checked')].map(input => input.value));
+        const checkedVariants = new Set([...document.querySelectorAll('[data-benchmark-variant]:checked')].map(input => input.value));
+        const firstLoad = this.ocrBenchmarkVariants.length === 0;
+
+        document.getElementById('ocr-benchmark-providers').innerHTML = options.providers.map(provider => {
+            const checked = firstLoad ? provider.isAvailable && provider.name !== 'Null' : checkedProviders.has(provider.name);
+            return `
+                <div class="form-check">
+                    <input class="form-check-input" type="checkbox" id="benchmark-provider-${this.escapeHtml(provider.name)}" value="${this.escapeHtml(provider.name)}"
+                        data-benchmark-provider ${checked ? 'checked' : ''} ${provider.isAvailable ? '' : 'disabled'}>
+                    <label class="form-check-label" for="benchmark-provider-${this.escapeHtml(provider.name)}">
+                        ${this.escapeHtml(provider.name)}
+                        ${provider.isActive ? '<span class="badge bg-success">Active</span>' : ''}
+                        ${provider.isAvailable ? '' : '<span class="text-muted">(unavailable)</span>'}
+                    </label>
+                </div>
+            `;
+        }).join('');
+
+        this.ocrBenchmarkVariants = options.variants;
+        document.getElementById('ocr-benchmark-variants').innerHTML = `<div class="row row-cols-1 row-cols-sm-2">${options.variants.map((variant, index) => {
+            const checked = firstLoad ? index < 2 : checkedVariants.has(variant.name);
+            return `
+                <div class="col">
+                    <div class="form-check" title="${this.escapeHtml(this.describePreprocessing(variant.preprocessing))}">
+                        <input class="form-check-input" type="checkbox" id="benchmark-variant-${index}" value="${this.escapeHtml(variant.name)}"
+                            data-benchmark-variant ${checked ? 'checked' : ''}>
+                        <label class="form-check-label" for="benchmark-variant-${index}">${this.escapeHtml(variant.name)}</label>
+                    </div>
+                </div>
+            `;
+        }).join('')}</div>`;
+    }
+
+    describePreprocessing(preprocessing) {
+        if (!preprocessing) {
+            return 'Unprocessed crop';
+        }
+
+        const steps = [];
+        if (preprocessing.enableGrayscale) steps.push('grayscale');
+        if (preprocessing.enableScaling) steps.push(`scale ${preprocessing.scaleFactor}x`);
+        if (preprocessing.enableBrightnessAdjustment) steps.push(`brightness ${preprocessing.brightnessAdjustment}`);
+        if (preprocessing.enableContrastEnhancement) steps.push(`contrast ${preprocessing.contrastFactor}`);
+        if (preprocessing.enableBinaryThresholding) steps.push(`threshold ${preprocessing.binaryThreshold}`);
+        return steps.length > 0 ? steps.join(', ') : 'No steps';
+    }
+
+    async runOcrBenchmark() {
+        const providers = [...document.querySelectorAll('[data-benchmark-provider]:checked')].map(input => input.value);
+        const variantNames = new Set([...document.querySelectorAll('[data-benchmark-variant]:checked')].map(input => input.value));
+        const variants = this.ocrBenchmarkVariants.filter(variant => variantNames.has(variant.name));
+
+        if (providers.length === 0 || variants.length === 0) {
+            this.addAlert({
+                title: 'OCR Benchmark',
+                message: 'Choose at least one provider and one preprocessing variant',
+                severity: 'Warning',
+                timestamp: new Date().toISOString()
+            });
+            return;
+        }
+
+        const button = document.getElementById('ocr-benchmark-run');
+        const summary = document.getElementById('ocr-benchmark-summary');
+        const labelIds = [...this.ocrBenchmarkLabelIds];
+        button.disabled = true;
+        summary.innerHTML = `<span class="spinner-border spinner-border-sm"></span> Running ${labelIds.length || 'all'} labeled images through ${providers.length} provider(s) × ${variants.length} variant(s)...`;
+
+        try {
+            const response = await fetch('/api/ocrbenchmark', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ labelIds, providers, variants })
+            });
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.error || 'Benchmark failed');
+            }
+
+            this.ocrBenchmark = result;
+            this.ocrBenchmarkSort = { key: 'rank', ascending: true };
+            this.displayOcrBenchmark();
+
+        } catch (error) {
+            console.error('Failed to run OCR benchmark:', error);
+            summary.innerHTML = `<span class="text-danger">${this.escapeHtml(error.message)}</span>`;
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    displayOcrBenchmark() {
+        const result = this.ocrBenchmark;
+        if (!result) {
+            return;
+        }
+
+        const skipped = Object.entries(result.skippedProviders)
+            .map(([name, reason]) => `${this.escapeHtml(name)}: ${this.escapeHtml(reason)}`);
+        const seconds = (new Date(result.completedUtc) - new Date(result.startedUtc)) / 1000;
+        document.getElementById('ocr-benchmark-summary').innerHTML = `
+            ${result.images} images, ${result.rows.length} combinations, ${seconds.toFixed(1)} s, ${new Date(result.completedUtc).toLocaleString()}
+            ${skipped.length > 0 ? `<div class="text-warning">Skipped ${skipped.join('; ')}</div>` : ''}
+        `;
+
+        const { key, ascending } = this.ocrBenchmarkSort;
+        document.querySelectorAll('#ocr-benchmark-table th[data-sort]').forEach(header => {
+            header.classList.toggle('sorted-asc', header.dataset.sort === key && ascending);
+            header.classList.toggle('sorted-desc', header.dataset.sort === key && !ascending);
+        });
+
+        const rows = [...result.rows].sort((a, b) => {
+            const order = typeof a[key] === 'string' ? a[key].localeCompare(b[key]) : a[key] - b[key];
+            return ascending ? order : -order;
+        });
+
+        document.getElementById('ocr-benchmark-rows').innerHTML = rows.map(row => `
+            <tr class="${row.rank === 1 ? 'table-success' : ''}">
+                <td>${row.rank}</td>
+                <td>${this.escapeHtml(row.provider)}</td>
+                <td title="${this.escapeHtml(this.describePreprocessing(row.preprocessing))}">${this.escapeHtml(row.variant)}</td>
+                <td class="text-end">${this.formatPercent(row.accuracy)} <span class="text-muted">(${row.correct}/${row.images})</span></td>
+                <td class="text-end">${this.formatPercent(row.characterAccuracy)}</td>
+                <td class="text-end">${this.formatPercent(row.averageConfidence)}</td>
+                <td class="text-end">${Math.round(row.averageLatencyMs)} ms</td>
+                <td class="text-end">${row.maxLatencyMs} ms</td>
+                <td class="text-end ${row.failures > 0 ? 'text-danger' : ''}">${row.failures}</td>
+                <td class="text-end">
+                    <button class="btn btn-sm ${row.rank === 1 ? 'btn-success' : 'btn-outline-success'}" data-min-role="admin" data-apply-benchmark
+                        data-provider="${this.escapeHtml(row.provider)}" data-variant="${this.escapeHtml(row.variant)}">
+                        Make Active
+                    </button>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    async applyOcrBenchmark(provider, variant) {
+        try {
+            const response = await fetch('/api/ocrbenchmark/apply', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ provider, variant })
+            });
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.error || 'Failed to apply benchmark result');
+            }
+
+            this.addAlert({
+                title: 'OCR Benchmark',
+                message: `${result.message} (${variant})`,
+                severity: 'Success',
+                timestamp: new Date().toISOString()
+            });
+            this.loadOcrBenchmarkOptions();
+
+        } catch (error) {
+            console.error('Failed to apply OCR benchmark result:', error);
+            this.addAlert({
+                title: 'OCR Benchmark',
+                message: `Failed to apply ${provider}: ${error.message}`,
+                severity: 'Danger',
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    // OCR Settings
+    async loadOcrSettings() {
+        const status = document.getElementById('ocr-settings-status');
+
+        try {
+            const [settingsResponse, imagesResponse] = await Promise.all([
+                fetch('/api/ocrsettings'),
+                fetch('/api/debugimages?type=roi_extracted&pageSize=50')
+            ]);
+            if (!settingsResponse.ok) {
+                throw new Error(`HTTP ${settingsResponse.status}`);
+            }
+
+            const state = await settingsResponse.json();
+            this.fillOcrSettingsForm(state.settings, state.providers);
+            this.displayOcrKnownGood(state);
+            this.ocrSettingsPreviewed = null;
+            this.updateOcrSettingsApply();
+            status.innerHTML = '';
+
+            if (imagesResponse.ok) {
+                this.displayOcrPreviewImages((await imagesResponse.json()).images);
+            }
+
+            if (document.getElementById('ocr-preview-auto').checked) {
+                this.previewOcrSettings();
+            }
+        } catch (error) {
+            console.error('Failed to load OCR settings:', error);
+            status.innerHTML = `<span class="text-danger">Failed to load OCR settings: ${this.escapeHtml(error.message)}</span>`;
+        }
+    }
+
+    fillOcrSettingsForm(settings, providers) {
+        const providerSelect = document.getElementById('ocr-setting-provider');
+        if (providers) {
+            providerSelect.innerHTML = providers.map(provider => `
+                <option value="${this.escapeHtml(provider.name)}">
+                    ${this.escapeHtml(provider.name)}${provider.isAvailable ? '' : ' (unavailable)'}
+                </option>
+            `).join('');
+        }
+        if (![...providerSelect.options].some(option => option.value === settings.provider)) {
+            providerSelect.add(new Option(settings.provider, settings.provider));
+        }
+
+        document.querySelectorAll('#ocr-settings-form [data-setting]').forEach(input => {
+            const value = settings[input.dataset.setting];
+            if (input.type === 'checkbox') {
+                input.checked = value === true;
+            } else {
+                input.value = value;
+            }
+        });
+
+        document.querySelectorAll('#ocr-settings-form [data-preprocessing]').forEach(input => {
+            const value = settings.imagePreprocessing[input.dataset.preprocessing];
+            if (input.type === 'checkbox') {
+                input.checked = value === true;
+            } else {
+                input.value = value;
+            }
+        });
+
+        // The whitelist gets its own field; every other Tesseract variable is edited as name=value lines
+        const customConfig = { ...settings.customConfig };
+        document.getElementById('ocr-setting-whitelist').value = customConfig.tessedit_char_whitelist ?? '';
+        delete customConfig.tessedit_char_whitelist;
+        document.getElementById('ocr-setting-custom-config').value = Object.entries(customConfig)
+            .map(([name, value]) => `${name}=${value}`)
+            .join('\n');
+    }
+
+    readOcrSettingsForm() {
+        const settings = { imagePreprocessing: {}, customConfig: {} };
+
+        document.querySelectorAll('#ocr-settings-form [data-setting]').forEach(input => {
+            const name = input.dataset.setting;
+            if (input.type === 'checkbox') {
+                settings[name] = input.checked;
+            } else if (name === 'provider') {
+                settings[name] = input.value;
+            } else {
+                settings[name] = Number(input.value);
+            }
+        });
+
+        document.querySelectorAll('#ocr-settings-form [data-preprocessing]').forEach(input => {
+            settings.imagePreprocessing[input.dataset.preprocessing] = input.type === 'checkbox' ? input.checked : Number(input.value);
+        });
+
+        document.getElementById('ocr-setting-custom-config').value.split('\n').forEach(line => {
+            const separator = line.indexOf('=');
+            if (separator > 0) {
+                settings.customConfig[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+            }
+        });
+
+        const whitelist = document.getElementById('ocr-setting-whitelist').value;
+        if (whitelist !== '') {
+            settings.customConfig.tessedit_char_whitelist = whitelist;
+        }
+
+        return settings;
+    }
+
+    displayOcrKnownGood(state) {
+        const knownGood = state.knownGood;
+        document.getElementById('ocr-settings-reset').disabled = !knownGood;
+
+        const running = `Running settings: ${state.successfulReadings} successful reads since they took effect.`;
+        document.getElementById('ocr-known-good').innerHTML = knownGood
+            ? `${running} Known-good: ${this.escapeHtml(knownGood.settings.provider)}, saved ${new Date(knownGood.savedUtc).toLocaleString()} after ${knownGood.successfulReadings} successful reads.`
+            : `${running} No known-good settings yet; settings that have read successfully are kept as known-good when the next change is applied.`;
+    }
+
+    displayOcrPreviewImages(images) {
+        const select = document.getElementById('ocr-preview-image');
+        const selected = select.value;
+
+        if (images.length === 0) {
+            select.innerHTML = '<option value="">No ROI crops saved yet</option>';
+            return;
+        }
+
+        select.innerHTML = images.map(image => `
+            <option value="${this.escapeHtml(image.filename)}">
+                ${new Date(image.capturedUtc).toLocaleString()} - ${this.escapeHtml(image.filename)}
+            </option>
+        `).join('');
+        if (images.some(image => image.filename === selected)) {
+            select.value = selected;
+        }
+    }
+
+    onOcrSettingsChanged() {
+        this.updateOcrSettingsApply();
+
+        if (document.getElementById('ocr-preview-auto').checked) {
+            clearTimeout(this.ocrPreviewTimeout);
+            this.ocrPreviewTimeout = setTimeout(() => this.previewOcrSettings(), 600);
+        }
+    }
+
+    // Only settings that have been previewed as they stand can be applied
+    updateOcrSettingsApply() {
+        const applyButton = document.getElementById('ocr-settings-apply');
+        const previewed = this.ocrSettingsPreviewed !== null &&
+            this.ocrSettingsPreviewed === JSON.stringify(this.readOcrSettingsForm());
+
+        applyButton.disabled = !previewed;
+        applyButton.title = previewed ? '' : 'Preview the changes first';
+    }
+
+    async previewOcrSettings() {
+        const form = document.getElementById('ocr-settings-form');
+        const result = document.getElementById('ocr-preview-result');
+        const imageFile = document.getElementById('ocr-preview-image').value;
+
+        if (!imageFile) {
+            result.innerHTML = '<span class="text-muted">Choose an ROI crop to preview the settings on.</span>';
+            return;
+        }
+        if (!form.checkValidity()) {
+            result.innerHTML = '<span class="text-warning">Some settings are out of range; fix them to preview.</span>';
+            return;
+        }
+
+        const settings = this.readOcrSettingsForm();
+        const sequence = ++this.ocrPreviewSequence;
+        result.innerHTML = '<span class="text-muted"><span class="spinner-border spinner-border-sm"></span> Running OCR...</span>';
+
+        try {
+            const response = await fetch('/api/ocrsettings/preview', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ imageFile, settings })
+            });
+            const preview = await response.json();
+
+            // A newer preview was started while this one ran
+            if (sequence !== this.ocrPreviewSequence) {
+                return;
+            }
+
+            if (!response.ok) {
+                throw new Error(preview.error || `HTTP ${response.status}`);
+            }
+
+            this.ocrSettingsPreviewed = JSON.stringify(settings);
+            this.updateOcrSettingsApply();
+            this.displayOcrPreview(preview);
+        } catch (error) {
+            if (sequence !== this.ocrPreviewSequence) {
+                return;
+            }
+            console.error('Failed to preview OCR settings:', error);
+            result.innerHTML = `<span class="text-danger">Failed to preview OCR settings: ${this.escapeHtml(error.message)}</span>`;
+        }
+    }
+
+    displayOcrPreview(preview) {
+        const changes = preview.changes.length > 0
+            ? `<ul class="small mb-0">${preview.changes.map(c => `<li>${this.escapeHtml(c)}</li>`).join('')}</ul>`
+            : '<div class="small text-muted">Same as the running settings</div>';
+
+        document.getElementById('ocr-preview-result').innerHTML = `
+            <div class="mb-3">
+                <div class="small text-muted mb-1">Original crop</div>
+                <img src="${this.escapeHtml(preview.sourceImageUrl)}" class="ocr-preview-crop" alt="ROI crop">
+            </div>
+            <div class="row g-2 mb-3">
+                ${this.renderOcrPreviewResult('Before (running)', preview.current)}
+                ${this.renderOcrPreviewResult('After (edited)', preview.proposed)}
+            </div>
+            <div class="small fw-semibold">Changes</div>
+            ${changes}
+        `;
+    }
+
+    renderOcrPreviewResult(title, result) {
+        let badge;
+        if (result.accepted) {
+            badge = '<span class="badge bg-success">Accepted</span>';
+        } else if (result.success) {
+            badge = '<span class="badge bg-warning text-dark">Below minimum confidence</span>';
+        } else {
+            badge = '<span class="badge bg-danger">Failed</span>';
+        }
+
+        const image = result.processedImage
+            ? `<img src="${result.processedImage}" class="ocr-preview-crop" alt="Preprocessed crop">`
+            : '<div class="small text-muted">Preprocessing disabled</div>';
+        const reading = result.currentAmps !== null && result.currentAmps !== undefined
+            ? `${result.status}, ${result.currentAmps} A`
+            : result.status;
+
+        return `
+            <div class="col-md-6">
+                <div class="border rounded p-2 h-100">
+                    <div class="d-flex justify-content-between align-items-center mb-2">
+                        <span class="small fw-semibold">${title}</span>
+                        ${badge}
+                    </div>
+                    <div class="mb-2">${image}</div>
+                    <div class="font-monospace fs-5">${this.escapeHtml(result.text) || '&mdash;'}</div>
+                    <div class="small text-muted">
+                        ${this.escapeHtml(result.provider)} · ${this.formatPercent(result.confidence)} · ${result.latencyMs} ms<br>
+                        Reading: ${this.escapeHtml(reading)}<br>
+                        ${result.preprocessingSteps.length > 0 ? this.escapeHtml(result.preprocessingSteps.join(' → ')) : 'No preprocessing'}
+                    </div>
+                    ${result.error ? `<div class="small text-danger">${this.escapeHtml(result.error)}</div>` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    async saveOcrSettings() {
+        const form = document.getElementById('ocr-settings-form');
+        const status = document.getElementById('ocr-settings-status');
+        if (!form.reportValidity()) {
+            return;
+        }
+
+        const applyButton = document.getElementById('ocr-settings-apply');
+        applyButton.disabled = true;
+
+        try {
+            const response = await fetch('/api/ocrsettings', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ settings: this.readOcrSettingsForm() })
+            });
+            const result = await response.json();
+
+            if (!response.ok) {
+                const errors = result.errors || [result.error || `HTTP ${response.status}`];
+                status.innerHTML = `<div class="text-danger">${errors.map(e => this.escapeHtml(e)).join('<br>')}</div>`;
+                applyButton.disabled = false;
+                return;
+            }
+
+            let html = result.changes.length > 0
+                ? `<div class="text-success">${result.changes.map(c => this.escapeHtml(c)).join('<br>')}</div>`
+                : '<div class="text-muted">No settings changed</div>';
+            if (result.savedKnownGood) {
+                html += '<div class="text-muted">The previous settings were kept as known-good</div>';
+            }
+
+            this.addAlert({
+                title: 'OCR Settings',
+                message: result.message,
+                severity: 'Success',
+                timestamp: new Date().toISOString()
+            });
+
+            await this.loadOcrSettings();
+            status.innerHTML = html;
+        } catch (error) {
+            console.error('Failed to save OCR settings:', error);
+            status.innerHTML = `<span class="text-danger">Failed to save OCR settings: ${this.escapeHtml(error.message)}</span>`;
+            this.updateOcrSettingsApply();
+        }
+    }
+
+    async resetOcrSettings() {
+        if (!confirm('Replace the running OCR settings with the last known-good settings?')) {
+            return;
+        }
+
+        const status = document.getElementById('ocr-settings-status');
+
+        try {
+            const response = await fetch('/api/ocrsettings/reset', { method: 'POST' });
+            const result = await response.json();
+
+            if (!response.ok) {
+                const errors = result.errors || [result.error || `HTTP ${response.status}`];
+                status.innerHTML = `<div class="text-danger">${errors.map(e => this.escapeHtml(e)).join('<br>')}</div>`;
+                return;
+            }
+
+            this.addAlert({
+                title: 'OCR Settings',
+                message: result.message,
+                severity: 'Success',
+                timestamp: new Date().toISOString()
+            });
+
+            await this.loadOcrSettings();
+            status.innerHTML = result.changes.length > 0
+                ? `<div class="text-success">${result.changes.map(c => this.escapeHtml(c)).join('<br>')}</div>`
+                : '<div class="text-muted">The running settings already matched the known-good settings</div>';
+        } catch (error) {
+            console.error('Failed to reset OCR settings:', error);
+            status.innerHTML = `<span class="text-danger">Failed to reset OCR settings: ${this.escapeHtml(error.message)}</span>`;
+        }
+    }
+
+    // Status Updates
+    updatePumpStatus(status) {
+        document.getElementById('pump-status').textContent = status.status;
+        document.getElementById('pump-status').className = `status-indicator ${status.status}`;
+        document.getElementById('current-reading').textContent = `${status.currentDraw} A (${status.powerConsumption} kW)`;
+        document.getElementById('last-reading').textContent = `Last reading: ${new Date(status.lastReading).toLocaleString()}`;
+
+        // The hub re-sends the last reading while no newer one is logged, so age the card by the reading itself
+        const readingTime = new Date(status.lastReading);
+        if (readingTime.getFullYear() > 1) {
+            this.markDataUpdated('pump', readingTime);
+        }
+
+        this.appendLiveReading(status);
+    }
+
+    updateSystemStatus(status, updated = new Date()) {
+        // Metrics the device can't read (e.g. temperature off the Pi, CPU right after startup) come as null
+        const value = (number, unit) => number === null || number === undefined ? `--${unit}` : `${number}${unit}`;
+        document.getElementById('uptime').textContent = status.uptime;
+        document.getElementById('cpu-usage').textContent = value(status.cpuUsage, '%');
+        document.getElementById('memory-usage').textContent = value(status.memoryUsage, '%');
+        document.getElementById('storage-usage').textContent = value(status.storageUsage, '%');
+        document.getElementById('temperature').textContent = value(status.temperature, '°C');
+
+        this.markDataUpdated('system', updated);
+    }
+
+    updateOcrStatistics(stats, updated = new Date()) {
+        const percent = (value) => value === null || value === undefined ? '--%' : `${value}%`;
+        document.getElementById('ocr-confidence').textContent = percent(stats.averageConfidence);
+        document.getElementById('ocr-success-rate').textContent = percent(stats.successRate);
+        document.getElementById('ocr-confidence').title = `${stats.currentProvider}, ${stats.totalProcessed} reads`;
+
+        // Accuracy needs labelled images; until then there is nothing to measure it against
+        document.getElementById('ocr-accuracy').textContent = stats.labeledImages > 0 ? percent(stats.accuracy) : 'No labels';
+
+        this.markDataUpdated('ocr', updated);
+    }
+
+    updateAlertSummary(summary) {
+        document.getElementById('alert-summary-count').textContent = summary.needsAttention;
+
+        const details = [];
+        if (summary.acknowledged > 0) details.push(`${summary.acknowledged} acknowledged`);
+        if (summary.snoozed > 0) details.push(`${summary.snoozed} snoozed`);
+        document.getElementById('alert-summary-detail').textContent = details.join(', ');
+
+        const badge = document.getElementById('alerts-nav-badge');
+        if (badge) {
+            badge.textContent = summary.needsAttention;
+            badge.style.display = summary.needsAttention > 0 ? 'inline-block' : 'none';
+        }
+
+        this.markDataUpdated('alerts');
+    }
+
+    // Transient notification; device alerts raised by the server also appear in the alert center
+    addAlert(alert, animate = true) {
+        const alertsContainer = document.getElementById('alerts-container');
+        const severity = alert.severity.toLowerCase();
+        
+        const alertElement = document.createElement('div');
+        alertElement.className = `alert alert-${severity} alert-dismissible fade show`;
+        if (animate) alertElement.classList.add('fade-in');
+        
+        alertElement.innerHTML = `
+            <strong>${this.escapeHtml(alert.title)}</strong> ${this.escapeHtml(alert.message)}
+            <small class="d-block text-muted">${new Date(alert.timestamp || alert.raisedAtUtc).toLocaleString()}</small>
+            <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
+        `;
+        
+        alertsContainer.insertBefore(alertElement, alertsContainer.firstChild);
+        
+        // Auto-dismiss info and success messages after 5 seconds
+        if (severity === 'info' || severity === 'success') {
+            setTimeout(() => {
+                if (alertElement.parentNode) {
+                    alertElement.remove();
+                }
+            }, 5000);
+        }
+    }
+
+    addDebugImage(imagePath) {
+        // Refresh the debug images list if we're on that tab and looking at the newest images
+        const debugSection = document.getElementById('debug-images-section');
+        if (debugSection.style.display !== 'none' && this.imagePage === 1) {
+            this.loadDebugImages();
+        }
+    }
+
+    // Alert Center
+    onAlertChanged() {
+        this.loadAlertSummary();
+
+        const section = document.getElementById('alerts-section');
+        if (section && section.style.display !== 'none') {
+            this.loadAlertCenter();
+        }
+    }
+
+    async loadAlertCenter() {
+        const params = new URLSearchParams({ status: this.alertStatus });
+        const severity = document.getElementById('alert-severity-filter').value;
+        const type = document.getElementById('alert-type-filter').value;
+        if (severity) params.set('severity', severity);
+        if (type) params.set('type', type);
+
+        try {
+            const response = await fetch(`/api/alerts?${params}`);
+            const alerts = await response.json();
+
+            if (!response.ok) {
+                throw new Error(alerts.error || 'Failed to load alerts');
+            }
+
+            this.renderAlertList(alerts);
+
+            if (this.expandedAlertId && alerts.some(alert => alert.id === this.expandedAlertId)) {
+                this.loadAlertTimeline(this.expandedAlertId);
+            }
+
+        } catch (error) {
+            console.error('Failed to load alerts:', error);
+            document.getElementById('alert-list').innerHTML =
+                '<div class="text-danger text-center">Failed to load alerts</div>';
+        }
+    }
+
+    renderAlertList(alerts) {
+        const list = document.getElementById('alert-list');
+
+        if (alerts.length === 0) {
+            list.innerHTML = `<div class="text-muted text-center">No ${this.alertStatus} alerts</div>`;
+            return;
+        }
+
+        list.innerHTML = alerts.map(alert => {
+            const badges = [];
+            if (alert.occurrenceCount > 1) badges.push(`<span class="badge bg-secondary">&times;${alert.occurrenceCount}</span>`);
+            if (alert.isAcknowledged) badges.push(`<span class="badge bg-info text-dark">Acknowledged by ${this.escapeHtml(alert.acknowledgedBy)}</span>`);
+            if (alert.isSnoozed) badges.push(`<span class="badge bg-light text-dark">Snoozed until ${new Date(alert.snoozedUntilUtc).toLocaleString()}</span>`);
+
+            const actions = alert.isActive ? `
+                <button class="btn btn-sm btn-outline-primary" data-min-role="operator" data-alert-action="acknowledge" data-alert-id="${alert.id}" ${alert.isAcknowledged ? 'disabled' : ''}>
+                    <i class="bi bi-check2"></i> Acknowledge
+                </button>
+                <div class="btn-group btn-group-sm" data-min-role="operator">
+                    <button class="btn btn-outline-secondary dropdown-toggle" data-bs-toggle="dropdown">
+                        <i class="bi bi-bell-slash"></i> Snooze
+                    </button>
+                    <ul class="dropdown-menu dropdown-menu-end">
+                        <li><button class="dropdown-item" data-alert-action="snooze" data-alert-id="${alert.id}" data-minutes="60">1 hour</button></li>
+                        <li><button class="dropdown-item" data-alert-action="snooze" data-alert-id="${alert.id}" data-minutes="240">4 hours</button></li>
+                        <li><button class="dropdown-item" data-alert-action="snooze" data-alert-id="${alert.id}" data-minutes="1440">24 hours</button></li>
+                    </ul>
+                </div>` : `<small class="text-muted">Resolved ${new Date(alert.resolvedAtUtc).toLocaleString()}</small>`;
+
+            return `
+                <div class="alert-item severity-${alert.severity.toLowerCase()}${alert.needsAttention ? ' needs-attention' : ''}">
+                    <div class="d-flex flex-wrap justify-content-between align-items-start gap-2">
+                        <div>
+                            <span class="badge bg-${alert.severity.toLowerCase()}">${alert.severity}</span>
+                            <strong>${this.escapeHtml(alert.title)}</strong>
+                            ${badges.join(' ')}
+                            <div>${this.escapeHtml(alert.message)}</div>
+                            <small class="text-muted">
+                                Raised ${new Date(alert.raisedAtUtc).toLocaleString()}, last seen ${new Date(alert.lastSeenAtUtc).toLocaleString()}
+                            </small>
+                        </div>
+                        <div class="d-flex gap-2 align-items-center">
+                            ${actions}
+                            <button class="btn btn-sm btn-link" data-alert-action="timeline" data-alert-id="${alert.id}">Timeline</button>
+                        </div>
+                    </div>
+                    <ul class="alert-timeline" id="alert-timeline-${alert.id}" style="display: none;"></ul>
+                </div>`;
+        }).join('');
+    }
+
+    handleAlertAction(alertId, action, minutes) {
+        switch (action) {
+            case 'acknowledge':
+                this.updateAlert(alertId, 'acknowledge', { user: this.getOperatorName() });
+                break;
+            case 'snooze':
+                this.updateAlert(alertId, 'snooze', { user: this.getOperatorName(), minutes: parseInt(minutes) });
+                break;
+            case 'timeline':
+                this.toggleAlertTimeline(alertId);
+                break;
+        }
+    }
+
+    getOperatorName() {
+        return document.getElementById('alert-operator-name').value.trim() || 'dashboard';
+    }
+
+    async updateAlert(alertId, action, body) {
+        try {
+            const response = await fetch(`/api/alerts/${alertId}/${action}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.error || `Failed to ${action} alert`);
+            }
+
+            // Other dashboards refresh from the AlertUpdated broadcast
+            this.onAlertChanged();
+
+        } catch (error) {
+            console.error(`Failed to ${action} alert:`, error);
+            this.addAlert({
+                title: 'Alert Center',
+                message: error.message,
+                severity: 'danger',
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    toggleAlertTimeline(alertId) {
+        const timeline = document.getElementById(`alert-timeline-${alertId}`);
+        if (!timeline) return;
+
+        if (this.expandedAlertId === alertId) {
+            timeline.style.display = 'none';
+            this.expandedAlertId = null;
+            return;
+        }
+
+        if (this.expandedAlertId) {
+            const previous = document.getElementById(`alert-timeline-${this.expandedAlertId}`);
+            if (previous) previous.style.display = 'none';
+        }
+
+        this.expandedAlertId = alertId;
+        this.loadAlertTimeline(alertId);
+    }
+
+    async loadAlertTimeline(alertId) {
+        const timeline = document.getElementById(`alert-timeline-${alertId}`);
+
+        try {
+            const response = await fetch(`/api/alerts/${alertId}`);
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.error || 'Failed to load alert timeline');
+            }
+
+            timeline.innerHTML = result.timeline.map(entry => `
+                <li>
+                    <small class="text-muted">${new Date(entry.timestampUtc).toLocaleString()}</small>
+                    <strong>${entry.event}</strong> by ${this.escapeHtml(entry.actor)}
+                    ${entry.note ? `<div class="small">${this.escapeHtml(entry.note)}</div>` : ''}
+                </li>`).join('');
+            timeline.style.display = 'block';
+
+        } catch (error) {
+            console.error('Failed to load alert timeline:', error);
+            timeline.innerHTML = '<li class="text-danger">Failed to load timeline</li>';
+            timeline.style.display = 'block';
+        }
+    }
+
+    // Push Notifications
+    async initializeNotifications() {
+        if (!('serviceWorker' in navigator)) {
+            this.updatePushControls('This browser does not support notifications.');
+            return;
+        }
+
+        try {
+            // The service worker also caches the dashboard for offline use, so register it even without notifications
+            this.serviceWorkerRegistration = await navigator.serviceWorker.register('/service-worker.js');
+
+            if (!('Notification' in window)) {
+                this.updatePushControls('This browser does not support notifications.');
+                return;
+            }
+
+            if (!('PushManager' in window)) {
+                this.updatePushControls('This browser does not support push notifications.');
+                return;
+            }
+
+            this.pushSubscription = await this.serviceWorkerRegistration.pushManager.getSubscription();
+            await this.loadPushSettings();
+
+        } catch (error) {
+            // Service workers need a secure context (HTTPS or localhost)
+            console.error('Failed to initialize notifications:', error);
+            this.updatePushControls(`Notifications are unavailable: ${error.message}`);
+        }
+    }
+
+    async loadPushSettings() {
+        let topics = null;
+
+        if (this.pushSubscription) {
+            const response = await fetch(`/api/push/subscription?endpoint=${encodeURIComponent(this.pushSubscription.endpoint)}`);
+            if (response.ok) {
+                topics = (await response.json()).topics;
+            }
+        }
+
+        if (!topics) {
+            const response = await fetch('/api/push/vapid-public-key');
+            topics = (await response.json()).defaultTopics;
+        }
+
+        document.querySelectorAll('#push-topics [data-push-topic]').forEach(checkbox => {
+            checkbox.checked = topics.includes(checkbox.dataset.pushTopic);
+        });
+
+        // The browser is subscribed but the device lost the subscription (e.g. database reset)
+        if (this.pushSubscription && !(await this.savePushSubscription(false))) {
+            this.pushSubscription = null;
+        }
+
+        this.updatePushControls();
+    }
+
+    updatePushControls(message = null) {
+        const subscribed = !!this.pushSubscription;
+        const supported = !!this.serviceWorkerRegistration && 'PushManager' in window && 'Notification' in window;
+        const blocked = 'Notification' in window && Notification.permission === 'denied';
+
+        if (!message) {
+            if (blocked) {
+                message = 'Notifications are blocked in this browser\'s site settings.';
+            } else if (subscribed) {
+                message = 'Notifications are enabled on this device.';
+            } else {
+                message = 'Notifications are off on this device.';
+            }
+        }
+
+        document.getElementById('push-status').textContent = message;
+        document.getElementById('push-enable').disabled = !supported || subscribed || blocked;
+        document.getElementById('push-disable').disabled = !subscribed;
+        document.getElementById('push-test').disabled = !subscribed;
+    }
+
+    getSelectedPushTopics() {
+        return [...document.querySelectorAll('#push-topics [data-push-topic]:checked')].map(checkbox => checkbox.dataset.pushTopic);
+    }
+
+    async enablePushNotifications() {
+        try {
+            const permission = await Notification.requestPermission();
+            if (permission !== 'granted') {
+                this.updatePushControls();
+                return;
+            }
+
+            const response = await fetch('/api/push/vapid-public-key');
+            const { publicKey } = await response.json();
+
+            this.pushSubscription = await this.serviceWorkerRegistration.pushManager.subscribe({
+                userVisibleOnly: true,
+                applicationServerKey: this.base64UrlToUint8Array(publicKey)
+            });
+
+            await this.savePushSubscription();
+            this.updatePushControls();
+
+        } catch (error) {
+            console.error('Failed to enable notifications:', error);
+            this.updatePushControls(`Failed to enable notifications: ${error.message}`);
+        }
+    }
+
+    async savePushSubscription(showErrors = true) {
+        try {
+            const response = await fetch('/api/push/subscription', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ ...this.pushSubscription.toJSON(), topics: this.getSelectedPushTopics() })
+            });
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.error || 'Failed to save notification settings');
+            }
+
+            return true;
+
+        } catch (error) {
+            console.error('Failed to save push subscription:', error);
+            if (showErrors) {
+                this.addAlert({
+                    title: 'Notifications',
+                    message: error.message,
+                    severity: 'danger',
+                    timestamp: new Date().toISOString()
+                });
+            }
+            return false;
+        }
+    }
+
+    async disablePushNotifications() {
+        try {
+            const endpoint = this.pushSubscription.endpoint;
+            await this.pushSubscription.unsubscribe();
+            this.pushSubscription = null;
+
+            await fetch(`/api/push/subscription?endpoint=${encodeURIComponent(endpoint)}`, { method: 'DELETE' });
+            this.updatePushControls();
+
+        } catch (error) {
+            console.error('Failed to disable notifications:', error);
+            this.updatePushControls(`Failed to disable notifications: ${error.message}`);
+        }
+    }
+
+    async sendTestNotification() {
+        try {
+            const response = await fetch('/api/push/test', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ endpoint: this.pushSubscription.endpoint })
+            });
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.error || 'Failed to send test notification');
+            }
+
+        } catch (error) {
+            console.error('Failed to send test notification:', error);
+            this.addAlert({
+                title: 'Notifications',
+                message: error.message,
+                severity: 'danger',
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    // Without a push subscription, a background tab can still raise an OS notification for alerts it receives
+    showLocalNotification(alert) {
+        if (this.pushSubscription || !this.serviceWorkerRegistration || !document.hidden) return;
+        if (Notification.permission !== 'granted' || !this.getSelectedPushTopics().includes(alert.type)) return;
+
+        this.serviceWorkerRegistration.showNotification(alert.title, {
+            body: alert.message,
+            tag: `wellmonitor-${alert.type}`,
+            data: { url: '/#alerts' }
+        });
+    }
+
+    base64UrlToUint8Array(value) {
+        const base64 = (value + '='.repeat((4 - value.length % 4) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+        return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+    }
+
+    // Charts
+    initializeCharts() {
+        const ctx = document.getElementById('current-chart').getContext('2d');
+        
+        this.charts.current = new Chart(ctx, {
+            type: 'line',
+            data: {
+                datasets: [{
+                    label: 'Current Draw (A)',
+                    data: [],
+                    borderColor: 'rgb(75, 192, 192)',
+                    backgroundColor: 'rgba(75, 192, 192, 0.2)',
+                    pointRadius: 0,
                     tension: 0.1
                 }]
             },
+            plugins: [this.createStatusBandPlugin()],
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                parsing: false,
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        title: {
+                            display: true,
+                            text: 'Current (A)'
+                        }
+                    },
+                    x: {
+                        type: 'time',
+                        title: {
+                            display: true,
+                            text: 'Time'
+                        }
+                    }
+                },
+                plugins: {
+                    legend: {
+                        display: false
+                    },
+                    zoom: {
+                        limits: {
+                            x: { minRange: 60 * 1000 }
+                        },
+                        pan: {
+                            enabled: true,
+                            mode: 'x',
+                            onPanComplete: ({ chart }) => this.onHistoryZoom(chart)
+                        },
+                        zoom: {
+                            wheel: { enabled: true },
+                            pinch: { enabled: true },
+                            mode: 'x',
+                            onZoomComplete: ({ chart }) => this.onHistoryZoom(chart)
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    // Draws the pump status of each reading as a background band behind the line
+    createStatusBandPlugin() {
+        const bandColors = {
+            Normal: 'rgba(25, 135, 84, 0.12)',
+            Idle: 'rgba(13, 202, 240, 0.12)',
+            Off: 'rgba(108, 117, 125, 0.12)',
+            Dry: 'rgba(220, 53, 69, 0.18)',
+            RapidCycle: 'rgba(255, 193, 7, 0.2)',
+            RapidCycling: 'rgba(255, 193, 7, 0.2)'
+        };
+
+        return {
+            id: 'statusBands',
+            beforeDatasetsDraw: (chart) => {
+                const points = chart.data.datasets[0].data;
+                const { ctx, chartArea, scales } = chart;
+                if (points.length === 0) return;
+
+                ctx.save();
+                ctx.beginPath();
+                ctx.rect(chartArea.left, chartArea.top, chartArea.width, chartArea.height);
+                ctx.clip();
+
+                // Each band runs from a reading to the next one, the last band to the right edge
+                for (let i = 0; i < points.length; i++) {
+                    const color = bandColors[points[i].status];
+                    if (!color) continue;
+
+                    const start = scales.x.getPixelForValue(points[i].x);
+                    const end = i + 1 < points.length
+                        ? scales.x.getPixelForValue(points[i + 1].x)
+                        : chartArea.right;
+
+                    ctx.fillStyle = color;
+                    ctx.fillRect(start, chartArea.top, end - start, chartArea.height);
+                }
+
+                ctx.restore();
+            }
+        };
+    }
+
+    // Live Chart
+    appendLiveReading(status) {
+        const chart = this.charts.current;
+        if (!chart || !status.lastReading) return;
+
+        // Only the relative raw ranges follow the clock; zoomed, custom and summary views stay put
+        const duration = this.getHistoryRangeDuration(this.historyRange);
+        if (this.historyZoomed || !duration || this.historyResolution !== 'raw') return;
+
+        const points = chart.data.datasets[0].data;
+        const timestamp = new Date(status.lastReading).getTime();
+
+        // The hub re-sends the latest reading until a newer one is logged
+        if (points.length > 0 && timestamp <= points[points.length - 1].x) return;
+
+        points.push({ x: timestamp, y: status.currentDraw, status: status.status });
+        this.scrollLiveChart(duration);
+    }
+
+    // Fill the live chart with readings logged while the connection was down; returns how many were added
+    async backfillLiveChart() {
+        const chart = this.charts.current;
+        const duration = this.getHistoryRangeDuration(this.historyRange);
+        if (!chart || this.historyZoomed || !duration) return 0;
+
+        // Summary views have no per-reading points to add, so just reload them
+        if (this.historyResolution !== 'raw') {
+            await this.updateCurrentChart();
+            return 0;
+        }
+
+        const points = chart.data.datasets[0].data;
+        const windowStart = Date.now() - duration;
+        const lastPoint = points.length > 0 ? points[points.length - 1].x : windowStart;
+        const from = new Date(Math.max(lastPoint, windowStart));
+
+        try {
+            const response = await fetch(`/api/devicestatus/history/range?from=${from.toISOString()}&to=${new Date().toISOString()}`);
+            const history = await response.json();
+
+            if (!response.ok) {
+                throw new Error(history.error || 'Failed to load history');
+            }
+
+            const missed = history.points
+                .map(point => ({
+                    x: new Date(point.timestamp).getTime(),
+                    y: point.currentDraw,
+                    status: point.status
+                }))
+                .filter(point => point.x > lastPoint);
+
+            points.push(...missed);
+            this.cacheReadings(missed);
+            this.scrollLiveChart(duration);
+            return missed.length;
+
+        } catch (error) {
+            console.error('Failed to backfill live chart:', error);
+            return 0;
+        }
+    }
+
+    scrollLiveChart(duration) {
+        const chart = this.charts.current;
+        const points = chart.data.datasets[0].data;
+
+        const windowStart = Date.now() - duration;
+        while (points.length > 0 && points[0].x < windowStart) {
+            points.shift();
+        }
+
+        chart.options.scales.x.min = windowStart;
+        chart.options.scales.x.max = Date.now();
+        chart.update('none');
+
+        document.getElementById('history-resolution').textContent = `Live · ${points.length} points`;
+    }
+
+    // History Explorer
+    getHistoryRangeDuration(range) {
+        const durations = {
+            '1h': 60 * 60 * 1000,
+            '24h': 24 * 60 * 60 * 1000,
+            '7d': 7 * 24 * 60 * 60 * 1000,
+            '30d': 30 * 24 * 60 * 60 * 1000
+        };
+
+        return durations[range] || null;
+    }
+
+    getHistoryRangeBounds() {
+        if (this.historyRange === 'custom') {
+            const from = new Date(document.getElementById('history-from').value);
+            const to = new Date(document.getElementById('history-to').value);
+            if (isNaN(from) || isNaN(to) || to <= from) {
+                return null;
+            }
+            return { from, to };
+        }
+
+        const to = new Date();
+        return { from: new Date(to.getTime() - this.getHistoryRangeDuration(this.historyRange)), to };
+    }
+
+    selectHistoryRange(range) {
+        this.historyRange = range;
+
+        document.querySelectorAll('#history-range-picker [data-range]').forEach(button => {
+            button.classList.toggle('active', button.dataset.range === range);
+        });
+
+        const customRange = document.getElementById('history-custom-range');
+        customRange.style.display = range === 'custom' ? '' : 'none';
+
+        if (range === 'custom') {
+            // Start from the range currently shown so it can be adjusted
+            const chartScale = this.charts.current.scales.x;
+            document.getElementById('history-from').value = this.toDateTimeLocal(new Date(chartScale.min));
+            document.getElementById('history-to').value = this.toDateTimeLocal(new Date(chartScale.max));
+            return;
+        }
+
+        this.resetHistoryZoom();
+    }
+
+    resetHistoryZoom() {
+        this.historyZoomed = false;
+        this.charts.current.resetZoom('none');
+        document.getElementById('history-reset-zoom').style.display = 'none';
+        this.updateCurrentChart();
+    }
+
+    // Refetch the visible window so zooming into a long range shows finer data
+    onHistoryZoom(chart) {
+        this.historyZoomed = true;
+        document.getElementById('history-reset-zoom').style.display = '';
+
+        clearTimeout(this.historyZoomTimeout);
+        this.historyZoomTimeout = setTimeout(() => {
+            this.loadHistory(new Date(chart.scales.x.min), new Date(chart.scales.x.max), false);
+        }, 300);
+    }
+
+    async updateCurrentChart() {
+        // Keep the user's zoomed view when the dashboard refreshes
+        if (this.historyZoomed) return;
+
+        const bounds = this.getHistoryRangeBounds();
+        if (!bounds) return;
+
+        await this.loadHistory(bounds.from, bounds.to, true);
+    }
+
+    async loadHistory(from, to, setScale) {
+        try {
+            const response = await fetch(`/api/devicestatus/history/range?from=${from.toISOString()}&to=${to.toISOString()}`);
+            const history = await response.json();
+
+            if (!response.ok) {
+                throw new Error(history.error || 'Failed to load history');
+            }
+
+            const points = history.points.map(point => ({
+                x: new Date(point.timestamp).getTime(),
+                y: point.currentDraw,
+                status: point.status
+            }));
+            this.renderHistory(points, history.resolution, from, to, setScale);
+
+            if (history.resolution === 'raw') {
+                this.cacheReadings(points);
+            }
+
+            const resolutionLabels = {
+                raw: 'Raw readings',
+                hourly: 'Hourly summaries',
+                daily: 'Daily summaries',
+                monthly: 'Monthly summaries'
+            };
+            document.getElementById('history-resolution').textContent = points.length > 0
+                ? `${resolutionLabels[history.resolution]} · ${points.length} points`
+                : `${resolutionLabels[history.resolution]} · no data for this range`;
+
+        } catch (error) {
+            console.error('Failed to update current chart:', error);
+            await this.loadCachedHistory(from, to, setScale);
+        }
+    }
+
+    // Only raw readings are cached, so summary ranges show whatever of the last two days falls inside them
+    async loadCachedHistory(from, to, setScale) {
+        try {
+            const points = await this.offlineStore.getReadings(from, to);
+            this.renderHistory(points, 'raw', from, to, setScale);
+            document.getElementById('history-resolution').textContent = `Offline · ${points.length} cached readings`;
+
+        } catch (error) {
+            console.error('Failed to load cached history:', error);
+        }
+    }
+
+    renderHistory(points, resolution, from, to, setScale) {
+        const chart = this.charts.current;
+        const raw = resolution === 'raw';
+
+        chart.data.datasets[0].data = points;
+        chart.data.datasets[0].label = raw ? 'Current Draw (A)' : 'Average Current (A)';
+        chart.data.datasets[0].stepped = raw ? false : 'before';
+        chart.options.scales.y.title.text = raw ? 'Current (A)' : 'Average Current (A)';
+
+        if (setScale) {
+            chart.options.scales.x.min = from.getTime();
+            chart.options.scales.x.max = to.getTime();
+        }
+
+        chart.update('none');
+        this.historyResolution = resolution;
+    }
+
+    toDateTimeLocal(date) {
+        const offset = date.getTimezoneOffset() * 60 * 1000;
+        return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+    }
+
+    // Pump Cycles
+    async loadPumpCycles() {
+        const to = new Date();
+        const from = new Date(to.getTime() - this.cycleRangeDays * 24 * 60 * 60 * 1000);
+        const utcOffsetMinutes = -to.getTimezoneOffset();
+
+        try {
+            const response = await fetch(`/api/devicestatus/cycles?from=${from.toISOString()}&to=${to.toISOString()}&utcOffsetMinutes=${utcOffsetMinutes}`);
+            const analysis = await response.json();
+
+            if (!response.ok) {
+                throw new Error(analysis.error || 'Failed to load pump cycles');
+            }
+
+            this.displayCycleStats(analysis);
+            this.displayCycleTimeline(analysis);
+            this.displayCycleDailyChart(analysis);
+            this.displayCycleList(analysis);
+
+        } catch (error) {
+            console.error('Failed to load pump cycles:', error);
+            this.addAlert({
+                title: 'Pump Cycles',
+                message: `Failed to load pump cycles: ${error.message}`,
+                severity: 'danger',
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    displayCycleStats(analysis) {
+        document.getElementById('cycle-per-day').textContent = analysis.cyclesPerDay.toFixed(1);
+        document.getElementById('cycle-run-hours').textContent = `${analysis.runHoursPerDay.toFixed(1)} h`;
+        document.getElementById('cycle-mean-run').textContent = this.formatMinutes(analysis.meanRunMinutes);
+        document.getElementById('cycle-mean-off').textContent = this.formatMinutes(analysis.meanOffMinutes);
+
+        const shortCount = document.getElementById('cycle-short-count');
+        shortCount.textContent = `${analysis.shortCycles} / ${analysis.totalCycles}`;
+        shortCount.classList.toggle('text-warning', analysis.shortCycles > 0);
+
+        document.getElementById('cycle-thresholds').textContent =
+            `Running at ≥ ${analysis.runningCurrentThreshold} A · short cycle < ${analysis.shortCycleThresholdMinutes} min`;
+    }
+
+    // Gantt-style timeline: one row per day, one bar per run (split at midnight)
+    displayCycleTimeline(analysis) {
+        const dayMs = 24 * 60 * 60 * 1000;
+        const segments = [];
+
+        analysis.cycles.forEach(cycle => {
+            const end = new Date(cycle.end).getTime();
+            let segmentStart = new Date(cycle.start).getTime();
+
+            do {
+                const dayStart = new Date(segmentStart);
+                dayStart.setHours(0, 0, 0, 0);
+                const segmentEnd = Math.min(end, dayStart.getTime() + dayMs);
+                const offset = segmentStart - dayStart.getTime();
+
+                // Single-reading cycles still get a visible sliver
+                segments.push({
+                    x: [offset, Math.max(segmentEnd - dayStart.getTime(), offset + 60 * 1000)],
+                    y: this.formatLocalDate(dayStart),
+                    cycle
+                });
+
+                segmentStart = segmentEnd;
+            } while (segmentStart < end);
+        });
+
+        const colorFor = (cycle) => {
+            if (!cycle) return 'rgba(25, 135, 84, 0.7)';
+            if (cycle.inProgress) return 'rgba(13, 202, 240, 0.8)';
+            if (cycle.isShortCycle) return 'rgba(255, 193, 7, 0.9)';
+            return 'rgba(25, 135, 84, 0.7)';
+        };
+
+        document.getElementById('cycle-timeline-container').style.height =
+            `${Math.max(200, analysis.days.length * 28 + 60)}px`;
+
+        if (this.charts.cycleTimeline) {
+            this.charts.cycleTimeline.destroy();
+        }
+
+        this.charts.cycleTimeline = new Chart(document.getElementById('cycle-timeline-chart').getContext('2d'), {
+            type: 'bar',
+            data: {
+                labels: analysis.days.map(day => day.date),
+                datasets: [{
+                    label: 'Run cycles',
+                    data: segments,
+                    backgroundColor: (ctx) => colorFor(ctx.raw?.cycle),
+                    barPercentage: 0.8,
+                    categoryPercentage: 1
+                }]
+            },
+            options: {
+                indexAxis: 'y',
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                scales: {
+                    x: {
+                        type: 'linear',
+                        min: 0,
+                        max: dayMs,
+                        ticks: {
+                            stepSize: 3 * 60 * 60 * 1000,
+                            callback: (value) => `${String(value / (60 * 60 * 1000)).padStart(2, '0')}:00`
+                        }
+                    }
+                },
+                plugins: {
+                    legend: {
+                        display: false
+                    },
+                    tooltip: {
+                        callbacks: {
+                            title: (items) => {
+                                const cycle = items[0].raw.cycle;
+                                return `${new Date(cycle.start).toLocaleString()} – ${new Date(cycle.end).toLocaleTimeString()}`;
+                            },
+                            label: (item) => {
+                                const cycle = item.raw.cycle;
+                                const notes = [cycle.isShortCycle ? 'short cycle' : null, cycle.inProgress ? 'still running' : null]
+                                    .filter(Boolean);
+                                return `${this.formatMinutes(cycle.durationMinutes)}, avg ${cycle.averageCurrent} A, peak ${cycle.peakCurrent} A`
+                                    + (notes.length > 0 ? ` (${notes.join(', ')})` : '');
+                            }
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    displayCycleDailyChart(analysis) {
+        if (this.charts.cycleDaily) {
+            this.charts.cycleDaily.destroy();
+        }
+
+        this.charts.cycleDaily = new Chart(document.getElementById('cycle-daily-chart').getContext('2d'), {
+            type: 'bar',
+            data: {
+                labels: analysis.days.map(day => day.date),
+                datasets: [{
+                    label: 'Run hours',
+                    data: analysis.days.map(day => day.runHours),
+                    backgroundColor: 'rgba(13, 110, 253, 0.6)',
+                    yAxisID: 'y'
+                }, {
+                    type: 'line',
+                    label: 'Cycles',
+                    data: analysis.days.map(day => day.cycles),
+                    borderColor: 'rgb(255, 159, 64)',
+                    backgroundColor: 'rgba(255, 159, 64, 0.2)',
+                    yAxisID: 'y1'
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        title: {
+                            display: true,
+                            text: 'Run Hours'
+                        }
+                    },
+                    y1: {
+                        beginAtZero: true,
+                        position: 'right',
+                        grid: { drawOnChartArea: false },
+                        ticks: { precision: 0 },
+                        title: {
+                            display: true,
+                            text: 'Cycles'
+                        }
+                    }
+                },
+                plugins: {
+                    tooltip: {
+                        callbacks: {
+                            afterBody: (items) => {
+                                const day = analysis.days[items[0].dataIndex];
+                                return [
+                                    `Short cycles: ${day.shortCycles}`,
+                                    `Mean off-time: ${this.formatMinutes(day.meanOffMinutes)}`
+                                ];
+                            }
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    displayCycleList(analysis) {
+        const list = document.getElementById('cycle-list');
+
+        if (analysis.cycles.length === 0) {
+            list.innerHTML = '<tr><td colspan="4" class="text-muted text-center">No pump cycles in this range</td></tr>';
+            return;
+        }
+
+        // Most recent first, capped so long ranges stay responsive
+        list.innerHTML = analysis.cycles.slice(-200).reverse().map(cycle => `
+            <tr class="${cycle.isShortCycle ? 'short-cycle' : ''}">
+                <td>${new Date(cycle.start).toLocaleString()}</td>
+                <td>${this.formatMinutes(cycle.durationMinutes)}${cycle.inProgress ? ' <span class="badge bg-info">running</span>' : ''}</td>
+                <td>${cycle.averageCurrent} A</td>
+                <td>${cycle.peakCurrent} A</td>
+            </tr>
+        `).join('');
+    }
+
+    formatMinutes(minutes) {
+        if (minutes === null || minutes === undefined) return '--';
+        if (minutes < 1) return `${Math.round(minutes * 60)} s`;
+        if (minutes < 60) return `${minutes.toFixed(1)} min`;
+        return `${Math.floor(minutes / 60)} h ${Math.round(minutes % 60)} min`;
+    }
+
+    formatLocalDate(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    // Energy
+    async loadEnergySettings() {
+        try {
+            const response = await fetch('/api/energy/settings');
+            const settings = await response.json();
+
+            if (!response.ok) {
+                throw new Error(settings.error || 'Failed to load energy settings');
+            }
+
+            document.getElementById('energy-voltage').value = settings.supplyVoltage;
+            document.getElementById('energy-power-factor').value = settings.powerFactor;
+            document.getElementById('energy-tariff-type').value = settings.tariffType;
+            document.getElementById('energy-flat-rate').value = settings.flatRatePerKwh;
+            document.getElementById('energy-currency').value = settings.currencySymbol;
+
+            document.getElementById('energy-tou-list').innerHTML = '';
+            (settings.timeOfUseRates || []).forEach(rate => this.addTimeOfUseRow(rate));
+
+            this.updateTariffFields();
+
+        } catch (error) {
+            console.error('Failed to load energy settings:', error);
+        }
+    }
+
+    updateTariffFields() {
+        const timeOfUse = document.getElementById('energy-tariff-type').value === 'TimeOfUse';
+        document.getElementById('energy-tou-rates').style.display = timeOfUse ? '' : 'none';
+        document.getElementById('energy-flat-rate-label').textContent = timeOfUse ? 'Standard' : 'Rate/kWh';
+    }
+
+    addTimeOfUseRow(rate) {
+        const row = document.createElement('div');
+        row.className = 'energy-tou-rate';
+        row.innerHTML = `
+            <input type="text" class="form-control form-control-sm" data-field="name" placeholder="Name">
+            <input type="number" class="form-control form-control-sm" data-field="startHour" min="0" max="23" title="Start hour" value="${rate.startHour}">
+            <input type="number" class="form-control form-control-sm" data-field="endHour" min="1" max="24" title="End hour" value="${rate.endHour}">
+            <input type="number" class="form-control form-control-sm" data-field="ratePerKwh" min="0" step="0.001" title="Rate per kWh" value="${rate.ratePerKwh}">
+            <input type="checkbox" class="form-check-input" data-field="weekdaysOnly" title="Weekdays only" ${rate.weekdaysOnly ? 'checked' : ''}>
+            <button class="btn btn-sm btn-link text-danger" title="Remove"><i class="bi bi-x-lg"></i></button>
+        `;
+        row.querySelector('[data-field="name"]').value = rate.name;
+        row.querySelector('button').addEventListener('click', () => row.remove());
+        document.getElementById('energy-tou-list').appendChild(row);
+    }
+
+    async saveEnergySettings() {
+        const settings = {
+            supplyVoltage: parseFloat(document.getElementById('energy-voltage').value),
+            powerFactor: parseFloat(document.getElementById('energy-power-factor').value),
+            tariffType: document.getElementById('energy-tariff-type').value,
+            flatRatePerKwh: parseFloat(document.getElementById('energy-flat-rate').value),
+            currencySymbol: document.getElementById('energy-currency').value,
+            timeOfUseRates: [...document.querySelectorAll('#energy-tou-list .energy-tou-rate')].map(row => ({
+                name: row.querySelector('[data-field="name"]').value.trim(),
+                startHour: parseInt(row.querySelector('[data-field="startHour"]').value),
+                endHour: parseInt(row.querySelector('[data-field="endHour"]').value),
+                ratePerKwh: parseFloat(row.querySelector('[data-field="ratePerKwh"]').value),
+                weekdaysOnly: row.querySelector('[data-field="weekdaysOnly"]').checked
+            }))
+        };
+
+        try {
+            const response = await fetch('/api/energy/settings', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(settings)
+            });
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.error || result.title || 'Failed to save energy settings');
+            }
+
+            this.addAlert({
+                title: 'Energy Settings',
+                message: 'Energy settings saved',
+                severity: 'success',
+                timestamp: new Date().toISOString()
+            });
+
+            this.loadEnergyReport();
+
+        } catch (error) {
+            console.error('Failed to save energy settings:', error);
+            this.addAlert({
+                title: 'Energy Settings',
+                message: `Failed to save energy settings: ${error.message}`,
+                severity: 'danger',
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    async loadEnergyReport() {
+        const period = document.getElementById('energy-period').value;
+        const days = parseInt(document.getElementById('energy-range').value);
+
+        // Whole local days, ending with today
+        const to = new Date();
+        to.setHours(24, 0, 0, 0);
+        const from = new Date(to);
+        from.setDate(from.getDate() - days);
+
+        try {
+            const response = await fetch(`/api/energy/report?period=${period}&from=${from.toISOString()}&to=${to.toISOString()}&utcOffsetMinutes=${-to.getTimezoneOffset()}`);
+            const report = await response.json();
+
+            if (!response.ok) {
+                throw new Error(report.error || 'Failed to load energy report');
+            }
+
+            this.energyReport = report;
+            this.displayEnergyReport(report, days);
+
+        } catch (error) {
+            console.error('Failed to load energy report:', error);
+            this.addAlert({
+                title: 'Energy Report',
+                message: `Failed to load energy report: ${error.message}`,
+                severity: 'danger',
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    displayEnergyReport(report, days) {
+        const currency = report.settings.currencySymbol;
+        const money = (value) => `${currency}${value.toFixed(2)}`;
+
+        document.getElementById('energy-total-kwh').textContent = report.totalKwh.toFixed(1);
+        document.getElementById('energy-total-cost').textContent = money(report.totalCost);
+        document.getElementById('energy-average-cost').textContent = money(report.totalCost / days);
+
+        const periodLabel = { day: 'Daily', week: 'Weekly', month: 'Monthly' }[report.period];
+        const tariff = report.settings.tariffType === 'TimeOfUse'
+            ? 'time-of-use tariff'
+            : `flat rate ${currency}${report.settings.flatRatePerKwh}/kWh`;
+        document.getElementById('energy-print-header').innerHTML = `
+            <h4>WellMonitor ${periodLabel} Energy Report</h4>
+            <div>${new Date(report.from).toLocaleDateString()} – ${new Date(new Date(report.to).getTime() - 1).toLocaleDateString()}</div>
+            <div class="text-muted">${report.settings.supplyVoltage} V, power factor ${report.settings.powerFactor}, ${this.escapeHtml(tariff)}</div>
+        `;
+
+        const rows = document.getElementById('energy-report-rows');
+        rows.innerHTML = [...report.rows].reverse().map(row => `
+            <tr>
+                <td>${this.formatEnergyPeriod(row.period, report.period)}</td>
+                <td class="text-end">${row.kwh.toFixed(2)}</td>
+                <td class="text-end">${row.runHours.toFixed(1)}</td>
+                <td class="small text-muted">${Object.entries(row.kwhByRate).map(([name, kwh]) => `${this.escapeHtml(name)}: ${kwh.toFixed(2)}`).join(', ')}</td>
+                <td class="text-end">${money(row.cost)}</td>
+            </tr>
+        `).join('');
+    }
+
+    formatEnergyPeriod(period, grouping) {
+        if (grouping === 'month') {
+            const [year, month] = period.split('-');
+            return new Date(year, month - 1, 1).toLocaleDateString(undefined, { year: 'numeric', month: 'long' });
+        }
+
+        const [year, month, day] = period.split('-');
+        const date = new Date(year, month - 1, day).toLocaleDateString();
+        return grouping === 'week' ? `Week of ${date}` : date;
+    }
+
+    exportEnergyCsv() {
+        const report = this.energyReport;
+        if (!report) return;
+
+        const rateNames = [...new Set(report.rows.flatMap(row => Object.keys(row.kwhByRate)))];
+        const header = ['Period', 'kWh', 'Run Hours', ...rateNames.map(name => `${name} kWh`), 'Cost'];
+        const quote = (value) => `"${String(value).replace(/"/g, '""')}"`;
+
+        const lines = [header.map(quote).join(',')];
+        report.rows.forEach(row => {
+            lines.push([
+                row.period,
+                row.kwh,
+                row.runHours,
+                ...rateNames.map(name => row.kwhByRate[name] ?? 0),
+                row.cost
+            ].map(quote).join(','));
+        });
+        lines.push([ 'Total', report.totalKwh, '', ...rateNames.map(() => ''), report.totalCost ].map(quote).join(','));
+
+        const blob = new Blob([lines.join('\r\n')], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `wellmonitor-energy-${report.period}-${report.rows[0]?.period ?? 'report'}.csv`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    printEnergyReport() {
+        document.body.classList.add('print-energy-report');
+        window.addEventListener('afterprint', () => {
+            document.body.classList.remove('print-energy-report');
+        }, { once: true });
+        window.print();
+    }
+
+    // ROI Calibration
+    initializeRoiEditor() {
+        const container = document.getElementById('roi-image-container');
+        if (!container) return;
+
+        this.roiEditor = new RoiEditor(container, {
+            onChange: (fraction) => this.setRoiSliders(fraction)
+        });
+    }
+
+    async loadRoiCalibration() {
+        try {
+            // Load current ROI settings (fractional RoiCoordinates)
+            const response = await fetch('/api/roi');
+            const roi = await response.json();
+            
+            this.setRoiSliders(roi.roiPercent);
+            this.updateRoiDisplay();
+            this.updateActiveRoiProfile(roi.activeProfile);
+            
+            // Load latest image for ROI preview
+            await this.loadRoiPreviewImage();
+            await this.loadRoiProfiles();
+            
+        } catch (error) {
+            console.error('Failed to load ROI calibration:', error);
+        }
+    }
+
+    async loadRoiPreviewImage() {
+        try {
+            const response = await fetch('/api/debugimages?pageSize=1');
+            const result = await response.json();
+            
+            if (result.images && result.images.length > 0) {
+                await this.loadImageWithRoi(result.images[0].url);
+            }
+            
+        } catch (error) {
+            console.error('Failed to load ROI preview image:', error);
+        }
+    }
+
+    async captureRoiImage() {
+        const button = document.getElementById('capture-roi-image');
+        try {
+            button.disabled = true;
+            button.innerHTML = '<span class="spinner-border spinner-border-sm me-2"></span>Capturing...';
+
+            const response = await fetch('/api/camera/test-capture', { method: 'POST' });
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.message || 'Failed to capture image');
+            }
+
+            const filename = result.imagePath.split(/[\\/]/).pop();
+            await this.loadImageWithRoi(`/api/debugimages/image/${encodeURIComponent(filename)}`);
+
+        } catch (error) {
+            console.error('Failed to capture ROI calibration image:', error);
+            this.addAlert({
+                title: 'Error',
+                message: `Failed to capture calibration image: ${error.message}`,
+                severity: 'Danger',
+                timestamp: new Date().toISOString()
+            });
+        } finally {
+            button.disabled = false;
+            button.innerHTML = '<i class="bi bi-camera"></i> Capture Test Image';
+        }
+    }
+
+    loadImageWithRoi(imageUrl) {
+        return new Promise((resolve, reject) => {
+            // Create image element
+            const image = document.createElement('img');
+            image.className = 'roi-canvas img-fluid';
+            image.draggable = false;
+
+            image.onload = () => {
+                this.roiImage = image;
+                this.roiImageFile = decodeURIComponent(imageUrl.split('/').pop());
+                this.roiEditor.setImage(image);
+                this.setRoiSliders(this.roiEditor.getFraction());
+                resolve();
+            };
+            image.onerror = () => reject(new Error(`Failed to load image ${imageUrl}`));
+
+            image.src = imageUrl;
+        });
+    }
+
+    getRoiSliderFraction() {
+        return {
+            x: parseFloat(document.getElementById('roi-x').value) / 100,
+            y: parseFloat(document.getElementById('roi-y').value) / 100,
+            width: parseFloat(document.getElementById('roi-width').value) / 100,
+            height: parseFloat(document.getElementById('roi-height').value) / 100
+        };
+    }
+
+    setRoiSliders(fraction) {
+        document.getElementById('roi-x').value = fraction.x * 100;
+        document.getElementById('roi-y').value = fraction.y * 100;
+        document.getElementById('roi-width').value = fraction.width * 100;
+        document.getElementById('roi-height').value = fraction.height * 100;
+
+        this.updateRoiLabels();
+    }
+
+    // Current ROI as the fractional RoiCoordinates model expected by RoiController
+    getCurrentRoi() {
+        const fraction = (this.roiEditor && this.roiEditor.getFraction()) || this.getRoiSliderFraction();
+        return {
+            x: fraction.x,
+            y: fraction.y,
+            width: fraction.width,
+            height: fraction.height
+        };
+    }
+
+    updateRoiDisplay() {
+        if (!this.roiEditor) {
+            this.updateRoiLabels();
+            return;
+        }
+
+        // The editor snaps to whole pixels and keeps the ROI inside the frame,
+        // so push its result back into the sliders
+        this.roiEditor.setFraction(this.getRoiSliderFraction());
+        this.setRoiSliders(this.roiEditor.getFraction());
+    }
+
+    updateRoiLabels() {
+        const fraction = this.getRoiSliderFraction();
+
+        document.getElementById('roi-x-value').textContent = `${(fraction.x * 100).toFixed(1)}%`;
+        document.getElementById('roi-y-value').textContent = `${(fraction.y * 100).toFixed(1)}%`;
+        document.getElementById('roi-width-value').textContent = `${(fraction.width * 100).toFixed(1)}%`;
+        document.getElementById('roi-height-value').textContent = `${(fraction.height * 100).toFixed(1)}%`;
+
+        const position = document.getElementById('roi-position');
+        const size = document.getElementById('roi-size');
+        if (!position || !size) return;
+
+        position.textContent = `${(fraction.x * 100).toFixed(1)}%, ${(fraction.y * 100).toFixed(1)}%`;
+        size.textContent = `${(fraction.width * 100).toFixed(1)}% × ${(fraction.height * 100).toFixed(1)}%`;
+
+        if (this.roiEditor && this.roiEditor.hasImage()) {
+            const pixels = this.roiEditor.getPixelRect();
+            position.textContent += ` (${pixels.x}, ${pixels.y} px)`;
+            size.textContent += ` (${pixels.width} × ${pixels.height} px)`;
+        }
+    }
+
+    async saveRoi() {
+        try {
+            const name = document.getElementById('roi-profile-name').value.trim();
+            const savedBy = document.getElementById('roi-profile-saved-by').value.trim();
+            if (!name) {
+                throw new Error('Enter a profile name');
+            }
+
+            localStorage.setItem('wellmonitor.roiSavedBy', savedBy);
+            
+            const response = await fetch('/api/roi/profiles', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    name,
+                    savedBy,
+                    roi: this.getCurrentRoi(),
+                    sourceImage: this.roiImageFile
+                })
+            });
+            const profile = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(profile.error || 'Failed to save ROI profile');
+            }
+
+            this.updateActiveRoiProfile(profile);
+            await this.loadRoiProfiles();
+
+            this.addAlert({
+                title: 'Success',
+                message: `ROI profile "${profile.name}" v${profile.version} saved and activated`,
+                severity: 'Success',
+                timestamp: new Date().toISOString()
+            });
+            
+        } catch (error) {
+            console.error('Failed to save ROI:', error);
+            this.addAlert({
+                title: 'Error',
+                message: `Failed to save ROI profile: ${error.message}`,
+                severity: 'Danger',
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    // ROI Profiles
+    async loadRoiProfiles() {
+        try {
+            const response = await fetch('/api/roi/profiles');
+            this.roiProfiles = await response.json();
+            this.renderRoiProfiles();
+        } catch (error) {
+            console.error('Failed to load ROI profiles:', error);
+        }
+    }
+
+    renderRoiProfiles() {
+        const list = document.getElementById('roi-profile-list');
+        if (!list) return;
+
+        if (this.roiProfiles.length === 0) {
+            list.innerHTML = '<div class="text-muted small">No saved profiles yet</div>';
+            return;
+        }
+
+        list.innerHTML = this.roiProfiles.map(profile => `
+            <div class="roi-profile-item ${profile.isActive ? 'active' : ''}">
+                <input class="form-check-input roi-profile-select" type="checkbox" value="${profile.id}" title="Select to compare">
+                ${profile.thumbnailUrl
+                    ? `<img src="${profile.thumbnailUrl}" class="roi-profile-thumbnail" alt="">`
+                    : '<div class="roi-profile-thumbnail"><i class="bi bi-image text-muted"></i></div>'}
+                <div class="flex-grow-1">
+                    <div class="fw-semibold">
+                        ${this.escapeHtml(profile.name)} <span class="text-muted">v${profile.version}</span>
+                        ${profile.isActive ? '<span class="badge bg-success ms-1">Active</span>' : ''}
+                    </div>
+                    <small class="text-muted">${this.escapeHtml(profile.savedBy)} · ${new Date(profile.savedAtUtc).toLocaleString()}</small>
+                </div>
+                <div class="btn-group btn-group-sm">
+                    <button class="btn btn-outline-secondary" data-profile-action="load" data-profile-id="${profile.id}" title="Load into editor">
+                        <i class="bi bi-pencil"></i>
+                    </button>
+                    <button class="btn btn-outline-success" data-min-role="operator" data-profile-action="activate" data-profile-id="${profile.id}" title="Switch to this version" ${profile.isActive ? 'disabled' : ''}>
+                        <i class="bi bi-check2-circle"></i>
+                    </button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    updateActiveRoiProfile(profile) {
+        const activeProfile = document.getElementById('roi-active-profile');
+        if (!activeProfile) return;
+
+        activeProfile.textContent = profile ? `${profile.name} v${profile.version}` : 'Default (not saved)';
+
+        const nameInput = document.getElementById('roi-profile-name');
+        if (profile && !nameInput.value) {
+            nameInput.value = profile.name;
+        }
+
+        const savedByInput = document.getElementById('roi-profile-saved-by');
+        if (!savedByInput.value) {
+            savedByInput.value = localStorage.getItem('wellmonitor.roiSavedBy') || '';
+        }
+    }
+
+    // Loads a saved version into the editor without switching to it
+    loadRoiProfile(profileId) {
+        const profile = this.roiProfiles.find(p => p.id === profileId);
+        if (!profile) return;
+
+        this.setRoiSliders(profile.roi);
+        this.updateRoiDisplay();
+        document.getElementById('roi-profile-name').value = profile.name;
+    }
+
+    async activateRoiProfile(profileId) {
+        try {
+            const response = await fetch(`/api/roi/profiles/${profileId}/activate`, { method: 'POST' });
+            const profile = await response.json();
+
+            if (!response.ok) {
+                throw new Error(profile.error || 'Failed to switch ROI profile');
+            }
+
+            this.applyRoiProfile(profile, `Switched to ROI profile "${profile.name}" v${profile.version}`);
+            await this.loadRoiProfiles();
+
+        } catch (error) {
+            console.error('Failed to activate ROI profile:', error);
+            this.addAlert({
+                title: 'Error',
+                message: error.message,
+                severity: 'Danger',
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    async rollbackRoiProfile() {
+        try {
+            const response = await fetch('/api/roi/profiles/rollback', { method: 'POST' });
+            const profile = await response.json();
+
+            if (!response.ok) {
+                throw new Error(profile.error || 'Failed to roll back ROI profile');
+            }
+
+            this.applyRoiProfile(profile, `Rolled back to ROI profile "${profile.name}" v${profile.version}`);
+            await this.loadRoiProfiles();
+
+        } catch (error) {
+            console.error('Failed to roll back ROI profile:', error);
+            this.addAlert({
+                title: 'Rollback Failed',
+                message: error.message,
+                severity: 'Warning',
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    applyRoiProfile(profile, message) {
+        this.setRoiSliders(profile.roi);
+        this.updateRoiDisplay();
+        this.updateActiveRoiProfile(profile);
+
+        this.addAlert({
+            title: 'ROI Profile',
+            message,
+            severity: 'Success',
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    async diffRoiProfiles() {
+        const result = document.getElementById('roi-profile-diff-result');
+        const selected = [...document.querySelectorAll('.roi-profile-select:checked')].map(input => input.value);
+
+        if (selected.length !== 2) {
+            result.innerHTML = '<div class="alert alert-warning small mb-0">Select exactly two profile versions to compare</div>';
+            return;
+        }
+
+        try {
+            // Compare older selection against newer one (list is newest first within a profile)
+            const response = await fetch(`/api/roi/profiles/diff?from=${selected[1]}&to=${selected[0]}`);
+            const diff = await response.json();
+
+            if (!response.ok) {
+                throw new Error(diff.error || 'Failed to compare ROI profiles');
+            }
+
+            const formatDelta = (value) => `${value >= 0 ? '+' : ''}${(value * 100).toFixed(1)}%`;
+
+            result.innerHTML = `
+                <table class="table table-sm small mb-0">
+                    <thead>
+                        <tr>
+                            <th></th>
+                            <th>${this.escapeHtml(diff.from.name)} v${diff.from.version}</th>
+                            <th>${this.escapeHtml(diff.to.name)} v${diff.to.version}</th>
+                            <th>Change</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${['x', 'y', 'width', 'height'].map(key => `
+                            <tr>
+                                <th>${key}</th>
+                                <td>${(diff.from.roi[key] * 100).toFixed(1)}%</td>
+                                <td>${(diff.to.roi[key] * 100).toFixed(1)}%</td>
+                                <td>${formatDelta(diff['delta' + key.charAt(0).toUpperCase() + key.slice(1)])}</td>
+                            </tr>
+                        `).join('')}
+                        <tr><th>Overlap</th><td colspan="3">${(diff.overlap * 100).toFixed(1)}%</td></tr>
+                    </tbody>
+                </table>
+            `;
+
+        } catch (error) {
+            console.error('Failed to compare ROI profiles:', error);
+            result.innerHTML = `<div class="alert alert-danger small mb-0">${this.escapeHtml(error.message)}</div>`;
+        }
+    }
+
+    async testRoi() {
+        const button = document.getElementById('test-roi');
+        try {
+            button.disabled = true;
+            button.innerHTML = '<span class="spinner-border spinner-border-sm me-2"></span>Testing...';
+
+            // Test the ROI currently being edited, not the saved one
+            const response = await fetch('/api/roi/test', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(this.getCurrentRoi())
+            });
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.error || result.title || 'Failed to test ROI');
+            }
+
+            this.displayRoiTestResult(result);
+
+        } catch (error) {
+            console.error('Failed to test ROI:', error);
+            this.addAlert({
+                title: 'Error',
+                message: `Failed to test ROI: ${error.message}`,
+                severity: 'Danger',
+                timestamp: new Date().toISOString()
+            });
+        } finally {
+            button.disabled = false;
+            button.innerHTML = '<i class="bi bi-play-circle"></i> Test ROI';
+        }
+    }
+
+    displayRoiTestResult(result) {
+        document.getElementById('roi-test-placeholder').style.display = 'none';
+        document.getElementById('roi-test-results').style.display = '';
+        document.getElementById('roi-test-timestamp').textContent = new Date(result.timestamp).toLocaleString();
+
+        document.getElementById('roi-test-extracted').src = result.extractedImageUrl;
+        document.getElementById('roi-test-pixels').textContent =
+            `${result.pixelRoi.x}, ${result.pixelRoi.y} (${result.pixelRoi.width} × ${result.pixelRoi.height} px)`;
+
+        const processedImage = document.getElementById('roi-test-processed');
+        const processedMissing = document.getElementById('roi-test-processed-missing');
+        processedImage.style.display = result.processedImageUrl ? '' : 'none';
+        processedMissing.style.display = result.processedImageUrl ? 'none' : '';
+        if (result.processedImageUrl) {
+            processedImage.src = result.processedImageUrl;
+        }
+
+        document.getElementById('roi-test-text').textContent = result.text || result.rawText || '(no text)';
+        document.getElementById('roi-test-confidence').textContent = `${(result.confidence * 100).toFixed(1)}%`;
+        document.getElementById('roi-test-provider').textContent = result.provider || '--';
+        document.getElementById('roi-test-amps').textContent =
+            result.currentAmps !== null && result.currentAmps !== undefined ? `${result.currentAmps.toFixed(2)} A` : '--';
+        document.getElementById('roi-test-parsed-status').textContent = result.parsedStatus || '--';
+
+        const pumpStatus = document.getElementById('roi-test-pump-status');
+        pumpStatus.textContent = result.pumpStatus;
+        pumpStatus.className = `status-indicator ${result.pumpStatus}`;
+
+        const errorElement = document.getElementById('roi-test-error');
+        errorElement.style.display = result.error ? '' : 'none';
+        errorElement.textContent = result.error || '';
+    }
+
+    async autoCalibrateRoi() {
+        try {
+            document.getElementById('auto-calibrate').disabled = true;
+            document.getElementById('auto-calibrate').innerHTML = '<span class="spinner-border spinner-border-sm me-2"></span>Calibrating...';
+            
+            const response = await fetch('/api/roi/auto-calibrate', { method: 'POST' });
+            const result = await response.json();
+            
+            if (response.ok && result.suggestedRoi) {
+                this.setRoiSliders(result.suggestedRoi);
+                this.updateRoiDisplay();
+                
+                this.addAlert({
+                    title: 'Auto-Calibration Success',
+                    message: `ROI automatically calibrated with confidence: ${result.confidence}%`,
+                    severity: 'Success',
+                    timestamp: new Date().toISOString()
+                });
+            } else {
+                this.addAlert({
+                    title: 'Auto-Calibration Failed',
+                    message: result.error || 'Unable to automatically detect text region',
+                    severity: 'Warning',
+                    timestamp: new Date().toISOString()
+                });
+            }
+            
+        } catch (error) {
+            console.error('Failed to auto-calibrate ROI:', error);
+            this.addAlert({
+                title: 'Error',
+                message: 'Auto-calibration failed',
+                severity: 'Danger',
+                timestamp: new Date().toISOString()
+            });
+        } finally {
+            document.getElementById('auto-calibrate').disabled = false;
+            document.getElementById('auto-calibrate').innerHTML = '<i class="bi bi-magic"></i> Auto-Calibrate';
+        }
+    }
+
+    // Camera Live View
+    async startCameraPreview() {
+        this.stopCameraPreview();
+
+        const [width, height] = document.getElementById('live-resolution').value.split('x');
+        const fps = document.getElementById('live-fps').value;
+
+        let status;
+        try {
+            const response = await fetch('/api/camera/live');
+            status = await response.json();
+
+            if (!response.ok) {
+                throw new Error(status.message || 'Failed to get live view status');
+            }
+        } catch (error) {
+            console.error('Failed to start live view:', error);
+            this.stopCameraPreview(`Live view is not available: ${error.message}`);
+            return;
+        }
+
+        // The browser renders the MJPEG stream itself, so no frames are copied into blob URLs
+        const img = document.getElementById('camera-live-img');
+        img.onerror = () => {
+            this.stopCameraPreview('Live view could not be started. Check that the camera is connected and not in use.');
+        };
+        img.src = `/api/camera/live/stream?width=${width}&height=${height}&fps=${fps}&t=${Date.now()}`;
+        img.style.display = 'block';
+
+        document.getElementById('camera-live-frozen').style.display = 'none';
+        document.getElementById('camera-live-placeholder').style.display = 'none';
+
+        this.liveView = {
+            startedAt: Date.now(),
+            endsAt: Date.now() + status.timeoutSeconds * 1000,
+            timeoutSeconds: status.timeoutSeconds,
+            status: null,
+            statusLoadedAt: 0,
+            paused: false
+        };
+
+        clearInterval(this.liveViewStatusInterval);
+        this.liveViewStatusInterval = setInterval(() => this.updateLiveViewStatus(), 1000);
+        this.updateLiveViewStatus();
+    }
+
+    pauseCameraPreview(message = 'Paused') {
+        if (!this.liveView || this.liveView.paused) {
+            return;
+        }
+
+        // Keep the last frame on screen while the stream is closed
+        const img = document.getElementById('camera-live-img');
+        const canvas = document.getElementById('camera-live-frozen');
+        if (img.naturalWidth) {
+            canvas.width = img.naturalWidth;
+            canvas.height = img.naturalHeight;
+            canvas.getContext('2d').drawImage(img, 0, 0);
+            canvas.style.display = 'block';
+        }
+
+        this.closeLiveStream();
+        clearInterval(this.liveViewStatusInterval);
+        this.liveViewStatusInterval = null;
+
+        this.liveView.paused = true;
+        document.getElementById('camera-live-badge').style.display = 'none';
+        document.getElementById('live-status').textContent = message;
+        this.updateLiveViewControls();
+    }
+
+    stopCameraPreview(message = '') {
+        clearInterval(this.liveViewStatusInterval);
+        this.liveViewStatusInterval = null;
+        this.closeLiveStream();
+        this.liveView = null;
+
+        document.getElementById('camera-live-frozen').style.display = 'none';
+        document.getElementById('camera-live-badge').style.display = 'none';
+        document.getElementById('camera-live-placeholder').style.display = 'block';
+        document.getElementById('camera-live-message').textContent = message;
+        document.getElementById('live-status').textContent = 'Live view is off';
+        this.updateLiveViewControls();
+    }
+
+    closeLiveStream() {
+        // Dropping the src closes the HTTP stream, which releases the camera on the device
+        const img = document.getElementById('camera-live-img');
+        img.onerror = null;
+        img.removeAttribute('src');
+        img.style.display = 'none';
+    }
+
+    async updateLiveViewStatus() {
+        const liveView = this.liveView;
+        if (!liveView || liveView.paused) {
+            return;
+        }
+
+        const remaining = Math.ceil((liveView.endsAt - Date.now()) / 1000);
+        if (remaining <= 0) {
+            this.pauseCameraPreview(`Paused after ${Math.round(liveView.timeoutSeconds / 60)} min to free the camera`);
+            return;
+        }
+
+        if (Date.now() - liveView.statusLoadedAt >= 3000) {
+            liveView.statusLoadedAt = Date.now();
+            try {
+                const response = await fetch('/api/camera/live');
+                if (response.ok) {
+                    liveView.status = await response.json();
+                }
+            } catch (error) {
+                console.error('Failed to load live view status:', error);
+            }
+
+            if (this.liveView !== liveView || liveView.paused) {
+                return;
+            }
+
+            // The device stops the stream when the camera process exits
+            const status = liveView.status;
+            if (status && status.viewers === 0 && !status.suspendedForCapture && Date.now() - liveView.startedAt > 5000) {
+                this.stopCameraPreview('The camera stream ended. Check that the camera is connected and not in use.');
+                return;
+            }
+        }
+
+        const status = liveView.status;
+        const badge = document.getElementById('camera-live-badge');
+        badge.style.display = 'inline-block';
+        if (status?.suspendedForCapture) {
+            badge.className = 'badge camera-live-badge bg-warning text-dark';
+            badge.textContent = 'Capturing reading...';
+        } else {
+            badge.className = 'badge camera-live-badge bg-danger';
+            badge.textContent = 'LIVE';
+        }
+
+        const parts = [];
+        if (status?.settings) {
+            parts.push(`${status.settings.width} × ${status.settings.height}`);
+            parts.push(`${status.measuredFramesPerSecond} fps`);
+        }
+        parts.push(`stops in ${Math.floor(remaining / 60)}:${String(remaining % 60).padStart(2, '0')}`);
+        document.getElementById('live-status').textContent = parts.join(' · ');
+
+        this.updateLiveViewControls();
+    }
+
+    updateLiveViewControls() {
+        const live = this.liveView !== null;
+        const paused = live && this.liveView.paused;
+
+        document.getElementById('live-pause').disabled = !live || paused;
+        document.getElementById('live-resume').disabled = !paused;
+        document.getElementById('live-stop').disabled = !live;
+    }
+
+    // Camera Positioning
+    async captureForPositioning() {
+        try {
+            const response = await fetch('/api/debugimages/capture-for-positioning', { method: 'POST' });
+            const result = await response.json();
+            
+            this.addAlert({
+                title: 'Positioning Image Captured',
+                message: `Image saved to ${result.imagePath}`,
+                severity: 'Info',
+                timestamp: new Date().toISOString()
+            });
+            
+        } catch (error) {
+            console.error('Failed to capture positioning image:', error);
+        }
+    }
+
+    toggleGrid(show) {
+        const gridOverlay = document.querySelector('.grid-overlay');
+        if (gridOverlay) {
+            gridOverlay.style.display = show ? 'block' : 'none';
+        }
+        this.drawSetupOverlay();
+    }
+
+    toggleGuides(show) {
+        const guidesOverlay = document.querySelector('.positioning-guide-lines');
+        if (guidesOverlay) {
+            guidesOverlay.style.display = show ? 'block' : 'none';
+        }
+        this.drawSetupOverlay();
+    }
+
+    // Guided Camera Setup
+    getCameraSetupSteps() {
+        return [
+            {
+                title: 'Focus',
+                checks: ['Focus'],
+                help: 'Point the camera at the display and turn the focus ring until the digit edges are crisp, then run the check.'
+            },
+            {
+                title: 'Exposure & glare',
+                checks: ['Exposure'],
+                controls: 'setup-exposure-controls',
+                help: 'Adjust the draft settings until the digits stand out without glare. Nothing is applied until the setup is saved.'
+            },
+            {
+                title: 'LED region',
+                checks: ['LedRegion', 'Alignment'],
+                help: 'The display must be found and level. Rotate the camera until the digits run parallel to the horizontal guide.'
+            },
+            {
+                title: 'ROI fit',
+                checks: ['RoiFit'],
+                controls: 'setup-roi-controls',
+                help: 'The ROI should wrap the display closely. Use the detected region if it is off.'
+            },
+            {
+                title: 'Test OCR',
+                checks: ['Ocr'],
+                runOcr: true,
+                controls: 'setup-ocr-result',
+                help: 'Reads the display through the ROI with the draft settings.'
+            },
+            {
+                title: 'Save',
+                checks: [],
+                controls: 'setup-save-controls',
+                help: 'Saves the ROI as a new profile version and applies the camera settings together.'
+            }
+        ];
+    }
+
+    async initializeCameraSetup() {
+        let roi;
+        let camera;
+        try {
+            const [roiResponse, cameraResponse] = await Promise.all([
+                fetch('/api/roi'),
+                fetch('/api/camera/configuration')
+            ]);
+            roi = await roiResponse.json();
+            camera = await cameraResponse.json();
+
+            if (!roiResponse.ok || !cameraResponse.ok) {
+                throw new Error(roi.error || camera.message || 'Failed to load the current camera settings');
+            }
+        } catch (error) {
+            console.error('Failed to start guided setup:', error);
+            document.getElementById('setup-result').innerHTML =
+                `<div class="alert alert-danger small mb-0">${this.escapeHtml(error.message)}</div>`;
+            return;
+        }
+
+        this.cameraSetup = {
+            step: 0,
+            roi: roi.roiPercent,
+            settings: {
+                exposureMode: camera.exposureMode,
+                brightness: camera.brightness,
+                gain: camera.gain
+            },
+            results: {},
+            analysis: null,
+            error: null,
+            busy: false,
+            saved: null
+        };
+
+        const exposureSelect = document.getElementById('setup-exposure-mode');
+        if (![...exposureSelect.options].some(option => option.value === camera.exposureMode)) {
+            exposureSelect.add(new Option(camera.exposureMode, camera.exposureMode));
+        }
+        exposureSelect.value = camera.exposureMode;
+        document.getElementById('setup-brightness').value = camera.brightness;
+        document.getElementById('setup-brightness-value').textContent = camera.brightness;
+        document.getElementById('setup-gain').value = camera.gain;
+        document.getElementById('setup-profile-name').value = roi.activeProfile?.name || 'Camera setup';
+        document.getElementById('setup-saved-by').value = localStorage.getItem('wellmonitor.roiSavedBy') || '';
+
+        const img = document.getElementById('setup-image');
+        img.removeAttribute('src');
+        img.style.display = 'none';
+        document.getElementById('setup-image-placeholder').style.display = 'block';
+
+        this.updateLiveRoiGuide();
+        this.renderCameraSetup();
+    }
+
+    isCameraSetupStepPassed(step) {
+        const results = this.cameraSetup.results;
+        return step.checks.length > 0 && step.checks.every(check => results[check]?.passed);
+    }
+
+    async runCameraSetupCheck() {
+        const setup = this.cameraSetup;
+        if (!setup || setup.busy) {
+            return;
+        }
+
+        const step = this.getCameraSetupSteps()[setup.step];
+        setup.busy = true;
+        setup.error = null;
+        this.renderCameraSetup();
+
+        try {
+            const response = await fetch('/api/camerasetup/analyze', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    roi: setup.roi,
+                    camera: setup.settings,
+                    runOcr: !!step.runOcr
+                })
+            });
+            const analysis = await response.json();
+
+            if (!response.ok) {
+                throw new Error(analysis.error || 'Setup check failed');
+            }
+
+            setup.analysis = analysis;
+            analysis.checks.forEach(check => {
+                setup.results[check.check] = check;
+            });
+        } catch (error) {
+            console.error('Camera setup check failed:', error);
+            setup.error = error.message;
+        } finally {
+            setup.busy = false;
+        }
+
+        if (this.cameraSetup !== setup) {
+            return;
+        }
+
+        if (setup.analysis) {
+            const img = document.getElementById('setup-image');
+            img.src = setup.analysis.imageUrl;
+            img.style.display = 'block';
+            document.getElementById('setup-image-placeholder').style.display = 'none';
+        }
+        this.renderCameraSetup();
+    }
+
+    moveCameraSetupStep(delta) {
+        const setup = this.cameraSetup;
+        if (!setup || setup.busy) {
+            return;
+        }
+
+        const steps = this.getCameraSetupSteps();
+        if (delta > 0 && !this.isCameraSetupStepPassed(steps[setup.step])) {
+            return;
+        }
+
+        setup.step = Math.max(0, Math.min(steps.length - 1, setup.step + delta));
+        this.renderCameraSetup();
+    }
+
+    updateCameraSetupSettings() {
+        const setup = this.cameraSetup;
+        if (!setup) {
+            return;
+        }
+
+        const gain = parseFloat(document.getElementById('setup-gain').value);
+        setup.settings = {
+            exposureMode: document.getElementById('setup-exposure-mode').value,
+            brightness: parseInt(document.getElementById('setup-brightness').value, 10),
+            gain: Number.isNaN(gain) ? null : gain
+        };
+        this.invalidateCameraSetup();
+    }
+
+    useSuggestedRoi() {
+        const setup = this.cameraSetup;
+        if (!setup?.analysis?.suggestedRoi) {
+            return;
+        }
+
+        setup.roi = setup.analysis.suggestedRoi;
+        this.invalidateCameraSetup();
+        this.updateLiveRoiGuide();
+        this.runCameraSetupCheck();
+    }
+
+    // A change only affects the current step and the ones after it
+    invalidateCameraSetup() {
+        const setup = this.cameraSetup;
+        this.getCameraSetupSteps().slice(setup.step).forEach(step => {
+            step.checks.forEach(check => delete setup.results[check]);
+        });
+        setup.saved = null;
+        this.renderCameraSetup();
+    }
+
+    renderCameraSetup() {
+        const setup = this.cameraSetup;
+        if (!setup) {
+            return;
+        }
+
+        const steps = this.getCameraSetupSteps();
+        const step = steps[setup.step];
+        const isSaveStep = step.checks.length === 0;
+
+        document.getElementById('setup-steps').innerHTML = steps.map((s, index) => {
+            const classes = [];
+            if (index === setup.step) classes.push('current');
+            else if (this.isCameraSetupStepPassed(s)) classes.push('passed');
+            else if (s.checks.some(check => setup.results[check] && !setup.results[check].passed)) classes.push('failed');
+            return `<li class="${classes.join(' ')}">${index + 1}. ${this.escapeHtml(s.title)}</li>`;
+        }).join('');
+
+        document.getElementById('setup-step-title').textContent = `Step ${setup.step + 1}: ${step.title}`;
+        document.getElementById('setup-step-help').textContent = step.help;
+
+        document.querySelectorAll('#camera-setup-wizard .setup-step-controls').forEach(element => {
+            element.style.display = element.id === step.controls ? 'block' : 'none';
+        });
+
+        const roi = setup.roi;
+        document.getElementById('setup-roi-text').textContent =
+            `${(roi.x * 100).toFixed(1)}%, ${(roi.y * 100).toFixed(1)}% · ${(roi.width * 100).toFixed(1)}% × ${(roi.height * 100).toFixed(1)}%`;
+        document.getElementById('setup-use-suggested').disabled = setup.busy || !setup.analysis?.suggestedRoi;
+
+        this.renderCameraSetupOcr();
+        this.renderCameraSetupSummary(steps);
+
+        let resultHtml = '';
+        if (setup.error) {
+            resultHtml = `<div class="alert alert-danger small mb-0">${this.escapeHtml(setup.error)}</div>`;
+        } else if (setup.busy) {
+            resultHtml = `<div class="small text-muted"><span class="spinner-border spinner-border-sm"></span> Capturing and analysing...</div>`;
+        } else if (setup.saved) {
+            resultHtml = `<div class="alert alert-success small mb-0">${this.escapeHtml(setup.saved.message)}</div>`;
+        } else {
+            resultHtml = step.checks
+                .map(check => setup.results[check])
+                .filter(result => result)
+                .map(result => `
+                    <div class="alert ${result.passed ? 'alert-success' : 'alert-warning'} small py-2 mb-2">
+                        <i class="bi ${result.passed ? 'bi-check-circle' : 'bi-exclamation-triangle'}"></i>
+                        ${this.escapeHtml(result.message)}
+                        ${result.hint ? `<div class="mt-1">${this.escapeHtml(result.hint)}</div>` : ''}
+                    </div>
+                `).join('');
+        }
+        document.getElementById('setup-result').innerHTML = resultHtml;
+
+        const allPassed = steps.every(s => s.checks.length === 0 || this.isCameraSetupStepPassed(s));
+        const checkButton = document.getElementById('setup-check');
+        checkButton.style.display = isSaveStep ? 'none' : '';
+        checkButton.disabled = setup.busy;
+        checkButton.innerHTML = setup.busy
+            ? '<span class="spinner-border spinner-border-sm"></span> Checking...'
+            : `<i class="bi bi-camera"></i> ${step.checks.some(check => setup.results[check]) ? 'Re-check' : 'Run Check'}`;
+
+        document.getElementById('setup-back').disabled = setup.busy || setup.step === 0;
+
+        const nextButton = document.getElementById('setup-next');
+        nextButton.style.display = isSaveStep ? 'none' : '';
+        nextButton.disabled = setup.busy || !this.isCameraSetupStepPassed(step);
+
+        const saveButton = document.getElementById('setup-save');
+        saveButton.style.display = isSaveStep ? '' : 'none';
+        saveButton.disabled = setup.busy || !allPassed || setup.saved !== null;
+
+        this.updateSetupChecklist();
+        this.drawSetupOverlay();
+    }
+
+    renderCameraSetupOcr() {
+        const ocr = this.cameraSetup.analysis?.ocr;
+        const container = document.getElementById('setup-ocr-result');
+        if (!ocr) {
+            container.innerHTML = '<p class="text-muted mb-2">Run the check to read the display.</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <div class="mb-2">
+                Text: <code>${this.escapeHtml(ocr.text || ocr.rawText || '')}</code><br>
+                Status: <strong>${this.escapeHtml(ocr.pumpStatus)}</strong>
+                ${ocr.currentAmps != null ? ` · ${ocr.currentAmps} A` : ''}
+                · ${(ocr.confidence * 100).toFixed(0)}% confidence
+            </div>
+            ${ocr.processedImageUrl ? `<img src="${ocr.processedImageUrl}" class="img-fluid border mb-2" alt="Processed ROI">` : ''}
+        `;
+    }
+
+    renderCameraSetupSummary(steps) {
+        const setup = this.cameraSetup;
+        const settings = setup.settings;
+        const items = steps.filter(s => s.checks.length > 0).map(s => {
+            const passed = this.isCameraSetupStepPassed(s);
+            return `<li>${passed ? '✓' : '✗'} ${this.escapeHtml(s.title)}</li>`;
+        });
+        items.push(`<li>Exposure ${this.escapeHtml(settings.exposureMode)}, brightness ${settings.brightness}, gain ${settings.gain ?? '-'}</li>`);
+        document.getElementById('setup-summary').innerHTML = items.join('');
+    }
+
+    updateSetupChecklist() {
+        const results = this.cameraSetup?.results || {};
+        const checklist = {
+            'image-focused': 'Focus',
+            'proper-lighting': 'Exposure',
+            'led-visible': 'LedRegion',
+            'horizontal-alignment': 'Alignment',
+            'roi-fit': 'RoiFit',
+            'ocr-readable': 'Ocr'
+        };
+
+        Object.entries(checklist).forEach(([id, check]) => {
+            const checkbox = document.getElementById(id);
+            if (checkbox) {
+                checkbox.checked = !!results[check]?.passed;
+            }
+        });
+
+        // Recommendations follow the failed checks once anything has been measured
+        const measured = Object.values(results);
+        if (measured.length === 0) {
+            return;
+        }
+
+        const hints = measured.filter(result => !result.passed && result.hint).map(result => result.hint);
+        document.getElementById('recommendation-list').innerHTML = hints.length > 0
+            ? hints.map(hint => `<li>${this.escapeHtml(hint)}</li>`).join('')
+            : '<li>All checks so far have passed</li>';
+    }
+
+    drawSetupOverlay() {
+        const img = document.getElementById('setup-image');
+        const canvas = document.getElementById('setup-overlay');
+        if (!img || !canvas) {
+            return;
+        }
+
+        const setup = this.cameraSetup;
+        if (!setup || !img.naturalWidth || img.style.display === 'none') {
+            canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+            return;
+        }
+
+        // Draw at the frame's own resolution; CSS scales the canvas with the image
+        const width = canvas.width = img.naturalWidth;
+        const height = canvas.height = img.naturalHeight;
+        const ctx = canvas.getContext('2d');
+        const lineWidth = Math.max(2, Math.round(width / 400));
+
+        if (document.getElementById('toggle-grid')?.checked) {
+            const spacing = width / 12;
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            for (let x = spacing; x < width; x += spacing) {
+                ctx.moveTo(x, 0);
+                ctx.lineTo(x, height);
+            }
+            for (let y = spacing; y < height; y += spacing) {
+                ctx.moveTo(0, y);
+                ctx.lineTo(width, y);
+            }
+            ctx.stroke();
+        }
+
+        if (document.getElementById('toggle-guides')?.checked) {
+            ctx.strokeStyle = 'rgba(255, 255, 0, 0.7)';
+            ctx.lineWidth = lineWidth;
+            ctx.beginPath();
+            ctx.moveTo(0, height / 2);
+            ctx.lineTo(width, height / 2);
+            ctx.moveTo(width / 2, 0);
+            ctx.lineTo(width / 2, height);
+            ctx.stroke();
+        }
+
+        const strokeRegion = (region, color, dashed) => {
+            ctx.strokeStyle = color;
+            ctx.lineWidth = lineWidth;
+            ctx.setLineDash(dashed ? [lineWidth * 4, lineWidth * 3] : []);
+            ctx.strokeRect(region.x * width, region.y * height, region.width * width, region.height * height);
+        };
+
+        const analysis = setup.analysis;
+        if (analysis?.suggestedRoi && !setup.results.RoiFit?.passed) {
+            strokeRegion(analysis.suggestedRoi, '#ffc107', true);
+        }
+        if (analysis?.ledRegion) {
+            strokeRegion(analysis.ledRegion, '#0dcaf0', false);
+        }
+        strokeRegion(setup.roi, '#198754', false);
+        ctx.setLineDash([]);
+    }
+
+    updateLiveRoiGuide() {
+        const guide = document.getElementById('camera-roi-guide');
+        const roi = this.cameraSetup?.roi;
+        if (!guide || !roi) {
+            return;
+        }
+
+        guide.style.left = `${roi.x * 100}%`;
+        guide.style.top = `${roi.y * 100}%`;
+        guide.style.width = `${roi.width * 100}%`;
+        guide.style.height = `${roi.height * 100}%`;
+        guide.style.display = 'block';
+    }
+
+    async saveCameraSetup() {
+        const setup = this.cameraSetup;
+        if (!setup || setup.busy) {
+            return;
+        }
+
+        const profileName = document.getElementById('setup-profile-name').value.trim();
+        const savedBy = document.getElementById('setup-saved-by').value.trim();
+        if (!profileName) {
+            setup.error = 'Enter a profile name';
+            this.renderCameraSetup();
+            return;
+        }
+
+        localStorage.setItem('wellmonitor.roiSavedBy', savedBy);
+        setup.busy = true;
+        setup.error = null;
+        this.renderCameraSetup();
+
+        try {
+            const response = await fetch('/api/camerasetup/save', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    profileName,
+                    roi: setup.roi,
+                    camera: setup.settings,
+                    savedBy,
+                    sourceImage: setup.analysis?.imageFile
+                })
+            });
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.error || 'Failed to save camera setup');
+            }
+
+            setup.saved = result;
+            this.loadCameraConfiguration();
+            this.addAlert({
+                title: 'Camera Setup Saved',
+                message: result.message,
+                severity: 'Success',
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('Failed to save camera setup:', error);
+            setup.error = error.message;
+        } finally {
+            setup.busy = false;
+            this.renderCameraSetup();
+        }
+    }
+
+    // Relay Control
+    async loadRelayStatus() {
+        try {
+            const response = await fetch('/api/relay/status');
+            const status = await response.json();
+
+            if (!response.ok) {
+                throw new Error(status.error || 'Failed to load relay status');
+            }
+
+            this.displayRelayStatus(status);
+
+        } catch (error) {
+            console.error('Failed to load relay status:', error);
+            this.addAlert({
+                title: 'Relay Control',
+                message: `Failed to load relay status: ${error.message}`,
+                severity: 'danger',
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    displayRelayStatus(status) {
+        this.relayStatus = status;
+
+        document.getElementById('relay-state').textContent = status.relayOn ? 'On' : 'Off';
+        document.getElementById('relay-remaining').textContent = `${status.remainingToday} / ${status.maxDailyCycles}`;
+        document.getElementById('relay-pump-status').textContent = status.pumpCurrentAmps != null
+            ? `${status.pumpStatus} (${status.pumpCurrentAmps.toFixed(1)} A)`
+            : status.pumpStatus;
+        document.getElementById('relay-last-cycle').textContent = status.lastCycleUtc
+            ? new Date(status.lastCycleUtc).toLocaleString()
+            : 'None recorded';
+        document.getElementById('relay-min-interval').textContent = `${status.minimumCycleIntervalMinutes} min`;
+        document.getElementById('relay-delay').textContent = `${status.powerCycleDelaySeconds} s`;
+        document.getElementById('relay-confirmation-phrase').textContent = status.confirmationPhrase;
+
+        document.getElementById('relay-running-warning').style.display = status.pumpRunning ? 'block' : 'none';
+        if (!status.pumpRunning) {
+            document.getElementById('relay-allow-running').checked = false;
+        }
+
+        // Count the lockout down locally and refresh the status when it ends
+        clearInterval(this.relayCountdownInterval);
+        this.relayCountdownInterval = null;
+        this.updateRelayCountdown();
+        if (status.lockoutEndsUtc) {
+            this.relayCountdownInterval = setInterval(() => this.updateRelayCountdown(), 1000);
+        }
+
+        this.updateRelayControls();
+    }
+
+    updateRelayCountdown() {
+        const lockout = document.getElementById('relay-lockout');
+        const endsAt = this.relayStatus.lockoutEndsUtc ? Date.parse(this.relayStatus.lockoutEndsUtc) : 0;
+        const remaining = Math.ceil((endsAt - Date.now()) / 1000);
+
+        if (remaining <= 0) {
+            lockout.textContent = 'None';
+            lockout.classList.remove('text-warning');
+
+            if (this.relayCountdownInterval) {
+                clearInterval(this.relayCountdownInterval);
+                this.relayCountdownInterval = null;
+                this.loadRelayStatus();
+            }
+            return;
+        }
+
+        const minutes = Math.floor(remaining / 60);
+        const seconds = String(remaining % 60).padStart(2, '0');
+        lockout.textContent = `${minutes}:${seconds}`;
+        lockout.classList.add('text-warning');
+    }
+
+    updateRelayControls() {
+        const status = this.relayStatus;
+        const blocked = document.getElementById('relay-blocked');
+        const button = document.getElementById('relay-cycle');
+
+        if (!status) {
+            button.disabled = true;
+            return;
+        }
+
+        blocked.textContent = status.blockedReason || '';
+        blocked.style.display = status.blockedReason ? 'block' : 'none';
+
+        const confirmed = document.getElementById('relay-confirmation').value.trim() === status.confirmationPhrase;
+        const hasReason = document.getElementById('relay-reason').value.trim() !== '';
+        const runningConfirmed = !status.pumpRunning || document.getElementById('relay-allow-running').checked;
+
+        button.disabled = !status.canCycle || !confirmed || !hasReason || !runningConfirmed;
+    }
+
+    async cycleRelay() {
+        const button = document.getElementById('relay-cycle');
+        const originalHtml = button.innerHTML;
+        button.disabled = true;
+        button.innerHTML = `<span class="spinner-border spinner-border-sm"></span> Cycling (power off ${this.relayStatus.powerCycleDelaySeconds} s)...`;
+
+        try {
+            const response = await fetch('/api/relay/cycle', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    confirmation: document.getElementById('relay-confirmation').value.trim(),
+                    reason: document.getElementById('relay-reason').value.trim(),
+                    user: localStorage.getItem('wellmonitor.operatorName') || '',
+                    allowWhileRunning: document.getElementById('relay-allow-running').checked
+                })
+            });
+            const result = await response.json();
+
+            if (result.status) {
+                this.displayRelayStatus(result.status);
+            }
+
+            if (!response.ok) {
+                throw new Error(result.message || result.error || 'Failed to cycle relay');
+            }
+
+            this.addAlert({
+                title: 'Relay Control',
+                message: result.message,
+                severity: 'success',
+                timestamp: new Date().toISOString()
+            });
+
+            document.getElementById('relay-reason').value = '';
+
+        } catch (error) {
+            console.error('Failed to cycle relay:', error);
+            this.addAlert({
+                title: 'Relay Control',
+                message: error.message,
+                severity: 'danger',
+                timestamp: new Date().toISOString()
+            });
+        } finally {
+            // Each cycle needs a fresh confirmation
+            document.getElementById('relay-confirmation').value = '';
+            button.innerHTML = originalHtml;
+            this.updateRelayControls();
+            this.loadRelayLog();
+        }
+    }
+
+    async loadRelayLog() {
+        const source = document.getElementById('relay-log-source').value;
+        const list = document.getElementById('relay-log');
+
+        try {
+            const response = await fetch(`/api/relay/log?limit=100${source ? `&source=${source}` : ''}`);
+            const entries = await response.json();
+
+            if (!response.ok) {
+                throw new Error(entries.error || 'Failed to load relay action log');
+            }
+
+            if (entries.length === 0) {
+                list.innerHTML = '<tr><td colspan="5" class="text-muted text-center">No relay actions recorded</td></tr>';
+                return;
+            }
+
+            const sourceBadges = { Manual: 'bg-primary', Automatic: 'bg-warning text-dark', Cloud: 'bg-info text-dark' };
+            list.innerHTML = entries.map(entry => `
+                <tr>
+                    <td class="text-nowrap">${new Date(entry.timestampUtc).toLocaleString()}</td>
+                    <td><span class="badge ${sourceBadges[entry.source] || 'bg-secondary'}">${entry.source}</span></td>
+                    <td>${this.escapeHtml(entry.reason)}</td>
+                    <td class="${entry.succeeded ? 'text-success' : 'text-danger'}">${this.escapeHtml(entry.result)}</td>
+                    <td>${entry.synced ? '<i class="bi bi-cloud-check"></i>' : '<i class="bi bi-cloud-slash text-muted"></i>'}</td>
+                </tr>`).join('');
+
+        } catch (error) {
+            console.error('Failed to load relay action log:', error);
+            list.innerHTML = '<tr><td colspan="5" class="text-danger text-center">Failed to load relay action log</td></tr>';
+        }
+    }
+
+    // Exposure Comparison
+    buildComparisonVariants() {
+        const modes = [...document.querySelectorAll('#compare-modes input:checked')].map(input => input.value);
+
+        const parseList = (id, label, parse) => {
+            const text = document.getElementById(id).value.trim();
+            if (!text) {
+                return [null];
+            }
+            return text.split(',').map(part => part.trim()).filter(part => part).map(part => {
+                const value = parse(part);
+                if (Number.isNaN(value)) {
+                    throw new Error(`${label}: "${part}" is not a number`);
+                }
+                return value;
+            });
+        };
+
+        const dimensions = [
+            ['exposureMode', modes.length > 0 ? modes : [null]],
+            ['brightness', parseList('compare-brightness', 'Brightness', value => parseInt(value, 10))],
+            ['contrast', parseList('compare-contrast', 'Contrast', value => parseInt(value, 10))],
+            ['gain', parseList('compare-gain', 'Gain', value => parseFloat(value))],
+            ['shutterSpeedMicroseconds', parseList('compare-shutter', 'Shutter', value => parseInt(value, 10))]
+        ];
+
+        // Every combination of the chosen values; unset fields keep the current configuration
+        return dimensions.reduce((variants, [key, values]) => variants.flatMap(variant =>
+            values.map(value => (value === null ? { ...variant } : { ...variant, [key]: value }))
+        ), [{}]);
+    }
+
+    updateComparisonCount() {
+        const countElement = document.getElementById('compare-count');
+        const runButton = document.getElementById('compare-run');
+        if (!countElement || !runButton) {
+            return;
+        }
+
+        try {
+            const count = this.buildComparisonVariants().length;
+            const tooMany = count > 12;
+            countElement.className = `col-md-4 small ${tooMany ? 'text-danger' : 'text-muted'}`;
+            countElement.textContent = tooMany
+                ? `${count} captures - choose at most 12`
+                : `${count} capture${count === 1 ? '' : 's'}, about ${count * 5} s`;
+            runButton.disabled = tooMany || this.exposureComparison?.running === true;
+        } catch (error) {
+            countElement.className = 'col-md-4 small text-danger';
+            countElement.textContent = error.message;
+            runButton.disabled = true;
+        }
+    }
+
+    async loadExposureComparison() {
+        if (this.exposureComparison?.running) {
+            return;
+        }
+
+        try {
+            const response = await fetch('/api/exposurecomparison/last');
+            if (response.status === 204) {
+                return;
+            }
+            if (response.ok) {
+                this.exposureComparison = { running: false, result: await response.json() };
+                this.displayExposureComparison();
+            }
+        } catch (error) {
+            console.error('Failed to load exposure comparison:', error);
+        }
+    }
+
+    async runExposureComparison() {
+        let variants;
+        try {
+            variants = this.buildComparisonVariants();
+        } catch (error) {
+            this.updateComparisonCount();
+            return;
+        }
+
+        const runButton = document.getElementById('compare-run');
+        this.exposureComparison = { running: true, result: this.exposureComparison?.result || null };
+        runButton.disabled = true;
+        runButton.innerHTML = `<span class="spinner-border spinner-border-sm"></span> Capturing ${variants.length}...`;
+        document.getElementById('compare-apply-winner').disabled = true;
+
+        try {
+            const response = await fetch('/api/exposurecomparison', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    variants,
+                    expectedReading: document.getElementById('compare-expected').value.trim() || null
+                })
+            });
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.error || 'Exposure comparison failed');
+            }
+
+            this.exposureComparison.result = result;
+        } catch (error) {
+            console.error('Exposure comparison failed:', error);
+            this.addAlert({
+                title: 'Exposure Comparison Failed',
+                message: error.message,
+                severity: 'Danger',
+                timestamp: new Date().toISOString()
+            });
+        } finally {
+            this.exposureComparison.running = false;
+            runButton.innerHTML = '<i class="bi bi-play"></i> Run Comparison';
+            this.updateComparisonCount();
+            this.displayExposureComparison();
+        }
+    }
+
+    displayExposureComparison() {
+        const result = this.exposureComparison?.result;
+        const container = document.getElementById('compare-results');
+        const summary = document.getElementById('compare-summary');
+        if (!result || !container) {
+            return;
+        }
+
+        const reference = result.referenceReading
+            ? `Judged against ${result.expectedReading ? 'the expected' : 'the most common'} reading <strong>${this.escapeHtml(result.referenceReading)}</strong>.`
+            : 'No expected reading and no two frames agreed, so frames are ranked by confidence only.';
+        summary.innerHTML = `${result.frames.length} frames captured ${new Date(result.completedUtc).toLocaleString()}. ${reference}`;
+
+        container.innerHTML = result.frames.map(frame => {
+            const correctness = frame.correct === true
+                ? '<span class="badge bg-success">Correct</span>'
+                : frame.correct === false
+                    ? '<span class="badge bg-danger">Wrong</span>'
+                    : '<span class="badge bg-secondary">Not judged</span>';
+
+            return `
+                <div class="col-md-4">
+                    <div class="card compare-frame h-100 ${frame.rank === 1 ? 'winner' : ''}">
+                        ${frame.imageUrl ? `<a href="${frame.imageUrl}" target="_blank"><img src="${frame.imageUrl}" alt="${this.escapeHtml(frame.label)}" loading="lazy"></a>` : ''}
+                        <div class="card-body p-2 small">
+                            <div class="d-flex justify-content-between align-items-center mb-1">
+                                <strong>#${frame.rank} ${this.escapeHtml(frame.label)}</strong>
+                                ${correctness}
+                            </div>
+                            ${frame.processedImageUrl ? `<img class="compare-crop mb-1" src="${frame.processedImageUrl}" alt="Processed ROI" loading="lazy">` : ''}
+                            <div>Text: <code>${this.escapeHtml(frame.text || '-')}</code></div>
+                            <div>Reading: ${this.escapeHtml(frame.reading || '-')} · ${(frame.confidence * 100).toFixed(0)}% confidence</div>
+                            ${frame.error ? `<div class="text-danger">${this.escapeHtml(frame.error)}</div>` : ''}
+                            <button class="btn btn-sm btn-outline-success mt-2" data-compare-rank="${frame.rank}">
+                                <i class="bi bi-check2"></i> Apply
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        const winner = result.frames[0];
+        document.getElementById('compare-apply-winner').disabled =
+            !winner || this.exposureComparison.running || (winner.correct !== true && !winner.reading);
+    }
+
+    async applyComparisonFrame(rank) {
+        const frame = this.exposureComparison?.result?.frames.find(f => f.rank === rank);
+        if (!frame) {
+            return;
+        }
+
+        try {
+            const response = await fetch('/api/exposurecomparison/apply', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(frame.settings)
+            });
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.error || 'Failed to apply camera settings');
+            }
+
+            this.loadCameraConfiguration();
+            this.addAlert({
+                title: 'Camera Settings Applied',
+                message: `Applied ${frame.label}`,
+                severity: 'Success',
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('Failed to apply camera settings:', error);
+            this.addAlert({
+                title: 'Error',
+                message: error.message,
+                severity: 'Danger',
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    // Camera Settings
+    async loadCameraSettings() {
+        try {
+            const response = await fetch('/api/camera/settings');
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            this.fillCameraSettingsForm(await response.json());
+            document.getElementById('camera-settings-status').innerHTML = '';
+        } catch (error) {
+            console.error('Failed to load camera settings:', error);
+            document.getElementById('camera-settings-status').innerHTML =
+                `<span class="text-danger">Failed to load camera settings: ${this.escapeHtml(error.message)}</span>`;
+        }
+    }
+
+    fillCameraSettingsForm(settings) {
+        // Same list of modes as the exposure mode card
+        const exposureSelect = document.getElementById('camera-setting-exposure-mode');
+        if (exposureSelect.options.length === 0) {
+            [...document.getElementById('exposure-mode').options].forEach(option => {
+                exposureSelect.add(new Option(option.value, option.value));
+            });
+        }
+        if (![...exposureSelect.options].some(option => option.value === settings.exposureMode)) {
+            exposureSelect.add(new Option(settings.exposureMode, settings.exposureMode));
+        }
+
+        document.querySelectorAll('#camera-settings-form [data-setting]').forEach(input => {
+            const value = settings[input.dataset.setting];
+            if (input.type === 'checkbox') {
+                input.checked = value === true;
+            } else {
+                input.value = value;
+            }
+        });
+    }
+
+    readCameraSettingsForm() {
+        const settings = {};
+        document.querySelectorAll('#camera-settings-form [data-setting]').forEach(input => {
+            const name = input.dataset.setting;
+            if (input.type === 'checkbox') {
+                settings[name] = input.checked;
+            } else if (name === 'exposureMode') {
+                settings[name] = input.value;
+            } else {
+                settings[name] = Number(input.value);
+            }
+        });
+        return settings;
+    }
+
+    async saveCameraSettings() {
+        const form = document.getElementById('camera-settings-form');
+        const status = document.getElementById('camera-settings-status');
+        if (!form.reportValidity()) {
+            return;
+        }
+
+        const applyButton = document.getElementById('camera-settings-apply');
+        applyButton.disabled = true;
+
+        try {
+            const response = await fetch('/api/camera/settings', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    settings: this.readCameraSettingsForm(),
+                    reportToDeviceTwin: document.getElementById('camera-settings-report-twin').checked
+                })
+            });
+            const result = await response.json();
+
+            if (!response.ok) {
+                const errors = result.errors || [result.error || result.message || `HTTP ${response.status}`];
+                status.innerHTML = `<div class="text-danger">${errors.map(e => this.escapeHtml(e)).join('<br>')}</div>`;
+                return;
+            }
+
+            this.fillCameraSettingsForm(result.settings);
+
+            let html = result.changes.length > 0
+                ? `<div class="text-success">${result.changes.map(c => this.escapeHtml(c)).join('<br>')}</div>`
+                : '<div class="text-muted">No settings changed</div>';
+            if (result.reportedToDeviceTwin === true) {
+                html += '<div class="text-success">Reported to device twin</div>';
+            } else if (result.reportedToDeviceTwin === false) {
+                html += `<div class="text-warning">Applied locally, but not reported to device twin: ${this.escapeHtml(result.deviceTwinError || 'unknown error')}</div>`;
+            }
+            status.innerHTML = html;
+
+            this.addAlert({
+                title: 'Camera Settings',
+                message: result.message,
+                severity: result.reportedToDeviceTwin === false ? 'Warning' : 'Success',
+                timestamp: new Date().toISOString()
+            });
+            this.loadCameraConfiguration();
+        } catch (error) {
+            console.error('Failed to save camera settings:', error);
+            status.innerHTML = `<span class="text-danger">Failed to save camera settings: ${this.escapeHtml(error.message)}</span>`;
+        } finally {
+            applyButton.disabled = false;
+        }
+    }
+
+    // Camera Exposure Mode Management
+    setExposureMode(mode) {
+        const exposureSelect = document.getElementById('exposure-mode');
+        if (exposureSelect) {
+            exposureSelect.value = mode;
+            this.updateExposureMode();
+        }
+    }
+
+    updateExposureMode() {
+        const exposureSelect = document.getElementById('exposure-mode');
+        const statusDiv = document.getElementById('exposure-mode-status');
+        const messageSpan = document.getElementById('exposure-mode-message');
+        
+        if (exposureSelect && statusDiv && messageSpan) {
+            const selectedMode = exposureSelect.value;
+            const selectedOption = exposureSelect.options[exposureSelect.selectedIndex];
+            const description = selectedOption.text.split(' - ')[1] || selectedOption.text;
+            
+            statusDiv.style.display = 'block';
+            messageSpan.textContent = `Selected: ${selectedMode} - ${description}`;
+            
+            // Auto-hide after 3 seconds
+            setTimeout(() => {
+                statusDiv.style.display = 'none';
+            }, 3000);
+        }
+    }
+
+    async applyExposureMode() {
+        const exposureSelect = document.getElementById('exposure-mode');
+        const statusDiv = document.getElementById('exposure-mode-status');
+        const messageSpan = document.getElementById('exposure-mode-message');
+        
+        if (!exposureSelect || !statusDiv || !messageSpan) {
+            console.error('Exposure mode elements not found');
+            return;
+        }
+        
+        const selectedMode = exposureSelect.value;
+        
+        try {
+            statusDiv.style.display = 'block';
+            statusDiv.className = 'mt-2 alert alert-info';
+            messageSpan.innerHTML = `<i class="bi bi-hourglass-split"></i> Applying exposure mode: ${selectedMode}...`;
+            
+            // Send the exposure mode update to the device
+            const response = await fetch('/api/camera/exposure-mode', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ 
+                    exposureMode: selectedMode 
+                })
+            });
+            
+            if (response.ok) {
+                const result = await response.json();
+                statusDiv.className = 'mt-2 alert alert-success';
+                messageSpan.innerHTML = `<i class="bi bi-check-circle"></i> Successfully applied exposure mode: ${selectedMode}`;
+                
+                // Optionally trigger a test capture to show the effect
+                setTimeout(() => {
+                    this.testExposureMode();
+                }, 1000);
+            } else {
+                const error = await response.json();
+                throw new Error(error.message || 'Failed to apply exposure mode');
+            }
+        } catch (error) {
+            console.error('Failed to apply exposure mode:', error);
+            statusDiv.className = 'mt-2 alert alert-danger';
+            messageSpan.innerHTML = `<i class="bi bi-exclamation-triangle"></i> Failed to apply exposure mode: ${error.message}`;
+        }
+        
+        // Auto-hide after 5 seconds
+        setTimeout(() => {
+            statusDiv.style.display = 'none';
+        }, 5000);
+    }
+
+    async testExposureMode() {
+        const statusDiv = document.getElementById('exposure-mode-status');
+        const messageSpan = document.getElementById('exposure-mode-message');
+        
+        if (!statusDiv || !messageSpan) {
+            console.error('Exposure mode status elements not found');
+            return;
+        }
+        
+        try {
+            statusDiv.style.display = 'block';
+            statusDiv.className = 'mt-2 alert alert-info';
+            messageSpan.innerHTML = `<i class="bi bi-camera"></i> Capturing test image with current exposure mode...`;
+            
+            // Trigger a test capture
+            const response = await fetch('/api/camera/test-capture', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                }
+            });
+            
+            if (response.ok) {
+                const result = await response.json();
+                statusDiv.className = 'mt-2 alert alert-success';
+                messageSpan.innerHTML = `<i class="bi bi-check-circle"></i> Test capture completed! Check the debug images section for results.`;
+                
+                // If we're on the debug images section, refresh it
+                if (document.getElementById('debug-images-section').style.display !== 'none') {
+                    setTimeout(() => {
+                        this.loadDebugImages();
+                    }, 1000);
+                }
+            } else {
+                const error = await response.json();
+                throw new Error(error.message || 'Failed to capture test image');
+            }
+        } catch (error) {
+            console.error('Failed to capture test image:', error);
+            statusDiv.className = 'mt-2 alert alert-danger';
+            messageSpan.innerHTML = `<i class="bi bi-exclamation-triangle"></i> Failed to capture test image: ${error.message}`;
+        }
+        
+        // Auto-hide after 5 seconds
+        setTimeout(() => {
+            statusDiv.style.display = 'none';
+        }, 5000);
+    }
+
+    // Load current camera configuration
+    async loadCameraConfiguration() {
+        try {
+            const response = await fetch('/api/camera/configuration');
+            if (response.ok) {
+                const config = await response.json();
+                
+                // Update the exposure mode dropdown
+                const exposureSelect = document.getElementById('exposure-mode');
+                if (exposureSelect && config.exposureMode) {
+                    exposureSelect.value = config.exposureMode;
+                }
+                
+                console.log('Camera configuration loaded:', config);
+            }
+        } catch (error) {
+            console.error('Failed to load camera configuration:', error);
+        }
+    }
+
+    // Device Twin Configuration
+    async loadTwinConfiguration() {
+        const container = document.getElementById('twin-sections');
+
+        try {
+            const response = await fetch('/api/devicetwin/configuration');
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.error || `HTTP ${response.status}`);
+            }
+
+            this.twinConfiguration = result;
+            this.renderTwinSyncStatus(result.sync);
+            this.renderTwinSections(result.sections);
+            this.renderTwinOtherProperties(result.otherProperties);
+
+            const readError = document.getElementById('twin-read-error');
+            readError.textContent = result.twinError ? `Could not read the twin: ${result.twinError}. Showing running values only.` : '';
+            readError.style.display = result.twinError ? 'block' : 'none';
+        } catch (error) {
+            console.error('Failed to load device twin configuration:', error);
+            container.innerHTML = `<div class="text-danger small">Failed to load configuration: ${this.escapeHtml(error.message)}</div>`;
+        }
+    }
+
+    renderTwinSyncStatus(sync) {
+        document.getElementById('twin-sync-source').textContent = sync.source;
+        document.getElementById('twin-sync-last').textContent = sync.lastSyncUtc ? new Date(sync.lastSyncUtc).toLocaleString() : 'Never';
+        document.getElementById('twin-sync-attempt').innerHTML = sync.lastAttemptUtc
+            ? `${new Date(sync.lastAttemptUtc).toLocaleString()} (${this.escapeHtml(sync.lastTrigger)})
+               <span class="badge ${sync.lastAttemptSucceeded ? 'bg-success' : 'bg-danger'}">${sync.lastAttemptSucceeded ? 'OK' : 'Failed'}</span>`
+            : 'None since startup';
+
+        const error = document.getElementById('twin-sync-error');
+        error.textContent = sync.lastError ? `Last sync failed: ${sync.lastError}` : '';
+        error.style.display = sync.lastError ? 'block' : 'none';
+
+        const button = document.getElementById('twin-force-sync');
+        button.disabled = sync.syncing;
+    }
+
+    renderTwinSections(sections) {
+        const differencesOnly = document.getElementById('twin-differences-only').checked;
+        const value = (text) => text === null || text === undefined
+            ? '<span class="text-muted">&mdash;</span>'
+            : `<code>${this.escapeHtml(text)}</code>`;
+
+        document.getElementById('twin-sections').innerHTML = sections.map(section => {
+            const settings = differencesOnly
+                ? section.settings.filter(setting => setting.status === 'NotApplied' || setting.reportedDiffers)
+                : section.settings;
+
+            const rows = settings.map(setting => {
+                const notApplied = setting.status === 'NotApplied';
+                const badges = [
+                    notApplied ? '<span class="badge bg-warning text-dark">Not applied</span>' : '',
+                    setting.reportedDiffers ? '<span class="badge bg-info text-dark">Reported</span>' : '',
+                    setting.status === 'NotInTwin' ? '<span class="badge bg-light text-muted">Local</span>' : ''
+                ].join(' ');
+
+                return `
+                    <tr class="${notApplied ? 'table-warning' : setting.reportedDiffers ? 'table-info' : ''}">
+                        <td>${this.escapeHtml(setting.property)}<div class="small text-muted">${this.escapeHtml(setting.twinKey)}</div></td>
+                        <td>${value(setting.desired)}</td>
+                        <td>${value(setting.reported)}</td>
+                        <td>${value(setting.effective)}</td>
+                        <td class="text-nowrap">${badges}</td>
+                    </tr>
+                `;
+            }).join('');
+
+            return `
+                <h6 class="mt-3">
+                    ${this.escapeHtml(section.name)}
+                    <span class="badge ${section.differences ? 'bg-warning text-dark' : 'bg-success'}">
+                        ${section.differences ? `${section.differences} difference${section.differences === 1 ? '' : 's'}` : 'In sync'}
+                    </span>
+                </h6>
+                ${rows ? `
+                    <div class="table-responsive">
+                        <table class="table table-sm align-middle">
+                            <thead>
+                                <tr><th>Setting</th><th>Desired</th><th>Reported</th><th>Running</th><th></th></tr>
+                            </thead>
+                            <tbody>${rows}</tbody>
+                        </table>
+                    </div>
+                ` : '<p class="small text-muted">No differences</p>'}
+            `;
+        }).join('');
+    }
+
+    renderTwinOtherProperties(properties) {
+        const table = document.getElementById('twin-other-properties');
+        if (properties.length === 0) {
+            table.innerHTML = '<tr><td colspan="3" class="text-muted">None</td></tr>';
+            return;
+        }
+
+        const value = (text) => text === null ? '<span class="text-muted">&mdash;</span>' : `<code class="text-break">${this.escapeHtml(text)}</code>`;
+        table.innerHTML = properties.map(property => `
+            <tr>
+                <td>${this.escapeHtml(property.key)}</td>
+                <td>${value(property.desired)}</td>
+                <td>${value(property.reported)}</td>
+            </tr>
+        `).join('');
+    }
+
+    async forceTwinSync() {
+        if (!confirm('Apply the device twin desired properties now? Camera, OCR, debug and web settings changed from the dashboard since the last sync will be replaced.')) {
+            return;
+        }
+
+        const button = document.getElementById('twin-force-sync');
+        button.disabled = true;
+
+        try {
+            const response = await fetch('/api/devicetwin/sync', { method: 'POST' });
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.error || `HTTP ${response.status}`);
+            }
+
+            this.addAlert({
+                title: result.lastAttemptSucceeded ? 'Device Twin Synced' : 'Device Twin Sync Failed',
+                message: result.lastAttemptSucceeded ? `Applied desired properties from ${result.source}` : result.lastError,
+                severity: result.lastAttemptSucceeded ? 'Success' : 'Danger',
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('Failed to sync device twin:', error);
+            this.addAlert({
+                title: 'Device Twin Sync Failed',
+                message: error.message,
+                severity: 'Danger',
+                timestamp: new Date().toISOString()
+            });
+        } finally {
+            button.disabled = false;
+            this.loadTwinConfiguration();
+        }
+    }
+
+    // System Health
+    async loadSystemHealth() {
+        const hours = document.getElementById('health-range').value;
+        const warnings = document.getElementById('health-warnings');
+
+        try {
+            const response = await fetch(`/api/systemhealth/trend?hours=${encodeURIComponent(hours)}`);
+            const trend = await response.json();
+
+            if (!response.ok) {
+                throw new Error(trend.error || `HTTP ${response.status}`);
+            }
+
+            this.renderHealthSummary(trend);
+            this.displayHealthCharts(trend);
+        } catch (error) {
+            console.error('Failed to load system health:', error);
+            warnings.innerHTML = `<div class="text-danger small">Failed to load system health: ${this.escapeHtml(error.message)}</div>`;
+        }
+    }
+
+    renderHealthSummary(trend) {
+        const alertClass = { Danger: 'alert-danger', Warning: 'alert-warning', Info: 'alert-info' };
+        document.getElementById('health-warnings').innerHTML = trend.warnings.map(warning => `
+            <div class="alert ${alertClass[warning.severity] || 'alert-warning'} small py-2">
+                <strong>${this.escapeHtml(warning.title)}</strong> &mdash; ${this.escapeHtml(warning.message)}
+            </div>
+        `).join('');
+
+        const latest = trend.latest;
+        const value = (number, unit, digits = 1) => number === null || number === undefined ? '--' : `${number.toFixed(digits)} ${unit}`;
+        const items = latest
+            ? [
+                `Last sample: ${new Date(latest.timestampUtc).toLocaleString()}`,
+                `SD card: ${value(latest.storagePercent, '%')} (${value(latest.storageFreeMb, 'MB', 0)} free)`,
+                `Temperature: ${value(latest.temperatureCelsius, '°C')}`,
+                `WellMonitor memory: ${value(latest.processMemoryMb, 'MB', 0)}`,
+                `Memory growth: ${trend.memoryGrowthMbPerHour === null ? 'not enough samples' : value(trend.memoryGrowthMbPerHour, 'MB/hour', 2)}`,
+                `Full in: ${trend.storageDaysUntilFull === null ? 'not filling' : value(trend.storageDaysUntilFull, 'days')}`
+            ]
+            : ['No samples yet; the first is taken shortly after startup'];
+
+        document.getElementById('health-trend-summary').innerHTML = items.map(item => `<span>${this.escapeHtml(item)}</span>`).join('');
+    }
+
+    displayHealthCharts(trend) {
+        const from = new Date(trend.fromUtc).getTime();
+        const to = new Date(trend.toUtc).getTime();
+        const points = (field) => trend.samples.map(sample => ({ x: new Date(sample.timestampUtc).getTime(), y: sample[field] }));
+        const threshold = (label, y, color) => ({
+            label,
+            data: [{ x: from, y }, { x: to, y }],
+            borderColor: color,
+            borderDash: [6, 4],
+            borderWidth: 1,
+            pointRadius: 0
+        });
+        const series = (label, field, color, extra = {}) => ({
+            label,
+            data: points(field),
+            borderColor: color,
+            backgroundColor: color,
+            pointRadius: 0,
+            spanGaps: true,
+            tension: 0.1,
+            ...extra
+        });
+        const thresholds = trend.thresholds;
+        const warningColor = 'rgb(255, 193, 7)';
+        const dangerColor = 'rgb(220, 53, 69)';
+
+        // Current throttling bits: frequency capped, throttled, soft temperature limit
+        const throttled = trend.samples
+            .filter(sample => (sample.throttledFlags ?? 0) & 0xE)
+            .map(sample => ({ x: new Date(sample.timestampUtc).getTime(), y: sample.temperatureCelsius ?? thresholds.temperatureCriticalCelsius }));
+
+        this.displayHealthChart('healthStorage', 'health-storage-chart', from, to, [
+            series('Used (%)', 'storagePercent', 'rgb(13, 110, 253)'),
+            threshold(`Warning (${thresholds.storageWarningPercent}%)`, thresholds.storageWarningPercent, warningColor),
+            threshold(`Critical (${thresholds.storageCriticalPercent}%)`, thresholds.storageCriticalPercent, dangerColor)
+        ], { y: { min: 0, max: 100, title: { display: true, text: 'Used (%)' } } });
+
+        this.displayHealthChart('healthTemperature', 'health-temperature-chart', from, to, [
+            series('SoC (°C)', 'temperatureCelsius', 'rgb(255, 159, 64)'),
+            { label: 'Throttled', data: throttled, borderColor: dangerColor, backgroundColor: dangerColor, showLine: false, pointRadius: 3 },
+            threshold(`Warning (${thresholds.temperatureWarningCelsius} °C)`, thresholds.temperatureWarningCelsius, warningColor),
+            threshold(`Throttling (${thresholds.temperatureCriticalCelsius} °C)`, thresholds.temperatureCriticalCelsius, dangerColor)
+        ], { y: { suggestedMin: 30, suggestedMax: 90, title: { display: true, text: '°C' } } });
+
+        this.displayHealthChart('healthMemory', 'health-memory-chart', from, to, [
+            series('WellMonitor (MB)', 'processMemoryMb', 'rgb(111, 66, 193)'),
+            series('System (%)', 'memoryPercent', 'rgb(108, 117, 125)', { yAxisID: 'y1' })
+        ], {
+            y: { beginAtZero: true, title: { display: true, text: 'WellMonitor (MB)' } },
+            y1: { position: 'right', min: 0, max: 100, grid: { drawOnChartArea: false }, title: { display: true, text: 'System (%)' } }
+        });
+
+        this.displayHealthChart('healthCpu', 'health-cpu-chart', from, to, [
+            series('CPU (%)', 'cpuPercent', 'rgb(25, 135, 84)')
+        ], { y: { min: 0, max: 100, title: { display: true, text: 'CPU (%)' } } });
+    }
+
+    displayHealthChart(key, canvasId, from, to, datasets, scales) {
+        if (this.charts[key]) {
+            this.charts[key].destroy();
+        }
+
+        this.charts[key] = new Chart(document.getElementById(canvasId).getContext('2d'), {
+            type: 'line',
+            data: { datasets },
             options: {
                 responsive: true,
                 maintainAspectRatio: false,
+                animation: false,
+                parsing: false,
                 scales: {
-                    y: {
-                        beginAtZero: true,
-                        title: {
-                            display: true,
-                            text: 'Current (A)'
-                        }
-                    },
                     x: {
-                        title: {
-                            display: true,
-                            text: 'Time'
-                        }
-                    }
+                        type: 'time',
+                        min: from,
+                        max: to
+                    },
+                    ...scales
                 },
                 plugins: {
                     legend: {
-                        display: false
+                        labels: { boxWidth: 12 }
                     }
                 }
             }
         });
     }
 
-    async updateCurrentChart() {
+    async loadStorageBreakdown() {
+        const rows = document.getElementById('storage-breakdown-rows');
+
         try {
-            const response = await fetch('/api/devicestatus/history?hours=1');
-            const data = await response.json();
-            
-            const labels = data.map(reading => new Date(reading.timestamp).toLocaleTimeString());
-            const values = data.map(reading => reading.currentDraw);
-            
-            this.charts.current.data.labels = labels;
-            this.charts.current.data.datasets[0].data = values;
-            this.charts.current.update();
-            
+            const response = await fetch('/api/systemhealth/storage');
+            const breakdown = await response.json();
+
+            if (!response.ok) {
+                throw new Error(breakdown.error || `HTTP ${response.status}`);
+            }
+
+            this.renderStorageBreakdown(breakdown);
         } catch (error) {
-            console.error('Failed to update current chart:', error);
+            console.error('Failed to load storage breakdown:', error);
+            rows.innerHTML = `<tr><td colspan="4" class="text-danger small">Failed to load storage: ${this.escapeHtml(error.message)}</td></tr>`;
         }
     }
 
-    // ROI Calibration
-    async loadRoiCalibration() {
-        try {
-            // Load current ROI settings
-            const response = await fetch('/api/roi/current');
-            const roi = await response.json();
-            
-            document.getElementById('roi-x').value = roi.x;
-            document.getElementById('roi-y').value = roi.y;
-            document.getElementById('roi-width').value = roi.width;
-            document.getElementById('roi-height').value = roi.height;
-            
-            this.updateRoiLabels();
-            
-            // Load latest image for ROI preview
-            await this.loadRoiPreviewImage();
-            
-        } catch (error) {
-            console.error('Failed to load ROI calibration:', error);
-        }
+    renderStorageBreakdown(breakdown) {
+        const size = (bytes) => {
+            const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+            let value = bytes;
+            let unit = 0;
+            while (value >= 1024 && unit < units.length - 1) {
+                value /= 1024;
+                unit++;
+            }
+            return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+        };
+
+        const used = breakdown.driveUsedPercent;
+        document.getElementById('storage-drive-summary').textContent = used === null
+            ? `Could not read the drive holding ${breakdown.drivePath}`
+            : `${used}% used, ${size(breakdown.driveFreeBytes)} free of ${size(breakdown.driveTotalBytes)} (${breakdown.drivePath})`;
+        const bar = document.getElementById('storage-drive-bar');
+        bar.style.width = `${used ?? 0}%`;
+        bar.className = `progress-bar ${used >= 90 ? 'bg-danger' : used >= 80 ? 'bg-warning' : 'bg-success'}`;
+
+        document.getElementById('storage-breakdown-rows').innerHTML = breakdown.items.map(item => `
+            <tr>
+                <td>${this.escapeHtml(item.name)}</td>
+                <td class="small text-muted text-break">${this.escapeHtml(item.path)}</td>
+                <td class="text-end">${item.exists ? item.files : '--'}</td>
+                <td class="text-end">${item.exists ? size(item.bytes) : '<span class="text-muted">Not found</span>'}</td>
+            </tr>
+        `).join('');
+
+        document.getElementById('storage-retention-days').value = breakdown.imageRetentionDays;
+        const oldest = breakdown.oldestDebugImageUtc ? `; oldest image from ${new Date(breakdown.oldestDebugImageUtc).toLocaleString()}` : '';
+        document.getElementById('storage-retention-summary').textContent =
+            `Keeping ${breakdown.imageRetentionDays} days of debug images, automatic cleanup ${breakdown.autoCleanupDebugImages ? 'on' : 'off'}. ` +
+            `${breakdown.expiredDebugImages} images (${size(breakdown.expiredDebugImageBytes)}) are past the retention${oldest}.`;
     }
 
-    async loadRoiPreviewImage() {
+    async saveImageRetention() {
+        const days = parseInt(document.getElementById('storage-retention-days').value, 10);
+
         try {
-            const response = await fetch('/api/debugimages/recent?limit=1');
-            const images = await response.json();
-            
-            if (images.length > 0) {
-                const imagePath = images[0].path;
-                await this.loadImageWithRoi(imagePath);
+            const response = await fetch('/api/systemhealth/retention', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ imageRetentionDays: days })
+            });
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.error || `HTTP ${response.status}`);
             }
-            
+
+            this.renderStorageBreakdown(result);
+            this.addAlert({
+                title: 'Retention Updated',
+                message: `Keeping ${result.imageRetentionDays} days of debug images`,
+                severity: 'Success',
+                timestamp: new Date().toISOString()
+            });
         } catch (error) {
-            console.error('Failed to load ROI preview image:', error);
+            console.error('Failed to update image retention:', error);
+            this.addAlert({
+                title: 'Retention Update Failed',
+                message: error.message,
+                severity: 'Danger',
+                timestamp: new Date().toISOString()
+            });
         }
     }
 
-    async loadImageWithRoi(imagePath) {
-        const roiImageContainer = document.getElementById('roi-image-container');
-        
-        // Create image element
-        this.roiImage = document.createElement('img');
-        this.roiImage.className = 'roi-canvas img-fluid';
-        this.roiImage.src = `/api/debugimages/image?path=${encodeURIComponent(imagePath)}`;
-        
-        this.roiImage.onload = () => {
-            roiImageContainer.innerHTML = '';
-            roiImageContainer.appendChild(this.roiImage);
-            this.updateRoiDisplay();
-        };
-    }
-
-    updateRoiDisplay() {
-        if (!this.roiImage) return;
-        
-        const x = parseFloat(document.getElementById('roi-x').value);
-        const y = parseFloat(document.getElementById('roi-y').value);
-        const width = parseFloat(document.getElementById('roi-width').value);
-        const height = parseFloat(document.getElementById('roi-height').value);
-        
-        this.updateRoiLabels();
-        
-        // Remove existing ROI rectangle
-        const existingRect = document.querySelector('.roi-rectangle');
-        if (existingRect) {
-            existingRect.remove();
+    async cleanupExpiredImages() {
+        const days = document.getElementById('storage-retention-days').value;
+        if (!confirm(`Delete debug images older than ${days} days? Labelled images in the OCR dataset are kept.`)) {
+            return;
         }
-        
-        // Create new ROI rectangle
-        const rect = document.createElement('div');
-        rect.className = 'roi-rectangle';
-        
-        const imageRect = this.roiImage.getBoundingClientRect();
-        rect.style.left = `${x * imageRect.width / 100}px`;
-        rect.style.top = `${y * imageRect.height / 100}px`;
-        rect.style.width = `${width * imageRect.width / 100}px`;
-        rect.style.height = `${height * imageRect.height / 100}px`;
-        
-        this.roiImage.parentElement.appendChild(rect);
-    }
 
-    updateRoiLabels() {
-        document.getElementById('roi-x-value').textContent = document.getElementById('roi-x').value + '%';
-        document.getElementById('roi-y-value').textContent = document.getElementById('roi-y').value + '%';
-        document.getElementById('roi-width-value').textContent = document.getElementById('roi-width').value + '%';
-        document.getElementById('roi-height-value').textContent = document.getElementById('roi-height').value + '%';
-    }
+        const button = document.getElementById('storage-cleanup');
+        button.disabled = true;
 
-    async saveRoi() {
         try {
-            const roi = {
-                x: parseFloat(document.getElementById('roi-x').value),
-                y: parseFloat(document.getElementById('roi-y').value),
-                width: parseFloat(document.getElementById('roi-width').value),
-                height: parseFloat(document.getElementById('roi-height').value)
-            };
-            
-            const response = await fetch('/api/roi/update', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(roi)
-            });
-            
-            if (response.ok) {
-                this.addAlert({
-                    title: 'Success',
-                    message: 'ROI settings saved successfully',
-                    severity: 'Success',
-                    timestamp: new Date().toISOString()
-                });
-            } else {
-                throw new Error('Failed to save ROI');
+            const response = await fetch(`/api/debugimages/cleanup?keepDays=${encodeURIComponent(days)}`, { method: 'POST' });
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.error || `HTTP ${response.status}`);
             }
-            
+
+            this.addAlert({
+                title: 'Debug Images Cleaned Up',
+                message: `Deleted ${result.deletedFiles} images older than ${result.keepDays} days`,
+                severity: 'Success',
+                timestamp: new Date().toISOString()
+            });
         } catch (error) {
-            console.error('Failed to save ROI:', error);
+            console.error('Failed to clean up debug images:', error);
             this.addAlert({
-                title: 'Error',
-                message: 'Failed to save ROI settings',
+                title: 'Cleanup Failed',
+                message: error.message,
                 severity: 'Danger',
                 timestamp: new Date().toISOString()
             });
+        } finally {
+            button.disabled = false;
+            this.loadStorageBreakdown();
         }
     }
 
-    async testRoi() {
+    // Data Export and Backup
+    initializeExportRange() {
+        const from = document.getElementById('export-from');
+        const to = document.getElementById('export-to');
+        if (from.value && to.value) return;
+
+        const today = new Date();
+        to.value = today.toISOString().slice(0, 10);
+        from.value = new Date(today.getTime() - 30 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    }
+
+    // The days are UTC, like the summary keys; the end day is included, so the range runs to the next midnight
+    exportData() {
+        const from = document.getElementById('export-from').value;
+        const to = document.getElementById('export-to').value;
+        const end = new Date(`${to}T00:00:00Z`);
+        end.setUTCDate(end.getUTCDate() + 1);
+
+        if (new Date(`${from}T00:00:00Z`) >= end) {
+            this.addAlert({
+                title: 'Export Not Started',
+                message: 'The start day must not be after the end day',
+                severity: 'Warning',
+                timestamp: new Date().toISOString()
+            });
+            return;
+        }
+
+        const params = new URLSearchParams({
+            dataset: document.getElementById('export-dataset').value,
+            format: document.getElementById('export-format').value,
+            from: `${from}T00:00:00Z`,
+            to: end.toISOString()
+        });
+
+        // The browser streams the download to disk, so large exports don't pass through page memory
+        const link = document.createElement('a');
+        link.href = `/api/export?${params}`;
+        link.download = '';
+        link.click();
+    }
+
+    downloadBackup() {
+        const link = document.createElement('a');
+        link.href = '/api/backup';
+        link.download = '';
+        link.click();
+    }
+
+    async restoreBackup() {
+        const file = document.getElementById('backup-file').files[0];
+        if (!file) return;
+
+        if (!confirm(`Restore ${file.name}? All readings, alerts, users and settings on this device are replaced.`)) {
+            return;
+        }
+
+        const button = document.getElementById('backup-restore');
+        const summary = document.getElementById('backup-restore-result');
+        button.disabled = true;
+        summary.textContent = 'Restoring...';
+
         try {
-            const response = await fetch('/api/roi/test', { method: 'POST' });
+            const body = new FormData();
+            body.append('bundle', file);
+
+            const response = await fetch('/api/backup/restore', { method: 'POST', body });
             const result = await response.json();
-            
+
+            if (!response.ok) {
+                throw new Error(result.error || `HTTP ${response.status}`);
+            }
+
+            const manifest = result.manifest;
+            summary.textContent = `Restored the backup of ${manifest.deviceName} from ${new Date(manifest.createdUtc).toLocaleString()}: ` +
+                `${result.readings} readings, ${result.roiProfiles} ROI profiles and ${result.dashboardUsers} users` +
+                `${result.localTwinRestored ? ', and the local twin file' : ''}. ` +
+                (result.configurationSaved
+                    ? 'Restored settings are kept across restarts until the next device twin sync.'
+                    : 'Restored settings could not be saved and will be lost on restart.');
             this.addAlert({
-                title: 'ROI Test Result',
-                message: `OCR Result: ${result.text} (Confidence: ${result.confidence}%)`,
-                severity: result.confidence > 70 ? 'Success' : 'Warning',
+                title: 'Backup Restored',
+                message: `Restored ${result.readings} readings from ${manifest.deviceName}`,
+                severity: 'Success',
                 timestamp: new Date().toISOString()
             });
-            
+            this.loadDashboardData();
         } catch (error) {
-            console.error('Failed to test ROI:', error);
+            console.error('Failed to restore backup:', error);
+            summary.textContent = `Restore failed: ${error.message}`;
             this.addAlert({
-                title: 'Error',
-                message: 'Failed to test ROI',
+                title: 'Restore Failed',
+                message: error.message,
                 severity: 'Danger',
                 timestamp: new Date().toISOString()
             });
+        } finally {
+            button.disabled = false;
         }
     }
 
-    async autoCalibrateRoi() {
+    // Logs
+    async joinLogStream() {
+        if (this.logStreamJoined || this.connection?.state !== signalR.HubConnectionState.Connected) return;
+
         try {
-            document.getElementById('auto-calibrate').disabled = true;
-            document.getElementById('auto-calibrate').innerHTML = '<span class="spinner-border spinner-border-sm me-2"></span>Calibrating...';
-            
-            const response = await fetch('/api/roi/auto-calibrate', { method: 'POST' });
-            const result = await response.json();
-            
-            if (result.success) {
-                document.getElementById('roi-x').value = result.roi.x;
-                document.getElementById('roi-y').value = result.roi.y;
-                document.getElementById('roi-width').value = result.roi.width;
-                document.getElementById('roi-height').value = result.roi.height;
-                
-                this.updateRoiDisplay();
-                
-                this.addAlert({
-                    title: 'Auto-Calibration Success',
-                    message: `ROI automatically calibrated with confidence: ${result.confidence}%`,
-                    severity: 'Success',
-                    timestamp: new Date().toISOString()
-                });
+            await this.connection.invoke("JoinLogStream");
+            this.logStreamJoined = true;
+        } catch (err) {
+            console.error("Failed to join the log stream:", err);
+        }
+    }
+
+    async leaveLogStream() {
+        if (!this.logStreamJoined) return;
+
+        this.logStreamJoined = false;
+        try {
+            await this.connection.invoke("LeaveLogStream");
+        } catch (err) {
+            console.error("Failed to leave the log stream:", err);
+        }
+    }
+
+    // Filters as API query parameters; the same filters are applied to live entries in matchesLogFilter
+    getLogFilter() {
+        const from = document.getElementById('log-from').value;
+        const to = document.getElementById('log-to').value;
+
+        return {
+            minLevel: document.getElementById('log-level').value,
+            area: document.getElementById('log-area').value,
+            text: document.getElementById('log-text').value.trim(),
+            from: from ? new Date(from) : null,
+            to: to ? new Date(to) : null
+        };
+    }
+
+    getLogQueryParams(filter) {
+        const params = new URLSearchParams({ minLevel: filter.minLevel });
+        if (filter.area) params.set('area', filter.area);
+        if (filter.text) params.set('text', filter.text);
+        if (filter.from) params.set('from', filter.from.toISOString());
+        if (filter.to) params.set('to', filter.to.toISOString());
+        return params;
+    }
+
+    matchesLogFilter(entry, filter) {
+        const levels = WellMonitorDashboard.LOG_LEVELS;
+        if (levels.indexOf(entry.level) < levels.indexOf(filter.minLevel)) return false;
+        if (filter.area && entry.area !== filter.area) return false;
+
+        const timestamp = new Date(entry.timestampUtc);
+        if (filter.from && timestamp < filter.from) return false;
+        if (filter.to && timestamp >= filter.to) return false;
+
+        if (filter.text) {
+            const text = filter.text.toLowerCase();
+            return [entry.message, entry.category, entry.exception]
+                .some(value => value && value.toLowerCase().includes(text));
+        }
+        return true;
+    }
+
+    // Without afterSequence the view is replaced; with it, entries missed while disconnected are appended
+    async loadLogs(afterSequence = null) {
+        const filter = this.getLogFilter();
+        const params = this.getLogQueryParams(filter);
+        params.set('limit', WellMonitorDashboard.MAX_LOG_ENTRIES);
+        if (afterSequence !== null) params.set('afterSequence', afterSequence);
+
+        try {
+            const response = await fetch(`/api/logs?${params}`);
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.error || `HTTP ${response.status}`);
+            }
+
+            if (afterSequence === null) {
+                this.logEntries = result;
+                this.logPending = [];
+                this.lastLogSequence = result.at(-1)?.sequence ?? this.lastLogSequence;
+                this.renderLogEntries();
             } else {
-                this.addAlert({
-                    title: 'Auto-Calibration Failed',
-                    message: result.message || 'Unable to automatically detect text region',
-                    severity: 'Warning',
-                    timestamp: new Date().toISOString()
-                });
+                this.appendLogEntries(result, true);
             }
-            
         } catch (error) {
-            console.error('Failed to auto-calibrate ROI:', error);
+            console.error('Failed to load log entries:', error);
             this.addAlert({
-                title: 'Error',
-                message: 'Auto-calibration failed',
+                title: 'Logs Unavailable',
+                message: error.message,
                 severity: 'Danger',
                 timestamp: new Date().toISOString()
             });
-        } finally {
-            document.getElementById('auto-calibrate').disabled = false;
-            document.getElementById('auto-calibrate').innerHTML = '<i class="bi bi-magic"></i> Auto-Calibrate ROI';
         }
     }
 
-    // Camera Positioning
-    startCameraPreview() {
-        this.stopCameraPreview();
-        
-        this.cameraPreviewInterval = setInterval(() => {
-            this.updateCameraPreview();
-        }, 2000);
-        
-        this.updateCameraPreview();
+    receiveLogEntries(entries) {
+        if (this.currentSection !== 'logs') return;
+
+        const filter = this.getLogFilter();
+        this.appendLogEntries(entries.filter(entry => this.matchesLogFilter(entry, filter)), false);
+        this.lastLogSequence = Math.max(this.lastLogSequence ?? 0, ...entries.map(entry => entry.sequence));
     }
 
-    stopCameraPreview() {
-        if (this.cameraPreviewInterval) {
-            clearInterval(this.cameraPreviewInterval);
-            this.cameraPreviewInterval = null;
+    appendLogEntries(entries, render) {
+        const lastShown = this.logPending.at(-1) ?? this.logEntries.at(-1);
+        const newEntries = entries.filter(entry => !lastShown || entry.sequence > lastShown.sequence);
+        if (newEntries.length > 0) {
+            this.lastLogSequence = Math.max(this.lastLogSequence ?? 0, newEntries.at(-1).sequence);
+        }
+
+        if (this.logsPaused) {
+            this.logPending = this.logPending.concat(newEntries).slice(-WellMonitorDashboard.MAX_LOG_ENTRIES);
+            this.updateLogControls();
+            if (render) this.renderLogEntries();
+            return;
+        }
+
+        this.logEntries = this.logEntries.concat(newEntries);
+        const dropped = this.logEntries.length - WellMonitorDashboard.MAX_LOG_ENTRIES;
+        if (dropped > 0) {
+            this.logEntries = this.logEntries.slice(dropped);
+        }
+
+        if (render || dropped > 0) {
+            this.renderLogEntries();
+        } else {
+            this.appendLogLines(newEntries);
         }
     }
 
-    async updateCameraPreview() {
-        try {
-            const response = await fetch('/api/debugimages/live-capture');
-            const blob = await response.blob();
-            const imageUrl = URL.createObjectURL(blob);
-            
-            const previewImg = document.getElementById('camera-preview-img');
-            if (previewImg) {
-                previewImg.src = imageUrl;
-            } else {
-                const cameraPreview = document.getElementById('camera-preview');
-                const img = document.createElement('img');
-                img.id = 'camera-preview-img';
-                img.src = imageUrl;
-                img.style.width = '100%';
-                img.style.height = 'auto';
-                cameraPreview.appendChild(img);
-            }
-            
-        } catch (error) {
-            console.error('Failed to update camera preview:', error);
+    renderLogEntries() {
+        const container = document.getElementById('log-entries');
+        container.innerHTML = '';
+
+        if (this.logEntries.length === 0) {
+            container.innerHTML = '<div class="text-muted p-3">No log entries</div>';
+        } else {
+            this.appendLogLines(this.logEntries);
         }
+        this.updateLogControls();
     }
 
-    async captureForPositioning() {
-        try {
-            const response = await fetch('/api/debugimages/capture-for-positioning', { method: 'POST' });
-            const result = await response.json();
-            
-            this.addAlert({
-                title: 'Positioning Image Captured',
-                message: `Image saved to ${result.imagePath}`,
-                severity: 'Info',
-                timestamp: new Date().toISOString()
-            });
-            
-        } catch (error) {
-            console.error('Failed to capture positioning image:', error);
+    // Follows the tail only while the view is scrolled to the bottom, so reading older lines isn't interrupted
+    appendLogLines(entries) {
+        if (entries.length === 0) return;
+
+        const container = document.getElementById('log-entries');
+        const following = container.scrollHeight - container.scrollTop - container.clientHeight < 40;
+        container.querySelector('.text-muted')?.remove();
+        container.insertAdjacentHTML('beforeend', entries.map(entry => this.formatLogLine(entry)).join(''));
+
+        if (following) {
+            container.scrollTop = container.scrollHeight;
         }
+        this.updateLogControls();
     }
 
-    toggleGrid(show) {
-        const gridOverlay = document.querySelector('.grid-overlay');
-        if (gridOverlay) {
-            gridOverlay.style.display = show ? 'block' : 'none';
+    formatLogLine(entry) {
+        const timestamp = new Date(entry.timestampUtc);
+        const time = `${timestamp.toLocaleTimeString([], { hour12: false })}.${String(timestamp.getMilliseconds()).padStart(3, '0')}`;
+        const source = entry.category.substring(entry.category.lastIndexOf('.') + 1);
+        const exception = entry.exception ? `\n${this.escapeHtml(entry.exception)}` : '';
+
+        return `<div class="log-line log-${entry.level.toLowerCase()}" title="${this.escapeHtml(entry.category)}">` +
+            `<span class="log-time">${timestamp.toLocaleDateString()} ${time}</span> ` +
+            `[${entry.level.substring(0, 4).toUpperCase()}] ${this.escapeHtml(entry.area)} ` +
+            `<span class="log-category">${this.escapeHtml(source)}</span>: ${this.escapeHtml(entry.message)}${exception}</div>`;
+    }
+
+    toggleLogPause() {
+        this.logsPaused = !this.logsPaused;
+
+        if (!this.logsPaused) {
+            const pending = this.logPending;
+            this.logPending = [];
+            this.appendLogEntries(pending, true);
         }
+        this.updateLogControls();
     }
 
-    toggleGuides(show) {
-        const guidesOverlay = document.querySelector('.positioning-guide-lines');
-        if (guidesOverlay) {
-            guidesOverlay.style.display = show ? 'block' : 'none';
+    updateLogControls() {
+        document.getElementById('log-count').textContent = this.logEntries.length;
+        document.getElementById('log-paused-badge').style.display = this.logsPaused ? '' : 'none';
+        document.getElementById('log-pause').innerHTML = this.logsPaused
+            ? `<i class="bi bi-play-fill"></i> Resume${this.logPending.length ? ` (${this.logPending.length} new)` : ''}`
+            : '<i class="bi bi-pause-fill"></i> Pause';
+    }
+
+    // The server applies the same filters, so the file holds the selected range rather than just the visible lines
+    downloadLogs() {
+        const params = this.getLogQueryParams(this.getLogFilter());
+        params.set('format', document.getElementById('log-download-format').value);
+
+        const link = document.createElement('a');
+        link.href = `/api/logs/download?${params}`;
+        link.click();
+    }
+
+    async loadLogSettings() {
+        try {
+            const response = await fetch('/api/logs/settings');
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.error || `HTTP ${response.status}`);
+            }
+
+            this.renderLogSettings(result);
+        } catch (error) {
+            console.error('Failed to load log settings:', error);
+            document.getElementById('log-settings-summary').textContent = 'Log settings unavailable';
         }
     }
 
-    // Manual Controls
-    async manualRelayCycle() {
+    renderLogSettings(settings) {
+        document.getElementById('log-settings-summary').textContent =
+            `Logging at ${settings.logLevel}; verbose OCR logging ${settings.enableVerboseOcrLogging ? 'on' : 'off'}`;
+        document.getElementById('log-settings-level').value = settings.logLevel;
+        document.getElementById('log-settings-verbose-ocr').checked = settings.enableVerboseOcrLogging;
+
+        const since = settings.oldestEntryUtc ? ` since ${new Date(settings.oldestEntryUtc).toLocaleString()}` : '';
+        document.getElementById('log-buffer-summary').textContent =
+            `The device keeps the last ${settings.bufferCapacity} entries (${settings.bufferedEntries} now${since}). ` +
+            'Older entries are only in journald.';
+    }
+
+    async saveLogSettings() {
         try {
-            const response = await fetch('/api/devicestatus/manual-cycle', { method: 'POST' });
-            
-            if (response.ok) {
-                this.addAlert({
-                    title: 'Manual Relay Cycle',
-                    message: 'Relay cycling initiated manually',
-                    severity: 'Info',
-                    timestamp: new Date().toISOString()
-                });
-            } else {
-                throw new Error('Failed to cycle relay');
+            const response = await fetch('/api/logs/settings', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    logLevel: document.getElementById('log-settings-level').value,
+                    enableVerboseOcrLogging: document.getElementById('log-settings-verbose-ocr').checked
+                })
+            });
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.error || `HTTP ${response.status}`);
             }
-            
+
+            this.renderLogSettings(result);
+            this.addAlert({
+                title: 'Log Settings Updated',
+                message: `Logging at ${result.logLevel}`,
+                severity: 'Success',
+                timestamp: new Date().toISOString()
+            });
         } catch (error) {
-            console.error('Failed to cycle relay:', error);
+            console.error('Failed to update log settings:', error);
             this.addAlert({
-                title: 'Error',
-                message: 'Failed to cycle relay manually',
+                title: 'Log Settings Update Failed',
+                message: error.message,
                 severity: 'Danger',
                 timestamp: new Date().toISOString()
             });
         }
     }
 
-    // Camera Exposure Mode Management
-    setExposureMode(mode) {
-        const exposureSelect = document.getElementById('exposure-mode');
-        if (exposureSelect) {
-            exposureSelect.value = mode;
-            this.updateExposureMode();
+    // User Management
+    async loadUsers() {
+        const table = document.getElementById('users-table');
+
+        try {
+            const response = await fetch('/api/auth/users');
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.error || `HTTP ${response.status}`);
+            }
+
+            this.userPasswordLength = result.minPasswordLength;
+            document.getElementById('user-create-password').minLength = result.minPasswordLength;
+            this.renderUsers(result.users, result.roles);
+        } catch (error) {
+            console.error('Failed to load users:', error);
+            table.innerHTML = `<tr><td colspan="5" class="text-danger">Failed to load users: ${this.escapeHtml(error.message)}</td></tr>`;
         }
     }
 
-    updateExposureMode() {
-        const exposureSelect = document.getElementById('exposure-mode');
-        const statusDiv = document.getElementById('exposure-mode-status');
-        const messageSpan = document.getElementById('exposure-mode-message');
-        
-        if (exposureSelect && statusDiv && messageSpan) {
-            const selectedMode = exposureSelect.value;
-            const selectedOption = exposureSelect.options[exposureSelect.selectedIndex];
-            const description = selectedOption.text.split(' - ')[1] || selectedOption.text;
-            
-            statusDiv.style.display = 'block';
-            messageSpan.textContent = `Selected: ${selectedMode} - ${description}`;
-            
-            // Auto-hide after 3 seconds
-            setTimeout(() => {
-                statusDiv.style.display = 'none';
-            }, 3000);
+    renderUsers(users, roles) {
+        const table = document.getElementById('users-table');
+        if (users.length === 0) {
+            table.innerHTML = '<tr><td colspan="5" class="text-muted">No users yet</td></tr>';
+            return;
         }
+
+        const currentUser = (this.session.username || '').toLowerCase();
+        table.innerHTML = users.map(user => {
+            const name = `${this.escapeHtml(user.username)}${user.username.toLowerCase() === currentUser ? ' <span class="badge bg-info text-dark">You</span>' : ''}`;
+
+            // The configured admin lives in the device configuration, not the database
+            if (user.configured) {
+                return `
+                    <tr>
+                        <td>${name}</td>
+                        <td>${this.escapeHtml(user.role)}</td>
+                        <td colspan="3" class="small text-muted">Configured admin (Web:AuthUsername / Web:AuthPassword)</td>
+                    </tr>
+                `;
+            }
+
+            return `
+                <tr>
+                    <td>${name}</td>
+                    <td>
+                        <select class="form-select form-select-sm w-auto" data-user-role="${user.id}" data-username="${this.escapeHtml(user.username)}" aria-label="Role">
+                            ${roles.map(role => `<option value="${this.escapeHtml(role)}" ${role === user.role ? 'selected' : ''}>${this.escapeHtml(role)}</option>`).join('')}
+                        </select>
+                    </td>
+                    <td class="small">${new Date(user.createdAtUtc).toLocaleDateString()}</td>
+                    <td class="small">${user.lastLoginUtc ? new Date(user.lastLoginUtc).toLocaleString() : 'Never'}</td>
+                    <td class="text-end text-nowrap">
+                        <button class="btn btn-sm btn-outline-secondary" data-user-action="password" data-user-id="${user.id}" data-username="${this.escapeHtml(user.username)}" title="Reset password">
+                            <i class="bi bi-key"></i>
+                        </button>
+                        <button class="btn btn-sm btn-outline-danger" data-user-action="delete" data-user-id="${user.id}" data-username="${this.escapeHtml(user.username)}" title="Delete user">
+                            <i class="bi bi-trash"></i>
+                        </button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
     }
 
-    async applyExposureMode() {
-        const exposureSelect = document.getElementById('exposure-mode');
-        const statusDiv = document.getElementById('exposure-mode-status');
-        const messageSpan = document.getElementById('exposure-mode-message');
-        
-        if (!exposureSelect || !statusDiv || !messageSpan) {
-            console.error('Exposure mode elements not found');
+    async createUser() {
+        const form = document.getElementById('user-create-form');
+        if (!form.reportValidity()) {
             return;
         }
-        
-        const selectedMode = exposureSelect.value;
-        
-        try {
-            statusDiv.style.display = 'block';
-            statusDiv.className = 'mt-2 alert alert-info';
-            messageSpan.innerHTML = `<i class="bi bi-hourglass-split"></i> Applying exposure mode: ${selectedMode}...`;
-            
-            // Send the exposure mode update to the device
-            const response = await fetch('/api/camera/exposure-mode', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({ 
-                    exposureMode: selectedMode 
-                })
-            });
-            
-            if (response.ok) {
-                const result = await response.json();
-                statusDiv.className = 'mt-2 alert alert-success';
-                messageSpan.innerHTML = `<i class="bi bi-check-circle"></i> Successfully applied exposure mode: ${selectedMode}`;
-                
-                // Optionally trigger a test capture to show the effect
-                setTimeout(() => {
-                    this.testExposureMode();
-                }, 1000);
-            } else {
-                const error = await response.json();
-                throw new Error(error.message || 'Failed to apply exposure mode');
-            }
-        } catch (error) {
-            console.error('Failed to apply exposure mode:', error);
-            statusDiv.className = 'mt-2 alert alert-danger';
-            messageSpan.innerHTML = `<i class="bi bi-exclamation-triangle"></i> Failed to apply exposure mode: ${error.message}`;
+
+        const username = document.getElementById('user-create-username').value.trim();
+        const role = document.getElementById('user-create-role').value;
+        const saved = await this.sendUserRequest('/api/auth/users', 'POST', {
+            username,
+            password: document.getElementById('user-create-password').value,
+            role
+        }, `Added ${username} as ${role}`);
+
+        if (saved) {
+            form.reset();
         }
-        
-        // Auto-hide after 5 seconds
-        setTimeout(() => {
-            statusDiv.style.display = 'none';
-        }, 5000);
     }
 
-    async testExposureMode() {
-        const statusDiv = document.getElementById('exposure-mode-status');
-        const messageSpan = document.getElementById('exposure-mode-message');
-        
-        if (!statusDiv || !messageSpan) {
-            console.error('Exposure mode status elements not found');
-            return;
+    async updateUser(userId, username, changes) {
+        const message = changes.role ? `${username} is now ${changes.role}` : `Password reset for ${username}`;
+        const saved = await this.sendUserRequest(`/api/auth/users/${userId}`, 'PUT', changes, message);
+
+        // Changing your own role changes what this page may show
+        if (saved && changes.role && username.toLowerCase() === (this.session.username || '').toLowerCase()) {
+            window.location.reload();
         }
-        
-        try {
-            statusDiv.style.display = 'block';
-            statusDiv.className = 'mt-2 alert alert-info';
-            messageSpan.innerHTML = `<i class="bi bi-camera"></i> Capturing test image with current exposure mode...`;
-            
-            // Trigger a test capture
-            const response = await fetch('/api/camera/test-capture', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                }
-            });
-            
-            if (response.ok) {
-                const result = await response.json();
-                statusDiv.className = 'mt-2 alert alert-success';
-                messageSpan.innerHTML = `<i class="bi bi-check-circle"></i> Test capture completed! Check the debug images section for results.`;
-                
-                // If we're on the debug images section, refresh it
-                if (document.getElementById('debug-images-section').style.display !== 'none') {
-                    setTimeout(() => {
-                        this.loadDebugImages();
-                    }, 1000);
-                }
-            } else {
-                const error = await response.json();
-                throw new Error(error.message || 'Failed to capture test image');
-            }
-        } catch (error) {
-            console.error('Failed to capture test image:', error);
-            statusDiv.className = 'mt-2 alert alert-danger';
-            messageSpan.innerHTML = `<i class="bi bi-exclamation-triangle"></i> Failed to capture test image: ${error.message}`;
+    }
+
+    resetUserPassword(userId, username) {
+        const password = prompt(`New password for ${username} (at least ${this.userPasswordLength || 8} characters):`);
+        if (password) {
+            this.updateUser(userId, username, { password });
         }
-        
-        // Auto-hide after 5 seconds
-        setTimeout(() => {
-            statusDiv.style.display = 'none';
-        }, 5000);
     }
 
-    // Load current camera configuration
-    async loadCameraConfiguration() {
+    async deleteUser(userId, username) {
+        if (!confirm(`Delete ${username}? They are signed out straight away.`)) {
+            return;
+        }
+
+        await this.sendUserRequest(`/api/auth/users/${userId}`, 'DELETE', null, `Deleted ${username}`);
+    }
+
+    // Sends a user change, reports the result and reloads the list; resolves to whether it was saved
+    async sendUserRequest(url, method, body, successMessage) {
+        const status = document.getElementById('users-status');
+
         try {
-            const response = await fetch('/api/camera/configuration');
-            if (response.ok) {
-                const config = await response.json();
-                
-                // Update the exposure mode dropdown
-                const exposureSelect = document.getElementById('exposure-mode');
-                if (exposureSelect && config.exposureMode) {
-                    exposureSelect.value = config.exposureMode;
-                }
-                
-                console.log('Camera configuration loaded:', config);
+            const response = await fetch(url, {
+                method,
+                headers: body ? { 'Content-Type': 'application/json' } : {},
+                body: body ? JSON.stringify(body) : undefined
+            });
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.error || `HTTP ${response.status}`);
             }
+
+            status.innerHTML = `<span class="text-success">${this.escapeHtml(successMessage)}</span>`;
+            return true;
         } catch (error) {
-            console.error('Failed to load camera configuration:', error);
+            console.error('Failed to update users:', error);
+            status.innerHTML = `<span class="text-danger">${this.escapeHtml(error.message)}</span>`;
+            return false;
+        } finally {
+            this.loadUsers();
         }
     }
 
     // Cleanup
     destroy() {
         if (this.connection) {
+            this.signalRStopped = true;
+            clearTimeout(this.signalRStartTimeout);
             this.connection.stop();
         }
         
         this.stopCameraPreview();
+        clearInterval(this.relayCountdownInterval);
+        clearInterval(this.dataAgeInterval);
         
         Object.values(this.charts).forEach(chart => {
             if (chart) {
@@ -923,8 +6249,20 @@ function testExposureMode() {
 document.addEventListener('DOMContentLoaded', () => {
     window.dashboard = new WellMonitorDashboard();
     
-    // Show dashboard section by default
-    window.dashboard.showSection('dashboard');
+    // Show the section named in the URL (notifications link to #alerts), or the dashboard
+    // Nav links use href="#", so an empty hash leaves the current section alone
+    const showSectionFromHash = () => {
+        const sectionName = window.location.hash.slice(1);
+        if (sectionName && document.getElementById(`${sectionName}-section`)) {
+            window.dashboard.showSection(sectionName);
+            return true;
+        }
+        return false;
+    };
+    if (!showSectionFromHash()) {
+        window.dashboard.showSection('dashboard');
+    }
+    window.addEventListener('hashchange', showSectionFromHash);
     
     // Load camera configuration when camera setup section is shown
     document.addEventListener('sectionChanged', (event) => {
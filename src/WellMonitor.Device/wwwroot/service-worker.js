@@ -0,0 +1,125 @@
+// WellMonitor Service Worker
+// Caches the dashboard shell so it opens without the device or the internet, and shows push
+// notifications for pump conditions while the dashboard is closed or in the background
+
+const SHELL_CACHE = 'wellmonitor-shell-v1';
+const SHELL_FILES = [
+    '/',
+    '/index.html',
+    '/manifest.webmanifest',
+    '/icons/wellmonitor.svg',
+    '/icons/wellmonitor-maskable.svg',
+    '/css/wellmonitor.css',
+    '/js/offline-store.js',
+    '/js/roi-editor.js',
+    '/js/wellmonitor.js',
+    '/lib/bootstrap/dist/css/bootstrap.min.css',
+    '/lib/bootstrap/dist/js/bootstrap.bundle.min.js',
+    '/lib/bootstrap-icons/font/bootstrap-icons.css',
+    '/lib/bootstrap-icons/font/fonts/bootstrap-icons.woff',
+    '/lib/bootstrap-icons/font/fonts/bootstrap-icons.woff2',
+    '/lib/signalr/dist/browser/signalr.min.js',
+    '/lib/chart.js/dist/chart.umd.js',
+    '/lib/chartjs-adapter-date-fns/dist/chartjs-adapter-date-fns.bundle.min.js',
+    '/lib/hammerjs/hammer.min.js',
+    '/lib/chartjs-plugin-zoom/dist/chartjs-plugin-zoom.min.js'
+];
+// Give up on an unreachable device quickly and serve the cached shell instead
+const NETWORK_TIMEOUT_MS = 3000;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE).then(cache => Promise.all(SHELL_FILES.map(url =>
+            // One missing file shouldn't stop the rest of the shell from being cached
+            cache.add(url).catch(error => console.warn(`Failed to cache ${url}:`, error))
+        )))
+    );
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('wellmonitor-shell-') && key !== SHELL_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Static files are network-first so a device update shows up straight away; API calls and the
+// SignalR hub are left to the page, which keeps its own copy of recent data in IndexedDB
+self.addEventListener('fetch', (event) => {
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'GET' || url.origin !== self.location.origin ||
+        url.pathname.startsWith('/api/') || url.pathname.startsWith('/devicestatushub')) {
+        return;
+    }
+
+    event.respondWith(networkFirst(event.request));
+});
+
+async function networkFirst(request) {
+    const cache = await caches.open(SHELL_CACHE);
+
+    try {
+        const response = await fetchWithTimeout(request, NETWORK_TIMEOUT_MS);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        // Font URLs carry a version query string; navigations fall back to the cached page
+        const cached = await cache.match(request, { ignoreSearch: true }) ||
+            (request.mode === 'navigate' ? await cache.match('/index.html') : null);
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
+
+function fetchWithTimeout(request, timeoutMs) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), timeoutMs);
+    return fetch(request, { signal: controller.signal }).finally(() => clearTimeout(timeout));
+}
+
+self.addEventListener('push', (event) => {
+    let message = { title: 'WellMonitor', body: '', topic: 'General', url: '/' };
+    if (event.data) {
+        try {
+            message = { ...message, ...event.data.json() };
+        } catch (error) {
+            message.body = event.data.text();
+        }
+    }
+
+    event.waitUntil(
+        self.registration.showNotification(message.title, {
+            body: message.body,
+            // One notification per topic; a repeat replaces the previous one but still alerts
+            tag: `wellmonitor-${message.topic}`,
+            renotify: true,
+            requireInteraction: message.topic === 'Dry',
+            timestamp: message.timestampUtc ? Date.parse(message.timestampUtc) : Date.now(),
+            data: { url: message.url }
+        })
+    );
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const url = new URL(event.notification.data?.url || '/', self.location.origin).href;
+
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+            const existing = windows.find(client => client.url.startsWith(self.location.origin));
+            if (existing) {
+                existing.navigate(url);
+                return existing.focus();
+            }
+            return self.clients.openWindow(url);
+        })
+    );
+});
@@ -0,0 +1,51 @@
+using WellMonitor.Device.Models;
+using WellMonitor.Device.Services;
+using Xunit;
+
+namespace WellMonitor.Device.Tests
+{
+    public class AlertConditionTrackerTests
+    {
+        private readonly AlertConditionTracker _tracker = new();
+
+        [Fact]
+        public void Observe_RaisesOnlyAfterConsecutiveReadings()
+        {
+            Assert.Null(_tracker.Observe(AlertTypes.Dry, true, 3, 3));
+            Assert.Null(_tracker.Observe(AlertTypes.Dry, true, 3, 3));
+            Assert.True(_tracker.Observe(AlertTypes.Dry, true, 3, 3));
+            Assert.True(_tracker.Observe(AlertTypes.Dry, true, 3, 3));
+        }
+
+        [Fact]
+        public void Observe_FlappingConditionNeitherRaisesNorResolves()
+        {
+            for (var i = 0; i < 10; i++)
+            {
+                Assert.Null(_tracker.Observe(AlertTypes.OcrFailure, i % 2 == 0, 2, 2));
+            }
+        }
+
+        [Fact]
+        public void Observe_ResolvesOnlyAfterConsecutiveClearReadings()
+        {
+            _tracker.Observe(AlertTypes.RapidCycle, true, 1, 3);
+
+            Assert.Null(_tracker.Observe(AlertTypes.RapidCycle, false, 1, 3));
+            Assert.Null(_tracker.Observe(AlertTypes.RapidCycle, false, 1, 3));
+            Assert.True(_tracker.Observe(AlertTypes.RapidCycle, true, 1, 3));
+            Assert.Null(_tracker.Observe(AlertTypes.RapidCycle, false, 1, 3));
+            Assert.Null(_tracker.Observe(AlertTypes.RapidCycle, false, 1, 3));
+            Assert.False(_tracker.Observe(AlertTypes.RapidCycle, false, 1, 3));
+        }
+
+        [Fact]
+        public void Observe_CountsEachAlertTypeSeparately()
+        {
+            _tracker.Observe(AlertTypes.Dry, true, 2, 2);
+
+            Assert.Null(_tracker.Observe(AlertTypes.RapidCycle, true, 2, 2));
+            Assert.True(_tracker.Observe(AlertTypes.Dry, true, 2, 2));
+        }
+    }
+}
@@ -0,0 +1,187 @@
+using Microsoft.AspNetCore.SignalR;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Logging;
+using Moq;
+using WellMonitor.Device.Data;
+using WellMonitor.Device.Hubs;
+using WellMonitor.Device.Models;
+using WellMonitor.Device.Services;
+using Xunit;
+using System;
+using System.Linq;
+using System.Threading.Tasks;
+
+namespace WellMonitor.Device.Tests
+{
+    public class AlertServiceTests : IDisposable
+    {
+        private readonly WellMonitorDbContext _context;
+        private readonly Mock<IPushNotificationQueue> _pushNotificationQueue = new();
+        private readonly AlertService _alertService;
+
+        public AlertServiceTests()
+        {
+            var options = new DbContextOptionsBuilder<WellMonitorDbContext>()
+                .UseInMemoryDatabase(databaseName: Guid.NewGuid().ToString())
+                .Options;
+            _context = new WellMonitorDbContext(options);
+
+            var databaseService = new DatabaseService(_context, new Mock<ILogger<DatabaseService>>().Object);
+            var hubContext = new Mock<IHubContext<DeviceStatusHub>> { DefaultValue = DefaultValue.Mock };
+
+            _alertService = new AlertService(
+                new Mock<ILogger<AlertService>>().Object,
+                databaseService,
+                hubContext.Object,
+                _pushNotificationQueue.Object);
+        }
+
+        public void Dispose()
+        {
+            _context.Dispose();
+        }
+
+        [Fact]
+        public async Task RaiseAsync_RepeatedConditionBumpsExistingAlert()
+        {
+            var first = await _alertService.RaiseAsync(AlertTypes.Dry, AlertSeverity.Danger, "Dry well", "First");
+            var second = await _alertService.RaiseAsync(AlertTypes.Dry, AlertSeverity.Danger, "Dry well", "Second");
+
+            Assert.Equal(first.Id, second.Id);
+
+            var alert = Assert.Single(await _alertService.GetAlertsAsync(resolved: false));
+            Assert.Equal(2, alert.OccurrenceCount);
+            Assert.Equal("Second", alert.Message);
+        }
+
+        [Fact]
+        public async Task RaiseAsync_PushesNewAlertsOnlyOnce()
+        {
+            await _alertService.RaiseAsync(AlertTypes.Dry, AlertSeverity.Danger, "Dry well", "First");
+            await _alertService.RaiseAsync(AlertTypes.Dry, AlertSeverity.Danger, "Dry well", "Second");
+
+            _pushNotificationQueue.Verify(q => q.Enqueue(AlertTypes.Dry, "Dry well", "First", true), Times.Once);
+            _pushNotificationQueue.Verify(q => q.Enqueue(It.IsAny<string>(), It.IsAny<string>(), It.IsAny<string>(), It.IsAny<bool>()), Times.Once);
+        }
+
+        [Fact]
+        public async Task ResolveAsync_MovesAlertToResolvedAndNextRaiseStartsNewAlert()
+        {
+            var first = await _alertService.RaiseAsync(AlertTypes.CameraError, AlertSeverity.Danger, "Camera error", "Capture failed");
+            await _alertService.ResolveAsync(AlertTypes.CameraError);
+
+            Assert.Empty(await _alertService.GetAlertsAsync(resolved: false));
+            var resolved = Assert.Single(await _alertService.GetAlertsAsync(resolved: true));
+            Assert.NotNull(resolved.ResolvedAtUtc);
+
+            var second = await _alertService.RaiseAsync(AlertTypes.CameraError, AlertSeverity.Danger, "Camera error", "Capture failed");
+            Assert.NotEqual(first.Id, second.Id);
+        }
+
+        [Fact]
+        public async Task GetAlertsAsync_FiltersBySeverityAndType()
+        {
+            await _alertService.RaiseAsync(AlertTypes.Dry, AlertSeverity.Danger, "Dry well", "Dry");
+            await _alertService.RaiseAsync(AlertTypes.RapidCycle, AlertSeverity.Warning, "Rapid cycling", "Cycling");
+            await _alertService.RaiseAsync(AlertTypes.OcrFailure, AlertSeverity.Warning, "OCR failure", "Unreadable");
+
+            var warnings = await _alertService.GetAlertsAsync(resolved: false, severity: "warning");
+            Assert.Equal(2, warnings.Count());
+
+            var ocr = Assert.Single(await _alertService.GetAlertsAsync(resolved: false, type: AlertTypes.OcrFailure));
+            Assert.Equal("Unreadable", ocr.Message);
+        }
+
+        [Fact]
+        public async Task GetAlertsAsync_FiltersBeforeApplyingTheLimit()
+        {
+            await _alertService.RaiseAsync(AlertTypes.Dry, AlertSeverity.Danger, "Dry well", "Dry");
+            foreach (var type in new[] { AlertTypes.RapidCycle, AlertTypes.OcrFailure, AlertTypes.CameraError })
+            {
+                await _alertService.RaiseAsync(type, AlertSeverity.Warning, type, "Newer warning");
+            }
+
+            var danger = Assert.Single(await _alertService.GetAlertsAsync(resolved: false, severity: "danger", limit: 2));
+            Assert.Equal(AlertTypes.Dry, danger.Type);
+            Assert.Single(await _alertService.GetAlertsAsync(resolved: false, type: "dry", limit: 2));
+        }
+
+        [Fact]
+        public async Task AcknowledgeAndSnooze_RemoveAlertsFromAttentionCount()
+        {
+            var dry = await _alertService.RaiseAsync(AlertTypes.Dry, AlertSeverity.Danger, "Dry well", "Dry");
+            var cycling = await _alertService.RaiseAsync(AlertTypes.RapidCycle, AlertSeverity.Warning, "Rapid cycling", "Cycling");
+            await _alertService.RaiseAsync(AlertTypes.OcrFailure, AlertSeverity.Warning, "OCR failure", "Unreadable");
+
+            await _alertService.AcknowledgeAsync(dry.Id, "operator");
+            await _alertService.SnoozeAsync(cycling.Id, TimeSpan.FromHours(1), "operator");
+
+            var summary = await _alertService.GetSummaryAsync();
+
+            Assert.Equal(3, summary.Active);
+            Assert.Equal(1, summary.NeedsAttention);
+            Assert.Equal(1, summary.Acknowledged);
+            Assert.Equal(1, summary.Snoozed);
+        }
+
+        [Fact]
+        public async Task AcknowledgeAsync_ReturnsNullForUnknownAlert()
+        {
+            Assert.Null(await _alertService.AcknowledgeAsync(42, "operator"));
+        }
+
+        [Fact]
+        public async Task SnoozeAsync_RejectsNonPositiveDuration()
+        {
+            var alert = await _alertService.RaiseAsync(AlertTypes.Dry, AlertSeverity.Danger, "Dry well", "Dry");
+
+            await Assert.ThrowsAsync<ArgumentException>(() =>
+                _alertService.SnoozeAsync(alert.Id, TimeSpan.Zero, "operator"));
+        }
+
+        [Fact]
+        public async Task SnoozeAsync_RejectsDurationOutsideOneMinuteToSevenDays()
+        {
+            var alert = await _alertService.RaiseAsync(AlertTypes.Dry, AlertSeverity.Danger, "Dry well", "Dry");
+
+            await Assert.ThrowsAsync<ArgumentException>(() =>
+                _alertService.SnoozeAsync(alert.Id, TimeSpan.FromSeconds(59), "operator"));
+            await Assert.ThrowsAsync<ArgumentException>(() =>
+                _alertService.SnoozeAsync(alert.Id, TimeSpan.FromDays(7).Add(TimeSpan.FromMinutes(1)), "operator"));
+
+            var snoozed = await _alertService.SnoozeAsync(alert.Id, TimeSpan.FromMinutes(1), "operator");
+            Assert.True(snoozed!.IsSnoozed);
+        }
+
+        [Fact]
+        public async Task AcknowledgeAndSnooze_RejectResolvedAlerts()
+        {
+            var alert = await _alertService.RaiseAsync(AlertTypes.Dry, AlertSeverity.Danger, "Dry well", "Dry");
+            await _alertService.ResolveAsync(AlertTypes.Dry);
+
+            await Assert.ThrowsAsync<InvalidOperationException>(() => _alertService.AcknowledgeAsync(alert.Id, "operator"));
+            await Assert.ThrowsAsync<InvalidOperationException>(() =>
+                _alertService.SnoozeAsync(alert.Id, TimeSpan.FromHours(1), "operator"));
+
+            var stored = await _alertService.GetAlertAsync(alert.Id);
+            Assert.Null(stored!.AcknowledgedAtUtc);
+            Assert.Null(stored.SnoozedUntilUtc);
+        }
+
+        [Fact]
+        public async Task GetTimelineAsync_RecordsEventsInOrder()
+        {
+            var alert = await _alertService.RaiseAsync(AlertTypes.Dry, AlertSeverity.Danger, "Dry well", "Dry");
+            await _alertService.AcknowledgeAsync(alert.Id, "alice", "Checking the well");
+            await _alertService.ResolveAsync(AlertTypes.Dry);
+
+            var timeline = (await _alertService.GetTimelineAsync(alert.Id)).ToList();
+
+            Assert.Equal(
+                new[] { AlertEventTypes.Raised, AlertEventTypes.Acknowledged, AlertEventTypes.Resolved },
+                timeline.Select(e => e.Event));
+            Assert.Equal("alice", timeline[1].Actor);
+            Assert.Equal("Checking the well", timeline[1].Note);
+        }
+    }
+}
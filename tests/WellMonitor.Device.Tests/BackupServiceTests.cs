@@ -0,0 +1,261 @@
+using Microsoft.Data.Sqlite;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using Moq;
+using WellMonitor.Device.Data;
+using WellMonitor.Device.Models;
+using WellMonitor.Device.Services;
+using WellMonitor.Shared.Models;
+using Xunit;
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.IO.Compression;
+using System.Text;
+using System.Threading.Tasks;
+
+namespace WellMonitor.Device.Tests
+{
+    // Backups use the SQLite backup API, so these run against a database file rather than the in-memory provider
+    public class BackupServiceTests : IDisposable
+    {
+        private readonly string _databasePath;
+        private readonly WellMonitorDbContext _context;
+        private readonly DatabaseService _databaseService;
+        private readonly Mock<IRuntimeConfigurationService> _mockRuntimeConfigurationService = new();
+
+        private CameraOptions _cameraOptions = new();
+        private WebOptions _webOptions = new();
+
+        public BackupServiceTests()
+        {
+            _databasePath = Path.Combine(Path.GetTempPath(), $"wellmonitor-backup-test-{Guid.NewGuid():N}.db");
+            var options = new DbContextOptionsBuilder<WellMonitorDbContext>()
+                .UseSqlite($"Data Source={_databasePath}")
+                .Options;
+            _context = new WellMonitorDbContext(options);
+            _context.Database.EnsureCreated();
+
+            _databaseService = new DatabaseService(_context, new Mock<ILogger<DatabaseService>>().Object);
+        }
+
+        public void Dispose()
+        {
+            _context.Dispose();
+            SqliteConnection.ClearAllPools();
+            File.Delete(_databasePath);
+        }
+
+        private BackupService CreateService(IDatabaseService? databaseService = null, long? maxDatabaseBytes = null)
+        {
+            var settings = new Dictionary<string, string?>
+            {
+                ["DeviceTwin:LocalTwinPath"] = Path.Combine(Path.GetTempPath(), $"wellmonitor-twin-{Guid.NewGuid():N}.json")
+            };
+            if (maxDatabaseBytes != null)
+            {
+                settings["Backup:MaxDatabaseBytes"] = maxDatabaseBytes.Value.ToString();
+            }
+
+            var configuration = new ConfigurationBuilder()
+                .AddInMemoryCollection(settings)
+                .Build();
+
+            var cameraOptions = new Mock<IOptionsMonitor<CameraOptions>>();
+            cameraOptions.Setup(o => o.CurrentValue).Returns(() => _cameraOptions);
+            var webOptions = new Mock<IOptionsMonitor<WebOptions>>();
+            webOptions.Setup(o => o.CurrentValue).Returns(() => _webOptions);
+            var ocrOptions = new Mock<IOptionsMonitor<OcrOptions>>();
+            ocrOptions.Setup(o => o.CurrentValue).Returns(new OcrOptions());
+            var debugOptions = new Mock<IOptionsMonitor<DebugOptions>>();
+            debugOptions.Setup(o => o.CurrentValue).Returns(new DebugOptions());
+            var roiOptions = new Mock<IOptionsMonitor<RegionOfInterestOptions>>();
+            roiOptions.Setup(o => o.CurrentValue).Returns(new RegionOfInterestOptions());
+
+            return new BackupService(
+                new Mock<ILogger<BackupService>>().Object,
+                databaseService ?? _databaseService,
+                _mockRuntimeConfigurationService.Object,
+                configuration,
+                cameraOptions.Object,
+                ocrOptions.Object,
+                debugOptions.Object,
+                webOptions.Object,
+                roiOptions.Object);
+        }
+
+        private static MemoryStream CreateBundle(string manifestJson, byte[] database)
+        {
+            var bundle = new MemoryStream();
+            using (var archive = new ZipArchive(bundle, ZipArchiveMode.Create, leaveOpen: true))
+            {
+                void AddEntry(string name, byte[] content)
+                {
+                    using var entry = archive.CreateEntry(name).Open();
+                    entry.Write(content);
+                }
+
+                AddEntry(BackupService.ManifestEntry, Encoding.UTF8.GetBytes(manifestJson));
+                AddEntry(BackupService.ConfigurationEntry, Encoding.UTF8.GetBytes("{}"));
+                AddEntry(BackupService.DatabaseEntry, database);
+            }
+            bundle.Position = 0;
+            return bundle;
+        }
+
+        private async Task AddReadingAsync(int hour)
+        {
+            await _databaseService.AddReadingAsync(new Reading
+            {
+                TimestampUtc = new DateTime(2026, 10, 1, hour, 0, 0, DateTimeKind.Utc),
+                CurrentAmps = 5.5,
+                Status = "Normal"
+            });
+        }
+
+        [Fact]
+        public async Task RestoreAsync_BundleFromCreateBackup_ReplacesDataAndAppliesConfiguration()
+        {
+            await AddReadingAsync(1);
+            await AddReadingAsync(2);
+            _cameraOptions = new CameraOptions { Width = 1280 };
+            _webOptions = new WebOptions { Port = 8080, AuthPassword = "old-device-password" };
+            var service = CreateService();
+
+            using var bundle = new MemoryStream();
+            await using (var created = await service.CreateBackupAsync())
+            {
+                await created.CopyToAsync(bundle);
+            }
+            bundle.Position = 0;
+
+            // Changes after the backup are replaced by the restore
+            await AddReadingAsync(3);
+            _cameraOptions = new CameraOptions { Width = 640 };
+            _webOptions = new WebOptions { AuthPassword = "new-device-password" };
+
+            var result = await service.RestoreAsync(bundle);
+
+            Assert.Equal(2, result.Readings);
+            Assert.Equal(Environment.MachineName, result.Manifest.DeviceName);
+            Assert.False(result.LocalTwinRestored);
+            Assert.Equal(2, await _context.Readings.AsNoTracking().CountAsync());
+            _mockRuntimeConfigurationService.Verify(x => x.UpdateCameraOptionsAsync(It.Is<CameraOptions>(o => o.Width == 1280)), Times.Once);
+            _mockRuntimeConfigurationService.Verify(x => x.UpdateWebOptionsAsync(
+                It.Is<WebOptions>(o => o.Port == 8080 && o.AuthPassword == "new-device-password")), Times.Once);
+        }
+
+        [Fact]
+        public async Task ApplySavedConfigurationAsync_AfterRestore_ReappliesConfigurationInFreshService()
+        {
+            _cameraOptions = new CameraOptions { Width = 1280 };
+            _webOptions = new WebOptions { Port = 8080, AuthPassword = "old-device-password" };
+            var service = CreateService();
+
+            using var bundle = new MemoryStream();
+            await using (var created = await service.CreateBackupAsync())
+            {
+                await created.CopyToAsync(bundle);
+            }
+            bundle.Position = 0;
+
+            _webOptions = new WebOptions { AuthPassword = "new-device-password" };
+            var result = await service.RestoreAsync(bundle);
+            Assert.True(result.ConfigurationSaved);
+
+            // A restart: new context and service, with the options back at their configured defaults
+            _cameraOptions = new CameraOptions { Width = 640 };
+            _mockRuntimeConfigurationService.Invocations.Clear();
+            await using var restartedContext = new WellMonitorDbContext(new DbContextOptionsBuilder<WellMonitorDbContext>()
+                .UseSqlite($"Data Source={_databasePath}")
+                .Options);
+            var restartedDatabase = new DatabaseService(restartedContext, new Mock<ILogger<DatabaseService>>().Object);
+
+            var applied = await CreateService(restartedDatabase).ApplySavedConfigurationAsync();
+
+            Assert.True(applied);
+            Assert.DoesNotContain("device-password", await restartedDatabase.GetSettingAsync(BackupConfiguration.SettingKey) ?? "");
+            _mockRuntimeConfigurationService.Verify(x => x.UpdateCameraOptionsAsync(It.Is<CameraOptions>(o => o.Width == 1280)), Times.Once);
+            _mockRuntimeConfigurationService.Verify(x => x.UpdateWebOptionsAsync(
+                It.Is<WebOptions>(o => o.Port == 8080 && o.AuthPassword == "new-device-password")), Times.Once);
+        }
+
+        [Fact]
+        public async Task ApplySavedConfigurationAsync_AfterClear_AppliesNothing()
+        {
+            await _databaseService.SaveSettingAsync(BackupConfiguration.SettingKey, "{}");
+            var service = CreateService();
+
+            await service.ClearSavedConfigurationAsync();
+
+            Assert.False(await service.ApplySavedConfigurationAsync());
+            _mockRuntimeConfigurationService.VerifyNoOtherCalls();
+        }
+
+        [Fact]
+        public async Task CreateBackupAsync_LeavesOutConfiguredAdminPassword()
+        {
+            _webOptions = new WebOptions { AuthPassword = "old-device-password" };
+            var service = CreateService();
+
+            await using var created = await service.CreateBackupAsync();
+            using var archive = new ZipArchive(created, ZipArchiveMode.Read);
+            using var reader = new StreamReader(archive.GetEntry(BackupService.ConfigurationEntry)!.Open());
+
+            Assert.DoesNotContain("old-device-password", await reader.ReadToEndAsync());
+            Assert.NotNull(archive.GetEntry(BackupService.DatabaseEntry));
+        }
+
+        [Fact]
+        public async Task RestoreAsync_NotABundle_ThrowsWithoutChangingAnything()
+        {
+            await AddReadingAsync(1);
+            var service = CreateService();
+
+            await Assert.ThrowsAsync<InvalidDataException>(() => service.RestoreAsync(new MemoryStream(Encoding.UTF8.GetBytes("not a zip"))));
+
+            Assert.Equal(1, await _context.Readings.AsNoTracking().CountAsync());
+            _mockRuntimeConfigurationService.VerifyNoOtherCalls();
+        }
+
+        [Fact]
+        public async Task RestoreAsync_NewerFormatVersion_Throws()
+        {
+            var service = CreateService();
+            using var bundle = CreateBundle(@"{ ""formatVersion"": 99, ""applicationVersion"": ""9.0.0"" }", Array.Empty<byte>());
+
+            var ex = await Assert.ThrowsAsync<InvalidDataException>(() => service.RestoreAsync(bundle));
+
+            Assert.Contains("9.0.0", ex.Message);
+        }
+
+        [Fact]
+        public async Task RestoreAsync_DatabaseOverSizeLimit_ThrowsWithoutChangingAnything()
+        {
+            await AddReadingAsync(1);
+            var service = CreateService(maxDatabaseBytes: 1024 * 1024);
+            using var bundle = CreateBundle(@"{ ""formatVersion"": 1 }", new byte[2 * 1024 * 1024]);
+
+            var ex = await Assert.ThrowsAsync<InvalidDataException>(() => service.RestoreAsync(bundle));
+
+            Assert.Contains("1 MB limit", ex.Message);
+            Assert.Equal(1, await _context.Readings.AsNoTracking().CountAsync());
+            _mockRuntimeConfigurationService.VerifyNoOtherCalls();
+        }
+
+        [Fact]
+        public async Task RestoreAsync_DatabaseNotSqlite_ThrowsWithoutChangingAnything()
+        {
+            await AddReadingAsync(1);
+            var service = CreateService();
+            using var bundle = CreateBundle(@"{ ""formatVersion"": 1 }", Encoding.UTF8.GetBytes("definitely not SQLite"));
+
+            await Assert.ThrowsAsync<InvalidDataException>(() => service.RestoreAsync(bundle));
+
+            Assert.Equal(1, await _context.Readings.AsNoTracking().CountAsync());
+            _mockRuntimeConfigurationService.VerifyNoOtherCalls();
+        }
+    }
+}
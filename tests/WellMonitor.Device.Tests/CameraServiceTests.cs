@@ -49,7 +49,7 @@ namespace WellMonitor.Device.Tests
                 AutoWhiteBalance = true
             });
             
-            _cameraService = new CameraService(_mockLogger.Object, _mockCameraOptions.Object, _mockDebugOptions.Object);
+            _cameraService = new CameraService(_mockLogger.Object, _mockCameraOptions.Object, _mockDebugOptions.Object, new Mock<ICameraLiveViewService>().Object);
         }
 
         [Fact]
@@ -0,0 +1,97 @@
+using Microsoft.Azure.Devices.Client;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using Moq;
+using WellMonitor.Device.Models;
+using WellMonitor.Device.Services;
+using Xunit;
+using System.Threading.Tasks;
+
+namespace WellMonitor.Device.Tests
+{
+    public class CameraSettingsServiceTests
+    {
+        private readonly CameraOptions _currentOptions = new() { Brightness = 50, Gain = 1.0, ExposureMode = CameraExposureMode.Barcode };
+        private readonly Mock<IRuntimeConfigurationService> _mockRuntimeConfigurationService = new();
+        private readonly Mock<IDeviceTwinService> _mockDeviceTwinService = new();
+        private readonly Mock<ISecretsService> _mockSecretsService = new();
+        private readonly CameraSettingsService _service;
+
+        public CameraSettingsServiceTests()
+        {
+            var mockCameraOptions = new Mock<IOptionsMonitor<CameraOptions>>();
+            mockCameraOptions.Setup(x => x.CurrentValue).Returns(_currentOptions);
+
+            _service = new CameraSettingsService(
+                new Mock<ILogger<CameraSettingsService>>().Object,
+                mockCameraOptions.Object,
+                _mockRuntimeConfigurationService.Object,
+                _mockDeviceTwinService.Object,
+                _mockSecretsService.Object);
+        }
+
+        [Fact]
+        public async Task UpdateAsync_AppliesValidSettingsThroughRuntimeConfiguration()
+        {
+            var settings = _service.GetSettings();
+            settings.Brightness = 65;
+            settings.Gain = 2.5;
+            settings.ExposureMode = "night";
+
+            var result = await _service.UpdateAsync(settings, reportToDeviceTwin: false);
+
+            Assert.True(result.Applied);
+            Assert.Empty(result.Errors);
+            Assert.Contains("Brightness: 50 → 65", result.Changes);
+            Assert.Equal(3, result.Changes.Count);
+            Assert.Equal("Night", result.Settings.ExposureMode);
+            Assert.Null(result.ReportedToDeviceTwin);
+            _mockRuntimeConfigurationService.Verify(x => x.UpdateCameraOptionsAsync(It.Is<CameraOptions>(o =>
+                o.Brightness == 65 && o.Gain == 2.5 && o.ExposureMode == CameraExposureMode.Night && o.Width == _currentOptions.Width)), Times.Once);
+        }
+
+        [Fact]
+        public async Task UpdateAsync_RejectsOutOfRangeValuesWithoutApplying()
+        {
+            var settings = _service.GetSettings();
+            settings.Brightness = 150;
+            settings.Gain = 100;
+
+            var result = await _service.UpdateAsync(settings, reportToDeviceTwin: true);
+
+            Assert.False(result.Applied);
+            Assert.Equal(2, result.Errors.Count);
+            Assert.Equal(50, result.Settings.Brightness);
+            _mockRuntimeConfigurationService.Verify(x => x.UpdateCameraOptionsAsync(It.IsAny<CameraOptions>()), Times.Never);
+            _mockSecretsService.Verify(x => x.GetIotHubConnectionStringAsync(), Times.Never);
+        }
+
+        [Fact]
+        public async Task UpdateAsync_RejectsUnknownExposureMode()
+        {
+            var settings = _service.GetSettings();
+            settings.ExposureMode = "Sunset";
+
+            var result = await _service.UpdateAsync(settings, reportToDeviceTwin: false);
+
+            Assert.False(result.Applied);
+            Assert.Contains("Sunset", Assert.Single(result.Errors));
+            _mockRuntimeConfigurationService.Verify(x => x.UpdateCameraOptionsAsync(It.IsAny<CameraOptions>()), Times.Never);
+        }
+
+        [Fact]
+        public async Task UpdateAsync_StillAppliesWhenDeviceTwinIsUnavailable()
+        {
+            _mockSecretsService.Setup(x => x.GetIotHubConnectionStringAsync()).ReturnsAsync((string?)null);
+
+            var result = await _service.UpdateAsync(_service.GetSettings(), reportToDeviceTwin: true);
+
+            Assert.True(result.Applied);
+            Assert.Empty(result.Changes);
+            Assert.False(result.ReportedToDeviceTwin);
+            Assert.NotNull(result.DeviceTwinError);
+            _mockRuntimeConfigurationService.Verify(x => x.UpdateCameraOptionsAsync(It.IsAny<CameraOptions>()), Times.Once);
+            _mockDeviceTwinService.Verify(x => x.ReportCameraConfigurationAsync(It.IsAny<DeviceClient>(), It.IsAny<CameraOptions>(), It.IsAny<ILogger>()), Times.Never);
+        }
+    }
+}
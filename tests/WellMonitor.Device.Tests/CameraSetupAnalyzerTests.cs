@@ -0,0 +1,200 @@
+using SixLabors.ImageSharp;
+using SixLabors.ImageSharp.PixelFormats;
+using SixLabors.ImageSharp.Processing;
+using WellMonitor.Device.Models;
+using WellMonitor.Device.Services;
+using WellMonitor.Shared.Models;
+using Xunit;
+using System;
+
+namespace WellMonitor.Device.Tests
+{
+    public class CameraSetupAnalyzerTests
+    {
+        private static readonly Rgba32 Background = new(20, 20, 20);
+        private static readonly Rgba32 RedLed = new(230, 20, 20);
+
+        private readonly ImageQualityOptions _quality = new();
+        private readonly RoiCoordinates _displayRoi = new() { X = 0.25, Y = 0.35, Width = 0.5, Height = 0.3 };
+
+        private static void Fill(Image<Rgba32> image, int left, int top, int width, int height, Rgba32 color)
+        {
+            for (var y = top; y < top + height; y++)
+            {
+                for (var x = left; x < left + width; x++)
+                {
+                    image[x, y] = color;
+                }
+            }
+        }
+
+        /// <summary>
+        /// 640x480 frame with four lit digits between (200, 200) and (440, 260)
+        /// </summary>
+        private static Image<Rgba32> CreateDisplayImage()
+        {
+            var image = new Image<Rgba32>(640, 480, Background);
+            for (var digit = 0; digit < 4; digit++)
+            {
+                Fill(image, 200 + (digit * 64), 200, 48, 60, RedLed);
+            }
+            return image;
+        }
+
+        private static Image<Rgba32> CreateCheckerboard(int squareSize)
+        {
+            var image = new Image<Rgba32>(640, 480);
+            for (var y = 0; y < image.Height; y++)
+            {
+                for (var x = 0; x < image.Width; x++)
+                {
+                    var white = ((x / squareSize) + (y / squareSize)) % 2 == 0;
+                    image[x, y] = white ? new Rgba32(220, 220, 220) : new Rgba32(30, 30, 30);
+                }
+            }
+            return image;
+        }
+
+        [Fact]
+        public void CheckFocus_PassesSharpEdgesAndFailsBlur()
+        {
+            using var sharp = CreateCheckerboard(16);
+            using var blurred = sharp.Clone(ctx => ctx.GaussianBlur(6));
+
+            var sharpCheck = CameraSetupAnalyzer.CheckFocus(sharp, _displayRoi, _quality);
+            var blurredCheck = CameraSetupAnalyzer.CheckFocus(blurred, _displayRoi, _quality);
+
+            Assert.True(sharpCheck.Passed);
+            Assert.False(blurredCheck.Passed);
+            Assert.True(sharpCheck.Value > blurredCheck.Value);
+            Assert.NotNull(blurredCheck.Hint);
+        }
+
+        [Fact]
+        public void CheckExposure_PassesLitDigitsAndReportsGlare()
+        {
+            using var image = CreateDisplayImage();
+
+            var check = CameraSetupAnalyzer.CheckExposure(image, _displayRoi, _quality);
+            Assert.True(check.Passed, check.Message);
+
+            // A reflection over a corner of the display area
+            Fill(image, 170, 170, 60, 40, new Rgba32(255, 255, 255));
+
+            check = CameraSetupAnalyzer.CheckExposure(image, _displayRoi, _quality);
+            Assert.False(check.Passed);
+            Assert.Contains("Glare", check.Message);
+        }
+
+        [Fact]
+        public void CheckExposure_FailsFlatImage()
+        {
+            using var image = new Image<Rgba32>(640, 480, new Rgba32(90, 90, 90));
+
+            var check = CameraSetupAnalyzer.CheckExposure(image, _displayRoi, _quality);
+
+            Assert.False(check.Passed);
+            Assert.Equal(0, check.Value);
+        }
+
+        [Fact]
+        public void DetectLedRegion_FindsLevelDisplay()
+        {
+            using var image = CreateDisplayImage();
+
+            var (led, alignment, region) = CameraSetupAnalyzer.DetectLedRegion(image, 180);
+
+            Assert.True(led.Passed, led.Message);
+            Assert.True(alignment.Passed, alignment.Message);
+            Assert.NotNull(region);
+            Assert.InRange(region!.X, 200 / 640.0 - 0.02, 200 / 640.0 + 0.02);
+            Assert.InRange(region.Y, 200 / 480.0 - 0.02, 200 / 480.0 + 0.02);
+            Assert.InRange(region.Width, 240 / 640.0 - 0.03, 240 / 640.0 + 0.03);
+            Assert.InRange(region.Height, 60 / 480.0 - 0.03, 60 / 480.0 + 0.03);
+        }
+
+        [Fact]
+        public void DetectLedRegion_ReportsTilt()
+        {
+            using var image = CreateDisplayImage();
+            image.Mutate(ctx => ctx.Rotate(10));
+
+            var (led, alignment, _) = CameraSetupAnalyzer.DetectLedRegion(image, 180);
+
+            Assert.True(led.Passed, led.Message);
+            Assert.False(alignment.Passed);
+            Assert.InRange(Math.Abs(alignment.Value), 5, 15);
+        }
+
+        [Fact]
+        public void DetectLedRegion_IgnoresDarkAndColourlessFrames()
+        {
+            using var image = new Image<Rgba32>(640, 480, Background);
+            Fill(image, 100, 100, 200, 100, new Rgba32(250, 250, 250));
+
+            var (led, alignment, region) = CameraSetupAnalyzer.DetectLedRegion(image, 180);
+
+            Assert.False(led.Passed);
+            Assert.False(alignment.Passed);
+            Assert.Null(region);
+        }
+
+        [Fact]
+        public void CheckRoiFit_RequiresDisplayInsideAndFillingRoi()
+        {
+            var display = new RoiCoordinates { X = 0.3, Y = 0.4, Width = 0.4, Height = 0.15 };
+
+            Assert.True(CameraSetupAnalyzer.CheckRoiFit(_displayRoi, display).Passed);
+
+            var cutOff = new RoiCoordinates { X = 0.4, Y = 0.35, Width = 0.5, Height = 0.3 };
+            Assert.False(CameraSetupAnalyzer.CheckRoiFit(cutOff, display).Passed);
+
+            var tooLarge = new RoiCoordinates { X = 0.0, Y = 0.0, Width = 1.0, Height = 1.0 };
+            Assert.False(CameraSetupAnalyzer.CheckRoiFit(tooLarge, display).Passed);
+
+            Assert.False(CameraSetupAnalyzer.CheckRoiFit(_displayRoi, null).Passed);
+        }
+
+        [Theory]
+        [InlineData(0.3, 0.4, 0.4, 0.1)]
+        [InlineData(0.7, 0.9, 0.3, 0.1)]
+        [InlineData(0.0, 0.0, 0.95, 0.95)]
+        [InlineData(0.123, 0.456, 0.05, 0.02)]
+        public void SuggestRoi_CoversDisplayAndStaysValid(double x, double y, double width, double height)
+        {
+            var display = new RoiCoordinates { X = x, Y = y, Width = width, Height = height };
+
+            var suggested = CameraSetupAnalyzer.SuggestRoi(display);
+
+            Assert.True(suggested.IsValid(), suggested.ToString());
+            Assert.True(suggested.X <= display.X && suggested.Y <= display.Y);
+            Assert.True(suggested.X + suggested.Width >= Math.Min(1.0, display.X + display.Width) - 0.001);
+            Assert.True(suggested.Y + suggested.Height >= Math.Min(1.0, display.Y + display.Height) - 0.001);
+        }
+
+        [Fact]
+        public void CheckOcr_PassesOnlyWithRecognisedStatus()
+        {
+            var read = new RoiTestResult
+            {
+                Success = true,
+                Ocr = new OcrResult { Success = true, RawText = "5.2", ProcessedText = "5.2", Confidence = 0.92 },
+                AnalyzedStatus = PumpStatus.Normal
+            };
+            var unreadable = new RoiTestResult
+            {
+                Success = true,
+                Ocr = new OcrResult { Success = true, RawText = "~", Confidence = 0.2 },
+                AnalyzedStatus = PumpStatus.Unknown
+            };
+
+            var passed = CameraSetupAnalyzer.CheckOcr(read);
+            var failed = CameraSetupAnalyzer.CheckOcr(unreadable);
+
+            Assert.True(passed.Passed);
+            Assert.Equal(0.92, passed.Value);
+            Assert.False(failed.Passed);
+            Assert.NotNull(failed.Hint);
+        }
+    }
+}
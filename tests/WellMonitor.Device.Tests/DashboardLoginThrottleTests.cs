@@ -0,0 +1,57 @@
+using WellMonitor.Device.Services;
+using Xunit;
+using System;
+
+namespace WellMonitor.Device.Tests
+{
+    public class DashboardLoginThrottleTests
+    {
+        [Fact]
+        public void RecordFailure_LocksUsernameFromAddressAfterMaxFailures()
+        {
+            var throttle = new DashboardLoginThrottle(maxFailures: 3);
+
+            Assert.Null(throttle.RecordFailure("alice", "10.0.0.5"));
+            Assert.Null(throttle.RecordFailure("Alice", "10.0.0.5"));
+            Assert.Null(throttle.GetLockout("alice", "10.0.0.5"));
+
+            var lockout = throttle.RecordFailure("alice", "10.0.0.5");
+
+            Assert.Equal(DashboardLoginThrottle.DefaultLockout, lockout);
+            Assert.NotNull(throttle.GetLockout("ALICE", "10.0.0.5"));
+            Assert.Null(throttle.GetLockout("alice", "10.0.0.6"));
+            Assert.Null(throttle.GetLockout("bob", "10.0.0.5"));
+        }
+
+        [Fact]
+        public void RecordFailure_AfterLockout_DoublesLockout()
+        {
+            var throttle = new DashboardLoginThrottle(maxFailures: 1, lockout: TimeSpan.FromMinutes(5));
+
+            Assert.Equal(TimeSpan.FromMinutes(5), throttle.RecordFailure("alice", "10.0.0.5"));
+            Assert.Equal(TimeSpan.FromMinutes(10), throttle.RecordFailure("alice", "10.0.0.5"));
+            Assert.Equal(TimeSpan.FromMinutes(20), throttle.RecordFailure("alice", "10.0.0.5"));
+        }
+
+        [Fact]
+        public void RecordSuccess_ClearsFailures()
+        {
+            var throttle = new DashboardLoginThrottle(maxFailures: 2);
+            throttle.RecordFailure("alice", "10.0.0.5");
+
+            throttle.RecordSuccess("alice", "10.0.0.5");
+
+            Assert.Null(throttle.RecordFailure("alice", "10.0.0.5"));
+        }
+
+        [Fact]
+        public void GetLockout_AfterLockoutEnds_AllowsAttempts()
+        {
+            var throttle = new DashboardLoginThrottle(maxFailures: 1, lockout: TimeSpan.Zero);
+
+            throttle.RecordFailure("alice", "10.0.0.5");
+
+            Assert.Null(throttle.GetLockout("alice", "10.0.0.5"));
+        }
+    }
+}
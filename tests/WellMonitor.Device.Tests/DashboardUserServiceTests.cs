@@ -0,0 +1,225 @@
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using Moq;
+using WellMonitor.Device.Data;
+using WellMonitor.Device.Models;
+using WellMonitor.Device.Services;
+using Xunit;
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading.Tasks;
+
+namespace WellMonitor.Device.Tests
+{
+    public class DashboardUserServiceTests : IDisposable
+    {
+        private readonly WellMonitorDbContext _context;
+        private readonly DatabaseService _databaseService;
+        private readonly WebOptions _webOptions = new() { EnableAuthentication = true, AuthUsername = "admin" };
+        private readonly Dictionary<string, string?> _configuration = new();
+
+        public DashboardUserServiceTests()
+        {
+            var options = new DbContextOptionsBuilder<WellMonitorDbContext>()
+                .UseInMemoryDatabase(databaseName: Guid.NewGuid().ToString())
+                .Options;
+            _context = new WellMonitorDbContext(options);
+
+            _databaseService = new DatabaseService(_context, new Mock<ILogger<DatabaseService>>().Object);
+        }
+
+        public void Dispose()
+        {
+            _context.Dispose();
+        }
+
+        private DashboardUserService CreateService()
+        {
+            var webOptions = new Mock<IOptionsMonitor<WebOptions>>();
+            webOptions.Setup(o => o.CurrentValue).Returns(_webOptions);
+
+            return new DashboardUserService(
+                new Mock<ILogger<DashboardUserService>>().Object,
+                _databaseService,
+                webOptions.Object,
+                new ConfigurationBuilder().AddInMemoryCollection(_configuration).Build());
+        }
+
+        [Fact]
+        public async Task CreateUserAsync_StoresHashAndSignsInRegardlessOfUsernameCase()
+        {
+            var service = CreateService();
+
+            var created = await service.CreateUserAsync(" alice ", "correct horse", "operator");
+
+            Assert.Equal("alice", created.Username);
+            Assert.Equal(DashboardRoles.Operator, created.Role);
+
+            var stored = await _databaseService.GetDashboardUserByNameAsync("alice");
+            Assert.NotNull(stored);
+            Assert.StartsWith("pbkdf2-sha256$", stored!.PasswordHash);
+            Assert.DoesNotContain("correct horse", stored.PasswordHash);
+
+            var signedIn = await service.ValidateCredentialsAsync("ALICE", "correct horse");
+            Assert.NotNull(signedIn);
+            Assert.Equal(DashboardRoles.Operator, signedIn!.Role);
+            Assert.NotNull((await _databaseService.GetDashboardUserByNameAsync("alice"))!.LastLoginUtc);
+        }
+
+        [Fact]
+        public async Task ValidateCredentialsAsync_WrongPasswordOrUnknownUser_ReturnsNull()
+        {
+            var service = CreateService();
+            await service.CreateUserAsync("alice", "correct horse", DashboardRoles.Viewer);
+
+            Assert.Null(await service.ValidateCredentialsAsync("alice", "wrong horse"));
+            Assert.Null(await service.ValidateCredentialsAsync("bob", "correct horse"));
+            Assert.Null(await service.ValidateCredentialsAsync("", ""));
+        }
+
+        [Fact]
+        public async Task ConfiguredAdmin_SignsInWithConfiguredPasswordAndIsListedFirst()
+        {
+            _webOptions.AuthPassword = "configured-secret";
+            var service = CreateService();
+            await service.CreateUserAsync("alice", "correct horse", DashboardRoles.Viewer);
+
+            var admin = await service.ValidateCredentialsAsync("Admin", "configured-secret");
+
+            Assert.NotNull(admin);
+            Assert.True(admin!.Configured);
+            Assert.Equal(DashboardRoles.Admin, admin.Role);
+            Assert.Null(await service.ValidateCredentialsAsync("admin", "configured-secreT"));
+
+            var users = (await service.GetUsersAsync()).ToList();
+            Assert.Equal(new[] { "admin", "alice" }, users.Select(u => u.Username));
+            Assert.Null(users[0].Id);
+        }
+
+        [Fact]
+        public async Task ConfiguredAdmin_UsesLocalPasswordWhenTwinOptionsHaveNone()
+        {
+            // Device twin updates replace the web options without the password
+            _configuration["WEB_AUTH_PASSWORD"] = "from-environment";
+            var service = CreateService();
+
+            Assert.NotNull(await service.ValidateCredentialsAsync("admin", "from-environment"));
+            Assert.NotNull(await service.GetUserAsync("admin"));
+        }
+
+        [Fact]
+        public async Task ConfiguredAdmin_WithoutPassword_DoesNotExist()
+        {
+            var service = CreateService();
+
+            Assert.Null(await service.ValidateCredentialsAsync("admin", ""));
+            Assert.Null(await service.GetUserAsync("admin"));
+            Assert.Empty(await service.GetUsersAsync());
+        }
+
+        [Theory]
+        [InlineData("", "correct horse", "Viewer")]
+        [InlineData("has space", "correct horse", "Viewer")]
+        [InlineData("alice", "short", "Viewer")]
+        [InlineData("alice", "correct horse", "Owner")]
+        public async Task CreateUserAsync_InvalidValues_ThrowArgumentException(string username, string password, string role)
+        {
+            var service = CreateService();
+
+            await Assert.ThrowsAsync<ArgumentException>(() => service.CreateUserAsync(username, password, role));
+        }
+
+        [Fact]
+        public async Task CreateUserAsync_TakenUsername_ThrowsInvalidOperationException()
+        {
+            _webOptions.AuthPassword = "configured-secret";
+            var service = CreateService();
+            await service.CreateUserAsync("alice", "correct horse", DashboardRoles.Viewer);
+
+            await Assert.ThrowsAsync<InvalidOperationException>(() => service.CreateUserAsync("Alice", "correct horse", DashboardRoles.Viewer));
+            await Assert.ThrowsAsync<InvalidOperationException>(() => service.CreateUserAsync("ADMIN", "correct horse", DashboardRoles.Viewer));
+        }
+
+        [Fact]
+        public async Task UpdateUserAsync_ChangesRoleAndResetsPassword()
+        {
+            var service = CreateService();
+            var user = await service.CreateUserAsync("alice", "correct horse", DashboardRoles.Viewer);
+
+            var updated = await service.UpdateUserAsync(user.Id!.Value, "Admin", "battery staple");
+
+            Assert.Equal(DashboardRoles.Admin, updated.Role);
+            Assert.Null(await service.ValidateCredentialsAsync("alice", "correct horse"));
+            Assert.NotNull(await service.ValidateCredentialsAsync("alice", "battery staple"));
+        }
+
+        [Fact]
+        public async Task UpdateUserAsync_PasswordReset_ChangesSecurityStampButRoleChangeDoesNot()
+        {
+            var service = CreateService();
+            var user = await service.CreateUserAsync("alice", "correct horse", DashboardRoles.Viewer);
+            var signedIn = await service.ValidateCredentialsAsync("alice", "correct horse");
+
+            Assert.False(string.IsNullOrEmpty(signedIn!.SecurityStamp));
+            Assert.Equal(signedIn.SecurityStamp, (await service.GetUserAsync("alice"))!.SecurityStamp);
+
+            await service.UpdateUserAsync(user.Id!.Value, DashboardRoles.Operator, null);
+            Assert.Equal(signedIn.SecurityStamp, (await service.GetUserAsync("alice"))!.SecurityStamp);
+
+            // Resetting to the same password still gets a new salt, so old sessions end either way
+            await service.UpdateUserAsync(user.Id!.Value, null, "correct horse");
+            Assert.NotEqual(signedIn.SecurityStamp, (await service.GetUserAsync("alice"))!.SecurityStamp);
+        }
+
+        [Fact]
+        public async Task ConfiguredAdmin_NewConfiguredPassword_ChangesSecurityStamp()
+        {
+            _webOptions.AuthPassword = "configured-secret";
+            var service = CreateService();
+            var before = (await service.GetUserAsync("admin"))!.SecurityStamp;
+
+            _webOptions.AuthPassword = "rotated-secret";
+
+            Assert.NotEqual(before, (await service.GetUserAsync("admin"))!.SecurityStamp);
+        }
+
+        [Fact]
+        public async Task UpdateUserAsync_UnknownUser_ThrowsKeyNotFoundException()
+        {
+            var service = CreateService();
+
+            await Assert.ThrowsAsync<KeyNotFoundException>(() => service.UpdateUserAsync(42, DashboardRoles.Viewer, null));
+            await Assert.ThrowsAsync<KeyNotFoundException>(() => service.DeleteUserAsync(42));
+        }
+
+        [Fact]
+        public async Task LastAdmin_CannotBeDemotedOrDeleted()
+        {
+            var service = CreateService();
+            var admin = await service.CreateUserAsync("alice", "correct horse", DashboardRoles.Admin);
+
+            await Assert.ThrowsAsync<InvalidOperationException>(() => service.UpdateUserAsync(admin.Id!.Value, DashboardRoles.Operator, null));
+            await Assert.ThrowsAsync<InvalidOperationException>(() => service.DeleteUserAsync(admin.Id!.Value));
+
+            await service.CreateUserAsync("bob", "correct horse", DashboardRoles.Admin);
+            await service.DeleteUserAsync(admin.Id!.Value);
+
+            Assert.Null(await service.GetUserAsync("alice"));
+        }
+
+        [Fact]
+        public async Task LastAdmin_CanBeRemovedWhileConfiguredAdminExists()
+        {
+            _webOptions.AuthPassword = "configured-secret";
+            var service = CreateService();
+            var admin = await service.CreateUserAsync("alice", "correct horse", DashboardRoles.Admin);
+
+            var demoted = await service.UpdateUserAsync(admin.Id!.Value, DashboardRoles.Viewer, null);
+
+            Assert.Equal(DashboardRoles.Viewer, demoted.Role);
+        }
+    }
+}
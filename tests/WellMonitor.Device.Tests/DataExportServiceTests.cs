@@ -0,0 +1,147 @@
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Logging;
+using Moq;
+using WellMonitor.Device.Data;
+using WellMonitor.Device.Models;
+using WellMonitor.Device.Services;
+using WellMonitor.Shared.Models;
+using Xunit;
+using System;
+using System.IO;
+using System.Linq;
+using System.Text;
+using System.Text.Json;
+using System.Threading.Tasks;
+
+namespace WellMonitor.Device.Tests
+{
+    public class DataExportServiceTests : IDisposable
+    {
+        private static readonly DateTime From = new(2026, 9, 1, 0, 0, 0, DateTimeKind.Utc);
+        private static readonly DateTime To = new(2026, 9, 2, 0, 0, 0, DateTimeKind.Utc);
+
+        private readonly WellMonitorDbContext _context;
+        private readonly DatabaseService _databaseService;
+        private readonly DataExportService _exportService;
+
+        public DataExportServiceTests()
+        {
+            var options = new DbContextOptionsBuilder<WellMonitorDbContext>()
+                .UseInMemoryDatabase(databaseName: Guid.NewGuid().ToString())
+                .Options;
+            _context = new WellMonitorDbContext(options);
+
+            _databaseService = new DatabaseService(_context, new Mock<ILogger<DatabaseService>>().Object);
+            _exportService = new DataExportService(new Mock<ILogger<DataExportService>>().Object, _databaseService);
+        }
+
+        public void Dispose()
+        {
+            _context.Dispose();
+        }
+
+        private async Task<string> ExportAsync(string dataset, string format, DateTime? from = null, DateTime? to = null)
+        {
+            using var output = new MemoryStream();
+            await _exportService.ExportAsync(new DataExportRequest
+            {
+                Dataset = dataset,
+                Format = format,
+                FromUtc = from ?? From,
+                ToUtc = to ?? To
+            }, output);
+            return Encoding.UTF8.GetString(output.ToArray());
+        }
+
+        [Fact]
+        public async Task ExportAsync_Csv_WritesReadingsInRangeWithQuotedText()
+        {
+            await _databaseService.SaveReadingAsync(new Reading { TimestampUtc = From.AddHours(2), CurrentAmps = 5.5, Status = "Normal" });
+            await _databaseService.SaveReadingAsync(new Reading { TimestampUtc = From.AddHours(1), CurrentAmps = 0, Status = "Unknown", Error = "OCR failed, \"--\" shown" });
+            await _databaseService.SaveReadingAsync(new Reading { TimestampUtc = To, CurrentAmps = 6.1, Status = "Normal" });
+
+            var csv = await ExportAsync(ExportDatasets.Readings, ExportFormats.Csv);
+
+            var lines = csv.Split("\r\n", StringSplitOptions.RemoveEmptyEntries);
+            Assert.Equal("id,timestampUtc,currentAmps,status,synced,error", lines[0]);
+            Assert.Equal(3, lines.Length);
+            Assert.EndsWith(",2026-09-01T01:00:00.000Z,0,Unknown,false,\"OCR failed, \"\"--\"\" shown\"", lines[1]);
+            Assert.EndsWith(",2026-09-01T02:00:00.000Z,5.5,Normal,false,", lines[2]);
+        }
+
+        [Fact]
+        public async Task ExportAsync_Json_WritesRelayActionsAsArray()
+        {
+            await _databaseService.SaveRelayActionLogAsync(new RelayActionLog { TimestampUtc = From.AddMinutes(30), Action = "Cycle", Reason = "Rapid cycling" });
+
+            var json = await ExportAsync(ExportDatasets.RelayActions, ExportFormats.Json);
+
+            using var document = JsonDocument.Parse(json);
+            var row = Assert.Single(document.RootElement.EnumerateArray());
+            Assert.Equal("2026-09-01T00:30:00.000Z", row.GetProperty("timestampUtc").GetString());
+            Assert.Equal("Cycle", row.GetProperty("action").GetString());
+            Assert.Equal(JsonValueKind.Null, row.GetProperty("error").ValueKind);
+        }
+
+        [Fact]
+        public async Task ExportAsync_Summaries_IncludePeriodsOverlappingRange()
+        {
+            await _databaseService.SaveMonthlySummaryAsync(new MonthlySummary { Month = "2026-08", TotalKwh = 120 });
+            await _databaseService.SaveMonthlySummaryAsync(new MonthlySummary { Month = "2026-09", TotalKwh = 95.5 });
+            await _databaseService.SaveHourlySummaryAsync(new HourlySummary { DateHour = "2026-09-01 23", TotalKwh = 1.2, PumpCycles = 3 });
+            await _databaseService.SaveHourlySummaryAsync(new HourlySummary { DateHour = "2026-09-02 00", TotalKwh = 0.8, PumpCycles = 2 });
+
+            var monthly = await ExportAsync(ExportDatasets.MonthlySummaries, ExportFormats.Csv);
+            var hourly = await ExportAsync(ExportDatasets.HourlySummaries, ExportFormats.Csv);
+
+            Assert.Equal(new[] { "month,totalKwh,synced", "2026-09,95.5,false" }, monthly.Split("\r\n", StringSplitOptions.RemoveEmptyEntries));
+            Assert.Equal(new[] { "dateHour,totalKwh,pumpCycles,synced", "2026-09-01 23,1.2,3,false" }, hourly.Split("\r\n", StringSplitOptions.RemoveEmptyEntries));
+        }
+
+        [Fact]
+        public async Task ExportAsync_Parquet_WritesParquetFile()
+        {
+            await _databaseService.SaveReadingAsync(new Reading { TimestampUtc = From.AddHours(2), CurrentAmps = 5.5, Status = "Normal" });
+
+            using var output = new MemoryStream();
+            var rows = await _exportService.ExportAsync(new DataExportRequest
+            {
+                Dataset = ExportDatasets.Readings,
+                Format = ExportFormats.Parquet,
+                FromUtc = From,
+                ToUtc = To
+            }, output);
+
+            var bytes = output.ToArray();
+            Assert.Equal(1, rows);
+            Assert.Equal("PAR1", Encoding.ASCII.GetString(bytes, 0, 4));
+            Assert.Equal("PAR1", Encoding.ASCII.GetString(bytes, bytes.Length - 4, 4));
+        }
+
+        [Theory]
+        [InlineData("alerts", ExportFormats.Csv, 1)]
+        [InlineData(ExportDatasets.Readings, "xlsx", 1)]
+        [InlineData(ExportDatasets.Readings, ExportFormats.Csv, 0)]
+        public void GetExportFile_InvalidRequest_Throws(string dataset, string format, int days)
+        {
+            var request = new DataExportRequest { Dataset = dataset, Format = format, FromUtc = From, ToUtc = From.AddDays(days) };
+
+            Assert.Throws<ArgumentException>(() => _exportService.GetExportFile(request));
+        }
+
+        [Fact]
+        public void GetExportFile_NamesFileAfterDatasetAndRange()
+        {
+            var file = _exportService.GetExportFile(new DataExportRequest
+            {
+                Dataset = ExportDatasets.DailySummaries,
+                Format = ExportFormats.Parquet,
+                FromUtc = From,
+                ToUtc = To
+            });
+
+            Assert.Equal("wellmonitor-daily-summaries-20260901-20260902.parquet", file.FileName);
+            Assert.Equal("application/vnd.apache.parquet", file.ContentType);
+        }
+    }
+}
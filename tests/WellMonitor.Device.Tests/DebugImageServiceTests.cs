@@ -0,0 +1,177 @@
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using Moq;
+using SixLabors.ImageSharp;
+using SixLabors.ImageSharp.PixelFormats;
+using WellMonitor.Device.Models;
+using WellMonitor.Device.Services;
+using Xunit;
+using System;
+using System.IO;
+using System.Linq;
+
+namespace WellMonitor.Device.Tests
+{
+    public class DebugImageServiceTests : IDisposable
+    {
+        private static readonly DateTime BaseTime = new(2025, 7, 13, 12, 0, 0, DateTimeKind.Utc);
+
+        private readonly string _debugDirectory;
+        private readonly DebugImageService _service;
+
+        public DebugImageServiceTests()
+        {
+            _debugDirectory = Path.Combine(Path.GetTempPath(), $"wellmonitor-debug-images-{Guid.NewGuid():N}");
+            Directory.CreateDirectory(_debugDirectory);
+
+            var mockCameraOptions = new Mock<IOptionsMonitor<CameraOptions>>();
+            mockCameraOptions.Setup(x => x.CurrentValue).Returns(new CameraOptions { DebugImagePath = _debugDirectory });
+
+            _service = new DebugImageService(new Mock<ILogger<DebugImageService>>().Object, mockCameraOptions.Object);
+        }
+
+        public void Dispose()
+        {
+            if (Directory.Exists(_debugDirectory))
+            {
+                Directory.Delete(_debugDirectory, true);
+            }
+        }
+
+        private void CreateFile(string filename, DateTime savedUtc, int bytes = 100)
+        {
+            var path = Path.Combine(_debugDirectory, filename);
+            File.WriteAllBytes(path, new byte[bytes]);
+            File.SetLastWriteTimeUtc(path, savedUtc);
+        }
+
+        [Theory]
+        [InlineData("pump_reading_20250713_143022.jpg", DebugImageTypes.Original, "20250713_143022")]
+        [InlineData("roi_overlay_20250713_143022.jpg", DebugImageTypes.RoiOverlay, "20250713_143022")]
+        [InlineData("roi_extracted_test_20250713_143022_123.png", DebugImageTypes.RoiExtracted, "test_20250713_143022_123")]
+        [InlineData("roi_processed_test_20250713_143022_123.png", DebugImageTypes.RoiProcessed, "test_20250713_143022_123")]
+        [InlineData("original_test_20250713_143022_123.jpg", DebugImageTypes.Original, "test_20250713_143022_123")]
+        [InlineData("setup_20250713_143022_123.jpg", DebugImageTypes.Original, "setup_20250713_143022_123")]
+        public void ClassifiesImagesByPrefix(string filename, string type, string captureKey)
+        {
+            Assert.Equal(type, DebugImageService.GetImageType(filename));
+            Assert.Equal(captureKey, DebugImageService.GetCaptureKey(filename));
+        }
+
+        [Fact]
+        public void GetImages_PagesNewestFirst()
+        {
+            for (var i = 0; i < 5; i++)
+            {
+                CreateFile($"pump_reading_{i}.jpg", BaseTime.AddMinutes(i));
+            }
+            File.WriteAllText(Path.Combine(_debugDirectory, "notes.txt"), "not an image");
+
+            var page = _service.GetImages(new DebugImageQuery { Page = 2, PageSize = 2 });
+
+            Assert.Equal(5, page.TotalCount);
+            Assert.Equal(3, page.TotalPages);
+            Assert.Equal(new[] { "pump_reading_2.jpg", "pump_reading_1.jpg" }, page.Images.Select(i => i.Filename));
+            Assert.Equal("/api/debugimages/image/pump_reading_2.jpg", page.Images[0].Url);
+
+            // Past the end clamps to the last page
+            var last = _service.GetImages(new DebugImageQuery { Page = 10, PageSize = 2 });
+            Assert.Equal(3, last.Page);
+            Assert.Equal("pump_reading_0.jpg", Assert.Single(last.Images).Filename);
+        }
+
+        [Fact]
+        public void GetImages_FiltersByTypeAndDateRange()
+        {
+            CreateFile("pump_reading_a.jpg", BaseTime.AddDays(-2));
+            CreateFile("roi_overlay_a.jpg", BaseTime.AddDays(-2));
+            CreateFile("pump_reading_b.jpg", BaseTime);
+            CreateFile("roi_overlay_b.jpg", BaseTime);
+            CreateFile("pump_reading_c.jpg", BaseTime.AddDays(1));
+
+            var overlays = _service.GetImages(new DebugImageQuery { Type = DebugImageTypes.RoiOverlay });
+            Assert.Equal(new[] { "roi_overlay_b.jpg", "roi_overlay_a.jpg" }, overlays.Images.Select(i => i.Filename));
+
+            var today = _service.GetImages(new DebugImageQuery { FromUtc = BaseTime.Date, ToUtc = BaseTime.Date.AddDays(1) });
+            Assert.Equal(new[] { "pump_reading_b.jpg", "roi_overlay_b.jpg" }, today.Images.Select(i => i.Filename));
+
+            Assert.Throws<ArgumentException>(() => _service.GetImages(new DebugImageQuery { Type = "thumbnail" }));
+            Assert.Throws<ArgumentException>(() => _service.GetImages(new DebugImageQuery { FromUtc = BaseTime, ToUtc = BaseTime }));
+        }
+
+        [Fact]
+        public void GetMetadata_ReturnsSizeAndImagesFromTheSameCapture()
+        {
+            using (var image = new Image<Rgba32>(64, 48))
+            {
+                image.SaveAsPng(Path.Combine(_debugDirectory, "roi_overlay_test_1.png"));
+            }
+            CreateFile("roi_processed_test_1.png", BaseTime);
+            CreateFile("original_test_1.jpg", BaseTime);
+            CreateFile("original_test_2.jpg", BaseTime);
+
+            var metadata = _service.GetMetadata("roi_overlay_test_1.png");
+
+            Assert.NotNull(metadata);
+            Assert.Equal(DebugImageTypes.RoiOverlay, metadata!.Type);
+            Assert.Equal(64, metadata.Width);
+            Assert.Equal(48, metadata.Height);
+            Assert.Equal(new[] { "original_test_1.jpg", "roi_processed_test_1.png" }, metadata.Related.Select(i => i.Filename));
+
+            // Undecodable files still get metadata, just without a size
+            Assert.Null(_service.GetMetadata("original_test_2.jpg")!.Width);
+        }
+
+        [Fact]
+        public void GetMetadata_RejectsMissingFilesAndPaths()
+        {
+            CreateFile("pump_reading_a.jpg", BaseTime);
+
+            Assert.Null(_service.GetMetadata("pump_reading_missing.jpg"));
+            Assert.Null(_service.GetMetadata("../pump_reading_a.jpg"));
+            Assert.NotNull(_service.GetMetadata("pump_reading_a.jpg"));
+        }
+
+        [Fact]
+        public void GetStats_CountsImagesByType()
+        {
+            CreateFile("pump_reading_a.jpg", BaseTime, 300);
+            CreateFile("roi_overlay_a.jpg", BaseTime.AddMinutes(5), 200);
+            CreateFile("roi_processed_a.png", BaseTime.AddMinutes(10), 100);
+
+            var stats = _service.GetStats();
+
+            Assert.Equal(3, stats.TotalImages);
+            Assert.Equal(600, stats.TotalSize);
+            Assert.Equal(BaseTime, stats.OldestImageUtc);
+            Assert.Equal(BaseTime.AddMinutes(10), stats.NewestImageUtc);
+            Assert.Equal(300, stats.ByType.Single(t => t.Type == DebugImageTypes.Original).Size);
+            Assert.Equal(0, stats.ByType.Single(t => t.Type == DebugImageTypes.RoiExtracted).Count);
+        }
+
+        [Fact]
+        public void DeleteImagesOlderThan_KeepsRecentImagesAndSubfolders()
+        {
+            CreateFile("pump_reading_old.jpg", DateTime.UtcNow.AddDays(-8), 300);
+            CreateFile("roi_overlay_old.png", DateTime.UtcNow.AddDays(-8), 200);
+            CreateFile("pump_reading_new.jpg", DateTime.UtcNow.AddDays(-1));
+            File.WriteAllText(Path.Combine(_debugDirectory, "notes.txt"), "not an image");
+            File.SetLastWriteTimeUtc(Path.Combine(_debugDirectory, "notes.txt"), DateTime.UtcNow.AddDays(-8));
+            var datasetDirectory = Path.Combine(_debugDirectory, "ocr_dataset");
+            Directory.CreateDirectory(datasetDirectory);
+            File.WriteAllBytes(Path.Combine(datasetDirectory, "roi_extracted_old.png"), new byte[50]);
+            File.SetLastWriteTimeUtc(Path.Combine(datasetDirectory, "roi_extracted_old.png"), DateTime.UtcNow.AddDays(-30));
+
+            var result = _service.DeleteImagesOlderThan(7);
+
+            Assert.Equal(2, result.DeletedFiles);
+            Assert.Equal(500, result.FreedBytes);
+            Assert.Equal(7, result.KeepDays);
+            Assert.Equal(new[] { "notes.txt", "pump_reading_new.jpg" },
+                Directory.GetFiles(_debugDirectory).Select(Path.GetFileName).OrderBy(f => f, StringComparer.Ordinal));
+            Assert.True(File.Exists(Path.Combine(datasetDirectory, "roi_extracted_old.png")));
+
+            Assert.Throws<ArgumentException>(() => _service.DeleteImagesOlderThan(0));
+        }
+    }
+}
@@ -0,0 +1,226 @@
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using Moq;
+using WellMonitor.Device.Models;
+using WellMonitor.Device.Services;
+using Xunit;
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Threading;
+using System.Threading.Tasks;
+
+namespace WellMonitor.Device.Tests
+{
+    public class DeviceTwinConfigurationServiceTests : IDisposable
+    {
+        private readonly string _twinPath;
+        private readonly IConfiguration _configuration;
+        private readonly Mock<IRuntimeConfigurationService> _mockRuntimeConfigurationService = new();
+
+        private readonly CameraOptions _cameraOptions = new();
+        private OcrOptions _ocrOptions = new();
+        private DebugOptions _debugOptions = new();
+        private WebOptions _webOptions = new();
+
+        public DeviceTwinConfigurationServiceTests()
+        {
+            _twinPath = Path.Combine(Path.GetTempPath(), $"wellmonitor-twin-{Guid.NewGuid():N}.json");
+            _configuration = new ConfigurationBuilder()
+                .AddInMemoryCollection(new Dictionary<string, string?> { ["DeviceTwin:LocalTwinPath"] = _twinPath })
+                .Build();
+
+            // Behaves like RuntimeConfigurationService: updates replace the running options
+            _mockRuntimeConfigurationService.Setup(x => x.UpdateOcrOptionsAsync(It.IsAny<OcrOptions>()))
+                .Callback<OcrOptions>(options => _ocrOptions = options)
+                .Returns(Task.CompletedTask);
+            _mockRuntimeConfigurationService.Setup(x => x.UpdateDebugOptionsAsync(It.IsAny<DebugOptions>()))
+                .Callback<DebugOptions>(options => _debugOptions = options)
+                .Returns(Task.CompletedTask);
+            _mockRuntimeConfigurationService.Setup(x => x.UpdateWebOptionsAsync(It.IsAny<WebOptions>()))
+                .Callback<WebOptions>(options => _webOptions = options)
+                .Returns(Task.CompletedTask);
+            _mockRuntimeConfigurationService.Setup(x => x.UpdateCameraOptionsAsync(It.IsAny<CameraOptions>()))
+                .Returns(Task.CompletedTask);
+        }
+
+        public void Dispose()
+        {
+            if (File.Exists(_twinPath))
+            {
+                File.Delete(_twinPath);
+            }
+        }
+
+        private DeviceTwinConfigurationService CreateService(IDeviceTwinSource? twinSource = null)
+        {
+            var cameraOptions = new Mock<IOptionsMonitor<CameraOptions>>();
+            cameraOptions.Setup(o => o.CurrentValue).Returns(_cameraOptions);
+            var ocrOptions = new Mock<IOptionsMonitor<OcrOptions>>();
+            ocrOptions.Setup(o => o.CurrentValue).Returns(() => _ocrOptions);
+            var debugOptions = new Mock<IOptionsMonitor<DebugOptions>>();
+            debugOptions.Setup(o => o.CurrentValue).Returns(() => _debugOptions);
+            var webOptions = new Mock<IOptionsMonitor<WebOptions>>();
+            webOptions.Setup(o => o.CurrentValue).Returns(() => _webOptions);
+
+            return new DeviceTwinConfigurationService(
+                new Mock<ILogger<DeviceTwinConfigurationService>>().Object,
+                twinSource ?? new LocalDeviceTwinSource(new Mock<ILogger<LocalDeviceTwinSource>>().Object, _configuration),
+                new DeviceTwinService(),
+                _mockRuntimeConfigurationService.Object,
+                _configuration,
+                new GpioOptions(),
+                cameraOptions.Object,
+                ocrOptions.Object,
+                debugOptions.Object,
+                webOptions.Object);
+        }
+
+        private static DeviceTwinSettingView Setting(DeviceTwinConfigurationView view, string section, string property)
+        {
+            return view.Sections.Single(s => s.Name == section).Settings.Single(s => s.Property == property);
+        }
+
+        [Fact]
+        public async Task GetConfigurationAsync_ComparesDesiredAndReportedWithRunningOptions()
+        {
+            File.WriteAllText(_twinPath, @"{
+                ""desired"": {
+                    ""$version"": 4,
+                    ""Camera"": { ""Width"": 1280, ""Height"": 1080, ""Gain"": 1, ""ExposureMode"": ""auto"" },
+                    ""ocrImageScaleFactor"": 3.0,
+                    ""currentThreshold"": 4.5
+                },
+                ""reported"": {
+                    ""Camera"": { ""Height"": 720 },
+                    ""cameraLastUpdateUtc"": ""2026-10-19T08:00:00Z""
+                }
+            }");
+            var service = CreateService();
+
+            var view = await service.GetConfigurationAsync();
+
+            Assert.Null(view.TwinError);
+            Assert.Equal(new[] { "Camera", "OCR", "Debug", "Web" }, view.Sections.Select(s => s.Name));
+
+            var width = Setting(view, "Camera", "Width");
+            Assert.Equal("Camera.Width", width.TwinKey);
+            Assert.Equal("1280", width.Desired);
+            Assert.Equal("1920", width.Effective);
+            Assert.Equal(DeviceTwinSettingStatus.NotApplied, width.Status);
+
+            var height = Setting(view, "Camera", "Height");
+            Assert.Equal(DeviceTwinSettingStatus.InSync, height.Status);
+            Assert.Equal("720", height.Reported);
+            Assert.True(height.ReportedDiffers);
+
+            // Numbers compare by value and text ignores case
+            Assert.Equal(DeviceTwinSettingStatus.InSync, Setting(view, "Camera", "Gain").Status);
+            Assert.Equal(DeviceTwinSettingStatus.InSync, Setting(view, "Camera", "ExposureMode").Status);
+            Assert.Equal(DeviceTwinSettingStatus.NotInTwin, Setting(view, "Camera", "Quality").Status);
+            Assert.Equal(2, view.Sections.Single(s => s.Name == "Camera").Differences);
+
+            // Without an ocrImagePreprocessing object the legacy flat key applies
+            var scaleFactor = Setting(view, "OCR", "ImagePreprocessing.ScaleFactor");
+            Assert.Equal("ocrImageScaleFactor", scaleFactor.TwinKey);
+            Assert.Equal("3", scaleFactor.Desired);
+            Assert.Equal(DeviceTwinSettingStatus.NotApplied, scaleFactor.Status);
+
+            Assert.Equal(new[] { "cameraLastUpdateUtc", "currentThreshold" }, view.OtherProperties.Select(p => p.Key));
+            Assert.Equal("4.5", view.OtherProperties.Single(p => p.Key == "currentThreshold").Desired);
+        }
+
+        [Fact]
+        public async Task GetConfigurationAsync_MissingLocalTwinFile_ListsRunningValuesAsNotInTwin()
+        {
+            var service = CreateService();
+
+            var view = await service.GetConfigurationAsync();
+
+            Assert.Null(view.TwinError);
+            Assert.Empty(view.OtherProperties);
+            Assert.All(view.Sections.SelectMany(s => s.Settings), s => Assert.Equal(DeviceTwinSettingStatus.NotInTwin, s.Status));
+            Assert.Equal("5000", Setting(view, "Web", "Port").Effective);
+        }
+
+        [Fact]
+        public async Task GetConfigurationAsync_UnreadableTwin_ReportsErrorWithRunningValues()
+        {
+            var twinSource = new Mock<IDeviceTwinSource>();
+            twinSource.Setup(s => s.Name).Returns("Azure IoT Hub");
+            twinSource.Setup(s => s.GetTwinAsync(It.IsAny<CancellationToken>()))
+                .ThrowsAsync(new InvalidOperationException("Azure IoT Hub connection string not available"));
+            var service = CreateService(twinSource.Object);
+
+            var view = await service.GetConfigurationAsync();
+
+            Assert.Equal("Azure IoT Hub connection string not available", view.TwinError);
+            Assert.Equal("Azure IoT Hub", view.Sync.Source);
+            Assert.Equal("1920", Setting(view, "Camera", "Width").Effective);
+        }
+
+        [Fact]
+        public async Task SyncAsync_AppliesDesiredPropertiesAndRecordsSuccess()
+        {
+            File.WriteAllText(_twinPath, @"{
+                ""desired"": {
+                    ""cameraWidth"": 1280,
+                    ""ocrMinimumConfidence"": 0.9,
+                    ""debugMode"": true,
+                    ""webPort"": 5050
+                }
+            }");
+            var service = CreateService();
+
+            var status = await service.SyncAsync(DeviceTwinSyncTriggers.Dashboard);
+
+            Assert.True(status.LastAttemptSucceeded);
+            Assert.Null(status.LastError);
+            Assert.NotNull(status.LastSyncUtc);
+            Assert.Equal(DeviceTwinSyncTriggers.Dashboard, status.LastTrigger);
+            Assert.False(status.Syncing);
+
+            Assert.Equal(1280, _cameraOptions.Width);
+            Assert.Equal(0.9, _ocrOptions.MinimumConfidence);
+            Assert.True(_debugOptions.DebugMode);
+            Assert.Equal(5050, _webOptions.Port);
+            _mockRuntimeConfigurationService.Verify(x => x.UpdateCameraOptionsAsync(_cameraOptions), Times.Once);
+
+            var view = await service.GetConfigurationAsync();
+            Assert.All(view.Sections, section => Assert.Equal(0, section.Differences));
+        }
+
+        [Fact]
+        public async Task SyncAsync_MalformedTwin_RecordsErrorAndKeepsLastSuccessfulSync()
+        {
+            File.WriteAllText(_twinPath, @"{ ""desired"": { ""webPort"": 5050 } }");
+            var service = CreateService();
+            var first = await service.SyncAsync(DeviceTwinSyncTriggers.Startup);
+
+            File.WriteAllText(_twinPath, @"{ ""desired"": { ""debugMode"": ""sometimes"" } }");
+            var status = await service.SyncAsync(DeviceTwinSyncTriggers.Dashboard);
+
+            Assert.False(status.LastAttemptSucceeded);
+            Assert.NotNull(status.LastError);
+            Assert.Equal(first.LastSyncUtc, status.LastSyncUtc);
+            Assert.Equal(DeviceTwinSyncTriggers.Dashboard, status.LastTrigger);
+        }
+
+        [Fact]
+        public void RecordSync_TracksStartupResult()
+        {
+            var service = CreateService();
+
+            service.RecordSync(DeviceTwinSyncTriggers.Startup, "IoT Hub unreachable");
+
+            var status = service.GetSyncStatus();
+            Assert.False(status.LastAttemptSucceeded);
+            Assert.Equal("IoT Hub unreachable", status.LastError);
+            Assert.Null(status.LastSyncUtc);
+            Assert.NotNull(status.LastAttemptUtc);
+            Assert.StartsWith("Local twin file", status.Source);
+        }
+    }
+}
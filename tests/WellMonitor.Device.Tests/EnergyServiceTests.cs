@@ -0,0 +1,146 @@
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using Moq;
+using WellMonitor.Device.Data;
+using WellMonitor.Device.Models;
+using WellMonitor.Device.Services;
+using WellMonitor.Shared.Models;
+using Xunit;
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading.Tasks;
+
+namespace WellMonitor.Device.Tests
+{
+    public class EnergyServiceTests : IDisposable
+    {
+        private static readonly DateTime Start = new DateTime(2025, 6, 2, 0, 0, 0, DateTimeKind.Utc);
+
+        private readonly WellMonitorDbContext _context;
+        private readonly DatabaseService _databaseService;
+        private readonly EnergyService _energyService;
+
+        public EnergyServiceTests()
+        {
+            var options = new DbContextOptionsBuilder<WellMonitorDbContext>()
+                .UseInMemoryDatabase(databaseName: Guid.NewGuid().ToString())
+                .Options;
+            _context = new WellMonitorDbContext(options);
+
+            _databaseService = new DatabaseService(_context, new Mock<ILogger<DatabaseService>>().Object);
+
+            var pumpStatusAnalyzer = new PumpStatusAnalyzer(
+                new Mock<ILogger<PumpStatusAnalyzer>>().Object,
+                new AlertOptions(),
+                new Mock<IDeviceTwinService>().Object,
+                new Mock<IConfiguration>().Object);
+
+            _energyService = new EnergyService(
+                new Mock<ILogger<EnergyService>>().Object,
+                _databaseService,
+                pumpStatusAnalyzer,
+                Options.Create(new EnergyOptions()));
+        }
+
+        public void Dispose()
+        {
+            _context.Dispose();
+        }
+
+        private async Task AddReadingAsync(double minutes, double amps)
+        {
+            await _databaseService.SaveReadingAsync(new Reading
+            {
+                TimestampUtc = Start.AddMinutes(minutes),
+                CurrentAmps = amps,
+                Status = amps >= 3.0 ? "Normal" : "Off"
+            });
+        }
+
+        [Fact]
+        public async Task GetReportAsync_IntegratesReadingsIntoKwhAndFlatCost()
+        {
+            await AddReadingAsync(0, 5.0);
+            await AddReadingAsync(30, 0.0);
+
+            var report = await _energyService.GetReportAsync(Start, Start.AddHours(1), EnergyPeriod.Day, TimeSpan.Zero);
+
+            var row = Assert.Single(report.Rows);
+            Assert.Equal("2025-06-02", row.Period);
+            Assert.Equal(0.6, row.Kwh);
+            Assert.Equal(0.09, row.Cost);
+            Assert.Equal(0.5, row.RunHours);
+            Assert.Equal(0.6, row.KwhByRate[EnergyTariffType.Flat]);
+            Assert.Equal(0.09, report.TotalCost);
+        }
+
+        [Fact]
+        public async Task GetReportAsync_HoldsReadingsForAtMostTenMinutes()
+        {
+            await AddReadingAsync(0, 5.0);
+
+            var report = await _energyService.GetReportAsync(Start, Start.AddHours(1), EnergyPeriod.Day, TimeSpan.Zero);
+
+            Assert.Equal(0.2, report.TotalKwh);
+        }
+
+        [Fact]
+        public async Task GetReportAsync_PricesTimeOfUseWindowsSeparately()
+        {
+            await _energyService.SaveOptionsAsync(new EnergyOptions
+            {
+                TariffType = EnergyTariffType.TimeOfUse,
+                FlatRatePerKwh = 0.10,
+                TimeOfUseRates = new List<TimeOfUseRate>
+                {
+                    new TimeOfUseRate { Name = "Peak", StartHour = 16, EndHour = 21, RatePerKwh = 0.40 }
+                }
+            });
+
+            await AddReadingAsync((15 * 60) + 30, 10.0);
+            await AddReadingAsync(16 * 60, 10.0);
+            await AddReadingAsync((16 * 60) + 30, 0.0);
+
+            var report = await _energyService.GetReportAsync(Start.AddHours(15), Start.AddHours(17), EnergyPeriod.Day, TimeSpan.Zero);
+
+            var row = Assert.Single(report.Rows);
+            Assert.Equal(1.2, row.KwhByRate["Standard"]);
+            Assert.Equal(1.2, row.KwhByRate["Peak"]);
+            Assert.Equal(0.6, row.Cost);
+        }
+
+        [Fact]
+        public async Task GetReportAsync_GroupsWeeksStartingMonday()
+        {
+            var sunday = new DateTime(2025, 6, 1, 0, 0, 0, DateTimeKind.Utc);
+
+            var report = await _energyService.GetReportAsync(sunday, sunday.AddDays(10), EnergyPeriod.Week, TimeSpan.Zero);
+
+            Assert.Equal(new[] { "2025-05-26", "2025-06-02", "2025-06-09" }, report.Rows.Select(r => r.Period));
+        }
+
+        [Fact]
+        public async Task SaveOptionsAsync_PersistsValidSettings()
+        {
+            await _energyService.SaveOptionsAsync(new EnergyOptions { SupplyVoltage = 230, PowerFactor = 0.85, FlatRatePerKwh = 0.2 });
+
+            var options = await _energyService.GetOptionsAsync();
+
+            Assert.Equal(230, options.SupplyVoltage);
+            Assert.Equal(0.85, options.PowerFactor);
+            Assert.Equal(0.2, options.FlatRatePerKwh);
+        }
+
+        [Fact]
+        public async Task SaveOptionsAsync_RejectsInvalidPowerFactor()
+        {
+            await Assert.ThrowsAsync<ArgumentException>(() =>
+                _energyService.SaveOptionsAsync(new EnergyOptions { PowerFactor = 1.5 }));
+
+            Assert.Equal(1.0, (await _energyService.GetOptionsAsync()).PowerFactor);
+        }
+    }
+}
@@ -0,0 +1,160 @@
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using Moq;
+using WellMonitor.Device.Models;
+using WellMonitor.Device.Services;
+using WellMonitor.Shared.Models;
+using Xunit;
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Threading;
+using System.Threading.Tasks;
+
+namespace WellMonitor.Device.Tests
+{
+    public class ExposureComparisonServiceTests : IDisposable
+    {
+        private readonly string _debugDirectory;
+        private readonly Mock<ICameraService> _mockCameraService;
+        private readonly Mock<IRoiTestService> _mockRoiTestService;
+        private readonly Mock<IRuntimeConfigurationService> _mockRuntimeConfigurationService;
+        private readonly ExposureComparisonService _service;
+
+        // Brightness of the capture decides what the fake OCR reads
+        private readonly Dictionary<int, (string Text, double Confidence, double? Amps)> _readings = new();
+
+        public ExposureComparisonServiceTests()
+        {
+            _debugDirectory = Path.Combine(Path.GetTempPath(), $"wellmonitor-compare-test-{Guid.NewGuid():N}");
+
+            var mockCameraOptions = new Mock<IOptionsMonitor<CameraOptions>>();
+            mockCameraOptions.Setup(x => x.CurrentValue).Returns(new CameraOptions { DebugImagePath = _debugDirectory, Brightness = 50 });
+
+            var mockRoiOptions = new Mock<IOptionsMonitor<RegionOfInterestOptions>>();
+            mockRoiOptions.Setup(x => x.CurrentValue).Returns(new RegionOfInterestOptions());
+
+            _mockCameraService = new Mock<ICameraService>();
+            _mockCameraService
+                .Setup(x => x.CaptureImageAsync(It.IsAny<CameraOptions>()))
+                .ReturnsAsync((CameraOptions options) => new[] { (byte)options.Brightness });
+
+            _mockRoiTestService = new Mock<IRoiTestService>();
+            _mockRoiTestService
+                .Setup(x => x.TestRoiAsync(It.IsAny<byte[]>(), It.IsAny<RoiCoordinates>(), It.IsAny<CancellationToken>()))
+                .ReturnsAsync((byte[] image, RoiCoordinates roi, CancellationToken _) =>
+                {
+                    var (text, confidence, amps) = _readings[image[0]];
+                    return new RoiTestResult
+                    {
+                        Success = true,
+                        Roi = roi,
+                        Ocr = new OcrResult { Success = true, RawText = text, ProcessedText = text, Confidence = confidence },
+                        ParsedReading = amps == null ? null : new PumpReading { Status = PumpStatus.Normal, CurrentAmps = amps, IsValid = true },
+                        AnalyzedStatus = amps == null ? PumpStatus.Unknown : PumpStatus.Normal
+                    };
+                });
+
+            _mockRuntimeConfigurationService = new Mock<IRuntimeConfigurationService>();
+
+            _service = new ExposureComparisonService(
+                new Mock<ILogger<ExposureComparisonService>>().Object,
+                _mockCameraService.Object,
+                _mockRoiTestService.Object,
+                _mockRuntimeConfigurationService.Object,
+                mockCameraOptions.Object,
+                mockRoiOptions.Object);
+        }
+
+        public void Dispose()
+        {
+            if (Directory.Exists(_debugDirectory))
+            {
+                Directory.Delete(_debugDirectory, true);
+            }
+        }
+
+        private static ExposureComparisonRequest CreateRequest(params int[] brightness)
+        {
+            return new ExposureComparisonRequest
+            {
+                Variants = brightness.Select(b => new CameraSetupSettings { ExposureMode = "Barcode", Brightness = b }).ToList()
+            };
+        }
+
+        [Fact]
+        public async Task RunAsync_CapturesEachVariantAndRanksCorrectReadingFirst()
+        {
+            _readings[40] = ("8.2", 0.95, 8.2);
+            _readings[50] = ("5.2", 0.80, 5.2);
+            _readings[60] = ("5.2", 0.70, 5.2);
+
+            var request = CreateRequest(40, 50, 60);
+            request.ExpectedReading = "5.2";
+
+            var result = await _service.RunAsync(request);
+
+            _mockCameraService.Verify(x => x.CaptureImageAsync(It.Is<CameraOptions>(o => o.ExposureMode == CameraExposureMode.Barcode)), Times.Exactly(3));
+            Assert.Equal("5.2", result.ReferenceReading);
+            Assert.Equal(new int?[] { 50, 60, 40 }, result.Frames.Select(f => f.Settings.Brightness));
+            Assert.Equal(new[] { 1, 2, 3 }, result.Frames.Select(f => f.Rank));
+            Assert.False(result.Frames[2].Correct);
+            Assert.All(result.Frames, f => Assert.True(File.Exists(Path.Combine(_debugDirectory, f.ImageFile!))));
+            Assert.Same(result, _service.GetLastResult());
+        }
+
+        [Fact]
+        public async Task RunAsync_UsesConsensusWithoutExpectedReading()
+        {
+            _readings[40] = ("8.2", 0.95, 8.2);
+            _readings[50] = ("5.2", 0.60, 5.2);
+            _readings[60] = ("5.20", 0.70, 5.2);
+            _readings[70] = ("", 0.10, null);
+
+            var result = await _service.RunAsync(CreateRequest(40, 50, 60, 70));
+
+            Assert.Equal("5.2", result.ReferenceReading);
+            Assert.Equal(60, result.Frames[0].Settings.Brightness);
+            Assert.Equal(50, result.Frames[1].Settings.Brightness);
+            Assert.Null(result.Frames.Single(f => f.Settings.Brightness == 70).Reading);
+        }
+
+        [Fact]
+        public async Task RunAsync_RejectsInvalidVariantBeforeCapturing()
+        {
+            var request = CreateRequest(50);
+            request.Variants.Add(new CameraSetupSettings { Brightness = 150 });
+
+            await Assert.ThrowsAsync<ArgumentException>(() => _service.RunAsync(request));
+            await Assert.ThrowsAsync<ArgumentException>(() => _service.RunAsync(CreateRequest(Enumerable.Repeat(50, 13).ToArray())));
+            await Assert.ThrowsAsync<ArgumentException>(() => _service.RunAsync(new ExposureComparisonRequest()));
+
+            _mockCameraService.Verify(x => x.CaptureImageAsync(It.IsAny<CameraOptions>()), Times.Never);
+        }
+
+        [Fact]
+        public async Task RunAsync_KeepsGoingWhenOneCaptureFails()
+        {
+            _readings[50] = ("5.2", 0.80, 5.2);
+            _mockCameraService
+                .Setup(x => x.CaptureImageAsync(It.Is<CameraOptions>(o => o.Brightness == 40)))
+                .ThrowsAsync(new InvalidOperationException("Camera busy"));
+
+            var result = await _service.RunAsync(CreateRequest(40, 50));
+
+            Assert.Equal(50, result.Frames[0].Settings.Brightness);
+            Assert.Equal("Camera busy", result.Frames[1].Error);
+        }
+
+        [Fact]
+        public async Task ApplyAsync_UpdatesRuntimeCameraOptions()
+        {
+            await _service.ApplyAsync(new CameraSetupSettings { ExposureMode = "Night", Gain = 4.0, ShutterSpeedMicroseconds = 20000 });
+
+            _mockRuntimeConfigurationService.Verify(x => x.UpdateCameraOptionsAsync(It.Is<CameraOptions>(o =>
+                o.ExposureMode == CameraExposureMode.Night && o.Gain == 4.0 && o.ShutterSpeedMicroseconds == 20000 && o.Brightness == 50)), Times.Once);
+            await Assert.ThrowsAsync<ArgumentException>(() => _service.ApplyAsync(new CameraSetupSettings { ExposureMode = "Sunset" }));
+        }
+    }
+}
@@ -0,0 +1,178 @@
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using Moq;
+using WellMonitor.Device.Data;
+using WellMonitor.Device.Models;
+using WellMonitor.Device.Services;
+using WellMonitor.Shared.Models;
+using Xunit;
+using System;
+using System.Linq;
+using System.Threading.Tasks;
+
+namespace WellMonitor.Device.Tests
+{
+    public class HistoryServiceTests : IDisposable
+    {
+        private readonly WellMonitorDbContext _context;
+        private readonly DatabaseService _databaseService;
+        private readonly EnergyService _energyService;
+        private readonly HistoryService _historyService;
+
+        public HistoryServiceTests()
+        {
+            var options = new DbContextOptionsBuilder<WellMonitorDbContext>()
+                .UseInMemoryDatabase(databaseName: Guid.NewGuid().ToString())
+                .Options;
+            _context = new WellMonitorDbContext(options);
+
+            _databaseService = new DatabaseService(_context, new Mock<ILogger<DatabaseService>>().Object);
+
+            var pumpStatusAnalyzer = new PumpStatusAnalyzer(
+                new Mock<ILogger<PumpStatusAnalyzer>>().Object,
+                new AlertOptions(),
+                new Mock<IDeviceTwinService>().Object,
+                new Mock<IConfiguration>().Object);
+
+            _energyService = new EnergyService(
+                new Mock<ILogger<EnergyService>>().Object,
+                _databaseService,
+                pumpStatusAnalyzer,
+                Options.Create(new EnergyOptions()));
+
+            var summaryRollupService = new SummaryRollupService(
+                new Mock<ILogger<SummaryRollupService>>().Object,
+                _databaseService,
+                _energyService,
+                pumpStatusAnalyzer);
+
+            _historyService = new HistoryService(
+                new Mock<ILogger<HistoryService>>().Object,
+                _databaseService,
+                _energyService,
+                summaryRollupService);
+        }
+
+        public void Dispose()
+        {
+            _context.Dispose();
+        }
+
+        [Theory]
+        [InlineData(1, HistoryResolution.Raw)]
+        [InlineData(48, HistoryResolution.Raw)]
+        [InlineData(24 * 7, HistoryResolution.Hourly)]
+        [InlineData(24 * 90, HistoryResolution.Daily)]
+        [InlineData(24 * 365 * 3, HistoryResolution.Monthly)]
+        public void GetResolution_PicksCoarserSourceForLongerRanges(int hours, string expected)
+        {
+            Assert.Equal(expected, _historyService.GetResolution(TimeSpan.FromHours(hours)));
+        }
+
+        [Fact]
+        public async Task GetHistoryAsync_ShortRange_ReturnsRawReadings()
+        {
+            var from = new DateTime(2025, 6, 1, 12, 0, 0, DateTimeKind.Utc);
+            await _databaseService.SaveReadingAsync(new Reading { TimestampUtc = from.AddMinutes(10), CurrentAmps = 5.5, Status = "Normal" });
+            await _databaseService.SaveReadingAsync(new Reading { TimestampUtc = from.AddMinutes(20), CurrentAmps = 0.0, Status = "Off" });
+            await _databaseService.SaveReadingAsync(new Reading { TimestampUtc = from.AddHours(3), CurrentAmps = 6.0, Status = "Normal" });
+
+            var result = await _historyService.GetHistoryAsync(from, from.AddHours(1));
+
+            Assert.Equal(HistoryResolution.Raw, result.Resolution);
+            Assert.Equal(2, result.Points.Count);
+            Assert.Equal(5.5, result.Points[0].CurrentDraw);
+            Assert.Equal("Off", result.Points[1].Status);
+            Assert.Equal(DateTimeKind.Utc, result.Points[0].Timestamp.Kind);
+        }
+
+        [Fact]
+        public async Task GetHistoryAsync_WeekRange_ConvertsHourlyEnergyToAverageCurrent()
+        {
+            var from = new DateTime(2025, 6, 1, 0, 0, 0, DateTimeKind.Utc);
+            await _databaseService.SaveHourlySummaryAsync(new HourlySummary { DateHour = "2025-06-02 08", TotalKwh = 1.2, PumpCycles = 3 });
+            await _databaseService.SaveHourlySummaryAsync(new HourlySummary { DateHour = "2025-06-20 08", TotalKwh = 2.4, PumpCycles = 1 });
+
+            var result = await _historyService.GetHistoryAsync(from, from.AddDays(7));
+
+            Assert.Equal(HistoryResolution.Hourly, result.Resolution);
+            var point = Assert.Single(result.Points);
+            Assert.Equal(new DateTime(2025, 6, 2, 8, 0, 0, DateTimeKind.Utc), point.Timestamp);
+            Assert.Equal(5.0, point.CurrentDraw);
+            Assert.Equal(3, point.PumpCycles);
+            Assert.Equal(1.2, point.TotalKwh);
+        }
+
+        [Fact]
+        public async Task GetHistoryAsync_YearRange_UsesDailySummaries()
+        {
+            var from = new DateTime(2025, 1, 1, 0, 0, 0, DateTimeKind.Utc);
+            await _databaseService.SaveDailySummaryAsync(new DailySummary { Date = "2025-03-15", TotalKwh = 24, PumpCycles = 10 });
+
+            var result = await _historyService.GetHistoryAsync(from, from.AddDays(365));
+
+            Assert.Equal(HistoryResolution.Daily, result.Resolution);
+            var point = Assert.Single(result.Points);
+            Assert.Equal(new DateTime(2025, 3, 15, 0, 0, 0, DateTimeKind.Utc), point.Timestamp);
+            Assert.Equal(Math.Round(24 * 1000 / 240.0 / 24, 3), point.CurrentDraw);
+        }
+
+        [Fact]
+        public async Task GetHistoryAsync_SummaryPoints_UseSupplyVoltageFromEnergySettings()
+        {
+            var from = new DateTime(2025, 6, 1, 0, 0, 0, DateTimeKind.Utc);
+            await _energyService.SaveOptionsAsync(new EnergyOptions { SupplyVoltage = 120.0, PowerFactor = 0.8 });
+            await _databaseService.SaveHourlySummaryAsync(new HourlySummary { DateHour = "2025-06-02 08", TotalKwh = 1.2, PumpCycles = 3 });
+
+            var result = await _historyService.GetHistoryAsync(from, from.AddDays(7));
+
+            var point = Assert.Single(result.Points);
+            Assert.Equal(12.5, point.CurrentDraw);
+        }
+
+        [Fact]
+        public async Task GetHistoryAsync_WeekRangeWithOnlyRawReadings_BucketsReadingsByHour()
+        {
+            var from = new DateTime(2025, 6, 1, 0, 0, 0, DateTimeKind.Utc);
+            await _databaseService.SaveReadingAsync(new Reading { TimestampUtc = from.AddDays(2).AddHours(8), CurrentAmps = 5.0, Status = "Normal" });
+            await _databaseService.SaveReadingAsync(new Reading { TimestampUtc = from.AddDays(2).AddHours(8).AddMinutes(6), CurrentAmps = 5.0, Status = "Normal" });
+            await _databaseService.SaveReadingAsync(new Reading { TimestampUtc = from.AddDays(2).AddHours(8).AddMinutes(12), CurrentAmps = 0.0, Status = "Off" });
+            await _databaseService.SaveReadingAsync(new Reading { TimestampUtc = from.AddDays(5).AddHours(14), CurrentAmps = 6.0, Status = "Normal" });
+
+            var result = await _historyService.GetHistoryAsync(from, from.AddDays(7));
+
+            Assert.Equal(HistoryResolution.Hourly, result.Resolution);
+            Assert.Equal(2, result.Points.Count);
+            Assert.Equal(new DateTime(2025, 6, 3, 8, 0, 0, DateTimeKind.Utc), result.Points[0].Timestamp);
+            Assert.Equal(0.24, result.Points[0].TotalKwh);
+            Assert.Equal(1.0, result.Points[0].CurrentDraw);
+            Assert.Equal(1, result.Points[0].PumpCycles);
+            Assert.Equal(new DateTime(2025, 6, 6, 14, 0, 0, DateTimeKind.Utc), result.Points[1].Timestamp);
+        }
+
+        [Fact]
+        public async Task GetHistoryAsync_YearRange_AddsDaysAfterLastSummaryFromRawReadings()
+        {
+            var from = new DateTime(2025, 1, 1, 0, 0, 0, DateTimeKind.Utc);
+            await _databaseService.SaveDailySummaryAsync(new DailySummary { Date = "2025-03-15", TotalKwh = 24, PumpCycles = 10 });
+            await _databaseService.SaveReadingAsync(new Reading { TimestampUtc = new DateTime(2025, 3, 16, 9, 0, 0, DateTimeKind.Utc), CurrentAmps = 5.0, Status = "Normal" });
+
+            var result = await _historyService.GetHistoryAsync(from, from.AddDays(365));
+
+            Assert.Equal(2, result.Points.Count);
+            Assert.Equal(new DateTime(2025, 3, 16, 0, 0, 0, DateTimeKind.Utc), result.Points[1].Timestamp);
+            Assert.Equal(0.2, result.Points[1].TotalKwh);
+            Assert.Equal(1, result.Points[1].PumpCycles);
+        }
+
+        [Fact]
+        public async Task GetHistoryAsync_EndBeforeStart_Throws()
+        {
+            var now = DateTime.UtcNow;
+
+            await Assert.ThrowsAsync<ArgumentException>(() => _historyService.GetHistoryAsync(now, now.AddHours(-1)));
+        }
+    }
+}
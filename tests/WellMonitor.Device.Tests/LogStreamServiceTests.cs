@@ -0,0 +1,152 @@
+using Microsoft.Extensions.Logging;
+using WellMonitor.Device.Models;
+using WellMonitor.Device.Services;
+using Xunit;
+using System;
+using System.Collections.Generic;
+using System.Linq;
+
+namespace WellMonitor.Device.Tests
+{
+    public class LogStreamServiceTests
+    {
+        private static readonly DateTime Start = new(2026, 10, 19, 8, 0, 0, DateTimeKind.Utc);
+
+        private static LogEntry Entry(int minute, string level, string category, string message)
+        {
+            return new LogEntry
+            {
+                TimestampUtc = Start.AddMinutes(minute),
+                Level = level,
+                Category = category,
+                Area = LogAreas.FromCategory(category),
+                Message = message
+            };
+        }
+
+        private static LogStreamService CreateServiceWithEntries()
+        {
+            var service = new LogStreamService();
+            service.Append(Entry(0, "Information", "WellMonitor.Device.Services.CameraService", "Image captured"));
+            service.Append(Entry(1, "Debug", "WellMonitor.Device.Services.TesseractOcrProvider", "OCR text '4.2'"));
+            service.Append(Entry(2, "Warning", "WellMonitor.Device.Services.GpioService", "Relay pin not available"));
+            service.Append(Entry(3, "Error", "WellMonitor.Device.Services.SyncService", "Sync failed"));
+            service.Append(Entry(4, "Information", "Microsoft.Hosting.Lifetime", "Application started"));
+            return service;
+        }
+
+        [Theory]
+        [InlineData("WellMonitor.Device.Services.CameraService", LogAreas.Camera)]
+        [InlineData("WellMonitor.Device.Services.ExposureComparisonService", LogAreas.Camera)]
+        [InlineData("WellMonitor.Device.Services.TesseractOcrProvider", LogAreas.Ocr)]
+        [InlineData("WellMonitor.Device.Services.PumpStatusAnalyzer", LogAreas.Ocr)]
+        [InlineData("WellMonitor.Device.Services.RelayControlService", LogAreas.Gpio)]
+        [InlineData("WellMonitor.Device.Services.TelemetryBackgroundService", LogAreas.Sync)]
+        [InlineData("WellMonitor.Device.Services.DeviceTwinConfigurationService", LogAreas.Sync)]
+        [InlineData("WellMonitor.Device.Services.AlertService", LogAreas.Other)]
+        [InlineData("Microsoft.AspNetCore.Hosting.Diagnostics", LogAreas.Other)]
+        public void FromCategory_MapsClassNameToArea(string category, string expected)
+        {
+            Assert.Equal(expected, LogAreas.FromCategory(category));
+        }
+
+        [Fact]
+        public void Append_DropsOldestEntriesBeyondCapacity()
+        {
+            var service = new LogStreamService(capacity: 3);
+
+            for (var i = 0; i < 5; i++)
+            {
+                service.Append(Entry(i, "Information", "WellMonitor.Device.Services.CameraService", $"Entry {i}"));
+            }
+
+            var entries = service.Query(new LogQuery());
+            Assert.Equal(3, service.Count);
+            Assert.Equal(new long[] { 3, 4, 5 }, entries.Select(e => e.Sequence));
+            Assert.Equal(Start.AddMinutes(2), service.OldestEntryUtc);
+        }
+
+        [Fact]
+        public void Query_FiltersByLevelAreaAndText()
+        {
+            var service = CreateServiceWithEntries();
+
+            Assert.Equal(new[] { "Relay pin not available", "Sync failed" },
+                service.Query(new LogQuery { MinLevel = "warning" }).Select(e => e.Message));
+            Assert.Equal(new[] { "OCR text '4.2'" },
+                service.Query(new LogQuery { Area = LogAreas.Ocr }).Select(e => e.Message));
+            Assert.Equal(new[] { "Application started" },
+                service.Query(new LogQuery { Area = LogAreas.Other }).Select(e => e.Message));
+
+            // Text matches the category as well as the message
+            Assert.Equal(new[] { "Image captured" },
+                service.Query(new LogQuery { Text = "cameraservice" }).Select(e => e.Message));
+        }
+
+        [Fact]
+        public void Query_FiltersByRangeAndSequenceAndKeepsMostRecent()
+        {
+            var service = CreateServiceWithEntries();
+
+            var range = service.Query(new LogQuery { FromUtc = Start.AddMinutes(1), ToUtc = Start.AddMinutes(3) });
+            Assert.Equal(new long[] { 2, 3 }, range.Select(e => e.Sequence));
+
+            var missed = service.Query(new LogQuery { AfterSequence = 3 });
+            Assert.Equal(new long[] { 4, 5 }, missed.Select(e => e.Sequence));
+
+            var latest = service.Query(new LogQuery { Limit = 2 });
+            Assert.Equal(new long[] { 4, 5 }, latest.Select(e => e.Sequence));
+        }
+
+        [Theory]
+        [InlineData("Verbose", null)]
+        [InlineData(null, "Network")]
+        public void Query_UnknownLevelOrArea_Throws(string? level, string? area)
+        {
+            var service = CreateServiceWithEntries();
+
+            Assert.Throws<ArgumentException>(() => service.Query(new LogQuery { MinLevel = level, Area = area }));
+        }
+
+        [Fact]
+        public void Query_EmptyRange_Throws()
+        {
+            var service = CreateServiceWithEntries();
+
+            Assert.Throws<ArgumentException>(() => service.Query(new LogQuery { FromUtc = Start, ToUtc = Start }));
+        }
+
+        [Fact]
+        public void Append_QueuesEntriesForLiveStream()
+        {
+            var service = CreateServiceWithEntries();
+
+            var live = new List<LogEntry>();
+            while (service.LiveEntries.TryRead(out var entry))
+            {
+                live.Add(entry);
+            }
+
+            Assert.Equal(new long[] { 1, 2, 3, 4, 5 }, live.Select(e => e.Sequence));
+        }
+
+        [Fact]
+        public void DashboardLoggerProvider_CapturesTemplateAndValues()
+        {
+            var service = new LogStreamService();
+            using var loggerFactory = new LoggerFactory(new[] { new DashboardLoggerProvider(service) });
+            var logger = loggerFactory.CreateLogger("WellMonitor.Device.Services.TelemetryService");
+
+            logger.LogWarning(new InvalidOperationException("IoT Hub unreachable"), "Telemetry send failed after {Attempts} attempts", 3);
+            loggerFactory.CreateLogger("Microsoft.AspNetCore.SignalR.HubConnectionHandler").LogWarning("Hub send failed");
+
+            var entry = Assert.Single(service.Query(new LogQuery()));
+            Assert.Equal("Warning", entry.Level);
+            Assert.Equal(LogAreas.Sync, entry.Area);
+            Assert.Equal("Telemetry send failed after 3 attempts", entry.Message);
+            Assert.Equal("Telemetry send failed after {Attempts} attempts", entry.Template);
+            Assert.Equal("3", entry.Properties["Attempts"]);
+            Assert.Contains("IoT Hub unreachable", entry.Exception);
+        }
+    }
+}
@@ -0,0 +1,84 @@
+using WellMonitor.Device.Models;
+using WellMonitor.Device.Services;
+using Xunit;
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Threading.Tasks;
+
+namespace WellMonitor.Device.Tests
+{
+    public class MjpegFrameReaderTests
+    {
+        private static byte[] CreateFrame(int payloadLength, byte fill)
+        {
+            // SOI, payload with an escaped 0xFF, EOI
+            var payload = Enumerable.Repeat(fill, payloadLength).ToArray();
+            payload[0] = 0xFF;
+            payload[1] = 0x00;
+            return new byte[] { 0xFF, 0xD8 }.Concat(payload).Concat(new byte[] { 0xFF, 0xD9 }).ToArray();
+        }
+
+        private static async Task<List<byte[]>> ReadAllAsync(byte[] data)
+        {
+            var frames = new List<byte[]>();
+            await foreach (var frame in MjpegFrameReader.ReadFramesAsync(new MemoryStream(data)))
+            {
+                frames.Add(frame);
+            }
+            return frames;
+        }
+
+        [Fact]
+        public async Task ReadFramesAsync_SplitsBackToBackFramesAndSkipsNoise()
+        {
+            var first = CreateFrame(100, 0x11);
+            var second = CreateFrame(50, 0x22);
+            var data = new byte[] { 0x00, 0x01 }.Concat(first).Concat(new byte[] { 0x42 }).Concat(second).ToArray();
+
+            var frames = await ReadAllAsync(data);
+
+            Assert.Equal(2, frames.Count);
+            Assert.Equal(first, frames[0]);
+            Assert.Equal(second, frames[1]);
+        }
+
+        [Fact]
+        public async Task ReadFramesAsync_KeepsFramesLargerThanOneRead()
+        {
+            var large = CreateFrame(150_000, 0x33);
+            var small = CreateFrame(10, 0x44);
+
+            var frames = await ReadAllAsync(large.Concat(small).ToArray());
+
+            Assert.Equal(2, frames.Count);
+            Assert.Equal(large, frames[0]);
+            Assert.Equal(small, frames[1]);
+        }
+
+        [Fact]
+        public async Task ReadFramesAsync_DropsTruncatedFinalFrame()
+        {
+            var complete = CreateFrame(20, 0x55);
+            var truncated = CreateFrame(20, 0x66).Take(15);
+
+            var frames = await ReadAllAsync(complete.Concat(truncated).ToArray());
+
+            Assert.Equal(complete, Assert.Single(frames));
+        }
+
+        [Fact]
+        public void LiveViewOptions_NormalizeClampsToLimits()
+        {
+            var options = new LiveViewOptions { MaxWidth = 1920, MaxHeight = 1080, MaxFramesPerSecond = 30 };
+
+            var settings = options.Normalize(4000, 721, 0);
+
+            Assert.Equal(1920, settings.Width);
+            Assert.Equal(720, settings.Height);
+            Assert.Equal(1, settings.FramesPerSecond);
+            Assert.Equal(options.Normalize(null, null, null), new LiveViewSettings { Width = 1280, Height = 720, FramesPerSecond = 10 });
+        }
+    }
+}
@@ -0,0 +1,286 @@
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.DependencyInjection;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using Moq;
+using SixLabors.ImageSharp;
+using SixLabors.ImageSharp.PixelFormats;
+using WellMonitor.Device.Data;
+using WellMonitor.Device.Models;
+using WellMonitor.Device.Services;
+using Xunit;
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Threading;
+using System.Threading.Tasks;
+
+namespace WellMonitor.Device.Tests
+{
+    public class OcrBenchmarkServiceTests : IDisposable
+    {
+        private readonly string _debugDirectory;
+        private readonly ServiceProvider _serviceProvider;
+        private readonly Mock<IRuntimeConfigurationService> _mockRuntimeConfigurationService;
+        private readonly List<IOcrProvider> _providers = new();
+        private readonly OcrBenchmarkService _service;
+
+        public OcrBenchmarkServiceTests()
+        {
+            _debugDirectory = Path.Combine(Path.GetTempPath(), $"wellmonitor-ocr-benchmark-{Guid.NewGuid():N}");
+            Directory.CreateDirectory(Path.Combine(_debugDirectory, "ocr_dataset"));
+
+            var services = new ServiceCollection();
+            services.AddDbContext<WellMonitorDbContext>(options =>
+                options.UseInMemoryDatabase(databaseName: Guid.NewGuid().ToString()));
+            services.AddLogging(builder => builder.AddConsole());
+            services.AddScoped<IDatabaseService, DatabaseService>();
+            _serviceProvider = services.BuildServiceProvider();
+
+            var mockOcrOptions = new Mock<IOptionsMonitor<OcrOptions>>();
+            mockOcrOptions.Setup(x => x.CurrentValue).Returns(new OcrOptions { Provider = "Tesseract", TimeoutSeconds = 5 });
+
+            var mockCameraOptions = new Mock<IOptionsMonitor<CameraOptions>>();
+            mockCameraOptions.Setup(x => x.CurrentValue).Returns(new CameraOptions { DebugImagePath = _debugDirectory });
+
+            _mockRuntimeConfigurationService = new Mock<IRuntimeConfigurationService>();
+
+            _service = new OcrBenchmarkService(
+                new Mock<ILogger<OcrBenchmarkService>>().Object,
+                _serviceProvider.GetRequiredService<IServiceScopeFactory>(),
+                _providers,
+                _mockRuntimeConfigurationService.Object,
+                mockOcrOptions.Object,
+                mockCameraOptions.Object);
+        }
+
+        public void Dispose()
+        {
+            _serviceProvider.Dispose();
+            if (Directory.Exists(_debugDirectory))
+            {
+                Directory.Delete(_debugDirectory, true);
+            }
+        }
+
+        /// <summary>
+        /// Store a blank crop in the dataset; its width tells the fake providers which label they are reading
+        /// </summary>
+        private async Task<int> AddLabelAsync(string imageFile, int width, string text)
+        {
+            using (var image = new Image<Rgba32>(width, 8))
+            {
+                await image.SaveAsPngAsync(Path.Combine(_debugDirectory, "ocr_dataset", imageFile));
+            }
+
+            using var scope = _serviceProvider.CreateScope();
+            var label = new OcrLabel { ImageFile = imageFile, SourceImage = imageFile, Text = text, LabeledBy = "test", LabeledAtUtc = DateTime.UtcNow };
+            await scope.ServiceProvider.GetRequiredService<IDatabaseService>().SaveOcrLabelAsync(label);
+            return label.Id;
+        }
+
+        private Mock<IOcrProvider> AddProvider(string name, bool available, Func<int, string> read, double confidence = 0.9)
+        {
+            var provider = new Mock<IOcrProvider>();
+            provider.Setup(x => x.Name).Returns(name);
+            provider.Setup(x => x.IsAvailable).Returns(available);
+            provider
+                .Setup(x => x.ExtractTextAsync(It.IsAny<Stream>(), It.IsAny<CancellationToken>()))
+                .ReturnsAsync((Stream stream, CancellationToken _) =>
+                {
+                    var text = read(Image.Identify(stream).Width);
+                    return new OcrResult { Success = true, RawText = text, ProcessedText = text, Confidence = confidence, Provider = name };
+                });
+            _providers.Add(provider.Object);
+            return provider;
+        }
+
+        private static string ReadByWidth(int width) => width switch
+        {
+            10 => "5.2",
+            20 => "Dry",
+            30 => "5.2",
+            _ => string.Empty
+        };
+
+        private static OcrBenchmarkVariant Unprocessed => new() { Name = "No preprocessing" };
+
+        [Fact]
+        public async Task RunAsync_RanksAccurateProviderFirstAndLeavesOutNullProvider()
+        {
+            await AddLabelAsync("roi_extracted_20250713_120000.png", 10, "5.2");
+            await AddLabelAsync("roi_processed_20250713_120500.png", 20, "Dry");
+            AddProvider("Tesseract", true, ReadByWidth, confidence: 0.7);
+            AddProvider("AzureCognitiveServices", true, _ => "8.8", confidence: 0.99);
+            var nullProvider = AddProvider("Null", true, _ => string.Empty);
+
+            var result = await _service.RunAsync(new OcrBenchmarkRequest { Variants = new() { Unprocessed } });
+
+            Assert.Equal(2, result.Images);
+            Assert.Equal(2, result.Rows.Count);
+            Assert.Equal("Tesseract", result.Rows[0].Provider);
+            Assert.Equal(1, result.Rows[0].Rank);
+            Assert.Equal(1.0, result.Rows[0].Accuracy);
+            Assert.Equal(2, result.Rows[0].Samples.Count);
+            Assert.Equal("AzureCognitiveServices", result.Rows[1].Provider);
+            Assert.Equal(0.0, result.Rows[1].Accuracy);
+            Assert.Same(result, _service.GetLastResult());
+            nullProvider.Verify(x => x.ExtractTextAsync(It.IsAny<Stream>(), It.IsAny<CancellationToken>()), Times.Never);
+        }
+
+        [Fact]
+        public async Task RunAsync_ReportsRequestedProvidersThatCannotRun()
+        {
+            await AddLabelAsync("roi_extracted_20250713_120000.png", 10, "5.2");
+            AddProvider("Tesseract", true, ReadByWidth);
+            AddProvider("AzureCognitiveServices", false, ReadByWidth);
+
+            var result = await _service.RunAsync(new OcrBenchmarkRequest
+            {
+                Providers = new() { "Tesseract", "AzureCognitiveServices", "Python" },
+                Variants = new() { Unprocessed }
+            });
+
+            Assert.Single(result.Rows);
+            Assert.Equal("Not available or not initialized", result.SkippedProviders["AzureCognitiveServices"]);
+            Assert.Equal("Not registered", result.SkippedProviders["Python"]);
+        }
+
+        [Fact]
+        public async Task RunAsync_AppliesVariantToUnprocessedCropsOnly()
+        {
+            await AddLabelAsync("roi_extracted_20250713_120000.png", 10, "5.2");
+            await AddLabelAsync("roi_processed_20250713_120500.png", 20, "Dry");
+            var widths = new List<int>();
+            AddProvider("Tesseract", true, width => { widths.Add(width); return ReadByWidth(width); });
+
+            var scaled = new OcrBenchmarkVariant
+            {
+                Name = "Scale 3x",
+                Preprocessing = new ImagePreprocessingOptions
+                {
+                    EnableGrayscale = false,
+                    EnableContrastEnhancement = false,
+                    EnableBrightnessAdjustment = false,
+                    EnableNoiseReduction = false,
+                    EnableEdgeEnhancement = false,
+                    EnableBinaryThresholding = false,
+                    EnableScaling = true,
+                    ScaleFactor = 3.0
+                }
+            };
+
+            var result = await _service.RunAsync(new OcrBenchmarkRequest { Variants = new() { scaled } });
+
+            Assert.Equal(new[] { 30, 20 }, widths);
+            Assert.Equal(1.0, result.Rows.Single().Accuracy);
+        }
+
+        [Fact]
+        public async Task RunAsync_OnlyReadsRequestedLabels()
+        {
+            var first = await AddLabelAsync("roi_extracted_20250713_120000.png", 10, "5.2");
+            await AddLabelAsync("roi_processed_20250713_120500.png", 20, "Dry");
+            AddProvider("Tesseract", true, ReadByWidth);
+
+            var result = await _service.RunAsync(new OcrBenchmarkRequest { LabelIds = new() { first }, Variants = new() { Unprocessed } });
+
+            Assert.Equal(1, result.Images);
+            Assert.Equal(first, result.Rows.Single().Samples.Single().LabelId);
+        }
+
+        [Fact]
+        public async Task RunAsync_CountsProviderErrorsAsFailures()
+        {
+            await AddLabelAsync("roi_extracted_20250713_120000.png", 10, "5.2");
+            AddProvider("Tesseract", true, ReadByWidth);
+            var broken = AddProvider("Python", true, ReadByWidth);
+            broken
+                .Setup(x => x.ExtractTextAsync(It.IsAny<Stream>(), It.IsAny<CancellationToken>()))
+                .ThrowsAsync(new IOException("Python OCR process exited"));
+
+            var result = await _service.RunAsync(new OcrBenchmarkRequest { Variants = new() { Unprocessed } });
+
+            var failed = result.Rows.Single(r => r.Provider == "Python");
+            Assert.Equal(2, failed.Rank);
+            Assert.Equal(1, failed.Failures);
+            Assert.True(failed.Samples.Single().Failed);
+            Assert.Equal("Python OCR process exited", failed.Samples.Single().Error);
+        }
+
+        [Fact]
+        public async Task RunAsync_RejectsRunWithoutLabels()
+        {
+            AddProvider("Tesseract", true, ReadByWidth);
+
+            await Assert.ThrowsAsync<ArgumentException>(() => _service.RunAsync(new OcrBenchmarkRequest()));
+        }
+
+        [Fact]
+        public async Task RunAsync_RejectsDuplicateVariantNames()
+        {
+            await AddLabelAsync("roi_extracted_20250713_120000.png", 10, "5.2");
+            AddProvider("Tesseract", true, ReadByWidth);
+
+            await Assert.ThrowsAsync<ArgumentException>(() => _service.RunAsync(new OcrBenchmarkRequest
+            {
+                Variants = new() { Unprocessed, Unprocessed }
+            }));
+        }
+
+        [Fact]
+        public async Task RunAsync_RejectsInvalidPreprocessing()
+        {
+            await AddLabelAsync("roi_extracted_20250713_120000.png", 10, "5.2");
+            AddProvider("Tesseract", true, ReadByWidth);
+
+            var ex = await Assert.ThrowsAsync<ArgumentException>(() => _service.RunAsync(new OcrBenchmarkRequest
+            {
+                Variants = new() { new OcrBenchmarkVariant { Name = "Huge", Preprocessing = new ImagePreprocessingOptions { ScaleFactor = 10.0 } } }
+            }));
+            Assert.StartsWith("Huge:", ex.Message);
+        }
+
+        [Fact]
+        public async Task ApplyAsync_RequiresBenchmarkFirst()
+        {
+            AddProvider("Tesseract", true, ReadByWidth);
+
+            await Assert.ThrowsAsync<InvalidOperationException>(() => _service.ApplyAsync("Tesseract", "No preprocessing"));
+        }
+
+        [Fact]
+        public async Task ApplyAsync_MakesBenchmarkedCombinationActive()
+        {
+            await AddLabelAsync("roi_extracted_20250713_120000.png", 10, "5.2");
+            AddProvider("AzureCognitiveServices", true, ReadByWidth);
+            await _service.RunAsync(new OcrBenchmarkRequest { Variants = new() { Unprocessed } });
+
+            var options = await _service.ApplyAsync("azurecognitiveservices", "No preprocessing");
+
+            Assert.Equal("AzureCognitiveServices", options.Provider);
+            Assert.False(options.EnablePreprocessing);
+            _mockRuntimeConfigurationService.Verify(x => x.UpdateOcrOptionsAsync(
+                It.Is<OcrOptions>(o => o.Provider == "AzureCognitiveServices" && !o.EnablePreprocessing)), Times.Once);
+            await Assert.ThrowsAsync<KeyNotFoundException>(() => _service.ApplyAsync("AzureCognitiveServices", "Scale 3x"));
+        }
+
+        [Fact]
+        public void Rank_BreaksAccuracyTiesOnCharacterAccuracyThenLatency()
+        {
+            var rows = new List<OcrBenchmarkRow>
+            {
+                new() { Provider = "Slow", Accuracy = 0.5, CharacterAccuracy = 0.8, AverageLatencyMs = 900 },
+                new() { Provider = "Fast", Accuracy = 0.5, CharacterAccuracy = 0.8, AverageLatencyMs = 100 },
+                new() { Provider = "Closer", Accuracy = 0.5, CharacterAccuracy = 0.9, AverageLatencyMs = 1500 },
+                new() { Provider = "Exact", Accuracy = 0.75, CharacterAccuracy = 0.7, AverageLatencyMs = 2000 }
+            };
+
+            OcrBenchmarkService.Rank(rows);
+
+            Assert.Equal(new[] { "Exact", "Closer", "Fast", "Slow" }, rows.Select(r => r.Provider));
+            Assert.Equal(new[] { 1, 2, 3, 4 }, rows.Select(r => r.Rank));
+        }
+    }
+}
@@ -0,0 +1,253 @@
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using Moq;
+using WellMonitor.Device.Data;
+using WellMonitor.Device.Models;
+using WellMonitor.Device.Services;
+using Xunit;
+using System;
+using System.IO;
+using System.IO.Compression;
+using System.Linq;
+using System.Threading;
+using System.Threading.Tasks;
+
+namespace WellMonitor.Device.Tests
+{
+    public class OcrLabelServiceTests : IDisposable
+    {
+        private static readonly DateTime BaseTime = new(2025, 7, 13, 12, 0, 0, DateTimeKind.Utc);
+
+        private readonly string _debugDirectory;
+        private readonly WellMonitorDbContext _context;
+        private readonly Mock<IDebugImageService> _mockDebugImages;
+        private readonly Mock<IOcrService> _mockOcr;
+        private readonly OcrLabelService _service;
+
+        public OcrLabelServiceTests()
+        {
+            _debugDirectory = Path.Combine(Path.GetTempPath(), $"wellmonitor-ocr-labels-{Guid.NewGuid():N}");
+            Directory.CreateDirectory(_debugDirectory);
+
+            var options = new DbContextOptionsBuilder<WellMonitorDbContext>()
+                .UseInMemoryDatabase(databaseName: Guid.NewGuid().ToString())
+                .Options;
+            _context = new WellMonitorDbContext(options);
+
+            var mockCameraOptions = new Mock<IOptionsMonitor<CameraOptions>>();
+            mockCameraOptions.Setup(x => x.CurrentValue).Returns(new CameraOptions { DebugImagePath = _debugDirectory });
+
+            _mockDebugImages = new Mock<IDebugImageService>();
+            _mockOcr = new Mock<IOcrService>();
+            _mockOcr.Setup(x => x.PreprocessImageAsync(It.IsAny<string>(), It.IsAny<string>(), It.IsAny<CancellationToken>()))
+                .ReturnsAsync(false);
+            SetupOcrResult("5,2", 0.8);
+
+            _service = new OcrLabelService(
+                new Mock<ILogger<OcrLabelService>>().Object,
+                new DatabaseService(_context, new Mock<ILogger<DatabaseService>>().Object),
+                _mockDebugImages.Object,
+                _mockOcr.Object,
+                mockCameraOptions.Object);
+        }
+
+        public void Dispose()
+        {
+            _context.Dispose();
+            if (Directory.Exists(_debugDirectory))
+            {
+                Directory.Delete(_debugDirectory, true);
+            }
+        }
+
+        private void SetupOcrResult(string text, double confidence)
+        {
+            _mockOcr.Setup(x => x.ExtractTextAsync(It.IsAny<string>(), It.IsAny<CancellationToken>()))
+                .ReturnsAsync(new OcrResult { Success = true, RawText = text, ProcessedText = text, Confidence = confidence, Provider = "Tesseract" });
+        }
+
+        private void SetupCapture(string original, params string[] crops)
+        {
+            File.WriteAllBytes(Path.Combine(_debugDirectory, original), new byte[] { 1, 2, 3 });
+            foreach (var crop in crops)
+            {
+                File.WriteAllBytes(Path.Combine(_debugDirectory, crop), new byte[] { 4, 5, 6 });
+            }
+
+            _mockDebugImages.Setup(x => x.GetMetadata(original)).Returns(new DebugImageMetadata
+            {
+                Filename = original,
+                Type = DebugImageService.GetImageType(original),
+                Related = crops.Select(crop => new DebugImageInfo { Filename = crop, Type = DebugImageService.GetImageType(crop) }).ToList()
+            });
+        }
+
+        [Fact]
+        public async Task LabelAsync_CopiesTheCropIntoTheDatasetAndEvaluatesIt()
+        {
+            SetupCapture("original_test_1.jpg", "roi_processed_test_1.png", "roi_extracted_test_1.png");
+
+            var label = await _service.LabelAsync("original_test_1.jpg", " 5.2 ", "dave");
+
+            Assert.Equal("roi_extracted_test_1.png", label.ImageFile);
+            Assert.Equal("5.2", label.Text);
+            Assert.Equal("dave", label.LabeledBy);
+            Assert.True(File.Exists(Path.Combine(_debugDirectory, "ocr_dataset", "roi_extracted_test_1.png")));
+
+            Assert.NotNull(label.LatestEvaluation);
+            Assert.False(label.LatestEvaluation!.Correct);
+            Assert.Equal("5,2", label.LatestEvaluation.PredictedText);
+            Assert.Equal(1, label.LatestEvaluation.CharacterErrors);
+            Assert.Single(_context.OcrEvaluations);
+
+            // The extracted crop goes through preprocessing like a live reading
+            _mockOcr.Verify(x => x.PreprocessImageAsync(It.Is<string>(p => p.EndsWith("roi_extracted_test_1.png")), It.IsAny<string>(), It.IsAny<CancellationToken>()), Times.Once);
+        }
+
+        [Fact]
+        public async Task LabelAsync_RelabellingTheSameCropReplacesTheText()
+        {
+            SetupCapture("original_test_1.jpg", "roi_extracted_test_1.png");
+
+            var first = await _service.LabelAsync("original_test_1.jpg", "5.3", "dave");
+            var second = await _service.LabelAsync("original_test_1.jpg", "5.2", "");
+
+            Assert.Equal(first.Id, second.Id);
+            var stored = Assert.Single(_context.OcrLabels);
+            Assert.Equal("5.2", stored.Text);
+            Assert.Equal("dashboard", stored.LabeledBy);
+            Assert.Equal(2, _context.OcrEvaluations.Count());
+        }
+
+        [Fact]
+        public async Task LabelAsync_RejectsMissingTextAndImagesWithoutACrop()
+        {
+            SetupCapture("pump_reading_1.jpg");
+
+            await Assert.ThrowsAsync<ArgumentException>(() => _service.LabelAsync("pump_reading_1.jpg", "  ", "dave"));
+            await Assert.ThrowsAsync<ArgumentException>(() => _service.LabelAsync("pump_reading_1.jpg", new string('8', OcrLabelService.MaxLabelLength + 1), "dave"));
+            await Assert.ThrowsAsync<ArgumentException>(() => _service.LabelAsync("pump_reading_1.jpg", "5.2", "dave"));
+            await Assert.ThrowsAsync<KeyNotFoundException>(() => _service.LabelAsync("missing.jpg", "5.2", "dave"));
+            Assert.Empty(_context.OcrLabels);
+        }
+
+        [Fact]
+        public async Task EvaluateAllAsync_RecordsANewEvaluationPerLabel()
+        {
+            SetupCapture("original_test_1.jpg", "roi_extracted_test_1.png");
+            SetupCapture("original_test_2.jpg", "roi_extracted_test_2.png");
+            await _service.LabelAsync("original_test_1.jpg", "5.2", "dave");
+            await _service.LabelAsync("original_test_2.jpg", "Dry", "dave");
+
+            SetupOcrResult("5.2", 0.9);
+            var evaluated = await _service.EvaluateAllAsync();
+
+            Assert.Equal(2, evaluated);
+            var report = await _service.GetAccuracyReportAsync();
+            Assert.Equal(2, report.LabelCount);
+            Assert.Equal(0.5, report.Accuracy);
+        }
+
+        [Fact]
+        public async Task DeleteLabelAsync_RemovesEvaluationsAndTheDatasetCopy()
+        {
+            SetupCapture("original_test_1.jpg", "roi_extracted_test_1.png");
+            var label = await _service.LabelAsync("original_test_1.jpg", "5.2", "dave");
+
+            Assert.True(await _service.DeleteLabelAsync(label.Id));
+
+            Assert.Empty(_context.OcrLabels);
+            Assert.Empty(_context.OcrEvaluations);
+            Assert.False(File.Exists(Path.Combine(_debugDirectory, "ocr_dataset", "roi_extracted_test_1.png")));
+            Assert.False(await _service.DeleteLabelAsync(label.Id));
+        }
+
+        [Fact]
+        public async Task ExportAsync_WritesImageAndGroundTruthPairs()
+        {
+            SetupCapture("original_test_1.jpg", "roi_extracted_test_1.png");
+            await _service.LabelAsync("original_test_1.jpg", "5.2", "Smith, J");
+
+            using var buffer = new MemoryStream();
+            await _service.ExportAsync(buffer);
+            buffer.Position = 0;
+
+            using var archive = new ZipArchive(buffer, ZipArchiveMode.Read);
+            Assert.Equal(new[] { "labels.csv", "roi_extracted_test_1.gt.txt", "roi_extracted_test_1.png" },
+                archive.Entries.Select(e => e.FullName).OrderBy(n => n, StringComparer.Ordinal));
+
+            using (var reader = new StreamReader(archive.GetEntry("roi_extracted_test_1.gt.txt")!.Open()))
+            {
+                Assert.Equal("5.2", reader.ReadToEnd());
+            }
+            using (var reader = new StreamReader(archive.GetEntry("labels.csv")!.Open()))
+            {
+                var lines = reader.ReadToEnd().Split('\n', StringSplitOptions.RemoveEmptyEntries);
+                Assert.Equal("image,text,labeled_by,labeled_at_utc", lines[0]);
+                Assert.StartsWith("roi_extracted_test_1.png,5.2,\"Smith, J\",", lines[1]);
+            }
+        }
+
+        [Fact]
+        public void BuildReport_UsesLatestEvaluationPerProviderAndCountsConfusions()
+        {
+            var labels = new[]
+            {
+                new OcrLabel { Id = 1, Text = "5.2" },
+                new OcrLabel { Id = 2, Text = "12.5" },
+                new OcrLabel { Id = 3, Text = "Dry" }
+            };
+
+            var evaluations = new[]
+            {
+                // An older wrong read of label 1 is superseded by a correct one
+                Evaluation(labels[0], "Tesseract", "5,2", BaseTime.AddDays(-1)),
+                Evaluation(labels[0], "Tesseract", "5.2", BaseTime),
+                Evaluation(labels[1], "Tesseract", "12,5", BaseTime),
+                Evaluation(labels[2], "Tesseract", "DRY", BaseTime),
+                Evaluation(labels[0], "Azure", "5.2", BaseTime.AddHours(1)),
+                Evaluation(labels[1], "Azure", "2.5", BaseTime.AddHours(1)),
+                // Evaluations of deleted labels are ignored
+                new OcrEvaluation { LabelId = 99, Provider = "Azure", PredictedText = "x", EvaluatedAtUtc = BaseTime }
+            };
+
+            var report = OcrLabelService.BuildReport(labels, evaluations, BaseTime.Date.AddDays(-7));
+
+            Assert.Equal(3, report.LabelCount);
+            // Latest per label: 1 Azure correct, 2 Azure wrong, 3 Tesseract correct
+            Assert.Equal(0.6667, report.Accuracy);
+
+            Assert.Equal(new[] { "Azure", "Tesseract" }, report.Providers.Select(p => p.Provider));
+            var tesseract = report.Providers[1];
+            Assert.Equal(3, tesseract.Labels);
+            Assert.Equal(0.6667, tesseract.Accuracy);
+            Assert.Equal(0.9, tesseract.CharacterAccuracy); // 1 error in 10 labelled characters
+            Assert.Equal(BaseTime, tesseract.LastEvaluatedUtc);
+            Assert.Equal(new[] { 0.0, 0.6667 }, tesseract.History.Select(h => h.Accuracy));
+            Assert.Equal(new[] { 1, 3 }, tesseract.History.Select(h => h.Evaluations));
+
+            Assert.Equal(2, report.Confusions.Count);
+            Assert.Contains(report.Confusions, c => c.Expected == "." && c.Predicted == "," && c.Count == 1);
+            Assert.Contains(report.Confusions, c => c.Expected == "1" && c.Predicted == "" && c.Count == 1);
+        }
+
+        [Fact]
+        public void BuildReport_HasNoAccuracyBeforeAnyEvaluation()
+        {
+            var report = OcrLabelService.BuildReport(new[] { new OcrLabel { Id = 1, Text = "5.2" } }, Array.Empty<OcrEvaluation>(), BaseTime);
+
+            Assert.Equal(1, report.LabelCount);
+            Assert.Null(report.Accuracy);
+            Assert.Empty(report.Providers);
+            Assert.Empty(report.Confusions);
+        }
+
+        private static OcrEvaluation Evaluation(OcrLabel label, string provider, string predicted, DateTime evaluatedAtUtc)
+        {
+            var evaluation = OcrLabelService.CreateEvaluation(label, provider, predicted, 0.8);
+            evaluation.EvaluatedAtUtc = evaluatedAtUtc;
+            return evaluation;
+        }
+    }
+}
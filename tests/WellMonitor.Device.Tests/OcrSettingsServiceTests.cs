@@ -0,0 +1,302 @@
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.DependencyInjection;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using Moq;
+using SixLabors.ImageSharp;
+using SixLabors.ImageSharp.PixelFormats;
+using WellMonitor.Device.Data;
+using WellMonitor.Device.Models;
+using WellMonitor.Device.Services;
+using WellMonitor.Shared.Models;
+using Xunit;
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Threading;
+using System.Threading.Tasks;
+
+namespace WellMonitor.Device.Tests
+{
+    public class OcrSettingsServiceTests : IDisposable
+    {
+        private readonly string _debugDirectory;
+        private readonly ServiceProvider _serviceProvider;
+        private readonly Mock<IOcrService> _mockOcrService;
+        private readonly Mock<IDebugImageService> _mockDebugImages;
+        private readonly Mock<IRuntimeConfigurationService> _mockRuntimeConfigurationService;
+        private readonly OcrStatistics _statistics = new();
+        private readonly List<int> _readWidths = new();
+        private readonly OcrSettingsService _service;
+
+        private OcrOptions _runningOptions = new() { Provider = "Python" };
+        private Action<OcrOptions, string?>? _onChange;
+
+        public OcrSettingsServiceTests()
+        {
+            _debugDirectory = Path.Combine(Path.GetTempPath(), $"wellmonitor-ocr-settings-{Guid.NewGuid():N}");
+            Directory.CreateDirectory(_debugDirectory);
+
+            var services = new ServiceCollection();
+            services.AddDbContext<WellMonitorDbContext>(options =>
+                options.UseInMemoryDatabase(databaseName: Guid.NewGuid().ToString()));
+            services.AddLogging(builder => builder.AddConsole());
+            services.AddScoped<IDatabaseService, DatabaseService>();
+            _serviceProvider = services.BuildServiceProvider();
+
+            // Behaves like RuntimeOcrOptionsSource: updates replace the running options and notify listeners
+            var mockOcrOptions = new Mock<IOptionsMonitor<OcrOptions>>();
+            mockOcrOptions.Setup(x => x.CurrentValue).Returns(() => _runningOptions);
+            mockOcrOptions
+                .Setup(x => x.OnChange(It.IsAny<Action<OcrOptions, string?>>()))
+                .Callback<Action<OcrOptions, string?>>(listener => _onChange = listener)
+                .Returns(new Mock<IDisposable>().Object);
+
+            _mockRuntimeConfigurationService = new Mock<IRuntimeConfigurationService>();
+            _mockRuntimeConfigurationService
+                .Setup(x => x.UpdateOcrOptionsAsync(It.IsAny<OcrOptions>()))
+                .Callback<OcrOptions>(options =>
+                {
+                    _runningOptions = options;
+                    _onChange?.Invoke(options, null);
+                })
+                .Returns(Task.CompletedTask);
+
+            var mockCameraOptions = new Mock<IOptionsMonitor<CameraOptions>>();
+            mockCameraOptions.Setup(x => x.CurrentValue).Returns(new CameraOptions { DebugImagePath = _debugDirectory });
+
+            _mockOcrService = new Mock<IOcrService>();
+            _mockOcrService.Setup(x => x.GetStatistics()).Returns(_statistics);
+            _mockOcrService
+                .Setup(x => x.ParsePumpReading(It.IsAny<string>()))
+                .Returns((string text) => text == "5.2"
+                    ? new PumpReading { Status = PumpStatus.Normal, CurrentAmps = 5.2, IsValid = true }
+                    : new PumpReading { Status = PumpStatus.Unknown });
+
+            _mockDebugImages = new Mock<IDebugImageService>();
+
+            // The fake provider reads "5.2" only when the crop was scaled up, so preprocessing changes the result
+            var mockProvider = new Mock<IOcrProvider>();
+            mockProvider.Setup(x => x.Name).Returns("Python");
+            mockProvider.Setup(x => x.IsAvailable).Returns(true);
+            mockProvider
+                .Setup(x => x.ExtractTextAsync(It.IsAny<Stream>(), It.IsAny<CancellationToken>()))
+                .ReturnsAsync((Stream stream, CancellationToken _) =>
+                {
+                    var width = Image.Identify(stream).Width;
+                    _readWidths.Add(width);
+                    var text = width >= 30 ? "5.2" : "5";
+                    return new OcrResult { Success = true, RawText = text, ProcessedText = text, Confidence = width >= 30 ? 0.9 : 0.4, Provider = "Python" };
+                });
+
+            var mockNullProvider = new Mock<IOcrProvider>();
+            mockNullProvider.Setup(x => x.Name).Returns("Null");
+            mockNullProvider.Setup(x => x.IsAvailable).Returns(true);
+
+            _service = new OcrSettingsService(
+                new Mock<ILogger<OcrSettingsService>>().Object,
+                _serviceProvider.GetRequiredService<IServiceScopeFactory>(),
+                new[] { mockProvider.Object, mockNullProvider.Object },
+                _mockOcrService.Object,
+                _mockDebugImages.Object,
+                _mockRuntimeConfigurationService.Object,
+                mockOcrOptions.Object,
+                mockCameraOptions.Object);
+        }
+
+        public void Dispose()
+        {
+            _service.Dispose();
+            _serviceProvider.Dispose();
+            if (Directory.Exists(_debugDirectory))
+            {
+                Directory.Delete(_debugDirectory, true);
+            }
+        }
+
+        private void SetupCapture(string original, params (string File, string Type)[] related)
+        {
+            foreach (var (file, _) in related)
+            {
+                using var image = new Image<Rgba32>(10, 4);
+                image.SaveAsPng(Path.Combine(_debugDirectory, file));
+            }
+
+            _mockDebugImages.Setup(x => x.GetMetadata(original)).Returns(new DebugImageMetadata
+            {
+                Filename = original,
+                Type = DebugImageTypes.Original,
+                Related = related
+                    .Select(r => new DebugImageInfo { Filename = r.File, Type = r.Type, Url = $"/api/debugimages/image/{r.File}" })
+                    .ToList()
+            });
+        }
+
+        private OcrSettings EditedSettings(Action<OcrSettings> change)
+        {
+            var settings = OcrSettings.FromOptions(_runningOptions);
+            change(settings);
+            return settings;
+        }
+
+        [Fact]
+        public async Task UpdateAsync_AppliesValidSettingsAndDescribesChanges()
+        {
+            var result = await _service.UpdateAsync(EditedSettings(s =>
+            {
+                s.Provider = "null";
+                s.MinimumConfidence = 0.6;
+                s.PageSegmentationMode = 8;
+                s.CustomConfig["tessedit_char_whitelist"] = "0123456789.";
+            }));
+
+            Assert.True(result.Applied);
+            Assert.Contains("Provider: Python → Null", result.Changes);
+            Assert.Contains("MinimumConfidence: 0.7 → 0.6", result.Changes);
+            Assert.Contains("PageSegmentationMode: 7 → 8", result.Changes);
+            Assert.Contains(result.Changes, c => c.StartsWith("tessedit_char_whitelist:"));
+            _mockRuntimeConfigurationService.Verify(x => x.UpdateOcrOptionsAsync(It.Is<OcrOptions>(o =>
+                o.Provider == "Null" &&
+                o.MinimumConfidence == 0.6 &&
+                o.Tesseract.PageSegmentationMode == 8 &&
+                o.Tesseract.CustomConfig["tessedit_char_whitelist"] == "0123456789.")), Times.Once);
+        }
+
+        [Fact]
+        public async Task UpdateAsync_DoesNotChangeTheRunningOptions()
+        {
+            var running = _runningOptions;
+
+            await _service.UpdateAsync(EditedSettings(s =>
+            {
+                s.PageSegmentationMode = 13;
+                s.ImagePreprocessing.BinaryThreshold = 90;
+            }));
+
+            Assert.Equal(7, running.Tesseract.PageSegmentationMode);
+            Assert.Equal(128, running.ImagePreprocessing.BinaryThreshold);
+        }
+
+        [Fact]
+        public async Task UpdateAsync_ReturnsValidationErrorsWithoutApplying()
+        {
+            var result = await _service.UpdateAsync(EditedSettings(s =>
+            {
+                s.Provider = "Hybrid";
+                s.EngineMode = 7;
+                s.ImagePreprocessing.ScaleFactor = 10.0;
+            }));
+
+            Assert.False(result.Applied);
+            Assert.Equal(3, result.Errors.Count);
+            Assert.Contains("OCR provider 'Hybrid' is not registered", result.Errors);
+            Assert.Equal("Python", result.Settings.Provider);
+            _mockRuntimeConfigurationService.Verify(x => x.UpdateOcrOptionsAsync(It.IsAny<OcrOptions>()), Times.Never);
+        }
+
+        [Fact]
+        public async Task UpdateAsync_KeepsSettingsAsKnownGoodOnlyAfterSuccessfulReads()
+        {
+            var first = await _service.UpdateAsync(EditedSettings(s => s.MinimumConfidence = 0.6));
+            Assert.False(first.SavedKnownGood);
+
+            _statistics.SuccessfulOperations = 5;
+            var second = await _service.UpdateAsync(EditedSettings(s => s.MinimumConfidence = 0.5));
+            Assert.True(second.SavedKnownGood);
+
+            // No reads since the last change, so the settings it replaces are unproven
+            var third = await _service.UpdateAsync(EditedSettings(s => s.MinimumConfidence = 0.4));
+            Assert.False(third.SavedKnownGood);
+
+            var state = await _service.GetStateAsync();
+            Assert.Equal(0.6, state.KnownGood!.Settings.MinimumConfidence);
+            Assert.Equal(5, state.KnownGood.SuccessfulReadings);
+            Assert.Equal(0.4, state.Settings.MinimumConfidence);
+        }
+
+        [Fact]
+        public async Task ResetToKnownGoodAsync_RequiresSavedSettings()
+        {
+            await Assert.ThrowsAsync<InvalidOperationException>(() => _service.ResetToKnownGoodAsync());
+        }
+
+        [Fact]
+        public async Task ResetToKnownGoodAsync_RestoresKnownGoodSettings()
+        {
+            _statistics.SuccessfulOperations = 3;
+            await _service.UpdateAsync(EditedSettings(s =>
+            {
+                s.EnablePreprocessing = false;
+                s.MinimumConfidence = 0.2;
+            }));
+
+            var result = await _service.ResetToKnownGoodAsync();
+
+            Assert.True(result.Applied);
+            Assert.True(_runningOptions.EnablePreprocessing);
+            Assert.Equal(0.7, _runningOptions.MinimumConfidence);
+            Assert.Contains("EnablePreprocessing: False → True", result.Changes);
+        }
+
+        [Fact]
+        public async Task PreviewAsync_ReadsUnprocessedCropWithRunningAndEditedSettings()
+        {
+            SetupCapture("pump_reading_20250713_120000.jpg",
+                ("roi_processed_20250713_120000.png", DebugImageTypes.RoiProcessed),
+                ("roi_extracted_20250713_120000.png", DebugImageTypes.RoiExtracted));
+            _runningOptions.EnablePreprocessing = false;
+
+            var preview = await _service.PreviewAsync("pump_reading_20250713_120000.jpg", EditedSettings(s =>
+            {
+                s.EnablePreprocessing = true;
+                s.ImagePreprocessing.EnableScaling = true;
+                s.ImagePreprocessing.ScaleFactor = 3.0;
+            }));
+
+            Assert.Equal("roi_extracted_20250713_120000.png", preview.SourceImage);
+            Assert.Equal(new[] { 10, 30 }, _readWidths);
+
+            Assert.Null(preview.Current.ProcessedImage);
+            Assert.Equal("5", preview.Current.Text);
+            Assert.False(preview.Current.Accepted);
+
+            Assert.StartsWith("data:image/png;base64,", preview.Proposed.ProcessedImage);
+            Assert.Contains("Scale (3x)", preview.Proposed.PreprocessingSteps);
+            Assert.Equal("5.2", preview.Proposed.Text);
+            Assert.True(preview.Proposed.Accepted);
+            Assert.Equal("Normal", preview.Proposed.Status);
+            Assert.Equal(5.2, preview.Proposed.CurrentAmps);
+
+            // Previewing never applies anything
+            _mockRuntimeConfigurationService.Verify(x => x.UpdateOcrOptionsAsync(It.IsAny<OcrOptions>()), Times.Never);
+        }
+
+        [Fact]
+        public async Task PreviewAsync_RejectsCaptureWithoutUnprocessedCrop()
+        {
+            SetupCapture("pump_reading_20250713_120000.jpg",
+                ("roi_processed_20250713_120000.png", DebugImageTypes.RoiProcessed));
+
+            await Assert.ThrowsAsync<ArgumentException>(() =>
+                _service.PreviewAsync("pump_reading_20250713_120000.jpg", EditedSettings(_ => { })));
+        }
+
+        [Fact]
+        public async Task PreviewAsync_RejectsInvalidSettings()
+        {
+            SetupCapture("pump_reading_20250713_120000.jpg",
+                ("roi_extracted_20250713_120000.png", DebugImageTypes.RoiExtracted));
+
+            await Assert.ThrowsAsync<ArgumentException>(() =>
+                _service.PreviewAsync("pump_reading_20250713_120000.jpg", EditedSettings(s => s.MinimumConfidence = 1.5)));
+        }
+
+        [Fact]
+        public async Task PreviewAsync_ThrowsForUnknownImage()
+        {
+            await Assert.ThrowsAsync<KeyNotFoundException>(() =>
+                _service.PreviewAsync("missing.jpg", EditedSettings(_ => { })));
+        }
+    }
+}
@@ -0,0 +1,48 @@
+using WellMonitor.Device.Services;
+using Xunit;
+
+namespace WellMonitor.Device.Tests
+{
+    public class OcrTextComparerTests
+    {
+        [Theory]
+        [InlineData("5.2", "5.2", true)]
+        [InlineData("Dry", " DRY\n", true)]
+        [InlineData("12.5", "12 .5", true)]
+        [InlineData("5.2", "5,2", false)]
+        [InlineData("5.2", null, false)]
+        public void IsMatch_IgnoresWhitespaceAndCase(string expected, string? predicted, bool match)
+        {
+            Assert.Equal(match, OcrTextComparer.IsMatch(expected, predicted));
+        }
+
+        [Theory]
+        [InlineData("5.2", "5.2", 0)]
+        [InlineData("5.2", "5,2", 1)]
+        [InlineData("12.5", "2.5", 1)]
+        [InlineData("5.2", "15.28", 2)]
+        [InlineData("Dry", "", 3)]
+        public void Distance_CountsCharacterEdits(string expected, string predicted, int distance)
+        {
+            Assert.Equal(distance, OcrTextComparer.Distance(expected, predicted));
+        }
+
+        [Fact]
+        public void Align_PairsSubstitutedCharacters()
+        {
+            var pairs = OcrTextComparer.Align("5.2", "5,2");
+
+            Assert.Equal(new (char?, char?)[] { ('5', '5'), ('.', ','), ('2', '2') }, pairs);
+        }
+
+        [Fact]
+        public void Align_MarksMissedAndAddedCharacters()
+        {
+            Assert.Equal(new (char?, char?)[] { ('1', null), ('2', '2'), ('.', '.'), ('5', '5') },
+                OcrTextComparer.Align("12.5", "2.5"));
+
+            Assert.Equal(new (char?, char?)[] { ('5', '5'), ('.', '.'), ('2', '2'), (null, '8') },
+                OcrTextComparer.Align("5.2", "5.28"));
+        }
+    }
+}
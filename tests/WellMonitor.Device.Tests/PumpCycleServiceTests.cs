@@ -0,0 +1,144 @@
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.Logging;
+using Moq;
+using WellMonitor.Device.Data;
+using WellMonitor.Device.Models;
+using WellMonitor.Device.Services;
+using WellMonitor.Shared.Models;
+using Xunit;
+using System;
+using System.Linq;
+using System.Threading.Tasks;
+
+namespace WellMonitor.Device.Tests
+{
+    public class PumpCycleServiceTests : IDisposable
+    {
+        private static readonly DateTime Start = new DateTime(2025, 6, 1, 0, 0, 0, DateTimeKind.Utc);
+
+        private readonly WellMonitorDbContext _context;
+        private readonly DatabaseService _databaseService;
+        private readonly PumpCycleService _pumpCycleService;
+
+        public PumpCycleServiceTests()
+        {
+            var options = new DbContextOptionsBuilder<WellMonitorDbContext>()
+                .UseInMemoryDatabase(databaseName: Guid.NewGuid().ToString())
+                .Options;
+            _context = new WellMonitorDbContext(options);
+
+            _databaseService = new DatabaseService(_context, new Mock<ILogger<DatabaseService>>().Object);
+
+            var pumpStatusAnalyzer = new PumpStatusAnalyzer(
+                new Mock<ILogger<PumpStatusAnalyzer>>().Object,
+                new AlertOptions(),
+                new Mock<IDeviceTwinService>().Object,
+                new Mock<IConfiguration>().Object);
+
+            _pumpCycleService = new PumpCycleService(
+                new Mock<ILogger<PumpCycleService>>().Object,
+                _databaseService,
+                pumpStatusAnalyzer);
+        }
+
+        public void Dispose()
+        {
+            _context.Dispose();
+        }
+
+        private async Task AddReadingAsync(double minutes, double amps, string? error = null)
+        {
+            await _databaseService.SaveReadingAsync(new Reading
+            {
+                TimestampUtc = Start.AddMinutes(minutes),
+                CurrentAmps = amps,
+                Status = amps >= 3.0 ? "Normal" : "Off",
+                Error = error
+            });
+        }
+
+        [Fact]
+        public async Task AnalyzeCyclesAsync_SplitsRunsAtIdleThreshold()
+        {
+            await AddReadingAsync(0, 0.0);
+            await AddReadingAsync(1, 5.0);
+            await AddReadingAsync(2, 7.0);
+            await AddReadingAsync(6, 0.2);
+            await AddReadingAsync(20, 6.0);
+            await AddReadingAsync(21, 0.0);
+
+            var analysis = await _pumpCycleService.AnalyzeCyclesAsync(Start, Start.AddHours(1), TimeSpan.Zero);
+
+            Assert.Equal(2, analysis.TotalCycles);
+
+            var first = analysis.Cycles[0];
+            Assert.Equal(Start.AddMinutes(1), first.Start);
+            Assert.Equal(Start.AddMinutes(6), first.End);
+            Assert.Equal(5.0, first.DurationMinutes);
+            Assert.Equal(6.0, first.AverageCurrent);
+            Assert.Equal(7.0, first.PeakCurrent);
+            Assert.False(first.IsShortCycle);
+
+            Assert.True(analysis.Cycles[1].IsShortCycle);
+            Assert.Equal(1, analysis.ShortCycles);
+            Assert.Equal(14.0, analysis.MeanOffMinutes);
+        }
+
+        [Fact]
+        public async Task AnalyzeCyclesAsync_MarksRunningCycleAtEndAsInProgress()
+        {
+            await AddReadingAsync(10, 0.0);
+            await AddReadingAsync(11, 5.0);
+            await AddReadingAsync(12, 5.0);
+
+            var analysis = await _pumpCycleService.AnalyzeCyclesAsync(Start, Start.AddHours(1), TimeSpan.Zero);
+
+            var cycle = Assert.Single(analysis.Cycles);
+            Assert.True(cycle.InProgress);
+            Assert.False(cycle.IsShortCycle);
+            Assert.Equal(Start.AddMinutes(12), cycle.End);
+        }
+
+        [Fact]
+        public async Task AnalyzeCyclesAsync_IgnoresFailedReadingsAndClosesCyclesAtDataGaps()
+        {
+            await AddReadingAsync(0, 5.0);
+            await AddReadingAsync(5, 0.0, "Invalid OCR reading");
+            await AddReadingAsync(8, 5.0);
+            await AddReadingAsync(40, 5.0);
+            await AddReadingAsync(45, 0.0);
+
+            var analysis = await _pumpCycleService.AnalyzeCyclesAsync(Start, Start.AddHours(1), TimeSpan.Zero);
+
+            Assert.Equal(2, analysis.TotalCycles);
+            Assert.Equal(Start.AddMinutes(8), analysis.Cycles[0].End);
+            Assert.Equal(Start.AddMinutes(40), analysis.Cycles[1].Start);
+        }
+
+        [Fact]
+        public async Task AnalyzeCyclesAsync_SplitsRunTimeAcrossLocalMidnight()
+        {
+            // 23:30 to 00:30 local time at UTC-5
+            var offset = TimeSpan.FromHours(-5);
+            var cycleStart = (4 * 60) + 30;
+            await AddReadingAsync(cycleStart, 5.0);
+            await AddReadingAsync(cycleStart + 60, 0.0);
+
+            var analysis = await _pumpCycleService.AnalyzeCyclesAsync(Start, Start.AddDays(1), offset);
+
+            Assert.Equal(new[] { "2025-05-31", "2025-06-01" }, analysis.Days.Select(d => d.Date));
+            Assert.Equal(0.5, analysis.Days[0].RunHours);
+            Assert.Equal(0.5, analysis.Days[1].RunHours);
+            Assert.Equal(1, analysis.Days[0].Cycles);
+            Assert.Equal(0, analysis.Days[1].Cycles);
+        }
+
+        [Fact]
+        public async Task AnalyzeCyclesAsync_RejectsRangesLongerThanAMonth()
+        {
+            await Assert.ThrowsAsync<ArgumentException>(() =>
+                _pumpCycleService.AnalyzeCyclesAsync(Start, Start.AddDays(60), TimeSpan.Zero));
+        }
+    }
+}
@@ -0,0 +1,42 @@
+using WellMonitor.Device.Models;
+using WellMonitor.Device.Services;
+using Xunit;
+using System.Collections.Generic;
+
+namespace WellMonitor.Device.Tests
+{
+    public class PushNotificationQueueTests
+    {
+        private readonly PushNotificationQueue _queue = new();
+
+        [Fact]
+        public void Enqueue_MakesNotificationAvailableToTheSender()
+        {
+            Assert.True(_queue.Enqueue(AlertTypes.Dry, "Dry well", "Pump may be running dry", urgent: true));
+
+            Assert.True(_queue.Pending.TryRead(out var notification));
+            Assert.Equal(AlertTypes.Dry, notification!.Topic);
+            Assert.Equal("Dry well", notification.Title);
+            Assert.True(notification.Urgent);
+        }
+
+        [Fact]
+        public void Enqueue_DropsOldestWhenFull()
+        {
+            for (var i = 0; i <= PushNotificationQueue.Capacity; i++)
+            {
+                _queue.Enqueue(PushTopics.RelayCycle, "Relay cycled", $"Cycle {i}");
+            }
+
+            var bodies = new List<string>();
+            while (_queue.Pending.TryRead(out var notification))
+            {
+                bodies.Add(notification.Body);
+            }
+
+            Assert.Equal(PushNotificationQueue.Capacity, bodies.Count);
+            Assert.Equal("Cycle 1", bodies[0]);
+            Assert.Equal($"Cycle {PushNotificationQueue.Capacity}", bodies[^1]);
+        }
+    }
+}
@@ -0,0 +1,188 @@
+using Microsoft.AspNetCore.WebUtilities;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using Moq;
+using WellMonitor.Device.Data;
+using WellMonitor.Device.Models;
+using WellMonitor.Device.Services;
+using Xunit;
+using System;
+using System.Linq;
+using System.Net;
+using System.Security.Cryptography;
+using System.Threading;
+using System.Threading.Tasks;
+
+namespace WellMonitor.Device.Tests
+{
+    public class PushNotificationServiceTests : IDisposable
+    {
+        private static readonly string P256dh = WebEncoders.Base64UrlEncode(new byte[] { 0x04 }.Concat(new byte[64]).ToArray());
+        private static readonly string Auth = WebEncoders.Base64UrlEncode(new byte[16]);
+
+        private readonly WellMonitorDbContext _context;
+        private readonly DatabaseService _databaseService;
+        private readonly Mock<IWebPushSender> _webPushSender = new();
+        private readonly PushNotificationService _pushNotificationService;
+
+        public PushNotificationServiceTests()
+        {
+            var options = new DbContextOptionsBuilder<WellMonitorDbContext>()
+                .UseInMemoryDatabase(databaseName: Guid.NewGuid().ToString())
+                .Options;
+            _context = new WellMonitorDbContext(options);
+
+            _databaseService = new DatabaseService(_context, new Mock<ILogger<DatabaseService>>().Object);
+
+            _webPushSender
+                .Setup(s => s.SendAsync(It.IsAny<PushSubscription>(), It.IsAny<string>(), It.IsAny<VapidKeys>(),
+                    It.IsAny<string>(), It.IsAny<int>(), It.IsAny<bool>(), It.IsAny<CancellationToken>()))
+                .ReturnsAsync(HttpStatusCode.Created);
+
+            _pushNotificationService = new PushNotificationService(
+                new Mock<ILogger<PushNotificationService>>().Object,
+                _databaseService,
+                _webPushSender.Object,
+                Options.Create(new PushNotificationOptions()));
+        }
+
+        public void Dispose()
+        {
+            _context.Dispose();
+        }
+
+        [Fact]
+        public async Task GetPublicKeyAsync_GeneratesKeyOnceAndKeepsIt()
+        {
+            var first = await _pushNotificationService.GetPublicKeyAsync();
+            var second = await _pushNotificationService.GetPublicKeyAsync();
+
+            Assert.Equal(first, second);
+            Assert.Equal(65, WebEncoders.Base64UrlDecode(first).Length);
+        }
+
+        [Fact]
+        public async Task SubscribeAsync_UpdatesTopicsForExistingEndpoint()
+        {
+            await _pushNotificationService.SubscribeAsync("https://push.example.test/a", P256dh, Auth, new[] { AlertTypes.Dry });
+            await _pushNotificationService.SubscribeAsync("https://push.example.test/a", P256dh, Auth, new[] { AlertTypes.RapidCycle, PushTopics.RelayCycle });
+
+            var subscription = Assert.Single(await _databaseService.GetPushSubscriptionsAsync());
+            Assert.Equal(new[] { AlertTypes.RapidCycle, PushTopics.RelayCycle }, subscription.GetTopics());
+        }
+
+        [Fact]
+        public async Task SubscribeAsync_RejectsInvalidKeysAndTopics()
+        {
+            await Assert.ThrowsAsync<ArgumentException>(() =>
+                _pushNotificationService.SubscribeAsync("https://push.example.test/a", "not-a-key", Auth, PushTopics.Default));
+
+            await Assert.ThrowsAsync<ArgumentException>(() =>
+                _pushNotificationService.SubscribeAsync("https://push.example.test/a", P256dh, Auth, new[] { "Flood" }));
+
+            Assert.Empty(await _databaseService.GetPushSubscriptionsAsync());
+        }
+
+        [Fact]
+        public async Task SubscribeAsync_RejectsHttpEndpointUnlessAllowed()
+        {
+            var ex = await Assert.ThrowsAsync<ArgumentException>(() =>
+                _pushNotificationService.SubscribeAsync("http://192.168.1.10/metadata", P256dh, Auth, PushTopics.Default));
+            Assert.Contains("https", ex.Message);
+
+            var benchService = new PushNotificationService(
+                new Mock<ILogger<PushNotificationService>>().Object,
+                _databaseService,
+                _webPushSender.Object,
+                Options.Create(new PushNotificationOptions { AllowInsecureEndpoints = true }));
+            await benchService.SubscribeAsync("http://localhost:8090/push", P256dh, Auth, PushTopics.Default);
+
+            Assert.Single(await _databaseService.GetPushSubscriptionsAsync());
+        }
+
+        [Fact]
+        public async Task SendTestAsync_HttpSubscriptionWithoutSwitch_IsNotSent()
+        {
+            await _databaseService.SavePushSubscriptionAsync(new PushSubscription
+            {
+                Endpoint = "http://localhost:8090/push",
+                P256dh = P256dh,
+                Auth = Auth,
+                Topics = AlertTypes.Dry,
+                CreatedAtUtc = DateTime.UtcNow
+            });
+
+            Assert.False(await _pushNotificationService.SendTestAsync("http://localhost:8090/push"));
+
+            _webPushSender.Verify(s => s.SendAsync(It.IsAny<PushSubscription>(), It.IsAny<string>(), It.IsAny<VapidKeys>(),
+                It.IsAny<string>(), It.IsAny<int>(), It.IsAny<bool>(), It.IsAny<CancellationToken>()), Times.Never);
+        }
+
+        [Fact]
+        public async Task NotifyAsync_SendsOnlyToSubscribersOfTopic()
+        {
+            await _pushNotificationService.SubscribeAsync("https://push.example.test/dry", P256dh, Auth, new[] { AlertTypes.Dry });
+            await _pushNotificationService.SubscribeAsync("https://push.example.test/relay", P256dh, Auth, new[] { PushTopics.RelayCycle });
+
+            var delivered = await _pushNotificationService.NotifyAsync(AlertTypes.Dry, "Dry well", "Pump may be running dry", urgent: true);
+
+            Assert.Equal(1, delivered);
+            _webPushSender.Verify(s => s.SendAsync(
+                It.Is<PushSubscription>(p => p.Endpoint == "https://push.example.test/dry"),
+                It.Is<string>(payload => payload.Contains("\"title\":\"Dry well\"")),
+                It.IsAny<VapidKeys>(), It.IsAny<string>(), It.IsAny<int>(), true, It.IsAny<CancellationToken>()), Times.Once);
+            _webPushSender.Verify(s => s.SendAsync(
+                It.Is<PushSubscription>(p => p.Endpoint == "https://push.example.test/relay"),
+                It.IsAny<string>(), It.IsAny<VapidKeys>(), It.IsAny<string>(), It.IsAny<int>(), It.IsAny<bool>(), It.IsAny<CancellationToken>()), Times.Never);
+        }
+
+        [Fact]
+        public async Task NotifyAsync_SendsToSubscriptionsInParallel()
+        {
+            await _pushNotificationService.SubscribeAsync("https://push.example.test/a", P256dh, Auth, new[] { AlertTypes.Dry });
+            await _pushNotificationService.SubscribeAsync("https://push.example.test/b", P256dh, Auth, new[] { AlertTypes.Dry });
+
+            var gate = new object();
+            var inFlight = 0;
+            var maxInFlight = 0;
+            _webPushSender
+                .Setup(s => s.SendAsync(It.IsAny<PushSubscription>(), It.IsAny<string>(), It.IsAny<VapidKeys>(),
+                    It.IsAny<string>(), It.IsAny<int>(), It.IsAny<bool>(), It.IsAny<CancellationToken>()))
+                .Returns(async () =>
+                {
+                    lock (gate)
+                    {
+                        maxInFlight = Math.Max(maxInFlight, ++inFlight);
+                    }
+                    await Task.Delay(200);
+                    lock (gate)
+                    {
+                        inFlight--;
+                    }
+                    return HttpStatusCode.Created;
+                });
+
+            var delivered = await _pushNotificationService.NotifyAsync(AlertTypes.Dry, "Dry well", "Pump may be running dry");
+
+            Assert.Equal(2, delivered);
+            Assert.Equal(2, maxInFlight);
+            Assert.All(await _databaseService.GetPushSubscriptionsAsync(), s => Assert.NotNull(s.LastSentAtUtc));
+        }
+
+        [Fact]
+        public async Task NotifyAsync_RemovesSubscriptionsThePushServiceReportsGone()
+        {
+            await _pushNotificationService.SubscribeAsync("https://push.example.test/gone", P256dh, Auth, new[] { AlertTypes.Dry });
+            _webPushSender
+                .Setup(s => s.SendAsync(It.IsAny<PushSubscription>(), It.IsAny<string>(), It.IsAny<VapidKeys>(),
+                    It.IsAny<string>(), It.IsAny<int>(), It.IsAny<bool>(), It.IsAny<CancellationToken>()))
+                .ReturnsAsync(HttpStatusCode.Gone);
+
+            var delivered = await _pushNotificationService.NotifyAsync(AlertTypes.Dry, "Dry well", "Pump may be running dry");
+
+            Assert.Equal(0, delivered);
+            Assert.Empty(await _databaseService.GetPushSubscriptionsAsync());
+        }
+    }
+}
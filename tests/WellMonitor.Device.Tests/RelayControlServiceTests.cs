@@ -0,0 +1,248 @@
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.Logging;
+using Moq;
+using WellMonitor.Device.Data;
+using WellMonitor.Device.Models;
+using WellMonitor.Device.Services;
+using WellMonitor.Shared.Models;
+using Xunit;
+using System;
+using System.Diagnostics;
+using System.Linq;
+using System.Threading;
+using System.Threading.Tasks;
+
+namespace WellMonitor.Device.Tests
+{
+    public class RelayControlServiceTests : IDisposable
+    {
+        private readonly WellMonitorDbContext _context;
+        private readonly DatabaseService _databaseService;
+        private readonly Mock<IGpioService> _gpioService;
+        private readonly PumpStatusAnalyzer _pumpStatusAnalyzer;
+        private readonly Mock<IPushNotificationQueue> _pushNotificationQueue;
+        private readonly RelayControlService _relayControlService;
+
+        public RelayControlServiceTests()
+        {
+            var options = new DbContextOptionsBuilder<WellMonitorDbContext>()
+                .UseInMemoryDatabase(databaseName: Guid.NewGuid().ToString())
+                .Options;
+            _context = new WellMonitorDbContext(options);
+
+            _databaseService = new DatabaseService(_context, new Mock<ILogger<DatabaseService>>().Object);
+            _gpioService = new Mock<IGpioService>();
+
+            _pumpStatusAnalyzer = new PumpStatusAnalyzer(
+                new Mock<ILogger<PumpStatusAnalyzer>>().Object,
+                new AlertOptions(),
+                new Mock<IDeviceTwinService>().Object,
+                new Mock<IConfiguration>().Object);
+
+            // Keep successful cycles instant
+            _pumpStatusAnalyzer.GetPowerManagementOptions().PowerCycleDelaySeconds = 0;
+
+            _pushNotificationQueue = new Mock<IPushNotificationQueue>();
+
+            _relayControlService = new RelayControlService(
+                new Mock<ILogger<RelayControlService>>().Object,
+                _databaseService,
+                _gpioService.Object,
+                _pumpStatusAnalyzer,
+                _pushNotificationQueue.Object);
+        }
+
+        public void Dispose()
+        {
+            _context.Dispose();
+        }
+
+        private Task AddCycleLogAsync(TimeSpan age, string action = RelayActions.ManualCycle, string? error = null)
+        {
+            return _databaseService.AddRelayActionLogAsync(new RelayActionLog
+            {
+                TimestampUtc = DateTime.UtcNow - age,
+                Action = action,
+                Reason = "Test",
+                Error = error
+            });
+        }
+
+        [Fact]
+        public async Task CycleAsync_TurnsRelayOffThenOnAndLogsTheAction()
+        {
+            var sequence = new MockSequence();
+            _gpioService.InSequence(sequence).Setup(g => g.SetRelayState(false));
+            _gpioService.InSequence(sequence).Setup(g => g.SetRelayState(true));
+
+            var result = await _relayControlService.CycleAsync(RelaySources.Manual, "Pump stuck", "alex");
+
+            Assert.True(result.Success);
+            _gpioService.Verify(g => g.SetRelayState(false), Times.Once);
+            _gpioService.Verify(g => g.SetRelayState(true), Times.Once);
+
+            var entry = Assert.Single(await _relayControlService.GetActionLogAsync());
+            Assert.Equal(RelaySources.Manual, entry.Source);
+            Assert.Equal("Pump stuck (by alex)", entry.Reason);
+            Assert.True(entry.Succeeded);
+            Assert.NotNull(result.Status.LockoutEndsUtc);
+        }
+
+        [Fact]
+        public async Task CycleAsync_QueuesNotificationOnlyForCompletedCycles()
+        {
+            var result = await _relayControlService.CycleAsync(RelaySources.Manual, "Pump stuck", "alex");
+            await _relayControlService.CycleAsync(RelaySources.Manual, "Again", "alex");
+
+            Assert.True(result.Success);
+            _pushNotificationQueue.Verify(q => q.Enqueue(PushTopics.RelayCycle, "Relay cycled",
+                It.Is<string>(body => body.Contains("Pump stuck (by alex)")), false), Times.Once);
+            _pushNotificationQueue.Verify(q => q.Enqueue(It.IsAny<string>(), It.IsAny<string>(), It.IsAny<string>(), It.IsAny<bool>()), Times.Once);
+        }
+
+        [Fact]
+        public async Task CycleAsync_BlocksDuringLockoutAndAuditsTheAttempt()
+        {
+            await AddCycleLogAsync(TimeSpan.FromMinutes(10));
+
+            var result = await _relayControlService.CycleAsync(RelaySources.Manual, "Try again", "alex");
+
+            Assert.False(result.Success);
+            Assert.False(result.Status.CanCycle);
+            Assert.InRange(result.Status.LockoutRemainingSeconds, 19 * 60, 20 * 60);
+            _gpioService.Verify(g => g.SetRelayState(It.IsAny<bool>()), Times.Never);
+
+            var blocked = (await _relayControlService.GetActionLogAsync()).First();
+            Assert.False(blocked.Succeeded);
+            Assert.StartsWith("Blocked:", blocked.Result);
+            Assert.DoesNotContain(await _databaseService.GetUnsentRelayActionLogsAsync(), l => l.Error != null);
+        }
+
+        [Fact]
+        public async Task CycleAsync_CancelledRequestStillCompletesTheFullDelay()
+        {
+            _pumpStatusAnalyzer.GetPowerManagementOptions().PowerCycleDelaySeconds = 1;
+            using var cancellation = new CancellationTokenSource(TimeSpan.FromMilliseconds(100));
+            var stopwatch = Stopwatch.StartNew();
+
+            var result = await _relayControlService.CycleAsync(RelaySources.Manual, "Pump stuck", "alex", cancellationToken: cancellation.Token);
+
+            Assert.True(cancellation.IsCancellationRequested);
+            Assert.True(result.Success);
+            Assert.True(stopwatch.Elapsed >= TimeSpan.FromMilliseconds(900));
+            _gpioService.Verify(g => g.SetRelayState(true), Times.Once);
+            Assert.Equal(1, result.Status.CyclesToday);
+            Assert.NotNull(result.Status.LockoutEndsUtc);
+        }
+
+        [Fact]
+        public async Task CycleAsync_PowerNotRestoredStillCountsTowardLimits()
+        {
+            _gpioService.Setup(g => g.SetRelayState(true)).Throws(new InvalidOperationException("GPIO error"));
+
+            var result = await _relayControlService.CycleAsync(RelaySources.Manual, "Pump stuck", "alex");
+
+            Assert.False(result.Success);
+            Assert.Equal(1, result.Status.CyclesToday);
+            Assert.NotNull(result.Status.LockoutEndsUtc);
+            var entry = Assert.Single(await _relayControlService.GetActionLogAsync());
+            Assert.StartsWith(RelayActions.PowerNotRestoredPrefix, entry.Result);
+        }
+
+        [Fact]
+        public async Task CycleAsync_AutomaticCyclesAreExemptFromTheDailyLimit()
+        {
+            var options = _pumpStatusAnalyzer.GetPowerManagementOptions();
+            options.MinimumCycleIntervalMinutes = 0;
+            options.MaxDailyCycles = 1;
+            await AddCycleLogAsync(TimeSpan.FromSeconds(1));
+
+            var manual = await _relayControlService.CycleAsync(RelaySources.Manual, "Reset", "alex");
+            var automatic = await _relayControlService.CycleAsync(RelaySources.Automatic, "RapidCycling", "system", allowWhileRunning: true);
+
+            Assert.False(manual.Success);
+            Assert.Contains("Daily limit", manual.Message);
+            Assert.True(automatic.Success);
+            Assert.Equal(2, automatic.Status.CyclesToday);
+        }
+
+        [Fact]
+        public async Task CycleAsync_DoesNotAuditBlockedAutomaticAttempts()
+        {
+            await AddCycleLogAsync(TimeSpan.FromMinutes(10), RelayActions.PowerCycle);
+
+            var result = await _relayControlService.CycleAsync(RelaySources.Automatic, "RapidCycling", "system", allowWhileRunning: true);
+
+            Assert.False(result.Success);
+            Assert.Single(await _relayControlService.GetActionLogAsync());
+        }
+
+        [Fact]
+        public async Task GetStatusAsync_FailedCyclesDoNotCountTowardLimits()
+        {
+            await AddCycleLogAsync(TimeSpan.FromMinutes(5), error: "GPIO error");
+            await AddCycleLogAsync(TimeSpan.FromMinutes(1), error: "Blocked: Daily limit reached");
+
+            var status = await _relayControlService.GetStatusAsync();
+
+            Assert.True(status.CanCycle);
+            Assert.Null(status.LastCycleUtc);
+            Assert.Equal(0, status.CyclesToday);
+        }
+
+        [Fact]
+        public async Task GetStatusAsync_ReportsDailyLimit()
+        {
+            var options = _pumpStatusAnalyzer.GetPowerManagementOptions();
+            options.MinimumCycleIntervalMinutes = 0;
+            options.MaxDailyCycles = 2;
+
+            await AddCycleLogAsync(TimeSpan.FromSeconds(2));
+            await AddCycleLogAsync(TimeSpan.FromSeconds(1), RelayActions.CloudCycle);
+
+            var status = await _relayControlService.GetStatusAsync();
+
+            Assert.Equal(2, status.CyclesToday);
+            Assert.Equal(0, status.RemainingToday);
+            Assert.False(status.CanCycle);
+            Assert.Contains("Daily limit", status.BlockedReason);
+        }
+
+        [Fact]
+        public async Task CycleAsync_RequiresConfirmationWhilePumpIsRunning()
+        {
+            await _databaseService.SaveReadingAsync(new Reading
+            {
+                TimestampUtc = DateTime.UtcNow.AddSeconds(-30),
+                CurrentAmps = 8.0,
+                Status = "Normal"
+            });
+
+            var blocked = await _relayControlService.CycleAsync(RelaySources.Manual, "Reset", "alex");
+
+            Assert.False(blocked.Success);
+            Assert.True(blocked.Status.PumpRunning);
+            Assert.Contains("running", blocked.Message);
+            _gpioService.Verify(g => g.SetRelayState(It.IsAny<bool>()), Times.Never);
+
+            var allowed = await _relayControlService.CycleAsync(RelaySources.Manual, "Reset", "alex", allowWhileRunning: true);
+
+            Assert.True(allowed.Success);
+        }
+
+        [Fact]
+        public async Task GetActionLogAsync_FiltersBySource()
+        {
+            await AddCycleLogAsync(TimeSpan.FromHours(3), RelayActions.PowerCycle);
+            await AddCycleLogAsync(TimeSpan.FromHours(2), RelayActions.ManualCycle);
+            await AddCycleLogAsync(TimeSpan.FromHours(1), RelayActions.CloudCycle);
+
+            var automatic = Assert.Single(await _relayControlService.GetActionLogAsync(RelaySources.Automatic));
+            Assert.Equal(RelayActions.PowerCycle, automatic.Action);
+
+            var all = (await _relayControlService.GetActionLogAsync()).ToList();
+            Assert.Equal(new[] { RelaySources.Cloud, RelaySources.Manual, RelaySources.Automatic }, all.Select(e => e.Source));
+        }
+    }
+}
@@ -0,0 +1,118 @@
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using Moq;
+using WellMonitor.Device.Data;
+using WellMonitor.Device.Models;
+using WellMonitor.Device.Services;
+using Xunit;
+using System;
+using System.Linq;
+using System.Threading.Tasks;
+
+namespace WellMonitor.Device.Tests
+{
+    public class RoiProfileServiceTests : IDisposable
+    {
+        private readonly WellMonitorDbContext _context;
+        private readonly Mock<IRuntimeConfigurationService> _mockRuntimeConfiguration;
+        private readonly RoiProfileService _roiProfileService;
+
+        public RoiProfileServiceTests()
+        {
+            var options = new DbContextOptionsBuilder<WellMonitorDbContext>()
+                .UseInMemoryDatabase(databaseName: Guid.NewGuid().ToString())
+                .Options;
+            _context = new WellMonitorDbContext(options);
+
+            var databaseService = new DatabaseService(_context, new Mock<ILogger<DatabaseService>>().Object);
+
+            var mockRoiOptions = new Mock<IOptionsMonitor<RegionOfInterestOptions>>();
+            mockRoiOptions.Setup(x => x.CurrentValue).Returns(new RegionOfInterestOptions());
+
+            var mockCameraOptions = new Mock<IOptionsMonitor<CameraOptions>>();
+            mockCameraOptions.Setup(x => x.CurrentValue).Returns(new CameraOptions());
+
+            _mockRuntimeConfiguration = new Mock<IRuntimeConfigurationService>();
+
+            _roiProfileService = new RoiProfileService(
+                new Mock<ILogger<RoiProfileService>>().Object,
+                databaseService,
+                _mockRuntimeConfiguration.Object,
+                mockRoiOptions.Object,
+                mockCameraOptions.Object);
+        }
+
+        public void Dispose()
+        {
+            _context.Dispose();
+        }
+
+        [Fact]
+        public async Task SaveProfileAsync_CreatesNewVersionAndActivatesIt()
+        {
+            var first = await _roiProfileService.SaveProfileAsync("Summer", new RoiCoordinates { X = 0.2 }, "dave", null);
+            var second = await _roiProfileService.SaveProfileAsync("Summer", new RoiCoordinates { X = 0.3 }, "dave", null);
+
+            Assert.Equal(1, first.Version);
+            Assert.Equal(2, second.Version);
+
+            var active = await _roiProfileService.GetActiveProfileAsync();
+            Assert.Equal(second.Id, active?.Id);
+            Assert.Single((await _roiProfileService.GetProfilesAsync()).Where(p => p.IsActive));
+
+            _mockRuntimeConfiguration.Verify(x => x.UpdateRoiOptionsAsync(
+                It.Is<RegionOfInterestOptions>(o => o.RoiPercent.X == 0.3)), Times.Once);
+        }
+
+        [Fact]
+        public async Task SaveProfileAsync_RecordsWhoSavedIt()
+        {
+            var profile = await _roiProfileService.SaveProfileAsync("Winter", new RoiCoordinates(), "  maintenance crew ", null);
+
+            Assert.Equal("maintenance crew", profile.SavedBy);
+            Assert.True(profile.SavedAtUtc <= DateTime.UtcNow);
+            Assert.Null(profile.Thumbnail);
+        }
+
+        [Fact]
+        public async Task SaveProfileAsync_WithInvalidRoi_Throws()
+        {
+            var roi = new RoiCoordinates { X = 0.9, Width = 0.5 };
+
+            await Assert.ThrowsAsync<ArgumentException>(() => _roiProfileService.SaveProfileAsync("Bad", roi, "dave", null));
+        }
+
+        [Fact]
+        public async Task RollbackAsync_ReactivatesPreviouslyActiveProfile()
+        {
+            var summer = await _roiProfileService.SaveProfileAsync("Summer", new RoiCoordinates { X = 0.2 }, "dave", null);
+            await _roiProfileService.SaveProfileAsync("Winter", new RoiCoordinates { X = 0.3 }, "dave", null);
+
+            var rolledBack = await _roiProfileService.RollbackAsync();
+
+            Assert.Equal(summer.Id, rolledBack?.Id);
+            Assert.Equal(summer.Id, (await _roiProfileService.GetActiveProfileAsync())?.Id);
+        }
+
+        [Fact]
+        public async Task RollbackAsync_WithoutHistory_ReturnsNull()
+        {
+            Assert.Null(await _roiProfileService.RollbackAsync());
+        }
+
+        [Fact]
+        public async Task DiffAsync_ReportsCoordinateChangesAndOverlap()
+        {
+            var from = await _roiProfileService.SaveProfileAsync("Summer", new RoiCoordinates { X = 0.2, Y = 0.4, Width = 0.5, Height = 0.2 }, "dave", null);
+            var to = await _roiProfileService.SaveProfileAsync("Summer", new RoiCoordinates { X = 0.2, Y = 0.4, Width = 0.25, Height = 0.2 }, "dave", null);
+
+            var diff = await _roiProfileService.DiffAsync(from.Id, to.Id);
+
+            Assert.NotNull(diff);
+            Assert.Equal(0, diff!.DeltaX, 6);
+            Assert.Equal(-0.25, diff.DeltaWidth, 6);
+            Assert.Equal(0.5, diff.Overlap, 6);
+        }
+    }
+}
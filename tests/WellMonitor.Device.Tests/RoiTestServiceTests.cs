@@ -0,0 +1,157 @@
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using Moq;
+using SixLabors.ImageSharp;
+using SixLabors.ImageSharp.PixelFormats;
+using WellMonitor.Device.Models;
+using WellMonitor.Device.Services;
+using WellMonitor.Shared.Models;
+using Xunit;
+using System;
+using System.IO;
+using System.Threading;
+using System.Threading.Tasks;
+
+namespace WellMonitor.Device.Tests
+{
+    public class RoiTestServiceTests : IDisposable
+    {
+        private readonly string _debugDirectory;
+        private readonly Mock<ICameraService> _mockCameraService;
+        private readonly Mock<IOcrService> _mockOcrService;
+        private readonly RoiTestService _roiTestService;
+
+        public RoiTestServiceTests()
+        {
+            _debugDirectory = Path.Combine(Path.GetTempPath(), $"wellmonitor-roi-test-{Guid.NewGuid():N}");
+
+            var mockCameraOptions = new Mock<IOptionsMonitor<CameraOptions>>();
+            mockCameraOptions.Setup(x => x.CurrentValue).Returns(new CameraOptions { DebugImagePath = _debugDirectory });
+
+            _mockCameraService = new Mock<ICameraService>();
+            _mockOcrService = new Mock<IOcrService>();
+            _mockOcrService
+                .Setup(x => x.ExtractTextAsync(It.IsAny<string>(), It.IsAny<CancellationToken>()))
+                .ReturnsAsync(new OcrResult { Success = true, RawText = "5.2", ProcessedText = "5.2", Confidence = 0.9, Provider = "Test" });
+            _mockOcrService
+                .Setup(x => x.ParsePumpReading(It.IsAny<string>()))
+                .Returns(new PumpReading { Status = PumpStatus.Normal, CurrentAmps = 5.2, IsValid = true });
+
+            var pumpStatusAnalyzer = new PumpStatusAnalyzer(
+                new Mock<ILogger<PumpStatusAnalyzer>>().Object,
+                new AlertOptions(),
+                new Mock<IDeviceTwinService>().Object,
+                new Mock<IConfiguration>().Object);
+
+            _roiTestService = new RoiTestService(
+                new Mock<ILogger<RoiTestService>>().Object,
+                _mockCameraService.Object,
+                _mockOcrService.Object,
+                pumpStatusAnalyzer,
+                mockCameraOptions.Object);
+        }
+
+        public void Dispose()
+        {
+            if (Directory.Exists(_debugDirectory))
+            {
+                Directory.Delete(_debugDirectory, true);
+            }
+        }
+
+        private static byte[] CreateTestImage(int width, int height)
+        {
+            using var image = new Image<Rgba32>(width, height);
+            using var stream = new MemoryStream();
+            image.SaveAsPng(stream);
+            return stream.ToArray();
+        }
+
+        [Fact]
+        public async Task TestRoiAsync_ExtractsCropAtPixelCoordinates()
+        {
+            var roi = new RoiCoordinates { X = 0.25, Y = 0.4, Width = 0.5, Height = 0.2 };
+
+            var result = await _roiTestService.TestRoiAsync(CreateTestImage(200, 100), roi);
+
+            Assert.True(result.Success);
+            Assert.Equal(50, result.PixelX);
+            Assert.Equal(40, result.PixelY);
+            Assert.Equal(100, result.PixelWidth);
+            Assert.Equal(20, result.PixelHeight);
+            Assert.NotNull(result.ExtractedImageFile);
+
+            var extractedInfo = Image.Identify(Path.Combine(_debugDirectory, result.ExtractedImageFile!));
+            Assert.Equal(100, extractedInfo.Width);
+            Assert.Equal(20, extractedInfo.Height);
+        }
+
+        [Fact]
+        public async Task TestRoiAsync_SavesFrameAndOverlayUnderTheSameCapture()
+        {
+            var result = await _roiTestService.TestRoiAsync(CreateTestImage(200, 100), new RoiCoordinates());
+
+            Assert.NotNull(result.OriginalImageFile);
+            Assert.NotNull(result.OverlayImageFile);
+            Assert.EndsWith(".png", result.OriginalImageFile);
+
+            var overlayInfo = Image.Identify(Path.Combine(_debugDirectory, result.OverlayImageFile!));
+            Assert.Equal(200, overlayInfo.Width);
+            Assert.Equal(100, overlayInfo.Height);
+
+            var captureKey = DebugImageService.GetCaptureKey(result.OriginalImageFile!);
+            Assert.Equal(captureKey, DebugImageService.GetCaptureKey(result.OverlayImageFile!));
+            Assert.Equal(captureKey, DebugImageService.GetCaptureKey(result.ExtractedImageFile!));
+        }
+
+        [Fact]
+        public async Task TestRoiAsync_ReportsParsedReadingAndAnalyzedStatus()
+        {
+            var roi = new RoiCoordinates();
+
+            var result = await _roiTestService.TestRoiAsync(CreateTestImage(200, 100), roi);
+
+            Assert.Equal("5.2", result.Ocr?.ProcessedText);
+            Assert.Equal(5.2, result.ParsedReading?.CurrentAmps);
+            Assert.Equal(PumpStatus.Normal, result.AnalyzedStatus);
+        }
+
+        [Fact]
+        public async Task TestRoiAsync_WhenPreprocessingWritesNoFile_UsesExtractedCropForOcr()
+        {
+            _mockOcrService
+                .Setup(x => x.PreprocessImageAsync(It.IsAny<string>(), It.IsAny<string>(), It.IsAny<CancellationToken>()))
+                .ReturnsAsync(true);
+
+            var result = await _roiTestService.TestRoiAsync(CreateTestImage(200, 100), new RoiCoordinates());
+
+            Assert.Null(result.ProcessedImageFile);
+            _mockOcrService.Verify(x => x.ExtractTextAsync(
+                Path.Combine(_debugDirectory, result.ExtractedImageFile!), It.IsAny<CancellationToken>()), Times.Once);
+        }
+
+        [Fact]
+        public async Task TestRoiAsync_WithOutOfBoundsRoi_ReturnsError()
+        {
+            var roi = new RoiCoordinates { X = 0.8, Y = 0.4, Width = 0.5, Height = 0.2 };
+
+            var result = await _roiTestService.TestRoiAsync(CreateTestImage(200, 100), roi);
+
+            Assert.False(result.Success);
+            Assert.NotNull(result.ErrorMessage);
+            Assert.Null(result.ExtractedImageFile);
+        }
+
+        [Fact]
+        public async Task TestRoiAsync_CapturesFrameFromCamera()
+        {
+            _mockCameraService.Setup(x => x.CaptureImageAsync()).ReturnsAsync(CreateTestImage(200, 100));
+
+            var result = await _roiTestService.TestRoiAsync(new RoiCoordinates());
+
+            Assert.True(result.Success);
+            _mockCameraService.Verify(x => x.CaptureImageAsync(), Times.Once);
+        }
+    }
+}
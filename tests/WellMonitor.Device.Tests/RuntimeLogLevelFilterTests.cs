@@ -0,0 +1,59 @@
+using Microsoft.Extensions.Logging;
+using WellMonitor.Device.Models;
+using WellMonitor.Device.Services;
+using Xunit;
+
+namespace WellMonitor.Device.Tests
+{
+    public class RuntimeLogLevelFilterTests
+    {
+        private const string CameraCategory = "WellMonitor.Device.Services.CameraService";
+        private const string OcrCategory = "WellMonitor.Device.Services.TesseractOcrProvider";
+
+        [Theory]
+        [InlineData("Debug", true, LogLevel.Debug)]
+        [InlineData(" warning ", true, LogLevel.Warning)]
+        [InlineData("None", false, LogLevel.Information)]
+        [InlineData("Verbose", false, LogLevel.Information)]
+        [InlineData(null, false, LogLevel.Information)]
+        public void TryParseLevel_AcceptsLevelNamesIgnoringCase(string? value, bool expected, LogLevel expectedLevel)
+        {
+            Assert.Equal(expected, RuntimeLogLevelFilter.TryParseLevel(value, out var level));
+            Assert.Equal(expectedLevel, level);
+        }
+
+        [Fact]
+        public void IsEnabled_UsesDebugOptionsLogLevel()
+        {
+            var filter = new RuntimeLogLevelFilter(new DebugOptions { LogLevel = "Warning" });
+
+            Assert.False(filter.IsEnabled(CameraCategory, LogLevel.Information));
+            Assert.True(filter.IsEnabled(CameraCategory, LogLevel.Warning));
+            Assert.False(filter.IsEnabled(OcrCategory, LogLevel.Debug));
+        }
+
+        [Fact]
+        public void IsEnabled_VerboseOcrLogging_LowersOcrCategoriesToDebug()
+        {
+            var filter = new RuntimeLogLevelFilter(new DebugOptions { LogLevel = "Warning", EnableVerboseOcrLogging = true });
+
+            Assert.True(filter.IsEnabled(OcrCategory, LogLevel.Debug));
+            Assert.False(filter.IsEnabled(OcrCategory, LogLevel.Trace));
+            Assert.False(filter.IsEnabled(CameraCategory, LogLevel.Debug));
+        }
+
+        [Fact]
+        public void Apply_ChangesLevelAndKeepsCurrentLevelWhenUnknown()
+        {
+            var filter = new RuntimeLogLevelFilter(new DebugOptions());
+
+            filter.Apply(new DebugOptions { LogLevel = "Debug" });
+            Assert.Equal(LogLevel.Debug, filter.MinimumLevel);
+            Assert.True(filter.IsEnabled(CameraCategory, LogLevel.Debug));
+
+            filter.Apply(new DebugOptions { LogLevel = "Loud", EnableVerboseOcrLogging = true });
+            Assert.Equal(LogLevel.Debug, filter.MinimumLevel);
+            Assert.True(filter.VerboseOcr);
+        }
+    }
+}
@@ -0,0 +1,155 @@
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using Moq;
+using WellMonitor.Device.Data;
+using WellMonitor.Device.Models;
+using WellMonitor.Device.Services;
+using WellMonitor.Shared.Models;
+using Xunit;
+using System;
+using System.Linq;
+using System.Threading.Tasks;
+
+namespace WellMonitor.Device.Tests
+{
+    public class SummaryRollupServiceTests : IDisposable
+    {
+        private static readonly DateTime Start = new DateTime(2025, 6, 2, 8, 0, 0, DateTimeKind.Utc);
+
+        private readonly WellMonitorDbContext _context;
+        private readonly DatabaseService _databaseService;
+        private readonly SummaryRollupService _rollupService;
+
+        public SummaryRollupServiceTests()
+        {
+            var options = new DbContextOptionsBuilder<WellMonitorDbContext>()
+                .UseInMemoryDatabase(databaseName: Guid.NewGuid().ToString())
+                .Options;
+            _context = new WellMonitorDbContext(options);
+
+            _databaseService = new DatabaseService(_context, new Mock<ILogger<DatabaseService>>().Object);
+
+            var pumpStatusAnalyzer = new PumpStatusAnalyzer(
+                new Mock<ILogger<PumpStatusAnalyzer>>().Object,
+                new AlertOptions(),
+                new Mock<IDeviceTwinService>().Object,
+                new Mock<IConfiguration>().Object);
+
+            var energyService = new EnergyService(
+                new Mock<ILogger<EnergyService>>().Object,
+                _databaseService,
+                pumpStatusAnalyzer,
+                Options.Create(new EnergyOptions()));
+
+            _rollupService = new SummaryRollupService(
+                new Mock<ILogger<SummaryRollupService>>().Object,
+                _databaseService,
+                energyService,
+                pumpStatusAnalyzer);
+        }
+
+        public void Dispose()
+        {
+            _context.Dispose();
+        }
+
+        private async Task AddReadingAsync(double minutes, double amps)
+        {
+            await _databaseService.SaveReadingAsync(new Reading
+            {
+                TimestampUtc = Start.AddMinutes(minutes),
+                CurrentAmps = amps,
+                Status = amps >= 3.0 ? "Normal" : "Off"
+            });
+        }
+
+        [Fact]
+        public async Task RollupAsync_SavesHourlyDailyAndMonthlySummariesFromReadings()
+        {
+            await AddReadingAsync(0, 5.0);
+            await AddReadingAsync(6, 0.0);
+            await AddReadingAsync(30, 5.0);
+            await AddReadingAsync(36, 0.0);
+            await AddReadingAsync(60, 10.0);
+            await AddReadingAsync(66, 0.0);
+
+            await _rollupService.RollupAsync(Start, Start.AddHours(2));
+
+            var first = await _databaseService.GetHourlySummaryAsync(Start);
+            Assert.NotNull(first);
+            Assert.Equal(0.24, first!.TotalKwh);
+            Assert.Equal(2, first.PumpCycles);
+
+            var second = await _databaseService.GetHourlySummaryAsync(Start.AddHours(1));
+            Assert.Equal(0.24, second!.TotalKwh);
+            Assert.Equal(1, second.PumpCycles);
+
+            var daily = await _databaseService.GetDailySummaryAsync(Start);
+            Assert.Equal(0.48, daily!.TotalKwh);
+            Assert.Equal(3, daily.PumpCycles);
+
+            var monthly = await _databaseService.GetMonthlySummaryAsync(Start);
+            Assert.Equal(0.48, monthly!.TotalKwh);
+        }
+
+        [Fact]
+        public async Task RollupAsync_RepeatedRun_UpdatesPartialPeriodsWithoutDuplicates()
+        {
+            await AddReadingAsync(0, 5.0);
+            await AddReadingAsync(6, 0.0);
+            await _rollupService.RollupAsync(Start, Start.AddMinutes(10));
+
+            await AddReadingAsync(30, 5.0);
+            await AddReadingAsync(36, 0.0);
+
+            var changed = await _rollupService.RollupAsync(Start, Start.AddHours(1));
+            var unchanged = await _rollupService.RollupAsync(Start, Start.AddHours(1));
+
+            Assert.Equal(3, changed);
+            Assert.Equal(0, unchanged);
+            var hourly = Assert.Single(await _databaseService.GetHourlySummariesAsync(Start, Start.AddDays(1)));
+            Assert.Equal(0.24, hourly.TotalKwh);
+            Assert.Equal(2, hourly.PumpCycles);
+            Assert.Single(await _databaseService.GetDailySummariesAsync(Start, Start.AddDays(1)));
+            Assert.False(hourly.Synced);
+        }
+
+        [Fact]
+        public async Task RollupAsync_LeavesTheRunningHourDayAndMonthUnsaved()
+        {
+            var currentHour = DateTime.UtcNow.Date.AddHours(DateTime.UtcNow.Hour);
+            foreach (var timestamp in new[] { currentHour.AddMinutes(-30), currentHour.AddMinutes(-25), DateTime.UtcNow })
+            {
+                await _databaseService.SaveReadingAsync(new Reading { TimestampUtc = timestamp, CurrentAmps = 5.0, Status = "Normal" });
+            }
+
+            await _rollupService.RollupAsync(currentHour.AddHours(-2), DateTime.UtcNow.AddHours(1));
+
+            Assert.NotNull(await _databaseService.GetHourlySummaryAsync(currentHour.AddHours(-1)));
+            Assert.Null(await _databaseService.GetHourlySummaryAsync(currentHour));
+            Assert.Null(await _databaseService.GetDailySummaryAsync(currentHour));
+            Assert.Null(await _databaseService.GetMonthlySummaryAsync(currentHour));
+        }
+
+        [Fact]
+        public async Task AggregateHoursAsync_CoversEveryDayOfALongRange()
+        {
+            await AddReadingAsync(0, 5.0);
+            await AddReadingAsync(TimeSpan.FromDays(1).TotalMinutes, 5.0);
+            await AddReadingAsync(TimeSpan.FromDays(10).TotalMinutes, 5.0);
+
+            var hours = await _rollupService.AggregateHoursAsync(Start.AddHours(-1), Start.AddDays(11));
+
+            Assert.Equal(new[] { "2025-06-02 08", "2025-06-03 08", "2025-06-12 08" }, hours.Select(h => h.DateHour));
+            Assert.All(hours, h => Assert.Equal(0.2, h.TotalKwh));
+        }
+
+        [Fact]
+        public async Task RollupAsync_EndBeforeStart_Throws()
+        {
+            await Assert.ThrowsAsync<ArgumentException>(() => _rollupService.RollupAsync(Start, Start.AddHours(-1)));
+        }
+    }
+}
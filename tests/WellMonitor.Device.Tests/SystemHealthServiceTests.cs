@@ -0,0 +1,294 @@
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.DependencyInjection;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using Moq;
+using WellMonitor.Device.Data;
+using WellMonitor.Device.Models;
+using WellMonitor.Device.Services;
+using Xunit;
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Threading.Tasks;
+
+namespace WellMonitor.Device.Tests
+{
+    public class SystemHealthServiceTests : IDisposable
+    {
+        private readonly string _rootDirectory;
+        private readonly string _debugDirectory;
+        private readonly string _logDirectory;
+        private readonly ServiceProvider _serviceProvider;
+        private readonly Mock<ISystemMetricsReader> _mockMetricsReader = new();
+        private readonly Mock<IAlertService> _mockAlertService = new();
+        private readonly Mock<IDebugImageService> _mockDebugImageService = new();
+        private readonly Mock<IRuntimeConfigurationService> _mockRuntimeConfigurationService = new();
+        private readonly SystemHealthOptions _options = new();
+        private DebugOptions _debugOptions = new() { ImageRetentionDays = 7, LogLevel = "Debug" };
+        private readonly SystemHealthService _service;
+
+        public SystemHealthServiceTests()
+        {
+            _rootDirectory = Path.Combine(Path.GetTempPath(), $"wellmonitor-health-{Guid.NewGuid():N}");
+            _debugDirectory = Path.Combine(_rootDirectory, "debug_images");
+            _logDirectory = Path.Combine(_rootDirectory, "journal");
+            Directory.CreateDirectory(_debugDirectory);
+            _options.LogDirectory = _logDirectory;
+
+            var services = new ServiceCollection();
+            services.AddDbContext<WellMonitorDbContext>(options =>
+                options.UseInMemoryDatabase(databaseName: Guid.NewGuid().ToString()));
+            services.AddLogging(builder => builder.AddConsole());
+            services.AddScoped<IDatabaseService, DatabaseService>();
+            services.AddSingleton(_mockAlertService.Object);
+            _serviceProvider = services.BuildServiceProvider();
+
+            var configuration = new ConfigurationBuilder()
+                .AddInMemoryCollection(new Dictionary<string, string?>
+                {
+                    ["ConnectionStrings:DefaultConnection"] = $"Data Source={Path.Combine(_rootDirectory, "wellmonitor.db")}"
+                })
+                .Build();
+
+            _mockMetricsReader.Setup(r => r.ProcessStartedUtc).Returns(DateTime.UtcNow.AddDays(-1));
+            _mockRuntimeConfigurationService.Setup(x => x.UpdateDebugOptionsAsync(It.IsAny<DebugOptions>()))
+                .Callback<DebugOptions>(options => _debugOptions = options)
+                .Returns(Task.CompletedTask);
+
+            var options = new Mock<IOptionsMonitor<SystemHealthOptions>>();
+            options.Setup(o => o.CurrentValue).Returns(_options);
+            var debugOptions = new Mock<IOptionsMonitor<DebugOptions>>();
+            debugOptions.Setup(o => o.CurrentValue).Returns(() => _debugOptions);
+            var cameraOptions = new Mock<IOptionsMonitor<CameraOptions>>();
+            cameraOptions.Setup(o => o.CurrentValue).Returns(new CameraOptions { DebugImagePath = _debugDirectory });
+
+            _service = new SystemHealthService(
+                new Mock<ILogger<SystemHealthService>>().Object,
+                _serviceProvider.GetRequiredService<IServiceScopeFactory>(),
+                _mockMetricsReader.Object,
+                _mockDebugImageService.Object,
+                _mockRuntimeConfigurationService.Object,
+                configuration,
+                options.Object,
+                debugOptions.Object,
+                cameraOptions.Object);
+        }
+
+        public void Dispose()
+        {
+            _serviceProvider.Dispose();
+            if (Directory.Exists(_rootDirectory))
+            {
+                Directory.Delete(_rootDirectory, true);
+            }
+        }
+
+        private void SetupReading(double? storagePercent, double? temperature, int? throttledFlags = null)
+        {
+            _mockMetricsReader.Setup(r => r.ReadSample(_rootDirectory)).Returns(() => new SystemHealthSample
+            {
+                TimestampUtc = DateTime.UtcNow,
+                CpuPercent = 12.5,
+                MemoryPercent = 40,
+                ProcessMemoryMb = 120,
+                StoragePercent = storagePercent,
+                StorageFreeMb = storagePercent == null ? null : (100 - storagePercent) * 300,
+                TemperatureCelsius = temperature,
+                ThrottledFlags = throttledFlags
+            });
+        }
+
+        /// <summary>
+        /// Hourly samples over the last hours, oldest first
+        /// </summary>
+        private async Task AddHourlySamplesAsync(int hours, Func<int, double> processMemoryMb, Func<int, double> storageFreeMb)
+        {
+            using var scope = _serviceProvider.CreateScope();
+            var databaseService = scope.ServiceProvider.GetRequiredService<IDatabaseService>();
+            var now = DateTime.UtcNow;
+
+            for (var hour = 0; hour <= hours; hour++)
+            {
+                await databaseService.AddSystemHealthSampleAsync(new SystemHealthSample
+                {
+                    TimestampUtc = now.AddHours(hour - hours).AddMinutes(-1),
+                    ProcessMemoryMb = processMemoryMb(hour),
+                    StorageFreeMb = storageFreeMb(hour),
+                    StoragePercent = 50,
+                    TemperatureCelsius = 50
+                });
+            }
+        }
+
+        private void CreateFile(string path, int bytes, DateTime? savedUtc = null)
+        {
+            Directory.CreateDirectory(Path.GetDirectoryName(path)!);
+            File.WriteAllBytes(path, new byte[bytes]);
+            if (savedUtc != null)
+            {
+                File.SetLastWriteTimeUtc(path, savedUtc.Value);
+            }
+        }
+
+        [Fact]
+        public async Task RecordSampleAsync_StoresSampleAndRaisesThresholdAlerts()
+        {
+            SetupReading(storagePercent: 96, temperature: 72);
+
+            var sample = await _service.RecordSampleAsync();
+
+            Assert.Equal(96, sample.StoragePercent);
+            using (var scope = _serviceProvider.CreateScope())
+            {
+                var stored = await scope.ServiceProvider.GetRequiredService<IDatabaseService>()
+                    .GetSystemHealthSamplesAsync(DateTime.UtcNow.AddHours(-1), DateTime.UtcNow);
+                Assert.Single(stored);
+            }
+
+            _mockAlertService.Verify(a => a.RaiseAsync(AlertTypes.StorageLow, AlertSeverity.Danger, "SD card almost full", It.IsAny<string>()), Times.Once);
+            _mockAlertService.Verify(a => a.RaiseAsync(AlertTypes.HighTemperature, AlertSeverity.Warning, "High temperature", It.IsAny<string>()), Times.Once);
+            _mockAlertService.Verify(a => a.ResolveAsync(AlertTypes.MemoryGrowth, "Condition cleared"), Times.Once);
+        }
+
+        [Fact]
+        public async Task RecordSampleAsync_ThrottlingIsDangerAndHealthyReadingsResolveAlerts()
+        {
+            SetupReading(storagePercent: 50, temperature: 60, throttledFlags: ThrottleFlags.SoftTemperatureLimit | ThrottleFlags.ThrottledSinceBoot);
+            await _service.RecordSampleAsync();
+            _mockAlertService.Verify(a => a.RaiseAsync(AlertTypes.HighTemperature, AlertSeverity.Danger, "CPU throttling", It.IsAny<string>()), Times.Once);
+
+            // Throttling earlier since boot doesn't keep the alert up; neither do metrics the platform can't read
+            SetupReading(storagePercent: null, temperature: null, throttledFlags: ThrottleFlags.ThrottledSinceBoot);
+            await _service.RecordSampleAsync();
+            _mockAlertService.Verify(a => a.ResolveAsync(AlertTypes.HighTemperature, "Condition cleared"), Times.Once);
+            _mockAlertService.Verify(a => a.ResolveAsync(AlertTypes.StorageLow, "Condition cleared"), Times.Exactly(2));
+        }
+
+        [Fact]
+        public async Task GetTrendAsync_FitsMemoryGrowthAndDaysUntilFull()
+        {
+            // 10 MB/hour of memory growth and 100 MB/hour less free space
+            await AddHourlySamplesAsync(12, hour => 100 + hour * 10, hour => 10000 - hour * 100);
+
+            var trend = await _service.GetTrendAsync(6);
+
+            Assert.Equal(7, trend.Samples.Count);
+            Assert.Equal(220, trend.Latest!.ProcessMemoryMb);
+            Assert.Equal(10, trend.MemoryGrowthMbPerHour);
+            Assert.Equal(3.7, trend.StorageDaysUntilFull);
+            Assert.Same(_options, trend.Thresholds);
+
+            // 50% full, but at this rate the card is full within a week
+            var storage = Assert.Single(trend.Warnings, w => w.Type == AlertTypes.StorageLow);
+            Assert.Equal(AlertSeverity.Warning, storage.Severity);
+            Assert.Contains("3.7 days", storage.Message);
+            Assert.Contains(trend.Warnings, w => w.Type == AlertTypes.MemoryGrowth);
+        }
+
+        [Fact]
+        public async Task GetTrendAsync_IgnoresMemoryFromBeforeRestartAndStableStorage()
+        {
+            await AddHourlySamplesAsync(12, hour => hour < 10 ? 400 + hour * 20 : 100, hour => 5000);
+            _mockMetricsReader.Setup(r => r.ProcessStartedUtc).Returns(DateTime.UtcNow.AddHours(-3));
+
+            var trend = await _service.GetTrendAsync(24);
+
+            // Three hours since the restart is too short a span to fit
+            Assert.Null(trend.MemoryGrowthMbPerHour);
+            Assert.Null(trend.StorageDaysUntilFull);
+            Assert.Empty(trend.Warnings);
+        }
+
+        [Fact]
+        public async Task GetTrendAsync_RejectsHoursOutsideRetention()
+        {
+            await Assert.ThrowsAsync<ArgumentException>(() => _service.GetTrendAsync(0));
+            await Assert.ThrowsAsync<ArgumentException>(() => _service.GetTrendAsync(_options.SampleRetentionDays * 24 + 1));
+
+            var empty = await _service.GetTrendAsync(1);
+            Assert.Null(empty.Latest);
+            Assert.Empty(empty.Warnings);
+        }
+
+        [Fact]
+        public void GetStorageBreakdown_MeasuresEachKindOfData()
+        {
+            CreateFile(Path.Combine(_rootDirectory, "wellmonitor.db"), 4096);
+            CreateFile(Path.Combine(_rootDirectory, "wellmonitor.db-wal"), 1024);
+            CreateFile(Path.Combine(_debugDirectory, "pump_reading_old.jpg"), 300, DateTime.UtcNow.AddDays(-10));
+            CreateFile(Path.Combine(_debugDirectory, "roi_overlay_old.jpg"), 200, DateTime.UtcNow.AddDays(-8));
+            CreateFile(Path.Combine(_debugDirectory, "pump_reading_new.jpg"), 100, DateTime.UtcNow.AddDays(-1));
+            CreateFile(Path.Combine(_debugDirectory, "ocr_dataset", "roi_extracted_old.png"), 50, DateTime.UtcNow.AddDays(-30));
+            CreateFile(Path.Combine(_logDirectory, "machine-id", "system.journal"), 2048);
+
+            var breakdown = _service.GetStorageBreakdown();
+
+            Assert.Equal(_rootDirectory, breakdown.DrivePath);
+            Assert.Equal(new[] { "Database", "Debug images", "OCR dataset", "Logs" }, breakdown.Items.Select(i => i.Name));
+            Assert.Equal(5120, breakdown.Items[0].Bytes);
+            Assert.Equal(2, breakdown.Items[0].Files);
+            Assert.Equal(600, breakdown.Items[1].Bytes);
+            Assert.Equal(50, breakdown.Items[2].Bytes);
+            Assert.Equal(2048, breakdown.Items[3].Bytes);
+
+            // The OCR dataset is never cleaned up, so it doesn't count as expired
+            Assert.Equal(7, breakdown.ImageRetentionDays);
+            Assert.Equal(2, breakdown.ExpiredDebugImages);
+            Assert.Equal(500, breakdown.ExpiredDebugImageBytes);
+        }
+
+        [Fact]
+        public void GetStorageBreakdown_MissingDirectoriesAreNotFound()
+        {
+            Directory.Delete(_debugDirectory);
+
+            var breakdown = _service.GetStorageBreakdown();
+
+            Assert.All(breakdown.Items, item => Assert.False(item.Exists));
+            Assert.Equal(0, breakdown.ExpiredDebugImages);
+            Assert.Null(breakdown.OldestDebugImageUtc);
+        }
+
+        [Fact]
+        public async Task SetImageRetentionDaysAsync_UpdatesDebugOptionsAndKeepsOtherSettings()
+        {
+            var breakdown = await _service.SetImageRetentionDaysAsync(14);
+
+            Assert.Equal(14, breakdown.ImageRetentionDays);
+            Assert.Equal(14, _debugOptions.ImageRetentionDays);
+            Assert.Equal("Debug", _debugOptions.LogLevel);
+
+            await Assert.ThrowsAsync<ArgumentException>(() => _service.SetImageRetentionDaysAsync(0));
+            await Assert.ThrowsAsync<ArgumentException>(() => _service.SetImageRetentionDaysAsync(SystemHealthService.MaxImageRetentionDays + 1));
+            _mockRuntimeConfigurationService.Verify(x => x.UpdateDebugOptionsAsync(It.IsAny<DebugOptions>()), Times.Once);
+        }
+
+        [Fact]
+        public async Task ApplyRetentionAsync_DeletesOldSamplesAndExpiredImages()
+        {
+            using (var scope = _serviceProvider.CreateScope())
+            {
+                var databaseService = scope.ServiceProvider.GetRequiredService<IDatabaseService>();
+                await databaseService.AddSystemHealthSampleAsync(new SystemHealthSample { TimestampUtc = DateTime.UtcNow.AddDays(-31) });
+                await databaseService.AddSystemHealthSampleAsync(new SystemHealthSample { TimestampUtc = DateTime.UtcNow.AddDays(-1) });
+            }
+
+            await _service.ApplyRetentionAsync();
+
+            using (var scope = _serviceProvider.CreateScope())
+            {
+                var remaining = await scope.ServiceProvider.GetRequiredService<IDatabaseService>()
+                    .GetSystemHealthSamplesAsync(DateTime.UtcNow.AddDays(-60), DateTime.UtcNow);
+                Assert.Single(remaining);
+            }
+            _mockDebugImageService.Verify(x => x.DeleteImagesOlderThan(7), Times.Once);
+
+            _options.AutoCleanupDebugImages = false;
+            await _service.ApplyRetentionAsync();
+            _mockDebugImageService.Verify(x => x.DeleteImagesOlderThan(It.IsAny<int>()), Times.Once);
+        }
+    }
+}
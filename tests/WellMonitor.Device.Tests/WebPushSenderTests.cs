@@ -0,0 +1,182 @@
+using Microsoft.AspNetCore.WebUtilities;
+using Microsoft.Extensions.Logging;
+using Moq;
+using WellMonitor.Device.Models;
+using WellMonitor.Device.Services;
+using Xunit;
+using System;
+using System.Buffers.Binary;
+using System.Linq;
+using System.Net;
+using System.Net.Http;
+using System.Security.Cryptography;
+using System.Text;
+using System.Text.Json;
+using System.Threading;
+using System.Threading.Tasks;
+
+namespace WellMonitor.Device.Tests
+{
+    public class WebPushSenderTests : IDisposable
+    {
+        private const string Endpoint = "https://push.example.test/send/abc123";
+
+        private readonly ECDiffieHellman _browserKey = ECDiffieHellman.Create(ECCurve.NamedCurves.nistP256);
+        private readonly byte[] _authSecret = RandomNumberGenerator.GetBytes(16);
+        private readonly VapidKeys _vapidKeys = WebPushSender.GenerateVapidKeys();
+        private readonly StandInPushEndpoint _pushEndpoint = new();
+        private readonly WebPushSender _sender;
+
+        public WebPushSenderTests()
+        {
+            _sender = new WebPushSender(new HttpClient(_pushEndpoint), new Mock<ILogger<WebPushSender>>().Object);
+        }
+
+        public void Dispose()
+        {
+            _browserKey.Dispose();
+        }
+
+        private PushSubscription CreateSubscription()
+        {
+            return new PushSubscription
+            {
+                Endpoint = Endpoint,
+                P256dh = WebEncoders.Base64UrlEncode(ToUncompressedPoint(_browserKey.ExportParameters(false).Q)),
+                Auth = WebEncoders.Base64UrlEncode(_authSecret)
+            };
+        }
+
+        [Fact]
+        public async Task SendAsync_PostsPayloadTheBrowserCanDecrypt()
+        {
+            var status = await _sender.SendAsync(CreateSubscription(), "{\"title\":\"Dry well\"}", _vapidKeys, "mailto:test@example.com", 60, urgent: true);
+
+            Assert.Equal(HttpStatusCode.Created, status);
+            Assert.Equal(HttpMethod.Post, _pushEndpoint.Method);
+            Assert.Equal(Endpoint, _pushEndpoint.Uri!.ToString());
+            Assert.Equal("aes128gcm", Assert.Single(_pushEndpoint.ContentEncoding!));
+            Assert.Equal("60", _pushEndpoint.Ttl);
+            Assert.Equal("high", _pushEndpoint.Urgency);
+
+            Assert.Equal("{\"title\":\"Dry well\"}", Decrypt(_pushEndpoint.Body!));
+        }
+
+        [Fact]
+        public async Task SendAsync_SignsVapidTokenForPushServiceOrigin()
+        {
+            await _sender.SendAsync(CreateSubscription(), "test", _vapidKeys, "mailto:test@example.com", 60);
+
+            var authorization = _pushEndpoint.Authorization!;
+            Assert.StartsWith("vapid t=", authorization);
+            Assert.EndsWith($", k={_vapidKeys.PublicKey}", authorization);
+
+            var token = authorization["vapid t=".Length..authorization.IndexOf(',')];
+            var parts = token.Split('.');
+            Assert.Equal(3, parts.Length);
+
+            using var claims = JsonDocument.Parse(WebEncoders.Base64UrlDecode(parts[1]));
+            Assert.Equal("https://push.example.test", claims.RootElement.GetProperty("aud").GetString());
+            Assert.Equal("mailto:test@example.com", claims.RootElement.GetProperty("sub").GetString());
+            Assert.True(claims.RootElement.GetProperty("exp").GetInt64() > DateTimeOffset.UtcNow.ToUnixTimeSeconds());
+
+            var publicKey = WebEncoders.Base64UrlDecode(_vapidKeys.PublicKey);
+            using var verifier = ECDsa.Create(new ECParameters
+            {
+                Curve = ECCurve.NamedCurves.nistP256,
+                Q = new ECPoint { X = publicKey[1..33], Y = publicKey[33..65] }
+            });
+            Assert.True(verifier.VerifyData(
+                Encoding.ASCII.GetBytes($"{parts[0]}.{parts[1]}"),
+                WebEncoders.Base64UrlDecode(parts[2]),
+                HashAlgorithmName.SHA256));
+        }
+
+        [Fact]
+        public async Task SendAsync_ReturnsGoneForExpiredSubscription()
+        {
+            _pushEndpoint.ResponseStatus = HttpStatusCode.Gone;
+
+            var status = await _sender.SendAsync(CreateSubscription(), "test", _vapidKeys, "mailto:test@example.com", 60);
+
+            Assert.Equal(HttpStatusCode.Gone, status);
+        }
+
+        [Fact]
+        public void Encrypt_RejectsPayloadsLargerThanOneRecord()
+        {
+            Assert.Throws<ArgumentException>(() => WebPushSender.Encrypt(
+                ToUncompressedPoint(_browserKey.ExportParameters(false).Q),
+                _authSecret,
+                new byte[WebPushSender.MaxPayloadBytes + 1]));
+        }
+
+        // Browser side of RFC 8291: derive the content key from our private key and the server's key id, then decrypt
+        private string Decrypt(byte[] body)
+        {
+            var salt = body[..16];
+            var recordSize = BinaryPrimitives.ReadUInt32BigEndian(body.AsSpan(16, 4));
+            var keyIdLength = body[20];
+            var serverPublicKey = body[21..(21 + keyIdLength)];
+            var record = body[(21 + keyIdLength)..];
+
+            Assert.Equal(4096u, recordSize);
+            Assert.Equal(65, keyIdLength);
+
+            using var serverKey = ECDiffieHellman.Create(new ECParameters
+            {
+                Curve = ECCurve.NamedCurves.nistP256,
+                Q = new ECPoint { X = serverPublicKey[1..33], Y = serverPublicKey[33..65] }
+            });
+            var sharedSecret = _browserKey.DeriveRawSecretAgreement(serverKey.PublicKey);
+
+            var browserPublicKey = ToUncompressedPoint(_browserKey.ExportParameters(false).Q);
+            var keyInfo = Encoding.ASCII.GetBytes("WebPush: info\0").Concat(browserPublicKey).Concat(serverPublicKey).ToArray();
+            var inputKey = HKDF.DeriveKey(HashAlgorithmName.SHA256, sharedSecret, 32, _authSecret, keyInfo);
+            var contentKey = HKDF.DeriveKey(HashAlgorithmName.SHA256, inputKey, 16, salt, Encoding.ASCII.GetBytes("Content-Encoding: aes128gcm\0"));
+            var nonce = HKDF.DeriveKey(HashAlgorithmName.SHA256, inputKey, 12, salt, Encoding.ASCII.GetBytes("Content-Encoding: nonce\0"));
+
+            var plaintext = new byte[record.Length - 16];
+            using (var aes = new AesGcm(contentKey, 16))
+            {
+                aes.Decrypt(nonce, record[..^16], record[^16..], plaintext);
+            }
+
+            Assert.Equal((byte)0x02, plaintext[^1]);
+            return Encoding.UTF8.GetString(plaintext[..^1]);
+        }
+
+        private static byte[] ToUncompressedPoint(ECPoint point)
+        {
+            return new byte[] { 0x04 }.Concat(point.X!).Concat(point.Y!).ToArray();
+        }
+
+        /// <summary>
+        /// Stand-in push service that records the last request
+        /// </summary>
+        private class StandInPushEndpoint : HttpMessageHandler
+        {
+            public HttpStatusCode ResponseStatus { get; set; } = HttpStatusCode.Created;
+            public HttpMethod? Method { get; private set; }
+            public Uri? Uri { get; private set; }
+            public string? Authorization { get; private set; }
+            public string? Ttl { get; private set; }
+            public string? Urgency { get; private set; }
+            public string[]? ContentEncoding { get; private set; }
+            public byte[]? Body { get; private set; }
+
+            protected override async Task<HttpResponseMessage> SendAsync(HttpRequestMessage request, CancellationToken cancellationToken)
+            {
+                Method = request.Method;
+                Uri = request.RequestUri;
+                Authorization = request.Headers.GetValues("Authorization").Single();
+                Ttl = request.Headers.GetValues("TTL").Single();
+                Urgency = request.Headers.GetValues("Urgency").Single();
+                ContentEncoding = request.Content!.Headers.ContentEncoding.ToArray();
+                Body = await request.Content.ReadAsByteArrayAsync(cancellationToken);
+
+                return new HttpResponseMessage(ResponseStatus);
+            }
+        }
+    }
+}